@@ -31,8 +31,14 @@ app.use(
 	}),
 );
 
-// Parse JSON bodies
-app.use(express.json());
+// Parse JSON bodies, keeping the raw bytes for webhook signature checks
+app.use(
+	express.json({
+		verify: (req, res, buf) => {
+			req.rawBody = buf;
+		},
+	}),
+);
 // Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true }));
 // Parse cookies
@@ -21,9 +21,91 @@ const envVarsSchema = z.object({
   JWT_SECRET: z.string().min(1),
   JWT_ACCESS_TOKEN_EXPIRATION_MINUTES: z.coerce.number().default(15),
   JWT_REFRESH_TOKEN_EXPIRATION_DAYS: z.coerce.number().default(7),
+  PASSWORD_RESET_TOKEN_TTL_MINUTES: z.coerce.number().positive().default(30),
+  TWO_FACTOR_ISSUER: z.string().min(1).default("Wigvana"),
+  TWO_FACTOR_ENCRYPTION_KEY: z.string().min(32).optional(),
+  TWO_FACTOR_CHALLENGE_TTL_MINUTES: z.coerce.number().positive().default(5),
+  TWO_FACTOR_STEP_UP_TTL_MINUTES: z.coerce.number().positive().default(10),
+  TWO_FACTOR_MAX_FAILED_ATTEMPTS: z.coerce.number().int().positive().default(5),
+  TWO_FACTOR_LOCKOUT_MINUTES: z.coerce.number().positive().default(15),
   APP_BASE_URL: z.string().url().default("http://localhost:3000"),
+  OIDC_STATE_TTL_MINUTES: z.coerce.number().positive().default(10),
+  OIDC_HTTP_TIMEOUT_MS: z.coerce.number().positive().default(10000),
+  OIDC_METADATA_CACHE_MINUTES: z.coerce.number().positive().default(60),
+  OIDC_GOOGLE_CLIENT_ID: z.string().optional(),
+  OIDC_GOOGLE_CLIENT_SECRET: z.string().optional(),
+  OIDC_APPLE_CLIENT_ID: z.string().optional(),
+  OIDC_APPLE_TEAM_ID: z.string().optional(),
+  OIDC_APPLE_KEY_ID: z.string().optional(),
+  OIDC_APPLE_PRIVATE_KEY: z.string().optional(),
+  OIDC_ISSUER: z.string().url().optional(),
+  OIDC_CLIENT_ID: z.string().optional(),
+  OIDC_CLIENT_SECRET: z.string().optional(),
+  OIDC_DISPLAY_NAME: z.string().min(1).default("Single sign-on"),
+  OIDC_SCOPES: z.string().min(1).default("openid email profile"),
   LOG_LEVEL: z.string().default("info"),
-});
+  RESERVATION_TTL_MINUTES: z.coerce.number().positive().default(15),
+  RESERVATION_SWEEP_INTERVAL_SECONDS: z.coerce.number().positive().default(60),
+  // Required in production; development and test fall back to the local simulator.
+  PAYMENT_DEFAULT_GATEWAY: z.string().min(1).optional(),
+  PAYMENT_GATEWAY_TIMEOUT_MS: z.coerce.number().positive().default(10000),
+  PAYMENT_PENDING_TIMEOUT_MINUTES: z.coerce.number().positive().default(30),
+  PAYMENT_PENDING_SWEEP_INTERVAL_SECONDS: z.coerce.number().positive().default(60),
+  PAYMENT_WEBHOOK_CLAIM_TIMEOUT_MINUTES: z.coerce.number().positive().default(5),
+  // Development and test fall back to a well-known local secret; production has no default.
+  PAYMENT_SIMULATOR_WEBHOOK_SECRET: z.string().min(1).optional(),
+  SHIPPING_DEFAULT_RATE: z.coerce.number().nonnegative().default(5),
+  CARRIER_TRACKING_POLL_INTERVAL_SECONDS: z.coerce.number().positive().default(300),
+  // Development and test fall back to a well-known local secret; production has no default.
+  CARRIER_MOCK_WEBHOOK_SECRET: z.string().min(1).optional(),
+  SEARCH_INDEX_REBUILD_INTERVAL_SECONDS: z.coerce.number().positive().default(900),
+  SALE_PRICE_SYNC_INTERVAL_SECONDS: z.coerce.number().positive().default(60),
+  CART_ABANDONMENT_IDLE_HOURS: z.coerce.number().positive().default(24),
+  CART_ABANDONMENT_SWEEP_INTERVAL_SECONDS: z.coerce.number().positive().default(900),
+  CART_RECOVERY_LINK_TTL_DAYS: z.coerce.number().positive().default(7),
+  ANONYMOUS_CART_TTL_DAYS: z.coerce.number().positive().default(30),
+  ANONYMOUS_CART_PURGE_INTERVAL_SECONDS: z.coerce.number().positive().default(3600),
+  MAIL_TRANSPORT: z.enum(["smtp", "file", "memory"]).optional(),
+  MAIL_FROM: z.string().min(1).default("Wigvana <no-reply@wigvana.local>"),
+  MAIL_FILE_DIR: z.string().default("logs/mail"),
+  MAIL_SMTP_HOST: z.string().default("localhost"),
+  MAIL_SMTP_PORT: z.coerce.number().int().positive().default(1025),
+  MAIL_SMTP_SECURE: z.enum(["true", "false"]).default("false").transform((value) => value === "true"),
+  MAIL_SMTP_USER: z.string().optional(),
+  MAIL_SMTP_PASS: z.string().optional(),
+  // Only for relays that cannot do TLS: lets MAIL_SMTP_USER/PASS go over a plaintext connection.
+  MAIL_SMTP_ALLOW_INSECURE_AUTH: z.enum(["true", "false"]).default("false").transform((value) => value === "true"),
+  MAIL_SMTP_TIMEOUT_MS: z.coerce.number().positive().default(10000),
+  MAIL_MAX_ATTEMPTS: z.coerce.number().int().positive().default(5),
+  MAIL_RETRY_BASE_SECONDS: z.coerce.number().positive().default(60),
+  MAIL_OUTBOX_INTERVAL_SECONDS: z.coerce.number().positive().default(30),
+})
+  .superRefine((env, ctx) => {
+    if (env.NODE_ENV !== "production") return;
+    if (!env.PAYMENT_DEFAULT_GATEWAY) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["PAYMENT_DEFAULT_GATEWAY"],
+        message: "PAYMENT_DEFAULT_GATEWAY is required in production.",
+      });
+    } else if (env.PAYMENT_DEFAULT_GATEWAY === "simulator") {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["PAYMENT_DEFAULT_GATEWAY"],
+        message: "The simulator gateway is not available in production.",
+      });
+    }
+  })
+  .transform((env) => ({
+    ...env,
+    PAYMENT_DEFAULT_GATEWAY: env.PAYMENT_DEFAULT_GATEWAY ?? "simulator",
+    PAYMENT_SIMULATOR_WEBHOOK_SECRET:
+      env.PAYMENT_SIMULATOR_WEBHOOK_SECRET ??
+      (env.NODE_ENV !== "production" ? "whsec_simulator_local" : undefined),
+    CARRIER_MOCK_WEBHOOK_SECRET:
+      env.CARRIER_MOCK_WEBHOOK_SECRET ??
+      (env.NODE_ENV !== "production" ? "whsec_mock_carrier_local" : undefined),
+  }));
 
 /**
  * @type {ReturnType<envVarsSchema.parse>}
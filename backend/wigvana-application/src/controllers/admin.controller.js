@@ -4,7 +4,12 @@ import { sellerService } from "../services/seller.service.js";
 import { productService } from "../services/product.service.js";
 import { categoryService } from "../services/category.service.js";
 import { orderService } from "../services/order.service.js";
+import { returnService } from "../services/return.service.js";
 import { reviewService } from "../services/review.service.js";
+import { paymentWebhookService } from "../services/paymentWebhook.service.js";
+import { promotionService } from "../services/promotion.service.js";
+import { taxService } from "../services/tax.service.js";
+import { cartService } from "../services/cart.service.js";
 import catchAsync from "../utils/catchAsync.js";
 import pick from "../utils/pick.js";
 
@@ -150,10 +155,16 @@ const getAnyOrderDetails = catchAsync(async (req, res) => {
   res.status(httpStatusCodes.OK).send(order);
 });
 
+const getAnyOrderHistory = catchAsync(async (req, res) => {
+  const timeline = await orderService.adminGetOrderTimeline(req.params.orderId);
+  res.status(httpStatusCodes.OK).send(timeline);
+});
+
 const updateAnyOrderStatus = catchAsync(async (req, res) => {
   const order = await orderService.adminUpdateOrderStatus(
     req.params.orderId,
     req.body,
+    req.user.id,
   );
   res.status(httpStatusCodes.OK).send(order);
 });
@@ -162,10 +173,122 @@ const processOrderRefund = catchAsync(async (req, res) => {
   const order = await orderService.adminProcessRefund(
     req.params.orderId,
     req.body,
+    req.user.id,
   );
   res.status(httpStatusCodes.OK).send(order);
 });
 
+// --- Return Management ---
+const listAllReturnRequests = catchAsync(async (req, res) => {
+  const queryOptions = pick(req.query, [
+    "page",
+    "limit",
+    "status",
+    "orderId",
+    "buyerId",
+    "sellerId",
+  ]);
+  const result = await returnService.listAllReturnRequests(queryOptions);
+  res.status(httpStatusCodes.OK).send(result);
+});
+
+const updateAnyReturnRequestStatus = catchAsync(async (req, res) => {
+  const returnRequest = await returnService.adminUpdateReturnRequestStatus(
+    req.user.id,
+    req.params.returnId,
+    req.body,
+  );
+  res.status(httpStatusCodes.OK).send(returnRequest);
+});
+
+// --- Payment Webhooks ---
+const listWebhookEvents = catchAsync(async (req, res) => {
+  const queryOptions = pick(req.query, [
+    "page",
+    "limit",
+    "gateway",
+    "status",
+    "type",
+    "orderId",
+  ]);
+  const result = await paymentWebhookService.listWebhookEvents(queryOptions);
+  res.status(httpStatusCodes.OK).send(result);
+});
+
+const replayWebhookEvent = catchAsync(async (req, res) => {
+  const event = await paymentWebhookService.replayWebhookEvent(
+    req.params.eventId,
+  );
+  res.status(httpStatusCodes.OK).send(event);
+});
+
+// --- Promotion Management ---
+const listAllPromotions = catchAsync(async (req, res) => {
+  const queryOptions = pick(req.query, ["page", "limit", "status", "code"]);
+  const result = await promotionService.listPromotions(queryOptions);
+  res.status(httpStatusCodes.OK).send(result);
+});
+
+const createPromotion = catchAsync(async (req, res) => {
+  const promotion = await promotionService.createPromotion(
+    { id: req.user.id, role: "admin" },
+    req.body,
+  );
+  res.status(httpStatusCodes.CREATED).send(promotion);
+});
+
+const updateAnyPromotion = catchAsync(async (req, res) => {
+  const promotion = await promotionService.updatePromotion(
+    req.params.promotionId,
+    req.body,
+  );
+  res.status(httpStatusCodes.OK).send(promotion);
+});
+
+const deactivateAnyPromotion = catchAsync(async (req, res) => {
+  await promotionService.deactivatePromotion(req.params.promotionId);
+  res.status(httpStatusCodes.NO_CONTENT).send();
+});
+
+// --- Cart Reports ---
+const getCartAbandonmentReport = catchAsync(async (req, res) => {
+  const report = await cartService.getCartAbandonmentReport(
+    pick(req.query, ["from", "to"]),
+  );
+  res.status(httpStatusCodes.OK).send(report);
+});
+
+// --- Tax Rates ---
+const listTaxRates = catchAsync(async (req, res) => {
+  const queryOptions = pick(req.query, [
+    "page",
+    "limit",
+    "country",
+    "region",
+    "taxClass",
+  ]);
+  const result = await taxService.listTaxRates(queryOptions);
+  res.status(httpStatusCodes.OK).send(result);
+});
+
+const createTaxRate = catchAsync(async (req, res) => {
+  const taxRate = await taxService.createTaxRate(req.body);
+  res.status(httpStatusCodes.CREATED).send(taxRate);
+});
+
+const updateTaxRate = catchAsync(async (req, res) => {
+  const taxRate = await taxService.updateTaxRate(
+    req.params.taxRateId,
+    req.body,
+  );
+  res.status(httpStatusCodes.OK).send(taxRate);
+});
+
+const deleteTaxRate = catchAsync(async (req, res) => {
+  await taxService.deleteTaxRate(req.params.taxRateId);
+  res.status(httpStatusCodes.NO_CONTENT).send();
+});
+
 // --- Review Management ---
 const listAllReviews = catchAsync(async (req, res) => {
   const queryOptions = pick(req.query, [
@@ -218,8 +341,27 @@ export const adminController = {
   // Orders
   listAllOrders,
   getAnyOrderDetails,
+  getAnyOrderHistory,
   updateAnyOrderStatus,
   processOrderRefund,
+  // Returns
+  listAllReturnRequests,
+  updateAnyReturnRequestStatus,
+  // Payment Webhooks
+  listWebhookEvents,
+  replayWebhookEvent,
+  // Promotions
+  listAllPromotions,
+  createPromotion,
+  updateAnyPromotion,
+  deactivateAnyPromotion,
+  // Cart Reports
+  getCartAbandonmentReport,
+  // Tax Rates
+  listTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
   // Reviews
   listAllReviews,
   deleteAnyReview,
@@ -1,35 +1,142 @@
 import httpStatusCodes from "http-status-codes";
 import { authService } from "../services/auth.service.js";
+import { oidcService } from "../services/oidc.service.js";
+import ApiError from "../errors/ApiError.js";
 import catchAsync from "../utils/catchAsync.js";
 import config from "../config/index.js";
 import logger from "../utils/logger.js";
 
+const refreshTokenCookieOptions = {
+	httpOnly: true,
+	secure: config.NODE_ENV === "production", // Use secure cookies in production
+	sameSite: "strict",
+};
+
+const setRefreshTokenCookie = (res, refreshToken) => {
+	res.cookie("refreshToken", refreshToken, {
+		...refreshTokenCookieOptions,
+		maxAge: config.JWT_REFRESH_TOKEN_EXPIRATION_DAYS * 24 * 60 * 60 * 1000,
+	});
+};
+
+/**
+ * Cookie tying an OpenID Connect flow to the browser that started it; the callback must come
+ * from the same browser. Apple posts the callback from its own site, which a SameSite=Lax
+ * cookie would not survive, so production (HTTPS) uses SameSite=None.
+ */
+const OIDC_BINDING_COOKIE = "oidcBinding";
+const oidcBindingCookieOptions = {
+	httpOnly: true,
+	secure: config.NODE_ENV === "production",
+	sameSite: config.NODE_ENV === "production" ? "none" : "lax",
+	path: "/api/v1/auth/oidc",
+};
+
+const setOidcBindingCookie = (res, { browserBinding, expiresAt }) => {
+	res.cookie(OIDC_BINDING_COOKIE, browserBinding, {
+		...oidcBindingCookieOptions,
+		expires: expiresAt,
+	});
+};
+
+/**
+ * Sends the browser back to the frontend after an OpenID Connect callback. The outcome goes in
+ * the URL fragment, which browsers never send to servers, so challenge tokens stay out of logs.
+ */
+const redirectToOidcLanding = (res, outcome) => {
+	res.redirect(
+		`${config.APP_BASE_URL}/oidc/callback#${new URLSearchParams(outcome)}`,
+	);
+};
+
+/** Where a request comes from, recorded on the session it starts or refreshes. */
+const sessionMetadataOf = (req) => ({
+	userAgent: req.get("user-agent"),
+	ip: req.ip,
+});
+
 const register = catchAsync(async (req, res) => {
 	const { user, accessToken, refreshToken } = await authService.registerUser(
 		req.body,
+		sessionMetadataOf(req),
 	);
-	res.cookie("refreshToken", refreshToken, {
-		httpOnly: true,
-		secure: config.NODE_ENV === "production", // Use secure cookies in production
-		sameSite: "strict",
-		maxAge: config.JWT_REFRESH_TOKEN_EXPIRATION_DAYS * 24 * 60 * 60 * 1000,
-	});
+	setRefreshTokenCookie(res, refreshToken);
 	res.status(httpStatusCodes.CREATED).send({ user, accessToken });
 });
 
 const login = catchAsync(async (req, res) => {
-	const { user, accessToken, refreshToken } = await authService.loginUser(
-		req.body,
-	);
-	res.cookie("refreshToken", refreshToken, {
-		httpOnly: true,
-		secure: config.NODE_ENV === "production",
-		sameSite: "strict",
-		maxAge: config.JWT_REFRESH_TOKEN_EXPIRATION_DAYS * 24 * 60 * 60 * 1000,
-	});
+	const result = await authService.loginUser(req.body, sessionMetadataOf(req));
+	if (result.twoFactorRequired) {
+		// No session yet: the client completes the login at /auth/login/two-factor
+		return res.status(httpStatusCodes.OK).send(result);
+	}
+	const { user, accessToken, refreshToken } = result;
+	setRefreshTokenCookie(res, refreshToken);
 	res.status(httpStatusCodes.OK).send({ user, accessToken });
 });
 
+const loginTwoFactor = catchAsync(async (req, res) => {
+	const { user, accessToken, refreshToken } =
+		await authService.completeTwoFactorLogin(req.body, sessionMetadataOf(req));
+	setRefreshTokenCookie(res, refreshToken);
+	res.status(httpStatusCodes.OK).send({ user, accessToken });
+});
+
+const listOidcProviders = catchAsync(async (req, res) => {
+	res.status(httpStatusCodes.OK).send(oidcService.listProviders());
+});
+
+const startOidcLogin = catchAsync(async (req, res) => {
+	const authorizationRequest = await oidcService.createAuthorizationRequest(
+		req.params.provider,
+		{ intent: "login" },
+	);
+	setOidcBindingCookie(res, authorizationRequest);
+	res.redirect(authorizationRequest.authorizationUrl);
+});
+
+const oidcCallback = catchAsync(async (req, res) => {
+	res.clearCookie(OIDC_BINDING_COOKIE, oidcBindingCookieOptions);
+	let result;
+	try {
+		result = await authService.completeOidcSignIn(
+			req.params.provider,
+			{ ...req.query, ...req.body }, // Query string, or form body for response_mode=form_post
+			req.cookies[OIDC_BINDING_COOKIE],
+			sessionMetadataOf(req),
+		);
+	} catch (error) {
+		// The browser is mid-redirect, so errors go to the frontend rather than out as JSON
+		if (!(error instanceof ApiError)) {
+			logger.error("OpenID Connect callback failed:", error);
+		}
+		return redirectToOidcLanding(res, {
+			status: "error",
+			message:
+				error instanceof ApiError
+					? error.message
+					: "Sign-in failed. Please try again.",
+		});
+	}
+
+	if (result.linked) {
+		return redirectToOidcLanding(res, {
+			status: "linked",
+			provider: req.params.provider,
+		});
+	}
+	if (result.twoFactorRequired) {
+		return redirectToOidcLanding(res, {
+			status: "two_factor_required",
+			challengeToken: result.challengeToken,
+			challengeExpiresAt: result.challengeExpiresAt.toISOString(),
+		});
+	}
+	// The frontend picks up its access token with POST /auth/refresh-token
+	setRefreshTokenCookie(res, result.refreshToken);
+	redirectToOidcLanding(res, { status: "authenticated" });
+});
+
 const logout = catchAsync(async (req, res) => {
 	const refreshToken = req.cookies.refreshToken;
 	// Assuming `req.user.id` is populated by an auth middleware if an access token was present
@@ -39,11 +146,7 @@ const logout = catchAsync(async (req, res) => {
 	if (refreshToken) {
 		await authService.logoutUser(refreshToken, userId);
 	}
-	res.clearCookie("refreshToken", {
-		httpOnly: true,
-		secure: config.NODE_ENV === "production",
-		sameSite: "strict",
-	});
+	res.clearCookie("refreshToken", refreshTokenCookieOptions);
 	res.status(httpStatusCodes.OK).send({ message: "Logged out successfully" });
 });
 
@@ -54,7 +157,11 @@ const refreshTokens = catchAsync(async (req, res) => {
 			.status(httpStatusCodes.UNAUTHORIZED)
 			.send({ message: "Refresh token not found" });
 	}
-	const { accessToken } = await authService.refreshAccessToken(oldRefreshToken);
+	const { accessToken, refreshToken } = await authService.refreshAccessToken(
+		oldRefreshToken,
+		sessionMetadataOf(req),
+	);
+	setRefreshTokenCookie(res, refreshToken); // The old refresh token no longer works
 	res.status(httpStatusCodes.OK).send({ accessToken });
 });
 
@@ -73,10 +180,77 @@ const verifyEmail = catchAsync(async (req, res) => {
 		.send({ message: "Email verified successfully. You can now log in." });
 });
 
+const forgotPassword = catchAsync(async (req, res) => {
+	await authService.requestPasswordReset(req.body.email);
+	// Same answer whether or not the account exists
+	res.status(httpStatusCodes.OK).send({
+		message:
+			"If an account exists for that email, a password reset link has been sent.",
+	});
+});
+
+const resetPassword = catchAsync(async (req, res) => {
+	await authService.resetPassword(req.body.token, req.body.newPassword);
+	res.status(httpStatusCodes.OK).send({
+		message: "Password reset successfully. You can now log in.",
+	});
+});
+
+const listSessions = catchAsync(async (req, res) => {
+	const sessions = await authService.listSessions(req.user.id, req.sessionId);
+	res.status(httpStatusCodes.OK).send(sessions);
+});
+
+const revokeSession = catchAsync(async (req, res) => {
+	await authService.revokeSession(req.user.id, req.params.sessionId);
+	if (req.params.sessionId === req.sessionId) {
+		res.clearCookie("refreshToken", refreshTokenCookieOptions);
+	}
+	res.status(httpStatusCodes.NO_CONTENT).send();
+});
+
+const revokeAllSessions = catchAsync(async (req, res) => {
+	await authService.revokeAllSessions(req.user.id);
+	res.clearCookie("refreshToken", refreshTokenCookieOptions);
+	res.status(httpStatusCodes.NO_CONTENT).send();
+});
+
+const listIdentities = catchAsync(async (req, res) => {
+	const identities = await oidcService.listIdentities(req.user.id);
+	res.status(httpStatusCodes.OK).send(identities);
+});
+
+const startOidcLink = catchAsync(async (req, res) => {
+	const { authorizationUrl, browserBinding, expiresAt } =
+		await oidcService.createAuthorizationRequest(req.params.provider, {
+			intent: "link",
+			userId: req.user.id,
+		});
+	setOidcBindingCookie(res, { browserBinding, expiresAt });
+	res.status(httpStatusCodes.OK).send({ authorizationUrl, expiresAt });
+});
+
+const unlinkIdentity = catchAsync(async (req, res) => {
+	await oidcService.unlinkIdentity(req.user.id, req.params.provider);
+	res.status(httpStatusCodes.NO_CONTENT).send();
+});
+
 export const authController = {
 	register,
 	login,
+	loginTwoFactor,
+	listOidcProviders,
+	startOidcLogin,
+	oidcCallback,
 	logout,
 	refreshTokens,
 	verifyEmail,
+	forgotPassword,
+	resetPassword,
+	listSessions,
+	revokeSession,
+	revokeAllSessions,
+	listIdentities,
+	startOidcLink,
+	unlinkIdentity,
 };
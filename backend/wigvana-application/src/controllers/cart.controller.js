@@ -1,5 +1,6 @@
 import httpStatusCodes from "http-status-codes";
 import { cartService } from "../services/cart.service.js";
+import { reservationService } from "../services/reservation.service.js";
 import catchAsync from "../utils/catchAsync.js";
 // No need to import 'pick' here as path/body params are directly accessed or validated by DTOs
 
@@ -82,6 +83,33 @@ const clearAnonymousCart = catchAsync(async (req, res) => {
 	res.status(httpStatusCodes.OK).send(cart); // Send back the empty cart or a success message
 });
 
+/**
+ * Controller to acknowledge the price, stock and availability changes found on the anonymous cart.
+ * @type {import('express').RequestHandler}
+ */
+const acknowledgeAnonymousCartChanges = catchAsync(async (req, res) => {
+	// req.params.cartId validated by 'acknowledgeCartChangesParamsSchema'
+	const cart = await cartService.acknowledgeAnonymousCartChanges(
+		req.params.cartId,
+	);
+	res.status(httpStatusCodes.OK).send(cart);
+});
+
+/**
+ * Controller to restore an abandoned buyer cart from the link sent to its owner.
+ * No authentication: the single-use token in the link stands in for it.
+ * @type {import('express').RequestHandler}
+ */
+const restoreAbandonedCart = catchAsync(async (req, res) => {
+	// req.query.token validated by 'restoreCartQuerySchema'
+	const { cartId } = await cartService.restoreAbandonedCart(req.query.token);
+	res.status(httpStatusCodes.OK).send({
+		message:
+			"Your cart has been restored. Sign in to pick up where you left off.",
+		cartId,
+	});
+});
+
 // --- Authenticated Buyer Cart Controllers ---
 // These controllers assume `req.user.id` is available from the `protect` middleware.
 
@@ -91,7 +119,10 @@ const clearAnonymousCart = catchAsync(async (req, res) => {
  * @type {import('express').RequestHandler}
  */
 const getMyCart = catchAsync(async (req, res) => {
-	const cart = await cartService.getBuyerCart(req.user.id);
+	// req.query.shippingAddressId validated by 'viewBuyerCartQuerySchema'
+	const cart = await cartService.getBuyerCart(req.user.id, {
+		shippingAddressId: req.query.shippingAddressId,
+	});
 	res.status(httpStatusCodes.OK).send(cart);
 });
 
@@ -141,6 +172,37 @@ const clearMyCart = catchAsync(async (req, res) => {
 	res.status(httpStatusCodes.OK).send(cart);
 });
 
+/**
+ * Controller to acknowledge the changes found on the authenticated buyer's cart.
+ * @type {import('express').RequestHandler}
+ */
+const acknowledgeMyCartChanges = catchAsync(async (req, res) => {
+	const cart = await cartService.acknowledgeBuyerCartChanges(req.user.id);
+	res.status(httpStatusCodes.OK).send(cart);
+});
+
+/**
+ * Controller to apply a discount code to the authenticated buyer's cart.
+ * @type {import('express').RequestHandler}
+ */
+const applyMyCartDiscount = catchAsync(async (req, res) => {
+	// req.body.code validated by 'applyCartDiscountSchema'
+	const cart = await cartService.applyBuyerCartDiscount(
+		req.user.id,
+		req.body.code,
+	);
+	res.status(httpStatusCodes.OK).send(cart);
+});
+
+/**
+ * Controller to remove the discount code from the authenticated buyer's cart.
+ * @type {import('express').RequestHandler}
+ */
+const removeMyCartDiscount = catchAsync(async (req, res) => {
+	const cart = await cartService.removeBuyerCartDiscount(req.user.id);
+	res.status(httpStatusCodes.OK).send(cart);
+});
+
 /**
  * Controller to merge an anonymous cart into the buyer's authenticated cart,
  * typically done after login.
@@ -155,6 +217,45 @@ const mergeMyCart = catchAsync(async (req, res) => {
 	res.status(httpStatusCodes.OK).send(cart);
 });
 
+/**
+ * Controller to place a temporary stock hold on everything in the buyer's cart before payment.
+ * @type {import('express').RequestHandler}
+ */
+const reserveMyCart = catchAsync(async (req, res) => {
+	const reservation = await reservationService.reserveCartStock(req.user.id);
+	res.status(httpStatusCodes.CREATED).send(reservation);
+});
+
+/**
+ * Controller to quote shipping options for the buyer's cart.
+ * @type {import('express').RequestHandler}
+ */
+const getMyCartShippingOptions = catchAsync(async (req, res) => {
+	// req.query.shippingAddressId validated by 'viewBuyerCartQuerySchema'
+	const quote = await cartService.getBuyerCartShippingOptions(req.user.id, {
+		shippingAddressId: req.query.shippingAddressId,
+	});
+	res.status(httpStatusCodes.OK).send(quote);
+});
+
+/**
+ * Controller to get the buyer's active stock reservation.
+ * @type {import('express').RequestHandler}
+ */
+const getMyCartReservation = catchAsync(async (req, res) => {
+	const reservation = await reservationService.getCartReservation(req.user.id);
+	res.status(httpStatusCodes.OK).send(reservation);
+});
+
+/**
+ * Controller to cancel the buyer's stock reservation, releasing the held units.
+ * @type {import('express').RequestHandler}
+ */
+const releaseMyCartReservation = catchAsync(async (req, res) => {
+	await reservationService.cancelCartReservation(req.user.id);
+	res.status(httpStatusCodes.NO_CONTENT).send();
+});
+
 export const cartController = {
 	// Anonymous Cart Actions
 	createAnonymousCart,
@@ -163,11 +264,20 @@ export const cartController = {
 	updateAnonymousCartItem,
 	removeAnonymousCartItem,
 	clearAnonymousCart,
+	acknowledgeAnonymousCartChanges,
+	restoreAbandonedCart,
 	// Authenticated Buyer Cart Actions
 	getMyCart,
 	addItemToMyCart,
 	updateMyCartItem,
 	removeMyCartItem,
 	clearMyCart,
+	acknowledgeMyCartChanges,
+	applyMyCartDiscount,
+	removeMyCartDiscount,
+	getMyCartShippingOptions,
 	mergeMyCart,
+	reserveMyCart,
+	getMyCartReservation,
+	releaseMyCartReservation,
 };
@@ -42,6 +42,7 @@ const listProductsInCategory = catchAsync(async (req, res) => {
     "minPrice",
     "maxPrice",
     "brand",
+    "onSale",
   ]);
   const result = await categoryService.listProductsInCategory(
     req.params.categoryId,
@@ -0,0 +1,66 @@
+import httpStatusCodes from "http-status-codes";
+import { inventoryService } from "../services/inventory.service.js";
+import catchAsync from "../utils/catchAsync.js";
+import pick from "../utils/pick.js";
+
+/**
+ * Controller for a seller to view on-hand, reserved and available stock across their variants.
+ * @type {import('express').RequestHandler}
+ */
+const listMyInventory = catchAsync(async (req, res) => {
+  const queryOptions = pick(req.query, ["page", "limit", "productId"]);
+  queryOptions.lowStock = req.query.lowStock === "true";
+  const result = await inventoryService.listSellerInventory(
+    req.user.id,
+    queryOptions,
+  );
+  res.status(httpStatusCodes.OK).send(result);
+});
+
+/**
+ * Controller for a seller to set or adjust stock of many variants by SKU, from JSON or a CSV upload.
+ * @type {import('express').RequestHandler}
+ */
+const bulkUpdateMyInventory = catchAsync(async (req, res) => {
+  const isCsv = typeof req.body === "string";
+  const items = isCsv
+    ? inventoryService.parseInventoryCsv(req.body)
+    : req.body.items.map(({ sku, quantity }) => ({
+        sku: sku.trim(),
+        quantity: Number(quantity),
+      }));
+  const result = await inventoryService.bulkUpdateSellerInventory(
+    req.user.id,
+    items,
+    {
+      mode: req.query.mode ?? "set",
+      note: (isCsv ? undefined : req.body.note) ?? req.query.note,
+    },
+  );
+  res.status(httpStatusCodes.OK).send(result);
+});
+
+/**
+ * Controller for a seller to view their inventory ledger.
+ * @type {import('express').RequestHandler}
+ */
+const listMyInventoryMovements = catchAsync(async (req, res) => {
+  const queryOptions = pick(req.query, [
+    "page",
+    "limit",
+    "variantId",
+    "sku",
+    "type",
+  ]);
+  const result = await inventoryService.listSellerInventoryMovements(
+    req.user.id,
+    queryOptions,
+  );
+  res.status(httpStatusCodes.OK).send(result);
+});
+
+export const inventoryController = {
+  listMyInventory,
+  bulkUpdateMyInventory,
+  listMyInventoryMovements,
+};
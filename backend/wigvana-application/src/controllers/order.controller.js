@@ -1,5 +1,7 @@
 import httpStatusCodes from "http-status-codes";
 import { orderService } from "../services/order.service.js";
+import { returnService } from "../services/return.service.js";
+import { trackingService } from "../services/tracking.service.js";
 import catchAsync from "../utils/catchAsync.js";
 import pick from "../utils/pick.js";
 
@@ -9,7 +11,12 @@ import pick from "../utils/pick.js";
  */
 const placeMyOrder = catchAsync(async (req, res) => {
   const order = await orderService.placeOrder(req.user.id, req.body);
-  res.status(httpStatusCodes.CREATED).send(order);
+  // 202 while the payment still needs the buyer (3-D Secure) or an answer from the gateway
+  const statusCode =
+    order.status === "pending_payment"
+      ? httpStatusCodes.ACCEPTED
+      : httpStatusCodes.CREATED;
+  res.status(statusCode).send(order);
 });
 
 /**
@@ -34,6 +41,30 @@ const getMyOrderDetails = catchAsync(async (req, res) => {
   res.status(httpStatusCodes.OK).send(order);
 });
 
+/**
+ * Controller to get the status history of one of the buyer's orders.
+ * @type {import('express').RequestHandler}
+ */
+const getMyOrderHistory = catchAsync(async (req, res) => {
+  const timeline = await orderService.getBuyerOrderTimeline(
+    req.user.id,
+    req.params.orderId,
+  );
+  res.status(httpStatusCodes.OK).send(timeline);
+});
+
+/**
+ * Controller to get the carrier tracking timeline of each shipment of an order.
+ * @type {import('express').RequestHandler}
+ */
+const getMyOrderTracking = catchAsync(async (req, res) => {
+  const tracking = await trackingService.getBuyerOrderTracking(
+    req.user.id,
+    req.params.orderId,
+  );
+  res.status(httpStatusCodes.OK).send(tracking);
+});
+
 /**
  * Controller to cancel an order.
  * @type {import('express').RequestHandler}
@@ -51,12 +82,25 @@ const cancelMyOrder = catchAsync(async (req, res) => {
  * @type {import('express').RequestHandler}
  */
 const requestMyReturn = catchAsync(async (req, res) => {
-  const returnConfirmation = await orderService.requestReturn(
+  const returnRequest = await returnService.requestReturn(
     req.user.id,
     req.params.orderId,
     req.body,
   );
-  res.status(httpStatusCodes.ACCEPTED).send(returnConfirmation); // 202 Accepted as it's a request
+  res.status(httpStatusCodes.ACCEPTED).send(returnRequest); // 202 Accepted as it's a request
+});
+
+/**
+ * Controller to list the buyer's return requests.
+ * @type {import('express').RequestHandler}
+ */
+const listMyReturnRequests = catchAsync(async (req, res) => {
+  const queryOptions = pick(req.query, ["page", "limit", "status", "orderId"]);
+  const result = await returnService.listBuyerReturnRequests(
+    req.user.id,
+    queryOptions,
+  );
+  res.status(httpStatusCodes.OK).send(result);
 });
 
 /**
@@ -84,6 +128,18 @@ const getMyStoreOrderDetails = catchAsync(async (req, res) => {
   res.status(httpStatusCodes.OK).send(order);
 });
 
+/**
+ * Controller to get the status history of an order received by the seller.
+ * @type {import('express').RequestHandler}
+ */
+const getMyStoreOrderHistory = catchAsync(async (req, res) => {
+  const timeline = await orderService.getSellerOrderTimeline(
+    req.user.id,
+    req.params.orderId,
+  );
+  res.status(httpStatusCodes.OK).send(timeline);
+});
+
 /**
  * Controller for a seller to update the status of an order.
  * @type {import('express').RequestHandler}
@@ -110,7 +166,7 @@ const listMyStoreReturnRequests = catchAsync(async (req, res) => {
     "orderId",
     "buyerId",
   ]);
-  const result = await orderService.listSellerReturnRequests(
+  const result = await returnService.listSellerReturnRequests(
     req.user.id,
     queryOptions,
   );
@@ -122,7 +178,7 @@ const listMyStoreReturnRequests = catchAsync(async (req, res) => {
  * @type {import('express').RequestHandler}
  */
 const updateMyStoreReturnStatus = catchAsync(async (req, res) => {
-  const returnRequest = await orderService.updateSellerReturnRequestStatus(
+  const returnRequest = await returnService.updateSellerReturnRequestStatus(
     req.user.id,
     req.params.returnId,
     req.body,
@@ -134,10 +190,14 @@ export const orderController = {
   placeMyOrder,
   listMyOrders,
   getMyOrderDetails,
+  getMyOrderHistory,
+  getMyOrderTracking,
   cancelMyOrder,
   requestMyReturn,
+  listMyReturnRequests,
   listMyStoreOrders,
   getMyStoreOrderDetails,
+  getMyStoreOrderHistory,
   updateMyStoreOrderStatus,
   listMyStoreReturnRequests,
   updateMyStoreReturnStatus,
@@ -5,7 +5,7 @@ import catchAsync from "../utils/catchAsync.js";
 import pick from "../utils/pick.js";
 
 /**
- * Controller to list all products with filtering, sorting, and pagination.
+ * Controller to search products with facet filters, sorting, and pagination.
  * @type {import('express').RequestHandler}
  */
 const listProducts = catchAsync(async (req, res) => {
@@ -19,11 +19,30 @@ const listProducts = catchAsync(async (req, res) => {
     "minPrice",
     "maxPrice",
     "brand",
+    "seller",
+    "color",
+    "length",
+    "texture",
+    "minRating",
+    "inStock",
+    "onSale",
   ]);
   const result = await productService.listProducts(queryOptions);
   res.status(httpStatusCodes.OK).send(result);
 });
 
+/**
+ * Controller to suggest products, brands, categories and tags for a partial query.
+ * @type {import('express').RequestHandler}
+ */
+const suggestProducts = catchAsync(async (req, res) => {
+  const suggestions = await productService.suggestProducts(
+    req.query.q,
+    req.query.limit,
+  );
+  res.status(httpStatusCodes.OK).send(suggestions);
+});
+
 /**
  * Controller to get details of a specific product.
  * @type {import('express').RequestHandler}
@@ -196,6 +215,7 @@ const deleteMyProductImage = catchAsync(async (req, res) => {
 
 export const productController = {
   listProducts,
+  suggestProducts,
   getProductDetails,
   listProductVariants,
   getProductVariantDetails,
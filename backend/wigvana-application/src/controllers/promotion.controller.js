@@ -0,0 +1,59 @@
+import httpStatusCodes from "http-status-codes";
+import { promotionService } from "../services/promotion.service.js";
+import catchAsync from "../utils/catchAsync.js";
+import pick from "../utils/pick.js";
+
+/**
+ * Controller for a seller to list their promotions.
+ * @type {import('express').RequestHandler}
+ */
+const listMyStorePromotions = catchAsync(async (req, res) => {
+  const queryOptions = pick(req.query, ["page", "limit", "status", "code"]);
+  const result = await promotionService.listPromotions(queryOptions, {
+    sellerId: req.user.id,
+  });
+  res.status(httpStatusCodes.OK).send(result);
+});
+
+/**
+ * Controller for a seller to create a promotion on their own products.
+ * @type {import('express').RequestHandler}
+ */
+const createMyStorePromotion = catchAsync(async (req, res) => {
+  const promotion = await promotionService.createPromotion(
+    { id: req.user.id, role: "seller" },
+    req.body,
+  );
+  res.status(httpStatusCodes.CREATED).send(promotion);
+});
+
+/**
+ * Controller for a seller to update one of their promotions.
+ * @type {import('express').RequestHandler}
+ */
+const updateMyStorePromotion = catchAsync(async (req, res) => {
+  const promotion = await promotionService.updatePromotion(
+    req.params.promotionId,
+    req.body,
+    { sellerId: req.user.id },
+  );
+  res.status(httpStatusCodes.OK).send(promotion);
+});
+
+/**
+ * Controller for a seller to deactivate one of their promotions.
+ * @type {import('express').RequestHandler}
+ */
+const deactivateMyStorePromotion = catchAsync(async (req, res) => {
+  await promotionService.deactivatePromotion(req.params.promotionId, {
+    sellerId: req.user.id,
+  });
+  res.status(httpStatusCodes.NO_CONTENT).send();
+});
+
+export const promotionController = {
+  listMyStorePromotions,
+  createMyStorePromotion,
+  updateMyStorePromotion,
+  deactivateMyStorePromotion,
+};
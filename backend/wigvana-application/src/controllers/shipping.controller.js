@@ -0,0 +1,50 @@
+import httpStatusCodes from "http-status-codes";
+import { shippingService } from "../services/shipping.service.js";
+import catchAsync from "../utils/catchAsync.js";
+
+/**
+ * Controller for a seller to list their shipping zones.
+ * @type {import('express').RequestHandler}
+ */
+const listMyShippingZones = catchAsync(async (req, res) => {
+  const zones = await shippingService.listShippingZones(req.user.id);
+  res.status(httpStatusCodes.OK).send(zones);
+});
+
+/**
+ * Controller for a seller to create a shipping zone.
+ * @type {import('express').RequestHandler}
+ */
+const createMyShippingZone = catchAsync(async (req, res) => {
+  const zone = await shippingService.createShippingZone(req.user.id, req.body);
+  res.status(httpStatusCodes.CREATED).send(zone);
+});
+
+/**
+ * Controller for a seller to update one of their shipping zones.
+ * @type {import('express').RequestHandler}
+ */
+const updateMyShippingZone = catchAsync(async (req, res) => {
+  const zone = await shippingService.updateShippingZone(
+    req.user.id,
+    req.params.zoneId,
+    req.body,
+  );
+  res.status(httpStatusCodes.OK).send(zone);
+});
+
+/**
+ * Controller for a seller to delete one of their shipping zones.
+ * @type {import('express').RequestHandler}
+ */
+const deleteMyShippingZone = catchAsync(async (req, res) => {
+  await shippingService.deleteShippingZone(req.user.id, req.params.zoneId);
+  res.status(httpStatusCodes.NO_CONTENT).send();
+});
+
+export const shippingController = {
+  listMyShippingZones,
+  createMyShippingZone,
+  updateMyShippingZone,
+  deleteMyShippingZone,
+};
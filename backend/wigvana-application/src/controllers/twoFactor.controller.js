@@ -0,0 +1,78 @@
+import httpStatusCodes from "http-status-codes";
+import { twoFactorService } from "../services/twoFactor.service.js";
+import catchAsync from "../utils/catchAsync.js";
+
+/**
+ * Controller to get the authenticated user's two-factor status.
+ * @type {import('express').RequestHandler}
+ */
+const getMyTwoFactorStatus = catchAsync(async (req, res) => {
+  const status = await twoFactorService.getStatus(req.user.id);
+  res.status(httpStatusCodes.OK).send(status);
+});
+
+/**
+ * Controller to start two-factor enrollment for the authenticated user.
+ * @type {import('express').RequestHandler}
+ */
+const setupMyTwoFactor = catchAsync(async (req, res) => {
+  const setup = await twoFactorService.beginEnrollment(req.user.id);
+  res.status(httpStatusCodes.OK).send(setup);
+});
+
+/**
+ * Controller to confirm enrollment with a first code and turn two-factor authentication on.
+ * @type {import('express').RequestHandler}
+ */
+const enableMyTwoFactor = catchAsync(async (req, res) => {
+  const result = await twoFactorService.enable(
+    req.user.id,
+    req.sessionId,
+    req.body.code,
+  );
+  res.status(httpStatusCodes.OK).send(result);
+});
+
+/**
+ * Controller to turn the authenticated user's two-factor authentication off.
+ * @type {import('express').RequestHandler}
+ */
+const disableMyTwoFactor = catchAsync(async (req, res) => {
+  await twoFactorService.disable(req.user.id, req.sessionId, req.body);
+  res.status(httpStatusCodes.NO_CONTENT).send();
+});
+
+/**
+ * Controller to replace the authenticated user's recovery codes.
+ * @type {import('express').RequestHandler}
+ */
+const regenerateMyRecoveryCodes = catchAsync(async (req, res) => {
+  const result = await twoFactorService.regenerateRecoveryCodes(
+    req.user.id,
+    req.sessionId,
+    req.body,
+  );
+  res.status(httpStatusCodes.OK).send(result);
+});
+
+/**
+ * Controller to confirm a second factor for the current session before sensitive actions.
+ * @type {import('express').RequestHandler}
+ */
+const stepUpMySession = catchAsync(async (req, res) => {
+  const result = await twoFactorService.stepUp(
+    req.user.id,
+    req.sessionId,
+    req.body,
+  );
+  res.status(httpStatusCodes.OK).send(result);
+});
+
+export const twoFactorController = {
+  getMyTwoFactorStatus,
+  setupMyTwoFactor,
+  enableMyTwoFactor,
+  disableMyTwoFactor,
+  regenerateMyRecoveryCodes,
+  stepUpMySession,
+};
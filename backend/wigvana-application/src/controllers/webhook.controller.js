@@ -0,0 +1,35 @@
+import httpStatusCodes from "http-status-codes";
+import { paymentWebhookService } from "../services/paymentWebhook.service.js";
+import { trackingService } from "../services/tracking.service.js";
+import catchAsync from "../utils/catchAsync.js";
+
+/**
+ * Controller for inbound payment gateway webhooks. Authenticated by the gateway's signature
+ * over the raw body, not by a user token.
+ * @type {import('express').RequestHandler}
+ */
+const receivePaymentWebhook = catchAsync(async (req, res) => {
+  const ack = await paymentWebhookService.ingestPaymentWebhook(
+    req.params.gateway,
+    { rawBody: req.rawBody, headers: req.headers },
+  );
+  res.status(httpStatusCodes.OK).send(ack);
+});
+
+/**
+ * Controller for inbound carrier tracking webhooks. Authenticated by the carrier's signature
+ * over the raw body, not by a user token.
+ * @type {import('express').RequestHandler}
+ */
+const receiveCarrierWebhook = catchAsync(async (req, res) => {
+  const ack = await trackingService.ingestCarrierWebhook(req.params.carrier, {
+    rawBody: req.rawBody,
+    headers: req.headers,
+  });
+  res.status(httpStatusCodes.OK).send(ack);
+});
+
+export const webhookController = {
+  receivePaymentWebhook,
+  receiveCarrierWebhook,
+};
@@ -0,0 +1,131 @@
+import httpStatusCodes from "http-status-codes";
+import { wishlistService } from "../services/wishlist.service.js";
+import catchAsync from "../utils/catchAsync.js";
+
+/**
+ * Controller to list the authenticated buyer's wishlists.
+ * @type {import('express').RequestHandler}
+ */
+const listMyWishlists = catchAsync(async (req, res) => {
+  const wishlists = await wishlistService.listWishlists(req.user.id);
+  res.status(httpStatusCodes.OK).send(wishlists);
+});
+
+/**
+ * Controller to create a wishlist for the authenticated buyer.
+ * @type {import('express').RequestHandler}
+ */
+const createMyWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.createWishlist(req.user.id, req.body);
+  res.status(httpStatusCodes.CREATED).send(wishlist);
+});
+
+/**
+ * Controller to get one of the authenticated buyer's wishlists with its items.
+ * @type {import('express').RequestHandler}
+ */
+const getMyWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.getWishlist(
+    req.user.id,
+    req.params.wishlistId,
+  );
+  res.status(httpStatusCodes.OK).send(wishlist);
+});
+
+/**
+ * Controller to rename a wishlist or change its visibility.
+ * @type {import('express').RequestHandler}
+ */
+const updateMyWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.updateWishlist(
+    req.user.id,
+    req.params.wishlistId,
+    req.body,
+  );
+  res.status(httpStatusCodes.OK).send(wishlist);
+});
+
+/**
+ * Controller to delete a wishlist and its items.
+ * @type {import('express').RequestHandler}
+ */
+const deleteMyWishlist = catchAsync(async (req, res) => {
+  await wishlistService.deleteWishlist(req.user.id, req.params.wishlistId);
+  res.status(httpStatusCodes.NO_CONTENT).send();
+});
+
+/**
+ * Controller to add a product or variant to a wishlist.
+ * @type {import('express').RequestHandler}
+ */
+const addMyWishlistItem = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.addWishlistItem(
+    req.user.id,
+    req.params.wishlistId,
+    req.body,
+  );
+  res.status(httpStatusCodes.OK).send(wishlist);
+});
+
+/**
+ * Controller to remove an item from a wishlist.
+ * @type {import('express').RequestHandler}
+ */
+const removeMyWishlistItem = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.removeWishlistItem(
+    req.user.id,
+    req.params.wishlistId,
+    req.params.itemId,
+  );
+  res.status(httpStatusCodes.OK).send(wishlist);
+});
+
+/**
+ * Controller to move a wishlist item into the buyer's cart.
+ * @type {import('express').RequestHandler}
+ */
+const moveMyWishlistItemToCart = catchAsync(async (req, res) => {
+  const cart = await wishlistService.moveWishlistItemToCart(
+    req.user.id,
+    req.params.wishlistId,
+    req.params.itemId,
+    req.body,
+  );
+  res.status(httpStatusCodes.OK).send(cart);
+});
+
+/**
+ * Controller to move a cart line to the buyer's "Saved for later" list.
+ * @type {import('express').RequestHandler}
+ */
+const saveMyCartItemForLater = catchAsync(async (req, res) => {
+  const cart = await wishlistService.saveCartItemForLater(
+    req.user.id,
+    req.params.itemId,
+  );
+  res.status(httpStatusCodes.OK).send(cart);
+});
+
+/**
+ * Controller to view a wishlist through its public link. No authentication.
+ * @type {import('express').RequestHandler}
+ */
+const getSharedWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.getSharedWishlist(
+    req.params.shareToken,
+  );
+  res.status(httpStatusCodes.OK).send(wishlist);
+});
+
+export const wishlistController = {
+  listMyWishlists,
+  createMyWishlist,
+  getMyWishlist,
+  updateMyWishlist,
+  deleteMyWishlist,
+  addMyWishlistItem,
+  removeMyWishlistItem,
+  moveMyWishlistItemToCart,
+  saveMyCartItemForLater,
+  getSharedWishlist,
+};
@@ -80,26 +80,48 @@ import {
  *           default: 0
  *     AdminUpdateOrderInput: # For admin updating any order status
  *       type: object
+ *       description: |
+ *         The move must be allowed from the order's current status (e.g. processing → cancelled_by_admin,
+ *         delivered → completed); cancelled, refunded and payment_failed orders are final.
  *       required:
  *         - status
  *       properties:
  *         status:
  *           type: string
- *           # Admin can set a wider range of statuses
- *           enum: [pending_payment, payment_failed, processing, shipped, out_for_delivery, delivered, cancelled_by_user, cancelled_by_seller, cancelled_by_admin, refund_pending, refunded, completed, resolved_dispute]
- *         notes: # Admin notes on the order update
+ *           enum: [processing, partially_shipped, shipped, out_for_delivery, delivered, cancelled_by_admin, refund_pending, refunded, completed]
+ *         notes:
  *           type: string
  *           nullable: true
+ *           description: Kept in the order's status history; only visible to admins.
  *     AdminProcessRefundInput:
  *       type: object
+ *       description: |
+ *         Either refund specific items (and/or shipping), in which case the amount is computed from the
+ *         order (item price less its share of the order discount, plus its share of the tax), or refund
+ *         a lump `amount` not tied to items. The two forms cannot be combined.
  *       required:
- *         - amount
  *         - reason
  *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [orderItemId, quantity]
+ *             properties:
+ *               orderItemId: {type: string, format: uuid}
+ *               quantity: {type: integer, minimum: 1}
+ *         shippingAmount:
+ *           type: number
+ *           format: float
+ *           description: "Shipping cost to refund, up to what has not been refunded yet."
+ *         includeTax:
+ *           type: boolean
+ *           default: true
+ *           description: "Also refund the tax charged on the refunded items."
  *         amount:
  *           type: number
  *           format: float
- *           description: "Amount to refund. Can be partial or full."
+ *           description: "Lump sum to refund (e.g. a goodwill credit)."
  *         reason:
  *           type: string
  *           description: "Reason for the refund."
@@ -317,21 +339,18 @@ export const listAdminOrdersQuerySchema = z.object({
 export const adminUpdateOrderStatusSchema = z.object({
   params: z.object({ orderId: objectIdSchema }),
   body: z.object({
+    // Statuses only the buyer, sellers or the payment flow can cause are not offered to admins
     status: z.enum(
       [
-        "pending_payment",
-        "payment_failed",
         "processing",
+        "partially_shipped",
         "shipped",
         "out_for_delivery",
         "delivered",
-        "cancelled_by_user",
-        "cancelled_by_seller",
         "cancelled_by_admin",
         "refund_pending",
         "refunded",
         "completed",
-        "resolved_dispute",
       ],
       { required_error: "Status is required." },
     ),
@@ -341,17 +360,92 @@ export const adminUpdateOrderStatusSchema = z.object({
 
 export const adminProcessRefundSchema = z.object({
   params: z.object({ orderId: objectIdSchema }),
-  body: z.object({
-    amount: z.coerce.number().positive("Refund amount must be positive."),
-    reason: z.string().trim().min(1, "Reason for refund is required."),
-    // orderItemId: objectIdSchema.optional(), // For partial item refund
-  }),
+  body: z
+    .object({
+      items: z
+        .array(
+          z.object({
+            orderItemId: objectIdSchema,
+            quantity: z.coerce.number().int().min(1),
+          }),
+        )
+        .optional(),
+      shippingAmount: z.coerce
+        .number()
+        .min(0, "Shipping refund cannot be negative.")
+        .optional(),
+      includeTax: z.boolean().optional(),
+      amount: z.coerce
+        .number()
+        .positive("Refund amount must be positive.")
+        .optional(),
+      reason: z.string().trim().min(1, "Reason for refund is required."),
+    })
+    .refine(
+      (data) =>
+        data.amount !== undefined ||
+        (data.items?.length ?? 0) > 0 ||
+        (data.shippingAmount ?? 0) > 0,
+      { message: "Provide an amount, items or a shipping amount to refund." },
+    ),
 });
 export const orderIdParamsSchema = z.object({
   // Reused
   params: z.object({ orderId: objectIdSchema }),
 });
 
+// --- Admin Return Management ---
+export const listAdminReturnsQuerySchema = z.object({
+  query: paginationQuerySchema
+    .extend({
+      status: z
+        .enum([
+          "pending_approval",
+          "approved",
+          "rejected",
+          "item_received",
+          "refund_processing",
+          "refunded",
+          "all",
+        ])
+        .default("all")
+        .optional(),
+      orderId: objectIdSchema.optional(),
+      buyerId: objectIdSchema.optional(),
+      sellerId: objectIdSchema.optional(),
+    })
+    .strict(),
+});
+
+// Admins drive the same return lifecycle as sellers; see updateReturnStatusSchema in order.dto.js.
+export { updateReturnStatusSchema as adminUpdateReturnStatusSchema } from "./order.dto.js";
+
+// --- Admin Payment Webhook Management ---
+export {
+  listWebhookEventsQuerySchema,
+  webhookEventIdParamsSchema,
+} from "./webhook.dto.js";
+
+// --- Admin Promotion Management ---
+// Admins use the same promotion schemas as sellers; they may also scope a promotion to any seller.
+export {
+  listPromotionsQuerySchema as listAdminPromotionsQuerySchema,
+  createPromotionSchema as adminCreatePromotionSchema,
+  updatePromotionSchema as adminUpdatePromotionSchema,
+  promotionIdParamsSchema,
+} from "./promotion.dto.js";
+
+// --- Admin Cart Reports ---
+export { cartAbandonmentReportQuerySchema } from "./cart.dto.js";
+
+// --- Admin Tax Rate Management ---
+export {
+  listTaxRatesQuerySchema,
+  createTaxRateSchema,
+  updateTaxRateSchema,
+  taxRateIdParamsSchema,
+} from "./tax.dto.js";
+
 // --- Admin Review Management ---
 export const listAdminReviewsQuerySchema = z.object({
   query: paginationQuerySchema
@@ -129,6 +129,183 @@ import { z } from "zod";
  *           format: password
  *           minLength: 6
  *           example: "newSecurePassword123"
+ *
+ *     Session:
+ *       type: object
+ *       description: A login on one device. Refreshing keeps the session; logging out or revoking it ends it.
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "0b6f1c9e-3f7a-4c1e-9d2b-6a4e5f7d8c90"
+ *         device:
+ *           type: string
+ *           description: Summary of the client's User-Agent.
+ *           example: "Firefox on Windows"
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *           example: "203.0.113.7"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the session last logged in or refreshed its access token.
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request.
+ *
+ *     TwoFactorChallengeResponse:
+ *       type: object
+ *       description: Returned by login instead of tokens when the account has two-factor authentication enabled.
+ *       properties:
+ *         twoFactorRequired:
+ *           type: boolean
+ *           example: true
+ *         challengeToken:
+ *           type: string
+ *           description: Send it with the second factor to /auth/login/two-factor. Works once.
+ *         challengeExpiresAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     SecondFactorInput:
+ *       type: object
+ *       description: Exactly one of `code` and `recoveryCode`.
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Six digit code from the authenticator app.
+ *           example: "492039"
+ *         recoveryCode:
+ *           type: string
+ *           description: One of the recovery codes; each works once.
+ *           example: "3f9a1-c07be"
+ *
+ *     TwoFactorLoginDto:
+ *       allOf:
+ *         - $ref: '#/components/schemas/SecondFactorInput'
+ *         - type: object
+ *           required:
+ *             - challengeToken
+ *           properties:
+ *             challengeToken:
+ *               type: string
+ *
+ *     EnableTwoFactorDto:
+ *       type: object
+ *       required:
+ *         - code
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Current code from the authenticator app the secret was added to.
+ *           example: "492039"
+ *
+ *     DisableTwoFactorDto:
+ *       allOf:
+ *         - $ref: '#/components/schemas/SecondFactorInput'
+ *         - type: object
+ *           required:
+ *             - password
+ *           properties:
+ *             password:
+ *               type: string
+ *               format: password
+ *
+ *     TwoFactorStatus:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         enabledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         required:
+ *           type: boolean
+ *           description: Whether the user's roles require two-factor authentication (admins).
+ *         recoveryCodesRemaining:
+ *           type: integer
+ *
+ *     TwoFactorSetupResponse:
+ *       type: object
+ *       properties:
+ *         secret:
+ *           type: string
+ *           description: Base32 secret, for entering into the authenticator app by hand.
+ *           example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *         otpauthUri:
+ *           type: string
+ *           description: Provisioning URI to render as a QR code for the authenticator app to scan.
+ *           example: "otpauth://totp/Wigvana%3Ajohn.doe%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Wigvana&algorithm=SHA1&digits=6&period=30"
+ *
+ *     TwoFactorRecoveryCodes:
+ *       type: object
+ *       properties:
+ *         recoveryCodes:
+ *           type: array
+ *           description: Shown only once. Each code can stand in for an authenticator code one time.
+ *           items:
+ *             type: string
+ *             example: "3f9a1-c07be"
+ *
+ *     StepUpResponse:
+ *       type: object
+ *       properties:
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Until when this session may perform sensitive actions without another code.
+ *
+ *     OidcProvider:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Used in the sign-in URLs, e.g. /auth/oidc/{name}/authorize.
+ *           example: "google"
+ *         displayName:
+ *           type: string
+ *           example: "Google"
+ *
+ *     OidcAuthorizationResponse:
+ *       type: object
+ *       properties:
+ *         authorizationUrl:
+ *           type: string
+ *           description: Send the browser here to sign in with the provider.
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The sign-in has to be completed by then.
+ *
+ *     LinkedIdentity:
+ *       type: object
+ *       properties:
+ *         provider:
+ *           type: string
+ *           example: "google"
+ *         displayName:
+ *           type: string
+ *           example: "Google"
+ *         email:
+ *           type: string
+ *           nullable: true
+ *           description: Email address the provider last reported for the account.
+ *         linkedAt:
+ *           type: string
+ *           format: date-time
+ *         lastLoginAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  */
 
 // Zod schema for user registration request body
@@ -172,3 +349,67 @@ export const confirmPasswordResetDtoSchema = z.object({
 			.min(6, "New password must be at least 6 characters long"),
 	}),
 });
+
+// Zod schema for the session ID path parameter
+export const sessionIdParamsSchema = z.object({
+	params: z.object({
+		sessionId: z.string().trim().min(1, "Session ID is required"),
+	}),
+});
+
+// Fields for a second factor; exactly one of them must be given
+const secondFactorFields = {
+	code: z
+		.string()
+		.trim()
+		.regex(/^\d{6}$/, "Code must be 6 digits")
+		.optional(),
+	recoveryCode: z.string().trim().min(1).optional(),
+};
+
+/**
+ * Body schema requiring exactly one second factor next to the given fields.
+ * @param {z.ZodRawShape} [shape={}] - Other body fields.
+ */
+const withSecondFactor = (shape = {}) =>
+	z
+		.object({ ...shape, ...secondFactorFields })
+		.refine((data) => Boolean(data.code) !== Boolean(data.recoveryCode), {
+			message: "Provide either a code or a recovery code",
+		});
+
+// Zod schema for a request carrying only a second factor
+export const secondFactorDtoSchema = z.object({
+	body: withSecondFactor(),
+});
+
+// Zod schema for completing a login with two-factor authentication
+export const twoFactorLoginDtoSchema = z.object({
+	body: withSecondFactor({
+		challengeToken: z.string().trim().min(1, "Challenge token is required"),
+	}),
+});
+
+// Zod schema for confirming two-factor enrollment
+export const enableTwoFactorDtoSchema = z.object({
+	body: z.object({
+		code: z
+			.string()
+			.trim()
+			.regex(/^\d{6}$/, "Code must be 6 digits"),
+	}),
+});
+
+// Zod schema for turning two-factor authentication off
+export const disableTwoFactorDtoSchema = z.object({
+	body: withSecondFactor({
+		password: z.string().min(1, "Password is required"),
+	}),
+});
+
+// Zod schema for the OpenID Connect provider path parameter
+export const oidcProviderParamsSchema = z.object({
+	params: z.object({
+		provider: z.string().trim().min(1, "Provider is required"),
+	}),
+});
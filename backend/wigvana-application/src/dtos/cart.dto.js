@@ -36,7 +36,26 @@ import { objectIdSchema } from "./common.dto.js";
  *             priceAtAddition:
  *               type: number
  *               format: float
- *               description: Price of the variant when added to cart.
+ *               description: What the variant sells for now (its sale price while a sale is on). Lines are repriced on every cart read.
+ *             regularPrice:
+ *               type: number
+ *               format: float
+ *               description: The variant's list ("was") price.
+ *             onSale:
+ *               type: boolean
+ *             saleEndsAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: When the running sale ends; null if open-ended or not on sale.
+ *             purchasable:
+ *               type: boolean
+ *               description: False for unavailable and out-of-stock lines, which stay in the cart but not in its totals.
+ *             changes:
+ *               type: array
+ *               description: What changed on the line since the buyer last acknowledged the cart.
+ *               items:
+ *                 $ref: '#/components/schemas/CartLineChange'
  *             currencyAtAddition:
  *               type: string
  *               example: "USD"
@@ -45,6 +64,31 @@ import { objectIdSchema } from "./common.dto.js";
  *             variantAttributesSnapshot:
  *                type: object
  *             # You might also include product image URL here
+ *     CartLineChange:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [price_changed, quantity_reduced, out_of_stock, unavailable]
+ *           description: |
+ *             price_changed: the price moved from the one the buyer accepted.
+ *             quantity_reduced: stock dropped below the quantity asked for and the line was cut down.
+ *             out_of_stock: nothing is left of the variant.
+ *             unavailable: the product was unpublished or removed, or the variant deactivated or removed.
+ *         previousPrice:
+ *           type: number
+ *           format: float
+ *           description: Price the buyer accepted (price_changed).
+ *         currentPrice:
+ *           type: number
+ *           format: float
+ *           description: Price the line is charged at now (price_changed).
+ *         previousQuantity:
+ *           type: integer
+ *           description: Quantity the buyer asked for (quantity_reduced).
+ *         currentQuantity:
+ *           type: integer
+ *           description: Quantity left on the line (quantity_reduced).
  *     Cart:
  *       type: object
  *       properties:
@@ -66,11 +110,51 @@ import { objectIdSchema } from "./common.dto.js";
  *           description: Total number of unique items in the cart.
  *         totalQuantity:
  *           type: integer
- *           description: Total quantity of all items in the cart.
+ *           description: Total quantity of the purchasable items in the cart.
+ *         requiresAcknowledgement:
+ *           type: boolean
+ *           description: True while any line has changes; checkout is refused until the buyer acknowledges them.
  *         subtotal:
  *           type: number
  *           format: float
- *           description: Total price of items in the cart (before shipping, taxes, discounts).
+ *           description: Total price of the purchasable items in the cart (before shipping, taxes, discounts).
+ *         discountCode:
+ *           type: string
+ *           nullable: true
+ *           description: Discount code applied to the cart (buyer carts only).
+ *         discountAmount:
+ *           type: number
+ *           format: float
+ *           description: What the discount code takes off the items; 0 if it no longer applies.
+ *         freeShipping:
+ *           type: boolean
+ *           description: True if the discount code waives shipping at checkout.
+ *         discountNotice:
+ *           type: string
+ *           description: Why the applied discount code no longer applies, if it doesn't.
+ *         discountedSubtotal:
+ *           type: number
+ *           format: float
+ *           description: Subtotal less the discount (before shipping and taxes).
+ *         taxAddressId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Address the tax preview is for; null if the buyer has no shipping address yet.
+ *         taxAmount:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Tax checkout will charge on the items, for taxAddressId. Null without an address.
+ *         includedTaxAmount:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Part of taxAmount already contained in tax-inclusive prices.
+ *         estimatedTotal:
+ *           type: number
+ *           format: float
+ *           description: discountedSubtotal plus the tax not already in the prices. Shipping is added at checkout.
  *         currency:
  *           type: string
  *           example: "USD"
@@ -105,6 +189,60 @@ import { objectIdSchema } from "./common.dto.js";
  *           format: uuid # Assuming your anonymousCartToken is a UUID
  *           description: "The ID (anonymousCartToken) of the anonymous cart to be merged into the authenticated buyer's cart."
  *           example: "a1b2c3d4-e5f6-7890-1234-567890abcdef"
+ *     CartReservation:
+ *       type: object
+ *       description: A temporary hold on stock for the lines of a cart while the buyer pays.
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         cartId:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [active, released, expired, converted]
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId: {type: string, format: uuid}
+ *               variantId: {type: string, format: uuid}
+ *               quantity: {type: integer, minimum: 1}
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the hold lapses and the units become available to other buyers again.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     CartAbandonmentReport:
+ *       type: object
+ *       description: What became of the carts abandoned in a period.
+ *       properties:
+ *         from: {type: string, format: date-time}
+ *         to: {type: string, format: date-time}
+ *         abandonedCarts:
+ *           type: integer
+ *           description: Buyer carts left idle with items in them for the configured time.
+ *         notifiedCarts:
+ *           type: integer
+ *           description: Abandoned carts whose owner was sent a restore link.
+ *         recoveredCarts:
+ *           type: integer
+ *           description: Abandoned carts their owner came back to, through the link or otherwise.
+ *         recoveredFromLink:
+ *           type: integer
+ *         convertedCarts:
+ *           type: integer
+ *           description: Recovered carts that were checked out.
+ *         recoveryRate:
+ *           type: number
+ *           description: recoveredCarts / abandonedCarts (0 to 1).
+ *         conversionRate:
+ *           type: number
+ *           description: convertedCarts / abandonedCarts (0 to 1).
  */
 
 export const createCartSchema = z.object({
@@ -155,6 +293,35 @@ export const clearCartParamsSchema = z.object({
 	}),
 });
 
+export const acknowledgeCartChangesParamsSchema = z.object({
+	params: z.object({
+		cartId: objectIdSchema,
+	}),
+});
+
+export const restoreCartQuerySchema = z.object({
+	query: z.object({
+		token: z.string().min(1),
+	}),
+});
+
+export const cartAbandonmentReportQuerySchema = z.object({
+	query: z
+		.object({
+			from: z.coerce.date().optional(), // Defaults to 30 days before `to`
+			to: z.coerce.date().optional(), // Defaults to now
+		})
+		.strict(),
+});
+
+export const viewBuyerCartQuerySchema = z.object({
+	query: z
+		.object({
+			shippingAddressId: objectIdSchema.optional(), // Defaults to the buyer's default shipping address
+		})
+		.strict(),
+});
+
 export const mergeAnonymousCartSchema = z.object({
 	body: z.object({
 		anonymousCartId: objectIdSchema.describe(
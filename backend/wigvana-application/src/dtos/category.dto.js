@@ -2,7 +2,6 @@ import { z } from "zod";
 import {
   objectIdSchema,
   paginationQuerySchema,
-  productSortBySchema,
   sortOrderSchema,
 } from "./common.dto.js";
 
@@ -78,24 +77,40 @@ export const listProductsInCategoryParamsSchema = z.object({
         .describe(
           "Search query for product name or description within category",
         ),
-      sort_by: productSortBySchema.optional(),
+      sort_by: z
+        .enum([
+          "relevance",
+          "price",
+          "discount",
+          "name",
+          "basePrice",
+          "averageRating",
+          "createdAt",
+          "updatedAt",
+        ])
+        .optional()
+        .describe("Defaults to relevance when searching, else createdAt"),
       order: sortOrderSchema.optional(),
       minPrice: z.coerce
         .number()
         .min(0)
         .optional()
-        .describe("Minimum price filter"),
+        .describe("Minimum effective variant price"),
       maxPrice: z.coerce
         .number()
         .min(0)
         .optional()
-        .describe("Maximum price filter"),
+        .describe("Maximum effective variant price"),
       brand: z
         .string()
         .trim()
         .min(1)
         .optional()
-        .describe("Filter by brand name"),
+        .describe("Comma-separated brands"),
+      onSale: z
+        .enum(["true", "false"])
+        .optional()
+        .describe("Only products with a variant on sale"),
     })
     .strict(),
 });
@@ -0,0 +1,196 @@
+import { z } from "zod";
+import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     InventoryLevel:
+ *       type: object
+ *       description: Stock position of one variant owned by the seller.
+ *       properties:
+ *         variantId:
+ *           type: string
+ *           format: uuid
+ *         productId:
+ *           type: string
+ *           format: uuid
+ *         productName:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         attributes:
+ *           type: object
+ *         isActive:
+ *           type: boolean
+ *         onHand:
+ *           type: integer
+ *           description: Units physically in stock (not yet sold).
+ *         reserved:
+ *           type: integer
+ *           description: Units held by buyers' active checkout reservations.
+ *         available:
+ *           type: integer
+ *           description: Units that can still be added to carts and ordered (onHand - reserved).
+ *         lowStockThreshold:
+ *           type: integer
+ *           nullable: true
+ *           description: The seller is alerted once onHand drops to or below this. Null when alerts are off.
+ *         lowStock:
+ *           type: boolean
+ *           description: True if onHand is at or below lowStockThreshold.
+ *         lowStockAlertedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the current low-stock alert fired; cleared once stock is back above the threshold.
+ *     PaginatedInventoryLevels:
+ *       type: object
+ *       properties:
+ *         results:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InventoryLevel'
+ *         page: { type: integer }
+ *         limit: { type: integer }
+ *         totalPages: { type: integer }
+ *         totalResults: { type: integer }
+ *     InventoryUpdateRow:
+ *       type: object
+ *       required: [sku, quantity]
+ *       properties:
+ *         sku:
+ *           type: string
+ *           example: "TSHIRT-RED-M-001"
+ *         quantity:
+ *           type: integer
+ *           description: New on-hand quantity (mode=set) or signed change to it (mode=adjust).
+ *           example: 25
+ *     BulkInventoryUpdateInput:
+ *       type: object
+ *       required: [items]
+ *       properties:
+ *         items:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 1000
+ *           items:
+ *             $ref: '#/components/schemas/InventoryUpdateRow'
+ *         note:
+ *           type: string
+ *           maxLength: 500
+ *           description: Reason recorded in the inventory ledger, e.g. "Stock take 2024-06".
+ *     BulkInventoryUpdateResult:
+ *       type: object
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [set, adjust]
+ *         updatedCount:
+ *           type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InventoryLevel'
+ *     InventoryMovement:
+ *       type: object
+ *       description: One change to a variant's on-hand stock, as recorded in the inventory ledger.
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: uuid
+ *         variantId:
+ *           type: string
+ *           format: uuid
+ *         productId:
+ *           type: string
+ *           format: uuid
+ *         sku:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [initial_stock, sale, cancellation_release, return_restock, manual_adjustment]
+ *         quantityChange:
+ *           type: integer
+ *           description: Signed change; negative when units left stock.
+ *         quantityAfter:
+ *           type: integer
+ *           description: On-hand quantity right after the movement.
+ *         orderId:
+ *           type: string
+ *           format: uuid
+ *         returnRequestId:
+ *           type: string
+ *           format: uuid
+ *         actorId:
+ *           type: string
+ *           format: uuid
+ *         actorRole:
+ *           type: string
+ *           enum: [buyer, seller, admin, system]
+ *         note:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     PaginatedInventoryMovements:
+ *       type: object
+ *       properties:
+ *         results:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InventoryMovement'
+ *         page: { type: integer }
+ *         limit: { type: integer }
+ *         totalPages: { type: integer }
+ *         totalResults: { type: integer }
+ */
+
+export const listSellerInventoryQuerySchema = z.object({
+	query: paginationQuerySchema
+		.extend({
+			productId: objectIdSchema.optional(),
+			lowStock: z.enum(["true", "false"]).optional(),
+		})
+		.strict(),
+});
+
+const inventoryUpdateRowSchema = z.object({
+	sku: z.string().trim().min(1, "SKU is required"),
+	quantity: z.coerce.number().int("Quantity must be a whole number"),
+});
+
+export const bulkUpdateInventorySchema = z.object({
+	query: z
+		.object({
+			mode: z.enum(["set", "adjust"]).default("set").optional(),
+			note: z.string().trim().max(500).optional(),
+		})
+		.strict(),
+	// JSON body, or the raw text of a text/csv upload (parsed by the service)
+	body: z.union([
+		z.string().min(1, "CSV body is empty"),
+		z.object({
+			items: z.array(inventoryUpdateRowSchema).min(1).max(1000),
+			note: z.string().trim().max(500).optional(),
+		}),
+	]),
+});
+
+export const listInventoryMovementsQuerySchema = z.object({
+	query: paginationQuerySchema
+		.extend({
+			variantId: objectIdSchema.optional(),
+			sku: z.string().trim().min(1).optional(),
+			type: z
+				.enum([
+					"initial_stock",
+					"sale",
+					"cancellation_release",
+					"return_restock",
+					"manual_adjustment",
+				])
+				.optional(),
+		})
+		.strict(),
+});
@@ -1,5 +1,6 @@
 import { z } from "zod";
 import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
+import { shippingSelectionSchema } from "./shipping.dto.js";
 
 /**
  * @openapi
@@ -26,13 +27,24 @@ import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
  *         paymentMethodId:
  *           type: string
  *           format: uuid
- *         shippingMethod: # Could be an ID or a string descriptor
+ *         shippingSelections:
+ *           type: array
+ *           description: |
+ *             One shipping method per seller, from GET /me/cart/shipping-options. Sellers left out
+ *             ship by their cheapest option. The order is rejected if a seller does not ship to the
+ *             shipping address.
+ *           items:
+ *             $ref: '#/components/schemas/ShippingSelection'
+ *         shippingMethod:
  *           type: string
- *           example: "standard-shipping"
- *           description: "Selected shipping method identifier."
+ *           deprecated: true
+ *           description: Ignored. The order's shippingMethod is set from the chosen methods.
  *         notesByBuyer:
  *           type: string
  *           nullable: true
+ *         discountCode:
+ *           type: string
+ *           description: Discount code to redeem. Defaults to the code applied to the cart; the order is rejected if it no longer applies.
  *     OrderItemResponse: # For Order details
  *       type: object
  *       properties:
@@ -57,9 +69,31 @@ import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
  *         totalPrice:
  *           type: number
  *           format: float
+ *         discountAmount:
+ *           type: number
+ *           format: float
+ *           description: This line's share of the order discount.
+ *         taxAmount:
+ *           type: number
+ *           format: float
+ *           description: Tax on the line after its discount.
+ *         includedTaxAmount:
+ *           type: number
+ *           format: float
+ *           description: Part of taxAmount already contained in the price (tax-inclusive markets).
+ *         taxBreakdown:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TaxBreakdownEntry'
  *         itemStatus:
  *           type: string
- *           enum: [pending, processing, shipped, delivered, cancelled, returned, refunded]
+ *           enum: [pending, processing, shipped, delivered, cancelled, return_requested, return_approved, returned, refund_pending, partially_refunded, refunded]
+ *         refundedQuantity:
+ *           type: integer
+ *           description: Units of this line covered by refunds.
+ *         refundedAmount:
+ *           type: number
+ *           description: Goods value plus tax refunded for this line.
  *         # sellerId: # If needed
  *         #   type: string
  *         #   format: uuid
@@ -77,7 +111,8 @@ import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
  *           format: "date-time"
  *         status:
  *           type: string
- *           enum: [pending_payment, payment_failed, processing, shipped, out_for_delivery, delivered, cancelled_by_user, cancelled_by_seller, cancelled_by_admin, refund_pending, refunded, completed]
+ *           enum: [pending_payment, payment_failed, processing, partially_shipped, shipped, out_for_delivery, delivered, cancelled_by_user, cancelled_by_seller, cancelled_by_admin, refund_pending, refunded, completed]
+ *           description: While the order is being fulfilled this is derived from its shipments (one per seller).
  *         shippingAddressSnapshot:
  *           type: object # Snapshot of the address used
  *         billingAddressSnapshot:
@@ -86,15 +121,57 @@ import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
  *           type: object # Snapshot of payment method used
  *         paymentStatus:
  *           type: string
- *           enum: [pending, paid, failed, refunded]
+ *           enum: [pending, authorized, paid, partially_refunded, failed, voided, refunded, disputed]
+ *         paymentGateway:
+ *           type: string
+ *           example: "simulator"
+ *         paymentFailureReason:
+ *           type: string
+ *           description: Gateway decline code (or payment_timeout) when the order is payment_failed.
+ *         paymentNextAction:
+ *           type: object
+ *           description: Present while pending_payment when the buyer must act, e.g. complete 3-D Secure.
+ *           properties:
+ *             type: {type: string, example: "three_d_secure"}
+ *             redirectUrl: {type: string, format: uri}
+ *         paymentExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a pending_payment order is failed and its stock released if still unpaid.
+ *         dispute:
+ *           type: object
+ *           description: Chargeback details when paymentStatus is disputed.
+ *           properties:
+ *             gatewayDisputeId: {type: string}
+ *             reason: {type: string}
+ *             amount: {type: number}
+ *             openedAt: {type: string, format: date-time}
+ *         refundedAmount:
+ *           type: number
+ *           description: Sum of pending and succeeded refunds.
+ *         refunds:
+ *           type: array
+ *           description: Refund ledger, oldest first. Failed refunds are kept for reconciliation.
+ *           items:
+ *             $ref: '#/components/schemas/OrderRefund'
  *         subtotalAmount:
  *           type: number
+ *         discountCode:
+ *           type: string
+ *           nullable: true
  *         discountAmount:
  *           type: number
+ *         shippingMethod:
+ *           type: string
+ *           description: Names of the chosen shipping methods.
  *         shippingCost:
  *           type: number
+ *           description: Sum of the sellers' shipping, less any free-shipping discount.
  *         taxAmount:
  *           type: number
+ *         includedTaxAmount:
+ *           type: number
+ *           description: Part of taxAmount already contained in item prices; not added to totalAmount.
  *         totalAmount:
  *           type: number
  *         currency:
@@ -109,12 +186,214 @@ import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/OrderItemResponse'
+ *         shipments:
+ *           type: array
+ *           description: One shipment per seller. Sellers only see their own.
+ *           items:
+ *             $ref: '#/components/schemas/Shipment'
  *         createdAt:
  *           type: string
  *           format: "date-time"
  *         updatedAt:
  *           type: string
  *           format: "date-time"
+ *     Shipment:
+ *       type: object
+ *       description: One seller's items within an order, fulfilled and tracked independently.
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: uuid
+ *         orderId:
+ *           type: string
+ *           format: uuid
+ *         sellerId:
+ *           oneOf:
+ *             - type: string
+ *               format: uuid
+ *             - type: object
+ *               properties:
+ *                 _id: {type: string, format: uuid}
+ *                 firstName: {type: string}
+ *                 lastName: {type: string}
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, shipped, out_for_delivery, delivered, cancelled]
+ *         shippingMethodId:
+ *           type: string
+ *         shippingMethodName:
+ *           type: string
+ *         shippingCost:
+ *           type: number
+ *           description: Price of the chosen method for this parcel.
+ *         carrier:
+ *           type: string
+ *         trackingNumber:
+ *           type: string
+ *         shippedAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         items:
+ *           type: array
+ *           description: Present on the buyer's order details.
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id: {type: string, format: uuid}
+ *               productNameSnapshot: {type: string}
+ *               quantity: {type: integer}
+ *               itemStatus: {type: string}
+ *     OrderRefund:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: uuid
+ *         amount:
+ *           type: number
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItemId: {type: string, format: uuid}
+ *               quantity: {type: integer}
+ *               amount: {type: number}
+ *               taxAmount: {type: number}
+ *         shippingAmount:
+ *           type: number
+ *         taxAmount:
+ *           type: number
+ *         reason:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [admin, return, gateway, cancellation]
+ *         actorId:
+ *           type: string
+ *           format: uuid
+ *         returnRequestId:
+ *           type: string
+ *           format: uuid
+ *         shipmentId:
+ *           type: string
+ *           format: uuid
+ *           description: Set when the refund followed a seller cancelling their shipment.
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         gatewayRefundId:
+ *           type: string
+ *         failureReason:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     OrderStatusEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         entity:
+ *           type: string
+ *           enum: [order, order_item]
+ *           description: Whether the order itself or one of its items changed status.
+ *         orderItemId:
+ *           type: string
+ *           format: uuid
+ *           description: The item that changed, for order_item events.
+ *         fromStatus:
+ *           type: string
+ *           nullable: true
+ *           description: Null for the event that created the order.
+ *         toStatus:
+ *           type: string
+ *         actorId:
+ *           type: string
+ *           format: uuid
+ *           description: Absent for system events (payment webhooks, expiry jobs, gateway refunds).
+ *         actorRole:
+ *           type: string
+ *           enum: [buyer, seller, admin, system]
+ *         note:
+ *           type: string
+ *           description: Admin notes are only shown to admins.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     OrderTimeline:
+ *       type: object
+ *       properties:
+ *         orderId:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           description: The order's current status.
+ *         events:
+ *           type: array
+ *           description: Status changes, oldest first.
+ *           items:
+ *             $ref: '#/components/schemas/OrderStatusEvent'
+ *     TrackingEvent:
+ *       type: object
+ *       description: One scan reported by the carrier.
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [label_created, in_transit, out_for_delivery, delivered, exception]
+ *         description:
+ *           type: string
+ *         location:
+ *           type: string
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ *     OrderTracking:
+ *       type: object
+ *       properties:
+ *         orderId:
+ *           type: string
+ *           format: uuid
+ *         shipments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               shipmentId:
+ *                 type: string
+ *                 format: uuid
+ *               seller:
+ *                 type: object
+ *                 properties:
+ *                   _id: {type: string, format: uuid}
+ *                   firstName: {type: string}
+ *                   lastName: {type: string}
+ *               status:
+ *                 type: string
+ *                 enum: [pending, processing, shipped, out_for_delivery, delivered, cancelled]
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               shippedAt:
+ *                 type: string
+ *                 format: date-time
+ *               deliveredAt:
+ *                 type: string
+ *                 format: date-time
+ *               events:
+ *                 type: array
+ *                 description: Oldest first.
+ *                 items:
+ *                   $ref: '#/components/schemas/TrackingEvent'
  *     PaginatedOrders:
  *       type: object
  *       properties:
@@ -148,20 +427,12 @@ import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
  *           type: integer
  *           minimum: 1
  *           description: "Quantity of the item to return."
- *     ReturnRequestResponse: # Placeholder for return request confirmation
- *       type: object
- *       properties:
- *         returnRequestId:
- *           type: string
- *           format: uuid
- *         status:
- *           type: string
- *           example: "pending_approval"
- *         message:
- *           type: string
- *           example: "Return request submitted successfully."
+ *     ReturnRequestResponse:
+ *       allOf:
+ *         - $ref: '#/components/schemas/SellerReturnListItem'
  *     UpdateOrderStatusInput:
  *       type: object
+ *       description: Updates the seller's own shipment in the order; cancelled_by_seller cancels it.
  *       required:
  *         - status
  *       properties:
@@ -178,13 +449,19 @@ import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
  *           type: string
  *           nullable: true
  *           example: "UPS"
+ *           description: |
+ *             Carriers the platform integrates with (e.g. `mock`) are tracked automatically: the
+ *             shipment moves to out_for_delivery and delivered as the carrier reports it.
  *         notes: # Internal notes by seller for this status update
  *           type: string
  *           nullable: true
  *     # For Seller Returns Management
- *     SellerReturnListItem: # When seller lists return requests
+ *     SellerReturnListItem: # Return request as listed for buyers, sellers and admins
  *       type: object
  *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
  *         returnRequestId:
  *           type: string
  *           format: uuid
@@ -203,11 +480,26 @@ import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
  *         buyerId:
  *           type: string
  *           format: uuid
- *         # buyerName:
- *         #   type: string
+ *         sellerId:
+ *           type: string
+ *           format: uuid
  *         status:
  *           type: string
- *           enum: [pending_approval, approved, rejected, processing_refund, refunded, item_received]
+ *           enum: [pending_approval, approved, rejected, item_received, refund_processing, refunded]
+ *         sellerNotes:
+ *           type: string
+ *           nullable: true
+ *         refundAmount:
+ *           type: number
+ *           nullable: true
+ *         restockedAt:
+ *           type: string
+ *           format: "date-time"
+ *           nullable: true
+ *         resolvedAt:
+ *           type: string
+ *           format: "date-time"
+ *           nullable: true
  *         requestedAt:
  *           type: string
  *           format: "date-time"
@@ -236,7 +528,7 @@ import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
  *       properties:
  *         status:
  *           type: string
- *           enum: [approved, rejected, processing_refund, refunded, item_received]
+ *           enum: [approved, rejected, item_received, refund_processing, refunded]
  *           example: "approved"
  *         reason: # Required if rejecting, optional otherwise
  *           type: string
@@ -253,8 +545,10 @@ export const placeOrderSchema = z.object({
     shippingAddressId: objectIdSchema,
     billingAddressId: objectIdSchema,
     paymentMethodId: objectIdSchema,
-    shippingMethod: z.string().trim().min(1, "Shipping method is required"),
+    shippingSelections: z.array(shippingSelectionSchema).optional(), // Defaults to each seller's cheapest option
+    shippingMethod: z.string().trim().optional(), // Deprecated; ignored
     notesByBuyer: z.string().trim().nullable().optional(),
+    discountCode: z.string().trim().min(1).optional(), // Defaults to the cart's code
   }),
 });
 
@@ -294,6 +588,28 @@ export const requestReturnSchema = z.object({
   }),
 });
 
+const returnStatusFilterSchema = z
+  .enum([
+    "pending_approval",
+    "approved",
+    "rejected",
+    "item_received",
+    "refund_processing",
+    "refunded",
+    "all",
+  ])
+  .default("all")
+  .optional();
+
+export const listBuyerReturnsQuerySchema = z.object({
+  query: paginationQuerySchema
+    .extend({
+      status: returnStatusFilterSchema,
+      orderId: objectIdSchema.optional(),
+    })
+    .strict(),
+});
+
 // For Seller listing their orders
 export const listSellerOrdersQuerySchema = z.object({
   query: paginationQuerySchema
@@ -350,18 +666,7 @@ export const updateOrderStatusSchema = z.object({
 export const listSellerReturnsQuerySchema = z.object({
   query: paginationQuerySchema
     .extend({
-      status: z
-        .enum([
-          "pending_approval",
-          "approved",
-          "rejected",
-          "processing_refund",
-          "refunded",
-          "item_received",
-          "all",
-        ])
-        .default("all")
-        .optional(),
+      status: returnStatusFilterSchema,
       orderId: objectIdSchema.optional(),
       buyerId: objectIdSchema.optional(),
     })
@@ -384,9 +689,9 @@ export const updateReturnStatusSchema = z.object({
         [
           "approved",
           "rejected",
-          "processing_refund",
-          "refunded",
           "item_received",
+          "refund_processing",
+          "refunded",
         ],
         { required_error: "Return status is required." },
       ),
@@ -13,7 +13,10 @@ import { objectIdSchema } from "./common.dto.js";
  *       properties:
  *         paymentToken:
  *           type: string
- *           description: "Token from the payment provider representing the payment method."
+ *           description: |
+ *             Token from the payment provider representing the payment method.
+ *             With the local `simulator` gateway, tokens containing `decline`, `insufficient_funds`,
+ *             `3ds` or `timeout` trigger those outcomes at checkout; any other token is approved.
  *           example: "pm_1KbLrH2eZvKYlo2CeA3v7q9g"
  *         type:
  *           type: string
@@ -44,6 +44,9 @@ import {
  *           format: float
  *         reviewCount:
  *           type: integer
+ *         taxClass:
+ *           type: string
+ *           example: "standard"
  *         categoryId:
  *           type: string
  *           format: uuid
@@ -79,8 +82,24 @@ import {
  *         price:
  *           type: number
  *           format: float
+ *           description: List price.
+ *         salePrice:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *         saleStartDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         saleEndDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         stockQuantity:
  *           type: integer
+ *         lowStockThreshold:
+ *           type: integer
+ *           nullable: true
  *         isActive:
  *           type: boolean
  *         # imageIds:
@@ -94,6 +113,66 @@ import {
  *         updatedAt:
  *           type: string
  *           format: "date-time"
+ *     PriceRange:
+ *       type: object
+ *       properties:
+ *         min:
+ *           type: number
+ *           format: float
+ *         max:
+ *           type: number
+ *           format: float
+ *     VariantPricing:
+ *       type: object
+ *       description: What the variant sells for right now; the sale price only while its sale window is open.
+ *       properties:
+ *         price:
+ *           type: number
+ *           format: float
+ *           description: Current ("now") price.
+ *         regularPrice:
+ *           type: number
+ *           format: float
+ *           description: List ("was") price.
+ *         onSale:
+ *           type: boolean
+ *         saleEndsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the running sale ends; null if open-ended or not on sale.
+ *     ProductPricing:
+ *       type: object
+ *       properties:
+ *         priceRange:
+ *           allOf:
+ *             - $ref: '#/components/schemas/PriceRange'
+ *           nullable: true
+ *           description: Current ("now") prices of the variants; null without active variants.
+ *         regularPriceRange:
+ *           allOf:
+ *             - $ref: '#/components/schemas/PriceRange'
+ *           nullable: true
+ *           description: List ("was") prices of the variants.
+ *         onSale:
+ *           type: boolean
+ *           description: Whether any variant is on sale.
+ *         saleEndsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the first of the running sales ends.
+ *     PricedProduct:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Product'
+ *         - $ref: '#/components/schemas/ProductPricing'
+ *     PricedProductVariant:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ProductVariant'
+ *         - type: object
+ *           properties:
+ *             pricing:
+ *               $ref: '#/components/schemas/VariantPricing'
  *     PaginatedProducts:
  *       type: object
  *       properties:
@@ -109,6 +188,142 @@ import {
  *           type: integer
  *         totalResults:
  *           type: integer
+ *     FacetValue:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: string
+ *         count:
+ *           type: integer
+ *           description: Products matching every other active filter that have this value.
+ *     ProductSearchFacets:
+ *       type: object
+ *       description: Each facet applies every active filter except its own.
+ *       properties:
+ *         attributes:
+ *           type: object
+ *           properties:
+ *             color:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FacetValue'
+ *             length:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FacetValue'
+ *             texture:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FacetValue'
+ *         brand:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FacetValue'
+ *         seller:
+ *           type: array
+ *           description: Seller IDs.
+ *           items:
+ *             $ref: '#/components/schemas/FacetValue'
+ *         price:
+ *           type: array
+ *           description: Effective price ranges.
+ *           items:
+ *             type: object
+ *             properties:
+ *               min:
+ *                 type: number
+ *               max:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Exclusive; null for the last range.
+ *               count:
+ *                 type: integer
+ *         rating:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               min:
+ *                 type: number
+ *                 description: Products rated at least this.
+ *               count:
+ *                 type: integer
+ *         inStock:
+ *           type: integer
+ *           description: Products with a matching variant in stock.
+ *         onSale:
+ *           type: integer
+ *           description: Products with a matching variant on sale.
+ *     ProductSearchResult:
+ *       description: The price fields cover the variants that matched the filters.
+ *       allOf:
+ *         - $ref: '#/components/schemas/Product'
+ *         - $ref: '#/components/schemas/ProductPricing'
+ *     ProductSearchResults:
+ *       type: object
+ *       properties:
+ *         results:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductSearchResult'
+ *         facets:
+ *           $ref: '#/components/schemas/ProductSearchFacets'
+ *         page:
+ *           type: integer
+ *         limit:
+ *           type: integer
+ *         totalPages:
+ *           type: integer
+ *         totalResults:
+ *           type: integer
+ *     ProductSuggestions:
+ *       type: object
+ *       description: Each group is ranked by popularity (units sold plus reviews).
+ *       properties:
+ *         products:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 format: uuid
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *         brands:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: string
+ *               productCount:
+ *                 type: integer
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 format: uuid
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               productCount:
+ *                 type: integer
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: string
+ *               productCount:
+ *                 type: integer
  *     ProductImage:
  *       type: object
  *       properties:
@@ -228,6 +443,11 @@ import {
  *         isPublished: # Seller can choose to publish immediately or save as draft
  *           type: boolean
  *           default: true
+ *         taxClass:
+ *           type: string
+ *           default: "standard"
+ *           example: "reduced"
+ *           description: Selects the tax rates that apply at checkout. A class without rates for the destination is not taxed.
  *         shippingDetails: # Optional at creation
  *           type: object
  *           properties:
@@ -254,6 +474,7 @@ import {
  *         currency: { type: string }
  *         tags: { type: array, items: { type: string }, nullable: true }
  *         isPublished: { type: boolean }
+ *         taxClass: { type: string }
  *         shippingDetails: { type: object, nullable: true } # Same as in CreateProductInput
  *     SellerProductListItem: # Slightly different from public Product, might include status
  *       allOf:
@@ -293,6 +514,7 @@ export const createProductSchema = z.object({
 		currency: z.string().trim().length(3).toUpperCase().default("USD"),
 		tags: z.array(z.string().trim().min(1)).max(10).nullable().optional(), // Max 10 tags example
 		isPublished: z.boolean().default(true).optional(),
+		taxClass: z.string().trim().min(1).toLowerCase().optional(),
 		shippingDetails: z
 			.object({
 				weight: z
@@ -360,30 +582,106 @@ export const listProductsQuerySchema = z.object({
 				.trim()
 				.min(1)
 				.optional()
-				.describe("Search query for product name or description"),
-			sort_by: productSortBySchema.optional(),
+				.describe("Search query; tolerates typos and partial words"),
+			sort_by: z
+				.enum([
+					"relevance",
+					"price",
+					"discount",
+					"name",
+					"basePrice",
+					"averageRating",
+					"createdAt",
+					"updatedAt",
+				])
+				.optional()
+				.describe("Defaults to relevance when searching, else createdAt"),
 			order: sortOrderSchema.optional(),
 			minPrice: z.coerce
 				.number()
 				.min(0)
 				.optional()
-				.describe("Minimum price filter"),
+				.describe("Minimum effective variant price"),
 			maxPrice: z.coerce
 				.number()
 				.min(0)
 				.optional()
-				.describe("Maximum price filter"),
+				.describe("Maximum effective variant price"),
 			brand: z
 				.string()
 				.trim()
 				.min(1)
 				.optional()
-				.describe("Filter by brand name"),
-			// Add more filters like tags, specific attributes if needed
+				.describe("Comma-separated brands"),
+			seller: z
+				.string()
+				.trim()
+				.refine(
+					(value) =>
+						value
+							.split(",")
+							.every((id) => objectIdSchema.safeParse(id.trim()).success),
+					{ message: "Must be comma-separated seller IDs" },
+				)
+				.optional()
+				.describe("Comma-separated seller IDs"),
+			color: z
+				.string()
+				.trim()
+				.min(1)
+				.optional()
+				.describe("Comma-separated colors"),
+			length: z
+				.string()
+				.trim()
+				.min(1)
+				.optional()
+				.describe("Comma-separated lengths"),
+			texture: z
+				.string()
+				.trim()
+				.min(1)
+				.optional()
+				.describe("Comma-separated textures"),
+			minRating: z.coerce
+				.number()
+				.min(0)
+				.max(5)
+				.optional()
+				.describe("Minimum average rating"),
+			inStock: z
+				.enum(["true", "false"])
+				.optional()
+				.describe("Only products with a matching variant in stock"),
+			onSale: z
+				.enum(["true", "false"])
+				.optional()
+				.describe("Only products with a matching variant on sale"),
 		})
 		.strict(), // Ensure no extra query params are passed
 });
 
+export const suggestProductsQuerySchema = z.object({
+	query: z
+		.object({
+			q: z
+				.string()
+				.trim()
+				.min(1)
+				.max(100)
+				.describe("What the shopper has typed so far"),
+			limit: z.coerce
+				.number()
+				.int()
+				.min(1)
+				.max(10)
+				.default(5)
+				.optional()
+				.describe("Suggestions per group"),
+		})
+		.strict(),
+});
+
 export const getProductParamsSchema = z.object({
 	params: z.object({
 		productId: objectIdSchema,
@@ -47,6 +47,12 @@ import { objectIdSchema } from "./common.dto.js";
  *           type: integer
  *           minimum: 0
  *           example: 100
+ *         lowStockThreshold:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
+ *           description: Alert the seller once stock drops to or below this. Omit or null to disable.
+ *           example: 10
  *         imageIds: # IDs of ProductImage documents
  *           type: array
  *           items:
@@ -97,6 +103,10 @@ import { objectIdSchema } from "./common.dto.js";
  *         stockQuantity:
  *           type: integer
  *           minimum: 0
+ *         lowStockThreshold:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
  *         imageIds:
  *           type: array
  *           items:
@@ -140,6 +150,12 @@ export const productVariantInputBaseSchema = z
 			.int()
 			.min(0, "Stock quantity cannot be negative")
 			.default(0),
+		lowStockThreshold: z.coerce
+			.number()
+			.int()
+			.min(0, "Low-stock threshold cannot be negative")
+			.nullable()
+			.optional(),
 		imageIds: z.array(objectIdSchema).max(5).nullable().optional(), // Max 5 images per variant example
 		weight: z
 			.object({
@@ -216,6 +232,12 @@ export const patchProductVariantSchema = z.object({
 				.int()
 				.min(0, "Stock quantity cannot be negative")
 				.default(0),
+			lowStockThreshold: z.coerce
+				.number()
+				.int()
+				.min(0, "Low-stock threshold cannot be negative")
+				.nullable()
+				.optional(),
 			imageIds: z.array(objectIdSchema).max(5).nullable().optional(), // Max 5 images per variant example
 			weight: z
 				.object({
@@ -0,0 +1,174 @@
+import { z } from "zod";
+import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     PromotionInput:
+ *       type: object
+ *       description: |
+ *         - percentage: `value`% off the eligible items, optionally capped by `maxDiscountAmount`.
+ *         - fixed_amount: `value` off the eligible items.
+ *         - free_shipping: the order's shipping cost is waived.
+ *         - buy_x_get_y: for every `buyQuantity` eligible units bought, the next `getQuantity` (cheapest) units are `getDiscountPercent`% off.
+ *         Eligible items are narrowed by `productIds`, `categoryIds` and, for admins, `sellerId`.
+ *         Seller promotions always apply to the seller's own items only.
+ *       required: [code, name, type]
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: "SUMMER10"
+ *           description: Case-insensitive; stored uppercase.
+ *         name: {type: string}
+ *         description: {type: string}
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed_amount, free_shipping, buy_x_get_y]
+ *         value: {type: number, minimum: 0}
+ *         maxDiscountAmount: {type: number, minimum: 0}
+ *         buyQuantity: {type: integer, minimum: 1}
+ *         getQuantity: {type: integer, minimum: 1}
+ *         getDiscountPercent: {type: number, minimum: 0, maximum: 100, default: 100}
+ *         minSubtotal: {type: number, minimum: 0, description: Minimum subtotal of the eligible items.}
+ *         startsAt: {type: string, format: date-time}
+ *         endsAt: {type: string, format: date-time}
+ *         usageLimit: {type: integer, minimum: 1, description: Total redemptions allowed. Unlimited if omitted.}
+ *         perUserLimit: {type: integer, minimum: 1, description: Redemptions allowed per buyer. Unlimited if omitted.}
+ *         sellerId: {type: string, format: uuid, description: "Admin only: limit to one seller's items."}
+ *         productIds:
+ *           type: array
+ *           items: {type: string, format: uuid}
+ *         categoryIds:
+ *           type: array
+ *           items: {type: string, format: uuid}
+ *         isActive: {type: boolean, default: true}
+ *     PromotionUpdateInput:
+ *       type: object
+ *       description: Any PromotionInput field except code and type.
+ *       properties:
+ *         name: {type: string}
+ *         description: {type: string}
+ *         value: {type: number, minimum: 0}
+ *         maxDiscountAmount: {type: number, minimum: 0}
+ *         buyQuantity: {type: integer, minimum: 1}
+ *         getQuantity: {type: integer, minimum: 1}
+ *         getDiscountPercent: {type: number, minimum: 0, maximum: 100}
+ *         minSubtotal: {type: number, minimum: 0}
+ *         startsAt: {type: string, format: date-time}
+ *         endsAt: {type: string, format: date-time}
+ *         usageLimit: {type: integer, minimum: 1}
+ *         perUserLimit: {type: integer, minimum: 1}
+ *         productIds:
+ *           type: array
+ *           items: {type: string, format: uuid}
+ *         categoryIds:
+ *           type: array
+ *           items: {type: string, format: uuid}
+ *         isActive: {type: boolean}
+ *     Promotion:
+ *       allOf:
+ *         - $ref: '#/components/schemas/PromotionInput'
+ *         - type: object
+ *           properties:
+ *             _id: {type: string, format: uuid}
+ *             usageCount: {type: integer}
+ *             createdBy: {type: string, format: uuid}
+ *             createdAt: {type: string, format: date-time}
+ *             updatedAt: {type: string, format: date-time}
+ *     PaginatedPromotions:
+ *       type: object
+ *       properties:
+ *         results:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Promotion'
+ *         page: {type: integer}
+ *         limit: {type: integer}
+ *         totalPages: {type: integer}
+ *         totalResults: {type: integer}
+ *     ApplyDiscountInput:
+ *       type: object
+ *       required: [code]
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: "SUMMER10"
+ *   parameters:
+ *     pathPromotionId:
+ *       name: promotionId
+ *       in: path
+ *       required: true
+ *       description: The ID of the promotion.
+ *       schema:
+ *         type: string
+ *         format: uuid
+ */
+
+const promotionCodeSchema = z
+  .string()
+  .trim()
+  .min(3, "Code must be at least 3 characters.")
+  .max(40)
+  .regex(
+    /^[A-Za-z0-9_-]+$/,
+    "Code may only contain letters, digits, dashes and underscores.",
+  );
+
+const promotionFieldsSchema = z.object({
+  name: z.string().trim().min(1, "Name is required."),
+  description: z.string().trim().optional(),
+  value: z.coerce.number().min(0).optional(),
+  maxDiscountAmount: z.coerce.number().min(0).optional(),
+  buyQuantity: z.coerce.number().int().min(1).optional(),
+  getQuantity: z.coerce.number().int().min(1).optional(),
+  getDiscountPercent: z.coerce.number().min(0).max(100).optional(),
+  minSubtotal: z.coerce.number().min(0).optional(),
+  startsAt: z.coerce.date().optional(),
+  endsAt: z.coerce.date().optional(),
+  usageLimit: z.coerce.number().int().min(1).optional(),
+  perUserLimit: z.coerce.number().int().min(1).optional(),
+  productIds: z.array(objectIdSchema).optional(),
+  categoryIds: z.array(objectIdSchema).optional(),
+  isActive: z.boolean().optional(),
+});
+
+export const createPromotionSchema = z.object({
+  body: promotionFieldsSchema
+    .extend({
+      code: promotionCodeSchema,
+      type: z.enum(
+        ["percentage", "fixed_amount", "free_shipping", "buy_x_get_y"],
+        { required_error: "Promotion type is required." },
+      ),
+      sellerId: objectIdSchema.optional(), // Ignored for sellers: their promotions are always their own
+    })
+    .strict(),
+});
+
+export const updatePromotionSchema = z.object({
+  params: z.object({ promotionId: objectIdSchema }),
+  body: promotionFieldsSchema
+    .partial()
+    .strict()
+    .refine((data) => Object.keys(data).length > 0, {
+      message: "At least one field must be provided for update.",
+    }),
+});
+
+export const listPromotionsQuerySchema = z.object({
+  query: paginationQuerySchema
+    .extend({
+      status: z.enum(["active", "inactive", "all"]).default("all").optional(),
+      code: z.string().trim().optional(),
+    })
+    .strict(),
+});
+
+export const promotionIdParamsSchema = z.object({
+  params: z.object({ promotionId: objectIdSchema }),
+});
+
+export const applyCartDiscountSchema = z.object({
+  body: z.object({ code: promotionCodeSchema }).strict(),
+});
@@ -0,0 +1,169 @@
+import { z } from "zod";
+import { objectIdSchema } from "./common.dto.js";
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ShippingMethodInput:
+ *       type: object
+ *       required: [name, type, rate]
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: uuid
+ *           description: Send back an existing method's ID on update to keep it.
+ *         name: {type: string, example: "Standard"}
+ *         type:
+ *           type: string
+ *           enum: [flat, weight_based, free_over_threshold]
+ *           description: |
+ *             `flat` charges `rate` per parcel. `weight_based` charges `rate` plus `perKgRate` per kg,
+ *             from the products' `shippingDetails.weight`. `free_over_threshold` is free once the
+ *             seller's items in the cart reach `freeOverAmount`, and costs `rate` below it.
+ *         rate: {type: number, minimum: 0}
+ *         perKgRate: {type: number, minimum: 0, description: Required for weight_based.}
+ *         freeOverAmount: {type: number, minimum: 0, description: Required for free_over_threshold.}
+ *         minDeliveryDays: {type: integer, minimum: 0}
+ *         maxDeliveryDays: {type: integer, minimum: 0}
+ *         isActive: {type: boolean, default: true}
+ *     ShippingZoneInput:
+ *       type: object
+ *       description: |
+ *         An address is served by the seller's most specific matching zone: a zone listing the
+ *         address's region wins over one covering the whole country. Sellers with no zones ship
+ *         everywhere at the platform's default flat rate.
+ *       required: [name, countries, methods]
+ *       properties:
+ *         name: {type: string, example: "Domestic"}
+ *         countries:
+ *           type: array
+ *           items: {type: string, example: "US"}
+ *           description: ISO 3166-1 alpha-2 codes.
+ *         regions:
+ *           type: array
+ *           items: {type: string, example: "CA"}
+ *           description: Shipping address stateProvinceRegion values, case-insensitive. Empty covers the whole countries.
+ *         methods:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShippingMethodInput'
+ *         isActive: {type: boolean, default: true}
+ *     ShippingZoneUpdateInput:
+ *       type: object
+ *       description: Any ShippingZoneInput field. `methods` replaces the zone's methods.
+ *       properties:
+ *         name: {type: string}
+ *         countries: {type: array, items: {type: string}}
+ *         regions: {type: array, items: {type: string}}
+ *         methods:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShippingMethodInput'
+ *         isActive: {type: boolean}
+ *     ShippingZone:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ShippingZoneInput'
+ *         - type: object
+ *           properties:
+ *             _id: {type: string, format: uuid}
+ *             sellerId: {type: string, format: uuid}
+ *             createdAt: {type: string, format: date-time}
+ *             updatedAt: {type: string, format: date-time}
+ *     ShippingOption:
+ *       type: object
+ *       properties:
+ *         methodId: {type: string, description: "Shipping method ID, or `default` for the platform rate of sellers without zones."}
+ *         zoneId: {type: string, format: uuid, nullable: true}
+ *         name: {type: string}
+ *         type: {type: string, enum: [flat, weight_based, free_over_threshold]}
+ *         cost: {type: number}
+ *         minDeliveryDays: {type: integer}
+ *         maxDeliveryDays: {type: integer}
+ *     ShippingQuote:
+ *       type: object
+ *       properties:
+ *         shippingAddressId: {type: string, format: uuid}
+ *         groups:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               sellerId: {type: string, format: uuid}
+ *               itemIds: {type: array, items: {type: string, format: uuid}}
+ *               subtotal: {type: number}
+ *               weightKg: {type: number}
+ *               options:
+ *                 type: array
+ *                 description: Cheapest first. Empty if the seller does not ship to the address.
+ *                 items:
+ *                   $ref: '#/components/schemas/ShippingOption'
+ *     ShippingSelection:
+ *       type: object
+ *       required: [sellerId, methodId]
+ *       properties:
+ *         sellerId: {type: string, format: uuid}
+ *         methodId: {type: string, description: A methodId from the seller's shipping options.}
+ *   parameters:
+ *     pathShippingZoneId:
+ *       name: zoneId
+ *       in: path
+ *       required: true
+ *       description: The ID of the shipping zone.
+ *       schema:
+ *         type: string
+ *         format: uuid
+ */
+
+const shippingMethodSchema = z
+  .object({
+    _id: objectIdSchema.optional(),
+    name: z.string().trim().min(1, "Name is required."),
+    type: z.enum(["flat", "weight_based", "free_over_threshold"]),
+    rate: z.coerce.number().min(0),
+    perKgRate: z.coerce.number().min(0).optional(),
+    freeOverAmount: z.coerce.number().min(0).optional(),
+    minDeliveryDays: z.coerce.number().int().min(0).optional(),
+    maxDeliveryDays: z.coerce.number().int().min(0).optional(),
+    isActive: z.boolean().optional(),
+  })
+  .strict();
+
+const shippingZoneFieldsSchema = z.object({
+  name: z.string().trim().min(1, "Name is required."),
+  countries: z
+    .array(
+      z
+        .string()
+        .trim()
+        .length(2, "Countries must be ISO 3166-1 alpha-2 codes.")
+        .toUpperCase(),
+    )
+    .min(1, "At least one country is required."),
+  regions: z.array(z.string().trim().min(1)).optional(),
+  methods: z.array(shippingMethodSchema),
+  isActive: z.boolean().optional(),
+});
+
+export const createShippingZoneSchema = z.object({
+  body: shippingZoneFieldsSchema.strict(),
+});
+
+export const updateShippingZoneSchema = z.object({
+  params: z.object({ zoneId: objectIdSchema }),
+  body: shippingZoneFieldsSchema
+    .partial()
+    .strict()
+    .refine((data) => Object.keys(data).length > 0, {
+      message: "At least one field must be provided for update.",
+    }),
+});
+
+export const shippingZoneIdParamsSchema = z.object({
+  params: z.object({ zoneId: objectIdSchema }),
+});
+
+export const shippingSelectionSchema = z.object({
+  sellerId: objectIdSchema,
+  methodId: z.string().trim().min(1),
+});
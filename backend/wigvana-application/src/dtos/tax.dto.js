@@ -0,0 +1,115 @@
+import { z } from "zod";
+import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TaxRateInput:
+ *       type: object
+ *       description: |
+ *         Every active rate matching the shipping country, the shipping region (or no region) and the
+ *         product's tax class applies, so stacked taxes are separate rates.
+ *       required: [name, country, rate]
+ *       properties:
+ *         name: {type: string, example: "VAT"}
+ *         country: {type: string, example: "DE", description: ISO 3166-1 alpha-2 code of the shipping country.}
+ *         region:
+ *           type: string
+ *           nullable: true
+ *           example: "CA"
+ *           description: Shipping address stateProvinceRegion, case-insensitive. Omit for a country-wide rate.
+ *         taxClass: {type: string, default: standard, description: Product tax class the rate applies to.}
+ *         rate: {type: number, minimum: 0, maximum: 100, description: Percent.}
+ *         pricesIncludeTax: {type: boolean, default: false, description: Listed prices already include this tax.}
+ *         isActive: {type: boolean, default: true}
+ *     TaxRateUpdateInput:
+ *       type: object
+ *       description: Any TaxRateInput field.
+ *       properties:
+ *         name: {type: string}
+ *         country: {type: string}
+ *         region: {type: string, nullable: true}
+ *         taxClass: {type: string}
+ *         rate: {type: number, minimum: 0, maximum: 100}
+ *         pricesIncludeTax: {type: boolean}
+ *         isActive: {type: boolean}
+ *     TaxRate:
+ *       allOf:
+ *         - $ref: '#/components/schemas/TaxRateInput'
+ *         - type: object
+ *           properties:
+ *             _id: {type: string, format: uuid}
+ *             createdAt: {type: string, format: date-time}
+ *             updatedAt: {type: string, format: date-time}
+ *     PaginatedTaxRates:
+ *       type: object
+ *       properties:
+ *         results:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TaxRate'
+ *         page: {type: integer}
+ *         limit: {type: integer}
+ *         totalPages: {type: integer}
+ *         totalResults: {type: integer}
+ *     TaxBreakdownEntry:
+ *       type: object
+ *       properties:
+ *         taxRateId: {type: string, format: uuid}
+ *         name: {type: string}
+ *         rate: {type: number, description: Percent.}
+ *         included: {type: boolean, description: True if the amount is contained in the price rather than added to it.}
+ *         amount: {type: number}
+ *   parameters:
+ *     pathTaxRateId:
+ *       name: taxRateId
+ *       in: path
+ *       required: true
+ *       description: The ID of the tax rate.
+ *       schema:
+ *         type: string
+ *         format: uuid
+ */
+
+const taxRateFieldsSchema = z.object({
+  name: z.string().trim().min(1, "Name is required."),
+  country: z
+    .string()
+    .trim()
+    .length(2, "Country must be an ISO 3166-1 alpha-2 code.")
+    .toUpperCase(),
+  region: z.string().trim().min(1).nullable().optional(),
+  taxClass: z.string().trim().min(1).toLowerCase().optional(),
+  rate: z.coerce.number().min(0).max(100),
+  pricesIncludeTax: z.boolean().optional(),
+  isActive: z.boolean().optional(),
+});
+
+export const createTaxRateSchema = z.object({
+  body: taxRateFieldsSchema.strict(),
+});
+
+export const updateTaxRateSchema = z.object({
+  params: z.object({ taxRateId: objectIdSchema }),
+  body: taxRateFieldsSchema
+    .partial()
+    .strict()
+    .refine((data) => Object.keys(data).length > 0, {
+      message: "At least one field must be provided for update.",
+    }),
+});
+
+export const listTaxRatesQuerySchema = z.object({
+  query: paginationQuerySchema
+    .extend({
+      country: z.string().trim().length(2).optional(),
+      region: z.string().trim().min(1).optional(),
+      taxClass: z.string().trim().min(1).optional(),
+    })
+    .strict(),
+});
+
+export const taxRateIdParamsSchema = z.object({
+  params: z.object({ taxRateId: objectIdSchema }),
+});
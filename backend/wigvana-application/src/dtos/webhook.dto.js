@@ -0,0 +1,129 @@
+import { z } from "zod";
+import { objectIdSchema, paginationQuerySchema } from "./common.dto.js";
+
+const webhookEventStatusSchema = z.enum([
+	"received",
+	"processing",
+	"processed",
+	"ignored",
+	"pending_replay",
+	"failed",
+	"all",
+]);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     WebhookAck:
+ *       type: object
+ *       description: Acknowledgement returned to the payment gateway.
+ *       properties:
+ *         received:
+ *           type: boolean
+ *         duplicate:
+ *           type: boolean
+ *           description: True if this event ID was delivered before.
+ *         eventId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [received, processing, processed, ignored, pending_replay, failed]
+ *     CarrierWebhookAck:
+ *       type: object
+ *       description: Acknowledgement returned to the carrier.
+ *       properties:
+ *         received:
+ *           type: boolean
+ *         matched:
+ *           type: boolean
+ *           description: False if no shipment has this tracking number; the scans are dropped.
+ *         recorded:
+ *           type: integer
+ *           description: Scans not seen before.
+ *         status:
+ *           type: string
+ *           description: The shipment's status after the scans were applied.
+ *     PaymentWebhookEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         gateway:
+ *           type: string
+ *         eventId:
+ *           type: string
+ *           description: The gateway's event ID.
+ *         type:
+ *           type: string
+ *           example: payment.captured
+ *         transactionId:
+ *           type: string
+ *         orderId:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [received, processing, processed, ignored, pending_replay, failed]
+ *         attempts:
+ *           type: integer
+ *         claimedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the current processing claim was taken. A claim older than the claim timeout can be replayed.
+ *         lastError:
+ *           type: string
+ *           description: Why the event was ignored, parked for replay, or failed.
+ *         payload:
+ *           type: object
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *     PaginatedPaymentWebhookEvents:
+ *       type: object
+ *       properties:
+ *         results:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PaymentWebhookEvent'
+ *         page: { type: integer }
+ *         limit: { type: integer }
+ *         totalPages: { type: integer }
+ *         totalResults: { type: integer }
+ */
+
+export const paymentWebhookParamsSchema = z.object({
+	params: z.object({
+		gateway: z.string().trim().min(1),
+	}),
+});
+
+export const carrierWebhookParamsSchema = z.object({
+	params: z.object({
+		carrier: z.string().trim().min(1),
+	}),
+});
+
+export const listWebhookEventsQuerySchema = z.object({
+	query: paginationQuerySchema
+		.extend({
+			gateway: z.string().trim().optional(),
+			status: webhookEventStatusSchema.default("all").optional(),
+			type: z.string().trim().optional(),
+			orderId: objectIdSchema.optional(),
+		})
+		.strict(),
+});
+
+export const webhookEventIdParamsSchema = z.object({
+	params: z.object({
+		eventId: objectIdSchema,
+	}),
+});
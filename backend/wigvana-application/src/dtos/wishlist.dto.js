@@ -0,0 +1,200 @@
+import { z } from "zod";
+import { objectIdSchema } from "./common.dto.js";
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     WishlistInput:
+ *       type: object
+ *       required: [name]
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "Birthday ideas"
+ *         isPublic:
+ *           type: boolean
+ *           default: false
+ *           description: Public lists can be viewed by anyone with their `shareUrl`.
+ *     WishlistUpdateInput:
+ *       type: object
+ *       minProperties: 1
+ *       properties:
+ *         name: {type: string, maxLength: 100}
+ *         isPublic: {type: boolean}
+ *     WishlistSummary:
+ *       type: object
+ *       properties:
+ *         id: {type: string, format: uuid}
+ *         name: {type: string}
+ *         type:
+ *           type: string
+ *           enum: [wishlist, saved_for_later]
+ *           description: "`saved_for_later` is the list cart lines are saved to from /me/cart."
+ *         isPublic: {type: boolean}
+ *         shareUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Public link to the list; null while it is private.
+ *         itemCount: {type: integer}
+ *         createdAt: {type: string, format: date-time}
+ *         updatedAt: {type: string, format: date-time}
+ *     WishlistItem:
+ *       type: object
+ *       properties:
+ *         id: {type: string, format: uuid}
+ *         productId: {type: string, format: uuid}
+ *         productName: {type: string, nullable: true}
+ *         productSlug: {type: string, nullable: true}
+ *         variantId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Null when the product was saved rather than a particular variant.
+ *         variantSku: {type: string, nullable: true}
+ *         variantAttributes: {type: object, nullable: true, additionalProperties: true}
+ *         quantity: {type: integer, minimum: 1}
+ *         priceWhenAdded:
+ *           type: number
+ *           description: What the item sold for when it was saved (the cheapest variant for product-level items).
+ *         currentPrice: {type: number, nullable: true}
+ *         regularPrice: {type: number, nullable: true}
+ *         onSale: {type: boolean}
+ *         currency: {type: string, example: "USD"}
+ *         available:
+ *           type: boolean
+ *           description: False once the product is unpublished or deleted, or the variant deactivated.
+ *         inStock: {type: boolean}
+ *         priceDropped:
+ *           type: boolean
+ *           description: The current price is below priceWhenAdded.
+ *         backInStock:
+ *           type: boolean
+ *           description: The item was out of stock when saved and has stock again.
+ *         addedAt: {type: string, format: date-time}
+ *     Wishlist:
+ *       allOf:
+ *         - $ref: '#/components/schemas/WishlistSummary'
+ *         - type: object
+ *           properties:
+ *             items:
+ *               type: array
+ *               items: {$ref: '#/components/schemas/WishlistItem'}
+ *     SharedWishlist:
+ *       type: object
+ *       properties:
+ *         id: {type: string, format: uuid}
+ *         name: {type: string}
+ *         ownerFirstName: {type: string, nullable: true}
+ *         items:
+ *           type: array
+ *           items: {$ref: '#/components/schemas/WishlistItem'}
+ *         updatedAt: {type: string, format: date-time}
+ *     WishlistItemInput:
+ *       type: object
+ *       required: [productId]
+ *       properties:
+ *         productId: {type: string, format: uuid}
+ *         variantId:
+ *           type: string
+ *           format: uuid
+ *           description: Pin the item to one variant; omit to save the product.
+ *         quantity: {type: integer, minimum: 1, default: 1}
+ *     MoveWishlistItemToCartInput:
+ *       type: object
+ *       properties:
+ *         variantId:
+ *           type: string
+ *           format: uuid
+ *           description: Variant to buy, for items saved as a product. Not needed when the product has a single variant.
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *           description: Defaults to the item's quantity.
+ *   parameters:
+ *     pathWishlistId:
+ *       name: wishlistId
+ *       in: path
+ *       required: true
+ *       description: The ID of the wishlist.
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *     pathWishlistItemId:
+ *       name: itemId
+ *       in: path
+ *       required: true
+ *       description: The ID of the item on the wishlist.
+ *       schema:
+ *         type: string
+ *         format: uuid
+ */
+
+const wishlistNameSchema = z
+  .string()
+  .trim()
+  .min(1, "Name is required.")
+  .max(100);
+
+export const createWishlistSchema = z.object({
+  body: z
+    .object({
+      name: wishlistNameSchema,
+      isPublic: z.boolean().optional(),
+    })
+    .strict(),
+});
+
+export const updateWishlistSchema = z.object({
+  params: z.object({ wishlistId: objectIdSchema }),
+  body: z
+    .object({
+      name: wishlistNameSchema.optional(),
+      isPublic: z.boolean().optional(),
+    })
+    .strict()
+    .refine((data) => Object.keys(data).length > 0, {
+      message: "At least one field must be provided for update.",
+    }),
+});
+
+export const wishlistIdParamsSchema = z.object({
+  params: z.object({ wishlistId: objectIdSchema }),
+});
+
+export const addWishlistItemSchema = z.object({
+  params: z.object({ wishlistId: objectIdSchema }),
+  body: z
+    .object({
+      productId: objectIdSchema,
+      variantId: objectIdSchema.optional(),
+      quantity: z.coerce.number().int().min(1).optional(),
+    })
+    .strict(),
+});
+
+export const wishlistItemParamsSchema = z.object({
+  params: z.object({
+    wishlistId: objectIdSchema,
+    itemId: objectIdSchema,
+  }),
+});
+
+export const moveWishlistItemToCartSchema = z.object({
+  params: z.object({
+    wishlistId: objectIdSchema,
+    itemId: objectIdSchema,
+  }),
+  body: z
+    .object({
+      variantId: objectIdSchema.optional(),
+      quantity: z.coerce.number().int().min(1).optional(),
+    })
+    .strict()
+    .optional(),
+});
+
+export const sharedWishlistParamsSchema = z.object({
+  params: z.object({ shareToken: z.string().trim().min(1) }),
+});
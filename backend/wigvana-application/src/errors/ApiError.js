@@ -12,6 +12,12 @@
  *          message:
  *            type: string
  *            example: "Request failed due to."
+ *          errors:
+ *            type: array
+ *            description: Optional per-item details, e.g. which order lines ran out of stock.
+ *            items:
+ *              type: object
+ *              additionalProperties: true
  *        required:
  *          - code
  *          - message
@@ -0,0 +1,40 @@
+import ConflictError from "./ConflictError.js";
+
+/**
+ * @typedef {object} CartChange
+ * @property {"price_changed" | "quantity_reduced" | "out_of_stock" | "unavailable"} type - What changed.
+ * @property {number} [previousPrice] - Price the buyer last accepted (price_changed).
+ * @property {number} [currentPrice] - Price the line is now charged at (price_changed).
+ * @property {number} [previousQuantity] - Quantity the buyer asked for (quantity_reduced).
+ * @property {number} [currentQuantity] - Quantity left on the line (quantity_reduced).
+ */
+
+/**
+ * @typedef {object} ChangedCartLine
+ * @property {string} cartItemId - The cart line.
+ * @property {string} [variantId] - Its variant, when it still exists.
+ * @property {string} [sku] - SKU of the variant, when it still exists.
+ * @property {string} [productName] - Product name, when it still exists.
+ * @property {CartChange[]} changes - Changes the buyer has not acknowledged.
+ */
+
+/**
+ * @class CartChangedError
+ * @extends {ConflictError}
+ * @description Represents a 409 Conflict raised at checkout when cart lines changed (price, stock, availability) since the buyer last acknowledged them.
+ */
+class CartChangedError extends ConflictError {
+	/**
+	 * @param {ChangedCartLine[]} errors Every line with unacknowledged changes
+	 * @param {string} [message='Your cart changed since you last reviewed it. Review and acknowledge the changes before checking out.'] Error message
+	 */
+	constructor(
+		errors,
+		message = "Your cart changed since you last reviewed it. Review and acknowledge the changes before checking out.",
+	) {
+		super(message);
+		this.errors = errors;
+	}
+}
+
+export default CartChangedError;
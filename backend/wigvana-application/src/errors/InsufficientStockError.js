@@ -0,0 +1,29 @@
+import ConflictError from "./ConflictError.js";
+
+/**
+ * @typedef {object} StockShortfall
+ * @property {string} cartItemId - The cart line that could not be fulfilled.
+ * @property {string} variantId - The variant that ran out.
+ * @property {string} [sku] - SKU of the variant, when it still exists.
+ * @property {string} [productName] - Product name, when it still exists.
+ * @property {number} requestedQuantity - Quantity the buyer asked for.
+ * @property {number} availableQuantity - Quantity currently in stock (0 when the variant is gone or inactive).
+ */
+
+/**
+ * @class InsufficientStockError
+ * @extends {ConflictError}
+ * @description Represents a 409 Conflict raised when one or more order lines cannot be fulfilled from stock.
+ */
+class InsufficientStockError extends ConflictError {
+	/**
+	 * @param {StockShortfall[]} errors Per-line details of every variant that ran out
+	 * @param {string} [message='Insufficient stock for one or more items.'] Error message
+	 */
+	constructor(errors, message = "Insufficient stock for one or more items.") {
+		super(message);
+		this.errors = errors;
+	}
+}
+
+export default InsufficientStockError;
@@ -0,0 +1,29 @@
+import BadRequestError from "./BadRequestError.js";
+
+/**
+ * @typedef {object} InventoryImportRowError
+ * @property {number} row - 1-based position of the row in the submitted list (or CSV data line).
+ * @property {string} [sku] - SKU on the row, when one could be read.
+ * @property {string} message - Why the row was rejected.
+ */
+
+/**
+ * @class InventoryImportError
+ * @extends {BadRequestError}
+ * @description Represents a 400 Bad Request raised when rows of a bulk inventory update are invalid. No row is applied.
+ */
+class InventoryImportError extends BadRequestError {
+	/**
+	 * @param {InventoryImportRowError[]} errors Every rejected row
+	 * @param {string} [message='One or more inventory rows are invalid; no stock was changed.'] Error message
+	 */
+	constructor(
+		errors,
+		message = "One or more inventory rows are invalid; no stock was changed.",
+	) {
+		super(message);
+		this.errors = errors;
+	}
+}
+
+export default InventoryImportError;
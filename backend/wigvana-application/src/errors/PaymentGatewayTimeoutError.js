@@ -0,0 +1,25 @@
+import ApiError from "./ApiError.js";
+import httpStatusCodes from "http-status-codes";
+
+/**
+ * @class PaymentGatewayTimeoutError
+ * @extends {ApiError}
+ * @description Represents a 504 Gateway Timeout: the payment provider did not answer in time, so the outcome is unknown.
+ */
+class PaymentGatewayTimeoutError extends ApiError {
+	/**
+	 * @param {string} gateway Name of the payment gateway that timed out
+	 * @param {string} operation The adapter operation that was running (e.g. "authorize")
+	 */
+	constructor(gateway, operation) {
+		super(
+			httpStatusCodes.GATEWAY_TIMEOUT,
+			`Payment gateway '${gateway}' timed out during ${operation}.`,
+			true,
+		);
+		this.gateway = gateway;
+		this.operation = operation;
+	}
+}
+
+export default PaymentGatewayTimeoutError;
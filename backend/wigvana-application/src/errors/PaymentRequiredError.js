@@ -0,0 +1,20 @@
+import ApiError from "./ApiError.js";
+import httpStatusCodes from "http-status-codes";
+
+/**
+ * @class PaymentRequiredError
+ * @extends {ApiError}
+ * @description Represents a 402 Payment Required error, raised when the payment gateway declines a charge.
+ */
+class PaymentRequiredError extends ApiError {
+	/**
+	 * @param {string} message Error message
+	 * @param {Array<Object>} [errors] Optional details, e.g. the failed order ID and the gateway decline code
+	 */
+	constructor(message, errors) {
+		super(httpStatusCodes.PAYMENT_REQUIRED, message, true);
+		if (errors) this.errors = errors;
+	}
+}
+
+export default PaymentRequiredError;
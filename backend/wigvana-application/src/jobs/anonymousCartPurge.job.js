@@ -0,0 +1,13 @@
+import config from "../config/index.js";
+import { cartService } from "../services/cart.service.js";
+import { scheduleJob } from "./scheduler.js";
+
+/**
+ * Periodically deletes anonymous carts that have not been used for ANONYMOUS_CART_TTL_DAYS.
+ */
+export const startAnonymousCartPurgeJob = () =>
+  scheduleJob({
+    name: "anonymous-cart-purge",
+    intervalMs: config.ANONYMOUS_CART_PURGE_INTERVAL_SECONDS * 1000,
+    run: () => cartService.purgeExpiredAnonymousCarts(),
+  });
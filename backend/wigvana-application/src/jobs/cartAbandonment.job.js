@@ -0,0 +1,13 @@
+import config from "../config/index.js";
+import { cartService } from "../services/cart.service.js";
+import { scheduleJob } from "./scheduler.js";
+
+/**
+ * Periodically marks idle buyer carts abandoned and sends their owners a restore link.
+ */
+export const startCartAbandonmentJob = () =>
+  scheduleJob({
+    name: "cart-abandonment",
+    intervalMs: config.CART_ABANDONMENT_SWEEP_INTERVAL_SECONDS * 1000,
+    run: () => cartService.abandonIdleCarts(),
+  });
@@ -0,0 +1,25 @@
+import { startReservationExpiryJob } from "./reservationExpiry.job.js";
+import { startPendingPaymentExpiryJob } from "./pendingPaymentExpiry.job.js";
+import { startShipmentTrackingJob } from "./shipmentTracking.job.js";
+import { startSearchIndexRebuildJob } from "./searchIndexRebuild.job.js";
+import { startSalePriceSyncJob } from "./salePriceSync.job.js";
+import { startCartAbandonmentJob } from "./cartAbandonment.job.js";
+import { startAnonymousCartPurgeJob } from "./anonymousCartPurge.job.js";
+import { startMailOutboxJob } from "./mailOutbox.job.js";
+import { stopAllJobs } from "./scheduler.js";
+
+/**
+ * Starts all in-process background jobs. Call once the database connections are up.
+ */
+export const startJobs = () => {
+  startReservationExpiryJob();
+  startPendingPaymentExpiryJob();
+  startShipmentTrackingJob();
+  startSearchIndexRebuildJob();
+  startSalePriceSyncJob();
+  startCartAbandonmentJob();
+  startAnonymousCartPurgeJob();
+  startMailOutboxJob();
+};
+
+export { stopAllJobs as stopJobs };
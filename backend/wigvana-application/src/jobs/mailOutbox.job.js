@@ -0,0 +1,14 @@
+import config from "../config/index.js";
+import { mailService } from "../services/mail.service.js";
+import { scheduleJob } from "./scheduler.js";
+
+/**
+ * Periodically sends queued emails that are due: retries, and any whose background first
+ * attempt never ran (e.g. the process stopped right after queuing them).
+ */
+export const startMailOutboxJob = () =>
+  scheduleJob({
+    name: "mail-outbox",
+    intervalMs: config.MAIL_OUTBOX_INTERVAL_SECONDS * 1000,
+    run: () => mailService.processOutbox(),
+  });
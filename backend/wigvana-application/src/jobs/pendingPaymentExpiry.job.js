@@ -0,0 +1,14 @@
+import config from "../config/index.js";
+import { orderService } from "../services/order.service.js";
+import { scheduleJob } from "./scheduler.js";
+
+/**
+ * Periodically fails orders stuck in pending_payment past their payment window,
+ * releasing their stock back to the catalogue.
+ */
+export const startPendingPaymentExpiryJob = () =>
+  scheduleJob({
+    name: "pending-payment-expiry",
+    intervalMs: config.PAYMENT_PENDING_SWEEP_INTERVAL_SECONDS * 1000,
+    run: () => orderService.expireStalePendingPayments(),
+  });
@@ -0,0 +1,13 @@
+import config from "../config/index.js";
+import { reservationService } from "../services/reservation.service.js";
+import { scheduleJob } from "./scheduler.js";
+
+/**
+ * Periodically releases inventory reservations whose hold has expired.
+ */
+export const startReservationExpiryJob = () =>
+  scheduleJob({
+    name: "reservation-expiry",
+    intervalMs: config.RESERVATION_SWEEP_INTERVAL_SECONDS * 1000,
+    run: () => reservationService.expireStaleReservations(),
+  });
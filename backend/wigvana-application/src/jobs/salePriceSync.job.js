@@ -0,0 +1,20 @@
+import config from "../config/index.js";
+import { cartService } from "../services/cart.service.js";
+import { scheduleJob } from "./scheduler.js";
+
+/**
+ * Periodically reprices cart lines whose variant's sale started or ended since the previous run.
+ * Each run picks up where the last successful one stopped, so no boundary is skipped.
+ */
+export const startSalePriceSyncJob = () => {
+  let checkedUntil = new Date();
+  return scheduleJob({
+    name: "sale-price-sync",
+    intervalMs: config.SALE_PRICE_SYNC_INTERVAL_SECONDS * 1000,
+    run: async () => {
+      const now = new Date();
+      await cartService.repriceCartsForSaleBoundaries(checkedUntil, now);
+      checkedUntil = now;
+    },
+  });
+};
@@ -0,0 +1,46 @@
+import logger from "../utils/logger.js";
+
+/**
+ * @typedef {object} ScheduledJob
+ * @property {string} name - Human readable job name used in logs.
+ * @property {number} intervalMs - Delay between runs.
+ * @property {() => Promise<unknown>} run - The work to perform on each tick.
+ */
+
+/** @type {Map<string, NodeJS.Timeout>} */
+const timers = new Map();
+
+/**
+ * Runs a job on a fixed interval inside this process. A tick is skipped while the previous run
+ * is still in progress, and errors are logged rather than crashing the server.
+ * @param {ScheduledJob} job - The job to schedule.
+ */
+export const scheduleJob = ({ name, intervalMs, run }) => {
+  if (timers.has(name)) return;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (err) {
+      logger.error(`Background job "${name}" failed: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref(); // Never keep the process alive just for a background job
+  timers.set(name, timer);
+  logger.info(`Background job "${name}" scheduled every ${intervalMs}ms.`);
+};
+
+/**
+ * Stops every scheduled job. Used on shutdown.
+ */
+export const stopAllJobs = () => {
+  for (const timer of timers.values()) clearInterval(timer);
+  timers.clear();
+};
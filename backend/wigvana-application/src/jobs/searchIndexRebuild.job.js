@@ -0,0 +1,14 @@
+import config from "../config/index.js";
+import { searchService } from "../services/search.service.js";
+import { scheduleJob } from "./scheduler.js";
+
+/**
+ * Periodically reloads the in-process product search index, picking up catalogue writes made by
+ * other app instances (which this process's save hooks never see).
+ */
+export const startSearchIndexRebuildJob = () =>
+  scheduleJob({
+    name: "search-index-rebuild",
+    intervalMs: config.SEARCH_INDEX_REBUILD_INTERVAL_SECONDS * 1000,
+    run: () => searchService.rebuildIndex(),
+  });
@@ -0,0 +1,14 @@
+import config from "../config/index.js";
+import { trackingService } from "../services/tracking.service.js";
+import { scheduleJob } from "./scheduler.js";
+
+/**
+ * Periodically polls carriers for new scans of shipments in transit, moving them to
+ * out_for_delivery and delivered as the carrier reports it.
+ */
+export const startShipmentTrackingJob = () =>
+  scheduleJob({
+    name: "shipment-tracking",
+    intervalMs: config.CARRIER_TRACKING_POLL_INTERVAL_SECONDS * 1000,
+    run: () => trackingService.pollShipmentTracking(),
+  });
@@ -4,6 +4,7 @@ import config from "../config/index.js";
 import User from "../models/User.model.js";
 import ApiError from "../errors/ApiError.js";
 import catchAsync from "../utils/catchAsync.js";
+import { twoFactorService } from "../services/twoFactor.service.js";
 
 /**
  * @description Middleware to protect routes by verifying JWT access token.
@@ -49,6 +50,7 @@ export const protect = catchAsync(async (req, res, next) => {
     }
 
     req.user = currentUser; // Attach user to request object
+    req.sessionId = decoded.sid; // Session the token was issued to; absent on tokens from before sessions
     next();
   } catch (error) {
     // Handle specific JWT errors like TokenExpiredError, JsonWebTokenError
@@ -92,3 +94,33 @@ export const authorize = (requiredRoles) => (req, res, next) => {
   }
   next();
 };
+
+/**
+ * @description Middleware that keeps users whose roles require two-factor authentication (admins)
+ * out until they have enabled it. Use after `protect`.
+ * @type {import('express').RequestHandler}
+ */
+export const requireTwoFactorEnrollment = (req, res, next) => {
+  if (twoFactorService.isEnrollmentRequired(req.user)) {
+    throw new ApiError(
+      httpStatusCodes.FORBIDDEN,
+      "Two-factor authentication is required for this account. Enable it at /me/two-factor first.",
+    );
+  }
+  next();
+};
+
+/**
+ * @description Middleware for sensitive actions: requires the session to have confirmed a second
+ * factor recently (POST /me/two-factor/step-up). Use after `protect`.
+ * @type {import('express').RequestHandler}
+ */
+export const requireStepUp = catchAsync(async (req, res, next) => {
+  if (!(await twoFactorService.hasRecentStepUp(req.user.id, req.sessionId))) {
+    throw new ApiError(
+      httpStatusCodes.FORBIDDEN,
+      "This action needs a recent two-factor confirmation. Confirm it at /me/two-factor/step-up and retry.",
+    );
+  }
+  next();
+});
@@ -26,6 +26,7 @@ const errorHandler = (err, req, res, next) => {
 	const response = {
 		code: error.statusCode,
 		message: error.message,
+		...(Array.isArray(error.errors) && { errors: error.errors }),
 		...(config.NODE_ENV === "development" && { stack: error.stack }),
 	};
 
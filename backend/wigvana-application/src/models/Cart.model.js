@@ -29,6 +29,37 @@ const cartSchema = new mongoose.Schema(
 			default: "active",
 			index: true,
 		},
+		discountCode: {
+			// Applied promotion code; re-checked whenever the cart is shown and at checkout
+			type: String,
+			trim: true,
+			uppercase: true,
+		},
+		abandonedAt: {
+			// When the abandonment sweep last found this cart idle; kept after recovery for reporting
+			type: Date,
+			index: true,
+		},
+		recoveryTokenHash: {
+			// SHA-256 of the token in the restore link sent to the owner; cleared once the cart is active again
+			type: String,
+			index: { sparse: true },
+		},
+		recoveryTokenExpiresAt: {
+			type: Date,
+		},
+		recoveryNotifiedAt: {
+			// When the owner was sent the restore link
+			type: Date,
+		},
+		recoveredAt: {
+			// When the owner came back to the cart after it was abandoned
+			type: Date,
+		},
+		recoveredVia: {
+			type: String,
+			enum: ["link", "return"], // The restore link, or simply using their cart again
+		},
 		// CartItems will be a separate collection referencing this Cart's ID
 	},
 	{
@@ -39,6 +70,9 @@ const cartSchema = new mongoose.Schema(
 	},
 );
 
+// Idle-cart sweeps (abandonment, anonymous cart expiry) scan by status and last activity
+cartSchema.index({ status: 1, updatedAt: 1 });
+
 // Ensure that for anonymous carts, anonymousCartToken is present,
 // and for user carts, userId is present. This can be enforced by application logic or complex validators.
 // Example for unique anonymousCartToken if it's truly unique:
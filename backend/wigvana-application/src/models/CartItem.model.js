@@ -34,10 +34,18 @@ const cartItemSchema = new mongoose.Schema(
       min: 1,
     },
     priceAtAddition: {
-      // Store price for historical accuracy
+      // Current unit price (sale-aware); carts reprice it on read, at checkout and when a sale starts or ends
       type: Number, // Consider Decimal128 for currency
       required: true,
     },
+    acknowledgedPrice: {
+      // Price the buyer last saw and accepted; set apart from priceAtAddition until they acknowledge a price change
+      type: Number,
+    },
+    acknowledgedQuantity: {
+      // Quantity the buyer last asked for; above quantity once a stock drop cut the line down
+      type: Number,
+    },
     currencyAtAddition: {
       // e.g., "USD"
       type: String,
@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+// import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
+// import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
+// import logger from '../utils/logger.js'; // Placeholder
+
+export const INVENTORY_MOVEMENT_TYPES = [
+	"initial_stock", // Stock the variant was created with
+	"sale", // Deducted when an order's payment is confirmed
+	"cancellation_release", // Put back when an order is cancelled or its payment fails
+	"return_restock", // Put back when a returned item is received
+	"manual_adjustment", // Seller edits and bulk inventory updates
+];
+
+export const INVENTORY_MOVEMENT_ACTOR_ROLES = [
+	"buyer",
+	"seller",
+	"admin",
+	"system", // Checkout, payment webhooks, expiry jobs
+];
+
+/**
+ * One change to a variant's on-hand stock and why it happened. Append-only: together the
+ * movements of a variant form its stock ledger.
+ */
+const inventoryMovementSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		variantId: {
+			type: String,
+			ref: "ProductVariant",
+			required: true,
+		},
+		productId: {
+			type: String,
+			ref: "Product",
+			required: true,
+		},
+		sellerId: {
+			type: String,
+			ref: "User",
+			required: true,
+		},
+		sku: {
+			// SKU at the time of the movement
+			type: String,
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: INVENTORY_MOVEMENT_TYPES,
+			required: true,
+		},
+		quantityChange: {
+			// Signed: negative for units leaving stock
+			type: Number,
+			required: true,
+		},
+		quantityAfter: {
+			// stockQuantity right after the movement
+			type: Number,
+			required: true,
+		},
+		orderId: {
+			// Set for sale and cancellation_release movements
+			type: String,
+			ref: "Order",
+		},
+		returnRequestId: {
+			// Set for return_restock movements
+			type: String,
+			ref: "ReturnRequest",
+		},
+		actorId: {
+			// Absent for system movements
+			type: String,
+			ref: "User",
+		},
+		actorRole: {
+			type: String,
+			enum: INVENTORY_MOVEMENT_ACTOR_ROLES,
+			required: true,
+		},
+		note: {
+			type: String,
+			trim: true,
+		},
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+inventoryMovementSchema.index({ sellerId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ variantId: 1, createdAt: -1 });
+
+// RDF Sync Placeholder
+// inventoryMovementSchema.post('save', async function(doc, next) { /* ... */ next(); });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} InventoryMovementModelType
+ * @type {InventoryMovementModelType}
+ */
+const InventoryMovement = mongoose.model(
+	"InventoryMovement",
+	inventoryMovementSchema,
+);
+
+export default InventoryMovement;
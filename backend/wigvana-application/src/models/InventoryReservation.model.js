@@ -0,0 +1,106 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+// import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
+// import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
+// import logger from '../utils/logger.js'; // Placeholder
+
+export const RESERVATION_STATUSES = [
+	"active", // Holding stock for a checkout in progress
+	"released", // Cancelled by the buyer (or replaced by a newer reservation)
+	"expired", // Released by the sweeper after expiresAt passed
+	"awaiting_payment", // Holding stock for a placed order until its payment settles
+	"converted", // Turned into a real stock deduction once the order's payment was confirmed
+];
+
+const reservationItemSchema = new mongoose.Schema(
+	{
+		productId: {
+			type: String,
+			ref: "Product",
+			required: true,
+		},
+		variantId: {
+			type: String,
+			ref: "ProductVariant",
+			required: true,
+		},
+		quantity: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+	},
+	{ _id: false },
+);
+
+const inventoryReservationSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		cartId: {
+			type: String,
+			ref: "Cart",
+			required: true,
+		},
+		userId: {
+			type: String,
+			ref: "User",
+			required: true,
+			index: true,
+		},
+		items: {
+			type: [reservationItemSchema],
+			default: [],
+		},
+		status: {
+			type: String,
+			enum: RESERVATION_STATUSES,
+			default: "active",
+			required: true,
+			index: true,
+		},
+		expiresAt: {
+			// Not a Mongo TTL index: expiry must also give the held units back, which the sweeper job does.
+			type: Date,
+			required: true,
+		},
+		orderId: {
+			// Set once the reservation holds stock for a placed order
+			type: String,
+			ref: "Order",
+		},
+		releasedAt: {
+			type: Date,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+// At most one active hold per cart
+inventoryReservationSchema.index(
+	{ cartId: 1 },
+	{ unique: true, partialFilterExpression: { status: "active" } },
+);
+inventoryReservationSchema.index({ status: 1, expiresAt: 1 });
+
+// RDF Sync Placeholder
+// inventoryReservationSchema.post('save', async function(doc, next) { /* ... */ next(); });
+// inventoryReservationSchema.post('remove', async function(doc, next) { /* ... */ next(); });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} InventoryReservationModelType
+ * @type {InventoryReservationModelType}
+ */
+const InventoryReservation = mongoose.model(
+	"InventoryReservation",
+	inventoryReservationSchema,
+);
+
+export default InventoryReservation;
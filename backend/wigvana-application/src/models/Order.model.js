@@ -4,6 +4,84 @@ import { v4 as uuidv4 } from "uuid";
 // import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
 // import logger from '../utils/logger.js'; // Placeholder
 
+export const REFUND_SOURCES = ["admin", "return", "gateway", "cancellation"];
+export const REFUND_STATUSES = ["pending", "succeeded", "failed"];
+
+/**
+ * One refund against the order, kept as a ledger entry for reconciliation with the gateway.
+ * Entries are never removed; a refund the gateway rejected stays with status "failed".
+ */
+const refundEntrySchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		amount: {
+			// Total refunded by this entry: items + their tax + shipping
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		items: [
+			{
+				_id: false,
+				orderItemId: { type: String, ref: "OrderItem", required: true },
+				quantity: { type: Number, required: true, min: 1 },
+				amount: { type: Number, required: true }, // Goods value after the order discount
+				taxAmount: { type: Number, default: 0 },
+			},
+		],
+		shippingAmount: {
+			type: Number,
+			default: 0,
+		},
+		taxAmount: {
+			type: Number,
+			default: 0,
+		},
+		reason: {
+			type: String,
+			trim: true,
+		},
+		source: {
+			// admin: issued by an admin; return: a return reached "refunded"; gateway: reported by a webhook;
+			// cancellation: the order or a seller's shipment was cancelled after payment
+			type: String,
+			enum: REFUND_SOURCES,
+			required: true,
+		},
+		actorId: {
+			// Admin, seller or buyer who issued it; absent for gateway-initiated and system refunds
+			type: String,
+			ref: "User",
+		},
+		returnRequestId: {
+			type: String,
+			ref: "ReturnRequest",
+		},
+		shipmentId: {
+			// Set when a seller cancelled their shipment of the order
+			type: String,
+			ref: "Shipment",
+		},
+		status: {
+			type: String,
+			enum: REFUND_STATUSES,
+			default: "pending",
+		},
+		gatewayRefundId: {
+			type: String,
+			trim: true,
+		},
+		failureReason: {
+			type: String,
+			trim: true,
+		},
+	},
+	{ timestamps: true },
+);
+
 const orderSchema = new mongoose.Schema(
 	{
 		_id: {
@@ -28,6 +106,7 @@ const orderSchema = new mongoose.Schema(
 				"pending_payment",
 				"payment_failed",
 				"processing",
+				"partially_shipped", // Some sellers' shipments are on their way, others not yet
 				"shipped",
 				"out_for_delivery",
 				"delivered",
@@ -65,10 +144,63 @@ const orderSchema = new mongoose.Schema(
 		},
 		paymentStatus: {
 			type: String,
-			enum: ["pending", "paid", "failed", "refunded"],
+			enum: [
+				"pending",
+				"authorized",
+				"paid",
+				"partially_refunded",
+				"failed",
+				"voided", // Order cancelled before payment was captured; any authorization was released
+				"refunded",
+				"disputed",
+			],
 			default: "pending",
 			index: true,
 		},
+		paymentGateway: {
+			// Adapter that took the payment, e.g. "simulator" (see paymentGateway.service.js)
+			type: String,
+			trim: true,
+		},
+		paymentFailureReason: {
+			// Gateway decline code or "payment_timeout" when the order failed payment
+			type: String,
+			trim: true,
+		},
+		paymentNextAction: {
+			// Action the buyer must complete while the order is pending_payment (e.g. 3-D Secure)
+			type: mongoose.Schema.Types.Mixed,
+		},
+		paymentExpiresAt: {
+			// A pending_payment order not confirmed by then is failed and its stock released
+			type: Date,
+		},
+		cartId: {
+			// Cart the order was placed from; reactivated if payment fails
+			type: String,
+			ref: "Cart",
+		},
+		dispute: {
+			// Chargeback opened by the buyer's bank, reported through a payment webhook
+			gatewayDisputeId: { type: String, trim: true },
+			reason: { type: String, trim: true },
+			amount: { type: Number },
+			openedAt: { type: Date },
+		},
+		refundedAmount: {
+			// Sum of pending and succeeded refund entries; never exceeds totalAmount
+			type: Number,
+			default: 0,
+		},
+		refunds: {
+			type: [refundEntrySchema],
+			default: [],
+		},
+		stockRestoredAt: {
+			// Set once the order's stock has been put back or its hold released (payment failure, cancellation);
+			// each item also records its own restore in OrderItem.stockRestoredAt
+			type: Date,
+		},
 		subtotalAmount: {
 			// Sum of (item price * quantity) before discounts, shipping, taxes
 			type: Number, // Consider Decimal128 for currency
@@ -82,6 +214,10 @@ const orderSchema = new mongoose.Schema(
 			type: Number, // Consider Decimal128 for currency
 			default: 0.0,
 		},
+		promotionId: {
+			type: String,
+			ref: "Promotion",
+		},
 		shippingMethod: {
 			type: String,
 			trim: true,
@@ -94,6 +230,11 @@ const orderSchema = new mongoose.Schema(
 			type: Number, // Consider Decimal128 for currency
 			default: 0.0,
 		},
+		includedTaxAmount: {
+			// Part of taxAmount already contained in item prices (tax-inclusive markets); not added to the total
+			type: Number,
+			default: 0.0,
+		},
 		totalAmount: {
 			// Final amount charged
 			type: Number, // Consider Decimal128 for currency
@@ -106,6 +247,7 @@ const orderSchema = new mongoose.Schema(
 			default: "USD",
 		},
 		trackingNumber: {
+			// Mirrors the shipment's tracking when the order has a single seller; see Shipment for the rest
 			type: String,
 			trim: true,
 		},
@@ -121,7 +263,7 @@ const orderSchema = new mongoose.Schema(
 			trim: true,
 		},
 		internalNotes: {
-			// For seller/admin
+			// For seller/admin. Status change notes live in the order's history (OrderStatusEvent)
 			type: String,
 			trim: true,
 		},
@@ -135,6 +277,23 @@ const orderSchema = new mongoose.Schema(
 	},
 );
 
+// Lets order queries populate their OrderItems via .populate("items")
+orderSchema.virtual("items", {
+	ref: "OrderItem",
+	localField: "_id",
+	foreignField: "orderId",
+});
+
+// One shipment per seller; populated via .populate("shipments")
+orderSchema.virtual("shipments", {
+	ref: "Shipment",
+	localField: "_id",
+	foreignField: "orderId",
+});
+
+// Used by the pending payment expiry job
+orderSchema.index({ status: 1, paymentExpiresAt: 1 });
+
 // RDF Sync Placeholder
 // orderSchema.post('save', async function(doc, next) { /* ... */ next(); });
 // orderSchema.post('remove', async function(doc, next) { /* ... */ next(); });
@@ -35,6 +35,12 @@ const orderItemSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    shipmentId: {
+      // The seller's shipment this item travels in
+      type: String,
+      ref: "Shipment",
+      index: true,
+    },
     productNameSnapshot: {
       // Name of the product at time of order
       type: String,
@@ -60,6 +66,31 @@ const orderItemSchema = new mongoose.Schema(
       type: Number, // Consider Decimal128 for currency
       required: true,
     },
+    discountAmount: {
+      // This line's share of the order discount
+      type: Number,
+      default: 0,
+    },
+    taxAmount: {
+      // Tax on the line after its discount
+      type: Number,
+      default: 0,
+    },
+    includedTaxAmount: {
+      // Part of taxAmount already contained in the price (tax-inclusive markets)
+      type: Number,
+      default: 0,
+    },
+    taxBreakdown: [
+      {
+        _id: false,
+        taxRateId: { type: String, ref: "TaxRate" },
+        name: { type: String, required: true },
+        rate: { type: Number, required: true }, // Percent
+        included: { type: Boolean, default: false },
+        amount: { type: Number, required: true },
+      },
+    ],
     itemStatus: {
       // Status specific to this item in the order
       type: String,
@@ -69,12 +100,31 @@ const orderItemSchema = new mongoose.Schema(
         "shipped",
         "delivered",
         "cancelled",
+        "return_requested",
+        "return_approved",
         "returned",
+        "refund_pending",
+        "partially_refunded",
         "refunded",
       ],
       default: "pending",
       index: true,
     },
+    refundedQuantity: {
+      // Units covered by refund ledger entries on the order
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refundedAmount: {
+      // Goods value plus tax refunded for this line
+      type: Number,
+      default: 0,
+    },
+    stockRestoredAt: {
+      // Set once this line's quantity has been put back on its variant after a cancellation
+      type: Date,
+    },
   },
   {
     timestamps: true,
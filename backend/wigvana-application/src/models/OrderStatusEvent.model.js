@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+// import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
+// import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
+// import logger from '../utils/logger.js'; // Placeholder
+
+export const ORDER_STATUS_EVENT_ENTITIES = ["order", "order_item"];
+
+export const ORDER_STATUS_ACTOR_ROLES = [
+	"buyer",
+	"seller",
+	"admin",
+	"system", // Payment webhooks, expiry jobs, refund ledger updates
+];
+
+/**
+ * One status change of an order or of one of its items. Append-only: together the events
+ * of an order form its status timeline.
+ */
+const orderStatusEventSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		orderId: {
+			type: String,
+			ref: "Order",
+			required: true,
+		},
+		entity: {
+			type: String,
+			enum: ORDER_STATUS_EVENT_ENTITIES,
+			required: true,
+		},
+		orderItemId: {
+			// Set for order_item events
+			type: String,
+			ref: "OrderItem",
+		},
+		sellerId: {
+			// Seller of the item, so sellers only see their own items' events
+			type: String,
+			ref: "User",
+		},
+		fromStatus: {
+			// Absent for the event that created the order
+			type: String,
+		},
+		toStatus: {
+			type: String,
+			required: true,
+		},
+		actorId: {
+			// Absent for system events
+			type: String,
+			ref: "User",
+		},
+		actorRole: {
+			type: String,
+			enum: ORDER_STATUS_ACTOR_ROLES,
+			required: true,
+		},
+		note: {
+			type: String,
+			trim: true,
+		},
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+orderStatusEventSchema.index({ orderId: 1, createdAt: 1 });
+
+// RDF Sync Placeholder
+// orderStatusEventSchema.post('save', async function(doc, next) { /* ... */ next(); });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} OrderStatusEventModelType
+ * @type {OrderStatusEventModelType}
+ */
+const OrderStatusEvent = mongoose.model(
+	"OrderStatusEvent",
+	orderStatusEventSchema,
+);
+
+export default OrderStatusEvent;
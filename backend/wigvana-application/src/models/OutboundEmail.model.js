@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+
+export const OUTBOUND_EMAIL_STATUSES = [
+	"pending", // Waiting for its first or next delivery attempt
+	"sent", // Accepted by the transport
+	"failed", // Gave up after MAIL_MAX_ATTEMPTS
+];
+
+const outboundEmailSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		to: {
+			type: String,
+			required: true,
+			trim: true,
+			lowercase: true,
+			index: true,
+		},
+		from: {
+			type: String,
+			required: true,
+		},
+		template: {
+			// Name of the template the message was rendered from, e.g. "emailVerification"
+			type: String,
+			required: true,
+			index: true,
+		},
+		subject: {
+			type: String,
+			required: true,
+		},
+		text: {
+			// Rendered when queued, so retries send exactly what was first attempted
+			type: String,
+			required: true,
+		},
+		html: {
+			type: String,
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: OUTBOUND_EMAIL_STATUSES,
+			default: "pending",
+			required: true,
+		},
+		attempts: {
+			type: Number,
+			default: 0,
+		},
+		nextAttemptAt: {
+			type: Date,
+			default: () => new Date(),
+		},
+		lockedUntil: {
+			// Set while a delivery attempt is in flight so no other worker sends it too
+			type: Date,
+			default: null,
+		},
+		lastError: {
+			type: String,
+		},
+		transport: {
+			// Transport that accepted the message
+			type: String,
+		},
+		providerMessageId: {
+			type: String,
+		},
+		sentAt: {
+			type: Date,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+outboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} OutboundEmailModelType
+ * @type {OutboundEmailModelType}
+ */
+const OutboundEmail = mongoose.model("OutboundEmail", outboundEmailSchema);
+
+export default OutboundEmail;
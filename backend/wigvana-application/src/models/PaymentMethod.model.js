@@ -1,9 +1,14 @@
 import mongoose from "mongoose";
 import { v4 as uuidv4 } from "uuid";
+import config from "../config/index.js";
 // import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
 // import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
 // import logger from '../utils/logger.js'; // Placeholder
 
+const PAYMENT_GATEWAYS = ["stripe", "paypal", "braintree", "custom"];
+// The local simulator approves almost any token, so it must never be selectable in production.
+if (config.NODE_ENV !== "production") PAYMENT_GATEWAYS.push("simulator");
+
 const paymentMethodSchema = new mongoose.Schema(
 	{
 		_id: {
@@ -19,7 +24,7 @@ const paymentMethodSchema = new mongoose.Schema(
 		paymentGateway: {
 			// e.g., "stripe", "paypal"
 			type: String,
-			enum: ["stripe", "paypal", "braintree", "custom"], // Add more as needed
+			enum: PAYMENT_GATEWAYS, // Add more as needed
 			required: true,
 		},
 		type: {
@@ -0,0 +1,106 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+// import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
+// import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
+// import logger from '../utils/logger.js'; // Placeholder
+
+export const WEBHOOK_EVENT_STATUSES = [
+	"received", // Stored, not yet applied
+	"processing", // Being applied right now
+	"processed", // Applied to the order
+	"ignored", // Valid but nothing to do (e.g. a stale failure after capture)
+	"pending_replay", // Unknown type or arrived out of order; kept for replay
+	"failed", // Applying it threw; kept for replay
+];
+
+const paymentWebhookEventSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		gateway: {
+			// Adapter name from the URL, e.g. "simulator"
+			type: String,
+			required: true,
+			trim: true,
+		},
+		eventId: {
+			// The gateway's own event ID; unique per gateway so redeliveries are deduplicated
+			type: String,
+			required: true,
+			trim: true,
+		},
+		type: {
+			// e.g. "payment.captured", "payment.failed", "refund.succeeded", "dispute.opened"
+			type: String,
+			required: true,
+			trim: true,
+			index: true,
+		},
+		transactionId: {
+			type: String,
+			trim: true,
+			index: true,
+		},
+		orderId: {
+			// Resolved from the transaction ID or the event data; absent if no order matched yet
+			type: String,
+			ref: "Order",
+			index: true,
+		},
+		payload: {
+			// Parsed event data as verified from the gateway
+			type: mongoose.Schema.Types.Mixed,
+			default: {},
+		},
+		occurredAt: {
+			type: Date,
+		},
+		status: {
+			type: String,
+			enum: WEBHOOK_EVENT_STATUSES,
+			default: "received",
+			required: true,
+			index: true,
+		},
+		claimedAt: {
+			// When the current "processing" claim was taken; a stale claim means the worker died
+			type: Date,
+		},
+		attempts: {
+			type: Number,
+			default: 0,
+		},
+		lastError: {
+			// Why the event is pending replay or failed
+			type: String,
+		},
+		processedAt: {
+			type: Date,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+paymentWebhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+
+// RDF Sync Placeholder
+// paymentWebhookEventSchema.post('save', async function(doc, next) { /* ... */ next(); });
+// paymentWebhookEventSchema.post('remove', async function(doc, next) { /* ... */ next(); });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} PaymentWebhookEventModelType
+ * @type {PaymentWebhookEventModelType}
+ */
+const PaymentWebhookEvent = mongoose.model(
+	"PaymentWebhookEvent",
+	paymentWebhookEventSchema,
+);
+
+export default PaymentWebhookEvent;
@@ -4,6 +4,7 @@ import { RDFConverter } from "../utils/RDFConverter.js"; // Import
 import { rdfStoreService } from "../services/RDFStoreService.js"; // Import
 import logger from "../utils/logger.js"; // Import
 import config from "../config/index.js"; // For
+import { searchService } from "../services/search.service.js";
 
 const DATA_BASE_URI = `${config.APP_BASE_URI || "http://localhost:3000"}/data/`;
 
@@ -95,6 +96,13 @@ const productSchema = new mongoose.Schema(
 			default: 0,
 			min: 0,
 		},
+		taxClass: {
+			// Selects the tax rates that apply, e.g. "standard", "reduced", "exempt"
+			type: String,
+			trim: true,
+			lowercase: true,
+			default: "standard",
+		},
 		shippingDetails: {
 			// Object containing weight, dimensions
 			weight: { value: Number, unit: String }, // e.g. { value: 1.5, unit: 'kg' }
@@ -199,6 +207,23 @@ productSchema.post("findOneAndDelete", async (doc, next) => {
 	next();
 });
 
+// Search index sync
+productSchema.plugin(searchService.searchSyncPlugin, {
+	productIdPath: "_id",
+	fields: [
+		"name",
+		"description",
+		"brand",
+		"tags",
+		"categoryId",
+		"sellerId",
+		"basePrice",
+		"averageRating",
+		"isPublished",
+		"approvalStatus",
+	],
+});
+
 /**
  * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} ProductModelType
  * @type {ProductModelType}
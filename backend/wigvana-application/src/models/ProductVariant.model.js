@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import { v4 as uuidv4 } from "uuid";
+import { searchService } from "../services/search.service.js";
 // import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
 // import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
 // import logger from '../utils/logger.js'; // Placeholder
@@ -48,6 +49,21 @@ const productVariantSchema = new mongoose.Schema(
 			default: 0,
 			min: 0,
 		},
+		reservedQuantity: {
+			// Units held by active checkout reservations; available = stockQuantity - reservedQuantity
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		lowStockThreshold: {
+			// Seller is alerted once stockQuantity drops to or below this; unset disables alerts
+			type: Number,
+			min: 0,
+		},
+		lowStockAlertedAt: {
+			// Set when the low-stock alert fires, cleared once stock is back above the threshold
+			type: Date,
+		},
 		imageIds: [
 			{
 				// Specific images for this variant, references ProductImage _id
@@ -94,6 +110,21 @@ const productVariantSchema = new mongoose.Schema(
 // productVariantSchema.post('save', async function(doc, next) { /* ... */ next(); });
 // productVariantSchema.post('remove', async function(doc, next) { /* ... */ next(); });
 
+// Search index sync
+productVariantSchema.plugin(searchService.searchSyncPlugin, {
+	productIdPath: "productId",
+	fields: [
+		"attributes",
+		"price",
+		"salePrice",
+		"saleStartDate",
+		"saleEndDate",
+		"stockQuantity",
+		"reservedQuantity",
+		"isActive",
+	],
+});
+
 /**
  * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} ProductVariantModelType
  * @type {ProductVariantModelType}
@@ -0,0 +1,146 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+// import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
+// import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
+// import logger from '../utils/logger.js'; // Placeholder
+
+export const PROMOTION_TYPES = [
+	"percentage", // value % off the eligible items
+	"fixed_amount", // value off the eligible items
+	"free_shipping",
+	"buy_x_get_y", // Buy buyQuantity eligible units, get getQuantity more at getDiscountPercent off
+];
+
+/**
+ * A discount code created by an admin (platform-wide) or a seller (their own products only).
+ * Scoping fields narrow the cart lines the promotion applies to; empty means no restriction.
+ */
+const promotionSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		code: {
+			// Stored uppercase; buyers enter it case-insensitively
+			type: String,
+			required: true,
+			trim: true,
+			uppercase: true,
+			unique: true,
+		},
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		description: {
+			type: String,
+			trim: true,
+		},
+		type: {
+			type: String,
+			enum: PROMOTION_TYPES,
+			required: true,
+		},
+		value: {
+			// Percentage (0-100) or amount, depending on type. Unused for free_shipping and buy_x_get_y.
+			type: Number,
+			min: 0,
+			default: 0,
+		},
+		maxDiscountAmount: {
+			// Caps percentage discounts
+			type: Number,
+			min: 0,
+		},
+		buyQuantity: {
+			type: Number,
+			min: 1,
+		},
+		getQuantity: {
+			type: Number,
+			min: 1,
+		},
+		getDiscountPercent: {
+			// 100 = the "get" units are free
+			type: Number,
+			min: 0,
+			max: 100,
+			default: 100,
+		},
+		minSubtotal: {
+			// Minimum subtotal of the eligible items
+			type: Number,
+			min: 0,
+			default: 0,
+		},
+		startsAt: {
+			type: Date,
+		},
+		endsAt: {
+			type: Date,
+		},
+		usageLimit: {
+			// Total redemptions allowed; unset means unlimited
+			type: Number,
+			min: 1,
+		},
+		usageCount: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		perUserLimit: {
+			// Redemptions allowed per buyer; unset means unlimited
+			type: Number,
+			min: 1,
+		},
+		sellerId: {
+			// Seller-owned promotions only apply to that seller's items
+			type: String,
+			ref: "User",
+			index: true,
+		},
+		productIds: [
+			{
+				type: String,
+				ref: "Product",
+			},
+		],
+		categoryIds: [
+			{
+				type: String,
+				ref: "Category",
+			},
+		],
+		isActive: {
+			type: Boolean,
+			default: true,
+			index: true,
+		},
+		createdBy: {
+			type: String,
+			ref: "User",
+			required: true,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+// RDF Sync Placeholder
+// promotionSchema.post('save', async function(doc, next) { /* ... */ next(); });
+// promotionSchema.post('remove', async function(doc, next) { /* ... */ next(); });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} PromotionModelType
+ * @type {PromotionModelType}
+ */
+const Promotion = mongoose.model("Promotion", promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+// import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
+// import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
+// import logger from '../utils/logger.js'; // Placeholder
+
+/**
+ * One use of a promotion by an order. Released redemptions (failed payment, cancelled order)
+ * no longer count against the promotion's limits.
+ */
+const promotionRedemptionSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		promotionId: {
+			type: String,
+			ref: "Promotion",
+			required: true,
+			index: true,
+		},
+		userId: {
+			type: String,
+			ref: "User",
+			required: true,
+		},
+		orderId: {
+			type: String,
+			ref: "Order",
+			required: true,
+			unique: true, // One promotion per order
+		},
+		code: {
+			type: String,
+			required: true,
+		},
+		discountAmount: {
+			type: Number,
+			default: 0,
+		},
+		shippingDiscountAmount: {
+			type: Number,
+			default: 0,
+		},
+		userSlot: {
+			// 1..perUserLimit while redeemed; the unique index below stops concurrent checkouts exceeding the limit
+			type: Number,
+		},
+		status: {
+			type: String,
+			enum: ["redeemed", "released"],
+			default: "redeemed",
+		},
+		releasedAt: {
+			type: Date,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+promotionRedemptionSchema.index(
+	{ promotionId: 1, userId: 1, userSlot: 1 },
+	{
+		unique: true,
+		partialFilterExpression: {
+			status: "redeemed",
+			userSlot: { $exists: true },
+		},
+	},
+);
+
+// RDF Sync Placeholder
+// promotionRedemptionSchema.post('save', async function(doc, next) { /* ... */ next(); });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} PromotionRedemptionModelType
+ * @type {PromotionRedemptionModelType}
+ */
+const PromotionRedemption = mongoose.model(
+	"PromotionRedemption",
+	promotionRedemptionSchema,
+);
+
+export default PromotionRedemption;
@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+// import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
+// import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
+// import logger from '../utils/logger.js'; // Placeholder
+
+export const RETURN_REQUEST_STATUSES = [
+	"pending_approval",
+	"approved",
+	"rejected",
+	"item_received",
+	"refund_processing",
+	"refunded",
+];
+
+const returnRequestSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		orderId: {
+			type: String,
+			ref: "Order",
+			required: true,
+			index: true,
+		},
+		orderItemId: {
+			type: String,
+			ref: "OrderItem",
+			required: true,
+			index: true,
+		},
+		buyerId: {
+			// The user who placed the order and filed the return
+			type: String,
+			ref: "User",
+			required: true,
+			index: true,
+		},
+		sellerId: {
+			// Denormalized from the OrderItem so sellers can list their returns directly
+			type: String,
+			ref: "User",
+			required: true,
+			index: true,
+		},
+		productId: {
+			type: String,
+			ref: "Product",
+			required: true,
+		},
+		variantId: {
+			type: String,
+			ref: "ProductVariant",
+			required: true,
+		},
+		productNameSnapshot: {
+			type: String,
+			required: true,
+		},
+		quantity: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		reason: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		status: {
+			type: String,
+			enum: RETURN_REQUEST_STATUSES,
+			default: "pending_approval",
+			required: true,
+			index: true,
+		},
+		sellerNotes: {
+			// Reason given on rejection or any note added while processing
+			type: String,
+			trim: true,
+		},
+		lastUpdatedBy: {
+			// User (seller or admin) who performed the latest status change
+			type: String,
+			ref: "User",
+		},
+		refundAmount: {
+			type: Number, // Consider Decimal128 for currency
+		},
+		restockedAt: {
+			// Set once the returned quantity has been put back on the variant
+			type: Date,
+		},
+		resolvedAt: {
+			// Set when the request reaches a terminal status (rejected or refunded)
+			type: Date,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+returnRequestSchema.index({ sellerId: 1, status: 1, createdAt: -1 });
+
+// RDF Sync Placeholder
+// returnRequestSchema.post('save', async function(doc, next) { /* ... */ next(); });
+// returnRequestSchema.post('remove', async function(doc, next) { /* ... */ next(); });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} ReturnRequestModelType
+ * @type {ReturnRequestModelType}
+ */
+const ReturnRequest = mongoose.model("ReturnRequest", returnRequestSchema);
+
+export default ReturnRequest;
@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+// import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
+// import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
+// import logger from '../utils/logger.js'; // Placeholder
+
+export const SHIPMENT_STATUSES = [
+	"pending", // Order not paid yet
+	"processing", // Paid; the seller is preparing the parcel
+	"shipped",
+	"out_for_delivery",
+	"delivered",
+	"cancelled", // Cancelled by the seller or because the order failed/cancelled
+];
+
+/**
+ * One seller's share of an order: the items that seller fulfils, shipped as one parcel.
+ * The parent Order's status is derived from the statuses of its shipments.
+ */
+const shipmentSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		orderId: {
+			type: String,
+			ref: "Order",
+			required: true,
+			index: true,
+		},
+		sellerId: {
+			type: String,
+			ref: "User",
+			required: true,
+			index: true,
+		},
+		status: {
+			type: String,
+			enum: SHIPMENT_STATUSES,
+			default: "pending",
+			required: true,
+			index: true,
+		},
+		shippingMethodId: {
+			// The seller's method the buyer chose at checkout ("default" for the platform rate)
+			type: String,
+		},
+		shippingMethodName: {
+			type: String,
+			trim: true,
+		},
+		shippingCost: {
+			// Price of the method for this parcel, before any free-shipping discount
+			type: Number,
+			default: 0,
+		},
+		carrier: {
+			type: String,
+			trim: true,
+		},
+		trackingNumber: {
+			type: String,
+			trim: true,
+		},
+		shippedAt: {
+			type: Date,
+		},
+		trackingPolledAt: {
+			// Last time the carrier was asked for tracking events
+			type: Date,
+		},
+		deliveredAt: {
+			type: Date,
+		},
+		cancelledAt: {
+			type: Date,
+		},
+		sellerNotes: {
+			type: String,
+			trim: true,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+// One shipment per seller per order
+shipmentSchema.index({ orderId: 1, sellerId: 1 }, { unique: true });
+
+// Lets shipment queries populate their OrderItems via .populate("items")
+shipmentSchema.virtual("items", {
+	ref: "OrderItem",
+	localField: "_id",
+	foreignField: "shipmentId",
+});
+
+// RDF Sync Placeholder
+// shipmentSchema.post('save', async function(doc, next) { /* ... */ next(); });
+// shipmentSchema.post('remove', async function(doc, next) { /* ... */ next(); });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} ShipmentModelType
+ * @type {ShipmentModelType}
+ */
+const Shipment = mongoose.model("Shipment", shipmentSchema);
+
+export default Shipment;
@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+// import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
+// import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
+// import logger from '../utils/logger.js'; // Placeholder
+
+export const SHIPPING_METHOD_TYPES = [
+	"flat", // `rate` per parcel
+	"weight_based", // `rate` plus `perKgRate` for each kg in the parcel
+	"free_over_threshold", // Free once the seller's items reach `freeOverAmount`, otherwise `rate`
+];
+
+const shippingMethodSchema = new mongoose.Schema({
+	_id: {
+		type: String,
+		default: () => uuidv4(),
+	},
+	name: {
+		// Shown to the buyer, e.g. "Standard", "Express"
+		type: String,
+		required: true,
+		trim: true,
+	},
+	type: {
+		type: String,
+		enum: SHIPPING_METHOD_TYPES,
+		required: true,
+	},
+	rate: {
+		type: Number,
+		required: true,
+		min: 0,
+	},
+	perKgRate: {
+		type: Number,
+		min: 0,
+	},
+	freeOverAmount: {
+		type: Number,
+		min: 0,
+	},
+	minDeliveryDays: {
+		type: Number,
+		min: 0,
+	},
+	maxDeliveryDays: {
+		type: Number,
+		min: 0,
+	},
+	isActive: {
+		type: Boolean,
+		default: true,
+	},
+});
+
+/**
+ * A region a seller ships to and the methods offered there. An address is served by the seller's
+ * most specific matching zone: one listing its region wins over one covering the whole country.
+ */
+const shippingZoneSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		sellerId: {
+			type: String,
+			ref: "User",
+			required: true,
+			index: true,
+		},
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		countries: {
+			// ISO 3166-1 alpha-2, matched against the shipping address country
+			type: [{ type: String, trim: true, uppercase: true }],
+			required: true,
+		},
+		regions: {
+			// Matched against the shipping address stateProvinceRegion; empty covers whole countries
+			type: [{ type: String, trim: true, uppercase: true }],
+			default: [],
+		},
+		methods: [shippingMethodSchema],
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+// RDF Sync Placeholder
+// shippingZoneSchema.post('save', async function(doc, next) { /* ... */ next(); });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} ShippingZoneModelType
+ * @type {ShippingZoneModelType}
+ */
+const ShippingZone = mongoose.model("ShippingZone", shippingZoneSchema);
+
+export default ShippingZone;
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+// import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
+// import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
+// import logger from '../utils/logger.js'; // Placeholder
+
+/**
+ * One row of the tax rate table. Every active row matching the shipping country, the region
+ * (or no region, for country-wide taxes) and the product's tax class applies, so stacked taxes
+ * such as a federal and a provincial sales tax are separate rows.
+ */
+const taxRateSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		name: {
+			// Shown in the tax breakdown, e.g. "VAT", "GST", "CA sales tax"
+			type: String,
+			required: true,
+			trim: true,
+		},
+		country: {
+			// ISO 3166-1 alpha-2, matched against the shipping address country
+			type: String,
+			required: true,
+			trim: true,
+			uppercase: true,
+		},
+		region: {
+			// Matched against the shipping address stateProvinceRegion; unset applies country-wide
+			type: String,
+			trim: true,
+			uppercase: true,
+		},
+		taxClass: {
+			// Matched against Product.taxClass
+			type: String,
+			trim: true,
+			lowercase: true,
+			default: "standard",
+		},
+		rate: {
+			// Percent
+			type: Number,
+			required: true,
+			min: 0,
+			max: 100,
+		},
+		pricesIncludeTax: {
+			// For markets where listed prices already include this tax (e.g. VAT)
+			type: Boolean,
+			default: false,
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+taxRateSchema.index({ country: 1, region: 1, taxClass: 1, isActive: 1 });
+
+// RDF Sync Placeholder
+// taxRateSchema.post('save', async function(doc, next) { /* ... */ next(); });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} TaxRateModelType
+ * @type {TaxRateModelType}
+ */
+const TaxRate = mongoose.model("TaxRate", taxRateSchema);
+
+export default TaxRate;
@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+// import { RDFConverter } from '../utils/RDFConverter.js'; // Placeholder
+// import { rdfStoreService } from '../services/RDFStoreService.js'; // Placeholder
+// import logger from '../utils/logger.js'; // Placeholder
+
+/** Normalized tracking statuses every carrier adapter maps its own codes onto. */
+export const TRACKING_EVENT_STATUSES = [
+	"label_created",
+	"in_transit",
+	"out_for_delivery",
+	"delivered",
+	"exception", // Delay, failed delivery attempt, damaged parcel, ...
+];
+
+/**
+ * One scan reported by a carrier for a shipment. Append-only: together the events of a
+ * shipment form the tracking timeline shown to the buyer.
+ */
+const trackingEventSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		shipmentId: {
+			type: String,
+			ref: "Shipment",
+			required: true,
+		},
+		orderId: {
+			type: String,
+			ref: "Order",
+			required: true,
+			index: true,
+		},
+		carrier: {
+			type: String,
+			required: true,
+		},
+		trackingNumber: {
+			type: String,
+			required: true,
+		},
+		eventId: {
+			// The carrier's ID for the scan; polling and webhooks report the same scan more than once
+			type: String,
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: TRACKING_EVENT_STATUSES,
+			required: true,
+		},
+		description: {
+			type: String,
+			trim: true,
+		},
+		location: {
+			type: String,
+			trim: true,
+		},
+		occurredAt: {
+			type: Date,
+			required: true,
+		},
+		source: {
+			type: String,
+			enum: ["poll", "webhook"],
+			required: true,
+		},
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+trackingEventSchema.index({ shipmentId: 1, eventId: 1 }, { unique: true });
+trackingEventSchema.index({ shipmentId: 1, occurredAt: 1 });
+
+// RDF Sync Placeholder
+// trackingEventSchema.post('save', async function(doc, next) { /* ... */ next(); });
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} TrackingEventModelType
+ * @type {TrackingEventModelType}
+ */
+const TrackingEvent = mongoose.model("TrackingEvent", trackingEventSchema);
+
+export default TrackingEvent;
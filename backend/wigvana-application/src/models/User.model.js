@@ -59,6 +59,32 @@ const userSchema = new mongoose.Schema(
 			type: Date,
 			private: true,
 		},
+		// TOTP two-factor authentication. Secrets and recovery codes are never loaded unless selected
+		twoFactor: {
+			enabled: {
+				type: Boolean,
+				default: false,
+			},
+			enabledAt: {
+				type: Date,
+			},
+			secret: {
+				type: String, // Encrypted base32 secret
+				select: false,
+			},
+			pendingSecret: {
+				type: String, // Encrypted secret awaiting its first code during enrollment
+				select: false,
+			},
+			recoveryCodes: {
+				type: [String], // SHA-256 hashes of the unused recovery codes
+				select: false,
+			},
+			lastUsedStep: {
+				type: Number, // Time step of the last accepted code, so a code works only once
+				select: false,
+			},
+		},
 		phoneNumber: {
 			type: String,
 			trim: true,
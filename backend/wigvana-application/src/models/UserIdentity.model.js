@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+
+// An account at an OpenID Connect provider (Google, Apple, ...) that can log in as a user
+const userIdentitySchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		userId: {
+			type: String,
+			ref: "User",
+			required: true,
+			index: true,
+		},
+		provider: {
+			type: String, // Name of the provider, e.g. "google"
+			required: true,
+		},
+		subject: {
+			type: String, // The provider's stable ID for the account (the ID token's `sub` claim)
+			required: true,
+		},
+		email: {
+			type: String, // Email the provider last reported, for display only; never used for matching
+			trim: true,
+			lowercase: true,
+		},
+		lastLoginAt: {
+			type: Date,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { virtuals: true, getters: true },
+		toObject: { virtuals: true, getters: true },
+		id: false,
+	},
+);
+
+// A provider account logs in as one user, and a user links at most one account per provider
+userIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+userIdentitySchema.index({ userId: 1, provider: 1 }, { unique: true });
+
+const UserIdentity = mongoose.model("UserIdentity", userIdentitySchema);
+
+export default UserIdentity;
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+
+export const WISHLIST_TYPES = [
+	"wishlist", // Named lists the buyer creates
+	"saved_for_later", // The one list cart lines are saved to from /me/cart; created on first use
+];
+
+/**
+ * A named list of products a buyer keeps for later. Items live in WishlistItem.
+ */
+const wishlistSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		userId: {
+			type: String,
+			ref: "User",
+			required: true,
+			index: true,
+		},
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+			maxlength: 100,
+		},
+		type: {
+			type: String,
+			enum: WISHLIST_TYPES,
+			default: "wishlist",
+		},
+		isPublic: {
+			type: Boolean,
+			default: false,
+		},
+		shareToken: {
+			// Identifies the list in its public link; set while the list is public
+			type: String,
+			unique: true,
+			sparse: true,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} WishlistModelType
+ * @type {WishlistModelType}
+ */
+const Wishlist = mongoose.model("Wishlist", wishlistSchema);
+
+export default Wishlist;
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * A product, or one specific variant of it, kept on a wishlist.
+ */
+const wishlistItemSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => uuidv4(),
+		},
+		wishlistId: {
+			type: String,
+			ref: "Wishlist",
+			required: true,
+			index: true,
+		},
+		productId: {
+			type: String,
+			ref: "Product",
+			required: true,
+		},
+		variantId: {
+			// Null when the buyer saved the product rather than a particular variant
+			type: String,
+			ref: "ProductVariant",
+			default: null,
+		},
+		quantity: {
+			// Carried over from the cart by save-for-later; used by move-to-cart
+			type: Number,
+			min: 1,
+			default: 1,
+		},
+		priceWhenAdded: {
+			// What the item sold for when saved (lowest variant price for product-level items); drives priceDropped
+			type: Number,
+			required: true,
+		},
+		inStockWhenAdded: {
+			// Drives backInStock
+			type: Boolean,
+			required: true,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { getters: true, virtuals: true },
+		toObject: { getters: true, virtuals: true },
+		id: false,
+	},
+);
+
+// A product or variant is on a list at most once
+wishlistItemSchema.index(
+	{ wishlistId: 1, productId: 1, variantId: 1 },
+	{ unique: true },
+);
+
+/**
+ * @typedef {mongoose.Model<mongoose.Document<any, any, any> & {}>} WishlistItemModelType
+ * @type {WishlistItemModelType}
+ */
+const WishlistItem = mongoose.model("WishlistItem", wishlistItemSchema);
+
+export default WishlistItem;
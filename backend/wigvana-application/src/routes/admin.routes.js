@@ -1,6 +1,11 @@
 import express from "express";
 import { adminController } from "../controllers/admin.controller.js";
-import { protect, authorize } from "../middlewares/auth.middleware.js";
+import {
+	protect,
+	authorize,
+	requireTwoFactorEnrollment,
+	requireStepUp,
+} from "../middlewares/auth.middleware.js";
 import validate from "../middlewares/validate.middleware.js";
 import {
 	// User Management DTOs
@@ -24,6 +29,24 @@ import {
 	adminUpdateOrderStatusSchema,
 	adminProcessRefundSchema,
 	orderIdParamsSchema, // Used for get, status update, refund
+	// Return Management DTOs
+	listAdminReturnsQuerySchema,
+	adminUpdateReturnStatusSchema,
+	// Payment Webhook DTOs
+	listWebhookEventsQuerySchema,
+	webhookEventIdParamsSchema,
+	// Promotion Management DTOs
+	listAdminPromotionsQuerySchema,
+	adminCreatePromotionSchema,
+	adminUpdatePromotionSchema,
+	promotionIdParamsSchema, // Used for update, deactivate
+	// Cart Report DTOs
+	cartAbandonmentReportQuerySchema,
+	// Tax Rate DTOs
+	listTaxRatesQuerySchema,
+	createTaxRateSchema,
+	updateTaxRateSchema,
+	taxRateIdParamsSchema,
 	// Review Management DTOs
 	listAdminReviewsQuerySchema,
 	adminUpdateReviewStatusSchema,
@@ -35,6 +58,8 @@ const router = express.Router();
 // Protect all admin routes and ensure user has 'admin' role
 router.use(protect);
 router.use(authorize(["admin"]));
+// Admins must have two-factor authentication; sensitive actions below also use requireStepUp
+router.use(requireTwoFactorEnrollment);
 
 /**
  * @openapi
@@ -49,6 +74,16 @@ router.use(authorize(["admin"]));
  *     description: Global category administration.
  *   - name: Admin - Order Management
  *     description: Platform-wide order administration.
+ *   - name: Admin - Return Management
+ *     description: Platform-wide return request administration.
+ *   - name: Admin - Payment Webhooks
+ *     description: Inspection and replay of payment gateway webhook events.
+ *   - name: Admin - Promotion Management
+ *     description: Platform-wide discount codes and oversight of seller promotions.
+ *   - name: Admin - Cart Reports
+ *     description: Abandoned carts and how many of them are won back.
+ *   - name: Admin - Tax Rates
+ *     description: The tax rate table applied at checkout and in the cart preview.
  *   - name: Admin - Review Management
  *     description: Platform-wide review moderation.
  */
@@ -111,6 +146,7 @@ router.get(
  * /admin/users/{userId}:
  *   patch:
  *     summary: Update a user's profile details or roles
+ *     description: Requires a recent two-factor step-up (POST /me/two-factor/step-up).
  *     tags: [Admin - User Management]
  *     security: [{"bearerAuth": []}]
  *     parameters:
@@ -129,6 +165,7 @@ router.get(
  */
 router.patch(
 	"/users/:userId",
+	requireStepUp,
 	validate(adminUpdateUserSchema),
 	adminController.updateUser,
 );
@@ -138,6 +175,7 @@ router.patch(
  * /admin/users/{userId}/suspend:
  *   post:
  *     summary: Suspend/Ban a user
+ *     description: Requires a recent two-factor step-up (POST /me/two-factor/step-up).
  *     tags: [Admin - User Management]
  *     security: [{"bearerAuth": []}]
  *     parameters:
@@ -152,6 +190,7 @@ router.patch(
  */
 router.post(
 	"/users/:userId/suspend",
+	requireStepUp,
 	validate(userIdParamsSchema),
 	adminController.suspendUser,
 );
@@ -161,6 +200,7 @@ router.post(
  * /admin/users/{userId}/unsuspend:
  *   post:
  *     summary: Unsuspend a user
+ *     description: Requires a recent two-factor step-up (POST /me/two-factor/step-up).
  *     tags: [Admin - User Management]
  *     security: [{"bearerAuth": []}]
  *     parameters:
@@ -175,6 +215,7 @@ router.post(
  */
 router.post(
 	"/users/:userId/unsuspend",
+	requireStepUp,
 	validate(userIdParamsSchema),
 	adminController.unsuspendUser,
 );
@@ -215,6 +256,7 @@ router.get(
  * /admin/seller-applications/{applicationId}/approve:
  *   post:
  *     summary: Approve a seller application
+ *     description: Requires a recent two-factor step-up (POST /me/two-factor/step-up).
  *     tags: [Admin - Seller Applications]
  *     security: [{"bearerAuth": []}]
  *     parameters:
@@ -229,6 +271,7 @@ router.get(
  */
 router.post(
 	"/seller-applications/:applicationId/approve",
+	requireStepUp,
 	validate(sellerApplicationIdParamsSchema),
 	adminController.approveSellerApplication,
 );
@@ -360,6 +403,7 @@ router.put(
  * /admin/products/{productId}:
  *   delete:
  *     summary: Delete any product
+ *     description: Requires a recent two-factor step-up (POST /me/two-factor/step-up).
  *     tags: [Admin - Product Management]
  *     security: [{"bearerAuth": []}]
  *     parameters:
@@ -372,6 +416,7 @@ router.put(
  */
 router.delete(
 	"/products/:productId",
+	requireStepUp,
 	validate(productIdParamsSchema),
 	adminController.deleteAnyProduct,
 );
@@ -558,11 +603,34 @@ router.get(
 	adminController.getAnyOrderDetails,
 );
 
+/**
+ * @openapi
+ * /admin/orders/{orderId}/history:
+ *   get:
+ *     summary: Get the full status history of any order, including admin notes
+ *     tags: [Admin - Order Management]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - {$ref: '#/components/parameters/pathOrderId'}
+ *     responses:
+ *       200:
+ *         description: The order's status timeline.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/OrderTimeline'}}}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ *       404: {$ref: '#/components/responses/NotFoundError'}
+ */
+router.get(
+	"/orders/:orderId/history",
+	validate(orderIdParamsSchema),
+	adminController.getAnyOrderHistory,
+);
+
 /**
  * @openapi
  * /admin/orders/{orderId}/status:
  *   patch:
- *     summary: Update any order status (e.g., override, resolve disputes)
+ *     summary: Move any order to a new status allowed from its current one
  *     tags: [Admin - Order Management]
  *     security: [{"bearerAuth": []}]
  *     parameters:
@@ -574,10 +642,11 @@ router.get(
  *       200:
  *         description: Order status updated successfully.
  *         content: {application/json: {schema: {$ref: '#/components/schemas/OrderResponse'}}}
- *       400: {$ref: '#/components/responses/BadRequestError'}
+ *       400: {$ref: '#/components/responses/BadRequestError'} # e.g. transition not allowed
  *       401: {$ref: '#/components/responses/UnauthorizedError'}
  *       403: {$ref: '#/components/responses/ForbiddenError'}
  *       404: {$ref: '#/components/responses/NotFoundError'}
+ *       409: {$ref: '#/components/responses/ConflictError'} # order updated concurrently
  */
 router.patch(
 	"/orders/:orderId/status",
@@ -590,6 +659,7 @@ router.patch(
  * /admin/orders/{orderId}/refund:
  *   post:
  *     summary: Process refunds (if centralized)
+ *     description: Requires a recent two-factor step-up (POST /me/two-factor/step-up).
  *     tags: [Admin - Order Management]
  *     security: [{"bearerAuth": []}]
  *     parameters:
@@ -605,13 +675,380 @@ router.patch(
  *       401: {$ref: '#/components/responses/UnauthorizedError'}
  *       403: {$ref: '#/components/responses/ForbiddenError'}
  *       404: {$ref: '#/components/responses/NotFoundError'}
+ *       409: {$ref: '#/components/responses/ConflictError'}
+ *       502:
+ *         description: The payment gateway rejected the refund.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/ErrorResponse'}}}
+ *       504:
+ *         description: The payment gateway did not answer in time; the refund outcome is unknown.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/ErrorResponse'}}}
  */
 router.post(
 	"/orders/:orderId/refund",
+	requireStepUp,
 	validate(adminProcessRefundSchema),
 	adminController.processOrderRefund,
 );
 
+// --- Return Management (Admin - Platform Wide) ---
+/**
+ * @openapi
+ * /admin/returns:
+ *   get:
+ *     summary: List all return requests on the platform
+ *     tags: [Admin - Return Management]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - {$ref: '#/components/parameters/pageParam'}
+ *       - {$ref: '#/components/parameters/limitParam'}
+ *       - name: status
+ *         in: query
+ *         schema: {type: string, enum: [pending_approval, approved, rejected, item_received, refund_processing, refunded, all], default: all}
+ *       - name: orderId
+ *         in: query
+ *         schema: {type: string, format: uuid}
+ *       - name: buyerId
+ *         in: query
+ *         schema: {type: string, format: uuid}
+ *       - name: sellerId
+ *         in: query
+ *         schema: {type: string, format: uuid}
+ *     responses:
+ *       200:
+ *         description: Paginated list of return requests.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/PaginatedSellerReturns'}}}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ */
+router.get(
+	"/returns",
+	validate(listAdminReturnsQuerySchema),
+	adminController.listAllReturnRequests,
+);
+
+/**
+ * @openapi
+ * /admin/returns/{returnId}/status:
+ *   patch:
+ *     summary: Update the status of any return request
+ *     tags: [Admin - Return Management]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - name: returnId
+ *         in: path
+ *         required: true
+ *         schema: {type: string, format: uuid}
+ *     requestBody:
+ *       required: true
+ *       content: {application/json: {schema: {$ref: '#/components/schemas/UpdateReturnStatusInput'}}}
+ *     responses:
+ *       200:
+ *         description: Return request status updated successfully.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/ReturnRequestResponse'}}}
+ *       400: {$ref: '#/components/responses/BadRequestError'}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ *       404: {$ref: '#/components/responses/NotFoundError'}
+ *       409: {$ref: '#/components/responses/ConflictError'}
+ *       502:
+ *         description: The payment gateway rejected the refund; the return stays in refund_processing.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/ErrorResponse'}}}
+ */
+router.patch(
+	"/returns/:returnId/status",
+	validate(adminUpdateReturnStatusSchema),
+	adminController.updateAnyReturnRequestStatus,
+);
+
+// --- Payment Webhooks (Admin) ---
+/**
+ * @openapi
+ * /admin/webhooks/events:
+ *   get:
+ *     summary: List received payment webhook events
+ *     tags: [Admin - Payment Webhooks]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - {$ref: '#/components/parameters/pageParam'}
+ *       - {$ref: '#/components/parameters/limitParam'}
+ *       - name: gateway
+ *         in: query
+ *         schema: {type: string}
+ *       - name: status
+ *         in: query
+ *         schema: {type: string, enum: [received, processing, processed, ignored, pending_replay, failed, all], default: all}
+ *       - name: type
+ *         in: query
+ *         schema: {type: string}
+ *       - name: orderId
+ *         in: query
+ *         schema: {type: string, format: uuid}
+ *     responses:
+ *       200:
+ *         description: Paginated list of webhook events, newest first.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/PaginatedPaymentWebhookEvents'}}}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ */
+router.get(
+	"/webhooks/events",
+	validate(listWebhookEventsQuerySchema),
+	adminController.listWebhookEvents,
+);
+
+/**
+ * @openapi
+ * /admin/webhooks/events/{eventId}/replay:
+ *   post:
+ *     summary: Re-apply a webhook event that is pending replay, failed, or stuck processing
+ *     tags: [Admin - Payment Webhooks]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - name: eventId
+ *         in: path
+ *         required: true
+ *         description: Our ID of the stored event (not the gateway's event ID).
+ *         schema: {type: string, format: uuid}
+ *     responses:
+ *       200:
+ *         description: The event after the replay attempt. It may still be pending replay.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/PaymentWebhookEvent'}}}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ *       404: {$ref: '#/components/responses/NotFoundError'}
+ *       409: {$ref: '#/components/responses/ConflictError'}
+ */
+router.post(
+	"/webhooks/events/:eventId/replay",
+	validate(webhookEventIdParamsSchema),
+	adminController.replayWebhookEvent,
+);
+
+// --- Promotion Management (Admin) ---
+/**
+ * @openapi
+ * /admin/promotions:
+ *   get:
+ *     summary: List all promotions, including sellers'
+ *     tags: [Admin - Promotion Management]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - {$ref: '#/components/parameters/pageParam'}
+ *       - {$ref: '#/components/parameters/limitParam'}
+ *       - name: status
+ *         in: query
+ *         schema: {type: string, enum: [active, inactive, all], default: all}
+ *       - name: code
+ *         in: query
+ *         schema: {type: string}
+ *     responses:
+ *       200:
+ *         description: Paginated list of promotions, newest first.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/PaginatedPromotions'}}}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ *   post:
+ *     summary: Create a promotion
+ *     description: Applies platform-wide unless narrowed by `sellerId`, `productIds` or `categoryIds`.
+ *     tags: [Admin - Promotion Management]
+ *     security: [{"bearerAuth": []}]
+ *     requestBody:
+ *       required: true
+ *       content: {application/json: {schema: {$ref: '#/components/schemas/PromotionInput'}}}
+ *     responses:
+ *       201:
+ *         description: Promotion created.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/Promotion'}}}
+ *       400: {$ref: '#/components/responses/BadRequestError'}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ *       409: {$ref: '#/components/responses/ConflictError'}
+ */
+router.get(
+	"/promotions",
+	validate(listAdminPromotionsQuerySchema),
+	adminController.listAllPromotions,
+);
+router.post(
+	"/promotions",
+	validate(adminCreatePromotionSchema),
+	adminController.createPromotion,
+);
+
+/**
+ * @openapi
+ * /admin/promotions/{promotionId}:
+ *   patch:
+ *     summary: Update any promotion
+ *     tags: [Admin - Promotion Management]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - {$ref: '#/components/parameters/pathPromotionId'}
+ *     requestBody:
+ *       required: true
+ *       content: {application/json: {schema: {$ref: '#/components/schemas/PromotionUpdateInput'}}}
+ *     responses:
+ *       200:
+ *         description: Promotion updated.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/Promotion'}}}
+ *       400: {$ref: '#/components/responses/BadRequestError'}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ *       404: {$ref: '#/components/responses/NotFoundError'}
+ *   delete:
+ *     summary: Deactivate any promotion
+ *     description: The promotion is kept for past orders but its code can no longer be used.
+ *     tags: [Admin - Promotion Management]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - {$ref: '#/components/parameters/pathPromotionId'}
+ *     responses:
+ *       204: {description: Promotion deactivated.}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ *       404: {$ref: '#/components/responses/NotFoundError'}
+ */
+router.patch(
+	"/promotions/:promotionId",
+	validate(adminUpdatePromotionSchema),
+	adminController.updateAnyPromotion,
+);
+router.delete(
+	"/promotions/:promotionId",
+	validate(promotionIdParamsSchema),
+	adminController.deactivateAnyPromotion,
+);
+
+// --- Cart Reports (Admin) ---
+/**
+ * @openapi
+ * /admin/reports/abandoned-carts:
+ *   get:
+ *     summary: Report abandoned carts and their recovery rate
+ *     description: Covers carts abandoned within the period, whatever became of them afterwards.
+ *     tags: [Admin - Cart Reports]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         schema: {type: string, format: date-time}
+ *         description: Start of the period (inclusive). Defaults to 30 days before `to`.
+ *       - name: to
+ *         in: query
+ *         schema: {type: string, format: date-time}
+ *         description: End of the period (exclusive). Defaults to now.
+ *     responses:
+ *       200:
+ *         description: The report.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/CartAbandonmentReport'}}}
+ *       400: {$ref: '#/components/responses/BadRequestError'}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ */
+router.get(
+	"/reports/abandoned-carts",
+	validate(cartAbandonmentReportQuerySchema),
+	adminController.getCartAbandonmentReport,
+);
+
+// --- Tax Rates (Admin) ---
+/**
+ * @openapi
+ * /admin/tax-rates:
+ *   get:
+ *     summary: List tax rates
+ *     tags: [Admin - Tax Rates]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - {$ref: '#/components/parameters/pageParam'}
+ *       - {$ref: '#/components/parameters/limitParam'}
+ *       - name: country
+ *         in: query
+ *         schema: {type: string, example: "US"}
+ *       - name: region
+ *         in: query
+ *         schema: {type: string}
+ *       - name: taxClass
+ *         in: query
+ *         schema: {type: string}
+ *     responses:
+ *       200:
+ *         description: Paginated list of tax rates.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/PaginatedTaxRates'}}}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ *   post:
+ *     summary: Create a tax rate
+ *     tags: [Admin - Tax Rates]
+ *     security: [{"bearerAuth": []}]
+ *     requestBody:
+ *       required: true
+ *       content: {application/json: {schema: {$ref: '#/components/schemas/TaxRateInput'}}}
+ *     responses:
+ *       201:
+ *         description: Tax rate created. It applies to carts and orders from now on.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/TaxRate'}}}
+ *       400: {$ref: '#/components/responses/BadRequestError'}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ *       409: {$ref: '#/components/responses/ConflictError'}
+ */
+router.get(
+	"/tax-rates",
+	validate(listTaxRatesQuerySchema),
+	adminController.listTaxRates,
+);
+router.post(
+	"/tax-rates",
+	validate(createTaxRateSchema),
+	adminController.createTaxRate,
+);
+
+/**
+ * @openapi
+ * /admin/tax-rates/{taxRateId}:
+ *   patch:
+ *     summary: Update a tax rate
+ *     description: Orders already placed keep the tax they were charged.
+ *     tags: [Admin - Tax Rates]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - {$ref: '#/components/parameters/pathTaxRateId'}
+ *     requestBody:
+ *       required: true
+ *       content: {application/json: {schema: {$ref: '#/components/schemas/TaxRateUpdateInput'}}}
+ *     responses:
+ *       200:
+ *         description: Tax rate updated.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/TaxRate'}}}
+ *       400: {$ref: '#/components/responses/BadRequestError'}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ *       404: {$ref: '#/components/responses/NotFoundError'}
+ *   delete:
+ *     summary: Delete a tax rate
+ *     description: Orders already placed keep the tax they were charged.
+ *     tags: [Admin - Tax Rates]
+ *     security: [{"bearerAuth": []}]
+ *     parameters:
+ *       - {$ref: '#/components/parameters/pathTaxRateId'}
+ *     responses:
+ *       204: {description: Tax rate deleted.}
+ *       401: {$ref: '#/components/responses/UnauthorizedError'}
+ *       403: {$ref: '#/components/responses/ForbiddenError'}
+ *       404: {$ref: '#/components/responses/NotFoundError'}
+ */
+router.patch(
+	"/tax-rates/:taxRateId",
+	validate(updateTaxRateSchema),
+	adminController.updateTaxRate,
+);
+router.delete(
+	"/tax-rates/:taxRateId",
+	validate(taxRateIdParamsSchema),
+	adminController.deleteTaxRate,
+);
+
 // --- Review Management (Admin) ---
 /**
  * @openapi
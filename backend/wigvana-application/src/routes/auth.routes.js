@@ -5,6 +5,10 @@ import {
 	registerUserDtoSchema,
 	loginUserDtoSchema,
 	refreshTokenDtoSchema,
+	requestPasswordResetDtoSchema,
+	confirmPasswordResetDtoSchema,
+	twoFactorLoginDtoSchema,
+	oidcProviderParamsSchema,
 } from "../dtos/auth.dto.js";
 import { protect } from "../middlewares/auth.middleware.js";
 
@@ -63,11 +67,16 @@ router.post(
  *             $ref: '#/components/schemas/LoginUserDto'
  *     responses:
  *       200:
- *         description: User logged in successfully. Returns user object and access token. Refresh token set in HTTP-only cookie.
+ *         description: |
+ *           User logged in successfully. Returns user object and access token. Refresh token set in HTTP-only cookie.
+ *           If the account has two-factor authentication enabled, returns a challenge instead and sets no cookie;
+ *           complete the login at /auth/login/two-factor.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               anyOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallengeResponse'
  *       401:
  *         description: Unauthorized (e.g., incorrect email/password)
  *         content:
@@ -79,6 +88,177 @@ router.post(
  */
 router.post("/login", validate(loginUserDtoSchema), authController.login);
 
+/**
+ * @openapi
+ * /auth/login/two-factor:
+ *   post:
+ *     summary: Complete a login with two-factor authentication
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorLoginDto'
+ *     responses:
+ *       200:
+ *         description: User logged in successfully. Returns user object and access token. Refresh token set in HTTP-only cookie.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Bad request (e.g., neither or both of code and recovery code given)
+ *       401:
+ *         description: Unauthorized (invalid code, or the challenge expired or was already used)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden (account no longer active)
+ *       429:
+ *         description: Too many invalid codes for this challenge, or for the account recently; try again later.
+ *       503:
+ *         description: Invalid codes cannot be counted right now, so no code is checked; try again later.
+ */
+router.post(
+	"/login/two-factor",
+	validate(twoFactorLoginDtoSchema),
+	authController.loginTwoFactor,
+);
+
+/**
+ * @openapi
+ * /auth/oidc/providers:
+ *   get:
+ *     summary: List the providers users can sign in with
+ *     tags: [Authentication]
+ *     description: Only providers with client credentials configured are listed.
+ *     responses:
+ *       200:
+ *         description: The available providers.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OidcProvider'
+ */
+router.get("/oidc/providers", authController.listOidcProviders);
+
+/**
+ * @openapi
+ * /auth/oidc/{provider}/authorize:
+ *   get:
+ *     summary: Sign in with an OpenID Connect provider
+ *     tags: [Authentication]
+ *     description: |
+ *       Open in the browser (not with XHR). Redirects to the provider with an authorization code
+ *       request protected by PKCE and sets a short-lived cookie tying the sign-in to this browser.
+ *       The provider then sends the browser to /auth/oidc/{provider}/callback.
+ *
+ *       A provider account logs in as the user it is linked to. An unlinked account is linked to
+ *       the user with the same email address if the provider verified that address, and
+ *       otherwise signs up a new user.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Provider name from /auth/oidc/providers, e.g. `google`, `apple` or `oidc`.
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider's authorization endpoint.
+ *       404:
+ *         description: The provider is not available.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       502:
+ *         description: The provider could not be reached.
+ */
+router.get(
+	"/oidc/:provider/authorize",
+	validate(oidcProviderParamsSchema),
+	authController.startOidcLogin,
+);
+
+/**
+ * @openapi
+ * /auth/oidc/{provider}/callback:
+ *   get:
+ *     summary: Provider redirect target for OpenID Connect sign-in
+ *     tags: [Authentication]
+ *     description: |
+ *       Register this URL (under APP_BASE_URL) as the redirect URI with the provider. It finishes
+ *       the sign-in or account link and redirects to `{APP_BASE_URL}/oidc/callback` with the
+ *       outcome in the URL fragment:
+ *
+ *       - `status=authenticated`: the refresh token cookie is set; get an access token from /auth/refresh-token.
+ *       - `status=two_factor_required&challengeToken=...&challengeExpiresAt=...`: complete the login at /auth/login/two-factor.
+ *       - `status=linked&provider=...`: the provider account was linked from /me/identities.
+ *       - `status=error&message=...`: nothing happened.
+ *     x-eov-allow-unknown-query-parameters: true
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend with the outcome.
+ *   post:
+ *     summary: Provider form post target for OpenID Connect sign-in
+ *     tags: [Authentication]
+ *     description: Same as the GET variant, for providers that post the result (`response_mode=form_post`, e.g. Apple).
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             additionalProperties: true
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               error:
+ *                 type: string
+ *               user:
+ *                 type: string
+ *                 description: JSON with the user's name, sent by Apple on the first sign-in only.
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend with the outcome.
+ */
+router
+	.route("/oidc/:provider/callback")
+	.get(validate(oidcProviderParamsSchema), authController.oidcCallback)
+	.post(validate(oidcProviderParamsSchema), authController.oidcCallback);
+
 /**
  * @openapi
  * /auth/logout:
@@ -101,10 +281,13 @@ router.post("/logout", protect, authController.logout); // protect ensures req.u
  *   post:
  *     summary: Refresh an access token
  *     tags: [Authentication]
- *     description: Requires a valid refresh token sent as an HTTP-only cookie.
+ *     description: |
+ *       Requires a valid refresh token sent as an HTTP-only cookie. Every refresh rotates the
+ *       refresh token: a new one replaces the cookie and the old one stops working. Presenting a
+ *       refresh token that was already used revokes its whole session.
  *     responses:
  *       200:
- *         description: New access token generated successfully.
+ *         description: New access token generated successfully. The rotated refresh token is set in the HTTP-only cookie.
  *         content:
  *           application/json:
  *             schema:
@@ -114,7 +297,7 @@ router.post("/logout", protect, authController.logout); // protect ensures req.u
  *                   type: string
  *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *       401:
- *         description: Unauthorized (e.g., invalid or expired refresh token)
+ *         description: Unauthorized (e.g., invalid, expired, revoked or reused refresh token)
  */
 router.post(
 	"/refresh-token",
@@ -155,6 +338,78 @@ router.post(
  */
 router.get("/verify-email", authController.verifyEmail);
 
-// TODO: Add routes for password reset request and confirm
+/**
+ * @openapi
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     tags: [Authentication]
+ *     description: Emails a single-use reset link if an account exists for the address. The response is the same either way.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RequestPasswordResetDto'
+ *     responses:
+ *       200:
+ *         description: Request accepted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "If an account exists for that email, a password reset link has been sent."
+ *       400:
+ *         description: Bad request (validation error).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+	"/forgot-password",
+	validate(requestPasswordResetDtoSchema),
+	authController.forgotPassword,
+);
+
+/**
+ * @openapi
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     tags: [Authentication]
+ *     description: Consumes the reset token and logs the user out of every session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConfirmPasswordResetDto'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Password reset successfully. You can now log in."
+ *       400:
+ *         description: Bad request (e.g., validation error, invalid, expired or already used token).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+	"/reset-password",
+	validate(confirmPasswordResetDtoSchema),
+	authController.resetPassword,
+);
 
 export default router;
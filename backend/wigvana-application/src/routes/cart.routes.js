@@ -8,6 +8,8 @@ import {
   updateCartItemSchema,
   removeCartItemParamsSchema,
   clearCartParamsSchema,
+  acknowledgeCartChangesParamsSchema,
+  restoreCartQuerySchema,
 } from "../dtos/cart.dto.js";
 
 const router = express.Router();
@@ -49,6 +51,50 @@ router.post(
   cartController.createAnonymousCart,
 );
 
+/**
+ * @openapi
+ * /carts/restore:
+ *   get:
+ *     summary: Restore an abandoned buyer cart from the link emailed to its owner.
+ *     description: |
+ *       Makes the cart the owner's active cart again; they find it under `/me/cart` once signed in.
+ *       Links are single-use and expire.
+ *     tags: [Buyer Cart]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The token from the restore link.
+ *     responses:
+ *       200:
+ *         description: Cart restored.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Your cart has been restored. Sign in to pick up where you left off."
+ *                 cartId:
+ *                   type: string
+ *                   format: uuid
+ *       400:
+ *         description: Invalid, expired or already used link.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+// Registered before the /:cartId routes so "restore" is not taken for a cart ID
+router.get(
+  "/restore",
+  validate(restoreCartQuerySchema),
+  cartController.restoreAbandonedCart,
+);
+
 /**
  * @openapi
  * /carts/{cartId}/items:
@@ -86,6 +132,9 @@ router.post(
  * /carts/{cartId}:
  *   get:
  *     summary: View the anonymous cart.
+ *     description: |
+ *       Every line is revalidated: repriced, cut down to the stock left, and flagged in `changes`
+ *       with what moved since the cart was last acknowledged.
  *     tags: [Anonymous Cart]
  *     parameters:
  *       - $ref: '#/components/parameters/pathCartId'
@@ -187,4 +236,29 @@ router.delete(
   cartController.clearAnonymousCart,
 );
 
+/**
+ * @openapi
+ * /carts/{cartId}/acknowledge-changes:
+ *   post:
+ *     summary: Acknowledge the changes found on the anonymous cart.
+ *     description: Removes unavailable and out-of-stock lines and accepts the current price and quantity of the others.
+ *     tags: [Anonymous Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathCartId'
+ *     responses:
+ *       200:
+ *         description: Changes acknowledged. Returns the updated cart.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: Cart not found.
+ */
+router.post(
+  "/:cartId/acknowledge-changes",
+  validate(acknowledgeCartChangesParamsSchema),
+  cartController.acknowledgeAnonymousCartChanges,
+);
+
 export default router;
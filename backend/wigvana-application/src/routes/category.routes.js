@@ -98,6 +98,7 @@ router.get(
  * /categories/{categoryId}/products:
  *   get:
  *     summary: List products within a specific category
+ *     description: Runs the product search (see `GET /products`) restricted to the category.
  *     tags: [Categories]
  *     parameters:
  *       - $ref: '#/components/parameters/pathCategoryId'
@@ -105,13 +106,13 @@ router.get(
  *         name: search
  *         schema:
  *           type: string
- *         description: Search query for product name or description within the category.
+ *         description: Words to look for in the category's products; tolerates typos and partial words.
  *       - in: query
  *         name: sort_by
  *         schema:
  *           type: string
- *           enum: [name, basePrice, averageRating, createdAt, updatedAt]
- *           default: createdAt
+ *           enum: [relevance, price, discount, name, basePrice, averageRating, createdAt, updatedAt]
+ *         description: Defaults to relevance when searching, createdAt otherwise.
  *       - in: query
  *         name: order
  *         schema:
@@ -133,22 +134,31 @@ router.get(
  *         schema:
  *           type: number
  *           format: float
+ *         description: Minimum effective variant price.
  *       - in: query
  *         name: maxPrice
  *         schema:
  *           type: number
  *           format: float
+ *         description: Maximum effective variant price.
  *       - in: query
  *         name: brand
  *         schema:
  *           type: string
+ *         description: Comma-separated brands (case-insensitive).
+ *       - in: query
+ *         name: onSale
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: Only products with a variant on sale right now.
  *     responses:
  *       200:
- *         description: A paginated list of products within the category.
+ *         description: A paginated list of products within the category, with facet counts.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/PaginatedProducts' # Re-use product pagination schema
+ *               $ref: '#/components/schemas/ProductSearchResults' # Re-use product search schema
  *       404:
  *         description: Category not found.
  *       500:
@@ -5,7 +5,9 @@ import authRoutes from "./auth.routes.js";
 import productRoutes from "./product.routes.js"; // Public products & buyer review posting
 import categoryRoutes from "./category.routes.js"; // Public categories
 import anonymousCartRoutes from "./cart.routes.js"; // Anonymous cart operations
+import wishlistRoutes from "./wishlist.routes.js"; // Public views of shared wishlists
 import sparqlRoutes from "./sparql.routes.js";
+import webhookRoutes from "./webhook.routes.js"; // Inbound provider webhooks (signature-authenticated)
 
 // Authenticated user's personal data and actions (/me/*)
 import userRoutes from "./user.routes.js"; // /me profile, seller app, /me/conversations list
@@ -14,11 +16,17 @@ import meAddressRoutes from "./me.address.routes.js";
 import mePaymentMethodRoutes from "./me.payment.method.routes.js";
 import meOrderRoutes from "./me.order.routes.js";
 import meReviewRoutes from "./me.review.routes.js"; // Buyer's own reviews & Seller's review responses
+import meWishlistRoutes from "./me.wishlist.routes.js";
+import meSessionRoutes from "./me.session.routes.js"; // Devices the user is logged in on
+import meTwoFactorRoutes from "./me.two.factor.routes.js"; // TOTP enrollment, recovery codes, step-up
+import meIdentityRoutes from "./me.identity.routes.js"; // Linked Google / Apple / OIDC accounts
 
 // Seller specific management of their store and products (prefixed with /me for ownership)
 import meStoreRoutes from "./me.store.routes.js"; // Seller store profile
 import meProductRoutes from "./me.product.routes.js"; // Seller's products (includes variant routes)
 import meStoreOrderRoutes from "./me.store.order.routes.js"; // Seller managing their received orders & returns
+import meStorePromotionRoutes from "./me.store.promotion.routes.js"; // Seller discount codes
+import meStoreShippingRoutes from "./me.store.shipping.routes.js"; // Seller shipping zones and methods
 
 // General authenticated access to resources (not necessarily prefixed with /me)
 import conversationRoutes from "./conversation.routes.js"; // POST /conversations (buyer initiate), GET /conversations/:id, POST /conversations/:id/messages
@@ -45,10 +53,15 @@ const apiV1RouteConfig = [
 	{ path: "/products", route: productRoutes }, // Public product browsing AND buyer review submission
 	{ path: "/categories", route: categoryRoutes },
 	{ path: "/carts", route: anonymousCartRoutes }, // Anonymous carts
+	{ path: "/wishlists", route: wishlistRoutes }, // Shared wishlists
 	{ path: "/sparql", route: sparqlRoutes },
+	{ path: "/webhooks", route: webhookRoutes },
 
 	// Authenticated user general routes (profile, own conversations list)
 	{ path: "/me", route: userRoutes }, // Handles: /me (profile), /me/password, /me/seller-application, /me/conversations
+	{ path: "/me/sessions", route: meSessionRoutes }, // List and revoke sessions, log out everywhere
+	{ path: "/me/two-factor", route: meTwoFactorRoutes }, // Two-factor authentication
+	{ path: "/me/identities", route: meIdentityRoutes }, // Link and unlink OpenID Connect providers
 
 	// Buyer-specific authenticated routes (prefixed with /me)
 	{ path: "/me/cart", route: meCartRoutes },
@@ -56,6 +69,7 @@ const apiV1RouteConfig = [
 	{ path: "/me/payment-methods", route: mePaymentMethodRoutes },
 	{ path: "/me/orders", route: meOrderRoutes },
 	{ path: "/me/reviews", route: meReviewRoutes }, // Buyer managing own reviews AND Seller responding
+	{ path: "/me/wishlists", route: meWishlistRoutes }, // Named lists and saved-for-later
 
 	// Seller-specific authenticated routes (prefixed with /me)
 	{ path: "/me/store", route: meStoreRoutes }, // Seller store profile (GET, PUT on /me/store)
@@ -64,6 +78,8 @@ const apiV1RouteConfig = [
 	// Based on me.store.order.routes.js, it expects to be mounted at /me/store
 	// and its internal routes are /orders, /returns etc.
 	{ path: "/me/store", route: meStoreOrderRoutes }, // Mounts /me/store/orders, /me/store/returns etc. *MERGES with above*
+	{ path: "/me/store", route: meStorePromotionRoutes }, // Mounts /me/store/promotions
+	{ path: "/me/store", route: meStoreShippingRoutes }, // Mounts /me/store/shipping-zones
 	{ path: "/me/products", route: meProductRoutes }, // Seller's products & variants
 
 	// General authenticated routes (not necessarily /me)
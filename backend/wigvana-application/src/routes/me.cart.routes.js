@@ -1,5 +1,6 @@
 import express from "express";
 import { cartController } from "../controllers/cart.controller.js";
+import { wishlistController } from "../controllers/wishlist.controller.js";
 import { protect, authorize } from "../middlewares/auth.middleware.js";
 import validate from "../middlewares/validate.middleware.js";
 import {
@@ -11,7 +12,9 @@ import {
 	removeCartItemParamsSchema,
 	// DTO for merging anonymous cart
 	mergeAnonymousCartSchema,
+	viewBuyerCartQuerySchema,
 } from "../dtos/cart.dto.js";
+import { applyCartDiscountSchema } from "../dtos/promotion.dto.js";
 // No need to import objectIdSchema directly if DTOs already use it for params like itemId
 
 const router = express.Router();
@@ -49,9 +52,19 @@ router.use(authorize(["buyer"]));
  * /me/cart:
  *   get:
  *     summary: Get the buyer's cart
+ *     description: |
+ *       Includes a preview of the tax checkout will charge, for the given shipping address or the
+ *       buyer's default shipping address. Every line is revalidated: repriced, cut down to the
+ *       stock left, and flagged in `changes` with what moved since the buyer last acknowledged
+ *       the cart.
  *     tags: [Buyer Cart]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: shippingAddressId
+ *         schema: { type: string, format: uuid }
+ *         description: Address to preview tax for.
  *     responses:
  *       200:
  *         description: Buyer's cart details.
@@ -63,8 +76,10 @@ router.use(authorize(["buyer"]));
  *         description: Unauthorized.
  *       403:
  *         description: Forbidden (user is not a buyer).
+ *       404:
+ *         description: Shipping address not found.
  */
-router.get("/", cartController.getMyCart);
+router.get("/", validate(viewBuyerCartQuerySchema), cartController.getMyCart);
 
 /**
  * @openapi
@@ -178,6 +193,39 @@ router.delete(
 	cartController.removeMyCartItem,
 );
 
+/**
+ * @openapi
+ * /me/cart/items/{itemId}/save-for-later:
+ *   post:
+ *     summary: Move a cart line to the buyer's "Saved for later" list
+ *     description: |
+ *       The line leaves the cart and joins the buyer's `saved_for_later` wishlist (created on first use),
+ *       from where it can be moved back with `/me/wishlists/{wishlistId}/items/{itemId}/move-to-cart`.
+ *     tags: [Buyer Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathItemId'
+ *     responses:
+ *       200:
+ *         description: Item saved for later. Returns updated cart.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden.
+ *       404:
+ *         description: Item not found in cart, or its product is no longer sold.
+ */
+router.post(
+	"/items/:itemId/save-for-later",
+	validate(removeCartItemParamsSchema.omit({ params: { cartId: true } })),
+	wishlistController.saveMyCartItemForLater,
+);
+
 /**
  * @openapi
  * /me/cart:
@@ -200,6 +248,87 @@ router.delete(
  */
 router.delete("/", cartController.clearMyCart); // No params or body validation needed beyond auth
 
+/**
+ * @openapi
+ * /me/cart/acknowledge-changes:
+ *   post:
+ *     summary: Acknowledge the changes found on the buyer's cart
+ *     description: |
+ *       Removes unavailable and out-of-stock lines and accepts the current price and quantity of
+ *       the others. Checkout refuses a cart with unacknowledged changes (`requiresAcknowledgement`).
+ *     tags: [Buyer Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Changes acknowledged. Returns the updated cart.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a buyer).
+ */
+router.post("/acknowledge-changes", cartController.acknowledgeMyCartChanges);
+
+/**
+ * @openapi
+ * /me/cart/discount:
+ *   post:
+ *     summary: Apply a discount code to the buyer's cart
+ *     description: |
+ *       Replaces any code already applied. The code is checked again every time the cart is shown
+ *       and at checkout; if it stops applying, the cart shows why in `discountNotice`.
+ *     tags: [Buyer Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApplyDiscountInput'
+ *     responses:
+ *       200:
+ *         description: Code applied. Returns the updated cart with the discount.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: The code cannot be used on this cart (expired, usage limit reached, no eligible items, minimum spend not met).
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden.
+ *       404:
+ *         description: Discount code not found.
+ *   delete:
+ *     summary: Remove the discount code from the buyer's cart
+ *     tags: [Buyer Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Code removed. Returns the updated cart.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden.
+ */
+router.post(
+	"/discount",
+	validate(applyCartDiscountSchema),
+	cartController.applyMyCartDiscount,
+);
+router.delete("/discount", cartController.removeMyCartDiscount);
+
 /**
  * @openapi
  * /me/cart/merge-anonymous:
@@ -236,4 +365,107 @@ router.post(
 	cartController.mergeMyCart,
 );
 
+/**
+ * @openapi
+ * /me/cart/reservation:
+ *   post:
+ *     summary: Reserve stock for the buyer's cart
+ *     description: |
+ *       Holds the available stock for every line in the cart until the reservation expires,
+ *       the buyer cancels it, or an order is placed. Calling it again replaces the previous hold
+ *       with one matching the current cart contents.
+ *     tags: [Buyer Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Stock reserved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartReservation'
+ *       400:
+ *         description: No active cart or the cart is empty.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a buyer).
+ *       409:
+ *         description: One or more lines exceed the available stock; `errors` lists them and nothing is held.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: Get the active stock reservation for the buyer's cart
+ *     tags: [Buyer Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The active reservation.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartReservation'
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No active reservation.
+ *   delete:
+ *     summary: Cancel the stock reservation for the buyer's cart
+ *     tags: [Buyer Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Reservation cancelled and stock released.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No active reservation.
+ */
+router.post("/reservation", cartController.reserveMyCart);
+router.get("/reservation", cartController.getMyCartReservation);
+router.delete("/reservation", cartController.releaseMyCartReservation);
+
+/**
+ * @openapi
+ * /me/cart/shipping-options:
+ *   get:
+ *     summary: Quote shipping for the buyer's cart
+ *     description: |
+ *       Groups the cart's items by seller and lists the methods each seller offers for the address,
+ *       priced as checkout charges them. Pass one choice per seller as `shippingSelections` when
+ *       placing the order; sellers without a choice ship by their cheapest option.
+ *     tags: [Buyer Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: shippingAddressId
+ *         schema: { type: string, format: uuid }
+ *         description: Address to quote for. Defaults to the buyer's default shipping address.
+ *     responses:
+ *       200:
+ *         description: Shipping options per seller.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingQuote'
+ *       400:
+ *         description: No address to quote for.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a buyer).
+ *       404:
+ *         description: Shipping address not found.
+ */
+router.get(
+	"/shipping-options",
+	validate(viewBuyerCartQuerySchema),
+	cartController.getMyCartShippingOptions,
+);
+
 export default router;
@@ -0,0 +1,96 @@
+import express from "express";
+import { authController } from "../controllers/auth.controller.js";
+import { protect } from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import { oidcProviderParamsSchema } from "../dtos/auth.dto.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @openapi
+ * tags:
+ *   name: Linked Accounts (Me)
+ *   description: OpenID Connect provider accounts (Google, Apple, ...) the authenticated user can log in with.
+ */
+
+/**
+ * @openapi
+ * /me/identities:
+ *   get:
+ *     summary: List my linked provider accounts
+ *     tags: [Linked Accounts (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The linked accounts, oldest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LinkedIdentity'
+ *       401:
+ *         description: Unauthorized.
+ */
+router.get("/", authController.listIdentities);
+
+/**
+ * @openapi
+ * /me/identities/{provider}:
+ *   post:
+ *     summary: Start linking a provider account
+ *     description: |
+ *       Returns the provider's authorization URL and sets a short-lived cookie tying the link to
+ *       this browser. Open the URL in the same browser; after the user signs in there, the
+ *       provider sends the browser to /auth/oidc/{provider}/callback, which links the account and
+ *       redirects to the frontend with `status=linked`. An account already linked to another user
+ *       cannot be linked, and only one account per provider can be linked.
+ *     tags: [Linked Accounts (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL to open.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OidcAuthorizationResponse'
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: The provider is not available.
+ *   delete:
+ *     summary: Unlink a provider account
+ *     description: The account can no longer log in as this user. Users who signed up through a provider have no password of their own; they can set one with /auth/forgot-password.
+ *     tags: [Linked Accounts (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Unlinked.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No account of that provider is linked.
+ */
+router
+  .route("/:provider")
+  .post(validate(oidcProviderParamsSchema), authController.startOidcLink)
+  .delete(validate(oidcProviderParamsSchema), authController.unlinkIdentity);
+
+export default router;
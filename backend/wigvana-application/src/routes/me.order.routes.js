@@ -8,6 +8,7 @@ import {
   getOrderParamsSchema,
   cancelOrderParamsSchema,
   requestReturnSchema,
+  listBuyerReturnsQuerySchema,
 } from "../dtos/order.dto.js";
 
 const router = express.Router();
@@ -38,17 +39,49 @@ router.use(authorize(["buyer"]));
  *             $ref: '#/components/schemas/PlaceOrderInput'
  *     responses:
  *       201:
- *         description: Order placed successfully.
+ *         description: Order placed and paid; status is processing.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       202:
+ *         description: |
+ *           Order created but payment is not settled yet (status pending_payment). Either the buyer must
+ *           complete `paymentNextAction` (e.g. 3-D Secure) or the gateway has not answered; a payment webhook
+ *           settles it, otherwise it is failed at `paymentExpiresAt`. Until then the order's stock is held,
+ *           not deducted. A payment that was captured but could not be recorded (paymentStatus paid) is
+ *           confirmed by a webhook or at `paymentExpiresAt` instead.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/OrderResponse'
  *       400:
- *         description: Bad request (e.g., empty cart, invalid IDs, payment failed).
+ *         description: Bad request (e.g., empty cart, invalid IDs, unsupported payment gateway).
+ *       402:
+ *         description: |
+ *           The payment was declined, or captured but refunded because the order could not be confirmed
+ *           (declineCode confirmation_failed). The order is kept as payment_failed, its stock is released and
+ *           the cart is reactivated; `errors[0]` holds the orderId and the declineCode.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         description: Unauthorized.
  *       404:
  *         description: Cart, address, or payment method not found.
+ *       409:
+ *         description: |
+ *           The cart was already checked out, the cart changed since the buyer last acknowledged it,
+ *           or one or more lines exceed the remaining stock. For cart changes `errors` lists each
+ *           changed line (cartItemId, variantId, sku, productName, changes); acknowledge them with
+ *           `POST /me/cart/acknowledge-changes` and retry. For stock conflicts `errors` lists each
+ *           affected line (cartItemId, variantId, sku, productName, requestedQuantity,
+ *           availableQuantity). No stock is deducted and the cart stays active.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.post("/", validate(placeOrderSchema), orderController.placeMyOrder);
 
@@ -88,6 +121,39 @@ router.post("/", validate(placeOrderSchema), orderController.placeMyOrder);
  */
 router.get("/", validate(listOrdersQuerySchema), orderController.listMyOrders);
 
+/**
+ * @openapi
+ * /me/orders/returns:
+ *   get:
+ *     summary: List the buyer's return requests
+ *     tags: [Buyer Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending_approval, approved, rejected, item_received, refund_processing, refunded, all], default: all }
+ *       - in: query
+ *         name: orderId
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: A paginated list of the buyer's return requests.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaginatedSellerReturns'
+ *       401:
+ *         description: Unauthorized.
+ */
+router.get(
+  "/returns",
+  validate(listBuyerReturnsQuerySchema),
+  orderController.listMyReturnRequests,
+);
+
 /**
  * @openapi
  * /me/orders/{orderId}:
@@ -116,11 +182,76 @@ router.get(
   orderController.getMyOrderDetails,
 );
 
+/**
+ * @openapi
+ * /me/orders/{orderId}/history:
+ *   get:
+ *     summary: Get the status history of an order
+ *     description: Every status change of the order and its items, oldest first, with who made it.
+ *     tags: [Buyer Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathOrderId'
+ *     responses:
+ *       200:
+ *         description: The order's status timeline.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderTimeline'
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Order not found.
+ */
+router.get(
+  "/:orderId/history",
+  validate(getOrderParamsSchema),
+  orderController.getMyOrderHistory,
+);
+
+/**
+ * @openapi
+ * /me/orders/{orderId}/tracking:
+ *   get:
+ *     summary: Get the carrier tracking of an order
+ *     description: |
+ *       Each of the order's shipments with the scans its carrier has reported, oldest first. Scans
+ *       are only collected for carriers the platform integrates with; other shipments show their
+ *       tracking number without scans.
+ *     tags: [Buyer Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathOrderId'
+ *     responses:
+ *       200:
+ *         description: The order's tracking timelines.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderTracking'
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Order not found.
+ */
+router.get(
+  "/:orderId/tracking",
+  validate(getOrderParamsSchema),
+  orderController.getMyOrderTracking,
+);
+
 /**
  * @openapi
  * /me/orders/{orderId}/cancel:
  *   post:
  *     summary: Cancel an order
+ *     description: |
+ *       Puts the ordered quantities back in stock and voids the payment (if it was not captured yet)
+ *       or refunds it. Cancelling an already cancelled order again completes any step that failed
+ *       the first time; nothing is restored or refunded twice.
  *     tags: [Buyer Orders]
  *     security:
  *       - bearerAuth: []
@@ -139,6 +270,8 @@ router.get(
  *         description: Unauthorized.
  *       404:
  *         description: Order not found.
+ *       502:
+ *         description: The order was cancelled but the payment gateway rejected the void or refund; retry the cancellation.
  */
 router.post(
   "/:orderId/cancel",
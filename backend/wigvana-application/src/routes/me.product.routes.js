@@ -1,5 +1,6 @@
 import express from "express";
 import { productController } from "../controllers/product.controller.js";
+import { inventoryController } from "../controllers/inventory.controller.js";
 import { protect, authorize } from "../middlewares/auth.middleware.js";
 import validate from "../middlewares/validate.middleware.js";
 import httpStatusCodes from "http-status-codes";
@@ -12,6 +13,11 @@ import {
   listSellerProductsQuerySchema,
   getProductParamsSchema, // Reused
 } from "../dtos/product.dto.js";
+import {
+  listSellerInventoryQuerySchema,
+  bulkUpdateInventorySchema,
+  listInventoryMovementsQuerySchema,
+} from "../dtos/inventory.dto.js";
 import { objectIdSchema } from "../dtos/common.dto.js";
 import productVariantRoutes from "./me.product.variant.routes.js";
 import multer from "multer"; // For file uploads
@@ -128,6 +134,143 @@ router.get(
   productController.listMyProducts,
 );
 
+/**
+ * @openapi
+ * /me/products/inventory:
+ *   get:
+ *     summary: View stock levels across the seller's variants
+ *     description: Shows on-hand, reserved (held by buyers' checkout reservations) and available units per variant.
+ *     tags: [Seller Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *       - in: query
+ *         name: productId
+ *         schema: { type: string, format: uuid }
+ *         description: Only show variants of this product.
+ *       - in: query
+ *         name: lowStock
+ *         schema: { type: string, enum: ["true", "false"] }
+ *         description: Only show variants at or below their low-stock threshold.
+ *     responses:
+ *       200:
+ *         description: Paginated stock levels.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaginatedInventoryLevels'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden.
+ *       404:
+ *         description: Product not found or not owned by the seller.
+ */
+router.get(
+  "/inventory",
+  validate(listSellerInventoryQuerySchema),
+  inventoryController.listMyInventory,
+);
+
+/**
+ * @openapi
+ * /me/products/inventory:
+ *   post:
+ *     summary: Set or adjust stock of many variants by SKU
+ *     description: |
+ *       Accepts a JSON list of SKU and quantity rows, or a CSV upload (`Content-Type: text/csv`)
+ *       whose first line is the header `sku,quantity`. Every row is checked first and the update
+ *       applies fully or not at all. Each change is recorded in the inventory ledger.
+ *     tags: [Seller Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema: { type: string, enum: [set, adjust], default: set }
+ *         description: "`set` replaces on-hand stock with quantity; `adjust` adds the signed quantity to it."
+ *       - in: query
+ *         name: note
+ *         schema: { type: string, maxLength: 500 }
+ *         description: Reason recorded in the ledger (for CSV uploads; JSON bodies may send `note` instead).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkInventoryUpdateInput'
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "sku,quantity\nTSHIRT-RED-M-001,25\nTSHIRT-RED-L-001,0"
+ *     responses:
+ *       200:
+ *         description: Stock levels of the updated variants.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkInventoryUpdateResult'
+ *       400:
+ *         description: Invalid rows (unknown or repeated SKU, negative result or below the units reserved for pending orders); `errors` lists each rejected row. Nothing was changed.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden.
+ */
+router.post(
+  "/inventory",
+  express.text({ type: "text/csv", limit: "1mb" }),
+  validate(bulkUpdateInventorySchema),
+  inventoryController.bulkUpdateMyInventory,
+);
+
+/**
+ * @openapi
+ * /me/products/inventory/movements:
+ *   get:
+ *     summary: View the inventory ledger
+ *     description: Every change to the seller's on-hand stock and why it happened (sale, cancellation, return, manual adjustment), newest first.
+ *     tags: [Seller Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - in: query
+ *         name: variantId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: sku
+ *         schema: { type: string }
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [initial_stock, sale, cancellation_release, return_restock, manual_adjustment]
+ *     responses:
+ *       200:
+ *         description: Paginated stock movements.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaginatedInventoryMovements'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden.
+ */
+router.get(
+  "/inventory/movements",
+  validate(listInventoryMovementsQuerySchema),
+  inventoryController.listMyInventoryMovements,
+);
+
 /**
  * @openapi
  * /me/products/{productId}:
@@ -140,7 +140,7 @@ router.get(
  *       401: Unauthorized.
  *       403: Forbidden.
  *       404: Product or variant not found.
- *       409: Conflict (e.g., SKU already exists).
+ *       409: Conflict (e.g., SKU already exists, or stock below the units reserved for pending orders).
  */
 router.put(
   "/:variantId",
@@ -175,7 +175,7 @@ router.put(
  *       401: Unauthorized.
  *       403: Forbidden.
  *       404: Product or variant not found.
- *       409: Conflict (e.g., SKU already exists).
+ *       409: Conflict (e.g., SKU already exists, or stock below the units reserved for pending orders).
  */
 router.patch(
   "/:variantId",
@@ -0,0 +1,83 @@
+import express from "express";
+import { authController } from "../controllers/auth.controller.js";
+import { protect } from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import { sessionIdParamsSchema } from "../dtos/auth.dto.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @openapi
+ * tags:
+ *   name: Sessions (Me)
+ *   description: The devices the authenticated user is logged in on.
+ */
+
+/**
+ * @openapi
+ * /me/sessions:
+ *   get:
+ *     summary: List my sessions
+ *     tags: [Sessions (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's sessions, most recently used first. The one making the request is flagged `current`.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized.
+ *   delete:
+ *     summary: Log out everywhere
+ *     description: Ends every session of the user, including this one, and clears the refresh token cookie. Access tokens already issued stay valid until they expire.
+ *     tags: [Sessions (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: All sessions ended.
+ *       401:
+ *         description: Unauthorized.
+ */
+router
+  .route("/")
+  .get(authController.listSessions)
+  .delete(authController.revokeAllSessions);
+
+/**
+ * @openapi
+ * /me/sessions/{sessionId}:
+ *   delete:
+ *     summary: End one of my sessions
+ *     description: Its refresh token stops working at once; access tokens already issued to it stay valid until they expire. Ending the current session also clears the refresh token cookie.
+ *     tags: [Sessions (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Session ended.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No such session.
+ */
+router.delete(
+  "/:sessionId",
+  validate(sessionIdParamsSchema),
+  authController.revokeSession,
+);
+
+export default router;
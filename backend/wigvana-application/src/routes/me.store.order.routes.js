@@ -91,11 +91,48 @@ router.get(
   orderController.getMyStoreOrderDetails,
 );
 
+/**
+ * @openapi
+ * /me/store/orders/{orderId}/history:
+ *   get:
+ *     summary: Get the status history of an order received by the seller
+ *     description: Order status changes plus the changes of the seller's own items, oldest first.
+ *     tags: [Seller Orders & Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathOrderId'
+ *     responses:
+ *       200:
+ *         description: The order's status timeline.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderTimeline'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden.
+ *       404:
+ *         description: Order not found or no items belong to seller.
+ */
+router.get(
+  "/orders/:orderId/history",
+  validate(getOrderParamsSchema),
+  orderController.getMyStoreOrderHistory,
+);
+
 /**
  * @openapi
  * /me/store/orders/{orderId}/status:
  *   patch:
- *     summary: Update order status (e.g., "shipped", "processing")
+ *     summary: Update the status of your shipment in an order (e.g., "shipped")
+ *     description: |
+ *       Each seller in an order has their own shipment (processing → shipped → out_for_delivery → delivered, or cancelled).
+ *       This updates only the calling seller's shipment; the order status is derived from all shipments
+ *       (e.g. partially_shipped while some sellers have not shipped yet).
+ *       Cancelling (`cancelled_by_seller`) puts your items back in stock and refunds them to the buyer
+ *       with your shipment's shipping; sending it again completes any step that failed the first time.
  *     tags: [Seller Orders & Returns]
  *     security:
  *       - bearerAuth: []
@@ -114,10 +151,11 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/OrderResponse'
- *       400: Bad request.
+ *       400: Bad request (e.g., transition not allowed from the shipment's current status).
  *       401: Unauthorized.
  *       403: Forbidden.
  *       404: Order not found.
+ *       409: Shipment was updated concurrently.
  */
 router.patch(
   "/orders/:orderId/status",
@@ -143,7 +181,7 @@ router.patch(
  *         schema: { type: integer, default: 10 }
  *       - in: query
  *         name: status
- *         schema: { type: string, enum: [pending_approval, approved, rejected, processing_refund, refunded, item_received, all], default: all }
+ *         schema: { type: string, enum: [pending_approval, approved, rejected, item_received, refund_processing, refunded, all], default: all }
  *       - in: query
  *         name: orderId
  *         schema: { type: string, format: uuid }
@@ -171,6 +209,11 @@ router.get(
  * /me/store/returns/{returnId}/status:
  *   patch:
  *     summary: Update status of a return request
+ *     description: |
+ *       Moves a return request along pending_approval → approved/rejected → item_received → refund_processing → refunded.
+ *       Moving to item_received puts the returned quantity back on the product variant's stock.
+ *       Moving to refunded refunds the returned units (with their share of discount and tax) through the
+ *       payment gateway and records it in the order's refund ledger.
  *     tags: [Seller Orders & Returns]
  *     security:
  *       - bearerAuth: []
@@ -193,10 +236,12 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SellerReturnListItem' # Or a more detailed ReturnRequestResponse
- *       400: Bad request.
+ *       400: Bad request (e.g., transition not allowed from the current status).
  *       401: Unauthorized.
  *       403: Forbidden.
  *       404: Return request not found.
+ *       409: Return request was updated concurrently.
+ *       502: The payment gateway rejected the refund; the return stays in refund_processing.
  */
 router.patch(
   "/returns/:returnId/status",
@@ -0,0 +1,155 @@
+import express from "express";
+import { promotionController } from "../controllers/promotion.controller.js";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  listPromotionsQuerySchema,
+  createPromotionSchema,
+  updatePromotionSchema,
+  promotionIdParamsSchema,
+} from "../dtos/promotion.dto.js";
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize(["seller"]));
+
+/**
+ * @openapi
+ * tags:
+ *   name: Seller Promotions
+ *   description: Discount codes sellers run on their own products.
+ */
+
+/**
+ * @openapi
+ * /me/store/promotions:
+ *   get:
+ *     summary: List the seller's promotions
+ *     tags: [Seller Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [active, inactive, all], default: all }
+ *       - in: query
+ *         name: code
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: A paginated list of promotions, newest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaginatedPromotions'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a seller).
+ *   post:
+ *     summary: Create a promotion on the seller's products
+ *     description: The promotion only ever applies to the seller's own items; `sellerId` is ignored.
+ *     tags: [Seller Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionInput'
+ *     responses:
+ *       201:
+ *         description: Promotion created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error, inconsistent promotion, or a product that is not the seller's.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a seller).
+ *       409:
+ *         description: The code is already taken.
+ */
+router.get(
+  "/promotions",
+  validate(listPromotionsQuerySchema),
+  promotionController.listMyStorePromotions,
+);
+router.post(
+  "/promotions",
+  validate(createPromotionSchema),
+  promotionController.createMyStorePromotion,
+);
+
+/**
+ * @openapi
+ * /me/store/promotions/{promotionId}:
+ *   patch:
+ *     summary: Update one of the seller's promotions
+ *     tags: [Seller Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathPromotionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionUpdateInput'
+ *     responses:
+ *       200:
+ *         description: Promotion updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error or inconsistent promotion.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a seller).
+ *       404:
+ *         description: Promotion not found.
+ *   delete:
+ *     summary: Deactivate one of the seller's promotions
+ *     description: The promotion is kept for past orders but its code can no longer be used.
+ *     tags: [Seller Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathPromotionId'
+ *     responses:
+ *       204:
+ *         description: Promotion deactivated.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a seller).
+ *       404:
+ *         description: Promotion not found.
+ */
+router.patch(
+  "/promotions/:promotionId",
+  validate(updatePromotionSchema),
+  promotionController.updateMyStorePromotion,
+);
+router.delete(
+  "/promotions/:promotionId",
+  validate(promotionIdParamsSchema),
+  promotionController.deactivateMyStorePromotion,
+);
+
+export default router;
@@ -0,0 +1,139 @@
+import express from "express";
+import { shippingController } from "../controllers/shipping.controller.js";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  createShippingZoneSchema,
+  updateShippingZoneSchema,
+  shippingZoneIdParamsSchema,
+} from "../dtos/shipping.dto.js";
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize(["seller"]));
+
+/**
+ * @openapi
+ * tags:
+ *   name: Seller Shipping
+ *   description: Where sellers ship and what they charge for it.
+ */
+
+/**
+ * @openapi
+ * /me/store/shipping-zones:
+ *   get:
+ *     summary: List the seller's shipping zones
+ *     tags: [Seller Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The seller's zones, by name.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ShippingZone'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a seller).
+ *   post:
+ *     summary: Create a shipping zone with its methods
+ *     description: |
+ *       Once a seller has a zone, buyers whose address no zone covers cannot check out the seller's
+ *       items. Sellers without zones ship everywhere at the platform's default flat rate.
+ *     tags: [Seller Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZoneInput'
+ *     responses:
+ *       201:
+ *         description: Zone created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingZone'
+ *       400:
+ *         description: Validation error or a method missing the fields its type needs.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a seller).
+ */
+router.get("/shipping-zones", shippingController.listMyShippingZones);
+router.post(
+  "/shipping-zones",
+  validate(createShippingZoneSchema),
+  shippingController.createMyShippingZone,
+);
+
+/**
+ * @openapi
+ * /me/store/shipping-zones/{zoneId}:
+ *   patch:
+ *     summary: Update one of the seller's shipping zones
+ *     tags: [Seller Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathShippingZoneId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZoneUpdateInput'
+ *     responses:
+ *       200:
+ *         description: Zone updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingZone'
+ *       400:
+ *         description: Validation error or a method missing the fields its type needs.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a seller).
+ *       404:
+ *         description: Shipping zone not found.
+ *   delete:
+ *     summary: Delete one of the seller's shipping zones
+ *     description: Orders already placed keep the shipping they were charged.
+ *     tags: [Seller Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathShippingZoneId'
+ *     responses:
+ *       204:
+ *         description: Zone deleted.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a seller).
+ *       404:
+ *         description: Shipping zone not found.
+ */
+router.patch(
+  "/shipping-zones/:zoneId",
+  validate(updateShippingZoneSchema),
+  shippingController.updateMyShippingZone,
+);
+router.delete(
+  "/shipping-zones/:zoneId",
+  validate(shippingZoneIdParamsSchema),
+  shippingController.deleteMyShippingZone,
+);
+
+export default router;
@@ -0,0 +1,211 @@
+import express from "express";
+import { twoFactorController } from "../controllers/twoFactor.controller.js";
+import { protect } from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  secondFactorDtoSchema,
+  enableTwoFactorDtoSchema,
+  disableTwoFactorDtoSchema,
+} from "../dtos/auth.dto.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @openapi
+ * tags:
+ *   name: Two-Factor Authentication (Me)
+ *   description: TOTP two-factor authentication for the authenticated user. Optional, except for admins, who must enable it before using the admin area.
+ */
+
+/**
+ * @openapi
+ * /me/two-factor:
+ *   get:
+ *     summary: Get my two-factor status
+ *     tags: [Two-Factor Authentication (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether two-factor authentication is enabled or required, and how many recovery codes are left.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorStatus'
+ *       401:
+ *         description: Unauthorized.
+ */
+router.get("/", twoFactorController.getMyTwoFactorStatus);
+
+/**
+ * @openapi
+ * /me/two-factor/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a new secret for an authenticator app. Nothing changes until it is confirmed at /me/two-factor/enable; calling this again replaces the secret.
+ *     tags: [Two-Factor Authentication (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The secret and its provisioning URI, to show as a QR code.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorSetupResponse'
+ *       401:
+ *         description: Unauthorized.
+ *       409:
+ *         description: Two-factor authentication is already enabled.
+ */
+router.post("/setup", twoFactorController.setupMyTwoFactor);
+
+/**
+ * @openapi
+ * /me/two-factor/enable:
+ *   post:
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     tags: [Two-Factor Authentication (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EnableTwoFactorDto'
+ *     responses:
+ *       200:
+ *         description: Enabled. Returns the recovery codes, which are not shown again.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorRecoveryCodes'
+ *       400:
+ *         description: Invalid code, or setup was not started.
+ *       401:
+ *         description: Unauthorized, or the access token predates sessions (log in again).
+ *       409:
+ *         description: Two-factor authentication is already enabled.
+ *       429:
+ *         description: Too many invalid codes for this session, or for the account recently; try again later.
+ *       503:
+ *         description: Invalid codes cannot be counted right now, so no code is checked; try again later.
+ */
+router.post(
+  "/enable",
+  validate(enableTwoFactorDtoSchema),
+  twoFactorController.enableMyTwoFactor,
+);
+
+/**
+ * @openapi
+ * /me/two-factor/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Two-Factor Authentication (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DisableTwoFactorDto'
+ *     responses:
+ *       204:
+ *         description: Disabled.
+ *       400:
+ *         description: Incorrect password or code, or two-factor authentication is not enabled.
+ *       401:
+ *         description: Unauthorized, or the access token predates sessions (log in again).
+ *       403:
+ *         description: Admins cannot disable two-factor authentication.
+ *       429:
+ *         description: Too many invalid codes for this session, or for the account recently; try again later.
+ *       503:
+ *         description: Invalid codes cannot be counted right now, so no code is checked; try again later.
+ */
+router.post(
+  "/disable",
+  validate(disableTwoFactorDtoSchema),
+  twoFactorController.disableMyTwoFactor,
+);
+
+/**
+ * @openapi
+ * /me/two-factor/recovery-codes:
+ *   post:
+ *     summary: Replace my recovery codes
+ *     description: The old recovery codes stop working.
+ *     tags: [Two-Factor Authentication (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SecondFactorInput'
+ *     responses:
+ *       200:
+ *         description: The new recovery codes, which are not shown again.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorRecoveryCodes'
+ *       400:
+ *         description: Invalid code, or two-factor authentication is not enabled.
+ *       401:
+ *         description: Unauthorized, or the access token predates sessions (log in again).
+ *       429:
+ *         description: Too many invalid codes for this session, or for the account recently; try again later.
+ *       503:
+ *         description: Invalid codes cannot be counted right now, so no code is checked; try again later.
+ */
+router.post(
+  "/recovery-codes",
+  validate(secondFactorDtoSchema),
+  twoFactorController.regenerateMyRecoveryCodes,
+);
+
+/**
+ * @openapi
+ * /me/two-factor/step-up:
+ *   post:
+ *     summary: Confirm a sensitive action with a second factor
+ *     description: Sensitive admin actions such as refunds and suspending users need a recent step-up. It applies to the current session only and lasts TWO_FACTOR_STEP_UP_TTL_MINUTES.
+ *     tags: [Two-Factor Authentication (Me)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SecondFactorInput'
+ *     responses:
+ *       200:
+ *         description: Step-up confirmed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StepUpResponse'
+ *       400:
+ *         description: Invalid code, or two-factor authentication is not enabled.
+ *       401:
+ *         description: Unauthorized, or the access token predates sessions (log in again).
+ *       429:
+ *         description: Too many invalid codes for this session, or for the account recently; try again later.
+ *       503:
+ *         description: Invalid codes cannot be counted right now, so no code is checked; try again later.
+ */
+router.post(
+  "/step-up",
+  validate(secondFactorDtoSchema),
+  twoFactorController.stepUpMySession,
+);
+
+export default router;
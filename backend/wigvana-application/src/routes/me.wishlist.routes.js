@@ -0,0 +1,267 @@
+import express from "express";
+import { wishlistController } from "../controllers/wishlist.controller.js";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  createWishlistSchema,
+  updateWishlistSchema,
+  wishlistIdParamsSchema,
+  addWishlistItemSchema,
+  wishlistItemParamsSchema,
+  moveWishlistItemToCartSchema,
+} from "../dtos/wishlist.dto.js";
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize(["buyer"]));
+
+/**
+ * @openapi
+ * tags:
+ *   name: Buyer Wishlists
+ *   description: Named lists of products buyers keep for later, including the list cart lines are saved to.
+ */
+
+/**
+ * @openapi
+ * /me/wishlists:
+ *   get:
+ *     summary: List the buyer's wishlists
+ *     tags: [Buyer Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The buyer's lists, oldest first, with their item counts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WishlistSummary'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a buyer).
+ *   post:
+ *     summary: Create a wishlist
+ *     tags: [Buyer Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WishlistInput'
+ *     responses:
+ *       201:
+ *         description: Wishlist created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       400:
+ *         description: Bad request (validation error).
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden (user is not a buyer).
+ *       409:
+ *         description: The buyer already has a list with that name.
+ */
+router.get("/", wishlistController.listMyWishlists);
+router.post(
+  "/",
+  validate(createWishlistSchema),
+  wishlistController.createMyWishlist,
+);
+
+/**
+ * @openapi
+ * /me/wishlists/{wishlistId}:
+ *   get:
+ *     summary: Get a wishlist with its items
+ *     description: Each item is flagged when its price dropped or it came back in stock since it was saved.
+ *     tags: [Buyer Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathWishlistId'
+ *     responses:
+ *       200:
+ *         description: The wishlist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Wishlist not found.
+ *   patch:
+ *     summary: Rename a wishlist or change its visibility
+ *     description: Making a list public gives it a `shareUrl`; making it private again revokes the link.
+ *     tags: [Buyer Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathWishlistId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WishlistUpdateInput'
+ *     responses:
+ *       200:
+ *         description: The updated wishlist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       400:
+ *         description: Bad request (validation error).
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Wishlist not found.
+ *       409:
+ *         description: The buyer already has a list with that name.
+ *   delete:
+ *     summary: Delete a wishlist and its items
+ *     tags: [Buyer Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathWishlistId'
+ *     responses:
+ *       204:
+ *         description: Wishlist deleted.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Wishlist not found.
+ */
+router.get(
+  "/:wishlistId",
+  validate(wishlistIdParamsSchema),
+  wishlistController.getMyWishlist,
+);
+router.patch(
+  "/:wishlistId",
+  validate(updateWishlistSchema),
+  wishlistController.updateMyWishlist,
+);
+router.delete(
+  "/:wishlistId",
+  validate(wishlistIdParamsSchema),
+  wishlistController.deleteMyWishlist,
+);
+
+/**
+ * @openapi
+ * /me/wishlists/{wishlistId}/items:
+ *   post:
+ *     summary: Add a product or variant to a wishlist
+ *     description: Adding something already on the list only updates its quantity (when one is given).
+ *     tags: [Buyer Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathWishlistId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WishlistItemInput'
+ *     responses:
+ *       200:
+ *         description: The updated wishlist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       400:
+ *         description: Bad request (validation error).
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Wishlist, product or variant not found.
+ */
+router.post(
+  "/:wishlistId/items",
+  validate(addWishlistItemSchema),
+  wishlistController.addMyWishlistItem,
+);
+
+/**
+ * @openapi
+ * /me/wishlists/{wishlistId}/items/{itemId}:
+ *   delete:
+ *     summary: Remove an item from a wishlist
+ *     tags: [Buyer Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathWishlistId'
+ *       - $ref: '#/components/parameters/pathWishlistItemId'
+ *     responses:
+ *       200:
+ *         description: The updated wishlist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Wishlist or item not found.
+ */
+router.delete(
+  "/:wishlistId/items/:itemId",
+  validate(wishlistItemParamsSchema),
+  wishlistController.removeMyWishlistItem,
+);
+
+/**
+ * @openapi
+ * /me/wishlists/{wishlistId}/items/{itemId}/move-to-cart:
+ *   post:
+ *     summary: Move a wishlist item into the buyer's cart
+ *     description: The item leaves the list once it is in the cart.
+ *     tags: [Buyer Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/pathWishlistId'
+ *       - $ref: '#/components/parameters/pathWishlistItemId'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MoveWishlistItemToCartInput'
+ *     responses:
+ *       200:
+ *         description: The buyer's updated cart.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: No variant chosen for a product with several, or not enough stock.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Wishlist, item, product or variant not found.
+ */
+router.post(
+  "/:wishlistId/items/:itemId/move-to-cart",
+  validate(moveWishlistItemToCartSchema),
+  wishlistController.moveMyWishlistItemToCart,
+);
+
+export default router;
@@ -3,6 +3,7 @@ import { productController } from "../controllers/product.controller.js";
 import validate from "../middlewares/validate.middleware.js";
 import {
   listProductsQuerySchema,
+  suggestProductsQuerySchema,
   getProductParamsSchema,
   listProductVariantsParamsSchema,
   getProductVariantParamsSchema,
@@ -36,7 +37,7 @@ const router = express.Router();
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Product'
+ *                 $ref: '#/components/schemas/PricedProduct'
  *       500:
  *         description: Internal server error.
  *         content:
@@ -46,11 +47,62 @@ const router = express.Router();
  */
 router.get("/featured", productController.getFeaturedProducts);
 
+/**
+ * @openapi
+ * /products/suggest:
+ *   get:
+ *     summary: Suggest products, brands, categories and tags while the shopper types
+ *     description: |
+ *       Every word of the query must start a word of the suggestion, in any order. Only
+ *       published and approved products are suggested. Results are cached briefly.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: What the shopper has typed so far.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 5
+ *         description: Suggestions per group.
+ *     responses:
+ *       200:
+ *         description: Suggestions grouped by kind.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductSuggestions'
+ *       400:
+ *         description: Invalid query parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/suggest",
+  validate(suggestProductsQuerySchema),
+  productController.suggestProducts,
+);
+
 /**
  * @openapi
  * /products:
  *   get:
- *     summary: List all products with filtering, sorting, and pagination
+ *     summary: Search products with facets, filtering, sorting, and pagination
+ *     description: |
+ *       Text search tolerates typos and partial words. Price filters, price sorting and the price
+ *       facet use each variant's effective price (its sale price while a sale is on). Variant
+ *       filters (color, length, texture, price, inStock, onSale) must all hold for the same variant.
+ *       Multi-value filters take comma-separated values, any of which matches. Each facet counts
+ *       results under every active filter except its own.
  *     tags: [Products]
  *     parameters:
  *       - in: query
@@ -63,14 +115,13 @@ router.get("/featured", productController.getFeaturedProducts);
  *         name: search
  *         schema:
  *           type: string
- *         description: Search query for product name or description.
+ *         description: Words to look for in the name, brand, tags, variant attributes and description.
  *       - in: query
  *         name: sort_by
  *         schema:
  *           type: string
- *           enum: [name, basePrice, averageRating, createdAt, updatedAt]
- *           default: createdAt
- *         description: Field to sort by.
+ *           enum: [relevance, price, discount, name, basePrice, averageRating, createdAt, updatedAt]
+ *         description: Field to sort by; discount is the largest percentage off. Defaults to relevance when searching, createdAt otherwise.
  *       - in: query
  *         name: order
  *         schema:
@@ -95,25 +146,64 @@ router.get("/featured", productController.getFeaturedProducts);
  *         schema:
  *           type: number
  *           format: float
- *         description: Minimum price filter.
+ *         description: Minimum effective variant price.
  *       - in: query
  *         name: maxPrice
  *         schema:
  *           type: number
  *           format: float
- *         description: Maximum price filter.
+ *         description: Maximum effective variant price.
  *       - in: query
  *         name: brand
  *         schema:
  *           type: string
- *         description: Filter by brand name.
+ *         description: Comma-separated brands (case-insensitive).
+ *       - in: query
+ *         name: seller
+ *         schema:
+ *           type: string
+ *         description: Comma-separated seller IDs.
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Comma-separated variant colors (case-insensitive).
+ *       - in: query
+ *         name: length
+ *         schema:
+ *           type: string
+ *         description: Comma-separated variant lengths (case-insensitive).
+ *       - in: query
+ *         name: texture
+ *         schema:
+ *           type: string
+ *         description: Comma-separated variant textures (case-insensitive).
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Minimum average rating.
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: Only products with a matching variant in stock.
+ *       - in: query
+ *         name: onSale
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: Only products with a matching variant on sale right now.
  *     responses:
  *       200:
- *         description: A paginated list of products.
+ *         description: A paginated list of products with facet counts.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/PaginatedProducts'
+ *               $ref: '#/components/schemas/ProductSearchResults'
  *       400:
  *         description: Invalid query parameters.
  *         content:
@@ -139,11 +229,11 @@ router.get(
  *       - $ref: '#/components/parameters/pathProductId'
  *     responses:
  *       200:
- *         description: Detailed information about the product.
+ *         description: Detailed information about the product, with the price ranges of its active variants.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Product' # You might want a more detailed ProductDetail schema
+ *               $ref: '#/components/schemas/PricedProduct' # You might want a more detailed ProductDetail schema
  *       404:
  *         description: Product not found.
  *         content:
@@ -175,7 +265,7 @@ router.get(
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/ProductVariant'
+ *                 $ref: '#/components/schemas/PricedProductVariant'
  *       404:
  *         description: Product not found.
  *       500:
@@ -202,7 +292,7 @@ router.get(
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ProductVariant'
+ *               $ref: '#/components/schemas/PricedProductVariant'
  *       404:
  *         description: Product or variant not found.
  *       500:
@@ -0,0 +1,92 @@
+import express from "express";
+import { webhookController } from "../controllers/webhook.controller.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  paymentWebhookParamsSchema,
+  carrierWebhookParamsSchema,
+} from "../dtos/webhook.dto.js";
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * tags:
+ *   name: Webhooks
+ *   description: Inbound notifications from payment providers and carriers. Authenticated by provider signatures.
+ */
+
+/**
+ * @openapi
+ * /webhooks/payments/{gateway}:
+ *   post:
+ *     summary: Receive a payment gateway webhook
+ *     description: |
+ *       Verifies the provider signature over the raw body, stores the event and applies it to the matching order.
+ *       Redeliveries of the same event ID are acknowledged without being applied twice. Events that arrive
+ *       before the order can accept them (or that have an unknown type) are kept as `pending_replay`.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - name: gateway
+ *         in: path
+ *         required: true
+ *         schema: {type: string, example: simulator}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: true
+ *     responses:
+ *       200:
+ *         description: Event received.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/WebhookAck'}}}
+ *       400: {$ref: '#/components/responses/BadRequestError'}
+ *       401:
+ *         description: Signature missing or invalid.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/ErrorResponse'}}}
+ */
+router.post(
+  "/payments/:gateway",
+  validate(paymentWebhookParamsSchema),
+  webhookController.receivePaymentWebhook,
+);
+
+/**
+ * @openapi
+ * /webhooks/carriers/{carrier}:
+ *   post:
+ *     summary: Receive a carrier tracking webhook
+ *     description: |
+ *       Verifies the carrier signature over the raw body and adds the scans to the matching shipment's
+ *       tracking timeline. Scans already recorded (by polling or an earlier delivery) are skipped. Scans
+ *       showing the parcel out for delivery or delivered move the shipment and its order on.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - name: carrier
+ *         in: path
+ *         required: true
+ *         schema: {type: string, example: mock}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: true
+ *     responses:
+ *       200:
+ *         description: Scans received.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/CarrierWebhookAck'}}}
+ *       400: {$ref: '#/components/responses/BadRequestError'}
+ *       401:
+ *         description: Signature missing or invalid.
+ *         content: {application/json: {schema: {$ref: '#/components/schemas/ErrorResponse'}}}
+ */
+router.post(
+  "/carriers/:carrier",
+  validate(carrierWebhookParamsSchema),
+  webhookController.receiveCarrierWebhook,
+);
+
+export default router;
@@ -0,0 +1,44 @@
+import express from "express";
+import { wishlistController } from "../controllers/wishlist.controller.js";
+import validate from "../middlewares/validate.middleware.js";
+import { sharedWishlistParamsSchema } from "../dtos/wishlist.dto.js";
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * tags:
+ *   name: Shared Wishlists
+ *   description: Public views of wishlists their owners chose to share.
+ */
+
+/**
+ * @openapi
+ * /wishlists/shared/{shareToken}:
+ *   get:
+ *     summary: View a shared wishlist
+ *     tags: [Shared Wishlists]
+ *     parameters:
+ *       - in: path
+ *         name: shareToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The token from the list's `shareUrl`.
+ *     responses:
+ *       200:
+ *         description: The wishlist and its items.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SharedWishlist'
+ *       404:
+ *         description: No public wishlist has that link (it may have been made private).
+ */
+router.get(
+  "/shared/:shareToken",
+  validate(sharedWishlistParamsSchema),
+  wishlistController.getSharedWishlist,
+);
+
+export default router;
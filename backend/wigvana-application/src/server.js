@@ -3,6 +3,7 @@ import app from "./app.js";
 import config from "./config/index.js";
 import logger from "./utils/logger.js";
 import { redisService } from "./services/redis.service.js"; // To ensure Redis connects
+import { startJobs, stopJobs } from "./jobs/index.js";
 
 const connectDB = async () => {
   try {
@@ -26,6 +27,7 @@ const connectDB = async () => {
 
 const startServer = async () => {
   await connectDB();
+  startJobs();
 
   const server = app.listen(config.PORT, () => {
     logger.info(
@@ -48,6 +50,7 @@ const startServer = async () => {
   // Handle SIGTERM (e.g., from Docker or PaaS)
   process.on("SIGTERM", () => {
     logger.info("SIGTERM RECEIVED. Shutting down gracefully...");
+    stopJobs();
     server.close(() => {
       logger.info("Process terminated!");
       mongoose.connection.close(false, () => {
@@ -62,6 +65,7 @@ const startServer = async () => {
   // Handle SIGINT (Ctrl+C)
   process.on("SIGINT", () => {
     logger.info("SIGINT RECEIVED. Shutting down gracefully...");
+    stopJobs();
     server.close(() => {
       logger.info("Process terminated!");
       mongoose.connection.close(false, () => {
@@ -10,20 +10,121 @@ import ApiError from "../errors/ApiError.js";
 import UnauthorizedError from "../errors/UnauthorizedError.js";
 import BadRequestError from "../errors/BadRequestError.js";
 import ForbiddenError from "../errors/ForbiddenError.js";
+import NotFoundError from "../errors/NotFoundError.js";
 import logger from "../utils/logger.js";
-// import { mailService } from './mail.service.js'; // For actual email sending
+import { mailService } from "./mail.service.js";
+import { twoFactorService } from "./twoFactor.service.js";
+import { oidcService } from "./oidc.service.js";
 
 /**
- * Generates JWT access and refresh tokens.
+ * Where a session was started or last used from.
+ * @typedef {object} SessionMetadata
+ * @property {string} [userAgent] - The client's User-Agent header.
+ * @property {string} [ip] - The client's IP address.
+ */
+
+/**
+ * What a refresh token's `refreshToken:${userId}:${hash}` key holds. Each login starts a session
+ * (a token family); every refresh rotates its token. The newest token's key is "active" and
+ * carries the session metadata. Keys of the tokens it replaced stay behind as "rotated" markers
+ * until those tokens would have expired, so a replayed token is recognised.
+ * @typedef {object} RefreshTokenRecord
+ * @property {string | null} sessionId - The session the token belongs to; null for tokens issued before sessions existed.
+ * @property {"active" | "rotated"} status - Whether the token can still be exchanged.
+ * @property {string} [createdAt] - When the session started (ISO date).
+ * @property {string} [lastUsedAt] - When the session last refreshed (ISO date).
+ * @property {string} [userAgent] - Latest User-Agent seen for the session.
+ * @property {string} [device] - Readable summary of the User-Agent, e.g. "Chrome on macOS".
+ * @property {string} [ip] - Latest IP address seen for the session.
+ * @property {string} [rotatedAt] - When the token was exchanged (rotated markers only).
+ */
+
+const REFRESH_TOKEN_KEY_PREFIX = "refreshToken:";
+
+const BROWSERS = [
+	["Edg/", "Edge"],
+	["OPR/", "Opera"],
+	["Chrome/", "Chrome"],
+	["Firefox/", "Firefox"],
+	["Safari/", "Safari"],
+];
+const OPERATING_SYSTEMS = [
+	["Windows", "Windows"],
+	["Android", "Android"],
+	["iPhone", "iOS"],
+	["iPad", "iPadOS"],
+	["Mac OS X", "macOS"],
+	["Linux", "Linux"],
+];
+
+/**
+ * Summarises a User-Agent header for the session list, e.g. "Firefox on Windows".
+ * @param {string} [userAgent] - The User-Agent header.
+ * @returns {string} The summary.
+ */
+const describeDevice = (userAgent) => {
+	if (!userAgent) return "Unknown device";
+	const browser = BROWSERS.find(([marker]) => userAgent.includes(marker))?.[1];
+	const os = OPERATING_SYSTEMS.find(([marker]) =>
+		userAgent.includes(marker),
+	)?.[1];
+	if (browser && os) return `${browser} on ${os}`;
+	return browser ?? os ?? userAgent.slice(0, 60);
+};
+
+/**
+ * Short hash identifying a refresh token in its Redis key.
+ * @param {string} token - The refresh token.
+ * @returns {string} The first 16 hex characters of its SHA-256 digest.
+ */
+const hashRefreshToken = (token) =>
+	crypto.createHash("sha256").update(token).digest("hex").slice(0, 16);
+
+const refreshTokenKey = (userId, token) =>
+	`${REFRESH_TOKEN_KEY_PREFIX}${userId}:${hashRefreshToken(token)}`;
+
+/**
+ * Parses a refresh token key's value. Tokens issued before sessions existed hold "true"; they
+ * are read as active tokens without a session.
+ * @param {string} value - The stored value.
+ * @returns {RefreshTokenRecord} The record.
+ */
+const parseRefreshTokenRecord = (value) => {
+	try {
+		const record = JSON.parse(value);
+		if (record && typeof record === "object") return record;
+	} catch {
+		// Not JSON: a token from before sessions existed
+	}
+	return { sessionId: null, status: "active" };
+};
+
+/**
+ * The session a stored refresh token belongs to. Tokens from before sessions existed are each
+ * their own session, identified by their key's hash.
+ * @param {{key: string, value: string}} entry - The Redis key and its value.
+ * @returns {string} The session ID.
+ */
+const sessionIdOf = ({ key, value }) =>
+	parseRefreshTokenRecord(value).sessionId ?? key.split(":").pop();
+
+/**
+ * Generates JWT access and refresh tokens for a session. Both carry the session ID (`sid`); the
+ * refresh token also gets a unique `jti`, so tokens issued within the same second still differ.
  * @param {string} userId - The user's ID.
+ * @param {string} sessionId - The session the tokens belong to.
  * @returns {{accessToken: string, refreshToken: string}} The generated tokens.
  */
-const generateTokens = (userId) => {
-	const accessToken = jwt.sign({ sub: userId }, config.JWT_SECRET, {
-		expiresIn: `${config.JWT_ACCESS_TOKEN_EXPIRATION_MINUTES}m`,
-	});
+const generateTokens = (userId, sessionId) => {
+	const accessToken = jwt.sign(
+		{ sub: userId, sid: sessionId },
+		config.JWT_SECRET,
+		{
+			expiresIn: `${config.JWT_ACCESS_TOKEN_EXPIRATION_MINUTES}m`,
+		},
+	);
 	const refreshToken = jwt.sign(
-		{ sub: userId, type: "refresh" },
+		{ sub: userId, sid: sessionId, type: "refresh", jti: uuidv4() },
 		config.JWT_SECRET,
 		{
 			expiresIn: `${config.JWT_REFRESH_TOKEN_EXPIRATION_DAYS}d`,
@@ -33,20 +134,59 @@ const generateTokens = (userId) => {
 };
 
 /**
- * Saves refresh token to Redis.
+ * Saves a refresh token to Redis as the active token of its session.
  * @param {string} userId - The user's ID.
  * @param {string} token - The refresh token.
+ * @param {Omit<RefreshTokenRecord, "status">} session - The session's metadata.
  * @returns {Promise<void>}
  */
-const saveRefreshTokenToRedis = async (userId, token) => {
-	const key = `refreshToken:${userId}:${crypto.createHash("sha256").update(token).digest("hex").slice(0, 16)}`;
+const saveRefreshTokenToRedis = async (userId, token, session) => {
 	await redisService.set(
-		key,
-		"true",
+		refreshTokenKey(userId, token),
+		JSON.stringify({ ...session, status: "active" }),
 		config.JWT_REFRESH_TOKEN_EXPIRATION_DAYS * 24 * 60 * 60,
 	);
 };
 
+/**
+ * Starts a new session for a user and issues its first tokens.
+ * @param {string} userId - The user's ID.
+ * @param {SessionMetadata} [metadata={}] - Where the session is started from.
+ * @returns {Promise<{accessToken: string, refreshToken: string}>} The session's tokens.
+ */
+const startSession = async (userId, { userAgent, ip } = {}) => {
+	const sessionId = uuidv4();
+	const now = new Date().toISOString();
+	const tokens = generateTokens(userId, sessionId);
+	await saveRefreshTokenToRedis(userId, tokens.refreshToken, {
+		sessionId,
+		createdAt: now,
+		lastUsedAt: now,
+		userAgent,
+		device: describeDevice(userAgent),
+		ip,
+	});
+	return tokens;
+};
+
+/**
+ * Deletes every refresh token of one session, rotated markers included. Redis errors propagate,
+ * so a revocation is never reported as done when it was not.
+ * @param {string} userId - The user's ID.
+ * @param {string} sessionId - The session ID.
+ * @returns {Promise<number>} How many keys were deleted; 0 if the session does not exist.
+ */
+const revokeSessionTokens = async (userId, sessionId) => {
+	const entries = await redisService.getByPrefix(
+		`${REFRESH_TOKEN_KEY_PREFIX}${userId}:`,
+	);
+	return redisService.delMany(
+		entries
+			.filter((entry) => sessionIdOf(entry) === sessionId)
+			.map((entry) => entry.key),
+	);
+};
+
 /**
  * Verifies a JWT token.
  * @param {string} token - The JWT token.
@@ -65,11 +205,12 @@ const verifyToken = async (token, secret) => {
 };
 
 /**
- * Registers a new user.
+ * Registers a new user and starts their first session.
  * @param {typeof import('../dtos/auth.dto.js').registerUserDtoSchema._input.body} userData - User registration data.
+ * @param {SessionMetadata} [sessionMetadata] - Where the user registered from.
  * @returns {Promise<{user: InstanceType<typeof User>, accessToken: string, refreshToken: string}>}
  */
-const registerUser = async (userData) => {
+const registerUser = async (userData, sessionMetadata) => {
 	if (await User.findOne({ email: userData.email })) {
 		throw new BadRequestError("Email already taken");
 	}
@@ -89,13 +230,19 @@ const registerUser = async (userData) => {
 		accountStatus: "pending_verification",
 	});
 
-	const { accessToken, refreshToken } = generateTokens(user.id);
-	await saveRefreshTokenToRedis(user.id, refreshToken);
+	const { accessToken, refreshToken } = await startSession(
+		user.id,
+		sessionMetadata,
+	);
 
-	// For development: Log verification link
-	const verificationLink = `${config.APP_BASE_URL}/api/v1/auth/verify-email?token=${verificationToken}`;
-	logger.info(`Email verification link for ${user.email}: ${verificationLink}`);
-	// In production: await mailService.sendVerificationEmail(user.email, verificationToken);
+	await mailService.sendMail({
+		to: user.email,
+		template: "emailVerification",
+		data: {
+			firstName: user.firstName,
+			link: `${config.APP_BASE_URL}/api/v1/auth/verify-email?token=${verificationToken}`,
+		},
+	});
 
 	// Don't send sensitive fields back
 	const userResponse = user.toObject();
@@ -107,17 +254,51 @@ const registerUser = async (userData) => {
 };
 
 /**
- * Logs in an existing user.
- * @param {typeof import('../dtos/auth.dto.js').loginUserDtoSchema._input.body} loginData - User login data.
+ * Starts a session for a user who passed every login step and records the login.
+ * @param {InstanceType<typeof User>} user - The user.
+ * @param {SessionMetadata} [sessionMetadata] - Where the user logged in from.
  * @returns {Promise<{user: InstanceType<typeof User>, accessToken: string, refreshToken: string}>}
  */
-const loginUser = async (loginData) => {
+const completeLogin = async (user, sessionMetadata) => {
+	const { accessToken, refreshToken } = await startSession(
+		user.id,
+		sessionMetadata,
+	);
+
+	user.lastLoginAt = new Date();
+	await user.save();
+
+	const userResponse = user.toObject();
+	userResponse.passwordHash = undefined;
+
+	return { user: userResponse, accessToken, refreshToken };
+};
+
+/**
+ * Logs in an existing user, starting a new session. Users with two-factor authentication get a
+ * challenge instead, to complete with completeTwoFactorLogin.
+ * @param {typeof import('../dtos/auth.dto.js').loginUserDtoSchema._input.body} loginData - User login data.
+ * @param {SessionMetadata} [sessionMetadata] - Where the user logged in from.
+ * @returns {Promise<{user: InstanceType<typeof User>, accessToken: string, refreshToken: string} | {twoFactorRequired: true, challengeToken: string, challengeExpiresAt: Date}>}
+ */
+const loginUser = async (loginData, sessionMetadata) => {
 	const user = await User.findOne({ email: loginData.email });
 
 	if (!user || !(await user.comparePassword(loginData.password))) {
 		throw new UnauthorizedError("Incorrect email or password");
 	}
 
+	return continueLogin(user, sessionMetadata);
+};
+
+/**
+ * The login steps after the first factor (a password, or an OpenID Connect provider): account
+ * checks, then a two-factor challenge or a new session.
+ * @param {InstanceType<typeof User>} user - The user the first factor identified.
+ * @param {SessionMetadata} [sessionMetadata] - Where the user logged in from.
+ * @returns {Promise<{user: InstanceType<typeof User>, accessToken: string, refreshToken: string} | {twoFactorRequired: true, challengeToken: string, challengeExpiresAt: Date}>}
+ */
+const continueLogin = async (user, sessionMetadata) => {
 	if (!user.emailVerified) {
 		throw new UnauthorizedError(
 			"Email not verified. Please check your inbox for a verification link.",
@@ -129,24 +310,85 @@ const loginUser = async (loginData) => {
 		);
 	}
 
-	const { accessToken, refreshToken } = generateTokens(user.id);
-	await saveRefreshTokenToRedis(user.id, refreshToken);
+	if (user.twoFactor?.enabled) {
+		const { challengeToken, expiresAt } =
+			await twoFactorService.createLoginChallenge(user.id);
+		return {
+			twoFactorRequired: true,
+			challengeToken,
+			challengeExpiresAt: expiresAt,
+		};
+	}
 
-	user.lastLoginAt = new Date();
-	await user.save();
+	return completeLogin(user, sessionMetadata);
+};
 
-	const userResponse = user.toObject();
-	userResponse.passwordHash = undefined;
+/**
+ * Finishes an OpenID Connect flow when the provider sends the browser back. Logins go through
+ * the same steps as password logins, two-factor challenge included; links attach the provider
+ * account to the user who started the flow from /me/identities.
+ * @param {string} providerName - The provider from the callback URL.
+ * @param {Record<string, string>} params - The callback parameters.
+ * @param {string | undefined} browserBinding - The binding cookie set when the flow started.
+ * @param {SessionMetadata} [sessionMetadata] - Where the user logged in from.
+ * @returns {Promise<{linked: true} | {user: InstanceType<typeof User>, accessToken: string, refreshToken: string} | {twoFactorRequired: true, challengeToken: string, challengeExpiresAt: Date}>}
+ */
+const completeOidcSignIn = async (
+	providerName,
+	params,
+	browserBinding,
+	sessionMetadata,
+) => {
+	const { intent, userId, profile } = await oidcService.completeAuthorization(
+		providerName,
+		params,
+		browserBinding,
+	);
+	if (intent === "link") {
+		await oidcService.linkIdentity(userId, providerName, profile);
+		return { linked: true };
+	}
+	const user = await oidcService.resolveLoginUser(providerName, profile);
+	return continueLogin(user, sessionMetadata);
+};
 
-	return { user: userResponse, accessToken, refreshToken };
+/**
+ * Second login step for users with two-factor authentication: exchanges the challenge from
+ * loginUser and a code (or recovery code) for a new session.
+ * @param {typeof import('../dtos/auth.dto.js').twoFactorLoginDtoSchema._input.body} loginData - Challenge token and second factor.
+ * @param {SessionMetadata} [sessionMetadata] - Where the user logged in from.
+ * @returns {Promise<{user: InstanceType<typeof User>, accessToken: string, refreshToken: string}>}
+ */
+const completeTwoFactorLogin = async (
+	{ challengeToken, ...factor },
+	sessionMetadata,
+) => {
+	const userId = await twoFactorService.redeemLoginChallenge(
+		challengeToken,
+		factor,
+	);
+	const user = await User.findById(userId);
+	if (!user) {
+		throw new UnauthorizedError("User not found");
+	}
+	// The account may have been suspended since the password step
+	if (user.accountStatus !== "active") {
+		throw new ForbiddenError(
+			`Account is ${user.accountStatus}. Please contact support.`,
+		);
+	}
+	return completeLogin(user, sessionMetadata);
 };
 
 /**
- * Refreshes an access token using a refresh token.
+ * Exchanges a refresh token for a new access token and a new refresh token (rotation). The old
+ * refresh token stops working. If a token that was already exchanged is presented again, it may
+ * have been stolen, so its whole session is revoked.
  * @param {string} oldRefreshToken - The refresh token from cookies.
- * @returns {Promise<{accessToken: string}>}
+ * @param {SessionMetadata} [sessionMetadata={}] - Where the refresh comes from; updates the session.
+ * @returns {Promise<{accessToken: string, refreshToken: string}>}
  */
-const refreshAccessToken = async (oldRefreshToken) => {
+const refreshAccessToken = async (oldRefreshToken, sessionMetadata = {}) => {
 	try {
 		const payload = await verifyToken(oldRefreshToken, config.JWT_SECRET);
 		if (
@@ -158,29 +400,50 @@ const refreshAccessToken = async (oldRefreshToken) => {
 		}
 
 		const userId = payload.sub;
-		const tokenHash = crypto
-			.createHash("sha256")
-			.update(oldRefreshToken)
-			.digest("hex")
-			.slice(0, 16);
-		const redisKey = `refreshToken:${userId}:${tokenHash}`;
-
-		const tokenExists = await redisService.get(redisKey);
-		if (!tokenExists) {
+		const redisKey = refreshTokenKey(userId, oldRefreshToken);
+		const sessionId = payload.sid ?? uuidv4(); // Tokens from before sessions existed join a new one
+		const now = new Date().toISOString();
+
+		// Reading the token and marking it rotated is one atomic step, so of two refreshes
+		// racing with the same token only one gets through.
+		const previous = await redisService.replace(
+			redisKey,
+			JSON.stringify({ sessionId, status: "rotated", rotatedAt: now }),
+		);
+		if (!previous) {
 			throw new UnauthorizedError("Refresh token not found or revoked");
 		}
+		const record = parseRefreshTokenRecord(previous);
+		if (record.status === "rotated") {
+			await revokeSessionTokens(userId, sessionId);
+			logger.warn(
+				`Refresh token reuse detected for user ${userId}; revoked session ${sessionId}.`,
+			);
+			throw new UnauthorizedError(
+				"Refresh token reuse detected. Please log in again.",
+			);
+		}
 
 		const user = await User.findById(userId);
 		if (!user) {
 			throw new UnauthorizedError("User not found");
 		}
 		if (user.accountStatus !== "active") {
-			await redisService.del(redisKey); // Revoke token if account is not active
+			await revokeSessionTokens(userId, sessionId); // Revoke the session if account is not active
 			throw new ForbiddenError(`Account is ${user.accountStatus}.`);
 		}
 
-		const { accessToken } = generateTokens(userId); // Only new access token
-		return { accessToken };
+		const tokens = generateTokens(userId, sessionId);
+		const { userAgent, ip } = sessionMetadata;
+		await saveRefreshTokenToRedis(userId, tokens.refreshToken, {
+			...record,
+			sessionId,
+			createdAt: record.createdAt ?? now,
+			lastUsedAt: now,
+			...(userAgent && { userAgent, device: describeDevice(userAgent) }),
+			...(ip && { ip }),
+		});
+		return tokens;
 	} catch (error) {
 		// If any error during refresh (e.g. token expired, not found in redis), throw Unauthorized
 		if (
@@ -193,7 +456,7 @@ const refreshAccessToken = async (oldRefreshToken) => {
 };
 
 /**
- * Logs out a user by invalidating their refresh token.
+ * Logs out a user by revoking the session their refresh token belongs to.
  * @param {string} refreshToken - The refresh token to invalidate.
  * @param {string} userId - The ID of the user logging out (from access token usually).
  * @returns {Promise<void>}
@@ -223,15 +486,66 @@ const logoutUser = async (refreshToken, userId) => {
 		return; // Can't proceed without user ID and token
 	}
 
-	const tokenHash = crypto
-		.createHash("sha256")
-		.update(refreshToken)
-		.digest("hex")
-		.slice(0, 16);
-	const redisKey = `refreshToken:${effectiveUserId}:${tokenHash}`;
-	await redisService.del(redisKey);
+	const redisKey = refreshTokenKey(effectiveUserId, refreshToken);
+	const value = await redisService.get(redisKey);
+	if (!value) return; // Already expired or revoked
+	await revokeSessionTokens(
+		effectiveUserId,
+		sessionIdOf({ key: redisKey, value }),
+	);
+};
+
+/**
+ * Lists a user's sessions, most recently used first.
+ * @param {string} userId - The user's ID.
+ * @param {string} [currentSessionId] - The session making the request, flagged `current`.
+ * @returns {Promise<Array<{id: string, device: string, userAgent: string | null, ip: string | null, createdAt: string | null, lastUsedAt: string | null, current: boolean}>>} The sessions.
+ */
+const listSessions = async (userId, currentSessionId) => {
+	const entries = await redisService.getByPrefix(
+		`${REFRESH_TOKEN_KEY_PREFIX}${userId}:`,
+	);
+	return entries
+		.map((entry) => ({
+			id: sessionIdOf(entry),
+			record: parseRefreshTokenRecord(entry.value),
+		}))
+		.filter(({ record }) => record.status === "active")
+		.map(({ id, record }) => ({
+			id,
+			device: record.device ?? "Unknown device",
+			userAgent: record.userAgent ?? null,
+			ip: record.ip ?? null,
+			createdAt: record.createdAt ?? null,
+			lastUsedAt: record.lastUsedAt ?? null,
+			current: id === currentSessionId,
+		}))
+		.sort((a, b) => (b.lastUsedAt ?? "").localeCompare(a.lastUsedAt ?? ""));
+};
+
+/**
+ * Ends one of a user's sessions. Its refresh token stops working at once; access tokens already
+ * issued to it lapse within JWT_ACCESS_TOKEN_EXPIRATION_MINUTES.
+ * @param {string} userId - The user's ID.
+ * @param {string} sessionId - The session ID.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user has no such session.
+ */
+const revokeSession = async (userId, sessionId) => {
+	if ((await revokeSessionTokens(userId, sessionId)) === 0) {
+		throw new NotFoundError("Session not found.");
+	}
 };
 
+/**
+ * Ends every session of a user ("log out everywhere"). Rejects if Redis fails, rather than
+ * reporting the sessions as ended.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<number>} How many refresh token keys were deleted.
+ */
+const revokeAllSessions = (userId) =>
+	redisService.delByPrefix(`${REFRESH_TOKEN_KEY_PREFIX}${userId}:`);
+
 /**
  * Verifies user email.
  * @param {string} token - The email verification token.
@@ -254,11 +568,99 @@ const verifyEmail = async (token) => {
 	await user.save();
 };
 
+/**
+ * Hashes a password reset token. Only the hash is stored, so a leaked user record can't be used
+ * to reset the password.
+ * @param {string} token - The token sent to the user.
+ * @returns {string} The SHA-256 hex digest of the token.
+ */
+const hashPasswordResetToken = (token) =>
+	crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Starts a password reset by sending the user a short-lived reset link.
+ * Resolves the same way whether or not an account exists for the email, so callers can't use it
+ * to find out which emails are registered.
+ * @param {string} email - The email address the reset was requested for.
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email) => {
+	const user = await User.findOne({ email });
+	if (!user || ["suspended", "deactivated"].includes(user.accountStatus)) {
+		logger.info("Password reset requested for an unknown or disabled account.");
+		return;
+	}
+
+	// A new request replaces any earlier token, so only the latest link works
+	const resetToken = crypto.randomBytes(32).toString("hex");
+	user.passwordResetToken = hashPasswordResetToken(resetToken);
+	user.passwordResetTokenExpiresAt = new Date(
+		Date.now() + config.PASSWORD_RESET_TOKEN_TTL_MINUTES * 60 * 1000,
+	);
+	await user.save();
+
+	await mailService.sendMail({
+		to: user.email,
+		template: "passwordReset",
+		data: {
+			firstName: user.firstName,
+			link: `${config.APP_BASE_URL}/reset-password?token=${resetToken}`,
+			expiresInMinutes: config.PASSWORD_RESET_TOKEN_TTL_MINUTES,
+		},
+	});
+};
+
+/**
+ * Sets a new password using a password reset token and revokes all of the user's refresh
+ * tokens so every existing session has to log in again.
+ * Sessions are revoked before the token is consumed, so if Redis is unavailable the reset fails
+ * and the link still works for a retry. They are revoked again afterwards to catch any session
+ * refreshed in between. The token is cleared in the same update that changes the password, so
+ * it can only be used once.
+ * @param {string} token - The password reset token from the reset link.
+ * @param {string} newPassword - The new password.
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} If the token is invalid, expired or already used.
+ */
+const resetPassword = async (token, newPassword) => {
+	const tokenFilter = {
+		passwordResetToken: hashPasswordResetToken(token),
+		passwordResetTokenExpiresAt: { $gt: new Date() },
+	};
+	const pending = await User.findOne(tokenFilter).select("_id");
+	if (!pending) {
+		throw new BadRequestError("Invalid or expired password reset token.");
+	}
+	await revokeAllSessions(pending.id);
+
+	const passwordHash = await bcrypt.hash(newPassword, 10);
+	const user = await User.findOneAndUpdate(
+		{ _id: pending.id, ...tokenFilter },
+		{
+			$set: { passwordHash },
+			$unset: { passwordResetToken: 1, passwordResetTokenExpiresAt: 1 },
+		},
+		{ new: true },
+	);
+
+	if (!user) {
+		throw new BadRequestError("Invalid or expired password reset token.");
+	}
+
+	await revokeAllSessions(user.id);
+};
+
 export const authService = {
 	registerUser,
 	loginUser,
+	completeTwoFactorLogin,
+	completeOidcSignIn,
 	refreshAccessToken,
 	logoutUser,
 	verifyEmail,
-	// ... other auth methods (password reset, etc.)
+	requestPasswordReset,
+	resetPassword,
+	listSessions,
+	revokeSession,
+	revokeAllSessions,
 };
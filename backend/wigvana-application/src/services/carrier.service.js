@@ -0,0 +1,77 @@
+import ApiError from "../errors/ApiError.js";
+import httpStatusCodes from "http-status-codes";
+import config from "../config/index.js";
+import { mockCarrier } from "./carriers/mock.carrier.js";
+
+/**
+ * @typedef {object} CarrierTrackingEvent
+ * @property {string} id - The carrier's ID for the scan, stable across polls and webhooks.
+ * @property {"label_created" | "in_transit" | "out_for_delivery" | "delivered" | "exception"} status - Normalized status.
+ * @property {string} [description] - Human readable scan description.
+ * @property {string} [location] - Where the scan happened.
+ * @property {Date} occurredAt - When the carrier says the scan happened.
+ */
+
+/**
+ * The contract every carrier adapter implements.
+ * @typedef {object} CarrierAdapter
+ * @property {string} name - Matched case-insensitively against Shipment.carrier.
+ * @property {(input: {trackingNumber: string, shippedAt?: Date}) => Promise<Array<CarrierTrackingEvent>>} fetchTrackingEvents - Poll every scan reported so far for a tracking number.
+ * @property {(input: {rawBody: Buffer, headers: Record<string, string | string[] | undefined>}) => Promise<{trackingNumber: string, events: Array<CarrierTrackingEvent>}>} verifyWebhook - Authenticate and parse an incoming tracking webhook; throws if the signature is invalid.
+ */
+
+/**
+ * Registered adapters. The mock carrier reports whatever the tracking number asks for,
+ * so it is only available outside production.
+ * @type {Map<string, CarrierAdapter>}
+ */
+const adapters = new Map(
+  config.NODE_ENV !== "production" ? [[mockCarrier.name, mockCarrier]] : [],
+);
+
+/**
+ * Registers (or replaces) a carrier adapter.
+ * @param {CarrierAdapter} adapter - The adapter to register.
+ */
+const registerCarrier = (adapter) => {
+  adapters.set(adapter.name.toLowerCase(), adapter);
+};
+
+/**
+ * Looks up the adapter for a carrier, if one is registered. Shipments sent with other carriers
+ * keep their tracking number but are not tracked automatically.
+ * @param {string} [name] - Carrier name, as entered on the shipment.
+ * @returns {CarrierAdapter | undefined} The adapter.
+ */
+const findCarrier = (name) =>
+  name ? adapters.get(name.toLowerCase()) : undefined;
+
+/**
+ * Looks up the adapter for a carrier.
+ * @param {string} name - Carrier name.
+ * @returns {CarrierAdapter} The adapter.
+ * @throws {ApiError} If no adapter is registered for the carrier.
+ */
+const getCarrier = (name) => {
+  const adapter = findCarrier(name);
+  if (!adapter) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `Carrier '${name}' is not supported.`,
+    );
+  }
+  return adapter;
+};
+
+/**
+ * Names of the registered carriers.
+ * @returns {Array<string>} Carrier names.
+ */
+const listCarrierNames = () => [...adapters.keys()];
+
+export const carrierService = {
+  registerCarrier,
+  findCarrier,
+  getCarrier,
+  listCarrierNames,
+};
@@ -0,0 +1,105 @@
+import crypto from "node:crypto";
+import config from "../../config/index.js";
+import ApiError from "../../errors/ApiError.js";
+import httpStatusCodes from "http-status-codes";
+
+export const MOCK_CARRIER_SIGNATURE_HEADER = "x-mock-carrier-signature";
+
+/**
+ * Tracking number keywords understood by the mock carrier, matched case-insensitively by
+ * substring (e.g. `MOCK-DELIVERED-123`). Any other tracking number stays in transit.
+ */
+export const MOCK_CARRIER_KEYWORDS = {
+  OUT_FOR_DELIVERY: "ofd",
+  DELIVERED: "delivered",
+  EXCEPTION: "exception",
+};
+
+const IN_TRANSIT = {
+  status: "in_transit",
+  description: "Picked up by the carrier.",
+  location: "Origin facility",
+};
+const OUT_FOR_DELIVERY = {
+  status: "out_for_delivery",
+  description: "Out for delivery.",
+  location: "Local depot",
+};
+const DELIVERED = {
+  status: "delivered",
+  description: "Delivered to the recipient.",
+  location: "Destination",
+};
+const EXCEPTION = {
+  status: "exception",
+  description: "Delivery attempt failed; the carrier will try again.",
+  location: "Local depot",
+};
+
+/**
+ * Signs a webhook payload the way the mock carrier does. Exposed so tests and local tools
+ * can forge valid mock carrier webhooks.
+ * @param {string | Buffer} rawBody - The exact request body.
+ * @returns {string} Hex-encoded HMAC-SHA256 signature.
+ */
+export const signMockCarrierPayload = (rawBody) =>
+  crypto
+    .createHmac("sha256", config.CARRIER_MOCK_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest("hex");
+
+/**
+ * Deterministic local carrier. The scans it reports are driven by the tracking number so
+ * tests can walk a shipment through to delivery; scans are spaced a minute apart from
+ * the time the parcel shipped.
+ * @type {import('../carrier.service.js').CarrierAdapter}
+ */
+export const mockCarrier = {
+  name: "mock",
+
+  async fetchTrackingEvents({ trackingNumber, shippedAt }) {
+    const number = trackingNumber.toLowerCase();
+    let steps = [IN_TRANSIT];
+    if (number.includes(MOCK_CARRIER_KEYWORDS.EXCEPTION)) {
+      steps = [IN_TRANSIT, EXCEPTION];
+    } else if (number.includes(MOCK_CARRIER_KEYWORDS.DELIVERED)) {
+      steps = [IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED];
+    } else if (number.includes(MOCK_CARRIER_KEYWORDS.OUT_FOR_DELIVERY)) {
+      steps = [IN_TRANSIT, OUT_FOR_DELIVERY];
+    }
+
+    const start = (shippedAt ?? new Date()).getTime();
+    return steps.map((step, index) => ({
+      id: `${trackingNumber}:${step.status}`,
+      ...step,
+      occurredAt: new Date(Math.min(start + (index + 1) * 60000, Date.now())),
+    }));
+  },
+
+  async verifyWebhook({ rawBody, headers }) {
+    const signature = headers[MOCK_CARRIER_SIGNATURE_HEADER];
+    const expected = signMockCarrierPayload(rawBody);
+    const valid =
+      typeof signature === "string" &&
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) {
+      throw new ApiError(
+        httpStatusCodes.UNAUTHORIZED,
+        "Invalid mock carrier webhook signature.",
+      );
+    }
+
+    const payload = JSON.parse(rawBody.toString("utf8"));
+    return {
+      trackingNumber: payload.trackingNumber,
+      events: (payload.events ?? []).map((event) => ({
+        id: event.id,
+        status: event.status,
+        description: event.description,
+        location: event.location,
+        occurredAt: event.occurredAt ? new Date(event.occurredAt) : new Date(),
+      })),
+    };
+  },
+};
@@ -1,4 +1,5 @@
 import { v4 as uuidv4 } from "uuid";
+import crypto from "node:crypto";
 import Cart from "../models/Cart.model.js";
 import CartItem from "../models/CartItem.model.js";
 import Product from "../models/Product.model.js";
@@ -6,7 +7,19 @@ import ProductVariant from "../models/ProductVariant.model.js";
 import ApiError from "../errors/ApiError.js";
 import httpStatusCodes from "http-status-codes";
 import User from "../models/User.model.js";
+import Address from "../models/Address.model.js";
 import logger from "../utils/logger.js";
+import config from "../config/index.js";
+import CartChangedError from "../errors/CartChangedError.js";
+import {
+	getAvailableQuantity,
+	reservationService,
+} from "./reservation.service.js";
+import { promotionService } from "./promotion.service.js";
+import { taxService } from "./tax.service.js";
+import { shippingService } from "./shipping.service.js";
+import { pricingService } from "./pricing.service.js";
+import { mailService } from "./mail.service.js";
 
 /**
  * Validates product and variant, and checks stock.
@@ -41,10 +54,12 @@ const validateProductAndStock = async (productId, variantId, quantity) => {
 		);
 	}
 
-	if (variant.stockQuantity < quantity) {
+	// Units held by other buyers' checkout reservations are not available
+	const availableQuantity = getAvailableQuantity(variant);
+	if (availableQuantity < quantity) {
 		throw new ApiError(
 			httpStatusCodes.BAD_REQUEST,
-			`Insufficient stock for variant ${variant.sku}. Available: ${variant.stockQuantity}`,
+			`Insufficient stock for variant ${variant.sku}. Available: ${availableQuantity}`,
 		);
 	}
 	return { product, variant };
@@ -75,32 +90,327 @@ const getOrCreateAnonymousCart = async (anonymousCartToken) => {
 };
 
 /**
- * Formats a cart for response, calculating totals.
+ * Loads a cart's items with the product and variant details needed for display and promotions.
+ * @param {string} cartId - The cart's _id.
+ * @returns {Promise<Array<Object>>} Lean cart items.
+ */
+const loadCartItems = (cartId) =>
+	CartItem.find({ cartId })
+		.populate(
+			"productId",
+			"name slug categoryId sellerId taxClass shippingDetails isPublished approvalStatus",
+		) // Used by promotions, tax, shipping and revalidation
+		.populate(
+			"variantId",
+			"sku attributes price salePrice saleStartDate saleEndDate stockQuantity reservedQuantity isActive",
+		) // Populate variant details, with what pricing and revalidation need
+		.lean();
+
+/**
+ * Moves a cart line to the price its variant sells for now. The first time the price moves away
+ * from what the buyer accepted, that price is kept in `acknowledgedPrice`.
+ * @param {Object} item - Cart item (document or lean) with its variant populated.
+ * @param {Date} at - The moment to price at.
+ * @returns {boolean} Whether the price changed.
+ */
+const applyCurrentPrice = (item, at) => {
+	const { price } = pricingService.resolveVariantPrice(item.variantId, at);
+	if (item.priceAtAddition === price) return false;
+	item.acknowledgedPrice ??= item.priceAtAddition;
+	item.priceAtAddition = price;
+	return true;
+};
+
+/**
+ * Persists the price, quantity and acknowledged values of revalidated cart lines.
+ * @param {Array<Object>} items - The changed cart items.
+ * @returns {Promise<void>}
+ */
+const saveCartItemChanges = async (items) => {
+	if (items.length === 0) return;
+	await CartItem.bulkWrite(
+		items.map((item) => ({
+			updateOne: {
+				filter: { _id: item._id },
+				update: {
+					$set: {
+						priceAtAddition: item.priceAtAddition,
+						quantity: item.quantity,
+						...(item.acknowledgedPrice != null && {
+							acknowledgedPrice: item.acknowledgedPrice,
+						}),
+						...(item.acknowledgedQuantity != null && {
+							acknowledgedQuantity: item.acknowledgedQuantity,
+						}),
+					},
+				},
+			},
+		})),
+	);
+};
+
+/**
+ * Brings cart lines to the price their variant sells for now, so carts follow sales as they start
+ * and end. Lines are updated in place and in the database.
+ * @param {Array<Object>} items - Cart items with their variant populated, sale fields included.
+ * @param {Date} [at=new Date()] - The moment to price at.
+ * @returns {Promise<number>} How many lines changed price.
+ */
+const repriceCartItems = async (items, at = new Date()) => {
+	const stale = items.filter(
+		(item) => item.variantId && applyCurrentPrice(item, at), // Deleted variants have nothing to price against
+	);
+	await saveCartItemChanges(stale);
+	return stale.length;
+};
+
+/**
+ * Revalidates every line of a cart against the catalogue: reprices it, cuts its quantity down to
+ * the stock left, and reports what changed since the buyer last acknowledged the cart. Units held
+ * by the cart's own stock reservation count as available to it.
+ * @param {string} cartId - The cart's _id.
+ * @param {Array<Object>} items - The cart's items (documents or lean), product and variant populated.
+ * @param {Date} [at=new Date()] - The moment to price at.
+ * @returns {Promise<Map<string, Array<import('../errors/CartChangedError.js').CartChange>>>} Changes by cart item ID; an empty list for unchanged lines.
+ */
+const revalidateCartItems = async (cartId, items, at = new Date()) => {
+	const held = await reservationService.getHeldQuantities(cartId);
+	const changesById = new Map();
+	const changedItems = [];
+
+	for (const item of items) {
+		const { productId: product, variantId: variant } = item;
+		if (
+			!product?.isPublished ||
+			product.approvalStatus !== "approved" ||
+			!variant?.isActive
+		) {
+			changesById.set(item._id, [{ type: "unavailable" }]);
+			continue;
+		}
+
+		let changed = applyCurrentPrice(item, at);
+		const availableQuantity =
+			getAvailableQuantity(variant) + (held.get(variant._id) ?? 0);
+		if (availableQuantity > 0 && item.quantity > availableQuantity) {
+			item.acknowledgedQuantity ??= item.quantity;
+			item.quantity = availableQuantity;
+			changed = true;
+		}
+		if (changed) changedItems.push(item);
+
+		const changes = [];
+		const acknowledgedPrice = item.acknowledgedPrice ?? item.priceAtAddition;
+		if (acknowledgedPrice !== item.priceAtAddition) {
+			changes.push({
+				type: "price_changed",
+				previousPrice: acknowledgedPrice,
+				currentPrice: item.priceAtAddition,
+			});
+		}
+		const acknowledgedQuantity = item.acknowledgedQuantity ?? item.quantity;
+		if (item.quantity < acknowledgedQuantity) {
+			changes.push({
+				type: "quantity_reduced",
+				previousQuantity: acknowledgedQuantity,
+				currentQuantity: item.quantity,
+			});
+		}
+		if (availableQuantity === 0) changes.push({ type: "out_of_stock" });
+		changesById.set(item._id, changes);
+	}
+
+	await saveCartItemChanges(changedItems);
+	return changesById;
+};
+
+/**
+ * Whether a revalidated cart line can be bought (and so counts toward the cart's totals).
+ * @param {Array<import('../errors/CartChangedError.js').CartChange>} changes - The line's changes.
+ * @returns {boolean} False for unavailable and out-of-stock lines.
+ */
+const isPurchasable = (changes) =>
+	!changes.some(
+		(change) => change.type === "unavailable" || change.type === "out_of_stock",
+	);
+
+/**
+ * Loads the cart lines that can be bought right now, revalidated as a cart read would.
+ * @param {string} cartId - The cart's _id.
+ * @returns {Promise<Array<Object>>} Lean cart items, repriced, without unavailable or out-of-stock lines.
+ */
+const loadPurchasableCartItems = async (cartId) => {
+	const items = await loadCartItems(cartId);
+	const changesById = await revalidateCartItems(cartId, items);
+	return items.filter((item) => isPurchasable(changesById.get(item._id)));
+};
+
+/**
+ * Revalidates a cart at checkout and refuses it while any line has changes the buyer has not
+ * acknowledged. Lines are repriced in place, so an unchanged cart is charged current prices.
+ * @param {string} cartId - The cart's _id.
+ * @param {Array<Object>} items - The cart's items, product and variant populated.
+ * @returns {Promise<void>}
+ * @throws {CartChangedError} If any line changed, is out of stock or is no longer available.
+ */
+const ensureCartAcknowledged = async (cartId, items) => {
+	const changesById = await revalidateCartItems(cartId, items);
+	const changedLines = items
+		.filter((item) => changesById.get(item._id).length > 0)
+		.map((item) => ({
+			cartItemId: item._id,
+			variantId: item.variantId?._id,
+			sku: item.variantId?.sku,
+			productName: item.productId?.name,
+			changes: changesById.get(item._id),
+		}));
+	if (changedLines.length > 0) throw new CartChangedError(changedLines);
+};
+
+/**
+ * Reprices the cart lines of every variant whose sale started or ended within a window. Run with
+ * back-to-back windows, this keeps stored cart prices in step with sale schedules, including in
+ * carts nobody opens.
+ * @param {Date} since - Start of the window (exclusive).
+ * @param {Date} [until=new Date()] - End of the window (inclusive).
+ * @returns {Promise<number>} How many cart lines changed price.
+ */
+const repriceCartsForSaleBoundaries = async (since, until = new Date()) => {
+	const window = { $gt: since, $lte: until };
+	const variantIds = await ProductVariant.distinct("_id", {
+		$or: [{ saleStartDate: window }, { saleEndDate: window }],
+	});
+	if (variantIds.length === 0) return 0;
+
+	const items = await CartItem.find({ variantId: { $in: variantIds } })
+		.populate("variantId", "price salePrice saleStartDate saleEndDate")
+		.lean();
+	const repriced = await repriceCartItems(items, until);
+	if (repriced > 0) {
+		logger.info(
+			`Repriced ${repriced} cart item(s) for sales starting or ending on ${variantIds.length} variant(s).`,
+		);
+	}
+	return repriced;
+};
+
+/**
+ * Works out what the cart's discount code is worth. A code that no longer applies (expired, limit
+ * reached, eligible items removed) stays on the cart but is worth nothing, and the notice says why.
+ * @param {InstanceType<typeof Cart>} cartDoc - The cart.
+ * @param {Array<Object>} items - The cart's items, as loaded by loadCartItems.
+ * @returns {Promise<{discountCode: string | null, discountAmount: number, freeShipping: boolean, discountNotice?: string, lineDiscounts: Record<string, number>}>} The discount.
+ */
+const describeCartDiscount = async (cartDoc, items) => {
+	const none = {
+		discountCode: null,
+		discountAmount: 0,
+		freeShipping: false,
+		lineDiscounts: {},
+	};
+	if (!cartDoc.discountCode) return none;
+	try {
+		const { promotion, discountAmount, lineDiscounts } =
+			await promotionService.evaluatePromotionCode(
+				cartDoc.discountCode,
+				promotionService.toPromotionLines(items),
+				{ userId: cartDoc.userId },
+			);
+		return {
+			discountCode: cartDoc.discountCode,
+			discountAmount,
+			freeShipping: promotion.type === "free_shipping",
+			lineDiscounts,
+		};
+	} catch (error) {
+		if (!(error instanceof ApiError)) throw error;
+		return {
+			...none,
+			discountCode: cartDoc.discountCode,
+			discountNotice: error.message,
+		};
+	}
+};
+
+/**
+ * Picks the address a buyer's cart tax and shipping are previewed for: the one asked for, else the
+ * buyer's default shipping address.
+ * @param {string} userId - The ID of the buyer.
+ * @param {string} [shippingAddressId] - Address to preview for.
+ * @returns {Promise<InstanceType<typeof Address> | null>} The address, or null if the buyer has none.
+ * @throws {ApiError} 404 if shippingAddressId is not one of the buyer's addresses.
+ */
+const resolvePreviewAddress = async (userId, shippingAddressId) => {
+	if (shippingAddressId) {
+		const address = await Address.findOne({ _id: shippingAddressId, userId });
+		if (!address) {
+			throw new ApiError(
+				httpStatusCodes.NOT_FOUND,
+				"Shipping address not found.",
+			);
+		}
+		return address;
+	}
+	return Address.findOne({ userId, isDefaultShipping: true });
+};
+
+/**
+ * Formats a cart for response, calculating totals. Every line is revalidated first and lists what
+ * changed since the buyer last acknowledged the cart; unavailable and out-of-stock lines stay in
+ * the cart but not in its totals. Buyer carts also preview the tax checkout will charge; anonymous
+ * carts have no address to tax against.
  * @param {InstanceType<typeof Cart>} cartDoc - The Mongoose cart document.
+ * @param {{shippingAddressId?: string}} [options] - Address to preview tax for (buyer carts).
  * @returns {Promise<Object>} Formatted cart object.
  */
-const formatCartResponse = async (cartDoc) => {
-	const items = await CartItem.find({ cartId: cartDoc._id })
-		.populate("productId", "name slug") // Populate some product details
-		.populate("variantId", "sku attributes price stockQuantity") // Populate variant details
-		.lean();
+const formatCartResponse = async (cartDoc, { shippingAddressId } = {}) => {
+	const now = new Date();
+	const items = await loadCartItems(cartDoc._id);
+	const changesById = await revalidateCartItems(cartDoc._id, items, now);
+	const purchasableItems = items.filter((item) =>
+		isPurchasable(changesById.get(item._id)),
+	);
+	const { lineDiscounts, ...discount } = await describeCartDiscount(
+		cartDoc,
+		purchasableItems,
+	);
+	const taxAddress = cartDoc.userId
+		? await resolvePreviewAddress(cartDoc.userId, shippingAddressId)
+		: null;
+	const tax = taxAddress
+		? await taxService.calculateTax(
+				taxService.toTaxLines(purchasableItems, lineDiscounts),
+				taxAddress,
+			)
+		: null;
 
 	let subtotal = 0;
 	let totalQuantity = 0;
 	const enrichedItems = items.map((item) => {
-		const itemTotal = item.priceAtAddition * item.quantity;
-		subtotal += itemTotal;
-		totalQuantity += item.quantity;
+		const changes = changesById.get(item._id);
+		const purchasable = isPurchasable(changes);
+		if (purchasable) {
+			subtotal += item.priceAtAddition * item.quantity;
+			totalQuantity += item.quantity;
+		}
+		const pricing = item.variantId
+			? pricingService.resolveVariantPrice(item.variantId, now)
+			: null; // Variant deleted
 		return {
 			id: item._id,
-			productId: item.productId._id,
-			productName: item.productId.name,
-			productSlug: item.productId.slug,
-			variantId: item.variantId._id,
-			variantSku: item.variantId.sku,
-			variantAttributes: item.variantId.attributes,
+			productId: item.productId?._id ?? null, // Null once the product is deleted
+			productName: item.productId?.name ?? null,
+			productSlug: item.productId?.slug ?? null,
+			variantId: item.variantId?._id ?? null,
+			variantSku: item.variantId?.sku ?? null,
+			variantAttributes: item.variantId?.attributes ?? null,
 			quantity: item.quantity,
-			priceAtAddition: item.priceAtAddition,
+			priceAtAddition: item.priceAtAddition, // The current price; lines are repriced on every read
+			regularPrice: pricing?.regularPrice ?? null,
+			onSale: pricing?.onSale ?? false,
+			saleEndsAt: pricing?.saleEndsAt ?? null,
+			purchasable,
+			changes,
 			currencyAtAddition: item.currencyAtAddition, // Assuming currency is same for all items for now
 			// Add image later if needed
 		};
@@ -112,7 +422,24 @@ const formatCartResponse = async (cartDoc) => {
 		items: enrichedItems,
 		totalItems: enrichedItems.length,
 		totalQuantity,
+		requiresAcknowledgement: enrichedItems.some(
+			(item) => item.changes.length > 0,
+		),
 		subtotal: Number.parseFloat(subtotal.toFixed(2)),
+		...discount,
+		discountedSubtotal: Number.parseFloat(
+			(subtotal - discount.discountAmount).toFixed(2),
+		),
+		taxAddressId: taxAddress?._id ?? null,
+		taxAmount: tax?.taxAmount ?? null,
+		includedTaxAmount: tax?.includedTaxAmount ?? null,
+		estimatedTotal: Number.parseFloat(
+			(
+				subtotal -
+				discount.discountAmount +
+				(tax ? tax.taxAmount - tax.includedTaxAmount : 0)
+			).toFixed(2),
+		),
 		currency:
 			enrichedItems.length > 0 ? enrichedItems[0].currencyAtAddition : "USD", // Default or from first item
 		status: cartDoc.status,
@@ -146,7 +473,7 @@ const createAnonymousCartWithItem = async (itemData) => {
 		productId,
 		variantId,
 		quantity,
-		priceAtAddition: variant.price, // Or product.basePrice if variant doesn't override
+		priceAtAddition: pricingService.resolveVariantPrice(variant).price, // Sale price while a sale is on
 		currencyAtAddition: product.currency, // Assuming product.currency
 	});
 
@@ -157,13 +484,12 @@ const createAnonymousCartWithItem = async (itemData) => {
 };
 
 /**
- * Adds an item to an existing anonymous cart.
- * @param {string} anonymousCartToken - The ID of the anonymous cart.
+ * Adds an item to a cart, or adds to the quantity of a variant already in it.
+ * @param {InstanceType<typeof Cart>} cart - The cart.
  * @param {{productId: string, variantId: string, quantity: number}} itemData - Item data.
  * @returns {Promise<Object>} Formatted cart details.
  */
-const addItemToAnonymousCart = async (anonymousCartToken, itemData) => {
-	const cart = await getOrCreateAnonymousCart(anonymousCartToken); // This will throw if cartId invalid
+const addItemToCart = async (cart, itemData) => {
 	const { productId, variantId, quantity } = itemData;
 	const { product, variant } = await validateProductAndStock(
 		productId,
@@ -175,13 +501,14 @@ const addItemToAnonymousCart = async (anonymousCartToken, itemData) => {
 
 	if (cartItem) {
 		// Check stock for additional quantity
-		if (variant.stockQuantity < cartItem.quantity + quantity) {
+		if (getAvailableQuantity(variant) < cartItem.quantity + quantity) {
 			throw new ApiError(
 				httpStatusCodes.BAD_REQUEST,
-				`Insufficient stock. Available: ${variant.stockQuantity}, In cart: ${cartItem.quantity}, Requested: ${quantity}`,
+				`Insufficient stock. Available: ${getAvailableQuantity(variant)}, In cart: ${cartItem.quantity}, Requested: ${quantity}`,
 			);
 		}
 		cartItem.quantity += quantity;
+		cartItem.acknowledgedQuantity = cartItem.quantity; // The buyer chose it
 		// Price at addition should ideally remain the same unless business logic dictates updating it
 	} else {
 		cartItem = new CartItem({
@@ -189,7 +516,7 @@ const addItemToAnonymousCart = async (anonymousCartToken, itemData) => {
 			productId,
 			variantId,
 			quantity,
-			priceAtAddition: variant.price,
+			priceAtAddition: pricingService.resolveVariantPrice(variant).price,
 			currencyAtAddition: product.currency,
 		});
 	}
@@ -199,6 +526,17 @@ const addItemToAnonymousCart = async (anonymousCartToken, itemData) => {
 	return formatCartResponse(cart);
 };
 
+/**
+ * Adds an item to an existing anonymous cart.
+ * @param {string} anonymousCartToken - The ID of the anonymous cart.
+ * @param {{productId: string, variantId: string, quantity: number}} itemData - Item data.
+ * @returns {Promise<Object>} Formatted cart details.
+ */
+const addItemToAnonymousCart = async (anonymousCartToken, itemData) => {
+	const cart = await getOrCreateAnonymousCart(anonymousCartToken); // This will throw if cartId invalid
+	return addItemToCart(cart, itemData);
+};
+
 /**
  * Views the anonymous cart.
  * @param {string} anonymousCartToken - The ID of the anonymous cart.
@@ -210,18 +548,13 @@ const viewAnonymousCart = async (anonymousCartToken) => {
 };
 
 /**
- * Updates item quantity in the anonymous cart.
- * @param {string} anonymousCartToken - Cart ID.
+ * Updates an item's quantity in a cart.
+ * @param {InstanceType<typeof Cart>} cart - The cart.
  * @param {string} itemId - Cart item ID.
  * @param {number} quantity - New quantity (must be > 0).
  * @returns {Promise<Object>} Formatted cart details.
  */
-const updateAnonymousCartItem = async (
-	anonymousCartToken,
-	itemId,
-	quantity,
-) => {
-	const cart = await getOrCreateAnonymousCart(anonymousCartToken);
+const updateCartItemQuantity = async (cart, itemId, quantity) => {
 	const cartItem = await CartItem.findOne({
 		_id: itemId,
 		cartId: cart._id,
@@ -232,14 +565,15 @@ const updateAnonymousCartItem = async (
 	}
 
 	const variant = cartItem.variantId; // Already populated
-	if (variant.stockQuantity < quantity) {
+	if (getAvailableQuantity(variant) < quantity) {
 		throw new ApiError(
 			httpStatusCodes.BAD_REQUEST,
-			`Insufficient stock for variant. Available: ${variant.stockQuantity}`,
+			`Insufficient stock for variant. Available: ${getAvailableQuantity(variant)}`,
 		);
 	}
 
 	cartItem.quantity = quantity;
+	cartItem.acknowledgedQuantity = quantity; // The buyer chose it
 	await cartItem.save();
 	cart.updatedAt = new Date();
 	await cart.save();
@@ -247,13 +581,28 @@ const updateAnonymousCartItem = async (
 };
 
 /**
- * Removes an item from the anonymous cart.
+ * Updates item quantity in the anonymous cart.
  * @param {string} anonymousCartToken - Cart ID.
  * @param {string} itemId - Cart item ID.
+ * @param {number} quantity - New quantity (must be > 0).
  * @returns {Promise<Object>} Formatted cart details.
  */
-const removeAnonymousCartItem = async (anonymousCartToken, itemId) => {
+const updateAnonymousCartItem = async (
+	anonymousCartToken,
+	itemId,
+	quantity,
+) => {
 	const cart = await getOrCreateAnonymousCart(anonymousCartToken);
+	return updateCartItemQuantity(cart, itemId, quantity);
+};
+
+/**
+ * Removes an item from a cart.
+ * @param {InstanceType<typeof Cart>} cart - The cart.
+ * @param {string} itemId - Cart item ID.
+ * @returns {Promise<Object>} Formatted cart details.
+ */
+const removeCartItem = async (cart, itemId) => {
 	const cartItem = await CartItem.findOne({ _id: itemId, cartId: cart._id });
 
 	if (!cartItem) {
@@ -267,12 +616,22 @@ const removeAnonymousCartItem = async (anonymousCartToken, itemId) => {
 };
 
 /**
- * Clears all items from the anonymous cart.
+ * Removes an item from the anonymous cart.
  * @param {string} anonymousCartToken - Cart ID.
- * @returns {Promise<Object>} Formatted (now empty) cart details.
+ * @param {string} itemId - Cart item ID.
+ * @returns {Promise<Object>} Formatted cart details.
  */
-const clearAnonymousCart = async (anonymousCartToken) => {
+const removeAnonymousCartItem = async (anonymousCartToken, itemId) => {
 	const cart = await getOrCreateAnonymousCart(anonymousCartToken);
+	return removeCartItem(cart, itemId);
+};
+
+/**
+ * Clears all items from a cart.
+ * @param {InstanceType<typeof Cart>} cart - The cart.
+ * @returns {Promise<Object>} Formatted (now empty) cart details.
+ */
+const clearCart = async (cart) => {
 	await CartItem.deleteMany({ cartId: cart._id });
 	cart.updatedAt = new Date();
 	// Optionally update cart status to 'abandoned' or similar if not deleting the cart doc itself
@@ -280,6 +639,72 @@ const clearAnonymousCart = async (anonymousCartToken) => {
 	return formatCartResponse(cart); // Will show an empty cart
 };
 
+/**
+ * Clears all items from the anonymous cart.
+ * @param {string} anonymousCartToken - Cart ID.
+ * @returns {Promise<Object>} Formatted (now empty) cart details.
+ */
+const clearAnonymousCart = async (anonymousCartToken) => {
+	const cart = await getOrCreateAnonymousCart(anonymousCartToken);
+	return clearCart(cart);
+};
+
+/**
+ * Accepts the changes found on a cart: drops lines that can no longer be bought and takes the
+ * current price and quantity of the others as what the buyer agreed to.
+ * @param {InstanceType<typeof Cart>} cart - The cart.
+ * @returns {Promise<Object>} Formatted cart details, without pending changes.
+ */
+const acknowledgeCartChanges = async (cart) => {
+	const items = await loadCartItems(cart._id);
+	const changesById = await revalidateCartItems(cart._id, items);
+	const droppedItemIds = items
+		.filter((item) => !isPurchasable(changesById.get(item._id)))
+		.map((item) => item._id);
+	if (droppedItemIds.length > 0) {
+		await CartItem.deleteMany({ _id: { $in: droppedItemIds } });
+	}
+	await CartItem.updateMany({ cartId: cart._id }, [
+		{
+			$set: {
+				acknowledgedPrice: "$priceAtAddition",
+				acknowledgedQuantity: "$quantity",
+			},
+		},
+	]);
+	cart.updatedAt = new Date();
+	await cart.save();
+	return formatCartResponse(cart);
+};
+
+/**
+ * Acknowledges the changes found on the anonymous cart.
+ * @param {string} anonymousCartToken - Cart ID.
+ * @returns {Promise<Object>} Formatted cart details.
+ */
+const acknowledgeAnonymousCartChanges = async (anonymousCartToken) => {
+	const cart = await getOrCreateAnonymousCart(anonymousCartToken);
+	return acknowledgeCartChanges(cart);
+};
+
+/**
+ * Hashes a cart restore token for storage and lookup.
+ * @param {string} token - The raw token from the restore link.
+ * @returns {string} Hex SHA-256 digest.
+ */
+const hashRecoveryToken = (token) =>
+	crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Builds the update that makes an abandoned cart active again.
+ * @param {"link" | "return"} via - How the owner came back to it.
+ * @returns {Object} The update document.
+ */
+const recoverCartUpdate = (via) => ({
+	$set: { status: "active", recoveredAt: new Date(), recoveredVia: via },
+	$unset: { recoveryTokenHash: 1, recoveryTokenExpiresAt: 1 }, // Restore links are single-use
+});
+
 /**
  * Retrieves or creates a cart for an authenticated user.
  * @param {string} userId - The ID of the authenticated user.
@@ -287,6 +712,14 @@ const clearAnonymousCart = async (anonymousCartToken) => {
  */
 const getOrCreateUserCart = async (userId) => {
 	let cart = await Cart.findOne({ userId, status: "active" });
+	if (!cart) {
+		// A buyer coming back after the abandonment sweep gets their cart back as it was
+		cart = await Cart.findOneAndUpdate(
+			{ userId, status: "abandoned" },
+			recoverCartUpdate("return"),
+			{ sort: { abandonedAt: -1 }, new: true },
+		);
+	}
 	if (!cart) {
 		logger.info(`No active cart found for user ${userId}. Creating one.`);
 		cart = await Cart.create({ userId, status: "active" });
@@ -294,6 +727,118 @@ const getOrCreateUserCart = async (userId) => {
 	return cart;
 };
 
+/**
+ * Gets the buyer's active cart, creating an empty one if needed.
+ * @param {string} userId - The ID of the buyer.
+ * @param {{shippingAddressId?: string}} [options] - Address to preview tax for; defaults to the buyer's default shipping address.
+ * @returns {Promise<Object>} Formatted cart details.
+ */
+const getBuyerCart = async (userId, options = {}) =>
+	formatCartResponse(await getOrCreateUserCart(userId), options);
+
+/**
+ * Adds an item to the buyer's cart.
+ * @param {string} userId - The ID of the buyer.
+ * @param {{productId: string, variantId: string, quantity: number}} itemData - Item data.
+ * @returns {Promise<Object>} Formatted cart details.
+ */
+const addItemToBuyerCart = async (userId, itemData) =>
+	addItemToCart(await getOrCreateUserCart(userId), itemData);
+
+/**
+ * Updates item quantity in the buyer's cart.
+ * @param {string} userId - The ID of the buyer.
+ * @param {string} itemId - Cart item ID.
+ * @param {number} quantity - New quantity (must be > 0).
+ * @returns {Promise<Object>} Formatted cart details.
+ */
+const updateBuyerCartItem = async (userId, itemId, quantity) =>
+	updateCartItemQuantity(await getOrCreateUserCart(userId), itemId, quantity);
+
+/**
+ * Removes an item from the buyer's cart.
+ * @param {string} userId - The ID of the buyer.
+ * @param {string} itemId - Cart item ID.
+ * @returns {Promise<Object>} Formatted cart details.
+ */
+const removeBuyerCartItem = async (userId, itemId) =>
+	removeCartItem(await getOrCreateUserCart(userId), itemId);
+
+/**
+ * Clears all items from the buyer's cart. The discount code is kept.
+ * @param {string} userId - The ID of the buyer.
+ * @returns {Promise<Object>} Formatted (now empty) cart details.
+ */
+const clearBuyerCart = async (userId) =>
+	clearCart(await getOrCreateUserCart(userId));
+
+/**
+ * Acknowledges the changes found on the buyer's cart, so checkout accepts it again.
+ * @param {string} userId - The ID of the buyer.
+ * @returns {Promise<Object>} Formatted cart details.
+ */
+const acknowledgeBuyerCartChanges = async (userId) =>
+	acknowledgeCartChanges(await getOrCreateUserCart(userId));
+
+/**
+ * Applies a discount code to the buyer's cart, replacing any code already applied.
+ * @param {string} userId - The ID of the buyer.
+ * @param {string} code - The discount code.
+ * @returns {Promise<Object>} Formatted cart details, including the discount.
+ * @throws {ApiError} 404 if the code does not exist, 400 if it cannot be used on this cart.
+ */
+const applyBuyerCartDiscount = async (userId, code) => {
+	const cart = await getOrCreateUserCart(userId);
+	const items = await loadPurchasableCartItems(cart._id);
+	const { promotion } = await promotionService.evaluatePromotionCode(
+		code,
+		promotionService.toPromotionLines(items),
+		{ userId },
+	);
+	cart.discountCode = promotion.code;
+	await cart.save();
+	return formatCartResponse(cart);
+};
+
+/**
+ * Removes the discount code from the buyer's cart.
+ * @param {string} userId - The ID of the buyer.
+ * @returns {Promise<Object>} Formatted cart details.
+ */
+const removeBuyerCartDiscount = async (userId) => {
+	const cart = await getOrCreateUserCart(userId);
+	cart.discountCode = undefined;
+	await cart.save();
+	return formatCartResponse(cart);
+};
+
+/**
+ * Quotes the ways each seller in the buyer's cart can ship to an address, as checkout prices them.
+ * @param {string} userId - The ID of the buyer.
+ * @param {{shippingAddressId?: string}} [options] - Address to quote for; defaults to the buyer's default shipping address.
+ * @returns {Promise<{shippingAddressId: string, groups: Array<Object>}>} The options, grouped by seller.
+ * @throws {ApiError} 400 if the buyer has no address to quote for, 404 if the given address is not theirs.
+ */
+const getBuyerCartShippingOptions = async (
+	userId,
+	{ shippingAddressId } = {},
+) => {
+	const address = await resolvePreviewAddress(userId, shippingAddressId);
+	if (!address) {
+		throw new ApiError(
+			httpStatusCodes.BAD_REQUEST,
+			"Add a default shipping address or pass shippingAddressId to get shipping options.",
+		);
+	}
+	const cart = await getOrCreateUserCart(userId);
+	const items = await loadPurchasableCartItems(cart._id);
+	const groups = await shippingService.quoteShipping(
+		shippingService.toShippingLines(items),
+		address,
+	);
+	return { shippingAddressId: address._id, groups };
+};
+
 /**
  * Merges an anonymous cart into the buyer's authenticated cart after login.
  * @param {string} userId - The ID of the buyer.
@@ -347,17 +892,17 @@ const mergeAnonymousCart = async (userId, anonymousCartToken) => {
 			if (userCartItem) {
 				// Item already exists in user's cart, update quantity
 				const newQuantity = userCartItem.quantity + anonItem.quantity;
-				if (currentVariantState.stockQuantity < newQuantity) {
+				const availableQuantity = getAvailableQuantity(currentVariantState);
+				if (availableQuantity < newQuantity) {
 					logger.warn(
-						`Merge stock conflict for variant ${anonItem.variantId} in user ${userId}'s cart. Requested total: ${newQuantity}, available: ${currentVariantState.stockQuantity}. Adding available stock.`,
+						`Merge stock conflict for variant ${anonItem.variantId} in user ${userId}'s cart. Requested total: ${newQuantity}, available: ${availableQuantity}. Adding available stock.`,
 					);
-					userCartItem.quantity = currentVariantState.stockQuantity; // Add up to available stock
+					userCartItem.quantity = availableQuantity; // Add up to available stock
 				} else {
 					userCartItem.quantity = newQuantity;
 				}
-				// Price at addition: typically, the user's existing cart item's price takes precedence,
-				// or you might have logic to use the latest price. For simplicity, we're just updating quantity.
-				// userCartItem.priceAtAddition = currentVariantState.price; // If you want to update to current price
+				userCartItem.acknowledgedQuantity = newQuantity; // A cut shows up as quantity_reduced
+				// Price needs no merging: every cart read reprices lines to the current price
 				await userCartItem.save();
 			} else {
 				// Item does not exist in user's cart, add it new
@@ -367,7 +912,10 @@ const mergeAnonymousCart = async (userId, anonymousCartToken) => {
 					productId: anonItem.productId,
 					variantId: anonItem.variantId,
 					quantity: anonItem.quantity, // Use the quantity from the anonymous cart item
-					priceAtAddition: anonItem.priceAtAddition, // Use the price when it was added to anonymous cart
+					priceAtAddition:
+						pricingService.resolveVariantPrice(currentVariantState).price,
+					acknowledgedPrice:
+						anonItem.acknowledgedPrice ?? anonItem.priceAtAddition, // A price move since then shows up as price_changed
 					currencyAtAddition: anonItem.currencyAtAddition,
 				});
 			}
@@ -389,6 +937,207 @@ const mergeAnonymousCart = async (userId, anonymousCartToken) => {
 	return formatCartResponse(userCart); // Return the updated user's cart
 };
 
+/**
+ * Sends the owner of an abandoned cart a link that restores it.
+ * @param {InstanceType<typeof Cart>} cart - The abandoned cart.
+ * @param {string} token - The raw restore token.
+ * @param {Date} now - When the cart was abandoned.
+ * @returns {Promise<boolean>} Whether the owner was notified; suspended or unverified accounts are not.
+ */
+const sendCartRecoveryNotification = async (cart, token, now) => {
+	const user = await User.findById(
+		cart.userId,
+		"email firstName accountStatus emailVerified",
+	).lean();
+	if (!user || user.accountStatus !== "active" || !user.emailVerified) {
+		return false;
+	}
+
+	await mailService.sendMail({
+		to: user.email,
+		template: "cartRecovery",
+		data: {
+			firstName: user.firstName,
+			link: `${config.APP_BASE_URL}/api/v1/carts/restore?token=${token}`,
+		},
+	});
+
+	await Cart.updateOne(
+		{ _id: cart._id },
+		{ recoveryNotifiedAt: now },
+		{ timestamps: false },
+	);
+	return true;
+};
+
+/**
+ * Marks buyers' carts abandoned once they have sat idle with items in them for
+ * CART_ABANDONMENT_IDLE_HOURS, and sends each owner a restore link. Empty carts are left alone.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number>} How many carts were marked abandoned.
+ */
+const abandonIdleCarts = async (now = new Date()) => {
+	const idleSince = new Date(
+		now.getTime() - config.CART_ABANDONMENT_IDLE_HOURS * 60 * 60 * 1000,
+	);
+	const idleFilter = {
+		userId: { $ne: null },
+		status: "active",
+		updatedAt: { $lt: idleSince }, // Every cart change bumps updatedAt
+	};
+	const idleCartIds = await Cart.distinct("_id", idleFilter);
+	if (idleCartIds.length === 0) return 0;
+	const cartIds = await CartItem.distinct("cartId", {
+		cartId: { $in: idleCartIds },
+	});
+
+	let abandoned = 0;
+	for (const cartId of cartIds) {
+		const token = crypto.randomBytes(32).toString("hex");
+		// The filter is checked again, so a cart its owner just used is not abandoned under them
+		const cart = await Cart.findOneAndUpdate(
+			{ ...idleFilter, _id: cartId },
+			{
+				$set: {
+					status: "abandoned",
+					abandonedAt: now,
+					recoveryTokenHash: hashRecoveryToken(token),
+					recoveryTokenExpiresAt: new Date(
+						now.getTime() +
+							config.CART_RECOVERY_LINK_TTL_DAYS * 24 * 60 * 60 * 1000,
+					),
+				},
+				$unset: { recoveryNotifiedAt: 1, recoveredAt: 1, recoveredVia: 1 },
+			},
+			{ new: true, timestamps: false }, // Keep updatedAt as the owner's last activity
+		);
+		if (!cart) continue;
+		abandoned += 1;
+		await sendCartRecoveryNotification(cart, token, now);
+	}
+
+	if (abandoned > 0) {
+		logger.info(`Marked ${abandoned} idle cart(s) as abandoned.`);
+	}
+	return abandoned;
+};
+
+/**
+ * Restores an abandoned cart from the link sent to its owner. The owner finds it as their cart
+ * the next time they sign in.
+ * @param {string} token - The raw token from the restore link.
+ * @returns {Promise<{cartId: string}>} The restored cart's _id.
+ * @throws {ApiError} 400 if the link is unknown, expired or already used.
+ */
+const restoreAbandonedCart = async (token) => {
+	const cart = await Cart.findOneAndUpdate(
+		{
+			recoveryTokenHash: hashRecoveryToken(token),
+			recoveryTokenExpiresAt: { $gt: new Date() },
+			status: "abandoned",
+		},
+		recoverCartUpdate("link"),
+		{ new: true },
+	);
+	if (!cart) {
+		throw new ApiError(
+			httpStatusCodes.BAD_REQUEST,
+			"Invalid or expired cart restore link.",
+		);
+	}
+	return { cartId: cart._id };
+};
+
+/**
+ * Deletes anonymous carts (and their items) nobody has touched for ANONYMOUS_CART_TTL_DAYS,
+ * including ones already merged into a buyer's cart.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number>} How many carts were deleted.
+ */
+const purgeExpiredAnonymousCarts = async (now = new Date()) => {
+	const expiredFilter = {
+		anonymousCartToken: { $ne: null },
+		updatedAt: {
+			$lt: new Date(
+				now.getTime() - config.ANONYMOUS_CART_TTL_DAYS * 24 * 60 * 60 * 1000,
+			),
+		},
+	};
+	const cartIds = await Cart.distinct("_id", expiredFilter);
+	if (cartIds.length === 0) return 0;
+
+	const { deletedCount } = await Cart.deleteMany({
+		...expiredFilter,
+		_id: { $in: cartIds },
+	});
+	// A cart used again since it was listed survives the delete and keeps its items
+	const survivingCartIds = await Cart.distinct("_id", {
+		_id: { $in: cartIds },
+	});
+	await CartItem.deleteMany({
+		cartId: { $in: cartIds, $nin: survivingCartIds },
+	});
+
+	if (deletedCount > 0) {
+		logger.info(`Purged ${deletedCount} expired anonymous cart(s).`);
+	}
+	return deletedCount;
+};
+
+/**
+ * Reports how many carts abandoned in a period were won back.
+ * @param {{from?: string, to?: string}} [options] - Period of abandonment; defaults to the last 30 days.
+ * @returns {Promise<Object>} Counts of abandoned, notified, recovered and converted carts, with their rates.
+ */
+const getCartAbandonmentReport = async ({ from, to } = {}) => {
+	const until = to ? new Date(to) : new Date();
+	const since = from
+		? new Date(from)
+		: new Date(until.getTime() - 30 * 24 * 60 * 60 * 1000);
+	const isSet = (field) => ({ $cond: [{ $ifNull: [field, false] }, 1, 0] });
+
+	const [stats] = await Cart.aggregate([
+		{ $match: { abandonedAt: { $gte: since, $lt: until } } },
+		{
+			$group: {
+				_id: null,
+				abandonedCarts: { $sum: 1 },
+				notifiedCarts: { $sum: isSet("$recoveryNotifiedAt") },
+				recoveredCarts: { $sum: isSet("$recoveredAt") },
+				recoveredFromLink: {
+					$sum: { $cond: [{ $eq: ["$recoveredVia", "link"] }, 1, 0] },
+				},
+				convertedCarts: {
+					$sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+				},
+			},
+		},
+	]);
+	const {
+		abandonedCarts = 0,
+		notifiedCarts = 0,
+		recoveredCarts = 0,
+		recoveredFromLink = 0,
+		convertedCarts = 0,
+	} = stats ?? {};
+	const rateOf = (count) =>
+		abandonedCarts > 0
+			? Number.parseFloat((count / abandonedCarts).toFixed(4))
+			: 0;
+
+	return {
+		from: since,
+		to: until,
+		abandonedCarts,
+		notifiedCarts,
+		recoveredCarts,
+		recoveredFromLink,
+		convertedCarts,
+		recoveryRate: rateOf(recoveredCarts),
+		conversionRate: rateOf(convertedCarts),
+	};
+};
+
 export const cartService = {
 	createAnonymousCartWithItem,
 	addItemToAnonymousCart,
@@ -396,5 +1145,21 @@ export const cartService = {
 	updateAnonymousCartItem,
 	removeAnonymousCartItem,
 	clearAnonymousCart,
+	acknowledgeAnonymousCartChanges,
+	getBuyerCart,
+	addItemToBuyerCart,
+	updateBuyerCartItem,
+	removeBuyerCartItem,
+	clearBuyerCart,
+	acknowledgeBuyerCartChanges,
+	applyBuyerCartDiscount,
+	removeBuyerCartDiscount,
+	getBuyerCartShippingOptions,
 	mergeAnonymousCart,
+	ensureCartAcknowledged,
+	repriceCartsForSaleBoundaries,
+	abandonIdleCarts,
+	restoreAbandonedCart,
+	purgeExpiredAnonymousCarts,
+	getCartAbandonmentReport,
 };
@@ -1,7 +1,8 @@
 import Category from "../models/Category.model.js";
-import Product from "../models/Product.model.js"; // For listing products in category
+import Product from "../models/Product.model.js"; // For the products-in-category delete check
 import ApiError from "../errors/ApiError.js";
 import httpStatusCodes from "http-status-codes";
+import { productService } from "./product.service.js";
 
 /**
  * Constructs the base query for fetching active categories.
@@ -79,63 +80,20 @@ const getCategoryById = async (categoryId) => {
 };
 
 /**
- * Lists published and approved products within a specific active category.
- * Uses product service's base query logic and adapts it.
+ * Lists published and approved products within a specific active category. Runs the product
+ * search restricted to the category, so filters and prices are sale-aware as on `/products`.
  * @param {string} categoryId - The ID of the category.
- * @param {typeof import('../dtos/product.dto.js').listProductsQuerySchema._input.query} productQueryOptions - Options for filtering, sorting, and pagination of products.
- * @returns {Promise<{results: Array<InstanceType<typeof Product>>, page: number, limit: number, totalPages: number, totalResults: number}>} Paginated products.
+ * @param {typeof import('../dtos/category.dto.js').listProductsInCategoryParamsSchema._input.query} productQueryOptions - Options for filtering, sorting, and pagination of products.
+ * @returns {ReturnType<typeof productService.listProducts>} Paginated products with their price ranges, and the facets.
  */
 const listProductsInCategory = async (categoryId, productQueryOptions) => {
   // First, ensure the category exists and is active
   await getCategoryById(categoryId);
 
-  const { search, sort_by, order, page, limit, minPrice, maxPrice, brand } =
-    productQueryOptions;
-
-  const productFilter = {
-    categoryId, // Filter by the given category
-    isPublished: true,
-    approvalStatus: "approved",
-  };
-
-  if (search) {
-    productFilter.$text = { $search: search };
-  }
-  if (brand) {
-    productFilter.brand = { $regex: brand, $options: "i" };
-  }
-  if (typeof minPrice === "number") {
-    productFilter.basePrice = { ...productFilter.basePrice, $gte: minPrice };
-  }
-  if (typeof maxPrice === "number") {
-    productFilter.basePrice = { ...productFilter.basePrice, $lte: maxPrice };
-  }
-
-  const sortOptions = {};
-  if (sort_by) {
-    sortOptions[sort_by] = order === "asc" ? 1 : -1;
-  } else {
-    sortOptions.createdAt = -1;
-  }
-
-  const skip = (page - 1) * limit;
-
-  const products = await Product.find(productFilter)
-    .sort(sortOptions)
-    .skip(skip)
-    .limit(limit)
-    .lean();
-
-  const totalResults = await Product.countDocuments(productFilter);
-  const totalPages = Math.ceil(totalResults / limit);
-
-  return {
-    results: products,
-    page,
-    limit,
-    totalPages,
-    totalResults,
-  };
+  return productService.listProducts({
+    ...productQueryOptions,
+    category: categoryId,
+  });
 };
 
 /**
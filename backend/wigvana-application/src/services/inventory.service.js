@@ -0,0 +1,543 @@
+import mongoose from "mongoose";
+import Product from "../models/Product.model.js";
+import ProductVariant from "../models/ProductVariant.model.js";
+import InventoryMovement from "../models/InventoryMovement.model.js";
+import OrderItem from "../models/OrderItem.model.js";
+import ApiError from "../errors/ApiError.js";
+import InventoryImportError from "../errors/InventoryImportError.js";
+import httpStatusCodes from "http-status-codes";
+import logger from "../utils/logger.js";
+import { getAvailableQuantity } from "./reservation.service.js";
+import { redisService } from "./redis.service.js";
+import { mailService } from "./mail.service.js";
+
+const PRODUCT_VARIANTS_CACHE_KEY_PREFIX = "product_variants:"; // Defined in product.service.js, reuse
+const PRODUCT_DETAIL_CACHE_KEY_PREFIX = "product_detail:"; // Defined in product.service.js, reuse
+
+/** Rows accepted by one bulk inventory update. */
+const MAX_BULK_ROWS = 1000;
+
+/** Header a bulk inventory CSV must start with. */
+const CSV_COLUMNS = ["sku", "quantity"];
+
+/**
+ * Who caused a stock movement.
+ * @typedef {import('./orderStatus.service.js').StatusActor} MovementActor
+ */
+
+/**
+ * Query condition matching variants at or below their low-stock threshold.
+ * @type {Object}
+ */
+const lowStockCondition = {
+  lowStockThreshold: { $ne: null },
+  $expr: { $lte: ["$stockQuantity", "$lowStockThreshold"] },
+};
+
+/**
+ * Whether a variant is at or below its low-stock threshold.
+ * @param {{stockQuantity: number, lowStockThreshold?: number | null}} variant - The variant.
+ * @returns {boolean} True if the variant is low on stock.
+ */
+const isLowStock = (variant) =>
+  variant.lowStockThreshold != null &&
+  variant.stockQuantity <= variant.lowStockThreshold;
+
+/**
+ * Shapes a variant's stock position for API responses.
+ * @param {Object} variant - A lean ProductVariant.
+ * @param {string} productName - Name of the parent product.
+ * @returns {Object} Formatted inventory level.
+ */
+const formatInventoryLevel = (variant, productName) => ({
+  variantId: variant._id,
+  productId: variant.productId,
+  productName,
+  sku: variant.sku,
+  attributes: variant.attributes,
+  isActive: variant.isActive,
+  onHand: variant.stockQuantity,
+  reserved: variant.reservedQuantity ?? 0,
+  available: getAvailableQuantity(variant),
+  lowStockThreshold: variant.lowStockThreshold ?? null,
+  lowStock: isLowStock(variant),
+  lowStockAlertedAt: variant.lowStockAlertedAt ?? null,
+});
+
+/**
+ * Appends stock movements to the inventory ledger.
+ * @param {Array<{variantId: string, productId: string, sellerId: string, sku: string, type: string, quantityChange: number, quantityAfter: number, orderId?: string, returnRequestId?: string, note?: string}>} movements - The movements.
+ * @param {MovementActor} actor - Who caused them.
+ * @param {{session?: mongoose.ClientSession}} [options] - Optional transaction session.
+ * @returns {Promise<void>}
+ */
+const recordMovements = async (movements, actor, { session } = {}) => {
+  if (movements.length === 0) return;
+  await InventoryMovement.insertMany(
+    movements.map((movement) => ({
+      ...movement,
+      actorId: actor.id,
+      actorRole: actor.role,
+    })),
+    { session },
+  );
+};
+
+/**
+ * Re-evaluates the low-stock alert of variants whose stock or threshold just changed. A variant
+ * that has dropped to or below its threshold alerts its seller once; the alert re-arms when stock
+ * climbs back above the threshold. Call after the change is committed.
+ * @param {Array<string>} variantIds - Variants to check.
+ * @returns {Promise<Array<Object>>} The variants that raised a new alert.
+ */
+const refreshLowStockAlerts = async (variantIds) => {
+  const ids = [...new Set(variantIds)];
+  if (ids.length === 0) return [];
+
+  await ProductVariant.updateMany(
+    {
+      _id: { $in: ids },
+      lowStockAlertedAt: { $ne: null },
+      // A missing threshold compares below any number, so disabled alerts are cleared too
+      $expr: { $gt: ["$stockQuantity", "$lowStockThreshold"] },
+    },
+    { $unset: { lowStockAlertedAt: "" } },
+  );
+
+  const alerted = [];
+  for (const variantId of ids) {
+    // Conditional set: of two concurrent checks, only one alerts.
+    const variant = await ProductVariant.findOneAndUpdate(
+      { _id: variantId, lowStockAlertedAt: null, ...lowStockCondition },
+      { $set: { lowStockAlertedAt: new Date() } },
+      { new: true },
+    )
+      .populate({
+        path: "productId",
+        select: "name sellerId",
+        populate: { path: "sellerId", select: "email firstName" },
+      })
+      .lean();
+    if (variant) alerted.push(variant);
+  }
+
+  for (const variant of alerted) {
+    const product = variant.productId;
+    const seller = product?.sellerId;
+    logger.warn(
+      `Low stock: variant ${variant.sku} of '${product?.name}' (seller ${seller?._id}) is down to ${variant.stockQuantity} (threshold ${variant.lowStockThreshold}).`,
+    );
+    if (!seller?.email) continue;
+    await mailService
+      .sendMail({
+        to: seller.email,
+        template: "lowStockAlert",
+        data: {
+          firstName: seller.firstName,
+          productName: product.name,
+          sku: variant.sku,
+          stockQuantity: variant.stockQuantity,
+          threshold: variant.lowStockThreshold,
+        },
+      })
+      .catch((err) =>
+        logger.error(
+          `Failed to queue low stock alert for variant ${variant.sku}: ${err.message}`,
+        ),
+      );
+  }
+  return alerted;
+};
+
+/**
+ * Puts the stock of cancelled order items back on their variants. Each item is claimed through
+ * `stockRestoredAt` before its stock moves, so retried or overlapping cancellations (a seller
+ * cancelling their shipment, then an admin cancelling the order) restore every unit exactly once.
+ * @param {Object} itemFilter - OrderItem filter selecting the cancelled items, e.g. `{orderId}` or `{shipmentId}`.
+ * @param {MovementActor} actor - Who cancelled.
+ * @param {{session?: mongoose.ClientSession}} [options] - Optional transaction session.
+ * @returns {Promise<Array<string>>} IDs of the variants whose stock was restored by this call.
+ */
+const releaseOrderItemStock = async (itemFilter, actor, { session } = {}) => {
+  const items = await OrderItem.find({ ...itemFilter, stockRestoredAt: null })
+    .session(session)
+    .lean();
+  const movements = [];
+  for (const item of items) {
+    const claimed = await OrderItem.updateOne(
+      { _id: item._id, stockRestoredAt: null },
+      { $set: { stockRestoredAt: new Date() } },
+      { session },
+    );
+    if (claimed.modifiedCount !== 1) continue;
+
+    const variant = await ProductVariant.findOneAndUpdate(
+      { _id: item.variantId },
+      { $inc: { stockQuantity: item.quantity } },
+      { session, new: true },
+    ).lean();
+    // A variant deleted since the order was placed has no stock to put back
+    if (variant) {
+      movements.push({
+        variantId: variant._id,
+        productId: variant.productId,
+        sellerId: item.sellerId,
+        sku: variant.sku,
+        type: "cancellation_release",
+        quantityChange: item.quantity,
+        quantityAfter: variant.stockQuantity,
+        orderId: item.orderId,
+      });
+    }
+  }
+  await recordMovements(movements, actor, { session });
+  return movements.map((movement) => movement.variantId);
+};
+
+/**
+ * Query condition matching variants that keep at least their reserved units on hand after
+ * `quantityChange`, so stock held for checkouts and unpaid orders can always be deducted.
+ * @param {Object} newStock - Aggregation expression for the on-hand quantity after the change.
+ * @returns {{$expr: Object}} Mongo filter fragment.
+ */
+const coversReservedCondition = (newStock) => ({
+  $expr: { $gte: [newStock, { $ifNull: ["$reservedQuantity", 0] }] },
+});
+
+/**
+ * Sets a variant's on-hand stock to an absolute quantity and records the difference in the
+ * ledger as a manual adjustment. Stock cannot be set below the units currently reserved.
+ * @param {string} variantId - The variant's ID.
+ * @param {string} sellerId - The seller who owns the variant.
+ * @param {number} quantity - The new on-hand quantity.
+ * @param {MovementActor} actor - Who made the change.
+ * @param {{note?: string, session?: mongoose.ClientSession}} [options] - Optional note and transaction session.
+ * @returns {Promise<Object>} The updated lean variant.
+ * @throws {ApiError} 404 if the variant does not exist, 409 if the quantity is below its reserved units.
+ */
+const setVariantStock = async (
+  variantId,
+  sellerId,
+  quantity,
+  actor,
+  { note, session } = {},
+) => {
+  // Atomic set so a checkout decrementing at the same time is captured in the recorded delta
+  const previous = await ProductVariant.findOneAndUpdate(
+    { _id: variantId, ...coversReservedCondition(quantity) },
+    { $set: { stockQuantity: quantity } },
+    { session },
+  ).lean();
+  if (!previous) {
+    const current = await ProductVariant.findById(variantId)
+      .session(session)
+      .lean();
+    if (!current) {
+      throw new ApiError(
+        httpStatusCodes.NOT_FOUND,
+        "Product variant not found.",
+      );
+    }
+    throw new ApiError(
+      httpStatusCodes.CONFLICT,
+      `Stock cannot be set below the ${current.reservedQuantity} unit(s) held for checkouts and unpaid orders.`,
+    );
+  }
+  const quantityChange = quantity - previous.stockQuantity;
+  if (quantityChange !== 0) {
+    await recordMovements(
+      [
+        {
+          variantId: previous._id,
+          productId: previous.productId,
+          sellerId,
+          sku: previous.sku,
+          type: "manual_adjustment",
+          quantityChange,
+          quantityAfter: quantity,
+          note,
+        },
+      ],
+      actor,
+      { session },
+    );
+  }
+  return { ...previous, stockQuantity: quantity };
+};
+
+/**
+ * Parses a bulk inventory CSV. The first line must be the header `sku,quantity`; blank lines
+ * are skipped and fields may be double-quoted.
+ * @param {string} text - The CSV document.
+ * @returns {Array<{sku: string, quantity: number, row: number}>} The rows, each with its line number.
+ * @throws {ApiError} If the header is missing.
+ * @throws {InventoryImportError} If any row is malformed.
+ */
+const parseInventoryCsv = (text) => {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const splitLine = (line) =>
+    line.split(",").map((field) => field.trim().replace(/^"(.*)"$/, "$1"));
+
+  const header = splitLine(lines[0] ?? "").map((field) => field.toLowerCase());
+  if (header.join(",") !== CSV_COLUMNS.join(",")) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `CSV must start with the header '${CSV_COLUMNS.join(",")}'.`,
+    );
+  }
+
+  const rows = [];
+  const errors = [];
+  lines.slice(1).forEach((line, index) => {
+    const row = index + 2;
+    if (line.trim() === "") return;
+    const fields = splitLine(line);
+    const [sku, quantity] = fields;
+    if (fields.length !== CSV_COLUMNS.length || !sku) {
+      errors.push({ row, sku, message: "Expected 'sku,quantity'." });
+    } else if (!/^[+-]?\d+$/.test(quantity)) {
+      errors.push({ row, sku, message: "Quantity must be a whole number." });
+    } else {
+      rows.push({ sku, quantity: Number.parseInt(quantity, 10), row });
+    }
+  });
+  if (errors.length > 0) throw new InventoryImportError(errors);
+  return rows;
+};
+
+/**
+ * Sets or adjusts stock for many of the seller's variants by SKU. Every row is checked before
+ * anything is written, and all rows are applied in one transaction: the update applies fully or
+ * not at all. Each change is recorded in the ledger as a manual adjustment.
+ * @param {string} sellerId - The seller's ID.
+ * @param {Array<{sku: string, quantity: number, row?: number}>} items - SKU and quantity rows.
+ * @param {{mode?: "set" | "adjust", note?: string}} [options] - `set` replaces on-hand stock with `quantity`; `adjust` adds the signed `quantity` to it.
+ * @returns {Promise<{mode: string, updatedCount: number, results: Array<Object>}>} The variants' stock levels afterwards.
+ * @throws {InventoryImportError} If any row names an unknown SKU, repeats a SKU or would leave stock negative or below its reserved units.
+ */
+const bulkUpdateSellerInventory = async (
+  sellerId,
+  items,
+  { mode = "set", note } = {},
+) => {
+  if (items.length === 0 || items.length > MAX_BULK_ROWS) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `Provide between 1 and ${MAX_BULK_ROWS} inventory rows.`,
+    );
+  }
+  const rows = items.map((item, index) => ({ row: index + 1, ...item }));
+
+  const variants = await ProductVariant.find({
+    sku: { $in: rows.map((row) => row.sku) },
+  }).lean();
+  const ownedProducts = await Product.find({
+    _id: { $in: variants.map((variant) => variant.productId) },
+    sellerId,
+  })
+    .select("_id name")
+    .lean();
+  const productNames = new Map(ownedProducts.map((p) => [p._id, p.name]));
+  const variantsBySku = new Map(
+    variants
+      .filter((variant) => productNames.has(variant.productId))
+      .map((variant) => [variant.sku, variant]),
+  );
+
+  const errors = [];
+  const seen = new Set();
+  for (const { row, sku, quantity } of rows) {
+    const variant = variantsBySku.get(sku);
+    if (!variant) {
+      // Other sellers' SKUs are reported the same way so they cannot be probed
+      errors.push({ row, sku, message: "SKU not found in your catalogue." });
+    } else if (seen.has(sku)) {
+      errors.push({ row, sku, message: "SKU appears more than once." });
+    } else if (!Number.isInteger(quantity)) {
+      errors.push({ row, sku, message: "Quantity must be a whole number." });
+    } else if (mode === "set" && quantity < 0) {
+      errors.push({ row, sku, message: "Quantity cannot be negative." });
+    } else if (mode === "adjust" && variant.stockQuantity + quantity < 0) {
+      errors.push({
+        row,
+        sku,
+        message: `Adjustment would leave ${variant.stockQuantity + quantity} units on hand.`,
+      });
+    } else if (
+      (mode === "set" ? quantity : variant.stockQuantity + quantity) <
+      (variant.reservedQuantity ?? 0)
+    ) {
+      errors.push({
+        row,
+        sku,
+        message: `Stock cannot go below the ${variant.reservedQuantity} unit(s) held for checkouts and unpaid orders.`,
+      });
+    }
+    seen.add(sku);
+  }
+  if (errors.length > 0) throw new InventoryImportError(errors);
+
+  const actor = { id: sellerId, role: "seller" };
+  const updated = await mongoose.connection.transaction(async (session) => {
+    const results = [];
+    for (const { row, sku, quantity } of rows) {
+      const variant = variantsBySku.get(sku);
+      if (mode === "set") {
+        results.push(
+          await setVariantStock(variant._id, sellerId, quantity, actor, {
+            note,
+            session,
+          }),
+        );
+        continue;
+      }
+      if (quantity === 0) {
+        results.push(variant);
+        continue;
+      }
+      // Conditional increment: stock may have been sold or reserved since the check above
+      const adjusted = await ProductVariant.findOneAndUpdate(
+        {
+          _id: variant._id,
+          stockQuantity: { $gte: -quantity },
+          ...coversReservedCondition({ $add: ["$stockQuantity", quantity] }),
+        },
+        { $inc: { stockQuantity: quantity } },
+        { session, new: true },
+      ).lean();
+      if (!adjusted) {
+        throw new InventoryImportError([
+          {
+            row,
+            sku,
+            message:
+              "Adjustment would leave stock negative or below its reserved units.",
+          },
+        ]);
+      }
+      await recordMovements(
+        [
+          {
+            variantId: adjusted._id,
+            productId: adjusted.productId,
+            sellerId,
+            sku,
+            type: "manual_adjustment",
+            quantityChange: quantity,
+            quantityAfter: adjusted.stockQuantity,
+            note,
+          },
+        ],
+        actor,
+        { session },
+      );
+      results.push(adjusted);
+    }
+    return results;
+  });
+
+  await refreshLowStockAlerts(updated.map((variant) => variant._id));
+  for (const productId of new Set(updated.map((v) => v.productId))) {
+    await redisService.del(`${PRODUCT_VARIANTS_CACHE_KEY_PREFIX}${productId}`);
+    await redisService.del(`${PRODUCT_DETAIL_CACHE_KEY_PREFIX}${productId}`);
+  }
+  logger.info(
+    `Seller ${sellerId} updated stock of ${updated.length} variant(s) in bulk (${mode}).`,
+  );
+
+  const refreshed = await ProductVariant.find({
+    _id: { $in: updated.map((variant) => variant._id) },
+  }).lean();
+  const refreshedById = new Map(refreshed.map((v) => [v._id, v]));
+  return {
+    mode,
+    updatedCount: updated.length,
+    results: updated.map((variant) => {
+      const current = refreshedById.get(variant._id) ?? variant;
+      return formatInventoryLevel(current, productNames.get(current.productId));
+    }),
+  };
+};
+
+/**
+ * Lists on-hand, reserved and available stock for every variant the seller owns.
+ * @param {string} sellerId - The seller's ID.
+ * @param {typeof import('../dtos/inventory.dto.js').listSellerInventoryQuerySchema._input.query} queryOptions - Query options.
+ * @returns {Promise<{results: Array<Object>, page: number, limit: number, totalPages: number, totalResults: number}>} Paginated inventory levels.
+ */
+const listSellerInventory = async (sellerId, queryOptions) => {
+  const { page = 1, limit = 10, productId, lowStock } = queryOptions;
+
+  const productFilter = { sellerId };
+  if (productId) productFilter._id = productId;
+  const products = await Product.find(productFilter).select("_id name").lean();
+  if (productId && products.length === 0) {
+    throw new ApiError(
+      httpStatusCodes.NOT_FOUND,
+      "Product not found or you do not own this product.",
+    );
+  }
+  const productNames = new Map(products.map((p) => [p._id, p.name]));
+
+  const filter = { productId: { $in: [...productNames.keys()] } };
+  if (lowStock) Object.assign(filter, lowStockCondition);
+  const skip = (page - 1) * limit;
+  const variants = await ProductVariant.find(filter)
+    .sort({ productId: 1, sku: 1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+  const totalResults = await ProductVariant.countDocuments(filter);
+
+  return {
+    results: variants.map((variant) =>
+      formatInventoryLevel(variant, productNames.get(variant.productId)),
+    ),
+    page,
+    limit,
+    totalPages: Math.ceil(totalResults / limit),
+    totalResults,
+  };
+};
+
+/**
+ * Lists the seller's inventory ledger, newest first.
+ * @param {string} sellerId - The seller's ID.
+ * @param {typeof import('../dtos/inventory.dto.js').listInventoryMovementsQuerySchema._input.query} queryOptions - Query options.
+ * @returns {Promise<{results: Array<Object>, page: number, limit: number, totalPages: number, totalResults: number}>} Paginated stock movements.
+ */
+const listSellerInventoryMovements = async (sellerId, queryOptions) => {
+  const { page = 1, limit = 10, variantId, sku, type } = queryOptions;
+  const filter = { sellerId };
+  if (variantId) filter.variantId = variantId;
+  if (sku) filter.sku = sku;
+  if (type) filter.type = type;
+
+  const skip = (page - 1) * limit;
+  const movements = await InventoryMovement.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+  const totalResults = await InventoryMovement.countDocuments(filter);
+
+  return {
+    results: movements,
+    page,
+    limit,
+    totalPages: Math.ceil(totalResults / limit),
+    totalResults,
+  };
+};
+
+export const inventoryService = {
+  isLowStock,
+  recordMovements,
+  refreshLowStockAlerts,
+  releaseOrderItemStock,
+  setVariantStock,
+  parseInventoryCsv,
+  bulkUpdateSellerInventory,
+  listSellerInventory,
+  listSellerInventoryMovements,
+};
@@ -0,0 +1,185 @@
+import OutboundEmail from "../models/OutboundEmail.model.js";
+import config from "../config/index.js";
+import logger from "../utils/logger.js";
+import { mailTemplates } from "./mailTemplates.js";
+import { smtpTransport } from "./mailTransports/smtp.transport.js";
+import { fileTransport } from "./mailTransports/file.transport.js";
+import { memoryTransport } from "./mailTransports/memory.transport.js";
+
+/**
+ * The contract every mail transport implements.
+ * @typedef {object} MailTransport
+ * @property {string} name - Matches MAIL_TRANSPORT.
+ * @property {(message: import('./mailTransports/mime.js').MailMessage) => Promise<{providerMessageId?: string}>} send - Deliver one message; throws if it was not accepted.
+ */
+
+/** @type {Map<string, MailTransport>} */
+const transports = new Map(
+  [smtpTransport, fileTransport, memoryTransport].map((transport) => [
+    transport.name,
+    transport,
+  ]),
+);
+
+/** How long a delivery attempt holds its email before another worker may retry it. */
+const DELIVERY_LOCK_MS = 5 * 60 * 1000;
+
+/** How many due emails one outbox run sends. */
+const OUTBOX_BATCH_SIZE = 50;
+
+/**
+ * Registers (or replaces) a mail transport.
+ * @param {MailTransport} transport - The transport to register.
+ */
+const registerTransport = (transport) => {
+  transports.set(transport.name, transport);
+};
+
+/**
+ * The transport mail is sent with: MAIL_TRANSPORT, or the in-memory sink under test and `.eml`
+ * files otherwise, so nothing leaves a developer's machine unless SMTP is configured.
+ * @returns {MailTransport} The transport.
+ * @throws {Error} If no transport is registered under that name.
+ */
+const getTransport = () => {
+  const name =
+    config.MAIL_TRANSPORT ?? (config.NODE_ENV === "test" ? "memory" : "file");
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Mail transport '${name}' is not supported.`);
+  }
+  return transport;
+};
+
+/** Filter for queued emails that are due and not held by an attempt in flight. */
+const dueCondition = (now) => ({
+  status: "pending",
+  nextAttemptAt: { $lte: now },
+  $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+});
+
+/**
+ * Makes one delivery attempt for a queued email. The email is claimed first, so concurrent
+ * workers never send it twice. A failure schedules a retry after an exponential backoff
+ * (MAIL_RETRY_BASE_SECONDS, doubling each attempt) until MAIL_MAX_ATTEMPTS, then marks it failed.
+ * @param {string} emailId - The OutboundEmail ID.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<boolean>} Whether the email was sent by this call.
+ */
+const deliverEmail = async (emailId, now = new Date()) => {
+  const email = await OutboundEmail.findOneAndUpdate(
+    { _id: emailId, ...dueCondition(now) },
+    {
+      $set: { lockedUntil: new Date(now.getTime() + DELIVERY_LOCK_MS) },
+      $inc: { attempts: 1 },
+    },
+    { new: true },
+  ).lean();
+  if (!email) return false;
+
+  try {
+    const transport = getTransport();
+    const result = await transport.send({
+      messageId: email._id,
+      from: email.from,
+      to: email.to,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+    });
+    await OutboundEmail.updateOne(
+      { _id: email._id },
+      {
+        $set: {
+          status: "sent",
+          sentAt: new Date(),
+          transport: transport.name,
+          providerMessageId: result?.providerMessageId,
+          lockedUntil: null,
+        },
+        $unset: { lastError: "" },
+      },
+    );
+    return true;
+  } catch (err) {
+    const gaveUp = email.attempts >= config.MAIL_MAX_ATTEMPTS;
+    await OutboundEmail.updateOne(
+      { _id: email._id },
+      {
+        $set: {
+          status: gaveUp ? "failed" : "pending",
+          lastError: err.message,
+          lockedUntil: null,
+          nextAttemptAt: new Date(
+            now.getTime() +
+              config.MAIL_RETRY_BASE_SECONDS * 1000 * 2 ** (email.attempts - 1),
+          ),
+        },
+      },
+    );
+    const outcome = gaveUp ? "giving up" : "will retry";
+    logger[gaveUp ? "error" : "warn"](
+      `Email ${email._id} (${email.template}) to ${email.to} failed on attempt ${email.attempts}, ${outcome}: ${err.message}`,
+    );
+    return false;
+  }
+};
+
+/**
+ * Renders a template and queues the email in the outbox, then starts the first delivery attempt
+ * in the background. Only the outbox write happens before this resolves, so callers never wait
+ * on the mail server and their response time does not depend on whether mail was sent. A failed
+ * attempt is retried by the outbox job.
+ * @param {{to: string, template: keyof typeof mailTemplates, data: Object}} mail - Recipient, template name and template data.
+ * @returns {Promise<InstanceType<typeof OutboundEmail>>} The queued email.
+ * @throws {Error} If the template does not exist.
+ */
+const sendMail = async ({ to, template, data }) => {
+  const render = mailTemplates[template];
+  if (!render) {
+    throw new Error(`Mail template '${template}' does not exist.`);
+  }
+  const { subject, text, html } = render(data);
+  const email = await OutboundEmail.create({
+    to,
+    from: config.MAIL_FROM,
+    template,
+    subject,
+    text,
+    html,
+  });
+  deliverEmail(email._id).catch((err) =>
+    logger.error(
+      `Email ${email._id} (${template}) delivery failed: ${err.message}`,
+    ),
+  );
+  return email;
+};
+
+/**
+ * Sends every queued email whose next attempt is due, oldest first. Called periodically by the
+ * mail outbox job.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number>} How many emails were sent.
+ */
+const processOutbox = async (now = new Date()) => {
+  const due = await OutboundEmail.find(dueCondition(now), "_id")
+    .sort({ nextAttemptAt: 1 })
+    .limit(OUTBOX_BATCH_SIZE)
+    .lean();
+
+  let sent = 0;
+  for (const { _id } of due) {
+    if (await deliverEmail(_id, now)) sent += 1;
+  }
+  if (sent > 0) logger.info(`Mail outbox sent ${sent} queued email(s).`);
+  return sent;
+};
+
+export const mailService = {
+  registerTransport,
+  getTransport,
+  sendMail,
+  deliverEmail,
+  processOutbox,
+};
@@ -0,0 +1,158 @@
+/**
+ * @typedef {object} RenderedMail
+ * @property {string} subject - Subject line.
+ * @property {string} text - Plain text body.
+ * @property {string} html - HTML body.
+ */
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escapes text for use in HTML, including attribute values.
+ * @param {unknown} value - The text.
+ * @returns {string} The escaped text.
+ */
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Formats an amount with its currency, e.g. "USD 12.50".
+ * @param {number} amount - The amount.
+ * @param {string} currency - ISO currency code.
+ * @returns {string} The formatted amount.
+ */
+const formatMoney = (amount, currency) =>
+  `${currency} ${Number(amount).toFixed(2)}`;
+
+const greeting = (firstName) => (firstName ? `Hi ${firstName},` : "Hi,");
+
+/**
+ * Wraps paragraphs in the shared HTML layout. Paragraph content must already be escaped.
+ * @param {Array<string>} paragraphs - HTML paragraphs.
+ * @param {{label: string, url: string}} [action] - Optional call-to-action button.
+ * @returns {string} The HTML document.
+ */
+const layout = (paragraphs, action) =>
+  [
+    "<!DOCTYPE html>",
+    '<html><body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">',
+    ...paragraphs.map((paragraph) => `<p>${paragraph}</p>`),
+    action
+      ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 18px; background: #7a3cff; color: #fff; text-decoration: none; border-radius: 4px;">${escapeHtml(action.label)}</a></p><p style="font-size: 12px; color: #666;">Or paste this link into your browser: ${escapeHtml(action.url)}</p>`
+      : "",
+    '<p style="font-size: 12px; color: #666;">Wigvana</p>',
+    "</body></html>",
+  ].join("\n");
+
+/**
+ * Every email the platform sends, keyed by template name. Each renders its data to a subject and
+ * matching text and HTML bodies.
+ * @type {Record<string, (data: Object) => RenderedMail>}
+ */
+export const mailTemplates = {
+  emailVerification: ({ firstName, link }) => ({
+    subject: "Verify your Wigvana email address",
+    text: `${greeting(firstName)}\n\nWelcome to Wigvana! Confirm your email address to activate your account:\n\n${link}\n\nThe link expires in 24 hours. If you didn't sign up, you can ignore this email.\n`,
+    html: layout(
+      [
+        escapeHtml(greeting(firstName)),
+        "Welcome to Wigvana! Confirm your email address to activate your account.",
+        "The link expires in 24 hours. If you didn't sign up, you can ignore this email.",
+      ],
+      { label: "Verify email", url: link },
+    ),
+  }),
+
+  passwordReset: ({ firstName, link, expiresInMinutes }) => ({
+    subject: "Reset your Wigvana password",
+    text: `${greeting(firstName)}\n\nWe received a request to reset your password. Choose a new one here:\n\n${link}\n\nThe link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email; your password won't change.\n`,
+    html: layout(
+      [
+        escapeHtml(greeting(firstName)),
+        "We received a request to reset your password.",
+        `The link works once and expires in ${escapeHtml(expiresInMinutes)} minutes. If you didn't ask for this, you can ignore this email; your password won't change.`,
+      ],
+      { label: "Reset password", url: link },
+    ),
+  }),
+
+  cartRecovery: ({ firstName, link }) => ({
+    subject: "You left something in your cart",
+    text: `${greeting(firstName)}\n\nThe items in your Wigvana cart are still waiting for you. Pick up where you left off:\n\n${link}\n`,
+    html: layout(
+      [
+        escapeHtml(greeting(firstName)),
+        "The items in your Wigvana cart are still waiting for you.",
+      ],
+      { label: "Return to my cart", url: link },
+    ),
+  }),
+
+  orderConfirmation: ({ firstName, orderId, items, totalAmount, currency }) => {
+    const lines = items.map(
+      (item) =>
+        `${item.quantity} × ${item.name} — ${formatMoney(item.totalPrice, currency)}`,
+    );
+    return {
+      subject: `Your Wigvana order ${orderId} is confirmed`,
+      text: `${greeting(firstName)}\n\nThanks for your order! We've received your payment and your sellers are getting it ready.\n\nOrder ${orderId}\n${lines.map((line) => `- ${line}`).join("\n")}\n\nTotal: ${formatMoney(totalAmount, currency)}\n`,
+      html: layout([
+        escapeHtml(greeting(firstName)),
+        "Thanks for your order! We've received your payment and your sellers are getting it ready.",
+        `<strong>Order ${escapeHtml(orderId)}</strong><br>${lines.map(escapeHtml).join("<br>")}`,
+        `<strong>Total: ${escapeHtml(formatMoney(totalAmount, currency))}</strong>`,
+      ]),
+    };
+  },
+
+  sellerApplicationDecision: ({ firstName, approved, storeName, reason }) =>
+    approved
+      ? {
+          subject: "Your Wigvana seller application was approved",
+          text: `${greeting(firstName)}\n\nGood news: your application to sell on Wigvana as "${storeName}" was approved. You can now set up your store and list products.\n`,
+          html: layout([
+            escapeHtml(greeting(firstName)),
+            `Good news: your application to sell on Wigvana as "${escapeHtml(storeName)}" was approved. You can now set up your store and list products.`,
+          ]),
+        }
+      : {
+          subject: "Your Wigvana seller application",
+          text: `${greeting(firstName)}\n\nWe're sorry, your application to sell on Wigvana as "${storeName}" was not approved.${reason ? `\n\nReason: ${reason}` : ""}\n`,
+          html: layout([
+            escapeHtml(greeting(firstName)),
+            `We're sorry, your application to sell on Wigvana as "${escapeHtml(storeName)}" was not approved.`,
+            ...(reason ? [`Reason: ${escapeHtml(reason)}`] : []),
+          ]),
+        },
+
+  lowStockAlert: ({
+    firstName,
+    productName,
+    sku,
+    stockQuantity,
+    threshold,
+  }) => ({
+    subject: `Low stock: ${productName} (${sku})`,
+    text: `${greeting(firstName)}\n\nVariant ${sku} of "${productName}" is down to ${stockQuantity} in stock (your alert threshold is ${threshold}). Restock it to keep it available to buyers.\n`,
+    html: layout([
+      escapeHtml(greeting(firstName)),
+      `Variant <strong>${escapeHtml(sku)}</strong> of "${escapeHtml(productName)}" is down to ${escapeHtml(stockQuantity)} in stock (your alert threshold is ${escapeHtml(threshold)}). Restock it to keep it available to buyers.`,
+    ]),
+  }),
+
+  twoFactorFailures: ({ firstName, failedAttempts }) => ({
+    subject: "Invalid two-factor codes on your Wigvana account",
+    text: `${greeting(firstName)}\n\nSomeone entered ${failedAttempts} invalid two-factor codes for your account. Further codes are now slowed down.\n\nIf this wasn't you, change your password right away.\n`,
+    html: layout([
+      escapeHtml(greeting(firstName)),
+      `Someone entered ${escapeHtml(failedAttempts)} invalid two-factor codes for your account. Further codes are now slowed down.`,
+      "If this wasn't you, change your password right away.",
+    ]),
+  }),
+};
@@ -0,0 +1,26 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import config from "../../config/index.js";
+import { buildMimeMessage } from "./mime.js";
+
+/**
+ * Mail transport that writes each message to MAIL_FILE_DIR as an `.eml` file instead of sending
+ * it. Any mail client can open the files, which makes it the default for local development.
+ * @type {import('../mail.service.js').MailTransport}
+ */
+export const fileTransport = {
+  name: "file",
+
+  async send(message) {
+    const dir = path.resolve(config.MAIL_FILE_DIR);
+    await fs.mkdir(dir, { recursive: true });
+    const date = new Date();
+    const fileName = `${date.toISOString().replace(/[:.]/g, "-")}-${message.messageId}.eml`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      buildMimeMessage(message, date),
+      "utf8",
+    );
+    return { providerMessageId: fileName };
+  },
+};
@@ -0,0 +1,37 @@
+/** Oldest messages are dropped past this many, so a long-running process can't fill memory. */
+const MAX_MESSAGES = 500;
+
+/** @type {Array<import('./mime.js').MailMessage & {sentAt: Date}>} */
+const messages = [];
+
+/**
+ * Mail transport that keeps messages in this process instead of sending them. Used by tests to
+ * assert on what was sent, e.g. the link in a verification email.
+ * @type {import('../mail.service.js').MailTransport & {messages: typeof messages, clear: () => void, lastMessageTo: (to: string) => (typeof messages)[number] | undefined}}
+ */
+export const memoryTransport = {
+  name: "memory",
+
+  messages,
+
+  async send(message) {
+    messages.push({ ...message, sentAt: new Date() });
+    if (messages.length > MAX_MESSAGES) messages.shift();
+    return { providerMessageId: message.messageId };
+  },
+
+  /** Forgets every message sent so far. */
+  clear() {
+    messages.length = 0;
+  },
+
+  /**
+   * The most recent message sent to an address.
+   * @param {string} to - The recipient address.
+   */
+  lastMessageTo(to) {
+    return messages.findLast(
+      (message) => message.to.toLowerCase() === to.toLowerCase(),
+    );
+  },
+};
@@ -0,0 +1,75 @@
+/**
+ * @typedef {object} MailMessage
+ * @property {string} messageId - Our ID for the message; also used for the Message-ID header.
+ * @property {string} from - Sender, e.g. `Wigvana <no-reply@wigvana.local>`.
+ * @property {string} to - Recipient address.
+ * @property {string} subject - Subject line.
+ * @property {string} text - Plain text body.
+ * @property {string} html - HTML body.
+ */
+
+const CRLF = "\r\n";
+
+/**
+ * Extracts the bare address from a mailbox such as `Wigvana <no-reply@wigvana.local>`.
+ * @param {string} mailbox - The mailbox.
+ * @returns {string} The address.
+ */
+export const addressOf = (mailbox) => {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+};
+
+/**
+ * Folds a header value onto one line, then encodes it as an RFC 2047 encoded-word when it is not
+ * plain ASCII.
+ * @param {string} value - The header value.
+ * @returns {string} The value, safe to put in a header.
+ */
+const encodeHeader = (value) => {
+  const singleLine = value.replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(singleLine)
+    ? singleLine
+    : `=?UTF-8?B?${Buffer.from(singleLine, "utf8").toString("base64")}?=`;
+};
+
+/**
+ * Base64-encodes a body part, wrapped at 76 characters per line.
+ * @param {string} body - The body.
+ * @returns {string} The encoded body.
+ */
+const encodeBody = (body) =>
+  Buffer.from(body, "utf8").toString("base64").replace(/.{76}/g, `$&${CRLF}`);
+
+/**
+ * Builds an RFC 5322 message with text and HTML alternatives.
+ * @param {MailMessage} message - The message.
+ * @param {Date} [date=new Date()] - Value of the Date header.
+ * @returns {string} The raw message, with CRLF line endings.
+ */
+export const buildMimeMessage = (message, date = new Date()) => {
+  const boundary = `=_wigvana_${message.messageId}`;
+  const domain = addressOf(message.from).split("@")[1] ?? "localhost";
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${message.messageId}@${domain}>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    encodeBody(message.text),
+    `--${boundary}`,
+    "Content-Type: text/html; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    encodeBody(message.html),
+    `--${boundary}--`,
+    "",
+  ].join(CRLF);
+};
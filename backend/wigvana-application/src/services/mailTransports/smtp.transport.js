@@ -0,0 +1,52 @@
+import nodemailer from "nodemailer";
+import config from "../../config/index.js";
+import { addressOf } from "./mime.js";
+
+/**
+ * Builds a nodemailer transporter from MAIL_SMTP_*. Upgrades with STARTTLS whenever the server
+ * offers it. With credentials set, TLS is required: they are never sent over a plaintext
+ * connection unless MAIL_SMTP_ALLOW_INSECURE_AUTH opts out.
+ * @returns {import('nodemailer').Transporter} The transporter.
+ */
+const createTransporter = () => {
+  const auth = config.MAIL_SMTP_USER
+    ? { user: config.MAIL_SMTP_USER, pass: config.MAIL_SMTP_PASS ?? "" }
+    : undefined;
+  return nodemailer.createTransport({
+    host: config.MAIL_SMTP_HOST,
+    port: config.MAIL_SMTP_PORT,
+    secure: config.MAIL_SMTP_SECURE,
+    requireTLS: Boolean(auth) && !config.MAIL_SMTP_ALLOW_INSECURE_AUTH,
+    auth,
+    connectionTimeout: config.MAIL_SMTP_TIMEOUT_MS,
+    greetingTimeout: config.MAIL_SMTP_TIMEOUT_MS,
+    socketTimeout: config.MAIL_SMTP_TIMEOUT_MS,
+  });
+};
+
+/**
+ * Mail transport that delivers through an SMTP server (MAIL_SMTP_*), such as a local Mailpit or
+ * MailHog in development or the provider's relay in production.
+ * @type {import('../mail.service.js').MailTransport}
+ */
+export const smtpTransport = {
+  name: "smtp",
+
+  async send(message) {
+    const transporter = createTransporter();
+    const domain = addressOf(message.from).split("@")[1] ?? "localhost";
+    try {
+      const info = await transporter.sendMail({
+        messageId: `<${message.messageId}@${domain}>`,
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+      });
+      return { providerMessageId: info.response };
+    } finally {
+      transporter.close();
+    }
+  },
+};
@@ -0,0 +1,611 @@
+import crypto from "node:crypto";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import httpStatusCodes from "http-status-codes";
+import User from "../models/User.model.js";
+import UserIdentity from "../models/UserIdentity.model.js";
+import { redisService } from "./redis.service.js";
+import config from "../config/index.js";
+import logger from "../utils/logger.js";
+import ApiError from "../errors/ApiError.js";
+import ConflictError from "../errors/ConflictError.js";
+import NotFoundError from "../errors/NotFoundError.js";
+import UnauthorizedError from "../errors/UnauthorizedError.js";
+import { googleProvider } from "./oidcProviders/google.provider.js";
+import { appleProvider } from "./oidcProviders/apple.provider.js";
+import { genericProvider } from "./oidcProviders/generic.provider.js";
+
+/**
+ * The contract every OpenID Connect provider definition implements. Endpoints and signing keys
+ * come from the issuer's discovery document, so a provider only describes our client.
+ * @typedef {object} OidcProvider
+ * @property {string} name - Used in URLs (/auth/oidc/{name}) and stored on UserIdentity.provider.
+ * @property {string} displayName - Label for login buttons and messages.
+ * @property {string | undefined} issuer - Issuer URL; discovery is read from `${issuer}/.well-known/openid-configuration`.
+ * @property {string[]} [acceptedIssuers] - `iss` values ID tokens may carry, when the provider uses more than its issuer URL.
+ * @property {string | undefined} clientId - Our client ID at the provider.
+ * @property {string} scope - Space separated scopes to request.
+ * @property {Record<string, string>} [authorizationParams] - Extra parameters for the authorization request.
+ * @property {() => boolean} isConfigured - Whether the provider has the settings it needs.
+ * @property {() => string} getClientSecret - Client secret for the token request.
+ * @property {(params: Record<string, string>) => {firstName?: string, lastName?: string}} [profileFromCallback] - Reads profile details sent with the callback rather than in the ID token.
+ */
+
+/**
+ * What an authorization request was started for.
+ * @typedef {object} AuthorizationIntent
+ * @property {"login" | "link"} intent - Log in (or sign up), or link the account to a logged-in user.
+ * @property {string} [userId] - The user to link to (link only).
+ */
+
+/**
+ * The account the provider vouched for, from the verified ID token.
+ * @typedef {object} OidcProfile
+ * @property {string} subject - The provider's stable ID for the account.
+ * @property {string} [email] - Email address, lowercased.
+ * @property {boolean} emailVerified - Whether the provider verified the email address.
+ * @property {string} [firstName] - Given name.
+ * @property {string} [lastName] - Family name.
+ * @property {string} [name] - Full name, when the provider does not split it.
+ */
+
+/** @type {Map<string, OidcProvider>} */
+const providers = new Map(
+  [googleProvider, appleProvider, genericProvider].map((provider) => [
+    provider.name,
+    provider,
+  ]),
+);
+
+/** Algorithms we accept ID token signatures in. Symmetric ones are never accepted. */
+const ID_TOKEN_ALGORITHMS = ["RS256", "ES256"];
+
+/** Signing keys are fetched again for an unknown key ID at most this often. */
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+
+/** @type {Map<string, {metadata: Record<string, any>, expiresAt: number}>} */
+const metadataCache = new Map();
+
+/** @type {Map<string, {keys: Map<string | undefined, crypto.KeyObject>, fetchedAt: number}>} */
+const jwksCache = new Map();
+
+const SIGN_IN_EXPIRED_MESSAGE =
+  "Sign-in request expired or invalid. Please start again.";
+
+/**
+ * Registers (or replaces) a provider.
+ * @param {OidcProvider} provider - The provider to register.
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Looks up a configured provider.
+ * @param {string} name - Provider name from the URL.
+ * @returns {OidcProvider} The provider.
+ * @throws {NotFoundError} If no provider of that name is registered and configured.
+ */
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider || !provider.isConfigured()) {
+    throw new NotFoundError(`Sign-in provider '${name}' is not available.`);
+  }
+  return provider;
+};
+
+/**
+ * The providers users can log in with, for rendering login buttons.
+ * @returns {Array<{name: string, displayName: string}>} The configured providers.
+ */
+const listProviders = () =>
+  [...providers.values()]
+    .filter((provider) => provider.isConfigured())
+    .map(({ name, displayName }) => ({ name, displayName }));
+
+/** SHA-256 hex digest of a token, so Redis never holds one that works. */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+const stateKey = (state) => `oidcState:${hashToken(state)}`;
+
+/**
+ * Where the provider sends the browser back to; must be registered with the provider.
+ * @param {OidcProvider} provider - The provider.
+ * @returns {string} The callback URL.
+ */
+const callbackUrlFor = (provider) =>
+  `${config.APP_BASE_URL}/api/v1/auth/oidc/${provider.name}/callback`;
+
+const withoutTrailingSlash = (url) => url.replace(/\/+$/, "");
+
+/**
+ * Calls a provider endpoint and parses its JSON answer.
+ * @param {OidcProvider} provider - The provider, for error messages.
+ * @param {string} url - The endpoint.
+ * @param {RequestInit} [init] - Fetch options.
+ * @returns {Promise<{ok: boolean, status: number, body: Record<string, any>}>} The response.
+ * @throws {ApiError} 502 if the provider cannot be reached or does not answer with JSON.
+ */
+const fetchJson = async (provider, url, init = {}) => {
+  try {
+    const response = await fetch(url, {
+      ...init,
+      headers: { Accept: "application/json", ...init.headers },
+      signal: AbortSignal.timeout(config.OIDC_HTTP_TIMEOUT_MS),
+    });
+    return {
+      ok: response.ok,
+      status: response.status,
+      body: await response.json(),
+    };
+  } catch (error) {
+    logger.error(`OpenID Connect request to ${url} failed:`, error);
+    throw new ApiError(
+      httpStatusCodes.BAD_GATEWAY,
+      `${provider.displayName} could not be reached. Please try again later.`,
+    );
+  }
+};
+
+/**
+ * The provider's discovery document, cached for OIDC_METADATA_CACHE_MINUTES.
+ * @param {OidcProvider} provider - The provider.
+ * @returns {Promise<Record<string, any>>} The metadata.
+ * @throws {ApiError} 502 if it cannot be fetched or names a different issuer.
+ */
+const getMetadata = async (provider) => {
+  const issuer = withoutTrailingSlash(provider.issuer);
+  const cached = metadataCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+  const { ok, body } = await fetchJson(
+    provider,
+    `${issuer}/.well-known/openid-configuration`,
+  );
+  if (!ok || withoutTrailingSlash(body.issuer ?? "") !== issuer) {
+    logger.error(
+      `No usable OpenID Connect discovery document for ${provider.name} at ${issuer}.`,
+    );
+    throw new ApiError(
+      httpStatusCodes.BAD_GATEWAY,
+      `${provider.displayName} sign-in is misconfigured.`,
+    );
+  }
+  metadataCache.set(issuer, {
+    metadata: body,
+    expiresAt: Date.now() + config.OIDC_METADATA_CACHE_MINUTES * 60 * 1000,
+  });
+  return body;
+};
+
+/**
+ * Finds the provider key an ID token was signed with. Keys are cached per JWKS URL and fetched
+ * again when a token names a key we have not seen, which is how providers roll keys over.
+ * @param {OidcProvider} provider - The provider.
+ * @param {string} jwksUri - The provider's `jwks_uri`.
+ * @param {string} [keyId] - The `kid` from the token header.
+ * @returns {Promise<crypto.KeyObject | undefined>} The public key, if the provider has it.
+ */
+const getSigningKey = async (provider, jwksUri, keyId) => {
+  let cached = jwksCache.get(jwksUri);
+  if (
+    !cached?.keys.has(keyId) &&
+    (!cached || Date.now() - cached.fetchedAt > JWKS_MIN_REFRESH_MS)
+  ) {
+    const { ok, body } = await fetchJson(provider, jwksUri);
+    const keys = new Map();
+    for (const jwk of ok && Array.isArray(body.keys) ? body.keys : []) {
+      if (jwk.use && jwk.use !== "sig") continue;
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+      } catch {
+        // Key types we cannot use cannot have signed a token we accept
+      }
+    }
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+  }
+  if (keyId === undefined && cached.keys.size === 1) {
+    return cached.keys.values().next().value;
+  }
+  return cached.keys.get(keyId);
+};
+
+/**
+ * Checks an ID token's signature, issuer, audience, expiry and nonce.
+ * @param {OidcProvider} provider - The provider.
+ * @param {Record<string, any>} metadata - Its discovery document.
+ * @param {string} idToken - The ID token from the token response.
+ * @param {string} nonce - The nonce sent with the authorization request.
+ * @returns {Promise<jwt.JwtPayload>} The token's claims.
+ * @throws {UnauthorizedError} If the token is not valid for this sign-in.
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const invalid = new UnauthorizedError(
+    `${provider.displayName} sign-in could not be verified.`,
+  );
+  const decoded = jwt.decode(idToken ?? "", { complete: true });
+  if (!decoded) throw invalid;
+
+  const key = await getSigningKey(
+    provider,
+    metadata.jwks_uri,
+    decoded.header.kid,
+  );
+  if (!key) throw invalid;
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.acceptedIssuers ?? metadata.issuer,
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    logger.warn(`Rejected ${provider.name} ID token: ${error.message}`);
+    throw invalid;
+  }
+  if (typeof claims === "string" || !claims.sub || claims.nonce !== nonce) {
+    throw invalid;
+  }
+  return claims;
+};
+
+/**
+ * Redeems an authorization code, proving with the PKCE verifier that we started the request.
+ * Authenticates with client_secret_basic when the provider supports it (the OpenID Connect
+ * default) and client_secret_post otherwise.
+ * @param {OidcProvider} provider - The provider.
+ * @param {Record<string, any>} metadata - Its discovery document.
+ * @param {string} code - The authorization code.
+ * @param {string} codeVerifier - The PKCE code verifier.
+ * @returns {Promise<Record<string, any>>} The token response.
+ * @throws {UnauthorizedError} If the provider refuses the code.
+ */
+const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+  const form = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: callbackUrlFor(provider),
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  const authMethods = metadata.token_endpoint_auth_methods_supported ?? [
+    "client_secret_basic",
+  ];
+  if (authMethods.includes("client_secret_basic")) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.getClientSecret())}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  } else {
+    form.set("client_id", provider.clientId);
+    form.set("client_secret", provider.getClientSecret());
+  }
+
+  const { ok, status, body } = await fetchJson(
+    provider,
+    metadata.token_endpoint,
+    { method: "POST", headers, body: form },
+  );
+  if (!ok) {
+    logger.warn(
+      `${provider.name} refused the authorization code (${status} ${body.error}).`,
+    );
+    throw new UnauthorizedError(
+      `${provider.displayName} sign-in could not be completed. Please try again.`,
+    );
+  }
+  return body;
+};
+
+/**
+ * Starts an authorization code flow with PKCE. The state, nonce and code verifier are kept in
+ * Redis for OIDC_STATE_TTL_MINUTES; the returned browser binding must come back with the
+ * callback (the controller keeps it in a cookie), so a callback URL crafted for someone else's
+ * browser is refused.
+ * @param {string} providerName - The provider.
+ * @param {AuthorizationIntent} intent - What the flow is for.
+ * @returns {Promise<{authorizationUrl: string, browserBinding: string, expiresAt: Date}>} Where to send the browser.
+ * @throws {NotFoundError} If the provider is not available.
+ */
+const createAuthorizationRequest = async (providerName, { intent, userId }) => {
+  const provider = getProvider(providerName);
+  const metadata = await getMetadata(provider);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const browserBinding = randomToken();
+  const ttlSeconds = config.OIDC_STATE_TTL_MINUTES * 60;
+  await redisService.set(
+    stateKey(state),
+    JSON.stringify({
+      provider: provider.name,
+      intent,
+      userId,
+      nonce,
+      codeVerifier,
+      browserBindingHash: hashToken(browserBinding),
+    }),
+    ttlSeconds,
+  );
+
+  const authorizationUrl = new URL(metadata.authorization_endpoint);
+  const params = {
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: callbackUrlFor(provider),
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: crypto
+      .createHash("sha256")
+      .update(codeVerifier)
+      .digest("base64url"),
+    code_challenge_method: "S256",
+    ...provider.authorizationParams,
+  };
+  for (const [name, value] of Object.entries(params)) {
+    authorizationUrl.searchParams.set(name, value);
+  }
+
+  return {
+    authorizationUrl: authorizationUrl.toString(),
+    browserBinding,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+  };
+};
+
+/**
+ * Handles the provider's redirect back: consumes the state (each works once), redeems the code
+ * and verifies the ID token.
+ * @param {string} providerName - The provider from the callback URL.
+ * @param {Record<string, string>} params - Callback parameters (query string, or form body for form_post).
+ * @param {string | undefined} browserBinding - The binding from createAuthorizationRequest, as the browser returned it.
+ * @returns {Promise<AuthorizationIntent & {profile: OidcProfile}>} What the flow was for and the account the provider vouched for.
+ * @throws {UnauthorizedError} If the request expired, came from another browser, or the provider did not authenticate the user.
+ */
+const completeAuthorization = async (providerName, params, browserBinding) => {
+  const provider = getProvider(providerName);
+  if (!params.state) {
+    throw new UnauthorizedError(SIGN_IN_EXPIRED_MESSAGE);
+  }
+  const key = stateKey(params.state);
+  const stored = await redisService.get(key);
+  if (!stored || (await redisService.del(key)) === 0) {
+    throw new UnauthorizedError(SIGN_IN_EXPIRED_MESSAGE);
+  }
+  const request = JSON.parse(stored);
+  if (
+    request.provider !== provider.name ||
+    !browserBinding ||
+    hashToken(browserBinding) !== request.browserBindingHash
+  ) {
+    throw new UnauthorizedError(
+      "Sign-in was started in another browser. Please start again.",
+    );
+  }
+
+  if (params.error) {
+    throw new UnauthorizedError(
+      `${provider.displayName} sign-in was not completed (${params.error}).`,
+    );
+  }
+  const metadata = await getMetadata(provider);
+  // RFC 9207: a provider that names itself must be the one we sent the user to
+  if (params.iss && params.iss !== metadata.issuer) {
+    throw new UnauthorizedError(SIGN_IN_EXPIRED_MESSAGE);
+  }
+  if (!params.code) {
+    throw new UnauthorizedError(SIGN_IN_EXPIRED_MESSAGE);
+  }
+
+  const tokens = await exchangeCode(
+    provider,
+    metadata,
+    params.code,
+    request.codeVerifier,
+  );
+  const claims = await verifyIdToken(
+    provider,
+    metadata,
+    tokens.id_token,
+    request.nonce,
+  );
+  const callbackProfile = provider.profileFromCallback?.(params) ?? {};
+
+  return {
+    intent: request.intent,
+    userId: request.userId,
+    profile: {
+      subject: String(claims.sub),
+      email:
+        typeof claims.email === "string"
+          ? claims.email.toLowerCase()
+          : undefined,
+      // Some providers (Apple) send booleans as strings
+      emailVerified:
+        claims.email_verified === true || claims.email_verified === "true",
+      firstName: claims.given_name ?? callbackProfile.firstName,
+      lastName: claims.family_name ?? callbackProfile.lastName,
+      name: claims.name,
+    },
+  };
+};
+
+/**
+ * Records a provider account as able to log in as a user.
+ * @param {string} userId - The user.
+ * @param {OidcProvider} provider - The provider.
+ * @param {OidcProfile} profile - The provider account.
+ * @param {{lastLoginAt?: Date}} [fields] - Extra fields to set.
+ * @returns {Promise<InstanceType<typeof UserIdentity>>} The identity.
+ * @throws {ConflictError} If the account or provider was linked concurrently.
+ */
+const createIdentity = async (userId, provider, profile, fields = {}) => {
+  try {
+    return await UserIdentity.create({
+      userId,
+      provider: provider.name,
+      subject: profile.subject,
+      email: profile.email,
+      ...fields,
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    throw new ConflictError(
+      `This ${provider.displayName} account is already linked.`,
+    );
+  }
+};
+
+/**
+ * Names for a user created from a provider account. Providers may share only a full name, or
+ * none at all; the user can correct them in their profile.
+ * @param {OidcProfile} profile - The provider account.
+ * @returns {{firstName: string, lastName: string}} Non-empty names.
+ */
+const namesFor = (profile) => {
+  const [first, ...rest] = (profile.name ?? "").trim().split(/\s+/);
+  return {
+    firstName: profile.firstName || first || profile.email.split("@")[0],
+    lastName: profile.lastName || rest.join(" ") || "-",
+  };
+};
+
+/**
+ * Finds the user a provider account logs in as. An account logs in as the user it is linked to;
+ * an unlinked account is linked to the user with the same email address if the provider
+ * verified it, and otherwise gets a new, already verified user.
+ * @param {string} providerName - The provider.
+ * @param {OidcProfile} profile - The provider account.
+ * @returns {Promise<InstanceType<typeof User>>} The user.
+ * @throws {UnauthorizedError} If the account cannot be matched to a user safely.
+ */
+const resolveLoginUser = async (providerName, profile) => {
+  const provider = getProvider(providerName);
+  const identity = await UserIdentity.findOne({
+    provider: provider.name,
+    subject: profile.subject,
+  });
+  if (identity) {
+    const user = await User.findById(identity.userId);
+    if (!user) {
+      throw new UnauthorizedError("User not found");
+    }
+    identity.email = profile.email ?? identity.email;
+    identity.lastLoginAt = new Date();
+    await identity.save();
+    return user;
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    throw new UnauthorizedError(
+      `${provider.displayName} did not confirm an email address for this account. Log in another way and link ${provider.displayName} from your account settings.`,
+    );
+  }
+
+  let user = await User.findOne({ email: profile.email });
+  if (user && !user.emailVerified) {
+    // Nobody has proven they own this registration; linking would let whoever created it keep
+    // a password to the account the provider's user is about to rely on
+    throw new UnauthorizedError(
+      "An account with this email address exists but has not been verified. Please verify it first, then sign in again.",
+    );
+  }
+  if (!user) {
+    user = await User.create({
+      ...namesFor(profile),
+      email: profile.email,
+      // Nobody knows this password; the user can set one through the password reset flow
+      passwordHash: await bcrypt.hash(randomToken(), 10),
+      emailVerified: true,
+      accountStatus: "active",
+    });
+    logger.info(`Created user ${user.id} from a ${provider.name} sign-in.`);
+  }
+
+  await createIdentity(user.id, provider, profile, { lastLoginAt: new Date() });
+  return user;
+};
+
+/**
+ * Links a provider account to a logged-in user. Linking the same account again is a no-op.
+ * @param {string} userId - The user.
+ * @param {string} providerName - The provider.
+ * @param {OidcProfile} profile - The provider account.
+ * @returns {Promise<void>}
+ * @throws {ConflictError} If the account is linked to another user, or the user already linked another account of this provider.
+ */
+const linkIdentity = async (userId, providerName, profile) => {
+  const provider = getProvider(providerName);
+  const existing = await UserIdentity.findOne({
+    provider: provider.name,
+    subject: profile.subject,
+  });
+  if (existing) {
+    if (existing.userId !== userId) {
+      throw new ConflictError(
+        `This ${provider.displayName} account is already linked to another user.`,
+      );
+    }
+    existing.email = profile.email ?? existing.email;
+    await existing.save();
+    return;
+  }
+  if (await UserIdentity.exists({ userId, provider: provider.name })) {
+    throw new ConflictError(
+      `A different ${provider.displayName} account is already linked. Unlink it first.`,
+    );
+  }
+  await createIdentity(userId, provider, profile);
+};
+
+/**
+ * Lists the provider accounts linked to a user.
+ * @param {string} userId - The user.
+ * @returns {Promise<Array<{provider: string, displayName: string, email?: string, linkedAt: Date, lastLoginAt?: Date}>>} The linked accounts, oldest first.
+ */
+const listIdentities = async (userId) => {
+  const identities = await UserIdentity.find({ userId })
+    .sort({ createdAt: 1 })
+    .lean();
+  return identities.map((identity) => ({
+    provider: identity.provider,
+    displayName:
+      providers.get(identity.provider)?.displayName ?? identity.provider,
+    email: identity.email,
+    linkedAt: identity.createdAt,
+    lastLoginAt: identity.lastLoginAt,
+  }));
+};
+
+/**
+ * Unlinks a user's account at a provider; it can no longer log in as the user.
+ * @param {string} userId - The user.
+ * @param {string} providerName - The provider.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If no account of that provider is linked.
+ */
+const unlinkIdentity = async (userId, providerName) => {
+  const { deletedCount } = await UserIdentity.deleteOne({
+    userId,
+    provider: providerName,
+  });
+  if (deletedCount === 0) {
+    throw new NotFoundError(`No ${providerName} account is linked.`);
+  }
+};
+
+export const oidcService = {
+  registerProvider,
+  listProviders,
+  createAuthorizationRequest,
+  completeAuthorization,
+  resolveLoginUser,
+  linkIdentity,
+  listIdentities,
+  unlinkIdentity,
+};
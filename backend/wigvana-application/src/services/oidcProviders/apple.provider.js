@@ -0,0 +1,55 @@
+import jwt from "jsonwebtoken";
+import config from "../../config/index.js";
+
+const APPLE_ISSUER = "https://appleid.apple.com";
+
+/**
+ * Sign in with Apple. The client ID is the Services ID; instead of a fixed client secret, Apple
+ * takes a short-lived JWT signed with the team's Sign in with Apple key.
+ */
+export const appleProvider = {
+  name: "apple",
+  displayName: "Apple",
+  issuer: APPLE_ISSUER,
+  scope: "openid email name",
+  // Apple insists on a form POST back to the callback when the name or email scope is requested
+  authorizationParams: { response_mode: "form_post" },
+  get clientId() {
+    return config.OIDC_APPLE_CLIENT_ID;
+  },
+  isConfigured: () =>
+    Boolean(
+      config.OIDC_APPLE_CLIENT_ID &&
+        config.OIDC_APPLE_TEAM_ID &&
+        config.OIDC_APPLE_KEY_ID &&
+        config.OIDC_APPLE_PRIVATE_KEY,
+    ),
+  getClientSecret: () =>
+    jwt.sign(
+      {},
+      // Allow the PEM key to be given on one line with escaped newlines
+      config.OIDC_APPLE_PRIVATE_KEY.replace(/\\n/g, "\n"),
+      {
+        algorithm: "ES256",
+        keyid: config.OIDC_APPLE_KEY_ID,
+        issuer: config.OIDC_APPLE_TEAM_ID,
+        subject: config.OIDC_APPLE_CLIENT_ID,
+        audience: APPLE_ISSUER,
+        expiresIn: "5m",
+      },
+    ),
+  /**
+   * Apple leaves the user's name out of the ID token and posts it, on the first authorization
+   * only, as a JSON `user` field next to the code.
+   * @param {Record<string, string>} params - The callback parameters.
+   * @returns {{firstName?: string, lastName?: string}} The name, if Apple sent it.
+   */
+  profileFromCallback: (params) => {
+    try {
+      const { name } = JSON.parse(params.user ?? "{}");
+      return { firstName: name?.firstName, lastName: name?.lastName };
+    } catch {
+      return {};
+    }
+  },
+};
@@ -0,0 +1,27 @@
+import config from "../../config/index.js";
+
+/**
+ * Any other OpenID Connect provider (Keycloak, Auth0, Okta, Entra ID, ...), configured through
+ * OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_CLIENT_SECRET. Everything else is read from the issuer's
+ * discovery document.
+ */
+export const genericProvider = {
+  name: "oidc",
+  get displayName() {
+    return config.OIDC_DISPLAY_NAME;
+  },
+  get issuer() {
+    return config.OIDC_ISSUER;
+  },
+  get clientId() {
+    return config.OIDC_CLIENT_ID;
+  },
+  get scope() {
+    return config.OIDC_SCOPES;
+  },
+  isConfigured: () =>
+    Boolean(
+      config.OIDC_ISSUER && config.OIDC_CLIENT_ID && config.OIDC_CLIENT_SECRET,
+    ),
+  getClientSecret: () => config.OIDC_CLIENT_SECRET,
+};
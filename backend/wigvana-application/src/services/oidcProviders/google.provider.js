@@ -0,0 +1,18 @@
+import config from "../../config/index.js";
+
+/** Sign in with Google. Register the callback URL as an authorized redirect URI of the OAuth client. */
+export const googleProvider = {
+  name: "google",
+  displayName: "Google",
+  issuer: "https://accounts.google.com",
+  // Google's ID tokens may name the issuer without the scheme
+  acceptedIssuers: ["https://accounts.google.com", "accounts.google.com"],
+  scope: "openid email profile",
+  authorizationParams: { prompt: "select_account" },
+  get clientId() {
+    return config.OIDC_GOOGLE_CLIENT_ID;
+  },
+  isConfigured: () =>
+    Boolean(config.OIDC_GOOGLE_CLIENT_ID && config.OIDC_GOOGLE_CLIENT_SECRET),
+  getClientSecret: () => config.OIDC_GOOGLE_CLIENT_SECRET,
+};
@@ -1,3 +1,4 @@
+import mongoose from "mongoose";
 import Order from "../models/Order.model.js";
 import OrderItem from "../models/OrderItem.model.js";
 import Cart from "../models/Cart.model.js";
@@ -5,20 +6,459 @@ import CartItem from "../models/CartItem.model.js";
 import Address from "../models/Address.model.js";
 import PaymentMethod from "../models/PaymentMethod.model.js";
 import Product from "../models/Product.model.js";
-import ProductVariant from "../models/ProductVariant.model.js";
+import User from "../models/User.model.js";
 import ApiError from "../errors/ApiError.js";
+import { reservationService } from "./reservation.service.js";
 import httpStatusCodes from "http-status-codes";
+import PaymentRequiredError from "../errors/PaymentRequiredError.js";
+import PaymentGatewayTimeoutError from "../errors/PaymentGatewayTimeoutError.js";
 import logger from "../utils/logger.js";
+import config from "../config/index.js";
+import { paymentGatewayService } from "./paymentGateway.service.js";
+import { refundService } from "./refund.service.js";
+import { shipmentService } from "./shipment.service.js";
+import { orderStatusService } from "./orderStatus.service.js";
+import { promotionService } from "./promotion.service.js";
+import { taxService } from "./tax.service.js";
+import { shippingService } from "./shipping.service.js";
+import { inventoryService } from "./inventory.service.js";
+import { cartService } from "./cart.service.js";
+import { mailService } from "./mail.service.js";
 import { v4 as uuidv4 } from "uuid";
-// import { paymentGatewayService } from './paymentGateway.service.js'; // Hypothetical
-// import { inventoryService } from './inventory.service.js'; // Hypothetical
-// import { notificationService } from './notification.service.js'; // Hypothetical
+
+/**
+ * Puts an order's stock back: releases the hold of an order that was never paid, or returns the
+ * deducted stock of a paid one. Runs at most once per order: the first caller to stamp
+ * `stockRestoredAt` does the work, later callers are no-ops. Items whose stock was already
+ * restored on their own (a seller cancelled their shipment) are skipped.
+ * @param {string} orderId - The order ID.
+ * @param {mongoose.ClientSession} [session] - Optional transaction session.
+ * @param {import('./orderStatus.service.js').StatusActor} [actor] - Who cancelled; defaults to the system.
+ * @returns {Promise<Array<string>>} IDs of the variants whose stock was restored by this call.
+ */
+const restoreOrderStock = async (
+  orderId,
+  session,
+  actor = orderStatusService.SYSTEM_ACTOR,
+) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: orderId, stockRestoredAt: null },
+    { $set: { stockRestoredAt: new Date() } },
+    { session },
+  );
+  if (!claimed) return [];
+
+  const released = await reservationService.releaseOrderReservation(
+    orderId,
+    session,
+  );
+  if (released) {
+    // Nothing was deducted, so a later shipment cancellation must not put stock back either
+    await OrderItem.updateMany(
+      { orderId, stockRestoredAt: null },
+      { $set: { stockRestoredAt: new Date() } },
+      { session },
+    );
+    return released.items.map((item) => item.variantId);
+  }
+  return inventoryService.releaseOrderItemStock({ orderId }, actor, {
+    session,
+  });
+};
+
+/**
+ * Emails the buyer a confirmation of a paid order. Never throws: a missing email must not undo
+ * a confirmed payment.
+ * @param {InstanceType<typeof Order>} order - The paid order.
+ * @returns {Promise<void>}
+ */
+const sendOrderConfirmation = async (order) => {
+  try {
+    const user = await User.findById(order.userId, "email firstName").lean();
+    if (!user) return;
+    const items = await OrderItem.find(
+      { orderId: order._id },
+      "productNameSnapshot quantity totalPrice",
+    ).lean();
+    await mailService.sendMail({
+      to: user.email,
+      template: "orderConfirmation",
+      data: {
+        firstName: user.firstName,
+        orderId: order._id,
+        items: items.map((item) => ({
+          name: item.productNameSnapshot,
+          quantity: item.quantity,
+          totalPrice: item.totalPrice,
+        })),
+        totalAmount: order.totalAmount,
+        currency: order.currency,
+      },
+    });
+  } catch (err) {
+    logger.error(
+      `Failed to queue the confirmation email for order ${order._id}: ${err.message}`,
+    );
+  }
+};
+
+/**
+ * Marks an order that is awaiting payment as paid, deducts the stock it was holding and emails
+ * the buyer a confirmation.
+ * @param {string} orderId - The order ID.
+ * @param {{transactionId?: string}} payment - Gateway details of the successful payment.
+ * @returns {Promise<InstanceType<typeof Order> | null>} The updated order, or null if it was no longer awaiting payment.
+ */
+const confirmOrderPayment = async (orderId, { transactionId }) => {
+  const confirmed = await mongoose.connection.transaction(async (session) => {
+    const paid = await Order.findOneAndUpdate(
+      { _id: orderId, status: "pending_payment" },
+      {
+        $set: {
+          status: "processing",
+          paymentStatus: "paid",
+          ...(transactionId && { paymentGatewayTransactionId: transactionId }),
+        },
+        $unset: { paymentNextAction: "", paymentExpiresAt: "" },
+      },
+      { session, new: true },
+    );
+    if (!paid) return null;
+
+    const deducted = await reservationService.convertOrderReservation(
+      orderId,
+      session,
+    );
+    const sellerIds = new Map(
+      (
+        await OrderItem.find({ orderId }, "variantId sellerId")
+          .session(session)
+          .lean()
+      ).map((item) => [item.variantId, item.sellerId]),
+    );
+    await inventoryService.recordMovements(
+      deducted.map(({ variant, quantity }) => ({
+        variantId: variant._id,
+        productId: variant.productId,
+        sellerId: sellerIds.get(variant._id),
+        sku: variant.sku,
+        type: "sale",
+        quantityChange: -quantity,
+        quantityAfter: variant.stockQuantity,
+        orderId,
+      })),
+      { id: paid.userId, role: "buyer" },
+      { session },
+    );
+    await orderStatusService.recordOrderStatusChange(
+      { orderId, fromStatus: "pending_payment", toStatus: "processing" },
+      orderStatusService.SYSTEM_ACTOR,
+      { note: "Payment confirmed.", session },
+    );
+    return {
+      order: paid,
+      variantIds: deducted.map(({ variant }) => variant._id),
+    };
+  });
+  if (!confirmed) return null;
+
+  const { order, variantIds } = confirmed;
+  await inventoryService.refreshLowStockAlerts(variantIds);
+  await orderStatusService.transitionOrderItems(
+    { orderId, itemStatus: "pending" },
+    "processing",
+    orderStatusService.SYSTEM_ACTOR,
+  );
+  await shipmentService.startFulfillment(orderId);
+  logger.info(`Payment confirmed for order ${orderId}.`);
+  await sendOrderConfirmation(order);
+  return order;
+};
+
+/**
+ * Fails an order that is awaiting payment: cancels its items, releases its stock hold and
+ * reactivates the buyer's cart so they can retry.
+ * @param {string} orderId - The order ID.
+ * @param {string} reason - Gateway decline code, "payment_timeout", etc.
+ * @returns {Promise<InstanceType<typeof Order> | null>} The failed order, or null if it was no longer awaiting payment.
+ */
+const failOrderPayment = async (orderId, reason) => {
+  const failed = await mongoose.connection.transaction(async (session) => {
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, status: "pending_payment" },
+      {
+        $set: {
+          status: "payment_failed",
+          paymentStatus: "failed",
+          paymentFailureReason: reason,
+        },
+        $unset: { paymentNextAction: "", paymentExpiresAt: "" },
+      },
+      { session, new: true },
+    );
+    if (!order) return null;
+
+    await orderStatusService.recordOrderStatusChange(
+      { orderId, fromStatus: "pending_payment", toStatus: "payment_failed" },
+      orderStatusService.SYSTEM_ACTOR,
+      { note: `Payment failed: ${reason}.`, session },
+    );
+    await orderStatusService.transitionOrderItems(
+      { orderId },
+      "cancelled",
+      orderStatusService.SYSTEM_ACTOR,
+      { session },
+    );
+    await shipmentService.cancelOrderShipments(orderId, session);
+    await restoreOrderStock(orderId, session);
+    await promotionService.releaseOrderRedemption(orderId, session);
+
+    if (order.cartId) {
+      const hasActiveCart = await Cart.exists({
+        userId: order.userId,
+        status: "active",
+      }).session(session);
+      if (!hasActiveCart) {
+        await Cart.updateOne(
+          { _id: order.cartId, status: "completed" },
+          { $set: { status: "active" } },
+          { session },
+        );
+      }
+    }
+    logger.info(`Payment failed for order ${orderId} (${reason}).`);
+    return order;
+  });
+  if (failed) {
+    // Released stock may lift variants back above their low-stock threshold
+    await inventoryService.refreshLowStockAlerts(
+      await OrderItem.distinct("variantId", { orderId }),
+    );
+  }
+  return failed;
+};
+
+/**
+ * Settles a payment the gateway captured but the order could not record. The capture is
+ * refunded and the order failed; if the refund is rejected, the order stays pending_payment,
+ * marked paid, so the expiry job retries the confirmation instead of voiding it.
+ * @param {InstanceType<typeof Order>} order - The order being paid.
+ * @param {string} transactionId - The captured gateway transaction.
+ * @param {Error} err - Why the confirmation failed.
+ * @returns {Promise<void>}
+ * @throws {PaymentRequiredError} Once the capture has been refunded (or its refund timed out) and the order failed.
+ */
+const settleUnconfirmedCapture = async (order, transactionId, err) => {
+  const current = await Order.findById(order._id).select("status").lean();
+  if (current?.status !== "pending_payment") {
+    // The payment was recorded; only a step after the confirmation (fulfilment, email) failed
+    logger.error(
+      `Post-payment steps failed for order ${order._id}: ${err.message}`,
+    );
+    return;
+  }
+  logger.error(
+    `Order ${order._id} was charged but could not be confirmed: ${err.message}`,
+  );
+
+  let refund;
+  try {
+    refund = await paymentGatewayService.refund(order.paymentGateway, {
+      transactionId,
+      amount: order.totalAmount,
+      reason: "Order could not be confirmed after payment.",
+      idempotencyKey: `order_${order._id}_capture_reversal`,
+    });
+  } catch (refundErr) {
+    if (refundErr instanceof PaymentGatewayTimeoutError) {
+      // Outcome unknown: the idempotency key lets finance replay the refund safely
+      logger.warn(
+        `Refund of the unconfirmed capture on order ${order._id} timed out.`,
+      );
+      refund = { status: "pending" };
+    } else {
+      refund = { status: "failed", message: refundErr.message };
+    }
+  }
+
+  if (refund.status === "failed") {
+    logger.error(
+      `Refund of the unconfirmed capture on order ${order._id} failed (${refund.message ?? "unknown error"}); leaving it for the expiry job to confirm.`,
+    );
+    await Order.updateOne(
+      { _id: order._id, status: "pending_payment" },
+      {
+        $set: {
+          paymentStatus: "paid",
+          paymentGatewayTransactionId: transactionId,
+        },
+        $unset: { paymentNextAction: "" },
+      },
+    );
+    return;
+  }
+
+  await failOrderPayment(order._id, "confirmation_failed");
+  if (refund.status === "refunded") {
+    await Order.updateOne(
+      { _id: order._id, status: "payment_failed" },
+      { $set: { paymentStatus: "refunded" } },
+    );
+  }
+  throw new PaymentRequiredError(
+    "Payment could not be completed and has been refunded.",
+    [{ orderId: order._id, declineCode: "confirmation_failed" }],
+  );
+};
+
+/**
+ * Authorizes and captures payment for a newly created order, then settles the order.
+ * - authorized and captured: the order moves to processing.
+ * - declined: the order is failed and a PaymentRequiredError is thrown.
+ * - 3-D Secure or gateway timeout: the order stays pending_payment until a webhook or the expiry job settles it.
+ * - captured but not confirmed: see settleUnconfirmedCapture.
+ * @param {InstanceType<typeof Order>} order - The order awaiting payment.
+ * @param {InstanceType<typeof PaymentMethod>} paymentMethod - The buyer's payment method.
+ * @returns {Promise<void>}
+ */
+const collectOrderPayment = async (order, paymentMethod) => {
+  const gateway = order.paymentGateway;
+  try {
+    const authorization = await paymentGatewayService.authorize(gateway, {
+      amount: order.totalAmount,
+      currency: order.currency,
+      paymentToken: paymentMethod.paymentGatewayToken,
+      orderId: order._id,
+      idempotencyKey: `order_${order._id}_authorize`,
+    });
+
+    if (authorization.status === "declined") {
+      await failOrderPayment(
+        order._id,
+        authorization.declineCode ?? "declined",
+      );
+      throw new PaymentRequiredError(
+        `Payment declined: ${authorization.message ?? authorization.declineCode}`,
+        [{ orderId: order._id, declineCode: authorization.declineCode }],
+      );
+    }
+
+    if (authorization.status === "requires_action") {
+      await Order.updateOne(
+        { _id: order._id, status: "pending_payment" },
+        {
+          $set: {
+            paymentGatewayTransactionId: authorization.transactionId,
+            paymentNextAction: authorization.nextAction,
+          },
+        },
+      );
+      return;
+    }
+
+    await Order.updateOne(
+      { _id: order._id, status: "pending_payment" },
+      {
+        $set: {
+          paymentGatewayTransactionId: authorization.transactionId,
+          paymentStatus: "authorized",
+        },
+      },
+    );
+    const capture = await paymentGatewayService.capture(gateway, {
+      transactionId: authorization.transactionId,
+      amount: order.totalAmount,
+    });
+    if (capture.status !== "captured") {
+      await paymentGatewayService
+        .void(gateway, { transactionId: authorization.transactionId })
+        .catch((err) =>
+          logger.error(
+            `Failed to void authorization for order ${order._id}: ${err.message}`,
+          ),
+        );
+      await failOrderPayment(order._id, "capture_failed");
+      throw new PaymentRequiredError("Payment could not be captured.", [
+        { orderId: order._id, declineCode: "capture_failed" },
+      ]);
+    }
+    try {
+      await confirmOrderPayment(order._id, {
+        transactionId: authorization.transactionId,
+      });
+    } catch (err) {
+      await settleUnconfirmedCapture(order, authorization.transactionId, err);
+    }
+  } catch (err) {
+    if (err instanceof PaymentGatewayTimeoutError) {
+      // Outcome unknown: the gateway may still charge the buyer, so keep the stock and wait.
+      logger.warn(
+        `Payment ${err.operation} timed out for order ${order._id}; leaving it pending.`,
+      );
+      return;
+    }
+    if (!(err instanceof PaymentRequiredError)) {
+      await failOrderPayment(order._id, "gateway_error");
+    }
+    throw err;
+  }
+};
+
+/**
+ * Fails every pending_payment order whose payment window has passed, voiding any
+ * outstanding authorization. Orders whose payment was captured but never confirmed are
+ * confirmed instead. Called periodically by the pending payment expiry job.
+ * @param {Date} [now=new Date()] - Reference time.
+ * @returns {Promise<number>} Number of orders failed.
+ */
+const expireStalePendingPayments = async (now = new Date()) => {
+  const stale = await Order.find({
+    status: "pending_payment",
+    paymentExpiresAt: { $lte: now },
+  })
+    .select("_id paymentGateway paymentGatewayTransactionId paymentStatus")
+    .limit(100)
+    .lean();
+
+  let failedCount = 0;
+  for (const order of stale) {
+    if (order.paymentStatus === "paid") {
+      // Captured but never confirmed (see settleUnconfirmedCapture): the buyer has paid
+      await confirmOrderPayment(order._id, {}).catch((err) =>
+        logger.error(
+          `Failed to confirm captured payment for order ${order._id}: ${err.message}`,
+        ),
+      );
+      continue;
+    }
+    if (order.paymentGatewayTransactionId) {
+      await paymentGatewayService
+        .void(order.paymentGateway, {
+          transactionId: order.paymentGatewayTransactionId,
+        })
+        .catch((err) =>
+          logger.error(
+            `Failed to void authorization for expired order ${order._id}: ${err.message}`,
+          ),
+        );
+    }
+    if (await failOrderPayment(order._id, "payment_timeout")) failedCount += 1;
+  }
+  if (failedCount > 0) {
+    logger.info(`Failed ${failedCount} order(s) whose payment window expired.`);
+  }
+  return failedCount;
+};
 
 /**
  * Places an order for a buyer.
  * @param {string} userId - The ID of the buyer.
  * @param {typeof import('../dtos/order.dto.js').placeOrderSchema._input.body} orderData - Order placement data.
- * @returns {Promise<InstanceType<typeof Order>>} The created order document.
+ * @returns {Promise<InstanceType<typeof Order>>} The created order, in status processing (paid) or pending_payment (awaiting 3-D Secure or a gateway answer).
+ * @throws {ApiError} 404 or 400 if the discount code does not exist or no longer applies, 409 if it ended or reached a usage limit during checkout.
+ * @throws {CartChangedError} If cart lines changed since the buyer last acknowledged the cart; nothing is persisted.
+ * @throws {InsufficientStockError} If any cart line exceeds the variant's remaining stock; nothing is persisted.
+ * @throws {PaymentRequiredError} If the gateway declines the payment, or it is refunded because the order could not be confirmed; the order is kept as payment_failed.
  */
 const placeOrder = async (userId, orderData) => {
   const {
@@ -26,7 +466,7 @@ const placeOrder = async (userId, orderData) => {
     shippingAddressId,
     billingAddressId,
     paymentMethodId,
-    shippingMethod,
+    shippingSelections,
     notesByBuyer,
   } = orderData;
 
@@ -62,6 +502,8 @@ const placeOrder = async (userId, orderData) => {
       "Cannot place an order with an empty cart.",
     );
   }
+  // Never charge for a cart that changed (price, stock, availability) behind the buyer's back
+  await cartService.ensureCartAcknowledged(cartToCheckout._id, cartItems);
 
   // 2. Validate Addresses and Payment Method
   const shippingAddress = await Address.findOne({
@@ -85,96 +527,192 @@ const placeOrder = async (userId, orderData) => {
   });
   if (!paymentMethod)
     throw new ApiError(httpStatusCodes.NOT_FOUND, "Payment method not found.");
+  // Refuse before any order exists or stock moves if we cannot charge this method
+  if (!paymentGatewayService.isSupported(paymentMethod.paymentGateway))
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `Payment method uses the '${paymentMethod.paymentGateway}' gateway, which is not supported for checkout.`,
+    );
 
-  // 3. Calculate Totals (subtotal, shipping, tax, total) - Simplified
+  // 3. Calculate Totals (subtotal, discount, shipping, tax, total) - Simplified
   let subtotalAmount = 0;
 
   for (const item of cartItems) {
     subtotalAmount += item.priceAtAddition * item.quantity;
   }
-  const shippingCost = 5.0; // Placeholder
-  const taxAmount = Number.parseFloat((subtotalAmount * 0.07).toFixed(2)); // Placeholder 7% tax
+  // Same quote as GET /me/cart/shipping-options, so the buyer is charged the price they picked
+  const shipping = shippingService.selectShippingMethods(
+    await shippingService.quoteShipping(
+      shippingService.toShippingLines(cartItems),
+      shippingAddress,
+    ),
+    shippingSelections,
+  );
+  let { shippingCost } = shipping;
+
+  // The code is checked again here; it is only redeemed inside the transaction below.
+  const discountCode = orderData.discountCode ?? cartToCheckout.discountCode;
+  const promotionDiscount = discountCode
+    ? await promotionService.evaluatePromotionCode(
+        discountCode,
+        promotionService.toPromotionLines(cartItems),
+        { userId, shippingCost },
+      )
+    : null;
+  const discountAmount = promotionDiscount?.discountAmount ?? 0;
+  if (promotionDiscount) {
+    shippingCost = Number.parseFloat(
+      (shippingCost - promotionDiscount.shippingDiscountAmount).toFixed(2),
+    );
+  }
+
+  // Same calculation as the cart preview, so the buyer is charged what they were shown
+  const tax = await taxService.calculateTax(
+    taxService.toTaxLines(cartItems, promotionDiscount?.lineDiscounts),
+    shippingAddress,
+  );
+  const { taxAmount, includedTaxAmount } = tax;
+  // Tax already contained in tax-inclusive prices is not added again
   const totalAmount = Number.parseFloat(
-    (subtotalAmount + shippingCost + taxAmount).toFixed(2),
+    (
+      subtotalAmount -
+      discountAmount +
+      shippingCost +
+      taxAmount -
+      includedTaxAmount
+    ).toFixed(2),
   );
   const currency = cartItems[0].currencyAtAddition; // Assume all items have same currency
 
-  // 4. Process Payment (Simulated)
-  // In real app: await paymentGatewayService.charge(paymentMethod.paymentGatewayToken, totalAmount, currency);
-  // If payment fails, throw error. For now, assume success.
-  const paymentGatewayTransactionId = `sim_txn_${uuidv4()}`;
-  const paymentStatus = "paid";
-  logger.info(
-    `Simulated payment success for order. Txn ID: ${paymentGatewayTransactionId}`,
-  );
+  // 4-6. Hold stock, create the order (awaiting payment) and close the cart atomically.
+  // Any failure (including a single line running out) aborts the whole transaction.
+  const order = await mongoose.connection.transaction(async (session) => {
+    // Claim the cart first so a concurrent checkout of the same cart cannot also succeed.
+    const claimedCart = await Cart.findOneAndUpdate(
+      { _id: cartToCheckout._id, status: "active" },
+      { $set: { status: "completed" } },
+      { session, new: true },
+    );
+    if (!claimedCart)
+      throw new ApiError(
+        httpStatusCodes.CONFLICT,
+        "Cart has already been checked out.",
+      );
 
-  // 5. Create Order and OrderItems
-  const order = new Order({
-    userId,
-    status: "processing", // Initial status after successful payment
-    shippingAddressSnapshot: shippingAddress.toObject(), // Store a copy
-    billingAddressSnapshot: billingAddress.toObject(),
-    paymentMethodDetailsSnapshot: {
-      // Store relevant, non-sensitive parts
-      type: paymentMethod.type,
-      cardBrand: paymentMethod.cardBrand,
-      lastFourDigits: paymentMethod.lastFourDigits,
-      paymentGateway: paymentMethod.paymentGateway,
-    },
-    paymentGatewayTransactionId,
-    paymentStatus,
-    subtotalAmount,
-    shippingMethod,
-    shippingCost,
-    taxAmount,
-    totalAmount,
-    currency,
-    notesByBuyer,
-  });
-  await order.save();
+    // Hold the stock until payment is confirmed; it is only deducted then.
+    const orderId = uuidv4();
+    const paymentExpiresAt = new Date(
+      Date.now() + config.PAYMENT_PENDING_TIMEOUT_MINUTES * 60 * 1000,
+    );
+    await reservationService.holdOrderStock(
+      {
+        cartId: cartToCheckout._id,
+        userId,
+        orderId,
+        expiresAt: paymentExpiresAt,
+      },
+      cartItems.map((cartItem) => ({
+        cartItemId: cartItem._id,
+        productId: cartItem.productId._id,
+        // populated() keeps the original id even when the variant has since been deleted
+        variantId: cartItem.variantId?._id ?? cartItem.populated("variantId"),
+        productName: cartItem.productId?.name,
+        quantity: cartItem.quantity,
+      })),
+      session,
+    );
 
-  for (const cartItem of cartItems) {
-    await OrderItem.create({
-      orderId: order._id,
-      productId: cartItem.productId._id,
-      variantId: cartItem.variantId._id,
-      sellerId: cartItem.productId.sellerId, // Assuming productId is populated with sellerId
-      productNameSnapshot: cartItem.productId.name,
-      variantAttributesSnapshot: cartItem.variantId.attributes,
-      quantity: cartItem.quantity,
-      unitPrice: cartItem.priceAtAddition,
-      totalPrice: cartItem.priceAtAddition * cartItem.quantity,
-      itemStatus: "pending", // Initial status for each item
-    });
-    // 6. Deduct Inventory (Simulated)
-    // await inventoryService.deductStock(cartItem.variantId._id, cartItem.quantity);
-    await ProductVariant.findByIdAndUpdate(cartItem.variantId._id, {
-      $inc: { stockQuantity: -cartItem.quantity },
-    });
-  }
+    const [createdOrder] = await Order.create(
+      [
+        {
+          _id: orderId,
+          userId,
+          cartId: cartToCheckout._id,
+          status: "pending_payment", // Moves on once the gateway confirms payment
+          shippingAddressSnapshot: shippingAddress.toObject(), // Store a copy
+          billingAddressSnapshot: billingAddress.toObject(),
+          paymentMethodDetailsSnapshot: {
+            // Store relevant, non-sensitive parts
+            type: paymentMethod.type,
+            cardBrand: paymentMethod.cardBrand,
+            lastFourDigits: paymentMethod.lastFourDigits,
+            paymentGateway: paymentMethod.paymentGateway,
+          },
+          paymentGateway: paymentMethod.paymentGateway,
+          paymentStatus: "pending",
+          paymentExpiresAt,
+          subtotalAmount,
+          discountCode: promotionDiscount?.promotion.code,
+          discountAmount,
+          promotionId: promotionDiscount?.promotion._id,
+          shippingMethod: [
+            ...new Set(shipping.shipments.map((s) => s.name)),
+          ].join(", "),
+          shippingCost,
+          taxAmount,
+          includedTaxAmount,
+          totalAmount,
+          currency,
+          notesByBuyer,
+        },
+      ],
+      { session },
+    );
+    if (promotionDiscount) {
+      await promotionService.redeemPromotion(
+        {
+          promotion: promotionDiscount.promotion,
+          userId,
+          orderId,
+          discountAmount,
+          shippingDiscountAmount: promotionDiscount.shippingDiscountAmount,
+        },
+        session,
+      );
+    }
+
+    // One shipment per seller: each seller fulfils and tracks their own items.
+    const orderItems = await shipmentService.createShipmentsForOrder(
+      createdOrder._id,
+      cartItems.map((cartItem) => ({
+        orderId: createdOrder._id,
+        productId: cartItem.productId._id,
+        variantId: cartItem.variantId._id,
+        sellerId: cartItem.productId.sellerId, // Assuming productId is populated with sellerId
+        productNameSnapshot: cartItem.productId.name,
+        variantAttributesSnapshot: cartItem.variantId.attributes,
+        quantity: cartItem.quantity,
+        unitPrice: cartItem.priceAtAddition,
+        totalPrice: cartItem.priceAtAddition * cartItem.quantity,
+        discountAmount: promotionDiscount?.lineDiscounts[cartItem._id] ?? 0,
+        taxAmount: tax.lines[cartItem._id].taxAmount,
+        includedTaxAmount: tax.lines[cartItem._id].includedTaxAmount,
+        taxBreakdown: tax.lines[cartItem._id].breakdown,
+        itemStatus: "pending", // Initial status for each item
+      })),
+      session,
+      shipping.shipments,
+    );
+    await OrderItem.insertMany(orderItems, { session });
+    await orderStatusService.recordOrderStatusChange(
+      { orderId: createdOrder._id, toStatus: createdOrder.status },
+      { id: userId, role: "buyer" },
+      { note: "Order placed.", session },
+    );
+
+    return createdOrder;
+  });
 
-  // 7. Clear Cart (or mark as completed)
-  cartToCheckout.status = "completed";
-  await cartToCheckout.save();
-  // Optionally: await CartItem.deleteMany({ cartId: cartToCheckout._id });
+  // 7. Take payment outside the transaction: gateway calls must never hold database locks.
+  // Declines throw after the order is failed and its hold released; pending outcomes return normally.
+  await collectOrderPayment(order, paymentMethod);
 
-  // 8. Send Notifications (Simulated)
-  // await notificationService.sendOrderConfirmation(user.email, order);
+  // 8. The buyer is emailed a confirmation once payment is confirmed (see confirmOrderPayment).
 
   // Populate items for response
-  const populatedOrder = await Order.findById(order._id)
-    .populate({
-      path: "items", // Virtual populate if you set it up, or query OrderItems
-      model: OrderItem, // If not using virtual populate
-    })
+  return Order.findById(order._id)
+    .populate({ path: "items", model: OrderItem })
     .lean();
-
-  // If you didn't use virtual populate, you'd fetch items separately:
-  if (!populatedOrder.items) {
-    populatedOrder.items = await OrderItem.find({ orderId: order._id }).lean();
-  }
-
-  return populatedOrder;
 };
 
 /**
@@ -226,6 +764,16 @@ const getBuyerOrderById = async (userId, orderId) => {
         { path: "variantId", select: "sku attributes" },
       ],
     })
+    .populate({
+      path: "shipments",
+      populate: [
+        { path: "sellerId", select: "firstName lastName" },
+        {
+          path: "items",
+          select: "shipmentId productNameSnapshot quantity itemStatus",
+        },
+      ],
+    })
     .lean();
 
   if (!order) {
@@ -235,103 +783,81 @@ const getBuyerOrderById = async (userId, orderId) => {
 };
 
 /**
- * Cancels an order if policy allows.
+ * Gets the status history of one of the buyer's orders.
  * @param {string} userId - The ID of the buyer.
- * @param {string} orderId - The ID of the order to cancel.
- * @returns {Promise<InstanceType<typeof Order>>} The updated order document.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<{orderId: string, status: string, events: Array<Object>}>} The order's timeline, oldest event first.
  */
-const cancelBuyerOrder = async (userId, orderId) => {
-  const order = await Order.findOne({ _id: orderId, userId });
+const getBuyerOrderTimeline = async (userId, orderId) => {
+  const order = await Order.findOne({ _id: orderId, userId }, "status").lean();
   if (!order) {
     throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
   }
+  const events = await orderStatusService.getOrderTimeline(orderId);
+  return { orderId, status: order.status, events };
+};
 
-  // Policy: Allow cancellation only if status is 'processing' or 'pending_payment'
-  if (!["processing", "pending_payment"].includes(order.status)) {
-    throw new ApiError(
-      httpStatusCodes.BAD_REQUEST,
-      `Order cannot be cancelled in its current status: ${order.status}.`,
-    );
-  }
-
-  order.status = "cancelled_by_user";
-  // In a real app:
-  // - Refund payment if already captured: await paymentGatewayService.refund(order.paymentGatewayTransactionId);
-  // - Restore inventory: For each orderItem, await inventoryService.restoreStock(orderItem.variantId, orderItem.quantity);
-  // - Notify seller/admin
-  await order.save();
-  logger.info(
-    `Order ${orderId} cancelled by user ${userId}. Payment refund and inventory restoration would occur here.`,
+/**
+ * Carries out the side effects of a cancelled order: closes its open shipments, puts its stock back,
+ * releases its promotion redemption, then voids or refunds the payment. Every step is claimed, so
+ * calling it again for the same order (a retried request) completes whatever is left and repeats nothing.
+ * @param {string} orderId - The order ID; the order has already moved to a cancelled status.
+ * @param {import('./orderStatus.service.js').StatusActor} actor - Who cancelled.
+ * @param {string} reason - Why, recorded on the refund.
+ * @returns {Promise<void>}
+ */
+const settleOrderCancellation = async (orderId, actor, reason) => {
+  const restoredVariantIds = await mongoose.connection.transaction(
+    async (session) => {
+      await shipmentService.cancelOrderShipments(orderId, session);
+      await promotionService.releaseOrderRedemption(orderId, session);
+      return restoreOrderStock(orderId, session, actor);
+    },
   );
-  return order.populate({ path: "items", model: OrderItem });
+  await inventoryService.refreshLowStockAlerts(restoredVariantIds);
+
+  // Gateway calls run outside the transaction so they never hold database locks.
+  await refundService.releaseCancelledPayment(orderId, { reason }, actor);
 };
 
 /**
- * Submits a return request for an item in an order.
+ * Cancels an order if policy allows, putting its stock back and voiding or refunding its payment.
+ * Cancelling an order the buyer already cancelled finishes any step that failed the first time.
  * @param {string} userId - The ID of the buyer.
- * @param {string} orderId - The ID of the order.
- * @param {typeof import('../dtos/order.dto.js').requestReturnSchema._input.body} returnData - Return request details.
- * @returns {Promise<Object>} Confirmation of return request.
+ * @param {string} orderId - The ID of the order to cancel.
+ * @returns {Promise<InstanceType<typeof Order>>} The updated order document.
  */
-const requestReturn = async (userId, orderId, returnData) => {
-  const { orderItemId, reason, quantity } = returnData;
-
+const cancelBuyerOrder = async (userId, orderId) => {
   const order = await Order.findOne({ _id: orderId, userId });
   if (!order) {
     throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
   }
-  // Policy: Allow returns only if order is 'delivered' or 'completed' (within a certain timeframe)
-  if (!["delivered", "completed"].includes(order.status)) {
-    throw new ApiError(
-      httpStatusCodes.BAD_REQUEST,
-      `Items from this order cannot be returned in its current status: ${order.status}.`,
-    );
-  }
 
-  const itemToReturn = await OrderItem.findOne({
-    _id: orderItemId,
-    orderId: order._id,
-  });
-  if (!itemToReturn) {
-    throw new ApiError(
-      httpStatusCodes.NOT_FOUND,
-      "Item not found in this order.",
-    );
-  }
-  if (quantity > itemToReturn.quantity) {
-    throw new ApiError(
-      httpStatusCodes.BAD_REQUEST,
-      "Return quantity cannot exceed ordered quantity.",
+  const actor = { id: userId, role: "buyer" };
+  if (order.status !== "cancelled_by_user") {
+    // Policy: buyers can cancel until a seller has shipped (see the order transition table)
+    if (
+      !orderStatusService.canTransitionOrder(order.status, "cancelled_by_user")
+    ) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        `Order cannot be cancelled in its current status: ${order.status}.`,
+      );
+    }
+    await orderStatusService.transitionOrder(
+      orderId,
+      "cancelled_by_user",
+      actor,
     );
-  }
-  if (
-    itemToReturn.itemStatus === "returned" ||
-    itemToReturn.itemStatus === "refunded"
-  ) {
-    throw new ApiError(
-      httpStatusCodes.BAD_REQUEST,
-      "This item has already been processed for return/refund.",
+    await orderStatusService.transitionOrderItems(
+      { orderId },
+      "cancelled",
+      actor,
     );
   }
-
-  // Create a ReturnRequest record (needs a new Mongoose model: ReturnRequest)
-  // For now, simulate by logging and updating item status (simplified)
-  logger.info(
-    `User ${userId} requested return for item ${orderItemId} (qty: ${quantity}) from order ${orderId}. Reason: ${reason}.`,
-  );
-  // In a real system:
-  // const returnRequest = await ReturnRequest.create({ userId, orderId, orderItemId, quantity, reason, status: 'pending_approval' });
-  // itemToReturn.itemStatus = 'return_pending'; // Or similar
-  // await itemToReturn.save();
-  // Notify seller
-
-  return {
-    returnRequestId: uuidv4(), // Simulated ID
-    orderId,
-    orderItemId,
-    status: "pending_approval", // Simulated status
-    message: "Return request submitted. Awaiting seller approval.",
-  };
+  await settleOrderCancellation(orderId, actor, "Cancelled by the buyer.");
+  logger.info(`Order ${orderId} cancelled by user ${userId}.`);
+  return Order.findById(orderId).populate({ path: "items", model: OrderItem });
 };
 
 /**
@@ -429,6 +955,7 @@ const getSellerReceivedOrderById = async (sellerId, orderId) => {
         { path: "variantId", select: "sku attributes" },
       ],
     })
+    .populate({ path: "shipments", match: { sellerId } }) // Only the seller's own shipment
     .populate("userId", "firstName lastName email profilePictureUrl") // Buyer info
     .lean();
 
@@ -442,151 +969,43 @@ const getSellerReceivedOrderById = async (sellerId, orderId) => {
 };
 
 /**
- * Updates the status of an order (or specific items if multi-seller per order).
- * For simplicity, this updates the overall order status.
+ * Gets the status history of an order containing the seller's items. Item events are limited to
+ * the seller's own items.
  * @param {string} sellerId - The ID of the seller.
  * @param {string} orderId - The ID of the order.
- * @param {typeof import('../dtos/order.dto.js').updateOrderStatusSchema._input.body} statusData - New status and related info.
- * @returns {Promise<InstanceType<typeof Order>>} The updated order document.
+ * @returns {Promise<{orderId: string, status: string, events: Array<Object>}>} The order's timeline, oldest event first.
  */
-const updateSellerOrderStatus = async (sellerId, orderId, statusData) => {
-  // Ensure seller has items in this order
+const getSellerOrderTimeline = async (sellerId, orderId) => {
   const sellerOrderItemExists = await OrderItem.exists({ orderId, sellerId });
-  if (!sellerOrderItemExists) {
-    throw new ApiError(
-      httpStatusCodes.FORBIDDEN,
-      "You do not have items in this order to update its status.",
-    );
-  }
-
-  const order = await Order.findById(orderId);
+  const order =
+    sellerOrderItemExists && (await Order.findById(orderId, "status").lean());
   if (!order) {
-    throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
-  }
-
-  // Seller can only transition to certain statuses
-  const allowedSellerStatuses = [
-    "processing",
-    "shipped",
-    "out_for_delivery",
-    "delivered",
-    "cancelled_by_seller",
-  ];
-  if (!allowedSellerStatuses.includes(statusData.status)) {
     throw new ApiError(
-      httpStatusCodes.BAD_REQUEST,
-      `Invalid status update: ${statusData.status}.`,
-    );
-  }
-
-  // Policy checks (e.g., cannot set to 'delivered' if not 'shipped' or 'out_for_delivery')
-  // if (statusData.status === 'shipped' && order.status !== 'processing') { ... }
-
-  order.status = statusData.status;
-  if (statusData.status === "shipped") {
-    if (!statusData.trackingNumber)
-      throw new ApiError(
-        httpStatusCodes.BAD_REQUEST,
-        "Tracking number required for shipped status.",
-      );
-    order.trackingNumber = statusData.trackingNumber;
-    order.carrier = statusData.carrier || order.carrier; // Keep old carrier if new one not provided
-    // TODO: Update item statuses to 'shipped' for items belonging to this seller in this order
-    await OrderItem.updateMany(
-      { orderId, sellerId },
-      { $set: { itemStatus: "shipped" } },
-    );
-  }
-  if (statusData.status === "delivered") {
-    await OrderItem.updateMany(
-      { orderId, sellerId },
-      { $set: { itemStatus: "delivered" } },
+      httpStatusCodes.NOT_FOUND,
+      "Order not found or no items in this order belong to you.",
     );
   }
-  if (statusData.notes) {
-    order.internalNotes = `${order.internalNotes ? `${order.internalNotes}\n` : ""}Seller Note: ${statusData.notes}`;
-  }
-
-  await order.save();
-  // TODO: Notify buyer of status change.
-  // await notificationService.sendOrderStatusUpdate(order.userId.email, order, statusData.status);
-  logger.info(
-    `Order ${orderId} status updated to ${statusData.status} by seller ${sellerId}.`,
-  );
-  return order.populate({ path: "items", model: OrderItem });
-};
-
-// --- Seller Return Management (Simplified - assumes a ReturnRequest model) ---
-// You would need to create a 'ReturnRequest' Mongoose model similar to other entities.
-// It would link to Order, OrderItem, User (buyer), User (seller processing), and have fields like
-// quantity, reason, status (pending_approval, approved, rejected, item_received, refund_processing, refunded), sellerNotes.
-
-/**
- * Lists return requests associated with items sold by the seller.
- * @param {string} sellerId - The ID of the seller.
- * @param {typeof import('../dtos/order.dto.js').listSellerReturnsQuerySchema._input.query} queryOptions - Query options.
- * @returns {Promise<Object>} Paginated return requests.
- */
-const listSellerReturnRequests = async (sellerId, queryOptions) => {
-  // const { page, limit, status, orderId, buyerId } = queryOptions;
-  // const filter = { sellerId }; // Assuming ReturnRequest has a sellerId field
-  // if (status && status !== 'all') filter.status = status;
-  // if (orderId) filter.orderId = orderId;
-  // if (buyerId) filter.buyerId = buyerId; // Assuming ReturnRequest has buyerId
-
-  // const skip = (page - 1) * limit;
-  // const returns = await ReturnRequest.find(filter)
-  //   .populate('orderId', '...')
-  //   .populate('orderItemId', '...')
-  //   .populate('buyerId', 'firstName lastName email')
-  //   .sort({ createdAt: -1 })
-  //   .skip(skip)
-  //   .limit(limit)
-  //   .lean();
-  // const totalResults = await ReturnRequest.countDocuments(filter);
-  // const totalPages = Math.ceil(totalResults / limit);
-  // return { results: returns, page, limit, totalPages, totalResults };
-  logger.warn(
-    "ReturnRequest model and full service logic not yet implemented.",
-  );
-  return { results: [], page: 1, limit: 10, totalPages: 0, totalResults: 0 };
+  const events = await orderStatusService.getOrderTimeline(orderId, {
+    sellerId,
+  });
+  return { orderId, status: order.status, events };
 };
 
 /**
- * Updates the status of a return request by the seller.
+ * Updates the seller's own shipment within an order. The order status is derived from all
+ * of its shipments, so one seller shipping does not mark other sellers' items as shipped.
  * @param {string} sellerId - The ID of the seller.
- * @param {string} returnId - The ID of the return request.
- * @param {typeof import('../dtos/order.dto.js').updateReturnStatusSchema._input.body} statusData - New status and reason.
- * @returns {Promise<any>} The updated return request.
+ * @param {string} orderId - The ID of the order.
+ * @param {typeof import('../dtos/order.dto.js').updateOrderStatusSchema._input.body} statusData - New status and related info.
+ * @returns {Promise<InstanceType<typeof Order>>} The updated order with its items and the seller's shipment.
  */
-const updateSellerReturnRequestStatus = async (
-  sellerId,
-  returnId,
-  statusData,
-) => {
-  // const returnRequest = await ReturnRequest.findOne({ _id: returnId, sellerId });
-  // if (!returnRequest) {
-  //   throw new ApiError(httpStatusCodes.NOT_FOUND, 'Return request not found or does not belong to you.');
-  // }
-  // if (statusData.status === 'rejected' && !statusData.reason) {
-  //   throw new ApiError(httpStatusCodes.BAD_REQUEST, 'Reason is required when rejecting a return.');
-  // }
-  // returnRequest.status = statusData.status;
-  // if (statusData.reason) returnRequest.sellerNotes = statusData.reason;
-  // await returnRequest.save();
-  // // If approved, trigger refund process or instruct buyer on return shipping.
-  // // If item_received, inspect item, then trigger refund.
-  // // If refunded, update OrderItem status.
-  // // Notify buyer.
-  // return returnRequest;
-  logger.warn(
-    "ReturnRequest model and full service logic not yet implemented.",
+const updateSellerOrderStatus = async (sellerId, orderId, statusData) => {
+  await shipmentService.updateSellerShipmentStatus(
+    sellerId,
+    orderId,
+    statusData,
   );
-  return {
-    returnRequestId: returnId,
-    status: statusData.status,
-    message: "Status update simulated.",
-  };
+  return getSellerReceivedOrderById(sellerId, orderId);
 };
 
 /**
@@ -650,68 +1069,79 @@ const adminGetOrderById = async (orderId) => {
         { path: "variantId", select: "sku attributes" },
         { path: "sellerId", select: "firstName lastName email" },
       ],
-    });
+    })
+    .populate("shipments");
   if (!order) throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
   return order;
 };
 
 /**
- * (Admin) Updates any order status (e.g., override, resolve disputes).
+ * (Admin) Gets the full status history of any order, including admin notes.
  * @param {string} orderId - ID of the order.
- * @param {typeof import('../dtos/admin.dto.js').adminUpdateOrderStatusSchema._input.body} statusData - Data.
- * @returns {Promise<InstanceType<typeof Order>>} Updated order.
+ * @returns {Promise<{orderId: string, status: string, events: Array<Object>}>} The order's timeline, oldest event first.
  */
-const adminUpdateOrderStatus = async (orderId, statusData) => {
-  const order = await Order.findById(orderId);
+const adminGetOrderTimeline = async (orderId) => {
+  const order = await Order.findById(orderId, "status").lean();
   if (!order) throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
-
-  order.status = statusData.status;
-  if (statusData.notes) {
-    order.internalNotes = `${order.internalNotes ? `${order.internalNotes}\n` : ""}Admin Note: ${statusData.notes}`;
-  }
-  await order.save();
-  // TODO: Notify relevant parties (buyer, seller(s))
-  logger.info(`Admin updated order ${orderId} status to ${statusData.status}.`);
-  return adminGetOrderById(orderId); // Fetch with population
+  const events = await orderStatusService.getOrderTimeline(orderId, {
+    includeAdminNotes: true,
+  });
+  return { orderId, status: order.status, events };
 };
 
 /**
- * (Admin) Processes a refund for an order (if centralized).
+ * (Admin) Moves an order to a new status. The move must be allowed by the order transition table;
+ * the admin's note is kept in the order's status history.
  * @param {string} orderId - ID of the order.
- * @param {typeof import('../dtos/admin.dto.js').adminProcessRefundSchema._input.body} refundData - Data.
+ * @param {typeof import('../dtos/admin.dto.js').adminUpdateOrderStatusSchema._input.body} statusData - Data.
+ * @param {string} adminId - ID of the admin making the change.
  * @returns {Promise<InstanceType<typeof Order>>} Updated order.
  */
-const adminProcessRefund = async (orderId, refundData) => {
-  const order = await Order.findById(orderId);
+const adminUpdateOrderStatus = async (orderId, statusData, adminId) => {
+  const actor = { id: adminId, role: "admin" };
+  const order = await Order.findById(orderId, "status").lean();
   if (!order) throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
-  if (order.paymentStatus === "refunded" && order.totalAmount === 0) {
-    // Simplified full refund check
-    throw new ApiError(
-      httpStatusCodes.BAD_REQUEST,
-      "Order already fully refunded.",
+  // Repeating a cancellation finishes any step that failed the first time
+  const retriesCancellation =
+    statusData.status === "cancelled_by_admin" &&
+    order.status === "cancelled_by_admin";
+  if (!retriesCancellation) {
+    await orderStatusService.transitionOrder(
+      orderId,
+      statusData.status,
+      actor,
+      { note: statusData.notes ?? undefined },
     );
   }
-  if (refundData.amount > order.totalAmount - (order.refundedAmount || 0)) {
-    // Assuming `refundedAmount` field on Order
-    throw new ApiError(
-      httpStatusCodes.BAD_REQUEST,
-      `Refund amount ${refundData.amount} exceeds refundable amount.`,
+  if (statusData.status === "cancelled_by_admin") {
+    await orderStatusService.transitionOrderItems(
+      { orderId },
+      "cancelled",
+      actor,
+    );
+    await settleOrderCancellation(
+      orderId,
+      actor,
+      statusData.notes ?? "Cancelled by an admin.",
     );
   }
+  // TODO: Notify relevant parties (buyer, seller(s))
+  logger.info(`Admin updated order ${orderId} status to ${statusData.status}.`);
+  return adminGetOrderById(orderId); // Fetch with population
+};
 
-  // Simulate refund processing with a payment gateway
-  logger.info(
-    `Admin processing refund of ${refundData.amount} for order ${orderId}. Reason: ${refundData.reason}. Gateway Txn: ${order.paymentGatewayTransactionId}`,
-  );
-  // paymentGatewayService.processRefund(order.paymentGatewayTransactionId, refundData.amount);
-
-  order.paymentStatus = "refunded"; // Or 'partially_refunded'
-  order.status = "refunded"; // Or a more specific status
-  // order.refundedAmount = (order.refundedAmount || 0) + refundData.amount;
-  order.internalNotes = `${order.internalNotes ? `${order.internalNotes}\n` : ""}Admin Refund: ${refundData.amount} (${refundData.reason}).`;
-
-  await order.save();
-  // TODO: Update OrderItem statuses if item-specific refund
+/**
+ * (Admin) Refunds part or all of an order and records it in the order's refund ledger.
+ * @param {string} orderId - ID of the order.
+ * @param {typeof import('../dtos/admin.dto.js').adminProcessRefundSchema._input.body} refundData - Items, shipping or a lump sum to refund, and the reason.
+ * @param {string} adminId - ID of the admin issuing the refund.
+ * @returns {Promise<InstanceType<typeof Order>>} Updated order.
+ */
+const adminProcessRefund = async (orderId, refundData, adminId) => {
+  await refundService.refundOrder(orderId, refundData, {
+    source: "admin",
+    actorId: adminId,
+  });
   // TODO: Notify buyer
   return adminGetOrderById(orderId);
 };
@@ -720,15 +1150,19 @@ export const orderService = {
   placeOrder,
   listBuyerOrders,
   getBuyerOrderById,
+  getBuyerOrderTimeline,
   cancelBuyerOrder,
-  requestReturn,
   listSellerReceivedOrders,
   getSellerReceivedOrderById,
+  getSellerOrderTimeline,
   updateSellerOrderStatus,
-  listSellerReturnRequests,
-  updateSellerReturnRequestStatus,
   listAllPlatformOrders,
   adminGetOrderById,
+  adminGetOrderTimeline,
   adminUpdateOrderStatus,
   adminProcessRefund,
+  confirmOrderPayment,
+  failOrderPayment,
+  restoreOrderStock,
+  expireStalePendingPayments,
 };
@@ -0,0 +1,275 @@
+import Order from "../models/Order.model.js";
+import OrderItem from "../models/OrderItem.model.js";
+import OrderStatusEvent from "../models/OrderStatusEvent.model.js";
+import ApiError from "../errors/ApiError.js";
+import httpStatusCodes from "http-status-codes";
+
+/**
+ * Who caused a status change.
+ * @typedef {{id?: string, role: "buyer" | "seller" | "admin" | "system"}} StatusActor
+ */
+
+/** @type {StatusActor} */
+const SYSTEM_ACTOR = { role: "system" };
+
+/**
+ * Allowed order transitions. Keys are the current status, values the statuses it may move to.
+ * Fulfillment statuses (partially_shipped ... delivered) are normally derived from the order's
+ * shipments, so a step may be skipped when another seller's shipment is cancelled.
+ * @type {Record<string, string[]>}
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  pending_payment: [
+    "processing",
+    "payment_failed",
+    "cancelled_by_user",
+    "cancelled_by_admin",
+  ],
+  payment_failed: [],
+  processing: [
+    "partially_shipped",
+    "shipped",
+    "cancelled_by_user",
+    "cancelled_by_seller",
+    "cancelled_by_admin",
+    "refund_pending",
+    "refunded",
+  ],
+  partially_shipped: [
+    "shipped",
+    "out_for_delivery",
+    "delivered",
+    "refund_pending",
+    "refunded",
+  ],
+  shipped: ["out_for_delivery", "delivered", "refund_pending", "refunded"],
+  out_for_delivery: ["delivered", "refund_pending", "refunded"],
+  delivered: ["completed", "refund_pending", "refunded"],
+  completed: ["refund_pending", "refunded"],
+  refund_pending: ["refunded"],
+  refunded: [],
+  cancelled_by_user: [],
+  cancelled_by_seller: [],
+  cancelled_by_admin: [],
+};
+
+/**
+ * Allowed order item transitions. Refunds can hit an item at any point before it is
+ * cancelled or fully refunded.
+ * @type {Record<string, string[]>}
+ */
+const ORDER_ITEM_STATUS_TRANSITIONS = {
+  pending: [
+    "processing",
+    "shipped",
+    "cancelled",
+    "partially_refunded",
+    "refunded",
+  ],
+  processing: ["shipped", "cancelled", "partially_refunded", "refunded"],
+  shipped: ["delivered", "partially_refunded", "refunded"],
+  delivered: [
+    "return_requested",
+    "refund_pending",
+    "partially_refunded",
+    "refunded",
+  ],
+  return_requested: [
+    "return_approved",
+    "delivered", // Return rejected
+    "refund_pending",
+    "partially_refunded",
+    "refunded",
+  ],
+  return_approved: ["returned", "partially_refunded", "refunded"],
+  returned: ["refund_pending", "partially_refunded", "refunded"],
+  refund_pending: ["partially_refunded", "refunded"],
+  partially_refunded: ["return_requested", "refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+/**
+ * Checks the order transition table.
+ * @param {string} fromStatus - Current order status.
+ * @param {string} toStatus - Requested order status.
+ * @returns {boolean} True if the order may move from fromStatus to toStatus.
+ */
+const canTransitionOrder = (fromStatus, toStatus) =>
+  ORDER_STATUS_TRANSITIONS[fromStatus]?.includes(toStatus) ?? false;
+
+/**
+ * Checks the order item transition table.
+ * @param {string} fromStatus - Current item status.
+ * @param {string} toStatus - Requested item status.
+ * @returns {boolean} True if the item may move from fromStatus to toStatus.
+ */
+const canTransitionOrderItem = (fromStatus, toStatus) =>
+  ORDER_ITEM_STATUS_TRANSITIONS[fromStatus]?.includes(toStatus) ?? false;
+
+/**
+ * Records an order-level status change in the order's history.
+ * @param {{orderId: string, fromStatus?: string, toStatus: string}} change - The change. Omit fromStatus for a new order.
+ * @param {StatusActor} actor - Who made the change.
+ * @param {{note?: string, session?: import('mongoose').ClientSession}} [options] - Optional note and transaction session.
+ */
+const recordOrderStatusChange = async (
+  { orderId, fromStatus, toStatus },
+  actor,
+  { note, session } = {},
+) => {
+  await OrderStatusEvent.create(
+    [
+      {
+        orderId,
+        entity: "order",
+        fromStatus,
+        toStatus,
+        actorId: actor.id,
+        actorRole: actor.role,
+        note,
+      },
+    ],
+    { session },
+  );
+};
+
+/**
+ * Moves an order to a new status if the transition table allows it, and records the change.
+ * @param {string} orderId - The order ID.
+ * @param {string} toStatus - The new status.
+ * @param {StatusActor} actor - Who makes the change.
+ * @param {{note?: string, set?: Object, session?: import('mongoose').ClientSession}} [options] - Optional note, extra fields to set with the status, and transaction session.
+ * @returns {Promise<InstanceType<typeof Order>>} The updated order.
+ * @throws {ApiError} 404 if the order does not exist, 400 if the transition is not allowed, 409 on a concurrent update.
+ */
+const transitionOrder = async (
+  orderId,
+  toStatus,
+  actor,
+  { note, set = {}, session } = {},
+) => {
+  const order = await Order.findById(orderId, "status", { session });
+  if (!order) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
+  }
+  if (!canTransitionOrder(order.status, toStatus)) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `Cannot move order from '${order.status}' to '${toStatus}'.`,
+    );
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: orderId, status: order.status },
+    { $set: { ...set, status: toStatus } },
+    { new: true, session },
+  );
+  if (!updated) {
+    throw new ApiError(
+      httpStatusCodes.CONFLICT,
+      "Order was updated concurrently. Please reload and try again.",
+    );
+  }
+  await recordOrderStatusChange(
+    { orderId, fromStatus: order.status, toStatus },
+    actor,
+    { note, session },
+  );
+  return updated;
+};
+
+/**
+ * Moves the matching order items to a new status and records each change. Items whose current
+ * status does not allow the move are left as they are.
+ * @param {Object} filter - OrderItem filter, e.g. `{ orderId }` or `{ shipmentId }`.
+ * @param {string} toStatus - The new item status.
+ * @param {StatusActor} actor - Who makes the change.
+ * @param {{note?: string, session?: import('mongoose').ClientSession}} [options] - Optional note and transaction session.
+ * @returns {Promise<number>} Number of items moved.
+ */
+const transitionOrderItems = async (
+  filter,
+  toStatus,
+  actor,
+  { note, session } = {},
+) => {
+  const fromStatuses = Object.keys(ORDER_ITEM_STATUS_TRANSITIONS).filter(
+    (status) => canTransitionOrderItem(status, toStatus),
+  );
+  const items = await OrderItem.find(
+    { $and: [filter, { itemStatus: { $in: fromStatuses } }] },
+    "orderId sellerId itemStatus",
+    { session },
+  ).lean();
+
+  const events = [];
+  for (const item of items) {
+    // Compare-and-set so a concurrent change is neither overwritten nor recorded twice
+    const result = await OrderItem.updateOne(
+      { _id: item._id, itemStatus: item.itemStatus },
+      { $set: { itemStatus: toStatus } },
+      { session },
+    );
+    if (result.modifiedCount === 0) continue;
+    events.push({
+      orderId: item.orderId,
+      entity: "order_item",
+      orderItemId: item._id,
+      sellerId: item.sellerId,
+      fromStatus: item.itemStatus,
+      toStatus,
+      actorId: actor.id,
+      actorRole: actor.role,
+      note,
+    });
+  }
+  if (events.length > 0) {
+    await OrderStatusEvent.insertMany(events, { session });
+  }
+  return events.length;
+};
+
+/**
+ * Returns an order's status history, oldest first.
+ * @param {string} orderId - The order ID.
+ * @param {{sellerId?: string, includeAdminNotes?: boolean}} [options] - Restrict item events to one seller's items; admin notes are internal and dropped unless asked for.
+ * @returns {Promise<Array<Object>>} The timeline events.
+ */
+const getOrderTimeline = async (
+  orderId,
+  { sellerId, includeAdminNotes = false } = {},
+) => {
+  const filter = { orderId };
+  if (sellerId) {
+    filter.$or = [{ entity: "order" }, { sellerId }];
+  }
+  const events = await OrderStatusEvent.find(filter)
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  return events.map((event) => ({
+    id: event._id,
+    entity: event.entity,
+    orderItemId: event.orderItemId,
+    fromStatus: event.fromStatus ?? null,
+    toStatus: event.toStatus,
+    actorId: event.actorId,
+    actorRole: event.actorRole,
+    note:
+      event.actorRole === "admin" && !includeAdminNotes
+        ? undefined
+        : event.note,
+    createdAt: event.createdAt,
+  }));
+};
+
+export const orderStatusService = {
+  SYSTEM_ACTOR,
+  canTransitionOrder,
+  canTransitionOrderItem,
+  recordOrderStatusChange,
+  transitionOrder,
+  transitionOrderItems,
+  getOrderTimeline,
+};
@@ -3,8 +3,9 @@ import Address from "../models/Address.model.js"; // To validate billingAddressI
 import ApiError from "../errors/ApiError.js";
 import httpStatusCodes from "http-status-codes";
 import logger from "../utils/logger.js";
+import config from "../config/index.js";
 
-const DEFAULT_PAYMENT_GATEWAY = "stripe";
+const DEFAULT_PAYMENT_GATEWAY = config.PAYMENT_DEFAULT_GATEWAY;
 
 /**
  * Handles setting a default payment method.
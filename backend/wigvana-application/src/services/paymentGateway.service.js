@@ -0,0 +1,122 @@
+import ApiError from "../errors/ApiError.js";
+import PaymentGatewayTimeoutError from "../errors/PaymentGatewayTimeoutError.js";
+import httpStatusCodes from "http-status-codes";
+import config from "../config/index.js";
+import { simulatorGateway } from "./paymentGateways/simulator.gateway.js";
+
+/**
+ * @typedef {object} AuthorizeInput
+ * @property {number} amount - Amount to authorize, in major currency units.
+ * @property {string} currency - ISO currency code.
+ * @property {string} paymentToken - The stored gateway token of the buyer's payment method.
+ * @property {string} orderId - Our order ID, passed for reconciliation.
+ * @property {string} [idempotencyKey] - Key the gateway should use to de-duplicate retries.
+ */
+
+/**
+ * @typedef {object} AuthorizeResult
+ * @property {"authorized" | "requires_action" | "declined"} status - Outcome reported by the gateway.
+ * @property {string} [transactionId] - Gateway transaction reference (absent on declines).
+ * @property {string} [declineCode] - Machine readable decline reason.
+ * @property {string} [message] - Human readable gateway message.
+ * @property {{type: string, redirectUrl?: string}} [nextAction] - What the buyer must do, e.g. a 3-D Secure challenge.
+ */
+
+/**
+ * @typedef {object} WebhookEvent
+ * @property {string} id - Gateway event ID, unique per gateway.
+ * @property {string} type - Normalized event type: "payment.captured", "payment.failed", "refund.succeeded" or "dispute.opened". Adapters pass other provider types through unchanged.
+ * @property {string} [transactionId] - Gateway transaction the event is about.
+ * @property {Date} occurredAt - When the gateway says the event happened.
+ * @property {Object} data - Raw event data.
+ */
+
+/**
+ * The contract every payment gateway adapter implements.
+ * @typedef {object} PaymentGatewayAdapter
+ * @property {string} name - Matches PaymentMethod.paymentGateway.
+ * @property {(input: AuthorizeInput) => Promise<AuthorizeResult>} authorize - Reserve funds on the buyer's instrument.
+ * @property {(input: {transactionId: string, amount?: number}) => Promise<{status: "captured" | "failed", transactionId: string, message?: string}>} capture - Collect authorized funds.
+ * @property {(input: {transactionId: string}) => Promise<{status: "voided" | "failed", transactionId: string, message?: string}>} void - Cancel an uncaptured authorization.
+ * @property {(input: {transactionId: string, amount: number, reason?: string, idempotencyKey?: string}) => Promise<{status: "refunded" | "pending" | "failed", transactionId: string, refundId?: string, message?: string}>} refund - Return captured funds.
+ * @property {(input: {rawBody: Buffer, headers: Record<string, string | string[] | undefined>}) => Promise<WebhookEvent>} verifyWebhook - Authenticate and parse an incoming webhook; throws if the signature is invalid.
+ */
+
+/**
+ * Registered adapters. The simulator approves any token that does not ask for a
+ * failure, so it is only available outside production.
+ * @type {Map<string, PaymentGatewayAdapter>}
+ */
+const adapters = new Map(
+  config.NODE_ENV !== "production"
+    ? [[simulatorGateway.name, simulatorGateway]]
+    : [],
+);
+
+/**
+ * Registers (or replaces) a gateway adapter.
+ * @param {PaymentGatewayAdapter} adapter - The adapter to register.
+ */
+const registerGateway = (adapter) => {
+  adapters.set(adapter.name, adapter);
+};
+
+/**
+ * Looks up the adapter for a gateway.
+ * @param {string} name - Gateway name, as stored on PaymentMethod.paymentGateway.
+ * @returns {PaymentGatewayAdapter} The adapter.
+ * @throws {ApiError} If no adapter is registered for the gateway.
+ */
+const getGateway = (name) => {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `Payment gateway '${name}' is not supported.`,
+    );
+  }
+  return adapter;
+};
+
+/**
+ * Whether an adapter is registered for a gateway.
+ * @param {string} name - Gateway name, as stored on PaymentMethod.paymentGateway.
+ * @returns {boolean} True if payments can be taken through the gateway.
+ */
+const isSupported = (name) => adapters.has(name);
+
+/**
+ * Runs an adapter operation, failing with a PaymentGatewayTimeoutError if the provider
+ * does not answer within PAYMENT_GATEWAY_TIMEOUT_MS.
+ * @template T
+ * @param {string} gateway - Gateway name.
+ * @param {string} operation - Adapter method name.
+ * @param {Object} input - Operation input.
+ * @returns {Promise<T>} The adapter result.
+ */
+const callGateway = (gateway, operation, input) => {
+  const adapter = getGateway(gateway);
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new PaymentGatewayTimeoutError(gateway, operation)),
+      config.PAYMENT_GATEWAY_TIMEOUT_MS,
+    );
+  });
+  return Promise.race([adapter[operation](input), timeout]).finally(() =>
+    clearTimeout(timer),
+  );
+};
+
+export const paymentGatewayService = {
+  registerGateway,
+  getGateway,
+  isSupported,
+  /** @type {(gateway: string, input: AuthorizeInput) => Promise<AuthorizeResult>} */
+  authorize: (gateway, input) => callGateway(gateway, "authorize", input),
+  capture: (gateway, input) => callGateway(gateway, "capture", input),
+  void: (gateway, input) => callGateway(gateway, "void", input),
+  refund: (gateway, input) => callGateway(gateway, "refund", input),
+  /** @type {(gateway: string, input: {rawBody: Buffer, headers: Object}) => Promise<WebhookEvent>} */
+  verifyWebhook: (gateway, input) => getGateway(gateway).verifyWebhook(input),
+};
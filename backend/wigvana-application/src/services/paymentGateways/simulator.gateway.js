@@ -0,0 +1,174 @@
+import crypto from "node:crypto";
+import { v4 as uuidv4 } from "uuid";
+import config from "../../config/index.js";
+import ApiError from "../../errors/ApiError.js";
+import PaymentGatewayTimeoutError from "../../errors/PaymentGatewayTimeoutError.js";
+import httpStatusCodes from "http-status-codes";
+
+export const SIMULATOR_SIGNATURE_HEADER = "x-simulator-signature";
+
+/**
+ * Payment tokens understood by the simulator. Any other token is approved.
+ * Matching is by substring so tokens like `tok_sim_decline_visa` work too.
+ */
+export const SIMULATOR_TOKENS = {
+  DECLINE: "decline",
+  INSUFFICIENT_FUNDS: "insufficient_funds",
+  THREE_D_SECURE: "3ds",
+  TIMEOUT: "timeout",
+};
+
+/**
+ * In-memory ledger of simulated transactions, used to reject impossible follow-ups
+ * (capturing a voided authorization, refunding more than was captured, ...).
+ * Transactions unknown to this process (e.g. after a restart) are accepted as-is.
+ * @type {Map<string, {amount: number, currency: string, status: string, capturedAmount: number, refundedAmount: number}>}
+ */
+const transactions = new Map();
+
+const newTransactionId = () => `sim_txn_${uuidv4()}`;
+
+/**
+ * Signs a webhook payload the way the simulator does. Exposed so tests and local tools
+ * can forge valid simulator webhooks.
+ * @param {string | Buffer} rawBody - The exact request body.
+ * @returns {string} Hex-encoded HMAC-SHA256 signature.
+ */
+export const signSimulatorPayload = (rawBody) =>
+  crypto
+    .createHmac("sha256", config.PAYMENT_SIMULATOR_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest("hex");
+
+/**
+ * Deterministic local payment gateway. Outcomes are driven by the payment token so
+ * tests can exercise declines, 3-D Secure challenges and provider timeouts.
+ * @type {import('../paymentGateway.service.js').PaymentGatewayAdapter}
+ */
+export const simulatorGateway = {
+  name: "simulator",
+
+  async authorize({ amount, currency, paymentToken }) {
+    const token = paymentToken.toLowerCase();
+    if (token.includes(SIMULATOR_TOKENS.TIMEOUT)) {
+      // Fails immediately as if PAYMENT_GATEWAY_TIMEOUT_MS had elapsed, so tests stay fast.
+      throw new PaymentGatewayTimeoutError(this.name, "authorize");
+    }
+    if (token.includes(SIMULATOR_TOKENS.INSUFFICIENT_FUNDS)) {
+      return {
+        status: "declined",
+        declineCode: "insufficient_funds",
+        message: "Your card has insufficient funds.",
+      };
+    }
+    if (token.includes(SIMULATOR_TOKENS.DECLINE)) {
+      return {
+        status: "declined",
+        declineCode: "card_declined",
+        message: "Your card was declined.",
+      };
+    }
+
+    const transactionId = newTransactionId();
+    if (token.includes(SIMULATOR_TOKENS.THREE_D_SECURE)) {
+      transactions.set(transactionId, {
+        amount,
+        currency,
+        status: "requires_action",
+        capturedAmount: 0,
+        refundedAmount: 0,
+      });
+      return {
+        status: "requires_action",
+        transactionId,
+        nextAction: {
+          type: "three_d_secure",
+          redirectUrl: `${config.APP_BASE_URL}/simulator/3ds/${transactionId}`,
+        },
+      };
+    }
+
+    transactions.set(transactionId, {
+      amount,
+      currency,
+      status: "authorized",
+      capturedAmount: 0,
+      refundedAmount: 0,
+    });
+    return { status: "authorized", transactionId };
+  },
+
+  async capture({ transactionId, amount }) {
+    const txn = transactions.get(transactionId);
+    if (txn) {
+      if (txn.status !== "authorized") {
+        return {
+          status: "failed",
+          transactionId,
+          message: `Cannot capture a transaction in status '${txn.status}'.`,
+        };
+      }
+      txn.capturedAmount = amount ?? txn.amount;
+      txn.status = "captured";
+    }
+    return { status: "captured", transactionId };
+  },
+
+  async void({ transactionId }) {
+    const txn = transactions.get(transactionId);
+    if (txn) {
+      if (!["authorized", "requires_action"].includes(txn.status)) {
+        return {
+          status: "failed",
+          transactionId,
+          message: `Cannot void a transaction in status '${txn.status}'.`,
+        };
+      }
+      txn.status = "voided";
+    }
+    return { status: "voided", transactionId };
+  },
+
+  async refund({ transactionId, amount }) {
+    const txn = transactions.get(transactionId);
+    if (txn) {
+      if (txn.refundedAmount + amount > txn.capturedAmount + 1e-9) {
+        return {
+          status: "failed",
+          transactionId,
+          message: "Refund exceeds the captured amount.",
+        };
+      }
+      txn.refundedAmount += amount;
+    }
+    return {
+      status: "refunded",
+      transactionId,
+      refundId: `sim_ref_${uuidv4()}`,
+    };
+  },
+
+  async verifyWebhook({ rawBody, headers }) {
+    const signature = headers[SIMULATOR_SIGNATURE_HEADER];
+    const expected = signSimulatorPayload(rawBody);
+    const valid =
+      typeof signature === "string" &&
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) {
+      throw new ApiError(
+        httpStatusCodes.UNAUTHORIZED,
+        "Invalid simulator webhook signature.",
+      );
+    }
+
+    const payload = JSON.parse(rawBody.toString("utf8"));
+    return {
+      id: payload.id,
+      type: payload.type,
+      transactionId: payload.data?.transactionId,
+      occurredAt: payload.created ? new Date(payload.created) : new Date(),
+      data: payload.data ?? {},
+    };
+  },
+};
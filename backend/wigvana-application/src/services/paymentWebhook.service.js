@@ -0,0 +1,416 @@
+import PaymentWebhookEvent from "../models/PaymentWebhookEvent.model.js";
+import Order from "../models/Order.model.js";
+import ApiError from "../errors/ApiError.js";
+import httpStatusCodes from "http-status-codes";
+import logger from "../utils/logger.js";
+import config from "../config/index.js";
+import { paymentGatewayService } from "./paymentGateway.service.js";
+import { orderService } from "./order.service.js";
+import { refundService } from "./refund.service.js";
+
+/** Statuses from which an event may be (re)applied. */
+const REPLAYABLE_STATUSES = ["received", "pending_replay", "failed"];
+
+/**
+ * Oldest claim time still considered live. A "processing" event claimed before this
+ * belongs to a worker that crashed or hung, and may be claimed again.
+ * @returns {Date} The cutoff.
+ */
+const staleClaimCutoff = () =>
+  new Date(
+    Date.now() - config.PAYMENT_WEBHOOK_CLAIM_TIMEOUT_MINUTES * 60 * 1000,
+  );
+
+/**
+ * Query matching events that may be (re)applied now.
+ * @returns {Object} Mongo filter.
+ */
+const replayableFilter = () => ({
+  $or: [
+    { status: { $in: REPLAYABLE_STATUSES } },
+    {
+      status: "processing",
+      $or: [
+        { claimedAt: { $lt: staleClaimCutoff() } },
+        { claimedAt: { $exists: false } },
+      ],
+    },
+  ],
+});
+
+/**
+ * Whether an event may be (re)applied now.
+ * @param {{status: string, claimedAt?: Date}} event - The stored event.
+ * @returns {boolean} True if the event is replayable or its processing claim went stale.
+ */
+const isReplayable = (event) =>
+  REPLAYABLE_STATUSES.includes(event.status) ||
+  (event.status === "processing" &&
+    (!event.claimedAt || event.claimedAt < staleClaimCutoff()));
+
+/**
+ * @typedef {object} HandlerOutcome
+ * @property {"processed" | "ignored" | "pending_replay"} status - What happened to the event.
+ * @property {string} [reason] - Why it was ignored or parked for replay.
+ */
+
+/**
+ * Applies a successful capture (including a completed 3-D Secure challenge).
+ * @param {InstanceType<typeof Order>} order - The matching order.
+ * @param {InstanceType<typeof PaymentWebhookEvent>} event - The event.
+ * @returns {Promise<HandlerOutcome>} Outcome.
+ */
+const handlePaymentCaptured = async (order, event) => {
+  if (order.status === "pending_payment") {
+    const confirmed = await orderService.confirmOrderPayment(order._id, {
+      transactionId: event.transactionId,
+    });
+    if (confirmed) return { status: "processed" };
+    return { status: "ignored", reason: "Order was settled concurrently." };
+  }
+  if (order.status === "payment_failed") {
+    return {
+      status: "pending_replay",
+      reason:
+        "Capture reported for an order that already failed payment; the funds need to be refunded.",
+    };
+  }
+  if (order.paymentStatus === "voided") {
+    return {
+      status: "pending_replay",
+      reason:
+        "Capture reported for an order cancelled before payment; the funds need to be refunded.",
+    };
+  }
+  return { status: "ignored", reason: "Payment already recorded." };
+};
+
+/**
+ * Applies a failed charge.
+ * @param {InstanceType<typeof Order>} order - The matching order.
+ * @param {InstanceType<typeof PaymentWebhookEvent>} event - The event.
+ * @returns {Promise<HandlerOutcome>} Outcome.
+ */
+const handlePaymentFailed = async (order, event) => {
+  if (order.status !== "pending_payment") {
+    return {
+      status: "ignored",
+      reason: `Stale failure: order is already ${order.status}.`,
+    };
+  }
+  await orderService.failOrderPayment(
+    order._id,
+    event.payload.declineCode ?? "charge_failed",
+  );
+  return { status: "processed" };
+};
+
+/**
+ * Applies a completed refund.
+ * @param {InstanceType<typeof Order>} order - The matching order.
+ * @param {InstanceType<typeof PaymentWebhookEvent>} event - The event.
+ * @returns {Promise<HandlerOutcome>} Outcome.
+ */
+const handleRefundSucceeded = async (order, event) => {
+  if (
+    !["paid", "partially_refunded", "refunded", "disputed"].includes(
+      order.paymentStatus,
+    )
+  ) {
+    return {
+      status: "pending_replay",
+      reason: "Refund arrived before the payment was captured.",
+    };
+  }
+  return refundService.recordGatewayRefund(order, {
+    refundId: event.payload.refundId,
+    amount: event.payload.amount,
+    reason: event.payload.reason,
+  });
+};
+
+/**
+ * Applies a newly opened dispute (chargeback).
+ * @param {InstanceType<typeof Order>} order - The matching order.
+ * @param {InstanceType<typeof PaymentWebhookEvent>} event - The event.
+ * @returns {Promise<HandlerOutcome>} Outcome.
+ */
+const handleDisputeOpened = async (order, event) => {
+  if (
+    !["paid", "partially_refunded", "refunded", "disputed"].includes(
+      order.paymentStatus,
+    )
+  ) {
+    return {
+      status: "pending_replay",
+      reason: "Dispute arrived before the payment was captured.",
+    };
+  }
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        paymentStatus: "disputed",
+        dispute: {
+          gatewayDisputeId: event.payload.disputeId,
+          reason: event.payload.reason,
+          amount: event.payload.amount ?? order.totalAmount,
+          openedAt: event.occurredAt ?? new Date(),
+        },
+      },
+    },
+  );
+  return { status: "processed" };
+};
+
+/**
+ * Normalized event types every adapter's verifyWebhook maps onto.
+ * @type {Record<string, (order: Object, event: Object) => Promise<HandlerOutcome>>}
+ */
+const EVENT_HANDLERS = {
+  "payment.captured": handlePaymentCaptured,
+  "payment.failed": handlePaymentFailed,
+  "refund.succeeded": handleRefundSucceeded,
+  "dispute.opened": handleDisputeOpened,
+};
+
+/**
+ * Shapes a stored webhook event for API responses.
+ * @param {Object} event - A PaymentWebhookEvent document or lean object.
+ * @returns {Object} Formatted event.
+ */
+const formatWebhookEvent = (event) => ({
+  id: event._id,
+  gateway: event.gateway,
+  eventId: event.eventId,
+  type: event.type,
+  transactionId: event.transactionId,
+  orderId: event.orderId,
+  status: event.status,
+  attempts: event.attempts,
+  claimedAt: event.claimedAt,
+  lastError: event.lastError,
+  payload: event.payload,
+  occurredAt: event.occurredAt,
+  receivedAt: event.createdAt,
+  processedAt: event.processedAt,
+});
+
+/**
+ * Finds the order an event refers to, by gateway transaction ID first, then by the order ID in the event data.
+ * @param {InstanceType<typeof PaymentWebhookEvent>} event - The event.
+ * @returns {Promise<InstanceType<typeof Order> | null>} The order, if any.
+ */
+const findOrderForEvent = async (event) => {
+  if (event.transactionId) {
+    const order = await Order.findOne({
+      paymentGatewayTransactionId: event.transactionId,
+    });
+    if (order) return order;
+  }
+  if (event.payload?.orderId) return Order.findById(event.payload.orderId);
+  return null;
+};
+
+/**
+ * Applies a stored event to its order. Only one caller can apply a given event at a time:
+ * the event is claimed by moving it to "processing" first. A claim older than
+ * PAYMENT_WEBHOOK_CLAIM_TIMEOUT_MINUTES is treated as abandoned so the event is never lost.
+ * @param {InstanceType<typeof PaymentWebhookEvent>} event - The stored event.
+ * @returns {Promise<InstanceType<typeof PaymentWebhookEvent>>} The event after processing.
+ */
+const processEvent = async (event) => {
+  const claimed = await PaymentWebhookEvent.findOneAndUpdate(
+    { _id: event._id, ...replayableFilter() },
+    {
+      $set: { status: "processing", claimedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { new: true },
+  );
+  if (!claimed) return PaymentWebhookEvent.findById(event._id);
+
+  let outcome;
+  let order = null;
+  try {
+    const handler = EVENT_HANDLERS[claimed.type];
+    if (!handler) {
+      outcome = {
+        status: "pending_replay",
+        reason: `Unhandled event type '${claimed.type}'.`,
+      };
+    } else {
+      order = await findOrderForEvent(claimed);
+      outcome = order
+        ? await handler(order, claimed)
+        : { status: "pending_replay", reason: "No order matches this event." };
+    }
+  } catch (err) {
+    logger.error(
+      `Failed to apply ${claimed.gateway} webhook ${claimed.eventId}: ${err.message}`,
+    );
+    outcome = { status: "failed", reason: err.message };
+  }
+
+  const processed = await PaymentWebhookEvent.findByIdAndUpdate(
+    claimed._id,
+    {
+      $set: {
+        status: outcome.status,
+        ...(order && { orderId: order._id }),
+        ...(["processed", "ignored"].includes(outcome.status) && {
+          processedAt: new Date(),
+        }),
+        ...(outcome.reason && { lastError: outcome.reason }),
+      },
+      $unset: { claimedAt: "", ...(!outcome.reason && { lastError: "" }) },
+    },
+    { new: true },
+  );
+
+  // An event that just moved the order forward may unblock ones that arrived too early.
+  if (outcome.status === "processed" && order) {
+    await replayPendingEventsForOrder(order, claimed._id);
+  }
+  return processed;
+};
+
+/**
+ * Re-applies events parked for the same order, oldest first.
+ * @param {InstanceType<typeof Order>} order - The order that just changed.
+ * @param {string} excludeId - The event that triggered the replay.
+ */
+const replayPendingEventsForOrder = async (order, excludeId) => {
+  const matchers = [{ orderId: order._id }];
+  if (order.paymentGatewayTransactionId) {
+    matchers.push({ transactionId: order.paymentGatewayTransactionId });
+  }
+  const parked = await PaymentWebhookEvent.find({
+    _id: { $ne: excludeId },
+    status: "pending_replay",
+    $or: matchers,
+  }).sort({ occurredAt: 1, createdAt: 1 });
+
+  for (const event of parked) {
+    await processEvent(event);
+  }
+};
+
+/**
+ * Verifies, stores and applies an incoming payment webhook. Redeliveries of an event that was
+ * already applied are acknowledged without side effects.
+ * @param {string} gateway - Gateway name from the URL.
+ * @param {{rawBody: Buffer | undefined, headers: Object}} request - The raw request body and headers.
+ * @returns {Promise<{received: boolean, duplicate: boolean, eventId: string, status: string}>} Acknowledgement.
+ * @throws {ApiError} If the gateway is unknown, the signature is invalid, or the body is missing.
+ */
+const ingestPaymentWebhook = async (gateway, { rawBody, headers }) => {
+  if (!rawBody || rawBody.length === 0) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Webhook body is missing or not JSON.",
+    );
+  }
+  const verified = await paymentGatewayService.verifyWebhook(gateway, {
+    rawBody,
+    headers,
+  });
+  if (!verified.id || !verified.type) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Webhook event is missing an id or type.",
+    );
+  }
+
+  let event;
+  let duplicate = false;
+  try {
+    event = await PaymentWebhookEvent.create({
+      gateway,
+      eventId: verified.id,
+      type: verified.type,
+      transactionId: verified.transactionId,
+      payload: verified.data,
+      occurredAt: verified.occurredAt,
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    duplicate = true;
+    event = await PaymentWebhookEvent.findOne({
+      gateway,
+      eventId: verified.id,
+    });
+  }
+
+  // A redelivery of an event that failed, was parked or whose claim went stale is a free retry.
+  const result = isReplayable(event)
+    ? await processEvent(event)
+    : event;
+  if (duplicate) {
+    logger.info(
+      `Duplicate ${gateway} webhook ${verified.id} (status ${result.status}).`,
+    );
+  }
+  return {
+    received: true,
+    duplicate,
+    eventId: result.eventId,
+    status: result.status,
+  };
+};
+
+/**
+ * (Admin) Lists stored payment webhook events.
+ * @param {typeof import('../dtos/admin.dto.js').listWebhookEventsQuerySchema._input.query} queryOptions - Query options.
+ * @returns {Promise<{results: Array<Object>, page: number, limit: number, totalPages: number, totalResults: number}>} Paginated events.
+ */
+const listWebhookEvents = async (queryOptions) => {
+  const { page = 1, limit = 10, gateway, status, type, orderId } = queryOptions;
+  const filter = {};
+  if (gateway) filter.gateway = gateway;
+  if (status && status !== "all") filter.status = status;
+  if (type) filter.type = type;
+  if (orderId) filter.orderId = orderId;
+
+  const skip = (page - 1) * limit;
+  const events = await PaymentWebhookEvent.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+  const totalResults = await PaymentWebhookEvent.countDocuments(filter);
+
+  return {
+    results: events.map(formatWebhookEvent),
+    page,
+    limit,
+    totalPages: Math.ceil(totalResults / limit),
+    totalResults,
+  };
+};
+
+/**
+ * (Admin) Re-applies an event that was not applied yet, is pending replay or failed, or is stuck in a stale "processing" claim.
+ * @param {string} webhookEventId - Our ID of the stored event.
+ * @returns {Promise<Object>} The formatted event after the replay.
+ * @throws {ApiError} If the event does not exist or cannot be replayed.
+ */
+const replayWebhookEvent = async (webhookEventId) => {
+  const event = await PaymentWebhookEvent.findById(webhookEventId);
+  if (!event)
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Webhook event not found.");
+  if (!isReplayable(event)) {
+    throw new ApiError(
+      httpStatusCodes.CONFLICT,
+      `Only events not yet applied, pending replay, failed, or stuck processing can be replayed (current status: ${event.status}).`,
+    );
+  }
+  const replayed = await processEvent(event);
+  return formatWebhookEvent(replayed);
+};
+
+export const paymentWebhookService = {
+  ingestPaymentWebhook,
+  listWebhookEvents,
+  replayWebhookEvent,
+};
@@ -0,0 +1,71 @@
+/**
+ * @typedef {object} ResolvedPrice
+ * @property {number} price - What the variant sells for right now.
+ * @property {number} regularPrice - The variant's list price.
+ * @property {boolean} onSale - Whether the sale price is the one in effect.
+ * @property {Date | null} saleEndsAt - When the running sale ends; null if it is open-ended or there is none.
+ */
+
+/**
+ * Resolves the price a variant sells for at a given moment. The sale price applies only while
+ * the sale window is open; an open-ended side of the window (no start or no end date) always
+ * matches, and a sale price that is not below the list price is ignored.
+ * @param {{price: number, salePrice?: number | null, saleStartDate?: Date | string | null, saleEndDate?: Date | string | null}} variant - The variant (document or lean object).
+ * @param {Date} [at=new Date()] - The moment to price at.
+ * @returns {ResolvedPrice} The resolved price.
+ */
+const resolveVariantPrice = (variant, at = new Date()) => {
+  const regularPrice = variant.price;
+  const { salePrice, saleStartDate, saleEndDate } = variant;
+
+  const onSale =
+    typeof salePrice === "number" &&
+    salePrice < regularPrice &&
+    (!saleStartDate || new Date(saleStartDate) <= at) &&
+    (!saleEndDate || new Date(saleEndDate) > at);
+
+  return {
+    price: onSale ? salePrice : regularPrice,
+    regularPrice,
+    onSale,
+    saleEndsAt: onSale && saleEndDate ? new Date(saleEndDate) : null,
+  };
+};
+
+/**
+ * @typedef {object} PriceSummary
+ * @property {{min: number, max: number} | null} priceRange - What the variants sell for now; null without variants.
+ * @property {{min: number, max: number} | null} regularPriceRange - Their list prices ("was" prices).
+ * @property {boolean} onSale - Whether any of them is on sale.
+ * @property {Date | null} saleEndsAt - When the first of the running sales ends.
+ */
+
+/**
+ * Summarizes the resolved prices of several variants of a product, for listings and product pages.
+ * @param {Array<ResolvedPrice>} prices - Resolved prices of the variants.
+ * @returns {PriceSummary} The summary.
+ */
+const summarizePrices = (prices) => {
+  const rangeOf = (values) =>
+    values.length > 0
+      ? { min: Math.min(...values), max: Math.max(...values) }
+      : null;
+  const saleEndDates = prices
+    .map((resolved) => resolved.saleEndsAt)
+    .filter(Boolean);
+
+  return {
+    priceRange: rangeOf(prices.map((resolved) => resolved.price)),
+    regularPriceRange: rangeOf(prices.map((resolved) => resolved.regularPrice)),
+    onSale: prices.some((resolved) => resolved.onSale),
+    saleEndsAt:
+      saleEndDates.length > 0
+        ? new Date(Math.min(...saleEndDates.map((date) => date.getTime())))
+        : null,
+  };
+};
+
+export const pricingService = {
+  resolveVariantPrice,
+  summarizePrices,
+};
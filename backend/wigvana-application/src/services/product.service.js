@@ -6,12 +6,15 @@ import ProductImage from "../models/ProductImage.model.js";
 import ApiError from "../errors/ApiError.js";
 import httpStatusCodes from "http-status-codes";
 import { redisService } from "./redis.service.js";
+import { searchService } from "./search.service.js";
+import { pricingService } from "./pricing.service.js";
 import logger from "../utils/logger.js";
 
 const PRODUCT_CACHE_TTL_SECONDS = 60 * 5; // 5 minutes
 const FEATURED_PRODUCTS_CACHE_KEY = "featured_products";
 const PRODUCT_DETAIL_CACHE_KEY_PREFIX = "product_detail:";
 const PRODUCT_VARIANTS_CACHE_KEY_PREFIX = "product_variants:";
+const PRODUCT_SUGGEST_CACHE_KEY_PREFIX = "product_suggest:";
 
 /**
  * Constructs the base query for fetching published and approved products.
@@ -25,63 +28,33 @@ const getBaseProductQuery = () => {
 };
 
 /**
- * Lists all published and approved products with filtering, sorting, and pagination.
- * @param {typeof import('../dtos/product.dto.js').listProductsQuerySchema._input.query} queryOptions - Options for filtering, sorting, and pagination.
- * @returns {Promise<{results: Array<InstanceType<typeof Product>>, page: number, limit: number, totalPages: number, totalResults: number}>} Paginated products.
+ * Searches published and approved products: typo-tolerant text search, variant attribute,
+ * price, rating, seller and stock filters, and facet counts. See `searchService.searchProducts`.
+ * @param {typeof import('../dtos/product.dto.js').listProductsQuerySchema._input.query} queryOptions - Options for searching, filtering, sorting, and pagination.
+ * @returns {Promise<{results: Array<object>, facets: import('./search.service.js').SearchFacets, page: number, limit: number, totalPages: number, totalResults: number}>} Paginated products, each with the current and regular price ranges of its matching variants, and the facets.
  */
 const listProducts = async (queryOptions) => {
-  const {
-    category,
-    search,
-    sort_by,
-    order,
-    page,
-    limit,
-    minPrice,
-    maxPrice,
-    brand,
-  } = queryOptions;
-
-  const filter = getBaseProductQuery();
-
-  if (category) {
-    filter.categoryId = category;
-  }
-  if (search) {
-    filter.$text = { $search: search }; // Assumes text index on name, description
-  }
-  if (brand) {
-    filter.brand = { $regex: brand, $options: "i" }; // Case-insensitive brand search
-  }
-  if (typeof minPrice === "number") {
-    filter.basePrice = { ...filter.basePrice, $gte: minPrice };
-  }
-  if (typeof maxPrice === "number") {
-    filter.basePrice = { ...filter.basePrice, $lte: maxPrice };
-  }
-
-  const sortOptions = {};
-  if (sort_by) {
-    sortOptions[sort_by] = order === "asc" ? 1 : -1;
-  } else {
-    sortOptions.createdAt = -1; // Default sort
-  }
-
-  const skip = (page - 1) * limit;
+  const { hits, facets, page, limit, totalPages, totalResults } =
+    await searchService.searchProducts(queryOptions);
 
-  const products = await Product.find(filter)
+  const products = await Product.find({
+    _id: { $in: hits.map((hit) => hit.productId) },
+    ...getBaseProductQuery(),
+  })
     .populate("categoryId", "name slug") // Populate category name/slug
-    // .populate('sellerId', 'storeName') // If you want to show seller store name
-    .sort(sortOptions)
-    .skip(skip)
-    .limit(limit)
-    .lean(); // Use .lean() for better performance if not modifying docs
-
-  const totalResults = await Product.countDocuments(filter);
-  const totalPages = Math.ceil(totalResults / limit);
+    .lean();
+  const productsById = new Map(
+    products.map((product) => [product._id, product]),
+  );
 
   return {
-    results: products,
+    results: hits
+      .filter((hit) => productsById.has(hit.productId)) // Unlisted since the index last saw it
+      .map(({ productId, score, ...pricing }) => ({
+        ...productsById.get(productId),
+        ...pricing,
+      })),
+    facets,
     page,
     limit,
     totalPages,
@@ -90,12 +63,49 @@ const listProducts = async (queryOptions) => {
 };
 
 /**
- * Gets details of a specific published and approved product.
+ * Suggests product names, brands, categories and tags for a partly typed search query.
  * Caches the result in Redis.
+ * @param {string} query - What the shopper has typed so far.
+ * @param {number | string} [limit=5] - Suggestions per group.
+ * @returns {Promise<import('./search.service.js').SearchSuggestions>} The suggestions.
+ */
+const suggestProducts = async (query, limit = 5) => {
+  const normalizedQuery = query.trim().toLowerCase().replace(/\s+/g, " ");
+  const cacheKey = `${PRODUCT_SUGGEST_CACHE_KEY_PREFIX}${limit}:${normalizedQuery}`;
+  const cachedSuggestions = await redisService.get(cacheKey);
+  if (cachedSuggestions) {
+    logger.debug(`Cache hit for product suggestions: ${normalizedQuery}`);
+    return JSON.parse(cachedSuggestions);
+  }
+
+  const suggestions = await searchService.suggest(normalizedQuery, limit);
+  await redisService.set(
+    cacheKey,
+    JSON.stringify(suggestions),
+    PRODUCT_CACHE_TTL_SECONDS,
+  );
+  return suggestions;
+};
+
+/**
+ * Drops cached suggestions after a product is created, renamed, re-approved or removed. The
+ * search index itself follows product saves on its own. A Redis failure does not fail the
+ * product write: stale suggestions expire with PRODUCT_CACHE_TTL_SECONDS.
+ * @returns {Promise<void>}
+ */
+const invalidateSuggestions = async () => {
+  await redisService
+    .delByPrefix(PRODUCT_SUGGEST_CACHE_KEY_PREFIX)
+    .catch(() => {}); // Already logged by redisService
+};
+
+/**
+ * Loads a published and approved product. Caches the result in Redis.
  * @param {string} productId - The ID of the product.
- * @returns {Promise<InstanceType<typeof Product> | null>} The product or null if not found.
+ * @returns {Promise<object>} The lean product.
+ * @throws {ApiError} 404 if the product is not listed.
  */
-const getProductById = async (productId) => {
+const loadListedProduct = async (productId) => {
   const cacheKey = `${PRODUCT_DETAIL_CACHE_KEY_PREFIX}${productId}`;
   const cachedProduct = await redisService.get(cacheKey);
   if (cachedProduct) {
@@ -128,15 +138,12 @@ const getProductById = async (productId) => {
 };
 
 /**
- * Lists active variants for a specific product.
- * Caches the result in Redis.
+ * Loads the active variants of a product. Caches the result in Redis; prices are resolved by
+ * the callers, so a sale starting or ending never waits for the cache to expire.
  * @param {string} productId - The ID of the product.
- * @returns {Promise<Array<InstanceType<typeof ProductVariant>>>} List of product variants.
+ * @returns {Promise<Array<object>>} The lean variants.
  */
-const listProductVariants = async (productId) => {
-  // First, ensure the parent product exists and is accessible
-  await getProductById(productId); // This also handles the 404 for the product
-
+const loadActiveVariants = async (productId) => {
   const cacheKey = `${PRODUCT_VARIANTS_CACHE_KEY_PREFIX}${productId}`;
   const cachedVariants = await redisService.get(cacheKey);
   if (cachedVariants) {
@@ -158,14 +165,60 @@ const listProductVariants = async (productId) => {
 };
 
 /**
- * Gets details of a specific active product variant.
+ * Adds a variant's current price to it ("was/now" when on sale).
+ * @param {object} variant - The lean variant.
+ * @param {Date} [at=new Date()] - The moment to price at.
+ * @returns {object} The variant with `pricing`.
+ */
+const withVariantPricing = (variant, at = new Date()) => ({
+  ...variant,
+  pricing: pricingService.resolveVariantPrice(variant, at),
+});
+
+/**
+ * Gets details of a specific published and approved product, with the current and regular price
+ * ranges of its active variants.
+ * @param {string} productId - The ID of the product.
+ * @returns {Promise<object>} The product.
+ * @throws {ApiError} 404 if the product is not listed.
+ */
+const getProductById = async (productId) => {
+  const product = await loadListedProduct(productId);
+  const variants = await loadActiveVariants(productId);
+  const now = new Date();
+  return {
+    ...product,
+    ...pricingService.summarizePrices(
+      variants.map((variant) =>
+        pricingService.resolveVariantPrice(variant, now),
+      ),
+    ),
+  };
+};
+
+/**
+ * Lists active variants for a specific product, each with its current price.
+ * @param {string} productId - The ID of the product.
+ * @returns {Promise<Array<object>>} List of product variants.
+ */
+const listProductVariants = async (productId) => {
+  // First, ensure the parent product exists and is accessible
+  await loadListedProduct(productId); // This also handles the 404 for the product
+
+  const now = new Date();
+  const variants = await loadActiveVariants(productId);
+  return variants.map((variant) => withVariantPricing(variant, now));
+};
+
+/**
+ * Gets details of a specific active product variant, with its current price.
  * @param {string} productId - The ID of the parent product.
  * @param {string} variantId - The ID of the product variant.
- * @returns {Promise<InstanceType<typeof ProductVariant> | null>} The product variant or null if not found.
+ * @returns {Promise<object>} The product variant.
  */
 const getProductVariantById = async (productId, variantId) => {
   // Ensure the parent product exists and is accessible
-  await getProductById(productId); // This also handles the 404 for the product
+  await loadListedProduct(productId); // This also handles the 404 for the product
 
   const variant = await ProductVariant.findOne({
     _id: variantId,
@@ -179,19 +232,43 @@ const getProductVariantById = async (productId, variantId) => {
       "Product variant not found or not active",
     );
   }
-  return variant;
+  return withVariantPricing(variant);
 };
 
 /**
- * Retrieves featured products (published and approved).
- * Caches the result in Redis.
- * @returns {Promise<Array<InstanceType<typeof Product>>>} List of featured products.
+ * Adds the current and regular price ranges of their active variants to products.
+ * @param {Array<object>} products - Lean products.
+ * @returns {Promise<Array<object>>} The products with their price summary.
+ */
+const withPriceSummaries = async (products) => {
+  const variants = await ProductVariant.find({
+    productId: { $in: products.map((product) => product._id) },
+    isActive: true,
+  })
+    .select("productId price salePrice saleStartDate saleEndDate")
+    .lean();
+
+  const now = new Date();
+  return products.map((product) => ({
+    ...product,
+    ...pricingService.summarizePrices(
+      variants
+        .filter((variant) => variant.productId === product._id)
+        .map((variant) => pricingService.resolveVariantPrice(variant, now)),
+    ),
+  }));
+};
+
+/**
+ * Retrieves featured products (published and approved), with their current and regular price
+ * ranges. Caches the products in Redis; prices are resolved on every call.
+ * @returns {Promise<Array<object>>} List of featured products.
  */
 const getFeaturedProducts = async () => {
   const cachedFeatured = await redisService.get(FEATURED_PRODUCTS_CACHE_KEY);
   if (cachedFeatured) {
     logger.debug("Cache hit for featured products");
-    return JSON.parse(cachedFeatured);
+    return withPriceSummaries(JSON.parse(cachedFeatured));
   }
   logger.debug("Cache miss for featured products");
 
@@ -209,7 +286,7 @@ const getFeaturedProducts = async () => {
     JSON.stringify(featuredProducts),
     PRODUCT_CACHE_TTL_SECONDS,
   );
-  return featuredProducts;
+  return withPriceSummaries(featuredProducts);
 };
 
 /**
@@ -222,7 +299,7 @@ const listProductReviews = async (productId, paginationOptions) => {
   const { page, limit } = paginationOptions;
 
   // Ensure the product exists and is accessible before fetching reviews
-  await getProductById(productId);
+  await loadListedProduct(productId);
 
   const filter = {
     productId,
@@ -307,6 +384,7 @@ const createSellerProduct = async (sellerId, productData) => {
     approvalStatus: "pending", // New products default to pending admin approval
     // isPublished is taken from productData (defaults to true if not provided)
   });
+  await invalidateSuggestions();
   return product;
 };
 
@@ -446,6 +524,7 @@ const updateSellerOwnedProduct = async (sellerId, productId, updateData) => {
   await product.save();
   await redisService.del(`${PRODUCT_DETAIL_CACHE_KEY_PREFIX}${productId}`);
   await redisService.del(FEATURED_PRODUCTS_CACHE_KEY); // If it was featured
+  await invalidateSuggestions();
   return product.populate("categoryId", "name slug");
 };
 
@@ -519,6 +598,7 @@ const patchSellerOwnedProduct = async (sellerId, productId, updateData) => {
 
   await redisService.del(`${PRODUCT_DETAIL_CACHE_KEY_PREFIX}${productId}`);
   await redisService.del(FEATURED_PRODUCTS_CACHE_KEY);
+  await invalidateSuggestions();
   return product.populate("categoryId", "name slug");
 };
 
@@ -548,6 +628,7 @@ const deleteSellerOwnedProduct = async (sellerId, productId) => {
 
   await redisService.del(`${PRODUCT_DETAIL_CACHE_KEY_PREFIX}${productId}`);
   await redisService.del(FEATURED_PRODUCTS_CACHE_KEY);
+  await invalidateSuggestions();
   // Invalidate category product list caches if any
 };
 
@@ -727,6 +808,7 @@ const adminUpdateProduct = async (productId, updateData) => {
   await redisService.del(`${PRODUCT_DETAIL_CACHE_KEY_PREFIX}${productId}`);
   if (updateData.isFeatured !== undefined)
     await redisService.del(FEATURED_PRODUCTS_CACHE_KEY);
+  await invalidateSuggestions(); // Approval or renaming changes what is suggested
   return adminGetProductById(productId);
 };
 
@@ -746,6 +828,7 @@ const adminDeleteProduct = async (productId) => {
   await product.deleteOne();
   await redisService.del(`${PRODUCT_DETAIL_CACHE_KEY_PREFIX}${productId}`);
   await redisService.del(FEATURED_PRODUCTS_CACHE_KEY); // If it was featured
+  await invalidateSuggestions();
 };
 
 /**
@@ -786,6 +869,7 @@ const unfeatureProduct = async (productId) => {
 
 export const productService = {
   listProducts,
+  suggestProducts,
   getProductById,
   listProductVariants,
   getProductVariantById,
@@ -5,6 +5,7 @@ import ApiError from "../errors/ApiError.js";
 import httpStatusCodes from "http-status-codes";
 import logger from "../utils/logger.js";
 import { redisService } from "./redis.service.js"; // For cache invalidation
+import { inventoryService } from "./inventory.service.js";
 
 const PRODUCT_VARIANTS_CACHE_KEY_PREFIX = "product_variants:"; // Defined in product.service.js, reuse
 const PRODUCT_DETAIL_CACHE_KEY_PREFIX = "product_detail:"; // Defined in product.service.js, reuse
@@ -46,6 +47,46 @@ const validateImageIds = async (productId, imageIds) => {
   }
 };
 
+/**
+ * Rejects a stock edit below the units held for checkouts and unpaid orders before any other
+ * change to the variant is saved. The inventory update re-checks this atomically.
+ * @param {InstanceType<typeof ProductVariant>} variant - The variant being edited.
+ * @param {number} [stockQuantity] - The new on-hand quantity, if the edit sets one.
+ * @throws {ApiError} 409 if the quantity is below the variant's reserved units.
+ */
+const assertStockCoversReserved = (variant, stockQuantity) => {
+  if (
+    stockQuantity !== undefined &&
+    Number(stockQuantity) < (variant.reservedQuantity ?? 0)
+  ) {
+    throw new ApiError(
+      httpStatusCodes.CONFLICT,
+      `Stock cannot be set below the ${variant.reservedQuantity} unit(s) held for checkouts and unpaid orders.`,
+    );
+  }
+};
+
+/**
+ * Applies a seller's edit of a variant's on-hand stock, recording it in the inventory ledger,
+ * and re-checks the low-stock alert (the threshold may have changed too).
+ * @param {InstanceType<typeof ProductVariant>} variant - The saved variant; its stockQuantity is updated in place.
+ * @param {string} sellerId - The ID of the seller.
+ * @param {number} [stockQuantity] - The new on-hand quantity, if the edit sets one.
+ * @returns {Promise<void>}
+ */
+const applyStockEdit = async (variant, sellerId, stockQuantity) => {
+  if (stockQuantity !== undefined) {
+    const updated = await inventoryService.setVariantStock(
+      variant._id,
+      sellerId,
+      Number(stockQuantity),
+      { id: sellerId, role: "seller" },
+    );
+    variant.stockQuantity = updated.stockQuantity;
+  }
+  await inventoryService.refreshLowStockAlerts([variant._id]);
+};
+
 /**
  * Creates a new variant for a seller's product.
  * @param {string} sellerId - The ID of the seller.
@@ -74,6 +115,23 @@ const createProductVariant = async (sellerId, productId, variantData) => {
     ...variantData,
     productId,
   });
+  if (variant.stockQuantity > 0) {
+    await inventoryService.recordMovements(
+      [
+        {
+          variantId: variant._id,
+          productId,
+          sellerId,
+          sku: variant.sku,
+          type: "initial_stock",
+          quantityChange: variant.stockQuantity,
+          quantityAfter: variant.stockQuantity,
+        },
+      ],
+      { id: sellerId, role: "seller" },
+    );
+  }
+  await inventoryService.refreshLowStockAlerts([variant._id]);
 
   await redisService.del(`${PRODUCT_VARIANTS_CACHE_KEY_PREFIX}${productId}`);
   await redisService.del(`${PRODUCT_DETAIL_CACHE_KEY_PREFIX}${productId}`); // Product details might show variant count/summary
@@ -147,8 +205,12 @@ const updateSellerProductVariant = async (
     }
   }
 
-  Object.assign(variant, updateData);
+  // Stock goes through the inventory ledger rather than the document save
+  const { stockQuantity, ...changes } = updateData;
+  assertStockCoversReserved(variant, stockQuantity);
+  Object.assign(variant, changes);
   await variant.save();
+  await applyStockEdit(variant, sellerId, stockQuantity);
 
   await redisService.del(`${PRODUCT_VARIANTS_CACHE_KEY_PREFIX}${productId}`);
   await redisService.del(`${PRODUCT_DETAIL_CACHE_KEY_PREFIX}${productId}`);
@@ -192,12 +254,15 @@ const patchSellerProductVariant = async (
     }
   }
 
-  // Apply partial updates
-  for (const key of Object.keys(updateData)) {
-    variant[key] = updateData[key];
+  // Apply partial updates; stock goes through the inventory ledger rather than the document save
+  const { stockQuantity, ...changes } = updateData;
+  assertStockCoversReserved(variant, stockQuantity);
+  for (const key of Object.keys(changes)) {
+    variant[key] = changes[key];
   }
 
   await variant.save();
+  await applyStockEdit(variant, sellerId, stockQuantity);
 
   await redisService.del(`${PRODUCT_VARIANTS_CACHE_KEY_PREFIX}${productId}`);
   await redisService.del(`${PRODUCT_DETAIL_CACHE_KEY_PREFIX}${productId}`);
@@ -0,0 +1,520 @@
+import Promotion from "../models/Promotion.model.js";
+import PromotionRedemption from "../models/PromotionRedemption.model.js";
+import Product from "../models/Product.model.js";
+import ApiError from "../errors/ApiError.js";
+import httpStatusCodes from "http-status-codes";
+import logger from "../utils/logger.js";
+
+const roundMoney = (value) => Number.parseFloat(value.toFixed(2));
+
+/**
+ * A priced line the promotion engine works on.
+ * @typedef {object} PromotionLine
+ * @property {string} id - Cart item or order item ID.
+ * @property {string} productId
+ * @property {string} [categoryId]
+ * @property {string} sellerId
+ * @property {number} unitPrice
+ * @property {number} quantity
+ */
+
+/**
+ * What a promotion is worth for a set of lines.
+ * @typedef {object} PromotionDiscount
+ * @property {number} discountAmount - Discount on the goods.
+ * @property {number} shippingDiscountAmount - Shipping cost waived.
+ * @property {number} eligibleSubtotal - Subtotal of the lines the promotion applies to.
+ * @property {Record<string, number>} lineDiscounts - Share of discountAmount per line ID, used for refunds.
+ */
+
+/**
+ * Maps cart items (with productId and variantId populated) to promotion lines.
+ * @param {Array<Object>} cartItems - Cart items.
+ * @returns {Array<PromotionLine>} The lines.
+ */
+const toPromotionLines = (cartItems) =>
+  cartItems.map((item) => ({
+    id: item._id,
+    productId: item.productId?._id ?? item.productId,
+    categoryId: item.productId?.categoryId,
+    sellerId: item.productId?.sellerId,
+    unitPrice: item.priceAtAddition,
+    quantity: item.quantity,
+  }));
+
+/**
+ * Checks whether a line falls within a promotion's seller, product and category scope.
+ * @param {Object} promotion - The promotion.
+ * @param {PromotionLine} line - The line.
+ * @returns {boolean} True if the promotion applies to the line.
+ */
+const isLineEligible = (promotion, line) => {
+  if (promotion.sellerId && line.sellerId !== promotion.sellerId) return false;
+  if (
+    promotion.productIds?.length > 0 &&
+    !promotion.productIds.includes(line.productId)
+  ) {
+    return false;
+  }
+  if (
+    promotion.categoryIds?.length > 0 &&
+    !promotion.categoryIds.includes(line.categoryId)
+  ) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Spreads a discount over lines in proportion to their value. Rounding leftovers go to the last line
+ * so the shares add up to the discount exactly.
+ * @param {Array<PromotionLine>} lines - Eligible lines.
+ * @param {number} discountAmount - Discount to spread.
+ * @returns {Record<string, number>} Share per line ID.
+ */
+const allocateDiscount = (lines, discountAmount) => {
+  const total = lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0);
+  const shares = {};
+  let allocated = 0;
+  lines.forEach((line, index) => {
+    const share =
+      index === lines.length - 1
+        ? roundMoney(discountAmount - allocated)
+        : roundMoney(
+            (discountAmount * line.unitPrice * line.quantity) / (total || 1),
+          );
+    shares[line.id] = share;
+    allocated += share;
+  });
+  return shares;
+};
+
+/**
+ * Works out the buy-X-get-Y discount: eligible units are sorted by price, most expensive first, and in
+ * every group of buyQuantity + getQuantity units the cheapest getQuantity units are discounted.
+ * @param {Object} promotion - The promotion.
+ * @param {Array<PromotionLine>} lines - Eligible lines.
+ * @returns {Record<string, number>} Discount per line ID.
+ */
+const computeBuyXGetYDiscounts = (promotion, lines) => {
+  const units = lines
+    .flatMap((line) =>
+      Array.from({ length: line.quantity }, () => ({
+        lineId: line.id,
+        unitPrice: line.unitPrice,
+      })),
+    )
+    .sort((a, b) => b.unitPrice - a.unitPrice);
+  const groupSize = promotion.buyQuantity + promotion.getQuantity;
+  const discounts = {};
+  units.forEach((unit, index) => {
+    if (index % groupSize < promotion.buyQuantity) return;
+    // Only complete groups earn the free units
+    if (Math.floor(index / groupSize) * groupSize + groupSize > units.length)
+      return;
+    discounts[unit.lineId] =
+      (discounts[unit.lineId] ?? 0) +
+      (unit.unitPrice * promotion.getDiscountPercent) / 100;
+  });
+  for (const lineId of Object.keys(discounts)) {
+    discounts[lineId] = roundMoney(discounts[lineId]);
+  }
+  return discounts;
+};
+
+/**
+ * Computes what a promotion is worth for a set of lines. Does not check dates or limits.
+ * @param {Object} promotion - The promotion.
+ * @param {Array<PromotionLine>} lines - The cart or order lines.
+ * @param {{shippingCost?: number}} [options] - Shipping cost, for free_shipping promotions.
+ * @returns {PromotionDiscount} The discount.
+ */
+const computePromotionDiscount = (
+  promotion,
+  lines,
+  { shippingCost = 0 } = {},
+) => {
+  const eligible = lines.filter((line) => isLineEligible(promotion, line));
+  const eligibleSubtotal = roundMoney(
+    eligible.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0),
+  );
+  const result = {
+    discountAmount: 0,
+    shippingDiscountAmount: 0,
+    eligibleSubtotal,
+    lineDiscounts: {},
+  };
+  if (eligible.length === 0) return result;
+
+  switch (promotion.type) {
+    case "percentage": {
+      let amount = (eligibleSubtotal * promotion.value) / 100;
+      if (promotion.maxDiscountAmount != null) {
+        amount = Math.min(amount, promotion.maxDiscountAmount);
+      }
+      result.discountAmount = roundMoney(amount);
+      result.lineDiscounts = allocateDiscount(eligible, result.discountAmount);
+      break;
+    }
+    case "fixed_amount": {
+      result.discountAmount = roundMoney(
+        Math.min(promotion.value, eligibleSubtotal),
+      );
+      result.lineDiscounts = allocateDiscount(eligible, result.discountAmount);
+      break;
+    }
+    case "free_shipping":
+      result.shippingDiscountAmount = roundMoney(shippingCost);
+      break;
+    case "buy_x_get_y": {
+      result.lineDiscounts = computeBuyXGetYDiscounts(promotion, eligible);
+      result.discountAmount = roundMoney(
+        Object.values(result.lineDiscounts).reduce((sum, d) => sum + d, 0),
+      );
+      break;
+    }
+    default:
+      break;
+  }
+  return result;
+};
+
+/**
+ * Looks up a promotion by code and checks it can be used on the lines by the buyer right now.
+ * @param {string} code - The discount code, in any case.
+ * @param {Array<PromotionLine>} lines - The cart lines.
+ * @param {{userId: string, shippingCost?: number, now?: Date}} context - Buyer, shipping cost and reference time.
+ * @returns {Promise<{promotion: InstanceType<typeof Promotion>} & PromotionDiscount>} The promotion and what it is worth.
+ * @throws {ApiError} 404 if the code does not exist, 400 if it cannot be used on this cart.
+ */
+const evaluatePromotionCode = async (
+  code,
+  lines,
+  { userId, shippingCost = 0, now = new Date() },
+) => {
+  const promotion = await Promotion.findOne({
+    code: code.trim().toUpperCase(),
+  });
+  if (!promotion || !promotion.isActive) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Discount code not found.");
+  }
+  if (promotion.startsAt && promotion.startsAt > now) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "This discount code is not active yet.",
+    );
+  }
+  if (promotion.endsAt && promotion.endsAt <= now) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "This discount code has expired.",
+    );
+  }
+  if (
+    promotion.usageLimit != null &&
+    promotion.usageCount >= promotion.usageLimit
+  ) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "This discount code has reached its usage limit.",
+    );
+  }
+  if (promotion.perUserLimit != null) {
+    const used = await PromotionRedemption.countDocuments({
+      promotionId: promotion._id,
+      userId,
+      status: "redeemed",
+    });
+    if (used >= promotion.perUserLimit) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        "You have already used this discount code the maximum number of times.",
+      );
+    }
+  }
+
+  const discount = computePromotionDiscount(promotion, lines, {
+    shippingCost,
+  });
+  if (discount.eligibleSubtotal === 0) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "This discount code does not apply to any item in your cart.",
+    );
+  }
+  if (discount.eligibleSubtotal < promotion.minSubtotal) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `This discount code requires a minimum spend of ${promotion.minSubtotal} on eligible items.`,
+    );
+  }
+  return { promotion, ...discount };
+};
+
+/**
+ * Records the use of a promotion by an order. Run inside the checkout transaction: the usage limit is
+ * claimed with a guarded increment and the per-buyer limit with a unique slot, so concurrent checkouts
+ * cannot exceed either. The increment also re-checks that the promotion is still active and within
+ * its validity window, which may have closed since the code was evaluated.
+ * @param {{promotion: Object, userId: string, orderId: string, discountAmount: number, shippingDiscountAmount: number}} redemption - The redemption.
+ * @param {import('mongoose').ClientSession} session - Transaction session.
+ * @param {Date} [now=new Date()] - Reference time.
+ * @throws {ApiError} 409 if the promotion ended or a limit was reached in the meantime.
+ */
+const redeemPromotion = async (
+  { promotion, userId, orderId, discountAmount, shippingDiscountAmount },
+  session,
+  now = new Date(),
+) => {
+  const claimed = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      isActive: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+        {
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ["$usageCount", "$usageLimit"] } },
+          ],
+        },
+      ],
+    },
+    { $inc: { usageCount: 1 } },
+    { session },
+  );
+  if (!claimed) {
+    const current = await Promotion.findById(promotion._id)
+      .session(session)
+      .lean();
+    const limitReached =
+      current?.usageLimit != null && current.usageCount >= current.usageLimit;
+    throw new ApiError(
+      httpStatusCodes.CONFLICT,
+      limitReached
+        ? "This discount code has reached its usage limit."
+        : "This discount code is no longer valid.",
+    );
+  }
+
+  let userSlot;
+  if (promotion.perUserLimit != null) {
+    const taken = await PromotionRedemption.find(
+      { promotionId: promotion._id, userId, status: "redeemed" },
+      "userSlot",
+      { session },
+    ).lean();
+    const takenSlots = new Set(taken.map((r) => r.userSlot));
+    userSlot = Array.from(
+      { length: promotion.perUserLimit },
+      (_, i) => i + 1,
+    ).find((slot) => !takenSlots.has(slot));
+    if (userSlot === undefined) {
+      throw new ApiError(
+        httpStatusCodes.CONFLICT,
+        "You have already used this discount code the maximum number of times.",
+      );
+    }
+  }
+
+  await PromotionRedemption.create(
+    [
+      {
+        promotionId: promotion._id,
+        userId,
+        orderId,
+        code: promotion.code,
+        discountAmount,
+        shippingDiscountAmount,
+        userSlot,
+      },
+    ],
+    { session },
+  );
+};
+
+/**
+ * Gives an order's promotion use back (payment failed, order cancelled). Safe to call more than once.
+ * @param {string} orderId - The order ID.
+ * @param {import('mongoose').ClientSession} [session] - Optional transaction session.
+ * @returns {Promise<boolean>} True if a redemption was released by this call.
+ */
+const releaseOrderRedemption = async (orderId, session) => {
+  const released = await PromotionRedemption.findOneAndUpdate(
+    { orderId, status: "redeemed" },
+    {
+      $set: { status: "released", releasedAt: new Date() },
+      $unset: { userSlot: "" },
+    },
+    { session },
+  );
+  if (!released) return false;
+  await Promotion.updateOne(
+    { _id: released.promotionId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session },
+  );
+  logger.info(
+    `Released promotion ${released.code} redemption for order ${orderId}.`,
+  );
+  return true;
+};
+
+/**
+ * Checks that every product a seller scopes a promotion to is theirs.
+ * @param {string} sellerId - The seller.
+ * @param {Array<string>} productIds - Product IDs.
+ */
+const assertSellerOwnsProducts = async (sellerId, productIds = []) => {
+  if (productIds.length === 0) return;
+  const owned = await Product.countDocuments({
+    _id: { $in: productIds },
+    sellerId,
+  });
+  if (owned !== new Set(productIds).size) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Promotions can only target your own products.",
+    );
+  }
+};
+
+/**
+ * Checks the fields a promotion's type needs, once create or update data is merged in.
+ * @param {Object} promotion - The promotion data.
+ * @throws {ApiError} 400 if the promotion is inconsistent.
+ */
+const assertValidPromotion = (promotion) => {
+  const problem =
+    (promotion.type === "percentage" &&
+      !(promotion.value > 0 && promotion.value <= 100) &&
+      "Percentage promotions need a value between 0 and 100.") ||
+    (promotion.type === "fixed_amount" &&
+      !(promotion.value > 0) &&
+      "Fixed amount promotions need a positive value.") ||
+    (promotion.type === "buy_x_get_y" &&
+      !(promotion.buyQuantity >= 1 && promotion.getQuantity >= 1) &&
+      "Buy X get Y promotions need buyQuantity and getQuantity.") ||
+    (promotion.startsAt &&
+      promotion.endsAt &&
+      promotion.endsAt <= promotion.startsAt &&
+      "endsAt must be after startsAt.");
+  if (problem) throw new ApiError(httpStatusCodes.BAD_REQUEST, problem);
+};
+
+/**
+ * Creates a promotion.
+ * @param {{id: string, role: "admin" | "seller"}} actor - The admin or seller creating it. Seller promotions are limited to the seller's products.
+ * @param {typeof import('../dtos/promotion.dto.js').createPromotionSchema._input.body} promotionData - The promotion.
+ * @returns {Promise<InstanceType<typeof Promotion>>} The created promotion.
+ * @throws {ApiError} 409 if the code is taken.
+ */
+const createPromotion = async (actor, promotionData) => {
+  const data = { ...promotionData, createdBy: actor.id };
+  assertValidPromotion(data);
+  if (actor.role === "seller") {
+    data.sellerId = actor.id;
+    await assertSellerOwnsProducts(actor.id, data.productIds);
+  }
+  if (await Promotion.exists({ code: data.code.toUpperCase() })) {
+    throw new ApiError(
+      httpStatusCodes.CONFLICT,
+      `Discount code ${data.code.toUpperCase()} already exists.`,
+    );
+  }
+  const promotion = await Promotion.create(data);
+  logger.info(
+    `Promotion ${promotion.code} (${promotion.type}) created by ${actor.role} ${actor.id}.`,
+  );
+  return promotion;
+};
+
+/**
+ * Lists promotions, newest first.
+ * @param {typeof import('../dtos/promotion.dto.js').listPromotionsQuerySchema._input.query} queryOptions - Filters and pagination.
+ * @param {{sellerId?: string}} [scope] - Restrict to one seller's promotions.
+ * @returns {Promise<{results: Array<Object>, page: number, limit: number, totalPages: number, totalResults: number}>} Paginated promotions.
+ */
+const listPromotions = async (queryOptions, { sellerId } = {}) => {
+  const { page = 1, limit = 10, status, code } = queryOptions;
+  const filter = {};
+  if (sellerId) filter.sellerId = sellerId;
+  if (status && status !== "all") filter.isActive = status === "active";
+  if (code) filter.code = code.toUpperCase();
+
+  const [results, totalResults] = await Promise.all([
+    Promotion.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Promotion.countDocuments(filter),
+  ]);
+  return {
+    results,
+    page,
+    limit,
+    totalPages: Math.ceil(totalResults / limit),
+    totalResults,
+  };
+};
+
+/**
+ * Finds a promotion the actor may manage.
+ * @param {string} promotionId - The promotion ID.
+ * @param {{sellerId?: string}} scope - Restrict to one seller's promotions.
+ * @returns {Promise<InstanceType<typeof Promotion>>} The promotion.
+ */
+const getManagedPromotion = async (promotionId, { sellerId } = {}) => {
+  const promotion = await Promotion.findOne({
+    _id: promotionId,
+    ...(sellerId && { sellerId }),
+  });
+  if (!promotion) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Promotion not found.");
+  }
+  return promotion;
+};
+
+/**
+ * Updates a promotion. The code and type cannot change once created.
+ * @param {string} promotionId - The promotion ID.
+ * @param {typeof import('../dtos/promotion.dto.js').updatePromotionSchema._input.body} updateData - Fields to update.
+ * @param {{sellerId?: string}} [scope] - Restrict to one seller's promotions.
+ * @returns {Promise<InstanceType<typeof Promotion>>} The updated promotion.
+ */
+const updatePromotion = async (promotionId, updateData, scope = {}) => {
+  const promotion = await getManagedPromotion(promotionId, scope);
+  if (scope.sellerId) {
+    await assertSellerOwnsProducts(scope.sellerId, updateData.productIds);
+  }
+  promotion.set(updateData);
+  assertValidPromotion(promotion);
+  await promotion.save();
+  return promotion;
+};
+
+/**
+ * Deactivates a promotion. It is kept so past orders still reference it.
+ * @param {string} promotionId - The promotion ID.
+ * @param {{sellerId?: string}} [scope] - Restrict to one seller's promotions.
+ */
+const deactivatePromotion = async (promotionId, scope = {}) => {
+  const promotion = await getManagedPromotion(promotionId, scope);
+  promotion.isActive = false;
+  await promotion.save();
+};
+
+export const promotionService = {
+  toPromotionLines,
+  computePromotionDiscount,
+  evaluatePromotionCode,
+  redeemPromotion,
+  releaseOrderRedemption,
+  createPromotion,
+  listPromotions,
+  getManagedPromotion,
+  updatePromotion,
+  deactivatePromotion,
+};
@@ -37,6 +37,24 @@ const set = async (key, value, ttlSeconds) => {
   }
 };
 
+/**
+ * Sets a value with a TTL. Unlike set this does not swallow errors, for callers that must not
+ * carry on as if the value was written.
+ * @param {string} key The key to set.
+ * @param {string | number | Buffer} value The value to set.
+ * @param {number} ttlSeconds Time to live in seconds.
+ * @returns {Promise<string>} A promise that resolves with 'OK'.
+ * @throws {Error} If Redis fails.
+ */
+const setOrThrow = async (key, value, ttlSeconds) => {
+  try {
+    return await redisClient.set(key, value, "EX", ttlSeconds);
+  } catch (error) {
+    logger.error(`Error setting Redis key ${key}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Gets a value from Redis.
  * @param {string} key The key to get.
@@ -51,6 +69,22 @@ const get = async (key) => {
   }
 };
 
+/**
+ * Gets several values in one command. Errors are not swallowed: a missing value must mean the
+ * key does not exist, not that Redis failed.
+ * @param {Array<string>} keys The keys to get.
+ * @returns {Promise<Array<string | null>>} A promise that resolves with the values, null for missing keys.
+ * @throws {Error} If Redis fails.
+ */
+const getMany = async (keys) => {
+  try {
+    return await redisClient.mget(...keys);
+  } catch (error) {
+    logger.error(`Error getting ${keys.length} Redis keys:`, error);
+    throw error;
+  }
+};
+
 /**
  * Deletes a key from Redis.
  * @param {string} key The key to delete.
@@ -65,9 +99,118 @@ const del = async (key) => {
   }
 };
 
+/**
+ * Deletes every key starting with a prefix. Walks the keyspace with SCAN rather than KEYS so
+ * Redis is never blocked. Unlike the single-key helpers this does not swallow errors: callers
+ * use it to revoke credentials and must not report success when nothing was deleted.
+ * @param {string} prefix The key prefix.
+ * @returns {Promise<number>} A promise that resolves with the number of keys deleted.
+ * @throws {Error} If Redis fails mid-scan or mid-delete.
+ */
+const delByPrefix = async (prefix) => {
+  try {
+    let deleted = 0;
+    const stream = redisClient.scanStream({ match: `${prefix}*`, count: 100 });
+    for await (const keys of stream) {
+      if (keys.length) deleted += await redisClient.del(...keys);
+    }
+    return deleted;
+  } catch (error) {
+    logger.error(`Error deleting Redis keys with prefix ${prefix}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a set of keys in one command. Errors are not swallowed, for the same reason as
+ * delByPrefix.
+ * @param {Array<string>} keys The keys to delete.
+ * @returns {Promise<number>} A promise that resolves with the number of keys deleted.
+ * @throws {Error} If Redis fails.
+ */
+const delMany = async (keys) => {
+  if (keys.length === 0) return 0;
+  try {
+    return await redisClient.del(...keys);
+  } catch (error) {
+    logger.error(`Error deleting ${keys.length} Redis keys:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Atomically overwrites an existing key, keeping its TTL, and returns the value it replaced.
+ * Missing keys are left missing. Needs Redis 7.
+ * @param {string} key The key to overwrite.
+ * @param {string | number | Buffer} value The new value.
+ * @returns {Promise<string | null>} A promise that resolves with the previous value, or null if the key did not exist or on error.
+ */
+const replace = async (key, value) => {
+  try {
+    return await redisClient.set(key, value, "XX", "KEEPTTL", "GET");
+  } catch (error) {
+    logger.error(`Error replacing Redis key ${key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Reads every key starting with a prefix, walking the keyspace with SCAN. Errors are not
+ * swallowed: an empty result must mean there are no keys, not that Redis failed.
+ * @param {string} prefix The key prefix.
+ * @returns {Promise<Array<{key: string, value: string}>>} A promise that resolves with the keys and their values; keys that expire mid-scan are skipped.
+ * @throws {Error} If Redis fails mid-scan.
+ */
+const getByPrefix = async (prefix) => {
+  try {
+    const entries = [];
+    const stream = redisClient.scanStream({ match: `${prefix}*`, count: 100 });
+    for await (const keys of stream) {
+      if (keys.length === 0) continue;
+      const values = await redisClient.mget(...keys);
+      for (const [index, key] of keys.entries()) {
+        if (values[index] !== null) entries.push({ key, value: values[index] });
+      }
+    }
+    return entries;
+  } catch (error) {
+    logger.error(`Error reading Redis keys with prefix ${prefix}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Increments a counter, starting its TTL when the increment creates it. Needs Redis 7. Errors
+ * are not swallowed: counters enforce limits, and a lost increment would lift them.
+ * @param {string} key The counter key.
+ * @param {number} expireSeconds TTL in seconds, counted from the first increment.
+ * @returns {Promise<number>} A promise that resolves with the new count.
+ * @throws {Error} If Redis fails.
+ */
+const incr = async (key, expireSeconds) => {
+  try {
+    const [[, count]] = await redisClient
+      .multi()
+      .incr(key)
+      .expire(key, expireSeconds, "NX")
+      .exec();
+    return count;
+  } catch (error) {
+    logger.error(`Error incrementing Redis key ${key}:`, error);
+    throw error;
+  }
+};
+
 export const redisService = {
   client: redisClient, // Export client for direct use if needed
   set,
+  setOrThrow,
   get,
+  getMany,
   del,
+  delByPrefix,
+  delMany,
+  replace,
+  getByPrefix,
+  incr,
 };
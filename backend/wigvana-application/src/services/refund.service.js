@@ -0,0 +1,607 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import Order from "../models/Order.model.js";
+import OrderItem from "../models/OrderItem.model.js";
+import ApiError from "../errors/ApiError.js";
+import PaymentGatewayTimeoutError from "../errors/PaymentGatewayTimeoutError.js";
+import httpStatusCodes from "http-status-codes";
+import logger from "../utils/logger.js";
+import { paymentGatewayService } from "./paymentGateway.service.js";
+import { orderStatusService } from "./orderStatus.service.js";
+
+/** Payment statuses that still have captured funds to refund. */
+const REFUNDABLE_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+
+/** Tolerance for floating point comparisons of currency amounts. */
+const MONEY_EPSILON = 0.005;
+
+const roundMoney = (value) => Number.parseFloat(value.toFixed(2));
+
+/**
+ * @typedef {object} RefundRequest
+ * @property {Array<{orderItemId: string, quantity: number}>} [items] - Lines and quantities to refund.
+ * @property {number} [shippingAmount] - Shipping cost to refund.
+ * @property {boolean} [includeTax] - Whether to add the tax charged on the refunded lines (default true).
+ * @property {number} [amount] - A lump sum not tied to items (e.g. a goodwill credit). Mutually exclusive with items/shippingAmount.
+ * @property {boolean} [settleRemaining] - Refund everything still owed: every unrefunded unit, the rest of the shipping, and the order's whole remaining balance. Used when an order is cancelled.
+ * @property {string} reason - Why the refund is issued.
+ */
+
+/**
+ * Shipping cost not yet refunded by a live (not failed) ledger entry.
+ * @param {InstanceType<typeof Order>} order - The order.
+ * @returns {number} The refundable shipping amount.
+ */
+const remainingShippingCost = (order) => {
+  const refundedShipping = order.refunds
+    .filter((entry) => entry.status !== "failed")
+    .reduce((sum, entry) => sum + (entry.shippingAmount || 0), 0);
+  return roundMoney(Math.max(0, (order.shippingCost || 0) - refundedShipping));
+};
+
+/**
+ * Works out what a refund request is worth. Line amounts carry their share of the order discount
+ * (the line's own allocation when the promotion recorded one, otherwise a share in proportion to its
+ * value). Tax comes from the line's own tax record when the order has one, otherwise in proportion to
+ * the line's share of the discounted subtotal. Tax already contained in a tax-inclusive price is part of
+ * the line amount and is not refunded again on top.
+ * @param {InstanceType<typeof Order>} order - The order.
+ * @param {Array<InstanceType<typeof OrderItem>>} orderItems - The order's items.
+ * @param {RefundRequest} refundData - The refund request.
+ * @returns {{amount: number, items: Array<Object>, shippingAmount: number, taxAmount: number}} The ledger entry amounts.
+ * @throws {ApiError} If the request is empty, ambiguous, or exceeds what can still be refunded.
+ */
+const computeRefundBreakdown = (order, orderItems, refundData) => {
+  const {
+    items = [],
+    shippingAmount = 0,
+    includeTax = true,
+    amount,
+    settleRemaining = false,
+  } = refundData;
+
+  if (settleRemaining) {
+    // Spread over the items so their refunded quantities stay accurate for later refunds and
+    // returns, but pay back the whole balance, which may differ after earlier lump-sum refunds.
+    const remainingLines = orderItems
+      .map((item) => ({
+        orderItemId: item._id,
+        quantity: item.quantity - (item.refundedQuantity || 0),
+      }))
+      .filter((line) => line.quantity > 0);
+    const remainingShipping = remainingShippingCost(order);
+    const breakdown =
+      remainingLines.length > 0 || remainingShipping > 0
+        ? computeRefundBreakdown(order, orderItems, {
+            items: remainingLines,
+            shippingAmount: remainingShipping,
+            includeTax,
+            reason: refundData.reason,
+          })
+        : { items: [], shippingAmount: 0, taxAmount: 0 };
+    return {
+      ...breakdown,
+      amount: roundMoney(order.totalAmount - (order.refundedAmount || 0)),
+    };
+  }
+
+  if (amount !== undefined) {
+    if (items.length > 0 || shippingAmount > 0) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        "Specify either an amount or items/shipping to refund, not both.",
+      );
+    }
+    return {
+      amount: roundMoney(amount),
+      items: [],
+      shippingAmount: 0,
+      taxAmount: 0,
+    };
+  }
+  if (items.length === 0 && shippingAmount <= 0) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Nothing to refund: provide an amount, items or a shipping amount.",
+    );
+  }
+
+  const itemsById = new Map(orderItems.map((item) => [item._id, item]));
+  const seen = new Set();
+  const subtotal = order.subtotalAmount || 0;
+  const discountedSubtotal = subtotal - (order.discountAmount || 0);
+  const discountRatio = subtotal > 0 ? discountedSubtotal / subtotal : 1;
+  const hasLineDiscounts = orderItems.some((item) => item.discountAmount > 0);
+  const hasLineTaxes = orderItems.some((item) => item.taxBreakdown?.length > 0);
+  const addedTax = (order.taxAmount || 0) - (order.includedTaxAmount || 0);
+  const taxRatio = discountedSubtotal > 0 ? addedTax / discountedSubtotal : 0;
+
+  const lines = items.map(({ orderItemId, quantity }) => {
+    const item = itemsById.get(orderItemId);
+    if (!item) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        `Order item ${orderItemId} is not part of this order.`,
+      );
+    }
+    if (seen.has(orderItemId)) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        `Order item ${orderItemId} is listed more than once.`,
+      );
+    }
+    seen.add(orderItemId);
+
+    const remaining = item.quantity - (item.refundedQuantity || 0);
+    if (quantity > remaining) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        `Only ${remaining} unit(s) of ${item.productNameSnapshot} can still be refunded.`,
+      );
+    }
+    const gross = item.unitPrice * quantity;
+    const net = hasLineDiscounts
+      ? gross - ((item.discountAmount || 0) * quantity) / item.quantity
+      : gross * discountRatio;
+    const tax = hasLineTaxes
+      ? (((item.taxAmount || 0) - (item.includedTaxAmount || 0)) * quantity) /
+        item.quantity
+      : net * taxRatio;
+    return {
+      orderItemId,
+      quantity,
+      amount: roundMoney(net),
+      taxAmount: includeTax ? roundMoney(tax) : 0,
+    };
+  });
+
+  const refundableShipping = remainingShippingCost(order);
+  if (shippingAmount > refundableShipping + MONEY_EPSILON) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `Shipping refund exceeds the remaining shipping cost of ${refundableShipping}.`,
+    );
+  }
+
+  const taxAmount = roundMoney(
+    lines.reduce((sum, line) => sum + line.taxAmount, 0),
+  );
+  const goodsAmount = lines.reduce((sum, line) => sum + line.amount, 0);
+  return {
+    amount: roundMoney(goodsAmount + taxAmount + shippingAmount),
+    items: lines,
+    shippingAmount: roundMoney(shippingAmount),
+    taxAmount,
+  };
+};
+
+/**
+ * Moves the order's payment status and its items' statuses in line with the refund ledger.
+ * A fully refunded order becomes "refunded" unless its status does not allow it (e.g. it was cancelled).
+ * @param {string} orderId - The order ID.
+ * @param {Array<string>} orderItemIds - Items touched by the latest refund.
+ * @param {import('./orderStatus.service.js').StatusActor} actor - Who issued the refund.
+ * @param {string} [note] - Note for the status history.
+ */
+const settleRefundStatuses = async (orderId, orderItemIds, actor, note) => {
+  const order = await Order.findById(orderId);
+  const fullyRefunded =
+    order.refundedAmount >= order.totalAmount - MONEY_EPSILON;
+  const closesOrder =
+    fullyRefunded &&
+    orderStatusService.canTransitionOrder(order.status, "refunded");
+  await Order.updateOne(
+    { _id: orderId, paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES } },
+    {
+      $set: {
+        paymentStatus: fullyRefunded ? "refunded" : "partially_refunded",
+      },
+    },
+  );
+  if (closesOrder) {
+    const closed = await Order.updateOne(
+      { _id: orderId, status: order.status },
+      { $set: { status: "refunded" } },
+    );
+    if (closed.modifiedCount === 1) {
+      await orderStatusService.recordOrderStatusChange(
+        { orderId, fromStatus: order.status, toStatus: "refunded" },
+        actor,
+        { note },
+      );
+    }
+  }
+
+  if (orderItemIds.length > 0) {
+    await orderStatusService.transitionOrderItems(
+      {
+        _id: { $in: orderItemIds },
+        $expr: { $gte: ["$refundedQuantity", "$quantity"] },
+      },
+      "refunded",
+      actor,
+      { note },
+    );
+    await orderStatusService.transitionOrderItems(
+      {
+        _id: { $in: orderItemIds },
+        $expr: { $lt: ["$refundedQuantity", "$quantity"] },
+      },
+      "partially_refunded",
+      actor,
+      { note },
+    );
+  }
+};
+
+/**
+ * Reverses the ledger effects of a refund the gateway rejected. The entry itself is kept as "failed".
+ * @param {string} orderId - The order ID.
+ * @param {Object} entry - The ledger entry.
+ * @param {string} failureReason - Gateway message.
+ */
+const revertRefundEntry = async (orderId, entry, failureReason) =>
+  mongoose.connection.transaction(async (session) => {
+    await Order.updateOne(
+      { _id: orderId, "refunds._id": entry._id },
+      {
+        $inc: { refundedAmount: -entry.amount },
+        $set: {
+          "refunds.$.status": "failed",
+          "refunds.$.failureReason": failureReason,
+        },
+      },
+      { session },
+    );
+    for (const line of entry.items) {
+      await OrderItem.updateOne(
+        { _id: line.orderItemId },
+        {
+          $inc: {
+            refundedQuantity: -line.quantity,
+            refundedAmount: -(line.amount + line.taxAmount),
+          },
+        },
+        { session },
+      );
+    }
+  });
+
+/**
+ * Refunds part or all of an order through its payment gateway and records it in the order's refund ledger.
+ * The amounts are claimed on the order and its items before the gateway is called, so concurrent refunds
+ * cannot together exceed what was paid. If the gateway rejects the refund the claim is released and the
+ * entry is kept as "failed"; if the gateway times out the entry stays "pending" for reconciliation.
+ * @param {string} orderId - The order ID.
+ * @param {RefundRequest} refundData - What to refund.
+ * @param {{source: "admin" | "return" | "cancellation", actorId?: string, actorRole?: "buyer" | "seller" | "admin" | "system", returnRequestId?: string, shipmentId?: string}} context - Who is refunding and why. actorRole defaults to admin.
+ * @returns {Promise<Object>} The ledger entry.
+ * @throws {ApiError} 400 if the order or request is not refundable, 409 on a concurrent refund, 502 if the gateway rejects it.
+ */
+const refundOrder = async (orderId, refundData, context) => {
+  const order = await Order.findById(orderId);
+  if (!order) throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
+  if (order.paymentStatus === "refunded") {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Order already fully refunded.",
+    );
+  }
+  if (
+    !REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus) ||
+    !order.paymentGatewayTransactionId
+  ) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Order has no captured payment to refund.",
+    );
+  }
+
+  const orderItems = await OrderItem.find({ orderId });
+  const breakdown = computeRefundBreakdown(order, orderItems, refundData);
+  const remaining = roundMoney(order.totalAmount - (order.refundedAmount || 0));
+  if (breakdown.amount <= 0) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Refund amount must be positive.",
+    );
+  }
+  if (breakdown.amount > remaining + MONEY_EPSILON) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `Refund amount ${breakdown.amount} exceeds the refundable amount of ${remaining}.`,
+    );
+  }
+
+  const entry = {
+    _id: uuidv4(),
+    ...breakdown,
+    reason: refundData.reason,
+    source: context.source,
+    actorId: context.actorId,
+    returnRequestId: context.returnRequestId,
+    shipmentId: context.shipmentId,
+    status: "pending",
+  };
+
+  await mongoose.connection.transaction(async (session) => {
+    const claim = await Order.updateOne(
+      {
+        _id: orderId,
+        paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES },
+        $expr: {
+          $lte: [
+            { $add: [{ $ifNull: ["$refundedAmount", 0] }, entry.amount] },
+            { $add: ["$totalAmount", MONEY_EPSILON] },
+          ],
+        },
+        ...(context.returnRequestId && {
+          "refunds.returnRequestId": { $ne: context.returnRequestId },
+        }),
+        // A cancelled shipment is refunded once; a rejected attempt may be retried
+        ...(context.shipmentId && {
+          refunds: {
+            $not: {
+              $elemMatch: {
+                shipmentId: context.shipmentId,
+                status: { $ne: "failed" },
+              },
+            },
+          },
+        }),
+      },
+      { $inc: { refundedAmount: entry.amount }, $push: { refunds: entry } },
+      { session },
+    );
+    if (claim.modifiedCount !== 1) {
+      throw new ApiError(
+        httpStatusCodes.CONFLICT,
+        "Order was refunded concurrently. Please reload and try again.",
+      );
+    }
+    for (const line of entry.items) {
+      const itemClaim = await OrderItem.updateOne(
+        {
+          _id: line.orderItemId,
+          $expr: {
+            $lte: [
+              { $add: [{ $ifNull: ["$refundedQuantity", 0] }, line.quantity] },
+              "$quantity",
+            ],
+          },
+        },
+        {
+          $inc: {
+            refundedQuantity: line.quantity,
+            refundedAmount: line.amount + line.taxAmount,
+          },
+        },
+        { session },
+      );
+      if (itemClaim.modifiedCount !== 1) {
+        throw new ApiError(
+          httpStatusCodes.CONFLICT,
+          "Order item was refunded concurrently. Please reload and try again.",
+        );
+      }
+    }
+  });
+
+  logger.info(
+    `Refunding ${entry.amount} on order ${orderId} (${context.source}, entry ${entry._id}). Reason: ${refundData.reason}`,
+  );
+
+  let result;
+  try {
+    result = await paymentGatewayService.refund(
+      order.paymentGateway ??
+        order.paymentMethodDetailsSnapshot?.paymentGateway,
+      {
+        transactionId: order.paymentGatewayTransactionId,
+        amount: entry.amount,
+        reason: refundData.reason,
+        idempotencyKey: entry._id,
+      },
+    );
+  } catch (err) {
+    if (err instanceof PaymentGatewayTimeoutError) {
+      // Outcome unknown: keep the claim so nothing is refunded twice; the webhook or finance settles it.
+      logger.warn(
+        `Refund ${entry._id} on order ${orderId} timed out; left pending.`,
+      );
+      throw err;
+    }
+    result = { status: "failed", message: err.message };
+  }
+
+  if (result.status === "failed") {
+    await revertRefundEntry(orderId, entry, result.message ?? "unknown error");
+    throw new ApiError(
+      httpStatusCodes.BAD_GATEWAY,
+      `Payment gateway rejected the refund: ${result.message ?? "unknown error"}`,
+    );
+  }
+
+  // A gateway may accept a refund but settle it later ("pending"); its webhook completes the entry.
+  const entryStatus = result.status === "refunded" ? "succeeded" : "pending";
+  await Order.updateOne(
+    { _id: orderId, "refunds._id": entry._id },
+    {
+      $set: {
+        "refunds.$.status": entryStatus,
+        "refunds.$.gatewayRefundId": result.refundId,
+      },
+    },
+  );
+  await settleRefundStatuses(
+    orderId,
+    entry.items.map((line) => line.orderItemId),
+    { id: context.actorId, role: context.actorRole ?? "admin" },
+    refundData.reason,
+  );
+
+  return { ...entry, status: entryStatus, gatewayRefundId: result.refundId };
+};
+
+/**
+ * Records a refund the gateway reports through a webhook. A refund we issued ourselves is matched by its
+ * gateway refund ID and only marked as succeeded; one issued elsewhere (e.g. the provider dashboard) is
+ * added to the ledger with source "gateway".
+ * @param {InstanceType<typeof Order>} order - The order.
+ * @param {{refundId?: string, amount?: number, reason?: string}} refund - Refund details from the webhook.
+ * @returns {Promise<{status: "processed" | "ignored", reason?: string}>} Outcome for the webhook event.
+ */
+const recordGatewayRefund = async (order, { refundId, amount, reason }) => {
+  const existing = refundId
+    ? order.refunds.find((entry) => entry.gatewayRefundId === refundId)
+    : undefined;
+  if (existing) {
+    if (existing.status !== "pending") {
+      return { status: "ignored", reason: "Refund already recorded." };
+    }
+    await Order.updateOne(
+      { _id: order._id, "refunds._id": existing._id },
+      { $set: { "refunds.$.status": "succeeded" } },
+    );
+    return { status: "processed" };
+  }
+
+  const remaining = roundMoney(order.totalAmount - (order.refundedAmount || 0));
+  const entryAmount = roundMoney(amount ?? remaining);
+  if (entryAmount <= 0 || entryAmount > remaining + MONEY_EPSILON) {
+    return {
+      status: "ignored",
+      reason: `Refund of ${entryAmount} exceeds the refundable amount of ${remaining}.`,
+    };
+  }
+
+  const entry = {
+    _id: uuidv4(),
+    amount: entryAmount,
+    items: [],
+    reason: reason ?? "Refund issued at the payment gateway.",
+    source: "gateway",
+    status: "succeeded",
+    gatewayRefundId: refundId,
+  };
+  const claim = await Order.updateOne(
+    {
+      _id: order._id,
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ["$refundedAmount", 0] }, entryAmount] },
+          { $add: ["$totalAmount", MONEY_EPSILON] },
+        ],
+      },
+      ...(refundId && { "refunds.gatewayRefundId": { $ne: refundId } }),
+    },
+    { $inc: { refundedAmount: entryAmount }, $push: { refunds: entry } },
+  );
+  if (claim.modifiedCount !== 1) {
+    return {
+      status: "ignored",
+      reason: "Refund already recorded or exceeds the refundable amount.",
+    };
+  }
+  await settleRefundStatuses(
+    order._id,
+    [],
+    orderStatusService.SYSTEM_ACTOR,
+    entry.reason,
+  );
+  return { status: "processed" };
+};
+
+/**
+ * Gives the buyer's money back after a cancellation. A payment that was never captured has its
+ * authorization voided; a captured one is refunded through the ledger: every unrefunded item and the
+ * whole remaining amount when the order is cancelled, or a cancelled seller's items and shipping when
+ * only their shipment is.
+ * Safe to call again for the same cancellation: what was already voided or refunded is skipped.
+ * @param {string} orderId - The order ID.
+ * @param {{shipment?: {_id: string, shippingCost?: number}, reason: string}} scope - The cancelled shipment (omit for the whole order) and why.
+ * @param {import('./orderStatus.service.js').StatusActor} actor - Who cancelled.
+ * @returns {Promise<{action: "voided" | "refunded" | "none", amount?: number}>} What was done.
+ * @throws {ApiError} 502 if the gateway rejects the void or the refund; the cancellation itself stands and can be retried.
+ */
+const releaseCancelledPayment = async (
+  orderId,
+  { shipment, reason },
+  actor,
+) => {
+  const order = await Order.findById(orderId);
+  if (!order) throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
+
+  if (["pending", "authorized"].includes(order.paymentStatus)) {
+    if (shipment) return { action: "none" }; // Only whole orders are cancelled before payment
+    if (order.paymentGatewayTransactionId) {
+      const result = await paymentGatewayService.void(
+        order.paymentGateway ??
+          order.paymentMethodDetailsSnapshot?.paymentGateway,
+        { transactionId: order.paymentGatewayTransactionId },
+      );
+      if (result.status !== "voided") {
+        throw new ApiError(
+          httpStatusCodes.BAD_GATEWAY,
+          `Payment gateway could not void the payment: ${result.message ?? "unknown error"}`,
+        );
+      }
+    }
+    await Order.updateOne(
+      { _id: orderId, paymentStatus: order.paymentStatus },
+      { $set: { paymentStatus: "voided" } },
+    );
+    logger.info(`Voided the payment of cancelled order ${orderId}.`);
+    return { action: "voided" };
+  }
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    return { action: "none" };
+  }
+  if (!order.paymentGatewayTransactionId) {
+    logger.warn(
+      `Cancelled order ${orderId} is paid but has no gateway transaction; refund it manually.`,
+    );
+    return { action: "none" };
+  }
+
+  const context = {
+    source: "cancellation",
+    actorId: actor.id,
+    actorRole: actor.role,
+  };
+  let refundData;
+  if (shipment) {
+    const alreadyRefunded = order.refunds.some(
+      (entry) => entry.shipmentId === shipment._id && entry.status !== "failed",
+    );
+    if (alreadyRefunded) return { action: "none" };
+    const items = (await OrderItem.find({ shipmentId: shipment._id }).lean())
+      .map((item) => ({
+        orderItemId: item._id,
+        quantity: item.quantity - (item.refundedQuantity || 0),
+      }))
+      .filter((line) => line.quantity > 0);
+    const shippingAmount = roundMoney(
+      Math.min(shipment.shippingCost || 0, remainingShippingCost(order)),
+    );
+    if (items.length === 0 && shippingAmount <= 0) return { action: "none" };
+    refundData = { items, shippingAmount, reason };
+    context.shipmentId = shipment._id;
+  } else {
+    const remaining = roundMoney(
+      order.totalAmount - (order.refundedAmount || 0),
+    );
+    if (remaining <= MONEY_EPSILON) return { action: "none" };
+    refundData = { settleRemaining: true, reason };
+  }
+
+  const entry = await refundOrder(orderId, refundData, context);
+  return { action: "refunded", amount: entry.amount };
+};
+
+export const refundService = {
+  computeRefundBreakdown,
+  refundOrder,
+  recordGatewayRefund,
+  releaseCancelledPayment,
+};
@@ -0,0 +1,441 @@
+import mongoose from "mongoose";
+import InventoryReservation from "../models/InventoryReservation.model.js";
+import Cart from "../models/Cart.model.js";
+import CartItem from "../models/CartItem.model.js";
+import ProductVariant from "../models/ProductVariant.model.js";
+import ApiError from "../errors/ApiError.js";
+import InsufficientStockError from "../errors/InsufficientStockError.js";
+import httpStatusCodes from "http-status-codes";
+import config from "../config/index.js";
+import logger from "../utils/logger.js";
+
+const EXPIRY_BATCH_SIZE = 100;
+
+/**
+ * Units of a variant that are neither sold nor held by a reservation.
+ * @param {{stockQuantity: number, reservedQuantity?: number}} variant - A variant document or lean object.
+ * @returns {number} Available quantity, never negative.
+ */
+export const getAvailableQuantity = (variant) =>
+  Math.max(0, variant.stockQuantity - (variant.reservedQuantity ?? 0));
+
+/**
+ * Query condition matching variants with at least `quantity` units available (on hand minus reserved).
+ * Meant to be spread into a ProductVariant filter so the check and the update happen atomically.
+ * @param {number} quantity - Units required.
+ * @returns {{$expr: Object}} Mongo filter fragment.
+ */
+export const availableStockCondition = (quantity) => ({
+  $expr: {
+    $gte: [
+      {
+        $subtract: ["$stockQuantity", { $ifNull: ["$reservedQuantity", 0] }],
+      },
+      quantity,
+    ],
+  },
+});
+
+/**
+ * Shapes a reservation for API responses.
+ * @param {Object} reservation - An InventoryReservation document or lean object.
+ * @returns {Object} Formatted reservation.
+ */
+const formatReservation = (reservation) => ({
+  id: reservation._id,
+  cartId: reservation.cartId,
+  status: reservation.status,
+  items: reservation.items.map((item) => ({
+    productId: item.productId,
+    variantId: item.variantId,
+    quantity: item.quantity,
+  })),
+  expiresAt: reservation.expiresAt,
+  createdAt: reservation.createdAt,
+});
+
+/**
+ * Pipeline expression for a variant's reserved counter after `quantity` held units leave it,
+ * clamped at zero instead of going negative.
+ * @param {number} quantity - Units leaving the hold.
+ * @returns {Object} Aggregation expression.
+ */
+const reservedQuantityLess = (quantity) => ({
+  $max: [
+    0,
+    { $subtract: [{ $ifNull: ["$reservedQuantity", 0] }, quantity] },
+  ],
+});
+
+/**
+ * Gives held units back to their variants.
+ * @param {Array<{variantId: string, quantity: number}>} items - Reserved lines.
+ * @param {mongoose.ClientSession} [session] - Optional transaction session.
+ */
+const returnHeldUnits = async (items, session) => {
+  for (const item of items) {
+    await ProductVariant.updateOne(
+      { _id: item.variantId },
+      [{ $set: { reservedQuantity: reservedQuantityLess(item.quantity) } }],
+      { session },
+    );
+  }
+};
+
+/**
+ * Holds units for each line, but only where enough unreserved stock is left.
+ * @param {Array<{cartItemId: string, variantId: string, productName?: string, quantity: number}>} lines - Lines to hold.
+ * @param {mongoose.ClientSession} session - The transaction session; the caller aborts it on a shortfall.
+ * @returns {Promise<Array<Object>>} One shortfall per line that could not be held; empty when all were.
+ */
+const holdUnits = async (lines, session) => {
+  const shortfalls = [];
+  for (const line of lines) {
+    const held = await ProductVariant.findOneAndUpdate(
+      {
+        _id: line.variantId,
+        isActive: true,
+        ...availableStockCondition(line.quantity),
+      },
+      { $inc: { reservedQuantity: line.quantity } },
+      { session, new: true },
+    );
+    if (!held) {
+      const currentVariant = await ProductVariant.findById(line.variantId)
+        .session(session)
+        .lean();
+      shortfalls.push({
+        cartItemId: line.cartItemId,
+        variantId: line.variantId,
+        sku: currentVariant?.sku,
+        productName: line.productName,
+        requestedQuantity: line.quantity,
+        availableQuantity: currentVariant?.isActive
+          ? getAvailableQuantity(currentVariant)
+          : 0,
+      });
+    }
+  }
+  return shortfalls;
+};
+
+/**
+ * Ends a holding reservation and returns its held units. Safe to call concurrently:
+ * only the caller that flips the status away from `from` releases the stock.
+ * @param {string} reservationId - The reservation ID.
+ * @param {"released" | "expired"} status - Final status.
+ * @param {{session?: mongoose.ClientSession, from?: "active" | "awaiting_payment"}} [options] - Session and the status being ended (default "active").
+ * @returns {Promise<InstanceType<typeof InventoryReservation> | null>} The ended reservation, or null if it was no longer holding.
+ */
+const endReservation = async (reservationId, status, options = {}) => {
+  const { session, from = "active" } = options;
+  const ended = await InventoryReservation.findOneAndUpdate(
+    { _id: reservationId, status: from },
+    { $set: { status, releasedAt: new Date() } },
+    { session, new: true },
+  );
+  if (!ended) return null;
+
+  await returnHeldUnits(ended.items, session);
+  return ended;
+};
+
+/**
+ * Finds the buyer's active cart or fails.
+ * @param {string} userId - The buyer's ID.
+ * @returns {Promise<InstanceType<typeof Cart>>} The active cart.
+ */
+const getActiveCartOrThrow = async (userId) => {
+  const cart = await Cart.findOne({ userId, status: "active" });
+  if (!cart)
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "No active cart found for user.",
+    );
+  return cart;
+};
+
+/**
+ * Places a soft hold on stock for every line of the buyer's active cart.
+ * Any previous hold on the same cart is replaced so the reservation always mirrors the current cart.
+ * @param {string} userId - The buyer's ID.
+ * @returns {Promise<Object>} The formatted reservation.
+ * @throws {InsufficientStockError} If any line exceeds the available (unreserved) stock; nothing is held.
+ */
+const reserveCartStock = async (userId) => {
+  const cart = await getActiveCartOrThrow(userId);
+  const cartItems = await CartItem.find({ cartId: cart._id })
+    .populate("productId", "name")
+    .lean();
+  if (cartItems.length === 0) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Cannot reserve stock for an empty cart.",
+    );
+  }
+
+  const reservation = await mongoose.connection.transaction(async (session) => {
+    const existing = await InventoryReservation.findOne({
+      cartId: cart._id,
+      status: "active",
+    }).session(session);
+    if (existing) {
+      await endReservation(existing._id, "released", { session });
+    }
+
+    const shortfalls = await holdUnits(
+      cartItems.map((cartItem) => ({
+        cartItemId: cartItem._id,
+        variantId: cartItem.variantId,
+        productName: cartItem.productId?.name,
+        quantity: cartItem.quantity,
+      })),
+      session,
+    );
+    if (shortfalls.length > 0) throw new InsufficientStockError(shortfalls);
+
+    const [created] = await InventoryReservation.create(
+      [
+        {
+          cartId: cart._id,
+          userId,
+          items: cartItems.map((cartItem) => ({
+            productId: cartItem.productId?._id ?? cartItem.productId,
+            variantId: cartItem.variantId,
+            quantity: cartItem.quantity,
+          })),
+          expiresAt: new Date(
+            Date.now() + config.RESERVATION_TTL_MINUTES * 60 * 1000,
+          ),
+        },
+      ],
+      { session },
+    );
+    return created;
+  });
+
+  return formatReservation(reservation);
+};
+
+/**
+ * Gets the active stock reservation for the buyer's cart.
+ * @param {string} userId - The buyer's ID.
+ * @returns {Promise<Object>} The formatted reservation.
+ * @throws {ApiError} If there is no active, unexpired reservation.
+ */
+const getCartReservation = async (userId) => {
+  const cart = await getActiveCartOrThrow(userId);
+  const reservation = await InventoryReservation.findOne({
+    cartId: cart._id,
+    status: "active",
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (!reservation)
+    throw new ApiError(
+      httpStatusCodes.NOT_FOUND,
+      "No active stock reservation for this cart.",
+    );
+  return formatReservation(reservation);
+};
+
+/**
+ * Cancels the buyer's active reservation and releases the held stock.
+ * @param {string} userId - The buyer's ID.
+ * @returns {Promise<void>}
+ * @throws {ApiError} If there is no active reservation.
+ */
+const cancelCartReservation = async (userId) => {
+  const cart = await getActiveCartOrThrow(userId);
+  const reservation = await InventoryReservation.findOne({
+    cartId: cart._id,
+    status: "active",
+  }).lean();
+  const released =
+    reservation &&
+    (await mongoose.connection.transaction((session) =>
+      endReservation(reservation._id, "released", { session }),
+    ));
+  if (!released)
+    throw new ApiError(
+      httpStatusCodes.NOT_FOUND,
+      "No active stock reservation for this cart.",
+    );
+};
+
+/**
+ * Holds the stock of a new order until its payment settles, as part of checkout. The cart's own
+ * hold is handed back first, inside the checkout transaction, so its units count as available and
+ * no other buyer can claim them in between; its reservation then carries the order's hold.
+ * Stock is only deducted once payment is confirmed (see convertOrderReservation).
+ * @param {{cartId: string, userId: string, orderId: string, expiresAt: Date}} order - The order being created and its payment deadline.
+ * @param {Array<{cartItemId: string, productId: string, variantId: string, productName?: string, quantity: number}>} lines - The order's lines.
+ * @param {mongoose.ClientSession} session - The checkout transaction session.
+ * @returns {Promise<InstanceType<typeof InventoryReservation>>} The order's reservation.
+ * @throws {InsufficientStockError} If any line exceeds the available (unreserved) stock.
+ */
+const holdOrderStock = async (order, lines, session) => {
+  const { cartId, userId, orderId, expiresAt } = order;
+  const cartHold = await InventoryReservation.findOne({
+    cartId,
+    status: "active",
+  }).session(session);
+  if (cartHold) await returnHeldUnits(cartHold.items, session);
+
+  const shortfalls = await holdUnits(lines, session);
+  if (shortfalls.length > 0) throw new InsufficientStockError(shortfalls);
+
+  const hold = {
+    status: "awaiting_payment",
+    orderId,
+    items: lines.map((line) => ({
+      productId: line.productId,
+      variantId: line.variantId,
+      quantity: line.quantity,
+    })),
+    expiresAt,
+  };
+  if (cartHold) {
+    cartHold.set(hold);
+    return cartHold.save({ session });
+  }
+  const [created] = await InventoryReservation.create(
+    [{ cartId, userId, ...hold }],
+    { session },
+  );
+  return created;
+};
+
+/**
+ * Turns a paid order's hold into a real stock deduction. Only the caller that flips the
+ * reservation to "converted" deducts, so a repeated confirmation deducts nothing.
+ * @param {string} orderId - The order ID.
+ * @param {mongoose.ClientSession} session - The transaction confirming the payment.
+ * @returns {Promise<Array<{variant: Object, quantity: number}>>} The deducted lines with their updated variants; empty if the order held nothing.
+ */
+const convertOrderReservation = async (orderId, session) => {
+  const converted = await InventoryReservation.findOneAndUpdate(
+    { orderId, status: "awaiting_payment" },
+    { $set: { status: "converted", releasedAt: new Date() } },
+    { session, new: true },
+  );
+  if (!converted) return [];
+
+  const deducted = [];
+  for (const item of converted.items) {
+    // Stock setters keep on-hand stock at or above the reserved units; the clamp only
+    // stops data that slipped past them from going negative
+    const previous = await ProductVariant.findOneAndUpdate(
+      { _id: item.variantId },
+      [
+        {
+          $set: {
+            stockQuantity: {
+              $max: [0, { $subtract: ["$stockQuantity", item.quantity] }],
+            },
+            reservedQuantity: reservedQuantityLess(item.quantity),
+          },
+        },
+      ],
+      { session },
+    ).lean();
+    // A variant deleted since the order was placed has no stock to deduct
+    if (!previous) continue;
+    const quantity = Math.min(
+      item.quantity,
+      Math.max(0, previous.stockQuantity),
+    );
+    if (quantity < item.quantity) {
+      logger.warn(
+        `Order ${orderId} was paid for ${item.quantity} unit(s) of variant ${item.variantId} but only ${quantity} were on hand.`,
+      );
+    }
+    const variant = {
+      ...previous,
+      stockQuantity: previous.stockQuantity - quantity,
+      reservedQuantity: Math.max(
+        0,
+        (previous.reservedQuantity ?? 0) - item.quantity,
+      ),
+    };
+    deducted.push({ variant, quantity });
+  }
+  return deducted;
+};
+
+/**
+ * Releases the hold of an order that will not be paid (payment failed or expired, order cancelled).
+ * @param {string} orderId - The order ID.
+ * @param {mongoose.ClientSession} [session] - Optional transaction session.
+ * @returns {Promise<InstanceType<typeof InventoryReservation> | null>} The released reservation, or null if the order held nothing.
+ */
+const releaseOrderReservation = async (orderId, session) => {
+  const reservation = await InventoryReservation.findOne({
+    orderId,
+    status: "awaiting_payment",
+  }).session(session);
+  if (!reservation) return null;
+  return endReservation(reservation._id, "released", {
+    session,
+    from: "awaiting_payment",
+  });
+};
+
+/**
+ * Releases every active reservation whose expiry has passed. Called periodically by the reservation expiry job.
+ * @param {Date} [now=new Date()] - Reference time.
+ * @returns {Promise<number>} Number of reservations expired.
+ */
+const expireStaleReservations = async (now = new Date()) => {
+  let expiredCount = 0;
+  for (;;) {
+    const stale = await InventoryReservation.find({
+      status: "active",
+      expiresAt: { $lte: now },
+    })
+      .select("_id")
+      .limit(EXPIRY_BATCH_SIZE)
+      .lean();
+    if (stale.length === 0) break;
+
+    for (const { _id } of stale) {
+      const expired = await mongoose.connection.transaction((session) =>
+        endReservation(_id, "expired", { session }),
+      );
+      if (expired) expiredCount += 1;
+    }
+    if (stale.length < EXPIRY_BATCH_SIZE) break;
+  }
+  if (expiredCount > 0) {
+    logger.info(`Expired ${expiredCount} stale inventory reservation(s).`);
+  }
+  return expiredCount;
+};
+
+/**
+ * Units of each variant held by a cart's active reservation. These count as available to that
+ * cart: they are held for it, not for another buyer.
+ * @param {string} cartId - The cart's _id.
+ * @returns {Promise<Map<string, number>>} Held quantity by variant ID; empty without a reservation.
+ */
+const getHeldQuantities = async (cartId) => {
+  const reservation = await InventoryReservation.findOne({
+    cartId,
+    status: "active",
+  }).lean();
+  const held = new Map();
+  for (const item of reservation?.items ?? []) {
+    held.set(item.variantId, (held.get(item.variantId) ?? 0) + item.quantity);
+  }
+  return held;
+};
+
+export const reservationService = {
+  reserveCartStock,
+  getCartReservation,
+  cancelCartReservation,
+  holdOrderStock,
+  convertOrderReservation,
+  releaseOrderReservation,
+  expireStaleReservations,
+  getHeldQuantities,
+};
@@ -0,0 +1,498 @@
+import mongoose from "mongoose";
+import ReturnRequest from "../models/ReturnRequest.model.js";
+import Order from "../models/Order.model.js";
+import OrderItem from "../models/OrderItem.model.js";
+import ProductVariant from "../models/ProductVariant.model.js";
+import ApiError from "../errors/ApiError.js";
+import httpStatusCodes from "http-status-codes";
+import logger from "../utils/logger.js";
+import { refundService } from "./refund.service.js";
+import { orderStatusService } from "./orderStatus.service.js";
+import { inventoryService } from "./inventory.service.js";
+
+/**
+ * Allowed return request transitions. Keys are the current status, values the statuses it may move to.
+ * @type {Record<string, string[]>}
+ */
+const RETURN_STATUS_TRANSITIONS = {
+  pending_approval: ["approved", "rejected"],
+  approved: ["item_received"],
+  item_received: ["refund_processing"],
+  refund_processing: ["refunded"],
+  rejected: [],
+  refunded: [],
+};
+
+/**
+ * The OrderItem.itemStatus that mirrors each open return request status. Rejected and refunded
+ * returns hand the item back to the refund ledger's view of it (see deriveOrderItemStatus).
+ * @type {Record<string, string>}
+ */
+const ORDER_ITEM_STATUS_FOR_RETURN = {
+  pending_approval: "return_requested",
+  approved: "return_approved",
+  item_received: "returned",
+  refund_processing: "refund_pending",
+};
+
+const TERMINAL_RETURN_STATUSES = ["rejected", "refunded"];
+
+/** Open return statuses, least advanced first. */
+const OPEN_RETURN_PROGRESS = [
+  "pending_approval",
+  "approved",
+  "item_received",
+  "refund_processing",
+];
+
+/**
+ * Works out the OrderItem.itemStatus implied by all of the item's returns, not just the one that
+ * changed. With several open returns the item follows the least advanced one. The item only
+ * counts as returned (or refund pending) once the returns cover every unit not already
+ * refunded; until then the units still with the buyer keep it at return_approved. With no open
+ * return left the item goes back to what the refund ledger says about it.
+ * @param {Object} orderItem - The order item (lean or document).
+ * @returns {Promise<string>} The status the item should have.
+ */
+const deriveOrderItemStatus = async (orderItem) => {
+  const returns = await ReturnRequest.find(
+    { orderItemId: orderItem._id, status: { $ne: "rejected" } },
+    "status quantity",
+  ).lean();
+  const open = returns.filter(
+    (returnRequest) => !TERMINAL_RETURN_STATUSES.includes(returnRequest.status),
+  );
+  const refundedQuantity = orderItem.refundedQuantity ?? 0;
+
+  if (open.length === 0) {
+    if (refundedQuantity >= orderItem.quantity) return "refunded";
+    return refundedQuantity > 0 ? "partially_refunded" : "delivered";
+  }
+
+  const leastAdvanced = Math.min(
+    ...open.map((returnRequest) =>
+      OPEN_RETURN_PROGRESS.indexOf(returnRequest.status),
+    ),
+  );
+  const stage = OPEN_RETURN_PROGRESS[leastAdvanced];
+  const openQuantity = open.reduce(
+    (sum, returnRequest) => sum + returnRequest.quantity,
+    0,
+  );
+  if (
+    ["item_received", "refund_processing"].includes(stage) &&
+    openQuantity < orderItem.quantity - refundedQuantity
+  ) {
+    return ORDER_ITEM_STATUS_FOR_RETURN.approved;
+  }
+  return ORDER_ITEM_STATUS_FOR_RETURN[stage];
+};
+
+/**
+ * Moves an order item to the status its returns imply, if it is not there already.
+ * @param {string} orderItemId - The order item ID.
+ * @param {import('./orderStatus.service.js').StatusActor} actor - Who caused the change.
+ * @param {{note?: string}} [options] - Optional note for the status history.
+ */
+const syncOrderItemWithReturns = async (orderItemId, actor, { note } = {}) => {
+  const orderItem = await OrderItem.findById(
+    orderItemId,
+    "itemStatus quantity refundedQuantity",
+  ).lean();
+  if (!orderItem) return;
+  const target = await deriveOrderItemStatus(orderItem);
+  if (target === orderItem.itemStatus) return;
+  await orderStatusService.transitionOrderItems(
+    { _id: orderItem._id },
+    target,
+    actor,
+    { note },
+  );
+};
+
+/**
+ * Shapes a return request for API responses.
+ * @param {Object} returnRequest - A ReturnRequest document or lean object.
+ * @returns {Object} Formatted return request.
+ */
+const formatReturnRequest = (returnRequest) => ({
+  id: returnRequest._id,
+  returnRequestId: returnRequest._id,
+  orderId: returnRequest.orderId,
+  orderItemId: returnRequest.orderItemId,
+  productId: returnRequest.productId,
+  variantId: returnRequest.variantId,
+  productName: returnRequest.productNameSnapshot,
+  quantity: returnRequest.quantity,
+  reason: returnRequest.reason,
+  buyerId: returnRequest.buyerId,
+  sellerId: returnRequest.sellerId,
+  status: returnRequest.status,
+  sellerNotes: returnRequest.sellerNotes,
+  refundAmount: returnRequest.refundAmount,
+  restockedAt: returnRequest.restockedAt,
+  resolvedAt: returnRequest.resolvedAt,
+  requestedAt: returnRequest.createdAt,
+  updatedAt: returnRequest.updatedAt,
+});
+
+/**
+ * Runs a paginated ReturnRequest query.
+ * @param {Object} filter - Mongoose filter.
+ * @param {{page: number, limit: number}} paginationOptions - Pagination options.
+ * @returns {Promise<{results: Array<Object>, page: number, limit: number, totalPages: number, totalResults: number}>} Paginated return requests.
+ */
+const paginateReturnRequests = async (filter, { page = 1, limit = 10 }) => {
+  const skip = (page - 1) * limit;
+  const returns = await ReturnRequest.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+  const totalResults = await ReturnRequest.countDocuments(filter);
+  const totalPages = Math.ceil(totalResults / limit);
+  return {
+    results: returns.map(formatReturnRequest),
+    page,
+    limit,
+    totalPages,
+    totalResults,
+  };
+};
+
+/**
+ * Builds the common list filter from query options.
+ * @param {{status?: string, orderId?: string, buyerId?: string, sellerId?: string}} queryOptions - Query options.
+ * @returns {Object} Mongoose filter.
+ */
+const buildListFilter = ({ status, orderId, buyerId, sellerId }) => {
+  const filter = {};
+  if (status && status !== "all") filter.status = status;
+  if (orderId) filter.orderId = orderId;
+  if (buyerId) filter.buyerId = buyerId;
+  if (sellerId) filter.sellerId = sellerId;
+  return filter;
+};
+
+/**
+ * Submits a return request for an item in an order.
+ * @param {string} userId - The ID of the buyer.
+ * @param {string} orderId - The ID of the order.
+ * @param {typeof import('../dtos/order.dto.js').requestReturnSchema._input.body} returnData - Return request details.
+ * @returns {Promise<Object>} The created return request.
+ */
+const requestReturn = async (userId, orderId, returnData) => {
+  const { orderItemId, reason, quantity } = returnData;
+
+  const order = await Order.findOne({ _id: orderId, userId });
+  if (!order) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
+  }
+  // Policy: Allow returns only if order is 'delivered' or 'completed'
+  if (!["delivered", "completed"].includes(order.status)) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `Items from this order cannot be returned in its current status: ${order.status}.`,
+    );
+  }
+
+  const itemToReturn = await OrderItem.findOne({
+    _id: orderItemId,
+    orderId: order._id,
+  });
+  if (!itemToReturn) {
+    throw new ApiError(
+      httpStatusCodes.NOT_FOUND,
+      "Item not found in this order.",
+    );
+  }
+  // A second return for other units of the same item keeps it in return_requested.
+  if (
+    itemToReturn.itemStatus !== "return_requested" &&
+    !orderStatusService.canTransitionOrderItem(
+      itemToReturn.itemStatus,
+      "return_requested",
+    )
+  ) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `This item cannot be returned in its current status: ${itemToReturn.itemStatus}.`,
+    );
+  }
+
+  // The check and the insert run in one transaction that first writes the order item, so two
+  // concurrent requests for the same item conflict and the retried one sees the other's return.
+  const returnRequest = await mongoose.connection.transaction(
+    async (session) => {
+      await OrderItem.updateOne(
+        { _id: itemToReturn._id },
+        { $set: { updatedAt: new Date() } },
+        { session, timestamps: false },
+      );
+
+      // Quantities already under (or through) a non-rejected return count against the ordered quantity.
+      const existingReturns = await ReturnRequest.find({
+        orderItemId: itemToReturn._id,
+        status: { $ne: "rejected" },
+      })
+        .session(session)
+        .lean();
+      const alreadyRequested = existingReturns.reduce(
+        (sum, existing) => sum + existing.quantity,
+        0,
+      );
+      if (quantity + alreadyRequested > itemToReturn.quantity) {
+        throw new ApiError(
+          httpStatusCodes.BAD_REQUEST,
+          `Return quantity cannot exceed ordered quantity. Already requested: ${alreadyRequested}, ordered: ${itemToReturn.quantity}.`,
+        );
+      }
+
+      const [created] = await ReturnRequest.create(
+        [
+          {
+            orderId: order._id,
+            orderItemId: itemToReturn._id,
+            buyerId: userId,
+            sellerId: itemToReturn.sellerId,
+            productId: itemToReturn.productId,
+            variantId: itemToReturn.variantId,
+            productNameSnapshot: itemToReturn.productNameSnapshot,
+            quantity,
+            reason,
+            status: "pending_approval",
+          },
+        ],
+        { session },
+      );
+      return created;
+    },
+  );
+
+  await syncOrderItemWithReturns(
+    itemToReturn._id,
+    { id: userId, role: "buyer" },
+    { note: reason },
+  );
+
+  logger.info(
+    `User ${userId} requested return ${returnRequest._id} for item ${orderItemId} (qty: ${quantity}) from order ${orderId}.`,
+  );
+  return formatReturnRequest(returnRequest);
+};
+
+/**
+ * Applies a status transition to a return request, updating the order item and stock as needed.
+ * The status change is a compare-and-set on the current status, so concurrent updates
+ * cannot apply the same step (and its side effects) twice.
+ * @param {InstanceType<typeof ReturnRequest>} returnRequest - The return request to update.
+ * @param {{status: string, reason?: string | null}} statusData - New status and optional note.
+ * @param {import('./orderStatus.service.js').StatusActor} actor - The seller or admin performing the update.
+ * @returns {Promise<Object>} The updated return request.
+ */
+const transitionReturnRequest = async (returnRequest, statusData, actor) => {
+  const fromStatus = returnRequest.status;
+  const toStatus = statusData.status;
+
+  if (!RETURN_STATUS_TRANSITIONS[fromStatus]?.includes(toStatus)) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `Cannot move return request from '${fromStatus}' to '${toStatus}'.`,
+    );
+  }
+  if (toStatus === "rejected" && !statusData.reason) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Reason is required when rejecting a return.",
+    );
+  }
+
+  const orderItem = await OrderItem.findById(returnRequest.orderItemId);
+  if (!orderItem) {
+    throw new ApiError(
+      httpStatusCodes.NOT_FOUND,
+      "Order item for this return request no longer exists.",
+    );
+  }
+
+  const update = { status: toStatus, lastUpdatedBy: actor.id };
+  if (statusData.reason) update.sellerNotes = statusData.reason;
+  if (TERMINAL_RETURN_STATUSES.includes(toStatus))
+    update.resolvedAt = new Date();
+  if (toStatus === "refunded") {
+    // Refund first: if the gateway rejects it the return stays in refund_processing.
+    // The ledger refuses a second refund for the same return, so retries are safe.
+    const refund = await refundService.refundOrder(
+      returnRequest.orderId,
+      {
+        items: [
+          {
+            orderItemId: returnRequest.orderItemId,
+            quantity: returnRequest.quantity,
+          },
+        ],
+        reason: `Return ${returnRequest._id}: ${returnRequest.reason}`,
+      },
+      {
+        source: "return",
+        actorId: actor.id,
+        actorRole: actor.role,
+        returnRequestId: returnRequest._id,
+      },
+    );
+    update.refundAmount = refund.amount;
+  }
+
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: fromStatus },
+    { $set: update },
+    { new: true },
+  );
+  if (!updated) {
+    throw new ApiError(
+      httpStatusCodes.CONFLICT,
+      "Return request was updated concurrently. Please reload and try again.",
+    );
+  }
+
+  if (toStatus === "item_received") {
+    // Claim the restock first so a retried request cannot put the stock back twice.
+    const claim = await ReturnRequest.updateOne(
+      { _id: updated._id, restockedAt: null },
+      { $set: { restockedAt: new Date() } },
+    );
+    if (claim.modifiedCount === 1) {
+      const variant = await ProductVariant.findByIdAndUpdate(
+        updated.variantId,
+        { $inc: { stockQuantity: updated.quantity } },
+        { new: true },
+      ).lean();
+      if (variant) {
+        await inventoryService.recordMovements(
+          [
+            {
+              variantId: variant._id,
+              productId: variant.productId,
+              sellerId: updated.sellerId,
+              sku: variant.sku,
+              type: "return_restock",
+              quantityChange: updated.quantity,
+              quantityAfter: variant.stockQuantity,
+              orderId: updated.orderId,
+              returnRequestId: updated._id,
+            },
+          ],
+          actor,
+        );
+        await inventoryService.refreshLowStockAlerts([variant._id]);
+      }
+      updated.restockedAt = new Date();
+      logger.info(
+        `Restocked ${updated.quantity} unit(s) of variant ${updated.variantId} for return ${updated._id}.`,
+      );
+    }
+  }
+
+  // On "refunded" the refund ledger has already set the item to refunded or partially_refunded.
+  if (toStatus !== "refunded") {
+    await syncOrderItemWithReturns(orderItem._id, actor, {
+      note: statusData.reason ?? undefined,
+    });
+  }
+
+  logger.info(
+    `Return request ${updated._id} moved from ${fromStatus} to ${toStatus} by ${actor.id}.`,
+  );
+  return formatReturnRequest(updated);
+};
+
+/**
+ * Lists the authenticated buyer's return requests.
+ * @param {string} userId - The ID of the buyer.
+ * @param {typeof import('../dtos/order.dto.js').listBuyerReturnsQuerySchema._input.query} queryOptions - Query options.
+ * @returns {Promise<Object>} Paginated return requests.
+ */
+const listBuyerReturnRequests = async (userId, queryOptions) => {
+  const filter = buildListFilter({ ...queryOptions, buyerId: userId });
+  return paginateReturnRequests(filter, queryOptions);
+};
+
+/**
+ * Lists return requests associated with items sold by the seller.
+ * @param {string} sellerId - The ID of the seller.
+ * @param {typeof import('../dtos/order.dto.js').listSellerReturnsQuerySchema._input.query} queryOptions - Query options.
+ * @returns {Promise<Object>} Paginated return requests.
+ */
+const listSellerReturnRequests = async (sellerId, queryOptions) => {
+  const filter = buildListFilter({ ...queryOptions, sellerId });
+  return paginateReturnRequests(filter, queryOptions);
+};
+
+/**
+ * Updates the status of a return request by the seller.
+ * @param {string} sellerId - The ID of the seller.
+ * @param {string} returnId - The ID of the return request.
+ * @param {typeof import('../dtos/order.dto.js').updateReturnStatusSchema._input.body} statusData - New status and reason.
+ * @returns {Promise<Object>} The updated return request.
+ */
+const updateSellerReturnRequestStatus = async (
+  sellerId,
+  returnId,
+  statusData,
+) => {
+  const returnRequest = await ReturnRequest.findOne({
+    _id: returnId,
+    sellerId,
+  });
+  if (!returnRequest) {
+    throw new ApiError(
+      httpStatusCodes.NOT_FOUND,
+      "Return request not found or does not belong to you.",
+    );
+  }
+  return transitionReturnRequest(returnRequest, statusData, {
+    id: sellerId,
+    role: "seller",
+  });
+};
+
+/**
+ * (Admin) Lists all return requests on the platform.
+ * @param {typeof import('../dtos/admin.dto.js').listAdminReturnsQuerySchema._input.query} queryOptions - Query options.
+ * @returns {Promise<Object>} Paginated return requests.
+ */
+const listAllReturnRequests = async (queryOptions) => {
+  const filter = buildListFilter(queryOptions);
+  return paginateReturnRequests(filter, queryOptions);
+};
+
+/**
+ * (Admin) Updates the status of any return request.
+ * @param {string} adminId - The ID of the admin performing the update.
+ * @param {string} returnId - The ID of the return request.
+ * @param {typeof import('../dtos/order.dto.js').updateReturnStatusSchema._input.body} statusData - New status and reason.
+ * @returns {Promise<Object>} The updated return request.
+ */
+const adminUpdateReturnRequestStatus = async (
+  adminId,
+  returnId,
+  statusData,
+) => {
+  const returnRequest = await ReturnRequest.findById(returnId);
+  if (!returnRequest) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Return request not found.");
+  }
+  return transitionReturnRequest(returnRequest, statusData, {
+    id: adminId,
+    role: "admin",
+  });
+};
+
+export const returnService = {
+  requestReturn,
+  listBuyerReturnRequests,
+  listSellerReturnRequests,
+  updateSellerReturnRequestStatus,
+  listAllReturnRequests,
+  adminUpdateReturnRequestStatus,
+};
@@ -0,0 +1,1043 @@
+import mongoose from "mongoose";
+import logger from "../utils/logger.js";
+import { pricingService } from "./pricing.service.js";
+
+// Models are looked up lazily: Product and ProductVariant install this module's sync plugin, so
+// importing them here would be circular.
+const productModel = () => mongoose.model("Product");
+const productVariantModel = () => mongoose.model("ProductVariant");
+const categoryModel = () => mongoose.model("Category");
+const orderItemModel = () => mongoose.model("OrderItem");
+
+const LISTED_PRODUCT_FILTER = { isPublished: true, approvalStatus: "approved" };
+
+/** Variant attributes offered as facets and filters. */
+const FACET_ATTRIBUTES = ["color", "length", "texture"];
+
+/** Lower bounds of the price facet buckets; the last bucket is open-ended. */
+const PRICE_FACET_BOUNDS = [0, 50, 100, 200, 500];
+
+/** "N stars & up" rating facet thresholds. */
+const RATING_FACET_THRESHOLDS = [4, 3, 2, 1];
+
+/** How much a match in each product field counts towards relevance. */
+const FIELD_WEIGHTS = {
+  name: 3,
+  brand: 2,
+  tags: 2,
+  attributes: 1,
+  description: 1,
+};
+
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "for",
+  "in",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "with",
+]);
+
+/** Query tokens shorter than this only match whole terms, never as a prefix. */
+const MIN_PREFIX_LENGTH = 2;
+
+/**
+ * @typedef {object} IndexedVariant
+ * @property {number} price - List price.
+ * @property {number} [salePrice] - Sale price, applied while the sale window is open.
+ * @property {Date} [saleStartDate] - Sale window start.
+ * @property {Date} [saleEndDate] - Sale window end.
+ * @property {Record<string, {value: string, label: string}>} attributes - Facet attributes by lower-cased name; value is lower-cased for matching, label keeps the seller's spelling.
+ * @property {boolean} inStock - Whether units are available beyond active reservations.
+ */
+
+/**
+ * @typedef {object} IndexedProduct
+ * @property {string} id - Product ID.
+ * @property {string} [brand] - Brand as entered.
+ * @property {string} [brandKey] - Lower-cased brand, for matching.
+ * @property {string} categoryId - Category ID.
+ * @property {string} sellerId - Seller's user ID.
+ * @property {number} averageRating - Average approved review rating.
+ * @property {string} name - Product name.
+ * @property {string} slug - Product slug.
+ * @property {Array<string>} tags - Product tags.
+ * @property {number} popularity - Units sold (net of cancellations and refunds) plus review count.
+ * @property {number} basePrice - Product base price.
+ * @property {number} createdAt - Creation time (ms).
+ * @property {number} updatedAt - Last update time (ms).
+ * @property {Array<IndexedVariant>} variants - Active variants; a product without any is indexed with one unavailable variant at its base price.
+ * @property {Map<string, number>} terms - Searchable terms with the weight of the best field they appear in.
+ */
+
+/**
+ * @typedef {object} SearchIndex
+ * @property {Map<string, IndexedProduct>} products - Listed products by ID.
+ * @property {Map<string, Map<string, number>>} terms - Inverted index: term -> product ID -> field weight.
+ * @property {Map<string, {name: string, slug: string}>} categories - Active categories by ID.
+ */
+
+/** @type {SearchIndex} */
+let index = { products: new Map(), terms: new Map(), categories: new Map() };
+
+/** Settles once the index has first been loaded; null until the first search. */
+let indexReady = null;
+
+/** Index loads and refreshes run one at a time, in the order they were requested. */
+let indexQueue = Promise.resolve();
+
+/** Products written inside a transaction, refreshed once the transaction's session ends. */
+const pendingSessionSyncs = new WeakMap();
+
+/** Products matched by a query write, captured before the write runs. */
+const pendingQuerySyncs = new WeakMap();
+
+/**
+ * Runs an index task after every task queued before it.
+ * @template T
+ * @param {() => Promise<T>} task - The task.
+ * @returns {Promise<T>} The task's result.
+ */
+const enqueue = (task) => {
+  const run = indexQueue.then(task);
+  indexQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Splits text into lower-cased, accent-free terms.
+ * @param {unknown} text - The text.
+ * @returns {Array<string>} The terms.
+ */
+const splitTerms = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "") // Strip the accents NFKD splits off
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+/**
+ * Splits text into search terms, dropping stop words.
+ * @param {unknown} text - The text.
+ * @returns {Array<string>} The terms.
+ */
+const tokenize = (text) =>
+  splitTerms(text).filter((term) => !STOP_WORDS.has(term));
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions), giving up as
+ * soon as it must exceed `max`.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @param {number} max - Largest distance of interest.
+ * @returns {number} The distance, or `max + 1` if it is larger than `max`.
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(
+        row[j] + 1,
+        nextRow[j - 1] + 1,
+        row[j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow[j] = distance;
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+/**
+ * How well an indexed term matches a query term: exactly, as a prefix (the shopper is still
+ * typing) or within a typo or two.
+ * @param {string} queryTerm - Term from the search query.
+ * @param {string} term - Indexed term.
+ * @returns {number} 1 for an exact match, 0.75 for a prefix, 0.5 for a near miss, 0 otherwise.
+ */
+const matchQuality = (queryTerm, term) => {
+  if (term === queryTerm) return 1;
+  if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) {
+    return 0.75;
+  }
+  const maxEdits = queryTerm.length >= 8 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+  if (maxEdits && editDistance(queryTerm, term, maxEdits) <= maxEdits) {
+    return 0.5;
+  }
+  return 0;
+};
+
+/**
+ * Reads a variant's facet attributes, keyed by lower-cased name. Non-scalar values are ignored.
+ * @param {Record<string, unknown>} [attributes] - The variant's attributes.
+ * @returns {Record<string, {value: string, label: string}>} Normalized attributes.
+ */
+const normalizeAttributes = (attributes) => {
+  const normalized = {};
+  for (const [name, raw] of Object.entries(attributes ?? {})) {
+    if (typeof raw !== "string" && typeof raw !== "number") continue;
+    const label = String(raw).trim();
+    if (!label) continue;
+    normalized[name.trim().toLowerCase()] = {
+      value: label.toLowerCase(),
+      label,
+    };
+  }
+  return normalized;
+};
+
+/**
+ * Builds the index entry of a listed product.
+ * @param {object} product - The product (lean).
+ * @param {Array<object>} variants - Its active variants (lean).
+ * @param {number} unitsSold - Units sold, net of cancellations and refunds.
+ * @returns {IndexedProduct} The entry.
+ */
+const toIndexedProduct = (product, variants, unitsSold) => {
+  const indexedVariants = variants.map((variant) => ({
+    price: variant.price,
+    salePrice: variant.salePrice,
+    saleStartDate: variant.saleStartDate,
+    saleEndDate: variant.saleEndDate,
+    attributes: normalizeAttributes(variant.attributes),
+    inStock: (variant.stockQuantity ?? 0) - (variant.reservedQuantity ?? 0) > 0,
+  }));
+  if (indexedVariants.length === 0) {
+    indexedVariants.push({
+      price: product.basePrice,
+      attributes: {},
+      inStock: false,
+    });
+  }
+
+  const terms = new Map();
+  const addTerms = (text, weight) => {
+    for (const term of tokenize(text)) {
+      if ((terms.get(term) ?? 0) < weight) terms.set(term, weight);
+    }
+  };
+  addTerms(product.name, FIELD_WEIGHTS.name);
+  addTerms(product.brand, FIELD_WEIGHTS.brand);
+  addTerms((product.tags ?? []).join(" "), FIELD_WEIGHTS.tags);
+  for (const variant of indexedVariants) {
+    for (const { label } of Object.values(variant.attributes)) {
+      addTerms(label, FIELD_WEIGHTS.attributes);
+    }
+  }
+  addTerms(
+    String(product.description ?? "").replace(/<[^>]*>/g, " "), // Descriptions may be HTML
+    FIELD_WEIGHTS.description,
+  );
+
+  return {
+    id: String(product._id),
+    brand: product.brand || undefined,
+    brandKey: product.brand ? product.brand.toLowerCase() : undefined,
+    categoryId: String(product.categoryId),
+    sellerId: String(product.sellerId),
+    averageRating: Number(product.averageRating ?? 0),
+    name: product.name,
+    slug: product.slug,
+    tags: (product.tags ?? []).map((tag) => tag.trim()).filter(Boolean),
+    popularity: unitsSold + (product.reviewCount ?? 0),
+    basePrice: product.basePrice,
+    createdAt: new Date(product.createdAt ?? 0).getTime(),
+    updatedAt: new Date(product.updatedAt ?? 0).getTime(),
+    variants: indexedVariants,
+    terms,
+  };
+};
+
+/**
+ * Removes a product from an index.
+ * @param {SearchIndex} target - The index.
+ * @param {string} productId - The product ID.
+ */
+const removeFromIndex = (target, productId) => {
+  const entry = target.products.get(productId);
+  if (!entry) return;
+  for (const term of entry.terms.keys()) {
+    const postings = target.terms.get(term);
+    postings.delete(productId);
+    if (postings.size === 0) target.terms.delete(term);
+  }
+  target.products.delete(productId);
+};
+
+/**
+ * Adds listed products to an index.
+ * @param {SearchIndex} target - The index.
+ * @param {Array<object>} products - Listed products (lean).
+ * @param {Array<object>} variants - Their active variants (lean), in any order.
+ * @param {Map<string, number>} unitsSold - Units sold by product ID.
+ */
+const addToIndex = (target, products, variants, unitsSold) => {
+  const variantsByProduct = new Map();
+  for (const variant of variants) {
+    const productId = String(variant.productId);
+    if (!variantsByProduct.has(productId)) variantsByProduct.set(productId, []);
+    variantsByProduct.get(productId).push(variant);
+  }
+
+  for (const product of products) {
+    const entry = toIndexedProduct(
+      product,
+      variantsByProduct.get(String(product._id)) ?? [],
+      unitsSold.get(String(product._id)) ?? 0,
+    );
+    target.products.set(entry.id, entry);
+    for (const [term, weight] of entry.terms) {
+      if (!target.terms.has(term)) target.terms.set(term, new Map());
+      target.terms.get(term).set(entry.id, weight);
+    }
+  }
+};
+
+/**
+ * Counts units sold per product: order lines that were not cancelled, less refunded units.
+ * @param {Array<string>} [productIds] - Only count these products.
+ * @returns {Promise<Map<string, number>>} Units sold by product ID.
+ */
+const loadUnitsSold = async (productIds) => {
+  const rows = await orderItemModel().aggregate([
+    {
+      $match: {
+        itemStatus: { $ne: "cancelled" },
+        ...(productIds && { productId: { $in: productIds } }),
+      },
+    },
+    {
+      $group: {
+        _id: "$productId",
+        units: {
+          $sum: {
+            $subtract: ["$quantity", { $ifNull: ["$refundedQuantity", 0] }],
+          },
+        },
+      },
+    },
+  ]);
+  return new Map(rows.map((row) => [String(row._id), row.units]));
+};
+
+/**
+ * Loads active categories into an index.
+ * @param {SearchIndex} target - The index.
+ * @param {Array<string>} [categoryIds] - Only load these categories.
+ * @returns {Promise<void>}
+ */
+const loadCategories = async (target, categoryIds) => {
+  const categories = await categoryModel()
+    .find(
+      { isActive: true, ...(categoryIds && { _id: { $in: categoryIds } }) },
+      "name slug",
+    )
+    .lean();
+  for (const category of categories) {
+    target.categories.set(String(category._id), {
+      name: category.name,
+      slug: category.slug,
+    });
+  }
+};
+
+/**
+ * Loads every listed product into a fresh index and swaps it in. Category names are only
+ * reloaded here, so a renamed category shows up in suggestions after the next rebuild.
+ * @returns {Promise<void>}
+ */
+const loadIndex = async () => {
+  const next = { products: new Map(), terms: new Map(), categories: new Map() };
+  const [products, variants, unitsSold] = await Promise.all([
+    productModel().find(LISTED_PRODUCT_FILTER).lean(),
+    productVariantModel().find({ isActive: true }).lean(),
+    loadUnitsSold(),
+    loadCategories(next),
+  ]);
+  addToIndex(next, products, variants, unitsSold);
+  index = next;
+  logger.info(`Search index loaded with ${next.products.size} products.`);
+};
+
+/**
+ * Loads the index on first use.
+ * @returns {Promise<void>}
+ */
+const ensureIndex = () => {
+  if (!indexReady) {
+    indexReady = enqueue(loadIndex).catch((err) => {
+      indexReady = null; // Let the next search try again
+      throw err;
+    });
+  }
+  return indexReady;
+};
+
+/**
+ * Reloads the whole index from the database. Writes from other app instances never reach this
+ * process's sync hooks, so the rebuild job picks them up periodically.
+ * @returns {Promise<void>}
+ */
+const rebuildIndex = async () => {
+  if (!indexReady) return ensureIndex();
+  await enqueue(loadIndex);
+};
+
+/**
+ * Re-reads products (and their variants) from the database and replaces their index entries;
+ * products that are no longer listed drop out.
+ * @param {Array<string>} productIds - The products to refresh.
+ * @returns {Promise<void>}
+ */
+const refreshProducts = (productIds) =>
+  enqueue(async () => {
+    try {
+      await indexReady;
+      const [products, variants, unitsSold] = await Promise.all([
+        productModel()
+          .find({ _id: { $in: productIds }, ...LISTED_PRODUCT_FILTER })
+          .lean(),
+        productVariantModel()
+          .find({ productId: { $in: productIds }, isActive: true })
+          .lean(),
+        loadUnitsSold(productIds),
+      ]);
+      const newCategoryIds = products
+        .map((product) => String(product.categoryId))
+        .filter((categoryId) => !index.categories.has(categoryId));
+      if (newCategoryIds.length) await loadCategories(index, newCategoryIds);
+
+      for (const productId of productIds) removeFromIndex(index, productId);
+      addToIndex(index, products, variants, unitsSold);
+    } catch (err) {
+      logger.error(
+        `Search index refresh failed for products ${productIds.join(", ")}: ${err.message}`,
+      );
+    }
+  });
+
+/**
+ * Brings the index up to date after products or variants were written. Writes made inside a
+ * transaction are not visible to other reads until it commits, so those products are refreshed
+ * once the transaction's session has ended.
+ * @param {Array<string | undefined>} productIds - The written products.
+ * @param {import('mongoose').ClientSession | null} [session] - Session the write ran in.
+ * @returns {Promise<void>}
+ */
+const syncProducts = async (productIds, session) => {
+  const ids = [...new Set(productIds.filter(Boolean).map(String))];
+  if (!indexReady || ids.length === 0) return; // Not loaded yet: the first load reads fresh data
+
+  if (session?.inTransaction()) {
+    let pending = pendingSessionSyncs.get(session);
+    if (!pending) {
+      pending = new Set();
+      pendingSessionSyncs.set(session, pending);
+      session.once("ended", () => {
+        pendingSessionSyncs.delete(session);
+        refreshProducts([...pending]);
+      });
+    }
+    for (const id of ids) pending.add(id);
+    return;
+  }
+
+  await refreshProducts(ids);
+};
+
+/**
+ * Whether a query write can change what the index holds.
+ * @param {import('mongoose').Query} query - The query.
+ * @param {Set<string>} fields - Top-level paths the index reads.
+ * @returns {boolean} True for deletes and for updates touching an indexed path.
+ */
+const touchesIndexedFields = (query, fields) => {
+  const update = query.getUpdate();
+  if (!update || Array.isArray(update)) return true; // Deletes and pipeline updates
+  const paths = Object.entries(update).flatMap(([key, value]) =>
+    key.startsWith("$") ? Object.keys(value ?? {}) : [key],
+  );
+  return paths.some((path) => fields.has(path.split(".")[0]));
+};
+
+/**
+ * Mongoose plugin keeping the index in step with writes to Product and ProductVariant.
+ * @param {import('mongoose').Schema} schema - The schema.
+ * @param {{productIdPath: string, fields: Array<string>}} options - Path holding the product ID ("_id" or "productId") and the top-level paths the index reads.
+ */
+const searchSyncPlugin = (schema, { productIdPath, fields }) => {
+  const indexedFields = new Set([productIdPath, ...fields]);
+  const queryWrites = ["updateOne", "updateMany", "deleteOne", "deleteMany"];
+
+  schema.post("save", async (doc) => {
+    await syncProducts([doc[productIdPath]], doc.$session());
+  });
+  schema.post("insertMany", async (docs) => {
+    await syncProducts(docs.map((doc) => doc[productIdPath]));
+  });
+  schema.post("deleteOne", { document: true, query: false }, async (doc) => {
+    await syncProducts([doc[productIdPath]], doc.$session());
+  });
+  schema.post(
+    ["findOneAndUpdate", "findOneAndReplace", "findOneAndDelete"],
+    async function (doc) {
+      if (doc)
+        await syncProducts([doc[productIdPath]], this.getOptions().session);
+    },
+  );
+
+  // updateOne & co. only report counts, so capture the matched products before the write
+  schema.pre(queryWrites, { document: false, query: true }, async function () {
+    if (!indexReady || !touchesIndexedFields(this, indexedFields)) return;
+    const productIds = await this.model
+      .distinct(productIdPath, this.getFilter())
+      .session(this.getOptions().session ?? null);
+    pendingQuerySyncs.set(this, productIds);
+  });
+  schema.post(queryWrites, { document: false, query: true }, async function () {
+    const productIds = pendingQuerySyncs.get(this);
+    if (!productIds) return;
+    pendingQuerySyncs.delete(this);
+    await syncProducts(productIds, this.getOptions().session);
+  });
+};
+
+/**
+ * Splits a comma-separated filter value into lower-cased values.
+ * @param {unknown} value - The raw query value.
+ * @returns {Array<string>} The values.
+ */
+const parseList = (value) =>
+  value === undefined
+    ? []
+    : String(value)
+        .split(",")
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+
+/**
+ * Reads an optional numeric filter.
+ * @param {unknown} value - The raw query value.
+ * @returns {number | undefined} The number.
+ */
+const parseNumber = (value) =>
+  value === undefined || value === "" ? undefined : Number(value);
+
+/**
+ * @typedef {object} SearchCriteria
+ * @property {string} [categoryId]
+ * @property {Array<string>} brands - Lower-cased brands, any of which matches.
+ * @property {Array<string>} sellerIds - Any of which matches.
+ * @property {number} [minRating]
+ * @property {number} [minPrice] - Against the effective (sale-aware) variant price.
+ * @property {number} [maxPrice]
+ * @property {boolean} inStock
+ * @property {boolean} onSale
+ * @property {Array<[string, Array<string>]>} attributes - Attribute name and the lower-cased values, any of which matches.
+ */
+
+/**
+ * @param {object} options - Search options as received in the query string.
+ * @returns {SearchCriteria} The criteria.
+ */
+const toCriteria = (options) => ({
+  categoryId: options.category,
+  brands: parseList(options.brand),
+  sellerIds: parseList(options.seller),
+  minRating: parseNumber(options.minRating),
+  minPrice: parseNumber(options.minPrice),
+  maxPrice: parseNumber(options.maxPrice),
+  inStock: String(options.inStock) === "true",
+  onSale: String(options.onSale) === "true",
+  attributes: FACET_ATTRIBUTES.map((name) => [
+    name,
+    parseList(options[name]),
+  ]).filter(([, values]) => values.length > 0),
+});
+
+/**
+ * @typedef {object} Candidate
+ * @property {IndexedProduct} entry - The indexed product.
+ * @property {Array<import('./pricing.service.js').ResolvedPrice>} prices - Price of each variant, at search time.
+ * @property {number} score - Text relevance (0 without a search query).
+ */
+
+/**
+ * Finds the variants of a product that satisfy the criteria. Variant-level filters (price,
+ * attributes, stock, sale) must all hold for the same variant. `skip` leaves out one filter, which is
+ * how each facet counts what selecting another of its values would return.
+ * @param {Candidate} candidate - The product.
+ * @param {SearchCriteria} criteria - The criteria.
+ * @param {string} [skip] - Filter to ignore: "brand", "seller", "rating", "price", "inStock", "onSale" or an attribute name.
+ * @returns {Array<number>} Indexes of the matching variants; empty if the product does not match.
+ */
+const matchingVariants = ({ entry, prices }, criteria, skip) => {
+  if (criteria.categoryId && entry.categoryId !== criteria.categoryId)
+    return [];
+  if (
+    skip !== "brand" &&
+    criteria.brands.length &&
+    !criteria.brands.includes(entry.brandKey)
+  ) {
+    return [];
+  }
+  if (
+    skip !== "seller" &&
+    criteria.sellerIds.length &&
+    !criteria.sellerIds.includes(entry.sellerId.toLowerCase())
+  ) {
+    return [];
+  }
+  if (
+    skip !== "rating" &&
+    criteria.minRating !== undefined &&
+    entry.averageRating < criteria.minRating
+  ) {
+    return [];
+  }
+
+  const matches = [];
+  entry.variants.forEach((variant, i) => {
+    if (skip !== "price") {
+      const { price } = prices[i];
+      if (criteria.minPrice !== undefined && price < criteria.minPrice) return;
+      if (criteria.maxPrice !== undefined && price > criteria.maxPrice) return;
+    }
+    if (skip !== "inStock" && criteria.inStock && !variant.inStock) return;
+    if (skip !== "onSale" && criteria.onSale && !prices[i].onSale) return;
+    for (const [name, values] of criteria.attributes) {
+      if (name !== skip && !values.includes(variant.attributes[name]?.value)) {
+        return;
+      }
+    }
+    matches.push(i);
+  });
+  return matches;
+};
+
+/**
+ * Counts, for one facet, the products having each value.
+ * @param {Array<Candidate>} candidates - Products matching the text query.
+ * @param {SearchCriteria} criteria - The criteria.
+ * @param {string} facet - The facet, whose own filter is ignored.
+ * @param {(candidate: Candidate, variantIndexes: Array<number>) => Array<[unknown, string]>} valuesOf - Key and label of the facet values a matching product has.
+ * @returns {Map<unknown, {label: string, count: number}>} Counts by value key.
+ */
+const countFacet = (candidates, criteria, facet, valuesOf) => {
+  const counts = new Map();
+  for (const candidate of candidates) {
+    const variantIndexes = matchingVariants(candidate, criteria, facet);
+    if (variantIndexes.length === 0) continue;
+    const seen = new Set();
+    for (const [key, label] of valuesOf(candidate, variantIndexes)) {
+      if (seen.has(key)) continue; // Count each product once per value
+      seen.add(key);
+      const bucket = counts.get(key) ?? { label, count: 0 };
+      bucket.count++;
+      counts.set(key, bucket);
+    }
+  }
+  return counts;
+};
+
+/**
+ * Lists a facet's values, most common first.
+ * @param {Map<unknown, {label: string, count: number}>} counts - Counts by value key.
+ * @returns {Array<{value: string, count: number}>} The values.
+ */
+const toFacetValues = (counts) =>
+  [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .map(({ label, count }) => ({ value: label, count }));
+
+/**
+ * @typedef {object} SearchFacets
+ * @property {Record<string, Array<{value: string, count: number}>>} attributes - Values of each facet attribute (color, length, texture).
+ * @property {Array<{value: string, count: number}>} brand - Brands.
+ * @property {Array<{value: string, count: number}>} seller - Seller IDs.
+ * @property {Array<{min: number, max: number | null, count: number}>} price - Effective price ranges; max is exclusive, null for the last range.
+ * @property {Array<{min: number, count: number}>} rating - Products rated at least `min`.
+ * @property {number} inStock - Products with a matching variant in stock.
+ * @property {number} onSale - Products with a matching variant on sale.
+ */
+
+/**
+ * Counts every facet. Each facet applies all active filters except its own, so the counts say
+ * how many results a shopper gets by picking that value next.
+ * @param {Array<Candidate>} candidates - Products matching the text query.
+ * @param {SearchCriteria} criteria - The criteria.
+ * @returns {SearchFacets} The facets.
+ */
+const computeFacets = (candidates, criteria) => {
+  const attributes = {};
+  for (const name of FACET_ATTRIBUTES) {
+    attributes[name] = toFacetValues(
+      countFacet(candidates, criteria, name, ({ entry }, variantIndexes) =>
+        variantIndexes
+          .map((i) => entry.variants[i].attributes[name])
+          .filter(Boolean)
+          .map(({ value, label }) => [value, label]),
+      ),
+    );
+  }
+
+  const priceCounts = countFacet(
+    candidates,
+    criteria,
+    "price",
+    ({ prices }, variantIndexes) =>
+      variantIndexes.map((i) => {
+        const bucket = PRICE_FACET_BOUNDS.findLastIndex(
+          (bound) => prices[i].price >= bound,
+        );
+        return [Math.max(bucket, 0), ""];
+      }),
+  );
+  const ratingCounts = countFacet(candidates, criteria, "rating", ({ entry }) =>
+    RATING_FACET_THRESHOLDS.filter(
+      (threshold) => entry.averageRating >= threshold,
+    ).map((threshold) => [threshold, ""]),
+  );
+  const inStockCounts = countFacet(
+    candidates,
+    criteria,
+    "inStock",
+    ({ entry }, variantIndexes) =>
+      variantIndexes.some((i) => entry.variants[i].inStock) ? [[true, ""]] : [],
+  );
+  const onSaleCounts = countFacet(
+    candidates,
+    criteria,
+    "onSale",
+    ({ prices }, variantIndexes) =>
+      variantIndexes.some((i) => prices[i].onSale) ? [[true, ""]] : [],
+  );
+
+  return {
+    attributes,
+    brand: toFacetValues(
+      countFacet(candidates, criteria, "brand", ({ entry }) =>
+        entry.brandKey ? [[entry.brandKey, entry.brand]] : [],
+      ),
+    ),
+    seller: toFacetValues(
+      countFacet(candidates, criteria, "seller", ({ entry }) => [
+        [entry.sellerId, entry.sellerId],
+      ]),
+    ),
+    price: PRICE_FACET_BOUNDS.map((min, i) => ({
+      min,
+      max: PRICE_FACET_BOUNDS[i + 1] ?? null,
+      count: priceCounts.get(i)?.count ?? 0,
+    })),
+    rating: RATING_FACET_THRESHOLDS.map((min) => ({
+      min,
+      count: ratingCounts.get(min)?.count ?? 0,
+    })),
+    inStock: inStockCounts.get(true)?.count ?? 0,
+    onSale: onSaleCounts.get(true)?.count ?? 0,
+  };
+};
+
+/**
+ * Scores products against a search query. Every query term must match a product term exactly,
+ * as a prefix or within a typo or two; scores add up over terms, weighted by the field matched.
+ * @param {string} search - The query.
+ * @returns {Map<string, number> | null} Scores of the matching products, or null if the query has no searchable terms.
+ */
+const scoreText = (search) => {
+  const queryTerms = [...new Set(tokenize(search))];
+  if (queryTerms.length === 0) return null;
+
+  let scores = null;
+  for (const queryTerm of queryTerms) {
+    const termScores = new Map();
+    for (const [term, postings] of index.terms) {
+      const quality = matchQuality(queryTerm, term);
+      if (!quality) continue;
+      for (const [productId, weight] of postings) {
+        const score = quality * weight;
+        if (score > (termScores.get(productId) ?? 0)) {
+          termScores.set(productId, score);
+        }
+      }
+    }
+
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      const combined = new Map();
+      for (const [productId, score] of scores) {
+        if (termScores.has(productId)) {
+          combined.set(productId, score + termScores.get(productId));
+        }
+      }
+      scores = combined;
+    }
+    if (scores.size === 0) break;
+  }
+  return scores;
+};
+
+/**
+ * Reads the sort value of a matching product.
+ * @param {Candidate & {variantIndexes: Array<number>}} match - The product.
+ * @param {string} sortBy - The sort field.
+ * @returns {number | string} The value.
+ */
+const sortValue = (match, sortBy) => {
+  switch (sortBy) {
+    case "relevance":
+      return match.score;
+    case "price":
+      return Math.min(
+        ...match.variantIndexes.map((i) => match.prices[i].price),
+      );
+    case "discount":
+      return Math.max(
+        ...match.variantIndexes.map((i) => {
+          const { price, regularPrice } = match.prices[i];
+          return regularPrice > 0 ? (regularPrice - price) / regularPrice : 0;
+        }),
+      );
+    default:
+      return match.entry[sortBy];
+  }
+};
+
+/**
+ * @typedef {object} ProductSearchHit
+ * @property {string} productId - The product.
+ * @property {number} score - Text relevance; 0 without a search query.
+ * @property {{min: number, max: number}} priceRange - Effective prices of the variants that matched.
+ * @property {{min: number, max: number}} regularPriceRange - Their list prices.
+ * @property {boolean} onSale - Whether any of them is on sale.
+ * @property {Date | null} saleEndsAt - When the first of their running sales ends.
+ */
+
+/**
+ * Searches listed products with text, filters and facets. Prices are effective variant prices:
+ * the sale price while a sale is on, the list price otherwise.
+ * @param {object} options - Options as received in the query string (strings are accepted).
+ * @param {string} [options.search] - Free text; tolerant to typos and partial words.
+ * @param {string} [options.category] - Category ID.
+ * @param {string} [options.brand] - Comma-separated brands.
+ * @param {string} [options.seller] - Comma-separated seller IDs.
+ * @param {string} [options.color] - Comma-separated colors.
+ * @param {string} [options.length] - Comma-separated lengths.
+ * @param {string} [options.texture] - Comma-separated textures.
+ * @param {number | string} [options.minPrice] - Lowest effective price.
+ * @param {number | string} [options.maxPrice] - Highest effective price.
+ * @param {number | string} [options.minRating] - Lowest average rating.
+ * @param {boolean | string} [options.inStock] - Only products with a matching variant in stock.
+ * @param {boolean | string} [options.onSale] - Only products with a matching variant on sale.
+ * @param {string} [options.sort_by] - "relevance", "price", "discount" (largest percentage off first when descending), "name", "basePrice", "averageRating", "createdAt" or "updatedAt". Defaults to relevance when searching, createdAt otherwise.
+ * @param {"asc" | "desc"} [options.order="desc"] - Sort order.
+ * @param {number | string} [options.page=1] - Page number.
+ * @param {number | string} [options.limit=10] - Page size.
+ * @returns {Promise<{hits: Array<ProductSearchHit>, facets: SearchFacets, page: number, limit: number, totalPages: number, totalResults: number}>} The page of hits and the facets.
+ */
+const searchProducts = async (options) => {
+  await ensureIndex();
+
+  const now = new Date();
+  const criteria = toCriteria(options);
+  const scores = options.search ? scoreText(options.search) : null;
+
+  /** @type {Array<Candidate>} */
+  const candidates = [];
+  for (const entry of index.products.values()) {
+    if (scores && !scores.has(entry.id)) continue;
+    candidates.push({
+      entry,
+      prices: entry.variants.map((variant) =>
+        pricingService.resolveVariantPrice(variant, now),
+      ),
+      score: scores?.get(entry.id) ?? 0,
+    });
+  }
+
+  const matches = candidates
+    .map((candidate) => ({
+      ...candidate,
+      variantIndexes: matchingVariants(candidate, criteria),
+    }))
+    .filter((match) => match.variantIndexes.length > 0);
+
+  const sortBy = options.sort_by ?? (scores ? "relevance" : "createdAt");
+  const direction = options.order === "asc" ? 1 : -1;
+  matches.sort((a, b) => {
+    const x = sortValue(a, sortBy);
+    const y = sortValue(b, sortBy);
+    const compared =
+      typeof x === "string" ? x.localeCompare(y) : (x ?? 0) - (y ?? 0);
+    return (
+      compared * direction ||
+      b.entry.createdAt - a.entry.createdAt ||
+      a.entry.id.localeCompare(b.entry.id)
+    );
+  });
+
+  const page = Number(options.page ?? 1);
+  const limit = Number(options.limit ?? 10);
+  const hits = matches.slice((page - 1) * limit, page * limit).map((match) => {
+    return {
+      productId: match.entry.id,
+      score: match.score,
+      ...pricingService.summarizePrices(
+        match.variantIndexes.map((i) => match.prices[i]),
+      ),
+    };
+  });
+
+  return {
+    hits,
+    facets: computeFacets(candidates, criteria),
+    page,
+    limit,
+    totalPages: Math.ceil(matches.length / limit),
+    totalResults: matches.length,
+  };
+};
+
+/**
+ * @typedef {object} SearchSuggestions
+ * @property {Array<{id: string, name: string, slug: string}>} products - Matching product names.
+ * @property {Array<{value: string, productCount: number}>} brands - Matching brands.
+ * @property {Array<{id: string, name: string, slug: string, productCount: number}>} categories - Matching categories with listed products.
+ * @property {Array<{value: string, productCount: number}>} tags - Matching tags.
+ */
+
+/**
+ * Ranks suggestion candidates: most popular first, then those starting with the query, then
+ * shorter and alphabetical.
+ * @template {{label: string, popularity: number}} T
+ * @param {Array<T>} candidates - The candidates.
+ * @param {string} prefix - The query, lower-cased.
+ * @param {number} limit - How many to keep.
+ * @returns {Array<T>} The best candidates.
+ */
+const rankSuggestions = (candidates, prefix, limit) => {
+  const startsWithQuery = (label) =>
+    splitTerms(label).join(" ").startsWith(prefix) ? 0 : 1;
+  return candidates
+    .sort(
+      (a, b) =>
+        b.popularity - a.popularity ||
+        startsWithQuery(a.label) - startsWithQuery(b.label) ||
+        a.label.length - b.label.length ||
+        a.label.localeCompare(b.label),
+    )
+    .slice(0, limit);
+};
+
+/**
+ * Suggests product names, brands, categories and tags as the shopper types. A suggestion matches
+ * when every word of the query starts one of its words, in any order ("body wa" suggests "Brazilian
+ * Body Wave Wig"). Only listed products count; brands, categories and tags are as popular as
+ * their products combined, popularity being units sold plus reviews.
+ * @param {string} query - What the shopper has typed so far.
+ * @param {number | string} [limit=5] - Suggestions per group.
+ * @returns {Promise<SearchSuggestions>} The suggestions.
+ */
+const suggest = async (query, limit = 5) => {
+  await ensureIndex();
+
+  const queryTerms = splitTerms(query);
+  const max = Number(limit);
+  if (queryTerms.length === 0) {
+    return { products: [], brands: [], categories: [], tags: [] };
+  }
+  const matches = (label) => {
+    const terms = splitTerms(label);
+    return queryTerms.every((queryTerm) =>
+      terms.some((term) => term.startsWith(queryTerm)),
+    );
+  };
+
+  const products = [];
+  const groups = { brands: new Map(), categories: new Map(), tags: new Map() };
+  const tally = (group, key, label, entry, extra) => {
+    const item = group.get(key) ?? {
+      label,
+      popularity: 0,
+      productCount: 0,
+      ...extra,
+    };
+    item.popularity += entry.popularity;
+    item.productCount++;
+    group.set(key, item);
+  };
+
+  for (const entry of index.products.values()) {
+    if (matches(entry.name)) {
+      products.push({ label: entry.name, popularity: entry.popularity, entry });
+    }
+    if (entry.brandKey && matches(entry.brand)) {
+      tally(groups.brands, entry.brandKey, entry.brand, entry);
+    }
+    const category = index.categories.get(entry.categoryId);
+    if (category && matches(category.name)) {
+      tally(groups.categories, entry.categoryId, category.name, entry, {
+        id: entry.categoryId,
+        slug: category.slug,
+      });
+    }
+    for (const tag of new Set(entry.tags)) {
+      if (matches(tag)) tally(groups.tags, tag.toLowerCase(), tag, entry);
+    }
+  }
+
+  const prefix = queryTerms.join(" ");
+  const rank = (group) => rankSuggestions([...group.values()], prefix, max);
+  return {
+    products: rankSuggestions(products, prefix, max).map(({ entry }) => ({
+      id: entry.id,
+      name: entry.name,
+      slug: entry.slug,
+    })),
+    brands: rank(groups.brands).map(({ label, productCount }) => ({
+      value: label,
+      productCount,
+    })),
+    categories: rank(groups.categories).map(
+      ({ id, label, slug, productCount }) => ({
+        id,
+        name: label,
+        slug,
+        productCount,
+      }),
+    ),
+    tags: rank(groups.tags).map(({ label, productCount }) => ({
+      value: label,
+      productCount,
+    })),
+  };
+};
+
+export const searchService = {
+  tokenize,
+  editDistance,
+  searchProducts,
+  suggest,
+  rebuildIndex,
+  searchSyncPlugin,
+};
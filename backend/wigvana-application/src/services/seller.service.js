@@ -5,6 +5,7 @@ import Address from "../models/Address.model.js";
 import ApiError from "../errors/ApiError.js";
 import httpStatusCodes from "http-status-codes";
 import logger from "../utils/logger.js";
+import { mailService } from "./mail.service.js";
 
 /**
  * Creates a seller application.
@@ -167,6 +168,25 @@ const listAllSellerApplications = async (queryOptions) => {
   return { results: applications, page, limit, totalPages, totalResults };
 };
 
+/**
+ * Emails an applicant the outcome of their seller application.
+ * @param {InstanceType<typeof SellerApplication>} application - The reviewed application.
+ * @param {{email: string, firstName?: string}} user - The applicant.
+ * @returns {Promise<void>}
+ */
+const notifyApplicant = async (application, user) => {
+  await mailService.sendMail({
+    to: user.email,
+    template: "sellerApplicationDecision",
+    data: {
+      firstName: user.firstName,
+      approved: application.status === "approved",
+      storeName: application.proposedStoreName,
+      reason: application.reviewNotes,
+    },
+  });
+};
+
 /**
  * (Admin) Approves a seller application.
  * @param {string} adminId - ID of the admin performing the action.
@@ -219,12 +239,12 @@ const approveSellerApplication = async (adminId, applicationId) => {
     logger.info(
       `User ${application.userId} approved as seller. Profile updated/created.`,
     );
+    await notifyApplicant(application, user);
   } else {
     logger.error(
       `User ${application.userId} not found during seller application approval for application ${applicationId}.`,
     );
   }
-  // TODO: Notify applicant.
   return application;
 };
 
@@ -253,7 +273,9 @@ const rejectSellerApplication = async (adminId, applicationId, reason) => {
   application.reviewedAt = new Date();
   application.reviewNotes = reason;
   await application.save();
-  // TODO: Notify applicant.
+
+  const user = await User.findById(application.userId, "email firstName");
+  if (user) await notifyApplicant(application, user);
   return application;
 };
 
@@ -0,0 +1,417 @@
+import { v4 as uuidv4 } from "uuid";
+import Shipment from "../models/Shipment.model.js";
+import Order from "../models/Order.model.js";
+import OrderItem from "../models/OrderItem.model.js";
+import ApiError from "../errors/ApiError.js";
+import httpStatusCodes from "http-status-codes";
+import logger from "../utils/logger.js";
+import { orderStatusService } from "./orderStatus.service.js";
+import { inventoryService } from "./inventory.service.js";
+import { refundService } from "./refund.service.js";
+import { promotionService } from "./promotion.service.js";
+
+/**
+ * Allowed shipment transitions. Keys are the current status, values the statuses it may move to.
+ * @type {Record<string, string[]>}
+ */
+const SHIPMENT_STATUS_TRANSITIONS = {
+  pending: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["out_for_delivery", "delivered"],
+  out_for_delivery: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+/** Order statuses whose value is derived from the order's shipments. */
+const FULFILLMENT_ORDER_STATUSES = [
+  "processing",
+  "partially_shipped",
+  "shipped",
+  "out_for_delivery",
+  "delivered",
+];
+
+/** Shipment status assumed for sellers of orders created before shipments existed. */
+const SHIPMENT_STATUS_FOR_ORDER_STATUS = {
+  processing: "processing",
+  partially_shipped: "processing",
+  shipped: "shipped",
+  out_for_delivery: "out_for_delivery",
+  delivered: "delivered",
+};
+
+/** The seller-facing order status that maps to each shipment status. */
+const SHIPMENT_STATUS_FOR_SELLER_STATUS = {
+  processing: "processing",
+  shipped: "shipped",
+  out_for_delivery: "out_for_delivery",
+  delivered: "delivered",
+  cancelled_by_seller: "cancelled",
+};
+
+/** The OrderItem.itemStatus that mirrors each shipment status. */
+const ITEM_STATUS_FOR_SHIPMENT = {
+  processing: "processing",
+  shipped: "shipped",
+  out_for_delivery: "shipped",
+  delivered: "delivered",
+  cancelled: "cancelled",
+};
+
+/**
+ * Derives an order's status from its shipments' statuses.
+ * @param {Array<string>} statuses - Status of each shipment of the order.
+ * @returns {string | null} The order status, or null if there are no shipments.
+ */
+const deriveOrderStatus = (statuses) => {
+  if (statuses.length === 0) return null;
+  const active = statuses.filter((status) => status !== "cancelled");
+  if (active.length === 0) return "cancelled_by_seller";
+
+  const count = (...wanted) =>
+    active.filter((status) => wanted.includes(status)).length;
+  if (count("delivered") === active.length) return "delivered";
+  if (count("out_for_delivery", "delivered") === active.length) {
+    return "out_for_delivery";
+  }
+  if (count("shipped", "out_for_delivery", "delivered") === active.length) {
+    return "shipped";
+  }
+  if (count("shipped", "out_for_delivery", "delivered") > 0) {
+    return "partially_shipped";
+  }
+  return "processing";
+};
+
+/**
+ * Creates one shipment per seller for a new order and links each item to its seller's shipment.
+ * @param {string} orderId - The order ID.
+ * @param {Array<Object>} items - The order items to insert (not yet saved), each with a sellerId.
+ * @param {import('mongoose').ClientSession} session - Transaction session.
+ * @param {Array<{sellerId: string, methodId: string, name: string, cost: number}>} [shippingMethods] - The shipping chosen per seller.
+ * @returns {Promise<Array<Object>>} The items with shipmentId set.
+ */
+const createShipmentsForOrder = async (
+  orderId,
+  items,
+  session,
+  shippingMethods = [],
+) => {
+  const shipmentIdBySeller = new Map();
+  for (const item of items) {
+    if (!shipmentIdBySeller.has(item.sellerId)) {
+      shipmentIdBySeller.set(item.sellerId, uuidv4());
+    }
+  }
+  await Shipment.insertMany(
+    [...shipmentIdBySeller].map(([sellerId, _id]) => {
+      const method = shippingMethods.find((m) => m.sellerId === sellerId);
+      return {
+        _id,
+        orderId,
+        sellerId,
+        status: "pending",
+        shippingMethodId: method?.methodId,
+        shippingMethodName: method?.name,
+        shippingCost: method?.cost,
+      };
+    }),
+    { session },
+  );
+  return items.map((item) => ({
+    ...item,
+    shipmentId: shipmentIdBySeller.get(item.sellerId),
+  }));
+};
+
+/**
+ * Moves an order's pending shipments on once the order is paid.
+ * @param {string} orderId - The order ID.
+ */
+const startFulfillment = async (orderId) => {
+  await Shipment.updateMany(
+    { orderId, status: "pending" },
+    { $set: { status: "processing" } },
+  );
+};
+
+/**
+ * Cancels every open shipment of an order (payment failed, order cancelled).
+ * @param {string} orderId - The order ID.
+ * @param {import('mongoose').ClientSession} [session] - Optional transaction session.
+ */
+const cancelOrderShipments = async (orderId, session) => {
+  await Shipment.updateMany(
+    { orderId, status: { $in: ["pending", "processing"] } },
+    { $set: { status: "cancelled", cancelledAt: new Date() } },
+    { session },
+  );
+};
+
+/**
+ * Returns the seller's shipment for an order, creating it for orders placed before shipments existed.
+ * @param {InstanceType<typeof Order>} order - The order.
+ * @param {string} sellerId - The seller.
+ * @returns {Promise<InstanceType<typeof Shipment>>} The shipment.
+ */
+const ensureSellerShipment = async (order, sellerId) => {
+  const existing = await Shipment.findOne({ orderId: order._id, sellerId });
+  if (existing) return existing;
+
+  const shipment = await Shipment.findOneAndUpdate(
+    { orderId: order._id, sellerId },
+    {
+      $setOnInsert: {
+        status: SHIPMENT_STATUS_FOR_ORDER_STATUS[order.status] ?? "pending",
+        carrier: order.carrier,
+        trackingNumber: order.trackingNumber,
+      },
+    },
+    { upsert: true, new: true },
+  );
+  await OrderItem.updateMany(
+    { orderId: order._id, sellerId, shipmentId: null },
+    { $set: { shipmentId: shipment._id } },
+  );
+  return shipment;
+};
+
+/**
+ * Recomputes an order's status from its shipments and records the change in the order's history.
+ * Orders outside the fulfillment phase (awaiting payment, cancelled, refunded, ...) are left alone.
+ * For single-seller orders the shipment's carrier and tracking number are mirrored onto the order.
+ * @param {string} orderId - The order ID.
+ * @param {import('./orderStatus.service.js').StatusActor} actor - Whose shipment update triggered the sync.
+ * @param {string} [note] - Note for the history entry.
+ */
+const syncOrderStatus = async (orderId, actor, note) => {
+  // Another seller may update the order between our read and write; re-derive and retry.
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const order = await Order.findById(orderId, "status").lean();
+    if (!order || !FULFILLMENT_ORDER_STATUSES.includes(order.status)) return;
+
+    const shipments = await Shipment.find({ orderId }).lean();
+    const derived = deriveOrderStatus(shipments.map((s) => s.status));
+    if (!derived) return;
+    const changesStatus =
+      derived !== order.status &&
+      orderStatusService.canTransitionOrder(order.status, derived);
+
+    const [single] = shipments.length === 1 ? shipments : [];
+    if (!changesStatus && !single?.trackingNumber) return;
+    const result = await Order.updateOne(
+      { _id: orderId, status: order.status },
+      {
+        $set: {
+          ...(changesStatus && { status: derived }),
+          ...(single?.trackingNumber && {
+            trackingNumber: single.trackingNumber,
+            carrier: single.carrier,
+          }),
+        },
+      },
+    );
+    if (result.matchedCount === 0) continue;
+    if (changesStatus) {
+      await orderStatusService.recordOrderStatusChange(
+        { orderId, fromStatus: order.status, toStatus: derived },
+        actor,
+        { note },
+      );
+    }
+    return;
+  }
+  logger.warn(`Gave up syncing the status of order ${orderId} after retries.`);
+};
+
+/**
+ * Moves a shipment to a new status and carries the change through to its items and order.
+ * @param {InstanceType<typeof Shipment>} shipment - The shipment, as read before the change.
+ * @param {string} toStatus - The new shipment status; the caller has checked the transition.
+ * @param {Object} set - Other shipment fields to set with the status.
+ * @param {{actor: import('./orderStatus.service.js').StatusActor, note?: string}} options - Who made the change and a note for the history.
+ * @returns {Promise<InstanceType<typeof Shipment> | null>} The updated shipment, or null if it changed concurrently.
+ */
+const moveShipment = async (shipment, toStatus, set, { actor, note }) => {
+  const updated = await Shipment.findOneAndUpdate(
+    { _id: shipment._id, status: shipment.status },
+    { $set: { ...set, status: toStatus } },
+    { new: true },
+  );
+  if (!updated) return null;
+
+  // Items already in the return/refund flow keep their status.
+  await orderStatusService.transitionOrderItems(
+    {
+      shipmentId: updated._id,
+      itemStatus: { $in: ["pending", "processing", "shipped"] },
+    },
+    ITEM_STATUS_FOR_SHIPMENT[toStatus],
+    actor,
+    { note },
+  );
+  await syncOrderStatus(updated.orderId, actor, note);
+  return updated;
+};
+
+/**
+ * Carries out the side effects of a seller cancelling their shipment: puts the stock of its items back
+ * and refunds them with the shipment's shipping. When that leaves no shipment active the order is
+ * cancelled as a whole, so its promotion use is released and the rest of the payment refunded.
+ * Safe to call again for the same shipment.
+ * @param {InstanceType<typeof Shipment>} shipment - The cancelled shipment.
+ * @param {import('./orderStatus.service.js').StatusActor} actor - Who cancelled.
+ * @param {string} [note] - The seller's note, recorded on the refund.
+ * @returns {Promise<void>}
+ */
+const settleShipmentCancellation = async (shipment, actor, note) => {
+  const restoredVariantIds = await inventoryService.releaseOrderItemStock(
+    { shipmentId: shipment._id },
+    actor,
+  );
+  await inventoryService.refreshLowStockAlerts(restoredVariantIds);
+
+  const order = await Order.findById(shipment.orderId, "status").lean();
+  const orderCancelled = order?.status === "cancelled_by_seller";
+  if (orderCancelled) {
+    await promotionService.releaseOrderRedemption(shipment.orderId);
+  }
+  await refundService.releaseCancelledPayment(
+    shipment.orderId,
+    {
+      shipment: orderCancelled ? undefined : shipment,
+      reason: note ?? "Cancelled by the seller.",
+    },
+    actor,
+  );
+};
+
+/**
+ * Moves the seller's shipment within an order to a new status, then re-derives the order status.
+ * Other sellers' shipments in the same order are not affected. Cancelling puts the shipment's stock
+ * back and refunds its items; repeating a cancellation completes any step that failed the first time.
+ * @param {string} sellerId - The seller.
+ * @param {string} orderId - The order ID.
+ * @param {typeof import('../dtos/order.dto.js').updateOrderStatusSchema._input.body} statusData - New status, tracking and notes.
+ * @returns {Promise<InstanceType<typeof Shipment>>} The updated shipment.
+ * @throws {ApiError} 403 if the seller has no items in the order, 400 on an invalid transition, 409 on a concurrent update.
+ */
+const updateSellerShipmentStatus = async (sellerId, orderId, statusData) => {
+  const sellerOrderItemExists = await OrderItem.exists({ orderId, sellerId });
+  if (!sellerOrderItemExists) {
+    throw new ApiError(
+      httpStatusCodes.FORBIDDEN,
+      "You do not have items in this order to update its status.",
+    );
+  }
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
+  }
+
+  const actor = { id: sellerId, role: "seller" };
+  // Repeating a cancellation finishes any step that failed the first time
+  const cancelled = await Shipment.findOne({
+    orderId,
+    sellerId,
+    status: "cancelled",
+  });
+  if (cancelled && statusData.status === "cancelled_by_seller") {
+    await settleShipmentCancellation(cancelled, actor, statusData.notes);
+    return cancelled;
+  }
+  if (!FULFILLMENT_ORDER_STATUSES.includes(order.status)) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `Order cannot be fulfilled in its current status: ${order.status}.`,
+    );
+  }
+
+  const shipment = await ensureSellerShipment(order, sellerId);
+  const toStatus = SHIPMENT_STATUS_FOR_SELLER_STATUS[statusData.status];
+  if (!SHIPMENT_STATUS_TRANSITIONS[shipment.status]?.includes(toStatus)) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      `Cannot move your shipment from '${shipment.status}' to '${toStatus}'.`,
+    );
+  }
+  if (toStatus === "shipped" && !statusData.trackingNumber) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Tracking number required for shipped status.",
+    );
+  }
+
+  const now = new Date();
+  const update = {};
+  if (statusData.trackingNumber)
+    update.trackingNumber = statusData.trackingNumber;
+  if (statusData.carrier) update.carrier = statusData.carrier;
+  if (statusData.notes) update.sellerNotes = statusData.notes;
+  if (toStatus === "shipped") update.shippedAt = now;
+  if (toStatus === "delivered") update.deliveredAt = now;
+  if (toStatus === "cancelled") update.cancelledAt = now;
+
+  const updated = await moveShipment(shipment, toStatus, update, {
+    actor,
+    note: statusData.notes,
+  });
+  if (!updated) {
+    throw new ApiError(
+      httpStatusCodes.CONFLICT,
+      "Shipment was updated concurrently. Please reload and try again.",
+    );
+  }
+  if (toStatus === "cancelled") {
+    await settleShipmentCancellation(updated, actor, statusData.notes);
+  }
+
+  logger.info(
+    `Shipment ${updated._id} of order ${orderId} moved from ${shipment.status} to ${toStatus} by seller ${sellerId}.`,
+  );
+  return updated;
+};
+
+/**
+ * Moves a shipment on when its carrier reports progress (out for delivery, delivered), then
+ * re-derives the order status. Reports that would not move the shipment forward are ignored.
+ * @param {string} shipmentId - The shipment ID.
+ * @param {"out_for_delivery" | "delivered"} toStatus - The status the carrier reported.
+ * @param {{occurredAt?: Date, note?: string}} [options] - When the carrier saw it, and a note for the history.
+ * @returns {Promise<InstanceType<typeof Shipment> | null>} The updated shipment, or null if it did not move.
+ */
+const applyCarrierStatus = async (shipmentId, toStatus, options = {}) => {
+  const shipment = await Shipment.findById(shipmentId);
+  if (!SHIPMENT_STATUS_TRANSITIONS[shipment?.status]?.includes(toStatus)) {
+    return null;
+  }
+  const order = await Order.findById(shipment.orderId, "status").lean();
+  if (!FULFILLMENT_ORDER_STATUSES.includes(order?.status)) return null;
+
+  const updated = await moveShipment(
+    shipment,
+    toStatus,
+    toStatus === "delivered"
+      ? { deliveredAt: options.occurredAt ?? new Date() }
+      : {},
+    { actor: orderStatusService.SYSTEM_ACTOR, note: options.note },
+  );
+  if (updated) {
+    logger.info(
+      `Shipment ${shipment._id} of order ${shipment.orderId} moved from ${shipment.status} to ${toStatus} by its carrier.`,
+    );
+  }
+  return updated;
+};
+
+export const shipmentService = {
+  deriveOrderStatus,
+  createShipmentsForOrder,
+  startFulfillment,
+  cancelOrderShipments,
+  ensureSellerShipment,
+  syncOrderStatus,
+  updateSellerShipmentStatus,
+  applyCarrierStatus,
+};
@@ -0,0 +1,349 @@
+import ShippingZone from "../models/ShippingZone.model.js";
+import ApiError from "../errors/ApiError.js";
+import httpStatusCodes from "http-status-codes";
+import config from "../config/index.js";
+import logger from "../utils/logger.js";
+
+/** Method ID of the flat rate offered by sellers who have not set up shipping zones. */
+export const DEFAULT_SHIPPING_METHOD_ID = "default";
+
+const KG_PER_UNIT = { kg: 1, g: 0.001, lb: 0.45359237, oz: 0.028349523125 };
+
+const roundMoney = (value) => Number.parseFloat(value.toFixed(2));
+
+/**
+ * A line to ship.
+ * @typedef {object} ShippingLine
+ * @property {string} id - Cart item ID.
+ * @property {string} sellerId - The seller who ships it.
+ * @property {number} amount - Line value before discounts.
+ * @property {number} weightKg - Weight of all units on the line.
+ */
+
+/**
+ * A way one seller can ship their items, priced for them.
+ * @typedef {object} ShippingOption
+ * @property {string} methodId - Shipping method ID, or DEFAULT_SHIPPING_METHOD_ID.
+ * @property {string | null} zoneId - The zone the method belongs to.
+ * @property {string} name - Method name.
+ * @property {string} type - Method type.
+ * @property {number} cost - Price for the seller's parcel.
+ * @property {number} [minDeliveryDays]
+ * @property {number} [maxDeliveryDays]
+ */
+
+/**
+ * One seller's items and the ways they can be shipped, cheapest first.
+ * @typedef {object} ShippingGroup
+ * @property {string} sellerId - The seller.
+ * @property {Array<string>} itemIds - Cart item IDs.
+ * @property {number} subtotal - Value of the items.
+ * @property {number} weightKg - Weight of the items.
+ * @property {Array<ShippingOption>} options - Empty if the seller does not ship to the address.
+ */
+
+/**
+ * Converts a product weight to kilograms. Unknown units are taken as kilograms; no weight is 0.
+ * @param {{value?: number, unit?: string}} [weight] - Product.shippingDetails.weight.
+ * @returns {number} Weight in kg.
+ */
+const toWeightKg = (weight) => {
+  if (!weight?.value) return 0;
+  return weight.value * (KG_PER_UNIT[weight.unit?.toLowerCase()] ?? 1);
+};
+
+/**
+ * Maps cart items (with productId populated) to shipping lines.
+ * @param {Array<Object>} cartItems - Cart items.
+ * @returns {Array<ShippingLine>} The lines.
+ */
+const toShippingLines = (cartItems) =>
+  cartItems.map((item) => ({
+    id: item._id,
+    sellerId: item.productId.sellerId,
+    amount: item.priceAtAddition * item.quantity,
+    weightKg:
+      toWeightKg(item.productId.shippingDetails?.weight) * item.quantity,
+  }));
+
+/**
+ * Prices a method for one seller's parcel.
+ * @param {Object} method - The shipping method.
+ * @param {{subtotal: number, weightKg: number}} parcel - The seller's items.
+ * @returns {number} The cost.
+ */
+const computeMethodCost = (method, { subtotal, weightKg }) => {
+  switch (method.type) {
+    case "weight_based":
+      return roundMoney(method.rate + (method.perKgRate ?? 0) * weightKg);
+    case "free_over_threshold":
+      return subtotal >= method.freeOverAmount ? 0 : roundMoney(method.rate);
+    default:
+      return roundMoney(method.rate);
+  }
+};
+
+/**
+ * Picks the zone serving an address: a zone listing the address's region wins over one covering
+ * the whole country.
+ * @param {Array<Object>} zones - One seller's active zones.
+ * @param {{country: string, stateProvinceRegion?: string}} address - The shipping address.
+ * @returns {Object | undefined} The zone, if the seller ships there.
+ */
+const findZoneForAddress = (zones, { country, stateProvinceRegion }) => {
+  const countryCode = country.trim().toUpperCase();
+  const region = stateProvinceRegion?.trim().toUpperCase();
+  const inCountry = zones.filter((zone) =>
+    zone.countries.includes(countryCode),
+  );
+  return (
+    inCountry.find((zone) => region && zone.regions.includes(region)) ??
+    inCountry.find((zone) => zone.regions.length === 0)
+  );
+};
+
+/**
+ * Groups lines by seller and prices each seller's shipping options. Sellers without any zones get
+ * the platform's default flat rate; sellers whose zones do not cover the address get no options.
+ * @param {Record<string, Array<Object>>} zonesBySeller - Active zones per seller ID.
+ * @param {Array<ShippingLine>} lines - The lines.
+ * @param {{country: string, stateProvinceRegion?: string}} address - The shipping address.
+ * @returns {Array<ShippingGroup>} One group per seller.
+ */
+const computeShippingOptions = (zonesBySeller, lines, address) => {
+  const groups = new Map();
+  for (const line of lines) {
+    const group = groups.get(line.sellerId) ?? {
+      sellerId: line.sellerId,
+      itemIds: [],
+      subtotal: 0,
+      weightKg: 0,
+    };
+    group.itemIds.push(line.id);
+    group.subtotal += line.amount;
+    group.weightKg += line.weightKg;
+    groups.set(line.sellerId, group);
+  }
+
+  return [...groups.values()].map((group) => {
+    const parcel = {
+      ...group,
+      subtotal: roundMoney(group.subtotal),
+      weightKg: Number.parseFloat(group.weightKg.toFixed(3)),
+    };
+    const zones = zonesBySeller[group.sellerId] ?? [];
+    if (zones.length === 0) {
+      return {
+        ...parcel,
+        options: [
+          {
+            methodId: DEFAULT_SHIPPING_METHOD_ID,
+            zoneId: null,
+            name: "Standard shipping",
+            type: "flat",
+            cost: roundMoney(config.SHIPPING_DEFAULT_RATE),
+          },
+        ],
+      };
+    }
+    const zone = findZoneForAddress(zones, address);
+    const options = (zone?.methods ?? [])
+      .filter((method) => method.isActive)
+      .map((method) => ({
+        methodId: method._id,
+        zoneId: zone._id,
+        name: method.name,
+        type: method.type,
+        cost: computeMethodCost(method, parcel),
+        minDeliveryDays: method.minDeliveryDays,
+        maxDeliveryDays: method.maxDeliveryDays,
+      }))
+      .sort((a, b) => a.cost - b.cost);
+    return { ...parcel, options };
+  });
+};
+
+/**
+ * Quotes shipping for lines going to an address. Used for both the cart quote and checkout so the
+ * buyer is charged the price they picked.
+ * @param {Array<ShippingLine>} lines - The lines.
+ * @param {{country: string, stateProvinceRegion?: string}} address - The shipping address.
+ * @returns {Promise<Array<ShippingGroup>>} One group per seller.
+ */
+const quoteShipping = async (lines, address) => {
+  const sellerIds = [...new Set(lines.map((line) => line.sellerId))];
+  const zones = await ShippingZone.find({
+    sellerId: { $in: sellerIds },
+    isActive: true,
+  }).lean();
+  const zonesBySeller = {};
+  for (const zone of zones) {
+    zonesBySeller[zone.sellerId] ??= [];
+    zonesBySeller[zone.sellerId].push(zone);
+  }
+  return computeShippingOptions(zonesBySeller, lines, address);
+};
+
+/**
+ * Applies the buyer's choice of method per seller; sellers without a choice ship by their cheapest
+ * option.
+ * @param {Array<ShippingGroup>} groups - The quote.
+ * @param {Array<{sellerId: string, methodId: string}>} [selections] - The buyer's choices.
+ * @returns {{shippingCost: number, shipments: Array<{sellerId: string, methodId: string, name: string, cost: number}>}} The chosen option per seller and their total.
+ * @throws {ApiError} 400 if a seller does not ship to the address or a choice is not on offer.
+ */
+const selectShippingMethods = (groups, selections = []) => {
+  for (const selection of selections) {
+    if (!groups.some((group) => group.sellerId === selection.sellerId)) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        `No items in the cart are sold by seller ${selection.sellerId}.`,
+      );
+    }
+  }
+
+  const shipments = groups.map((group) => {
+    if (group.options.length === 0) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        `Seller ${group.sellerId} does not ship to this address.`,
+      );
+    }
+    const selection = selections.find((s) => s.sellerId === group.sellerId);
+    const option = selection
+      ? group.options.find((o) => o.methodId === selection.methodId)
+      : group.options[0];
+    if (!option) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        `Shipping method ${selection.methodId} is not available from seller ${group.sellerId} for this address.`,
+      );
+    }
+    return {
+      sellerId: group.sellerId,
+      methodId: option.methodId,
+      name: option.name,
+      cost: option.cost,
+    };
+  });
+
+  return {
+    shippingCost: roundMoney(shipments.reduce((sum, s) => sum + s.cost, 0)),
+    shipments,
+  };
+};
+
+// --- Zone management (sellers) ---
+
+/**
+ * Checks that each method carries the fields its type needs.
+ * @param {Array<Object>} [methods] - The zone's methods.
+ * @throws {ApiError} 400 if a method is inconsistent.
+ */
+const assertValidMethods = (methods = []) => {
+  for (const method of methods) {
+    if (method.type === "weight_based" && method.perKgRate == null) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        `${method.name}: weight-based methods need a perKgRate.`,
+      );
+    }
+    if (
+      method.type === "free_over_threshold" &&
+      method.freeOverAmount == null
+    ) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        `${method.name}: free-over-threshold methods need a freeOverAmount.`,
+      );
+    }
+    if (
+      method.minDeliveryDays != null &&
+      method.maxDeliveryDays != null &&
+      method.minDeliveryDays > method.maxDeliveryDays
+    ) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        `${method.name}: minDeliveryDays cannot exceed maxDeliveryDays.`,
+      );
+    }
+  }
+};
+
+/**
+ * Lists a seller's shipping zones.
+ * @param {string} sellerId - The seller.
+ * @returns {Promise<Array<Object>>} The zones, by name.
+ */
+const listShippingZones = (sellerId) =>
+  ShippingZone.find({ sellerId }).sort({ name: 1 }).lean();
+
+/**
+ * Creates a shipping zone for a seller.
+ * @param {string} sellerId - The seller.
+ * @param {typeof import('../dtos/shipping.dto.js').createShippingZoneSchema._input.body} zoneData - The zone and its methods.
+ * @returns {Promise<InstanceType<typeof ShippingZone>>} The created zone.
+ */
+const createShippingZone = async (sellerId, zoneData) => {
+  assertValidMethods(zoneData.methods);
+  const zone = await ShippingZone.create({ ...zoneData, sellerId });
+  logger.info(
+    `Shipping zone ${zone.name} (${zone.countries.join(", ")}) created by seller ${sellerId}.`,
+  );
+  return zone;
+};
+
+/**
+ * Finds one of a seller's shipping zones.
+ * @param {string} sellerId - The seller.
+ * @param {string} zoneId - The zone ID.
+ * @returns {Promise<InstanceType<typeof ShippingZone>>} The zone.
+ */
+const getSellerShippingZone = async (sellerId, zoneId) => {
+  const zone = await ShippingZone.findOne({ _id: zoneId, sellerId });
+  if (!zone) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Shipping zone not found.");
+  }
+  return zone;
+};
+
+/**
+ * Updates a seller's shipping zone. `methods`, when given, replaces the zone's methods; a method
+ * keeps its ID when sent back with its `_id`. Orders already placed keep what they were charged.
+ * @param {string} sellerId - The seller.
+ * @param {string} zoneId - The zone ID.
+ * @param {typeof import('../dtos/shipping.dto.js').updateShippingZoneSchema._input.body} updateData - Fields to update.
+ * @returns {Promise<InstanceType<typeof ShippingZone>>} The updated zone.
+ */
+const updateShippingZone = async (sellerId, zoneId, updateData) => {
+  const zone = await getSellerShippingZone(sellerId, zoneId);
+  if (updateData.methods) assertValidMethods(updateData.methods);
+  zone.set(updateData);
+  await zone.save();
+  return zone;
+};
+
+/**
+ * Deletes a seller's shipping zone.
+ * @param {string} sellerId - The seller.
+ * @param {string} zoneId - The zone ID.
+ */
+const deleteShippingZone = async (sellerId, zoneId) => {
+  const result = await ShippingZone.deleteOne({ _id: zoneId, sellerId });
+  if (result.deletedCount === 0) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Shipping zone not found.");
+  }
+};
+
+export const shippingService = {
+  toWeightKg,
+  toShippingLines,
+  computeMethodCost,
+  computeShippingOptions,
+  quoteShipping,
+  selectShippingMethods,
+  listShippingZones,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+};
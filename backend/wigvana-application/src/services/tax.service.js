@@ -0,0 +1,210 @@
+import TaxRate from "../models/TaxRate.model.js";
+import ApiError from "../errors/ApiError.js";
+import httpStatusCodes from "http-status-codes";
+import logger from "../utils/logger.js";
+
+const roundMoney = (value) => Number.parseFloat(value.toFixed(2));
+
+/**
+ * A line to tax.
+ * @typedef {object} TaxLine
+ * @property {string} id - Cart item or order item ID.
+ * @property {string} taxClass - The product's tax class.
+ * @property {number} amount - Line value after discounts, as the buyer is charged it.
+ */
+
+/**
+ * Tax on one line.
+ * @typedef {object} LineTax
+ * @property {number} taxAmount - All tax on the line.
+ * @property {number} includedTaxAmount - Part of taxAmount already contained in the line's price.
+ * @property {Array<{taxRateId: string, name: string, rate: number, included: boolean, amount: number}>} breakdown - One entry per applied rate.
+ */
+
+/**
+ * Tax on a set of lines.
+ * @typedef {object} TaxCalculation
+ * @property {number} taxAmount - Sum of the line taxes.
+ * @property {number} includedTaxAmount - Sum of the tax already contained in prices; the rest is added on top.
+ * @property {Record<string, LineTax>} lines - Tax per line ID.
+ */
+
+/**
+ * Maps cart items (with productId populated) to tax lines, net of each line's promotion discount.
+ * @param {Array<Object>} cartItems - Cart items.
+ * @param {Record<string, number>} [lineDiscounts] - Discount per cart item ID.
+ * @returns {Array<TaxLine>} The lines.
+ */
+const toTaxLines = (cartItems, lineDiscounts = {}) =>
+  cartItems.map((item) => ({
+    id: item._id,
+    taxClass: item.productId?.taxClass ?? "standard",
+    amount: roundMoney(
+      item.priceAtAddition * item.quantity - (lineDiscounts[item._id] ?? 0),
+    ),
+  }));
+
+/**
+ * Applies tax rates to lines. Each line gets every rate for its tax class. Tax-inclusive rates are
+ * backed out of the price first, so all rates are charged on the same pre-tax base.
+ * @param {Array<Object>} rates - Tax rates already matched to the destination.
+ * @param {Array<TaxLine>} lines - The lines.
+ * @returns {TaxCalculation} The tax.
+ */
+const computeTaxes = (rates, lines) => {
+  const result = { taxAmount: 0, includedTaxAmount: 0, lines: {} };
+  for (const line of lines) {
+    const applicable = rates.filter((rate) => rate.taxClass === line.taxClass);
+    const includedRate = applicable
+      .filter((rate) => rate.pricesIncludeTax)
+      .reduce((sum, rate) => sum + rate.rate, 0);
+    const base = line.amount / (1 + includedRate / 100);
+
+    const breakdown = applicable.map((rate) => ({
+      taxRateId: rate._id,
+      name: rate.name,
+      rate: rate.rate,
+      included: Boolean(rate.pricesIncludeTax),
+      amount: roundMoney((base * rate.rate) / 100),
+    }));
+    const lineTax = {
+      taxAmount: roundMoney(breakdown.reduce((sum, t) => sum + t.amount, 0)),
+      includedTaxAmount: roundMoney(
+        breakdown
+          .filter((t) => t.included)
+          .reduce((sum, t) => sum + t.amount, 0),
+      ),
+      breakdown,
+    };
+    result.lines[line.id] = lineTax;
+    result.taxAmount += lineTax.taxAmount;
+    result.includedTaxAmount += lineTax.includedTaxAmount;
+  }
+  result.taxAmount = roundMoney(result.taxAmount);
+  result.includedTaxAmount = roundMoney(result.includedTaxAmount);
+  return result;
+};
+
+/**
+ * Finds the active rates for a destination: country-wide rates plus those for its region.
+ * @param {{country: string, stateProvinceRegion?: string}} address - The shipping address.
+ * @returns {Promise<Array<Object>>} The matching rates.
+ */
+const findRatesForAddress = ({ country, stateProvinceRegion }) =>
+  TaxRate.find({
+    isActive: true,
+    country: country.trim().toUpperCase(),
+    region: {
+      $in: [
+        null,
+        ...(stateProvinceRegion
+          ? [stateProvinceRegion.trim().toUpperCase()]
+          : []),
+      ],
+    },
+  }).lean();
+
+/**
+ * Calculates the tax on lines shipped to an address. Used for both the cart preview and checkout
+ * so the buyer sees the amounts they are charged. Shipping is not taxed.
+ * @param {Array<TaxLine>} lines - The lines.
+ * @param {{country: string, stateProvinceRegion?: string}} address - The shipping address.
+ * @returns {Promise<TaxCalculation>} The tax.
+ */
+const calculateTax = async (lines, address) =>
+  computeTaxes(await findRatesForAddress(address), lines);
+
+// --- Rate table management (admin) ---
+
+/**
+ * Lists tax rates.
+ * @param {typeof import('../dtos/tax.dto.js').listTaxRatesQuerySchema._input.query} queryOptions - Filters and pagination.
+ * @returns {Promise<{results: Array<Object>, page: number, limit: number, totalPages: number, totalResults: number}>} Paginated tax rates.
+ */
+const listTaxRates = async (queryOptions) => {
+  const { page = 1, limit = 10, country, region, taxClass } = queryOptions;
+  const filter = {};
+  if (country) filter.country = country.toUpperCase();
+  if (region) filter.region = region.toUpperCase();
+  if (taxClass) filter.taxClass = taxClass.toLowerCase();
+
+  const [results, totalResults] = await Promise.all([
+    TaxRate.find(filter)
+      .sort({ country: 1, region: 1, taxClass: 1, name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    TaxRate.countDocuments(filter),
+  ]);
+  return {
+    results,
+    page,
+    limit,
+    totalPages: Math.ceil(totalResults / limit),
+    totalResults,
+  };
+};
+
+/**
+ * Creates a tax rate.
+ * @param {typeof import('../dtos/tax.dto.js').createTaxRateSchema._input.body} taxRateData - The rate.
+ * @returns {Promise<InstanceType<typeof TaxRate>>} The created rate.
+ * @throws {ApiError} 409 if a rate with the same name already exists for the destination and tax class.
+ */
+const createTaxRate = async (taxRateData) => {
+  const taxRate = new TaxRate(taxRateData);
+  const duplicate = await TaxRate.exists({
+    country: taxRate.country,
+    region: taxRate.region ?? null,
+    taxClass: taxRate.taxClass,
+    name: taxRate.name,
+  });
+  if (duplicate) {
+    throw new ApiError(
+      httpStatusCodes.CONFLICT,
+      `${taxRate.name} already exists for ${taxRate.country}${taxRate.region ? `/${taxRate.region}` : ""} (${taxRate.taxClass}).`,
+    );
+  }
+  await taxRate.save();
+  logger.info(
+    `Tax rate ${taxRate.name} (${taxRate.rate}%) created for ${taxRate.country}${taxRate.region ? `/${taxRate.region}` : ""}.`,
+  );
+  return taxRate;
+};
+
+/**
+ * Updates a tax rate. Orders already placed keep the tax they were charged.
+ * @param {string} taxRateId - The rate ID.
+ * @param {typeof import('../dtos/tax.dto.js').updateTaxRateSchema._input.body} updateData - Fields to update.
+ * @returns {Promise<InstanceType<typeof TaxRate>>} The updated rate.
+ */
+const updateTaxRate = async (taxRateId, updateData) => {
+  const taxRate = await TaxRate.findById(taxRateId);
+  if (!taxRate) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Tax rate not found.");
+  }
+  taxRate.set(updateData);
+  await taxRate.save();
+  return taxRate;
+};
+
+/**
+ * Deletes a tax rate. Orders already placed keep the tax they were charged.
+ * @param {string} taxRateId - The rate ID.
+ */
+const deleteTaxRate = async (taxRateId) => {
+  const result = await TaxRate.deleteOne({ _id: taxRateId });
+  if (result.deletedCount === 0) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Tax rate not found.");
+  }
+};
+
+export const taxService = {
+  toTaxLines,
+  computeTaxes,
+  calculateTax,
+  listTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+};
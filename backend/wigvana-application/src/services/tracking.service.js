@@ -0,0 +1,219 @@
+import TrackingEvent from "../models/TrackingEvent.model.js";
+import Shipment from "../models/Shipment.model.js";
+import Order from "../models/Order.model.js";
+import ApiError from "../errors/ApiError.js";
+import httpStatusCodes from "http-status-codes";
+import logger from "../utils/logger.js";
+import { carrierService } from "./carrier.service.js";
+import { shipmentService } from "./shipment.service.js";
+
+/** Shipment statuses whose parcels are with the carrier and worth polling. */
+const TRACKED_SHIPMENT_STATUSES = ["shipped", "out_for_delivery"];
+
+/** Shipments polled per job run, least recently polled first. */
+const POLL_BATCH_SIZE = 100;
+
+/** Carrier names are matched the way sellers type them: "Mock", "mock", "MOCK". */
+const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+/**
+ * Picks the shipment status a set of tracking events justifies: delivered once any scan says so,
+ * otherwise out for delivery once any scan says so.
+ * @param {Array<{status: string}>} events - Tracking events.
+ * @returns {"delivered" | "out_for_delivery" | null} The status, or null if the events do not move the shipment.
+ */
+const shipmentStatusForEvents = (events) => {
+  const statuses = events.map((event) => event.status);
+  if (statuses.includes("delivered")) return "delivered";
+  if (statuses.includes("out_for_delivery")) return "out_for_delivery";
+  return null;
+};
+
+/**
+ * Stores a carrier's scans for a shipment, skipping scans already stored, and moves the shipment
+ * (and so the order) on if the scans show it is out for delivery or delivered.
+ * @param {Object} shipment - The shipment.
+ * @param {Array<import('./carrier.service.js').CarrierTrackingEvent>} events - Scans from the carrier.
+ * @param {"poll" | "webhook"} source - How the scans arrived.
+ * @returns {Promise<{recorded: number, status: string}>} How many scans were new, and the shipment's status afterwards.
+ */
+const recordTrackingEvents = async (shipment, events, source) => {
+  let recorded = 0;
+  if (events.length > 0) {
+    const result = await TrackingEvent.bulkWrite(
+      events.map((event) => ({
+        updateOne: {
+          filter: { shipmentId: shipment._id, eventId: event.id },
+          update: {
+            $setOnInsert: {
+              orderId: shipment.orderId,
+              carrier: shipment.carrier,
+              trackingNumber: shipment.trackingNumber,
+              status: event.status,
+              description: event.description,
+              location: event.location,
+              occurredAt: event.occurredAt,
+              source,
+            },
+          },
+          upsert: true,
+        },
+      })),
+    );
+    recorded = result.upsertedCount;
+  }
+
+  const toStatus = shipmentStatusForEvents(events);
+  if (!toStatus) return { recorded, status: shipment.status };
+  const reported = events.find((event) => event.status === toStatus);
+  const updated = await shipmentService.applyCarrierStatus(
+    shipment._id,
+    toStatus,
+    {
+      occurredAt: reported.occurredAt,
+      note: reported.description ?? `Reported by ${shipment.carrier}.`,
+    },
+  );
+  return { recorded, status: updated?.status ?? shipment.status };
+};
+
+/**
+ * Asks the carrier for new scans of one shipment.
+ * @param {Object} shipment - A shipment with a supported carrier and a tracking number.
+ * @returns {Promise<{recorded: number, status: string}>} Outcome.
+ */
+const pollShipment = async (shipment) => {
+  const adapter = carrierService.getCarrier(shipment.carrier);
+  const events = await adapter.fetchTrackingEvents({
+    trackingNumber: shipment.trackingNumber,
+    shippedAt: shipment.shippedAt,
+  });
+  await Shipment.updateOne(
+    { _id: shipment._id },
+    { $set: { trackingPolledAt: new Date() } },
+  );
+  return recordTrackingEvents(shipment, events, "poll");
+};
+
+/**
+ * Polls the carriers of shipments still in transit. Shipments whose carrier has no adapter are
+ * left for the seller to update by hand. One failing shipment does not stop the others.
+ * @returns {Promise<number>} Number of shipments polled.
+ */
+const pollShipmentTracking = async () => {
+  const shipments = await Shipment.find({
+    status: { $in: TRACKED_SHIPMENT_STATUSES },
+    carrier: { $in: carrierService.listCarrierNames() },
+    trackingNumber: { $nin: [null, ""] },
+  })
+    .collation(CASE_INSENSITIVE)
+    .sort({ trackingPolledAt: 1 })
+    .limit(POLL_BATCH_SIZE)
+    .lean();
+
+  for (const shipment of shipments) {
+    try {
+      await pollShipment(shipment);
+    } catch (err) {
+      logger.error(
+        `Failed to poll ${shipment.carrier} tracking for shipment ${shipment._id}: ${err.message}`,
+      );
+    }
+  }
+  if (shipments.length > 0) {
+    logger.info(`Polled carrier tracking for ${shipments.length} shipment(s).`);
+  }
+  return shipments.length;
+};
+
+/**
+ * Verifies and applies a tracking webhook from a carrier. Scans for a tracking number we do not
+ * know are acknowledged and dropped, so the carrier does not keep retrying them.
+ * @param {string} carrier - Carrier name from the URL.
+ * @param {{rawBody: Buffer | undefined, headers: Object}} request - The raw request body and headers.
+ * @returns {Promise<{received: boolean, matched: boolean, recorded: number, status?: string}>} Acknowledgement.
+ * @throws {ApiError} If the carrier is unknown, the signature is invalid, or the body is missing.
+ */
+const ingestCarrierWebhook = async (carrier, { rawBody, headers }) => {
+  const adapter = carrierService.getCarrier(carrier);
+  if (!rawBody || rawBody.length === 0) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Webhook body is missing or not JSON.",
+    );
+  }
+  const { trackingNumber, events } = await adapter.verifyWebhook({
+    rawBody,
+    headers,
+  });
+  if (!trackingNumber) {
+    throw new ApiError(
+      httpStatusCodes.BAD_REQUEST,
+      "Webhook is missing a tracking number.",
+    );
+  }
+
+  const shipment = await Shipment.findOne({
+    carrier: adapter.name,
+    trackingNumber,
+    status: { $ne: "cancelled" },
+  })
+    .collation(CASE_INSENSITIVE)
+    .lean();
+  if (!shipment) {
+    logger.warn(
+      `${adapter.name} tracking webhook for unknown tracking number ${trackingNumber}.`,
+    );
+    return { received: true, matched: false, recorded: 0 };
+  }
+  const outcome = await recordTrackingEvents(shipment, events, "webhook");
+  return { received: true, matched: true, ...outcome };
+};
+
+/**
+ * Gets the tracking timeline of each shipment of one of the buyer's orders.
+ * @param {string} userId - The ID of the buyer.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<{orderId: string, shipments: Array<Object>}>} Each shipment with its scans, oldest first.
+ */
+const getBuyerOrderTracking = async (userId, orderId) => {
+  const order = await Order.exists({ _id: orderId, userId });
+  if (!order) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Order not found.");
+  }
+  const [shipments, events] = await Promise.all([
+    Shipment.find({ orderId })
+      .populate("sellerId", "firstName lastName")
+      .sort({ createdAt: 1 })
+      .lean(),
+    TrackingEvent.find({ orderId }).sort({ occurredAt: 1 }).lean(),
+  ]);
+  return {
+    orderId,
+    shipments: shipments.map((shipment) => ({
+      shipmentId: shipment._id,
+      seller: shipment.sellerId,
+      status: shipment.status,
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      shippedAt: shipment.shippedAt,
+      deliveredAt: shipment.deliveredAt,
+      events: events
+        .filter((event) => event.shipmentId === shipment._id)
+        .map((event) => ({
+          status: event.status,
+          description: event.description,
+          location: event.location,
+          occurredAt: event.occurredAt,
+        })),
+    })),
+  };
+};
+
+export const trackingService = {
+  shipmentStatusForEvents,
+  recordTrackingEvents,
+  pollShipmentTracking,
+  ingestCarrierWebhook,
+  getBuyerOrderTracking,
+};
@@ -0,0 +1,564 @@
+import crypto from "node:crypto";
+import httpStatusCodes from "http-status-codes";
+import User from "../models/User.model.js";
+import { redisService } from "./redis.service.js";
+import { mailService } from "./mail.service.js";
+import config from "../config/index.js";
+import logger from "../utils/logger.js";
+import ApiError from "../errors/ApiError.js";
+import BadRequestError from "../errors/BadRequestError.js";
+import ConflictError from "../errors/ConflictError.js";
+import ForbiddenError from "../errors/ForbiddenError.js";
+import NotFoundError from "../errors/NotFoundError.js";
+import UnauthorizedError from "../errors/UnauthorizedError.js";
+import {
+  buildOtpauthUri,
+  generateTotpSecret,
+  verifyTotp,
+} from "../utils/totp.js";
+
+/**
+ * A second factor: a code from the authenticator app or one of the recovery codes.
+ * @typedef {object} SecondFactor
+ * @property {string} [code] - Six digit TOTP code.
+ * @property {string} [recoveryCode] - Unused recovery code.
+ */
+
+/** Roles that cannot use the admin area without two-factor authentication. */
+const ROLES_REQUIRING_TWO_FACTOR = ["admin"];
+
+const RECOVERY_CODE_COUNT = 10;
+
+/** AES-256-GCM key for secrets at rest; falls back to one derived from JWT_SECRET. */
+const ENCRYPTION_KEY = crypto
+  .createHash("sha256")
+  .update(config.TWO_FACTOR_ENCRYPTION_KEY ?? `two-factor:${config.JWT_SECRET}`)
+  .digest();
+
+/**
+ * Encrypts a TOTP secret for storage.
+ * @param {string} secret - The base32 secret.
+ * @returns {string} `iv.tag.ciphertext`, each base64url-encoded.
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+/**
+ * Decrypts a stored TOTP secret.
+ * @param {string} stored - The value written by encryptSecret.
+ * @returns {string} The base32 secret.
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+/** Recovery codes are compared without case, spaces or dashes. */
+const hashRecoveryCode = (code) =>
+  sha256(code.replace(/[\s-]/g, "").toLowerCase());
+
+/**
+ * Generates a fresh set of recovery codes, e.g. `3f9a1-c07be`.
+ * @returns {{codes: Array<string>, hashes: Array<string>}} The codes to show once, and their hashes to store.
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto
+      .randomBytes(5)
+      .toString("hex")
+      .replace(/^(.{5})/, "$1-"),
+  );
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/** How long wrong codes keep counting towards the account-wide delay, from the first one. */
+const ACCOUNT_FAILURE_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Wrong codes are counted per attempt (a login challenge or a session) and for the whole
+// account. The account-wide count spans every challenge, so logging in again buys no more
+// guesses; past the limit it delays further codes rather than locking the account, so someone
+// who knows the password cannot lock the owner out
+const attemptFailuresKey = (userId, attempt) =>
+  `twoFactorFailures:${userId}:${attempt}`;
+const accountFailuresKey = (userId) => `twoFactorAccountFailures:${userId}`;
+const backoffKey = (userId) => `twoFactorBackoff:${userId}`;
+const challengeAttempt = (challengeToken) =>
+  `challenge:${sha256(challengeToken)}`;
+const challengeKey = (challengeToken) =>
+  `twoFactorChallenge:${sha256(challengeToken)}`;
+const stepUpKey = (userId, sessionId) =>
+  `twoFactorStepUp:${userId}:${sessionId}`;
+
+/**
+ * The attempt key for codes entered in a signed-in session.
+ * @param {string | undefined} sessionId - The session from the access token.
+ * @returns {string} The attempt key.
+ * @throws {UnauthorizedError} If the access token predates sessions.
+ */
+const sessionAttempt = (sessionId) => {
+  if (!sessionId) {
+    throw new UnauthorizedError("Please log in again to confirm this action.");
+  }
+  return `session:${sessionId}`;
+};
+
+/**
+ * Runs a failure-counter operation, failing closed: if Redis cannot be read or written the code
+ * is refused rather than checked without a limit.
+ * @template T
+ * @param {() => Promise<T>} operation - The Redis operation.
+ * @returns {Promise<T>} Its result.
+ * @throws {ApiError} 503 if Redis fails.
+ */
+const withFailureCounters = async (operation) => {
+  try {
+    return await operation();
+  } catch {
+    throw new ApiError(
+      httpStatusCodes.SERVICE_UNAVAILABLE,
+      "Two-factor verification is temporarily unavailable. Try again later.",
+    );
+  }
+};
+
+/**
+ * Refuses further codes for an attempt once TWO_FACTOR_MAX_FAILED_ATTEMPTS wrong ones were
+ * entered for it within TWO_FACTOR_LOCKOUT_MINUTES, and for the whole account while its delay
+ * runs, so six digit codes cannot be guessed.
+ * @param {string} userId - The user's ID.
+ * @param {string} attempt - The login challenge or session the codes are entered for.
+ * @throws {ApiError} 429 while the attempt is locked out or the account delay runs, 503 if Redis fails.
+ */
+const assertNotLockedOut = async (userId, attempt) => {
+  const [attemptFailures, backoff] = await withFailureCounters(() =>
+    redisService.getMany([
+      attemptFailuresKey(userId, attempt),
+      backoffKey(userId),
+    ]),
+  );
+  if (
+    Number(attemptFailures) >= config.TWO_FACTOR_MAX_FAILED_ATTEMPTS ||
+    backoff
+  ) {
+    throw new ApiError(
+      httpStatusCodes.TOO_MANY_REQUESTS,
+      "Too many invalid two-factor codes. Try again later.",
+    );
+  }
+};
+
+/**
+ * Emails the user that their password was used with wrong two-factor codes. Never throws: the
+ * alert must not change the outcome of the verification.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<void>}
+ */
+const sendFailureAlert = async (userId) => {
+  try {
+    const user = await User.findById(userId, "email firstName").lean();
+    if (!user) return;
+    await mailService.sendMail({
+      to: user.email,
+      template: "twoFactorFailures",
+      data: {
+        firstName: user.firstName,
+        failedAttempts: config.TWO_FACTOR_MAX_FAILED_ATTEMPTS,
+      },
+    });
+  } catch (err) {
+    logger.error(
+      `Failed to queue the two-factor alert for user ${userId}: ${err.message}`,
+    );
+  }
+};
+
+/**
+ * Counts a wrong code for the attempt and the account. Past TWO_FACTOR_MAX_FAILED_ATTEMPTS on
+ * the account, each further wrong code starts a delay that doubles every time, up to
+ * TWO_FACTOR_LOCKOUT_MINUTES; the user is alerted when the limit is first reached.
+ * @param {string} userId - The user's ID.
+ * @param {string} attempt - The login challenge or session the code was entered for.
+ * @returns {Promise<void>}
+ * @throws {ApiError} 503 if Redis fails.
+ */
+const recordFailure = async (userId, attempt) => {
+  const accountFailures = await withFailureCounters(async () => {
+    await redisService.incr(
+      attemptFailuresKey(userId, attempt),
+      config.TWO_FACTOR_LOCKOUT_MINUTES * 60,
+    );
+    const count = await redisService.incr(
+      accountFailuresKey(userId),
+      ACCOUNT_FAILURE_WINDOW_SECONDS,
+    );
+    const excess = count - config.TWO_FACTOR_MAX_FAILED_ATTEMPTS;
+    if (excess >= 0) {
+      const delaySeconds = Math.min(
+        2 ** excess,
+        config.TWO_FACTOR_LOCKOUT_MINUTES * 60,
+      );
+      await redisService.setOrThrow(backoffKey(userId), "1", delaySeconds);
+    }
+    return count;
+  });
+  if (accountFailures === config.TWO_FACTOR_MAX_FAILED_ATTEMPTS) {
+    logger.warn(
+      `User ${userId} reached ${accountFailures} invalid two-factor codes.`,
+    );
+    await sendFailureAlert(userId);
+  }
+};
+
+/**
+ * Clears the failure counts after an accepted code.
+ * @param {string} userId - The user's ID.
+ * @param {string} attempt - The login challenge or session the code was entered for.
+ * @returns {Promise<void>}
+ */
+const clearFailures = async (userId, attempt) => {
+  await redisService.del(attemptFailuresKey(userId, attempt));
+  await redisService.del(accountFailuresKey(userId));
+};
+
+/**
+ * Checks a second factor for a user with two-factor authentication enabled. An accepted TOTP
+ * code cannot be used again and an accepted recovery code is used up.
+ * @param {string} userId - The user's ID.
+ * @param {SecondFactor} factor - The code or recovery code.
+ * @param {string} attempt - The login challenge or session the factor is given for.
+ * @returns {Promise<boolean>} Whether the factor was accepted.
+ * @throws {BadRequestError} If the user has not enabled two-factor authentication.
+ * @throws {ApiError} 429 while the attempt is locked out or the account delay runs, 503 if Redis fails.
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }, attempt) => {
+  await assertNotLockedOut(userId, attempt);
+  const user = await User.findById(userId).select("+twoFactor.secret");
+  if (!user?.twoFactor?.enabled) {
+    throw new BadRequestError("Two-factor authentication is not enabled.");
+  }
+
+  let accepted = false;
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+    if (step !== null) {
+      // Claiming the step in the same update that checks it stops a code being used twice
+      const claimed = await User.updateOne(
+        { _id: userId, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+        { $set: { "twoFactor.lastUsedStep": step } },
+      );
+      accepted = claimed.modifiedCount === 1;
+    }
+  } else if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const consumed = await User.updateOne(
+      { _id: userId, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } },
+    );
+    accepted = consumed.modifiedCount === 1;
+    if (accepted) {
+      logger.info(`User ${userId} used a two-factor recovery code.`);
+    }
+  }
+
+  if (!accepted) {
+    await recordFailure(userId, attempt);
+    return false;
+  }
+  await clearFailures(userId, attempt);
+  return true;
+};
+
+/**
+ * Whether a user's roles require two-factor authentication.
+ * @param {{roles: Array<string>}} user - The user.
+ * @returns {boolean} True if they do.
+ */
+const isRequiredFor = (user) =>
+  user.roles.some((role) => ROLES_REQUIRING_TWO_FACTOR.includes(role));
+
+/**
+ * Whether a user still has to enable two-factor authentication before using the admin area.
+ * @param {{roles: Array<string>, twoFactor?: {enabled?: boolean}}} user - The user.
+ * @returns {boolean} True if it is required but not enabled.
+ */
+const isEnrollmentRequired = (user) =>
+  isRequiredFor(user) && !user.twoFactor?.enabled;
+
+/**
+ * Gets a user's two-factor status.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<{enabled: boolean, enabledAt: Date | null, required: boolean, recoveryCodesRemaining: number}>} The status.
+ * @throws {NotFoundError} If the user does not exist.
+ */
+const getStatus = async (userId) => {
+  const user = await User.findById(userId).select("+twoFactor.recoveryCodes");
+  if (!user) throw new NotFoundError("User not found.");
+  const enabled = Boolean(user.twoFactor?.enabled);
+  return {
+    enabled,
+    enabledAt: user.twoFactor?.enabledAt ?? null,
+    required: isRequiredFor(user),
+    recoveryCodesRemaining: enabled ? user.twoFactor.recoveryCodes.length : 0,
+  };
+};
+
+/**
+ * Starts enrollment: generates a secret for the user's authenticator app. It is only used once
+ * confirmed with a code (see enable); starting again replaces it.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<{secret: string, otpauthUri: string}>} The base32 secret for manual entry and the URI to show as a QR code.
+ * @throws {NotFoundError} If the user does not exist.
+ * @throws {ConflictError} If two-factor authentication is already enabled.
+ */
+const beginEnrollment = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw new NotFoundError("User not found.");
+  if (user.twoFactor?.enabled) {
+    throw new ConflictError("Two-factor authentication is already enabled.");
+  }
+
+  const secret = generateTotpSecret();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } },
+  );
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      issuer: config.TWO_FACTOR_ISSUER,
+      accountName: user.email,
+    }),
+  };
+};
+
+/**
+ * Finishes enrollment with a code from the authenticator app, proving it holds the secret.
+ * @param {string} userId - The user's ID.
+ * @param {string | undefined} sessionId - The session from the access token.
+ * @param {string} code - Six digit TOTP code.
+ * @returns {Promise<{recoveryCodes: Array<string>}>} Recovery codes, shown only this once.
+ * @throws {UnauthorizedError} If the access token predates sessions.
+ * @throws {ConflictError} If two-factor authentication is already enabled.
+ * @throws {BadRequestError} If enrollment was not started or the code is wrong.
+ * @throws {ApiError} 429 while the session is locked out or the account delay runs, 503 if Redis fails.
+ */
+const enable = async (userId, sessionId, code) => {
+  const attempt = sessionAttempt(sessionId);
+  const user = await User.findById(userId).select("+twoFactor.pendingSecret");
+  if (!user) throw new NotFoundError("User not found.");
+  if (user.twoFactor?.enabled) {
+    throw new ConflictError("Two-factor authentication is already enabled.");
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new BadRequestError("Start two-factor setup first.");
+  }
+  await assertNotLockedOut(userId, attempt);
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    await recordFailure(userId, attempt);
+    throw new BadRequestError("Invalid two-factor code.");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  const updated = await User.updateOne(
+    { _id: userId, "twoFactor.enabled": { $ne: true } },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.enabledAt": new Date(),
+        "twoFactor.secret": user.twoFactor.pendingSecret,
+        "twoFactor.recoveryCodes": hashes,
+        "twoFactor.lastUsedStep": step,
+      },
+      $unset: { "twoFactor.pendingSecret": 1 },
+    },
+  );
+  if (updated.modifiedCount === 0) {
+    throw new ConflictError("Two-factor authentication is already enabled.");
+  }
+  await clearFailures(userId, attempt);
+  logger.info(`User ${userId} enabled two-factor authentication.`);
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Turns two-factor authentication off. Needs the password and a second factor; not allowed for
+ * roles that require it.
+ * @param {string} userId - The user's ID.
+ * @param {string | undefined} sessionId - The session from the access token.
+ * @param {{password: string} & SecondFactor} credentials - Current password and a code or recovery code.
+ * @returns {Promise<void>}
+ * @throws {UnauthorizedError} If the access token predates sessions.
+ * @throws {ForbiddenError} If the user's role requires two-factor authentication.
+ * @throws {BadRequestError} If it is not enabled, or the password or code is wrong.
+ * @throws {ApiError} 429 while the session is locked out or the account delay runs, 503 if Redis fails.
+ */
+const disable = async (userId, sessionId, { password, ...factor }) => {
+  const attempt = sessionAttempt(sessionId);
+  const user = await User.findById(userId);
+  if (!user) throw new NotFoundError("User not found.");
+  if (isRequiredFor(user)) {
+    throw new ForbiddenError(
+      "Two-factor authentication is required for admin accounts.",
+    );
+  }
+  if (!(await user.comparePassword(password))) {
+    throw new BadRequestError("Incorrect password.");
+  }
+  if (!(await verifySecondFactor(userId, factor, attempt))) {
+    throw new BadRequestError("Invalid two-factor code.");
+  }
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.enabledAt": 1,
+        "twoFactor.secret": 1,
+        "twoFactor.recoveryCodes": 1,
+        "twoFactor.lastUsedStep": 1,
+      },
+    },
+  );
+  await redisService.delByPrefix(`twoFactorStepUp:${userId}:`);
+  logger.info(`User ${userId} disabled two-factor authentication.`);
+};
+
+/**
+ * Replaces all recovery codes with a new set.
+ * @param {string} userId - The user's ID.
+ * @param {string | undefined} sessionId - The session from the access token.
+ * @param {SecondFactor} factor - A code or one of the current recovery codes.
+ * @returns {Promise<{recoveryCodes: Array<string>}>} The new codes, shown only this once.
+ * @throws {UnauthorizedError} If the access token predates sessions.
+ * @throws {BadRequestError} If two-factor authentication is not enabled or the code is wrong.
+ * @throws {ApiError} 429 while the session is locked out or the account delay runs, 503 if Redis fails.
+ */
+const regenerateRecoveryCodes = async (userId, sessionId, factor) => {
+  const attempt = sessionAttempt(sessionId);
+  if (!(await verifySecondFactor(userId, factor, attempt))) {
+    throw new BadRequestError("Invalid two-factor code.");
+  }
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "twoFactor.recoveryCodes": hashes } },
+  );
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Issues the token that stands in for a password-verified login until the second factor is
+ * given. It lasts TWO_FACTOR_CHALLENGE_TTL_MINUTES and works once.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<{challengeToken: string, expiresAt: Date}>} The challenge.
+ */
+const createLoginChallenge = async (userId) => {
+  const challengeToken = crypto.randomBytes(32).toString("hex");
+  const ttlSeconds = config.TWO_FACTOR_CHALLENGE_TTL_MINUTES * 60;
+  await redisService.set(challengeKey(challengeToken), userId, ttlSeconds);
+  return {
+    challengeToken,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+  };
+};
+
+/**
+ * Completes a login challenge with the second factor. Wrong codes leave the challenge usable
+ * (up to the lockout); an accepted one uses it up.
+ * @param {string} challengeToken - The token from createLoginChallenge.
+ * @param {SecondFactor} factor - A code or recovery code.
+ * @returns {Promise<string>} The ID of the user logging in.
+ * @throws {UnauthorizedError} If the challenge is unknown, expired or used, or the code is wrong.
+ * @throws {ApiError} 429 while the challenge is locked out or the account delay runs, 503 if Redis fails.
+ */
+const redeemLoginChallenge = async (challengeToken, factor) => {
+  const key = challengeKey(challengeToken);
+  const userId = await redisService.get(key);
+  if (!userId) {
+    throw new UnauthorizedError(
+      "Two-factor challenge expired or invalid. Please log in again.",
+    );
+  }
+  if (
+    !(await verifySecondFactor(
+      userId,
+      factor,
+      challengeAttempt(challengeToken),
+    ))
+  ) {
+    throw new UnauthorizedError("Invalid two-factor code.");
+  }
+  if ((await redisService.del(key)) === 0) {
+    throw new UnauthorizedError(
+      "Two-factor challenge expired or invalid. Please log in again.",
+    );
+  }
+  return userId;
+};
+
+/**
+ * Confirms a second factor for the current session, unlocking sensitive actions (see
+ * requireStepUp) for TWO_FACTOR_STEP_UP_TTL_MINUTES.
+ * @param {string} userId - The user's ID.
+ * @param {string | undefined} sessionId - The session from the access token.
+ * @param {SecondFactor} factor - A code or recovery code.
+ * @returns {Promise<{expiresAt: Date}>} When the step-up lapses.
+ * @throws {UnauthorizedError} If the access token predates sessions.
+ * @throws {BadRequestError} If two-factor authentication is not enabled or the code is wrong.
+ * @throws {ApiError} 429 while the session is locked out or the account delay runs, 503 if Redis fails.
+ */
+const stepUp = async (userId, sessionId, factor) => {
+  const attempt = sessionAttempt(sessionId);
+  if (!(await verifySecondFactor(userId, factor, attempt))) {
+    throw new BadRequestError("Invalid two-factor code.");
+  }
+  const ttlSeconds = config.TWO_FACTOR_STEP_UP_TTL_MINUTES * 60;
+  await redisService.set(stepUpKey(userId, sessionId), "true", ttlSeconds);
+  return { expiresAt: new Date(Date.now() + ttlSeconds * 1000) };
+};
+
+/**
+ * Whether the session confirmed a second factor within TWO_FACTOR_STEP_UP_TTL_MINUTES.
+ * @param {string} userId - The user's ID.
+ * @param {string | undefined} sessionId - The session from the access token.
+ * @returns {Promise<boolean>} True if it did.
+ */
+const hasRecentStepUp = async (userId, sessionId) =>
+  Boolean(sessionId) &&
+  Boolean(await redisService.get(stepUpKey(userId, sessionId)));
+
+export const twoFactorService = {
+  isEnrollmentRequired,
+  getStatus,
+  beginEnrollment,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  redeemLoginChallenge,
+  stepUp,
+  hasRecentStepUp,
+};
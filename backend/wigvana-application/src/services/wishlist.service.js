@@ -0,0 +1,490 @@
+import crypto from "node:crypto";
+import httpStatusCodes from "http-status-codes";
+import Wishlist from "../models/Wishlist.model.js";
+import WishlistItem from "../models/WishlistItem.model.js";
+import Cart from "../models/Cart.model.js";
+import CartItem from "../models/CartItem.model.js";
+import Product from "../models/Product.model.js";
+import ProductVariant from "../models/ProductVariant.model.js";
+import User from "../models/User.model.js";
+import ApiError from "../errors/ApiError.js";
+import config from "../config/index.js";
+import { cartService } from "./cart.service.js";
+import { pricingService } from "./pricing.service.js";
+import { getAvailableQuantity } from "./reservation.service.js";
+
+const SAVED_FOR_LATER_NAME = "Saved for later";
+
+/**
+ * What a wishlist item can be bought for right now.
+ * @typedef {object} WishlistOffer
+ * @property {number} price - Current price; the cheapest active variant for product-level items.
+ * @property {number} regularPrice - List price of that variant.
+ * @property {boolean} onSale - Whether any of the item's variants is on sale.
+ * @property {boolean} inStock - Whether any of them has stock left.
+ */
+
+/**
+ * Works out the current offer for a product, or one of its variants.
+ * @param {Object | null} product - The product (lean), if it still exists.
+ * @param {Array<Object>} variants - The variants the item covers (lean).
+ * @returns {WishlistOffer | null} Null if the product or every variant is no longer sold.
+ */
+const describeOffer = (product, variants) => {
+  if (!product?.isPublished || product.approvalStatus !== "approved") {
+    return null;
+  }
+  const activeVariants = variants.filter((variant) => variant.isActive);
+  if (activeVariants.length === 0) return null;
+
+  const prices = activeVariants.map((variant) =>
+    pricingService.resolveVariantPrice(variant),
+  );
+  const cheapest = prices.reduce((best, resolved) =>
+    resolved.price < best.price ? resolved : best,
+  );
+  return {
+    price: cheapest.price,
+    regularPrice: cheapest.regularPrice,
+    onSale: prices.some((resolved) => resolved.onSale),
+    inStock: activeVariants.some(
+      (variant) => getAvailableQuantity(variant) > 0,
+    ),
+  };
+};
+
+/**
+ * Adds the current product and variant details, and the price-drop and back-in-stock flags,
+ * to wishlist items.
+ * @param {Array<Object>} items - Lean wishlist items.
+ * @returns {Promise<Array<Object>>} The items as returned by the API.
+ */
+const describeItems = async (items) => {
+  const productIds = [...new Set(items.map((item) => item.productId))];
+  const [products, variants] = await Promise.all([
+    Product.find(
+      { _id: { $in: productIds } },
+      "name slug currency isPublished approvalStatus",
+    ).lean(),
+    ProductVariant.find(
+      { productId: { $in: productIds } },
+      "productId sku attributes price salePrice saleStartDate saleEndDate stockQuantity reservedQuantity isActive",
+    ).lean(),
+  ]);
+  const productsById = new Map(
+    products.map((product) => [product._id, product]),
+  );
+
+  return items.map((item) => {
+    const product = productsById.get(item.productId) ?? null;
+    const variant = item.variantId
+      ? (variants.find((v) => v._id === item.variantId) ?? null)
+      : null;
+    const coveredVariants = item.variantId
+      ? [variant].filter(Boolean)
+      : variants.filter((v) => v.productId === item.productId);
+    const offer = describeOffer(product, coveredVariants);
+
+    return {
+      id: item._id,
+      productId: item.productId,
+      productName: product?.name ?? null, // Null once the product is deleted
+      productSlug: product?.slug ?? null,
+      variantId: item.variantId,
+      variantSku: variant?.sku ?? null,
+      variantAttributes: variant?.attributes ?? null,
+      quantity: item.quantity,
+      priceWhenAdded: item.priceWhenAdded,
+      currentPrice: offer?.price ?? null,
+      regularPrice: offer?.regularPrice ?? null,
+      onSale: offer?.onSale ?? false,
+      currency: product?.currency ?? "USD",
+      available: offer !== null,
+      inStock: offer?.inStock ?? false,
+      priceDropped: offer !== null && offer.price < item.priceWhenAdded,
+      backInStock: !item.inStockWhenAdded && (offer?.inStock ?? false),
+      addedAt: item.createdAt,
+    };
+  });
+};
+
+/**
+ * Builds the public link of a shared wishlist.
+ * @param {Object} wishlist - The wishlist.
+ * @returns {string | null} The link, or null while the list is private.
+ */
+const shareUrlOf = (wishlist) =>
+  wishlist.isPublic && wishlist.shareToken
+    ? `${config.APP_BASE_URL}/api/v1/wishlists/shared/${wishlist.shareToken}`
+    : null;
+
+/**
+ * Formats a wishlist with its items for its owner.
+ * @param {InstanceType<typeof Wishlist> | Object} wishlist - The wishlist.
+ * @returns {Promise<Object>} The wishlist as returned by the API.
+ */
+const formatWishlist = async (wishlist) => {
+  const items = await WishlistItem.find({ wishlistId: wishlist._id })
+    .sort({ createdAt: -1 })
+    .lean();
+  return {
+    id: wishlist._id,
+    name: wishlist.name,
+    type: wishlist.type,
+    isPublic: wishlist.isPublic,
+    shareUrl: shareUrlOf(wishlist),
+    items: await describeItems(items),
+    createdAt: wishlist.createdAt,
+    updatedAt: wishlist.updatedAt,
+  };
+};
+
+/**
+ * Finds one of a buyer's wishlists.
+ * @param {string} userId - The buyer's ID.
+ * @param {string} wishlistId - The wishlist's ID.
+ * @returns {Promise<InstanceType<typeof Wishlist>>} The wishlist.
+ * @throws {ApiError} 404 if the buyer has no such wishlist.
+ */
+const findOwnWishlist = async (userId, wishlistId) => {
+  const wishlist = await Wishlist.findOne({ _id: wishlistId, userId });
+  if (!wishlist) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Wishlist not found.");
+  }
+  return wishlist;
+};
+
+/**
+ * Rejects a list name the buyer already uses (ignoring case).
+ * @param {string} userId - The buyer's ID.
+ * @param {string} name - The proposed name.
+ * @param {string} [exceptWishlistId] - The list being renamed.
+ * @throws {ApiError} 409 if another of their lists has that name.
+ */
+const ensureNameAvailable = async (userId, name, exceptWishlistId) => {
+  const taken = await Wishlist.exists({
+    userId,
+    name: name.trim(),
+    ...(exceptWishlistId && { _id: { $ne: exceptWishlistId } }),
+  }).collation({ locale: "en", strength: 2 });
+  if (taken) {
+    throw new ApiError(
+      httpStatusCodes.CONFLICT,
+      `You already have a list named "${name.trim()}".`,
+    );
+  }
+};
+
+/**
+ * Applies the requested visibility, issuing a share token the first time a list is made public.
+ * A list made private again loses its token, so old links stop working.
+ * @param {InstanceType<typeof Wishlist>} wishlist - The wishlist.
+ * @param {boolean | undefined} isPublic - The requested visibility; undefined leaves it unchanged.
+ */
+const applyVisibility = (wishlist, isPublic) => {
+  if (isPublic === undefined) return;
+  wishlist.isPublic = isPublic;
+  if (isPublic && !wishlist.shareToken) {
+    wishlist.shareToken = crypto.randomBytes(16).toString("hex");
+  } else if (!isPublic) {
+    wishlist.shareToken = undefined;
+  }
+};
+
+/**
+ * Lists a buyer's wishlists with the number of items on each.
+ * @param {string} userId - The buyer's ID.
+ * @returns {Promise<Array<Object>>} The lists, oldest first, without their items.
+ */
+const listWishlists = async (userId) => {
+  const wishlists = await Wishlist.find({ userId })
+    .sort({ createdAt: 1 })
+    .lean();
+  const counts = await WishlistItem.aggregate([
+    { $match: { wishlistId: { $in: wishlists.map((list) => list._id) } } },
+    { $group: { _id: "$wishlistId", count: { $sum: 1 } } },
+  ]);
+  const countsById = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+  return wishlists.map((wishlist) => ({
+    id: wishlist._id,
+    name: wishlist.name,
+    type: wishlist.type,
+    isPublic: wishlist.isPublic,
+    shareUrl: shareUrlOf(wishlist),
+    itemCount: countsById.get(wishlist._id) ?? 0,
+    createdAt: wishlist.createdAt,
+    updatedAt: wishlist.updatedAt,
+  }));
+};
+
+/**
+ * Creates a named wishlist for a buyer.
+ * @param {string} userId - The buyer's ID.
+ * @param {typeof import('../dtos/wishlist.dto.js').createWishlistSchema._input.body} wishlistData - Name and visibility.
+ * @returns {Promise<Object>} The new, empty wishlist.
+ * @throws {ApiError} 409 if the buyer already has a list with that name.
+ */
+const createWishlist = async (userId, { name, isPublic = false }) => {
+  await ensureNameAvailable(userId, name);
+  const wishlist = new Wishlist({ userId, name });
+  applyVisibility(wishlist, isPublic);
+  await wishlist.save();
+  return formatWishlist(wishlist);
+};
+
+/**
+ * Gets one of a buyer's wishlists with its items.
+ * @param {string} userId - The buyer's ID.
+ * @param {string} wishlistId - The wishlist's ID.
+ * @returns {Promise<Object>} The wishlist.
+ */
+const getWishlist = async (userId, wishlistId) =>
+  formatWishlist(await findOwnWishlist(userId, wishlistId));
+
+/**
+ * Renames a wishlist or changes whether it can be viewed through its public link.
+ * @param {string} userId - The buyer's ID.
+ * @param {string} wishlistId - The wishlist's ID.
+ * @param {typeof import('../dtos/wishlist.dto.js').updateWishlistSchema._input.body} updateData - New name and/or visibility.
+ * @returns {Promise<Object>} The updated wishlist.
+ * @throws {ApiError} 404 if not found, 409 if the new name is taken.
+ */
+const updateWishlist = async (userId, wishlistId, { name, isPublic }) => {
+  const wishlist = await findOwnWishlist(userId, wishlistId);
+  if (name !== undefined) {
+    await ensureNameAvailable(userId, name, wishlist._id);
+    wishlist.name = name;
+  }
+  applyVisibility(wishlist, isPublic);
+  await wishlist.save();
+  return formatWishlist(wishlist);
+};
+
+/**
+ * Deletes a wishlist and its items.
+ * @param {string} userId - The buyer's ID.
+ * @param {string} wishlistId - The wishlist's ID.
+ * @returns {Promise<void>}
+ */
+const deleteWishlist = async (userId, wishlistId) => {
+  const wishlist = await findOwnWishlist(userId, wishlistId);
+  await WishlistItem.deleteMany({ wishlistId: wishlist._id });
+  await wishlist.deleteOne();
+};
+
+/**
+ * Puts a product or variant on a list, remembering its current price and stock for the
+ * price-drop and back-in-stock flags. Saving something already on the list keeps those and
+ * only touches its quantity.
+ * @param {string} wishlistId - The wishlist's ID.
+ * @param {{productId: string, variantId?: string | null, quantity?: number}} itemData - What to save.
+ * @param {{addQuantity?: boolean}} [options] - Add to the saved quantity instead of replacing it.
+ * @returns {Promise<void>}
+ * @throws {ApiError} 404 if the product or variant is not available.
+ */
+const saveItem = async (
+  wishlistId,
+  { productId, variantId = null, quantity },
+  { addQuantity = false } = {},
+) => {
+  const product = await Product.findOne(
+    { _id: productId, isPublished: true, approvalStatus: "approved" },
+    "isPublished approvalStatus",
+  ).lean();
+  if (!product) {
+    throw new ApiError(
+      httpStatusCodes.NOT_FOUND,
+      "Product not found or not available.",
+    );
+  }
+  const variants = await ProductVariant.find({
+    productId,
+    isActive: true,
+    ...(variantId && { _id: variantId }),
+  }).lean();
+  const offer = describeOffer(product, variants);
+  if (!offer) {
+    throw new ApiError(
+      httpStatusCodes.NOT_FOUND,
+      variantId
+        ? "Product variant not found or not active."
+        : "Product has no variants available.",
+    );
+  }
+
+  const update = {
+    $setOnInsert: {
+      priceWhenAdded: offer.price,
+      inStockWhenAdded: offer.inStock,
+    },
+  };
+  if (quantity) {
+    update[addQuantity ? "$inc" : "$set"] = { quantity: Number(quantity) };
+  }
+  await WishlistItem.updateOne({ wishlistId, productId, variantId }, update, {
+    upsert: true,
+  });
+};
+
+/**
+ * Adds a product, or one of its variants, to a buyer's wishlist.
+ * @param {string} userId - The buyer's ID.
+ * @param {string} wishlistId - The wishlist's ID.
+ * @param {typeof import('../dtos/wishlist.dto.js').addWishlistItemSchema._input.body} itemData - The product, optional variant and quantity.
+ * @returns {Promise<Object>} The updated wishlist.
+ * @throws {ApiError} 404 if the list, product or variant is not found.
+ */
+const addWishlistItem = async (userId, wishlistId, itemData) => {
+  const wishlist = await findOwnWishlist(userId, wishlistId);
+  await saveItem(wishlist._id, itemData);
+  wishlist.updatedAt = new Date();
+  await wishlist.save();
+  return formatWishlist(wishlist);
+};
+
+/**
+ * Removes an item from a buyer's wishlist.
+ * @param {string} userId - The buyer's ID.
+ * @param {string} wishlistId - The wishlist's ID.
+ * @param {string} itemId - The wishlist item's ID.
+ * @returns {Promise<Object>} The updated wishlist.
+ * @throws {ApiError} 404 if the list or item is not found.
+ */
+const removeWishlistItem = async (userId, wishlistId, itemId) => {
+  const wishlist = await findOwnWishlist(userId, wishlistId);
+  const { deletedCount } = await WishlistItem.deleteOne({
+    _id: itemId,
+    wishlistId: wishlist._id,
+  });
+  if (deletedCount === 0) {
+    throw new ApiError(
+      httpStatusCodes.NOT_FOUND,
+      "Item not found in wishlist.",
+    );
+  }
+  return formatWishlist(wishlist);
+};
+
+/**
+ * Moves a wishlist item into the buyer's cart. Items saved as a product rather than a variant
+ * need a variant chosen, unless the product has only one.
+ * @param {string} userId - The buyer's ID.
+ * @param {string} wishlistId - The wishlist's ID.
+ * @param {string} itemId - The wishlist item's ID.
+ * @param {typeof import('../dtos/wishlist.dto.js').moveWishlistItemToCartSchema._input.body} [options] - Variant to buy and quantity (defaults to the item's).
+ * @returns {Promise<Object>} The buyer's updated cart.
+ * @throws {ApiError} 404 if the list or item is not found, 400 if no variant can be picked or stock is short.
+ */
+const moveWishlistItemToCart = async (
+  userId,
+  wishlistId,
+  itemId,
+  { variantId, quantity } = {},
+) => {
+  const wishlist = await findOwnWishlist(userId, wishlistId);
+  const item = await WishlistItem.findOne({
+    _id: itemId,
+    wishlistId: wishlist._id,
+  });
+  if (!item) {
+    throw new ApiError(
+      httpStatusCodes.NOT_FOUND,
+      "Item not found in wishlist.",
+    );
+  }
+
+  let variantToBuy = item.variantId ?? variantId;
+  if (!variantToBuy) {
+    const activeVariantIds = await ProductVariant.distinct("_id", {
+      productId: item.productId,
+      isActive: true,
+    });
+    if (activeVariantIds.length !== 1) {
+      throw new ApiError(
+        httpStatusCodes.BAD_REQUEST,
+        "Choose a variant of this product to add it to the cart.",
+      );
+    }
+    [variantToBuy] = activeVariantIds;
+  }
+
+  const cart = await cartService.addItemToBuyerCart(userId, {
+    productId: item.productId,
+    variantId: variantToBuy,
+    quantity: Number(quantity ?? item.quantity),
+  });
+  await item.deleteOne();
+  return cart;
+};
+
+/**
+ * Moves a line of the buyer's cart to their "Saved for later" list, creating the list on first use.
+ * @param {string} userId - The buyer's ID.
+ * @param {string} cartItemId - The cart item's ID.
+ * @returns {Promise<Object>} The buyer's updated cart.
+ * @throws {ApiError} 404 if the line is not in the buyer's cart or its product is no longer sold.
+ */
+const saveCartItemForLater = async (userId, cartItemId) => {
+  const cart = await Cart.findOne({ userId, status: "active" }, "_id").lean();
+  const cartItem =
+    cart &&
+    (await CartItem.findOne({ _id: cartItemId, cartId: cart._id }).lean());
+  if (!cartItem) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Item not found in cart.");
+  }
+
+  const savedForLater = await Wishlist.findOneAndUpdate(
+    { userId, type: "saved_for_later" },
+    { $setOnInsert: { name: SAVED_FOR_LATER_NAME } },
+    { upsert: true, new: true },
+  );
+  await saveItem(
+    savedForLater._id,
+    {
+      productId: cartItem.productId,
+      variantId: cartItem.variantId,
+      quantity: cartItem.quantity,
+    },
+    { addQuantity: true },
+  );
+  return cartService.removeBuyerCartItem(userId, cartItemId);
+};
+
+/**
+ * Gets a wishlist through its public link. Only the owner's first name is shown.
+ * @param {string} shareToken - The token from the link.
+ * @returns {Promise<Object>} The wishlist with its items.
+ * @throws {ApiError} 404 if no public list has that token.
+ */
+const getSharedWishlist = async (shareToken) => {
+  const wishlist = await Wishlist.findOne({
+    shareToken,
+    isPublic: true,
+  }).lean();
+  if (!wishlist) {
+    throw new ApiError(httpStatusCodes.NOT_FOUND, "Wishlist not found.");
+  }
+  const owner = await User.findById(wishlist.userId, "firstName").lean();
+  const { id, name, items, updatedAt } = await formatWishlist(wishlist);
+  return {
+    id,
+    name,
+    ownerFirstName: owner?.firstName ?? null,
+    items,
+    updatedAt,
+  };
+};
+
+export const wishlistService = {
+  listWishlists,
+  createWishlist,
+  getWishlist,
+  updateWishlist,
+  deleteWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  moveWishlistItemToCart,
+  saveCartItemForLater,
+  getSharedWishlist,
+};
@@ -0,0 +1,127 @@
+import crypto from "node:crypto";
+
+/** Time step, digits and algorithm every common authenticator app uses by default (RFC 6238). */
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ALGORITHM = "sha1";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encodes bytes as unpadded RFC 4648 base32, the format authenticator apps expect secrets in.
+ * @param {Buffer} buffer - The bytes.
+ * @returns {string} The base32 string.
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+/**
+ * Decodes RFC 4648 base32, ignoring case, spaces and padding.
+ * @param {string} input - The base32 string.
+ * @returns {Buffer} The bytes.
+ * @throws {Error} If the input has characters outside the base32 alphabet.
+ */
+const base32Decode = (input) => {
+  const clean = input.replace(/[\s=]/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character.");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a random 160-bit TOTP secret.
+ * @returns {string} The secret, base32-encoded.
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * The time step a moment falls in.
+ * @param {Date} [now=new Date()] - The moment.
+ * @returns {number} The step counter.
+ */
+export const totpStepAt = (now = new Date()) =>
+  Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+
+/**
+ * Computes the code for one time step (RFC 4226 HOTP with the step as counter).
+ * @param {string} secret - The base32 secret.
+ * @param {number} step - The step counter.
+ * @returns {string} The zero-padded code.
+ */
+export const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto
+    .createHmac(ALGORITHM, base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Checks a code against the current step and `window` steps either side, to allow for clock
+ * drift between server and phone.
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code the user typed.
+ * @param {{now?: Date, window?: number}} [options] - Current time and tolerated drift in steps.
+ * @returns {number | null} The step the code belongs to, or null if it matches none.
+ */
+export const verifyTotp = (
+  secret,
+  code,
+  { now = new Date(), window = 1 } = {},
+) => {
+  const candidate = String(code).replace(/\s/g, "");
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) return null;
+  const current = totpStepAt(now);
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds the `otpauth://` provisioning URI that authenticator apps scan as a QR code.
+ * @param {{secret: string, issuer: string, accountName: string}} params - The base32 secret, service name and account label.
+ * @returns {string} The URI.
+ */
+export const buildOtpauthUri = ({ secret, issuer, accountName }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: ALGORITHM.toUpperCase(),
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${query}`;
+};
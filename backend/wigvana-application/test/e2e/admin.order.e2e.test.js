@@ -0,0 +1,331 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import supertest from "supertest";
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import bcrypt from "bcryptjs";
+import app from "../../src/app.js";
+import User from "../../src/models/User.model.js";
+import Order from "../../src/models/Order.model.js";
+import OrderItem from "../../src/models/OrderItem.model.js";
+import OrderStatusEvent from "../../src/models/OrderStatusEvent.model.js";
+import { paymentGatewayService } from "../../src/services/paymentGateway.service.js";
+import { redisService } from "../../src/services/redis.service.js";
+import { enableTwoFactorAndStepUp } from "./helpers/twoFactor.js";
+
+const request = supertest(app);
+
+describe("Admin Order Management (/admin/orders)", () => {
+	beforeAll(async () => {
+		if (mongoose.connection.readyState === 0) {
+			await mongoose.connect(global.testConfig.MONGO_URI, {
+				directConnection: true,
+			});
+		}
+	});
+
+	afterAll(async () => {
+		await mongoose.disconnect();
+		if (redisService.client && redisService.client.status === "ready") {
+			await redisService.client.quit();
+		}
+	});
+
+	describe("POST /orders/:orderId/refund", () => {
+		const adminPassword = "adminRefundPass";
+		let adminToken;
+		let order;
+		let itemA;
+		let itemB;
+
+		beforeEach(async () => {
+			await User.deleteMany({});
+			await Order.deleteMany({});
+			await OrderItem.deleteMany({});
+			await OrderStatusEvent.deleteMany({});
+			await redisService.client.flushdb();
+
+			const admin = await User.create({
+				firstName: "Refund",
+				lastName: "Admin",
+				email: `refund-admin-${uuidv4()}@example.com`,
+				passwordHash: await bcrypt.hash(adminPassword, 10),
+				roles: ["admin"],
+				emailVerified: true,
+				accountStatus: "active",
+			});
+			const login = await request
+				.post("/api/v1/auth/login")
+				.send({ email: admin.email, password: adminPassword });
+			adminToken = login.body.accessToken;
+			await enableTwoFactorAndStepUp(request, adminToken);
+
+			// Capture a real simulator payment so the gateway knows the refundable amount.
+			const authorization = await paymentGatewayService.authorize("simulator", {
+				amount: 115,
+				currency: "USD",
+				paymentToken: `tok_sim_${uuidv4()}`,
+				orderId: "refund-test",
+			});
+			await paymentGatewayService.capture("simulator", {
+				transactionId: authorization.transactionId,
+				amount: 115,
+			});
+
+			order = await Order.create({
+				userId: admin._id,
+				status: "delivered",
+				paymentStatus: "paid",
+				paymentGateway: "simulator",
+				paymentGatewayTransactionId: authorization.transactionId,
+				shippingAddressSnapshot: {},
+				billingAddressSnapshot: {},
+				paymentMethodDetailsSnapshot: {},
+				subtotalAmount: 100,
+				discountAmount: 10,
+				taxAmount: 10,
+				shippingCost: 15,
+				totalAmount: 115,
+				currency: "USD",
+			});
+			const itemDefaults = {
+				orderId: order._id,
+				productId: uuidv4(),
+				variantId: uuidv4(),
+				sellerId: uuidv4(),
+				variantAttributesSnapshot: {},
+				itemStatus: "delivered",
+			};
+			itemA = await OrderItem.create({
+				...itemDefaults,
+				productNameSnapshot: "Wig A",
+				quantity: 2,
+				unitPrice: 30,
+				totalPrice: 60,
+			});
+			itemB = await OrderItem.create({
+				...itemDefaults,
+				productNameSnapshot: "Wig B",
+				quantity: 1,
+				unitPrice: 40,
+				totalPrice: 40,
+			});
+		});
+
+		const refund = (body) =>
+			request
+				.post(`/api/v1/admin/orders/${order._id}/refund`)
+				.set("Authorization", `Bearer ${adminToken}`)
+				.send(body);
+
+		it("should refund part of a line and record it in the ledger", async () => {
+			await refund({
+				items: [{ orderItemId: itemA._id, quantity: 1 }],
+				reason: "One unit arrived damaged",
+			}).expect(200);
+
+			const updated = await Order.findById(order._id);
+			expect(updated.paymentStatus).toBe("partially_refunded");
+			expect(updated.status).toBe("delivered");
+			expect(updated.refundedAmount).toBe(30);
+			expect(updated.refunds).toHaveLength(1);
+			expect(updated.refunds[0]).toMatchObject({
+				amount: 30,
+				taxAmount: 3,
+				source: "admin",
+				status: "succeeded",
+			});
+			expect(updated.refunds[0].gatewayRefundId).toMatch(/^sim_ref_/);
+
+			const line = await OrderItem.findById(itemA._id);
+			expect(line.refundedQuantity).toBe(1);
+			expect(line.itemStatus).toBe("partially_refunded");
+			expect((await OrderItem.findById(itemB._id)).itemStatus).toBe("delivered");
+		});
+
+		it("should mark the order refunded once everything is refunded", async () => {
+			await refund({
+				items: [{ orderItemId: itemA._id, quantity: 2 }],
+				reason: "Wrong colour",
+			}).expect(200);
+			await refund({
+				items: [{ orderItemId: itemB._id, quantity: 1 }],
+				shippingAmount: 15,
+				reason: "Wrong length",
+			}).expect(200);
+
+			const updated = await Order.findById(order._id);
+			expect(updated.refundedAmount).toBe(115);
+			expect(updated.paymentStatus).toBe("refunded");
+			expect(updated.status).toBe("refunded");
+			expect((await OrderItem.findById(itemA._id)).itemStatus).toBe("refunded");
+			expect((await OrderItem.findById(itemB._id)).itemStatus).toBe("refunded");
+
+			await refund({ amount: 1, reason: "Again" }).expect(400);
+		});
+
+		it("should refuse to refund more units than were bought", async () => {
+			await refund({
+				items: [{ orderItemId: itemB._id, quantity: 2 }],
+				reason: "Too many",
+			}).expect(400);
+
+			const updated = await Order.findById(order._id);
+			expect(updated.refunds).toHaveLength(0);
+			expect(updated.paymentStatus).toBe("paid");
+		});
+
+		it("should keep a failed gateway refund in the ledger without counting it", async () => {
+			// Refund most of the capture behind our back so the simulator rejects the next refund.
+			await paymentGatewayService.refund("simulator", {
+				transactionId: order.paymentGatewayTransactionId,
+				amount: 110,
+			});
+
+			await refund({ amount: 20, reason: "Goodwill" }).expect(502);
+
+			const updated = await Order.findById(order._id);
+			expect(updated.refunds).toHaveLength(1);
+			expect(updated.refunds[0].status).toBe("failed");
+			expect(updated.refunds[0].failureReason).toMatch(/exceeds/);
+			expect(updated.refundedAmount).toBe(0);
+			expect(updated.paymentStatus).toBe("paid");
+		});
+
+		it("should record the refund closing the order in its history", async () => {
+			await refund({ amount: 115, reason: "Order never arrived" }).expect(200);
+
+			const res = await request
+				.get(`/api/v1/admin/orders/${order._id}/history`)
+				.set("Authorization", `Bearer ${adminToken}`)
+				.expect(200);
+			expect(res.body.status).toBe("refunded");
+			expect(res.body.events).toEqual([
+				expect.objectContaining({
+					entity: "order",
+					fromStatus: "delivered",
+					toStatus: "refunded",
+					actorRole: "admin",
+					note: "Order never arrived",
+				}),
+			]);
+		});
+	});
+
+	describe("PATCH /orders/:orderId/status", () => {
+		const adminPassword = "adminStatusPass";
+		const buyerPassword = "buyerStatusPass";
+		let adminToken;
+		let buyerToken;
+		let order;
+
+		beforeEach(async () => {
+			await User.deleteMany({});
+			await Order.deleteMany({});
+			await OrderItem.deleteMany({});
+			await OrderStatusEvent.deleteMany({});
+			await redisService.client.flushdb();
+
+			const admin = await User.create({
+				firstName: "Status",
+				lastName: "Admin",
+				email: `status-admin-${uuidv4()}@example.com`,
+				passwordHash: await bcrypt.hash(adminPassword, 10),
+				roles: ["admin"],
+				emailVerified: true,
+				accountStatus: "active",
+			});
+			const buyer = await User.create({
+				firstName: "Status",
+				lastName: "Buyer",
+				email: `status-buyer-${uuidv4()}@example.com`,
+				passwordHash: await bcrypt.hash(buyerPassword, 10),
+				roles: ["buyer"],
+				emailVerified: true,
+				accountStatus: "active",
+			});
+			adminToken = (
+				await request
+					.post("/api/v1/auth/login")
+					.send({ email: admin.email, password: adminPassword })
+			).body.accessToken;
+			await enableTwoFactorAndStepUp(request, adminToken);
+			buyerToken = (
+				await request
+					.post("/api/v1/auth/login")
+					.send({ email: buyer.email, password: buyerPassword })
+			).body.accessToken;
+
+			order = await Order.create({
+				userId: buyer._id,
+				status: "processing",
+				paymentStatus: "paid",
+				shippingAddressSnapshot: {},
+				billingAddressSnapshot: {},
+				paymentMethodDetailsSnapshot: {},
+				totalAmount: 50,
+				currency: "USD",
+			});
+			await OrderItem.create({
+				orderId: order._id,
+				productId: uuidv4(),
+				variantId: uuidv4(),
+				sellerId: uuidv4(),
+				productNameSnapshot: "Wig",
+				variantAttributesSnapshot: {},
+				quantity: 1,
+				unitPrice: 50,
+				totalPrice: 50,
+				itemStatus: "processing",
+			});
+		});
+
+		const updateStatus = (body) =>
+			request
+				.patch(`/api/v1/admin/orders/${order._id}/status`)
+				.set("Authorization", `Bearer ${adminToken}`)
+				.send(body);
+
+		it("should refuse to skip from processing to delivered", async () => {
+			await updateStatus({ status: "delivered" }).expect(400);
+			expect((await Order.findById(order._id)).status).toBe("processing");
+			expect(await OrderStatusEvent.countDocuments()).toBe(0);
+		});
+
+		it("should cancel the order and its items and never reopen it", async () => {
+			const res = await updateStatus({
+				status: "cancelled_by_admin",
+				notes: "Fraud check failed",
+			}).expect(200);
+			expect(res.body.status).toBe("cancelled_by_admin");
+			expect(res.body.items[0].itemStatus).toBe("cancelled");
+
+			await updateStatus({ status: "processing" }).expect(400);
+
+			const adminView = await request
+				.get(`/api/v1/admin/orders/${order._id}/history`)
+				.set("Authorization", `Bearer ${adminToken}`)
+				.expect(200);
+			expect(adminView.body.events).toHaveLength(2);
+			expect(adminView.body.events[0]).toMatchObject({
+				entity: "order",
+				fromStatus: "processing",
+				toStatus: "cancelled_by_admin",
+				actorRole: "admin",
+				note: "Fraud check failed",
+			});
+			expect(adminView.body.events[1]).toMatchObject({
+				entity: "order_item",
+				fromStatus: "processing",
+				toStatus: "cancelled",
+			});
+
+			// The buyer sees the same timeline without the internal note
+			const buyerView = await request
+				.get(`/api/v1/me/orders/${order._id}/history`)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			expect(buyerView.body.events).toHaveLength(2);
+			expect(buyerView.body.events[0].note).toBeUndefined();
+		});
+	});
+});
@@ -7,6 +7,7 @@ import app from "../../src/app.js";
 import User from "../../src/models/User.model.js";
 import SellerProfile from "../../src/models/SellerProfile.model.js";
 import { redisService } from "../../src/services/redis.service.js";
+import { enableTwoFactorAndStepUp } from "./helpers/twoFactor.js";
 
 const request = supertest(app);
 
@@ -57,6 +58,7 @@ describe("Admin User Management Endpoints (/admin/users)", () => {
 			accountStatus: "active",
 		});
 		adminToken = await loginUserAndGetToken(adminUser.email, adminPassword);
+		await enableTwoFactorAndStepUp(request, adminToken);
 
 		regularUser1 = await User.create({
 			firstName: "Regular",
@@ -1,10 +1,20 @@
-import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import {
+	describe,
+	it,
+	expect,
+	vi,
+	beforeAll,
+	afterAll,
+	beforeEach,
+} from "vitest";
 import supertest from "supertest";
 import mongoose from "mongoose";
 import Redis from "ioredis"; // For clearing Redis data between tests
 import app from "../../src/app.js"; // Your Express app
 import User from "../../src/models/User.model.js";
+import OutboundEmail from "../../src/models/OutboundEmail.model.js";
 import logger from "../../src/utils/logger.js";
+import { memoryTransport } from "../../src/services/mailTransports/memory.transport.js";
 // testConfig is set globally by e2eSetup.js
 // import config from '../../src/config/index.js'; // DO NOT import this directly, use global.testConfig
 
@@ -33,7 +43,9 @@ afterAll(async () => {
 beforeEach(async () => {
 	// Clear database and Redis before each test
 	await User.deleteMany({});
+	await OutboundEmail.deleteMany({});
 	await testRedisClient.flushdb(); // Clears the current Redis DB
+	memoryTransport.clear(); // Emails land here under test
 });
 
 describe("Auth Endpoints", () => {
@@ -58,6 +70,26 @@ describe("Auth Endpoints", () => {
 			expect(dbUser).not.toBeNull();
 			expect(dbUser.emailVerified).toBe(false);
 			expect(dbUser.accountStatus).toBe("pending_verification");
+
+			// Delivery runs in the background after the response
+			const mail = await vi.waitFor(() => {
+				const sent = memoryTransport.lastMessageTo(userData.email);
+				expect(sent?.subject).toBe("Verify your Wigvana email address");
+				return sent;
+			});
+			expect(mail.text).toContain(
+				`/api/v1/auth/verify-email?token=${dbUser.emailVerificationToken}`,
+			);
+			expect(mail.html).toContain(
+				`/api/v1/auth/verify-email?token=${dbUser.emailVerificationToken}`,
+			);
+			await vi.waitFor(async () => {
+				const outboxEntry = await OutboundEmail.findOne({
+					to: userData.email,
+				});
+				expect(outboxEntry.status).toBe("sent");
+				expect(outboxEntry.transport).toBe("memory");
+			});
 		});
 
 		it("should return 400 if email is already taken", async () => {
@@ -187,9 +219,216 @@ describe("Auth Endpoints", () => {
 		});
 	});
 
-	// TODO: Add tests for /logout and /refresh-token
-	// For /logout, you need to get the cookie first.
-	// For /refresh-token, you also need the cookie.
-	// Supertest can manage cookies across requests in a chain using .agent()
-	// or you can manually extract and set them.
+	describe("Password reset", () => {
+		const email = "reset@example.com";
+		const oldPassword = "oldPassword123";
+		const forgotMessage =
+			"If an account exists for that email, a password reset link has been sent.";
+
+		const requestResetToken = async () => {
+			await request
+				.post("/api/v1/auth/forgot-password")
+				.send({ email })
+				.expect(200);
+			const mail = await vi.waitFor(() => {
+				const sent = memoryTransport.lastMessageTo(email);
+				expect(sent?.subject).toBe("Reset your Wigvana password");
+				return sent;
+			});
+			return mail.text.match(/reset-password\?token=([a-f0-9]+)/)[1];
+		};
+
+		beforeEach(async () => {
+			await request.post("/api/v1/auth/register").send({
+				firstName: "Reset",
+				lastName: "User",
+				email,
+				password: oldPassword,
+			});
+			await User.updateOne(
+				{ email },
+				{ emailVerified: true, accountStatus: "active" },
+			);
+		});
+
+		it("should answer the same way for unknown emails", async () => {
+			const known = await request
+				.post("/api/v1/auth/forgot-password")
+				.send({ email })
+				.expect(200);
+			const unknown = await request
+				.post("/api/v1/auth/forgot-password")
+				.send({ email: "nobody@example.com" })
+				.expect(200);
+
+			expect(known.body).toEqual({ message: forgotMessage });
+			expect(unknown.body).toEqual(known.body);
+			expect(
+				memoryTransport.lastMessageTo("nobody@example.com"),
+			).toBeUndefined();
+		});
+
+		it("should store the token hashed and accept it only once", async () => {
+			const token = await requestResetToken();
+			const user = await User.findOne({ email });
+			expect(user.passwordResetToken).toBeDefined();
+			expect(user.passwordResetToken).not.toBe(token);
+
+			await request
+				.post("/api/v1/auth/reset-password")
+				.send({ token, newPassword: "newPassword456" })
+				.expect(200);
+			const res = await request
+				.post("/api/v1/auth/reset-password")
+				.send({ token, newPassword: "anotherPassword789" })
+				.expect(400);
+			expect(res.body.message).toBe("Invalid or expired password reset token.");
+
+			await request
+				.post("/api/v1/auth/login")
+				.send({ email, password: oldPassword })
+				.expect(401);
+			await request
+				.post("/api/v1/auth/login")
+				.send({ email, password: "newPassword456" })
+				.expect(200);
+		});
+
+		it("should reject an expired token", async () => {
+			const token = await requestResetToken();
+			await User.updateOne(
+				{ email },
+				{ passwordResetTokenExpiresAt: new Date(Date.now() - 1000) },
+			);
+
+			await request
+				.post("/api/v1/auth/reset-password")
+				.send({ token, newPassword: "newPassword456" })
+				.expect(400);
+		});
+
+		it("should log out every existing session", async () => {
+			const loginRes = await request
+				.post("/api/v1/auth/login")
+				.send({ email, password: oldPassword })
+				.expect(200);
+			const cookies = loginRes.headers["set-cookie"];
+
+			const token = await requestResetToken();
+			await request
+				.post("/api/v1/auth/reset-password")
+				.send({ token, newPassword: "newPassword456" })
+				.expect(200);
+
+			await request
+				.post("/api/v1/auth/refresh-token")
+				.set("Cookie", cookies)
+				.expect(401);
+		});
+	});
+
+	describe("Sessions", () => {
+		const email = "sessions@example.com";
+		const password = "sessionPassword1";
+
+		const login = async (userAgent) => {
+			const res = await request
+				.post("/api/v1/auth/login")
+				.set("User-Agent", userAgent)
+				.send({ email, password })
+				.expect(200);
+			return {
+				accessToken: res.body.accessToken,
+				cookies: res.headers["set-cookie"],
+			};
+		};
+
+		const refresh = (cookies) =>
+			request.post("/api/v1/auth/refresh-token").set("Cookie", cookies);
+
+		beforeEach(async () => {
+			await request.post("/api/v1/auth/register").send({
+				firstName: "Session",
+				lastName: "User",
+				email,
+				password,
+			});
+			await User.updateOne(
+				{ email },
+				{ emailVerified: true, accountStatus: "active" },
+			);
+		});
+
+		it("should rotate the refresh token on every refresh", async () => {
+			const { cookies } = await login(
+				"Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0",
+			);
+
+			const res = await refresh(cookies).expect(200);
+			expect(res.body.accessToken).toBeDefined();
+			const rotatedCookies = res.headers["set-cookie"];
+			expect(rotatedCookies[0]).toMatch(/^refreshToken=/);
+			expect(rotatedCookies[0]).not.toBe(cookies[0]);
+
+			await refresh(rotatedCookies).expect(200);
+		});
+
+		it("should revoke the whole session when an old refresh token is replayed", async () => {
+			const { cookies } = await login(
+				"Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0",
+			);
+			const res = await refresh(cookies).expect(200);
+			const rotatedCookies = res.headers["set-cookie"];
+
+			await refresh(cookies).expect(401); // Replay of the already used token
+			await refresh(rotatedCookies).expect(401); // The newer token went with it
+		});
+
+		it("should list sessions and end one or all of them", async () => {
+			const laptop = await login(
+				"Mozilla/5.0 (Windows NT 10.0; Win64; x64) Firefox/128.0",
+			);
+			const phone = await login(
+				"Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) Safari/604.1",
+			);
+
+			const listRes = await request
+				.get("/api/v1/me/sessions")
+				.set("Authorization", `Bearer ${laptop.accessToken}`)
+				.expect(200);
+			expect(listRes.body).toHaveLength(2);
+			const current = listRes.body.find((session) => session.current);
+			const other = listRes.body.find((session) => !session.current);
+			expect(current.device).toBe("Firefox on Windows");
+			expect(other.device).toBe("Safari on iOS");
+
+			await request
+				.delete(`/api/v1/me/sessions/${other.id}`)
+				.set("Authorization", `Bearer ${laptop.accessToken}`)
+				.expect(204);
+			await refresh(phone.cookies).expect(401);
+			await request
+				.delete(`/api/v1/me/sessions/${other.id}`)
+				.set("Authorization", `Bearer ${laptop.accessToken}`)
+				.expect(404);
+
+			await request
+				.delete("/api/v1/me/sessions")
+				.set("Authorization", `Bearer ${laptop.accessToken}`)
+				.expect(204);
+			await refresh(laptop.cookies).expect(401);
+		});
+
+		it("should end the session on logout", async () => {
+			const { accessToken, cookies } = await login("Mozilla/5.0 Firefox/128.0");
+			const res = await refresh(cookies).expect(200);
+
+			await request
+				.post("/api/v1/auth/logout")
+				.set("Authorization", `Bearer ${accessToken}`)
+				.set("Cookie", res.headers["set-cookie"])
+				.expect(200);
+			await refresh(res.headers["set-cookie"]).expect(401);
+		});
+	});
 });
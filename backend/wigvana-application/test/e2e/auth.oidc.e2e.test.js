@@ -0,0 +1,297 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import supertest from "supertest";
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import app from "../../src/app.js";
+import config from "../../src/config/index.js";
+import User from "../../src/models/User.model.js";
+import UserIdentity from "../../src/models/UserIdentity.model.js";
+import { redisService } from "../../src/services/redis.service.js";
+import { startOidcProvider } from "./helpers/oidcProvider.js";
+import { enableTwoFactorAndStepUp } from "./helpers/twoFactor.js";
+
+const request = supertest(app);
+
+const CLIENT = { clientId: "wigvana-e2e", clientSecret: "e2e-secret" };
+
+/** Cookie header values (name=value) from a response's Set-Cookie headers. */
+const cookiesOf = (res) =>
+	(res.headers["set-cookie"] ?? []).map((cookie) => cookie.split(";")[0]);
+
+/** The outcome the callback put in the fragment of its redirect to the frontend. */
+const outcomeOf = (res) => {
+	const landing = new URL(res.headers.location);
+	expect(`${landing.origin}${landing.pathname}`).toBe(
+		`${config.APP_BASE_URL}/oidc/callback`,
+	);
+	return Object.fromEntries(new URLSearchParams(landing.hash.slice(1)));
+};
+
+/**
+ * Lets the stand-in provider handle an authorization URL and delivers its redirect to our
+ * callback, as the browser would.
+ * @param {string} authorizationUrl - The provider URL the flow started with.
+ * @param {string[]} cookies - Cookies the browser holds for the API.
+ * @returns {Promise<import('supertest').Response>} The callback's response.
+ */
+const completeAtProvider = async (authorizationUrl, cookies) => {
+	const response = await fetch(authorizationUrl, { redirect: "manual" });
+	const callback = new URL(response.headers.get("location"));
+	return request
+		.get(`${callback.pathname}${callback.search}`)
+		.set("Cookie", cookies)
+		.expect(302);
+};
+
+/** Signs in with the stand-in provider from the login page, returning the callback's response. */
+const signInWithProvider = async () => {
+	const start = await request
+		.get("/api/v1/auth/oidc/oidc/authorize")
+		.expect(302);
+	return completeAtProvider(start.headers.location, cookiesOf(start));
+};
+
+describe("OpenID Connect sign-in (/auth/oidc, /me/identities)", () => {
+	const password = "oidcPass123";
+	let provider;
+
+	const createUser = async (email, overrides = {}) =>
+		User.create({
+			firstName: "Ada",
+			lastName: "Lovelace",
+			email,
+			passwordHash: await bcrypt.hash(password, 10),
+			emailVerified: true,
+			accountStatus: "active",
+			...overrides,
+		});
+
+	const login = async (email) =>
+		(
+			await request
+				.post("/api/v1/auth/login")
+				.send({ email, password })
+				.expect(200)
+		).body.accessToken;
+
+	beforeAll(async () => {
+		if (mongoose.connection.readyState === 0) {
+			await mongoose.connect(global.testConfig.MONGO_URI, {
+				directConnection: true,
+			});
+		}
+		provider = await startOidcProvider(CLIENT);
+		config.OIDC_ISSUER = provider.issuer;
+		config.OIDC_CLIENT_ID = CLIENT.clientId;
+		config.OIDC_CLIENT_SECRET = CLIENT.clientSecret;
+	});
+
+	afterAll(async () => {
+		config.OIDC_ISSUER = undefined;
+		config.OIDC_CLIENT_ID = undefined;
+		config.OIDC_CLIENT_SECRET = undefined;
+		await provider.close();
+		await mongoose.disconnect();
+		if (redisService.client && redisService.client.status === "ready") {
+			await redisService.client.quit();
+		}
+	});
+
+	beforeEach(async () => {
+		await User.deleteMany({});
+		await UserIdentity.deleteMany({});
+		await redisService.client.flushdb();
+		provider.signInAs({
+			sub: "ada-at-provider",
+			email: "ada@example.com",
+			email_verified: true,
+			given_name: "Ada",
+			family_name: "Lovelace",
+		});
+	});
+
+	it("should list the configured providers", async () => {
+		const res = await request.get("/api/v1/auth/oidc/providers").expect(200);
+		expect(res.body).toContainEqual({
+			name: "oidc",
+			displayName: "Single sign-on",
+		});
+	});
+
+	it("should redirect to the provider with a PKCE challenge", async () => {
+		const res = await request
+			.get("/api/v1/auth/oidc/oidc/authorize")
+			.expect(302);
+
+		const url = new URL(res.headers.location);
+		expect(url.origin).toBe(provider.issuer);
+		expect(url.searchParams.get("code_challenge_method")).toBe("S256");
+		expect(cookiesOf(res)[0]).toMatch(/^oidcBinding=/);
+	});
+
+	it("should 404 for providers that are not configured", async () => {
+		await request.get("/api/v1/auth/oidc/google/authorize").expect(404);
+	});
+
+	describe("Login", () => {
+		it("should sign up a new user and log them in again later", async () => {
+			const first = await signInWithProvider();
+			expect(outcomeOf(first)).toEqual({ status: "authenticated" });
+
+			const refresh = await request
+				.post("/api/v1/auth/refresh-token")
+				.set("Cookie", cookiesOf(first))
+				.expect(200);
+			const profile = await request
+				.get("/api/v1/me")
+				.set("Authorization", `Bearer ${refresh.body.accessToken}`)
+				.expect(200);
+			expect(profile.body).toMatchObject({
+				email: "ada@example.com",
+				firstName: "Ada",
+				emailVerified: true,
+			});
+
+			const second = await signInWithProvider();
+			expect(outcomeOf(second)).toEqual({ status: "authenticated" });
+			expect(await User.countDocuments()).toBe(1);
+			expect(await UserIdentity.countDocuments()).toBe(1);
+		});
+
+		it("should link to the existing user with the same verified email", async () => {
+			const user = await createUser("ada@example.com");
+
+			const res = await signInWithProvider();
+
+			expect(outcomeOf(res)).toEqual({ status: "authenticated" });
+			const identity = await UserIdentity.findOne({
+				subject: "ada-at-provider",
+			});
+			expect(identity.userId).toBe(user.id);
+		});
+
+		it("should not link to a registration whose email was never verified", async () => {
+			await createUser("ada@example.com", {
+				emailVerified: false,
+				accountStatus: "pending_verification",
+			});
+
+			const res = await signInWithProvider();
+
+			expect(outcomeOf(res)).toMatchObject({ status: "error" });
+			expect(cookiesOf(res).some((c) => c.startsWith("refreshToken="))).toBe(
+				false,
+			);
+			expect(await UserIdentity.countDocuments()).toBe(0);
+		});
+
+		it("should ask users with two-factor authentication for a code", async () => {
+			const user = await createUser("ada@example.com");
+			await enableTwoFactorAndStepUp(request, await login(user.email));
+
+			const res = await signInWithProvider();
+
+			const outcome = outcomeOf(res);
+			expect(outcome.status).toBe("two_factor_required");
+			expect(outcome.challengeToken).toBeDefined();
+			expect(cookiesOf(res).some((c) => c.startsWith("refreshToken="))).toBe(
+				false,
+			);
+		});
+
+		it("should refuse a callback without the cookie of the browser that started it", async () => {
+			const start = await request
+				.get("/api/v1/auth/oidc/oidc/authorize")
+				.expect(302);
+
+			// E.g. an attacker's callback link opened in the victim's browser
+			const res = await completeAtProvider(start.headers.location, []);
+
+			expect(outcomeOf(res)).toEqual({
+				status: "error",
+				message: "Sign-in was started in another browser. Please start again.",
+			});
+			expect(await User.countDocuments()).toBe(0);
+		});
+
+		it("should accept each callback once", async () => {
+			const start = await request
+				.get("/api/v1/auth/oidc/oidc/authorize")
+				.expect(302);
+			const response = await fetch(start.headers.location, {
+				redirect: "manual",
+			});
+			const callback = new URL(response.headers.get("location"));
+			const replay = () =>
+				request
+					.get(`${callback.pathname}${callback.search}`)
+					.set("Cookie", cookiesOf(start))
+					.expect(302);
+
+			expect(outcomeOf(await replay())).toEqual({ status: "authenticated" });
+			expect(outcomeOf(await replay())).toMatchObject({ status: "error" });
+		});
+	});
+
+	describe("Linked accounts", () => {
+		let user;
+		let accessToken;
+
+		/** Links the provider's current account to the logged-in user. */
+		const link = async () => {
+			const start = await request
+				.post("/api/v1/me/identities/oidc")
+				.set("Authorization", `Bearer ${accessToken}`)
+				.expect(200);
+			return completeAtProvider(start.body.authorizationUrl, cookiesOf(start));
+		};
+
+		beforeEach(async () => {
+			// A different address than the provider reports: linking does not go by email
+			user = await createUser("ada.lovelace@example.com");
+			accessToken = await login(user.email);
+		});
+
+		it("should link, list and unlink a provider account", async () => {
+			expect(outcomeOf(await link())).toEqual({
+				status: "linked",
+				provider: "oidc",
+			});
+
+			const list = await request
+				.get("/api/v1/me/identities")
+				.set("Authorization", `Bearer ${accessToken}`)
+				.expect(200);
+			expect(list.body).toEqual([
+				expect.objectContaining({
+					provider: "oidc",
+					displayName: "Single sign-on",
+					email: "ada@example.com",
+				}),
+			]);
+
+			// The provider account now logs in as this user
+			await signInWithProvider();
+			expect(await User.countDocuments()).toBe(1);
+
+			await request
+				.delete("/api/v1/me/identities/oidc")
+				.set("Authorization", `Bearer ${accessToken}`)
+				.expect(204);
+			await request
+				.delete("/api/v1/me/identities/oidc")
+				.set("Authorization", `Bearer ${accessToken}`)
+				.expect(404);
+		});
+
+		it("should not link a provider account that logs in as another user", async () => {
+			await signInWithProvider(); // Signs up a separate user for the account
+
+			expect(outcomeOf(await link())).toEqual({
+				status: "error",
+				message:
+					"This Single sign-on account is already linked to another user.",
+			});
+		});
+	});
+});
@@ -104,6 +104,50 @@ describe("Anonymous Cart Endpoints", () => {
 			expect(dbCart).not.toBeNull();
 		});
 
+		it("should charge the sale price while the sale is on and reprice once it ends", async () => {
+			await ProductVariant.updateOne(
+				{ _id: variant1_1._id },
+				{
+					salePrice: 80,
+					saleStartDate: new Date(Date.now() - 60 * 1000),
+					saleEndDate: new Date(Date.now() + 60 * 60 * 1000),
+				},
+			);
+
+			const res = await request
+				.post("/api/v1/carts")
+				.send({
+					productId: product1._id,
+					variantId: variant1_1._id,
+					quantity: 2,
+				})
+				.expect(201);
+
+			expect(res.body.items[0]).toMatchObject({
+				priceAtAddition: 80,
+				regularPrice: 100,
+				onSale: true,
+			});
+			expect(res.body.subtotal).toBe(160);
+
+			await ProductVariant.updateOne(
+				{ _id: variant1_1._id },
+				{ saleEndDate: new Date(Date.now() - 1000) },
+			);
+
+			const afterSale = await request
+				.get(`/api/v1/carts/${res.body.id}`)
+				.expect(200);
+			expect(afterSale.body.items[0]).toMatchObject({
+				priceAtAddition: 100,
+				onSale: false,
+				saleEndsAt: null,
+			});
+			expect(afterSale.body.subtotal).toBe(200);
+			const dbItem = await CartItem.findOne({ variantId: variant1_1._id });
+			expect(dbItem.priceAtAddition).toBe(100);
+		});
+
 		it("should return 400 if stock is insufficient", async () => {
 			await request
 				.post("/api/v1/carts")
@@ -0,0 +1,183 @@
+import http from "node:http";
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+
+/**
+ * Reads a request body as a string.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<string>} The body.
+ */
+const readBody = async (req) => {
+	let body = "";
+	for await (const chunk of req) body += chunk;
+	return body;
+};
+
+const sendJson = (res, status, body) => {
+	res.writeHead(status, { "Content-Type": "application/json" });
+	res.end(JSON.stringify(body));
+};
+
+const redirect = (res, url) => {
+	res.writeHead(302, { Location: url.toString() });
+	res.end();
+};
+
+/**
+ * Starts a stand-in OpenID Connect provider on a free local port. It serves discovery, JWKS,
+ * authorization and token endpoints, and checks what a real provider checks: the client
+ * credentials, the redirect URI, that each code is used once and the PKCE verifier. Instead of
+ * showing a login page, its authorization endpoint signs in whoever `signInAs` set last and
+ * redirects straight back (or reports `access_denied` if nobody is set).
+ * @param {object} client - The client registered with the provider.
+ * @param {string} client.clientId - Client ID.
+ * @param {string} client.clientSecret - Client secret.
+ * @param {"client_secret_basic" | "client_secret_post"} [client.authMethod="client_secret_basic"] - How the client must authenticate at the token endpoint.
+ * @returns {Promise<{issuer: string, signInAs: (claims: Record<string, any> | null) => void, close: () => Promise<void>}>}
+ *   `signInAs` takes the ID token claims of the next sign-in; claims such as `aud` or `nonce` override the correct values.
+ */
+export const startOidcProvider = async ({
+	clientId,
+	clientSecret,
+	authMethod = "client_secret_basic",
+}) => {
+	const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+		modulusLength: 2048,
+	});
+	const keyId = crypto.randomUUID();
+	/** @type {Map<string, {redirectUri: string, codeChallenge: string, nonce: string, claims: Record<string, any>}>} */
+	const codes = new Map();
+	let account = null;
+
+	const isClientAuthenticated = (req, form) => {
+		if (authMethod === "client_secret_post") {
+			return (
+				form.get("client_id") === clientId &&
+				form.get("client_secret") === clientSecret
+			);
+		}
+		const [scheme, encoded] = (req.headers.authorization ?? "").split(" ");
+		const [id, secret] = Buffer.from(encoded ?? "", "base64")
+			.toString()
+			.split(":")
+			.map(decodeURIComponent);
+		return scheme === "Basic" && id === clientId && secret === clientSecret;
+	};
+
+	const handleAuthorize = (res, params) => {
+		const redirectUri = new URL(params.get("redirect_uri"));
+		redirectUri.searchParams.set("state", params.get("state"));
+		redirectUri.searchParams.set("iss", issuer);
+		if (
+			params.get("client_id") !== clientId ||
+			params.get("response_type") !== "code" ||
+			params.get("code_challenge_method") !== "S256" ||
+			!params.get("scope")?.split(" ").includes("openid")
+		) {
+			redirectUri.searchParams.set("error", "invalid_request");
+			return redirect(res, redirectUri);
+		}
+		if (!account) {
+			redirectUri.searchParams.set("error", "access_denied");
+			return redirect(res, redirectUri);
+		}
+		const code = crypto.randomBytes(16).toString("hex");
+		codes.set(code, {
+			redirectUri: params.get("redirect_uri"),
+			codeChallenge: params.get("code_challenge"),
+			nonce: params.get("nonce"),
+			claims: account,
+		});
+		redirectUri.searchParams.set("code", code);
+		redirect(res, redirectUri);
+	};
+
+	const handleToken = async (req, res) => {
+		const form = new URLSearchParams(await readBody(req));
+		if (!isClientAuthenticated(req, form)) {
+			return sendJson(res, 401, { error: "invalid_client" });
+		}
+		const grant = codes.get(form.get("code"));
+		codes.delete(form.get("code"));
+		const verifier = form.get("code_verifier") ?? "";
+		if (
+			form.get("grant_type") !== "authorization_code" ||
+			!grant ||
+			grant.redirectUri !== form.get("redirect_uri") ||
+			crypto.createHash("sha256").update(verifier).digest("base64url") !==
+				grant.codeChallenge
+		) {
+			return sendJson(res, 400, { error: "invalid_grant" });
+		}
+		const now = Math.floor(Date.now() / 1000);
+		const idToken = jwt.sign(
+			{
+				iss: issuer,
+				aud: clientId,
+				nonce: grant.nonce,
+				iat: now,
+				exp: now + 300,
+				...grant.claims,
+			},
+			privateKey,
+			{ algorithm: "RS256", keyid: keyId },
+		);
+		sendJson(res, 200, {
+			access_token: crypto.randomBytes(16).toString("hex"),
+			token_type: "Bearer",
+			expires_in: 300,
+			id_token: idToken,
+		});
+	};
+
+	const server = http.createServer(async (req, res) => {
+		const url = new URL(req.url, issuer);
+		if (
+			req.method === "GET" &&
+			url.pathname === "/.well-known/openid-configuration"
+		) {
+			return sendJson(res, 200, {
+				issuer,
+				authorization_endpoint: `${issuer}/authorize`,
+				token_endpoint: `${issuer}/token`,
+				jwks_uri: `${issuer}/jwks`,
+				response_types_supported: ["code"],
+				subject_types_supported: ["public"],
+				id_token_signing_alg_values_supported: ["RS256"],
+				code_challenge_methods_supported: ["S256"],
+				token_endpoint_auth_methods_supported: [authMethod],
+			});
+		}
+		if (req.method === "GET" && url.pathname === "/jwks") {
+			return sendJson(res, 200, {
+				keys: [
+					{
+						...publicKey.export({ format: "jwk" }),
+						kid: keyId,
+						alg: "RS256",
+						use: "sig",
+					},
+				],
+			});
+		}
+		if (req.method === "GET" && url.pathname === "/authorize") {
+			return handleAuthorize(res, url.searchParams);
+		}
+		if (req.method === "POST" && url.pathname === "/token") {
+			return handleToken(req, res);
+		}
+		sendJson(res, 404, { error: "not_found" });
+	});
+
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	// The handlers above only run once requests arrive, after this is set
+	const issuer = `http://127.0.0.1:${server.address().port}`;
+
+	return {
+		issuer,
+		signInAs: (claims) => {
+			account = claims;
+		},
+		close: () => new Promise((resolve) => server.close(() => resolve())),
+	};
+};
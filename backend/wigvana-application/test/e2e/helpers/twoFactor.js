@@ -0,0 +1,35 @@
+import { generateTotp, totpStepAt } from "../../../src/utils/totp.js";
+
+/**
+ * Enrolls the logged-in user in two-factor authentication through the API and confirms a
+ * step-up for the session the access token belongs to, so admin routes, sensitive ones
+ * included, accept the token. This uses up the codes of the previous and current time steps;
+ * the next code to use is `generateTotp(secret, totpStepAt() + 1)`.
+ * @param {import('supertest').SuperTest<import('supertest').Test>} request - The supertest agent.
+ * @param {string} accessToken - The user's access token.
+ * @returns {Promise<{secret: string}>} The TOTP secret, for generating further codes.
+ */
+export const enableTwoFactorAndStepUp = async (request, accessToken) => {
+	const auth = `Bearer ${accessToken}`;
+	const setup = await request
+		.post("/api/v1/me/two-factor/setup")
+		.set("Authorization", auth)
+		.expect(200);
+	const { secret } = setup.body;
+
+	// Each code works once, so enroll with the previous step's code (still within the tolerated
+	// clock drift) and step up with the current one
+	const step = totpStepAt();
+	await request
+		.post("/api/v1/me/two-factor/enable")
+		.set("Authorization", auth)
+		.send({ code: generateTotp(secret, step - 1) })
+		.expect(200);
+	await request
+		.post("/api/v1/me/two-factor/step-up")
+		.set("Authorization", auth)
+		.send({ code: generateTotp(secret, step) })
+		.expect(200);
+
+	return { secret };
+};
@@ -1,4 +1,12 @@
-import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import {
+	describe,
+	it,
+	expect,
+	vi,
+	beforeAll,
+	afterAll,
+	beforeEach,
+} from "vitest";
 import supertest from "supertest";
 import mongoose from "mongoose";
 import { v4 as uuidv4 } from "uuid";
@@ -10,7 +18,13 @@ import CartItem from "../../src/models/CartItem.model.js";
 import Product from "../../src/models/Product.model.js";
 import ProductVariant from "../../src/models/ProductVariant.model.js";
 import Category from "../../src/models/Category.model.js";
+import Promotion from "../../src/models/Promotion.model.js";
+import TaxRate from "../../src/models/TaxRate.model.js";
+import Address from "../../src/models/Address.model.js";
+import { cartService } from "../../src/services/cart.service.js";
 import { redisService } from "../../src/services/redis.service.js";
+import { memoryTransport } from "../../src/services/mailTransports/memory.transport.js";
+import { enableTwoFactorAndStepUp } from "./helpers/twoFactor.js";
 
 const request = supertest(app);
 
@@ -52,6 +66,9 @@ describe("Buyer Cart Endpoints (/me/cart)", () => {
 		await Product.deleteMany({});
 		await ProductVariant.deleteMany({});
 		await Category.deleteMany({});
+		await Promotion.deleteMany({});
+		await TaxRate.deleteMany({});
+		await Address.deleteMany({});
 		await redisService.client.flushdb();
 
 		const rawPassword = "passwordBuyer123";
@@ -129,6 +146,61 @@ describe("Buyer Cart Endpoints (/me/cart)", () => {
 		});
 	});
 
+	describe("Tax preview", () => {
+		it("should preview tax for the default shipping address, or the one asked for", async () => {
+			await TaxRate.create([
+				{ name: "Sales tax", country: "US", rate: 10 },
+				{ name: "VAT", country: "FR", rate: 20, pricesIncludeTax: true },
+			]);
+			const addressFields = {
+				userId: buyerUser._id,
+				addressLine1: "1 Preview St",
+				city: "Taxville",
+				stateProvinceRegion: "TX",
+				postalCode: "12345",
+				addressType: "shipping",
+			};
+			const home = await Address.create({
+				...addressFields,
+				country: "US",
+				isDefaultShipping: true,
+			});
+			const abroad = await Address.create({ ...addressFields, country: "FR" });
+			await request
+				.post("/api/v1/me/cart/items")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.send({
+					productId: product1._id,
+					variantId: variant1_1._id,
+					quantity: 2,
+				});
+
+			const atHome = await request
+				.get("/api/v1/me/cart")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			expect(atHome.body.taxAddressId).toBe(home._id);
+			expect(atHome.body.taxAmount).toBe(10);
+			expect(atHome.body.estimatedTotal).toBe(110);
+
+			const inFrance = await request
+				.get(`/api/v1/me/cart?shippingAddressId=${abroad._id}`)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			expect(inFrance.body.taxAmount).toBe(16.67);
+			expect(inFrance.body.includedTaxAmount).toBe(16.67);
+			expect(inFrance.body.estimatedTotal).toBe(100);
+		});
+
+		it("should leave tax out until the buyer has a shipping address", async () => {
+			const res = await request
+				.get("/api/v1/me/cart")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			expect(res.body.taxAmount).toBeNull();
+		});
+	});
+
 	describe("POST /api/v1/me/cart/items", () => {
 		it("should add an item to the buyer cart", async () => {
 			const res = await request
@@ -206,6 +278,325 @@ describe("Buyer Cart Endpoints (/me/cart)", () => {
 		});
 	});
 
+	describe("POST/DELETE /api/v1/me/cart/discount", () => {
+		beforeEach(async () => {
+			await request
+				.post("/api/v1/me/cart/items")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.send({
+					productId: product1._id,
+					variantId: variant1_1._id,
+					quantity: 2,
+				});
+		});
+
+		it("should apply a code case-insensitively and show the discount", async () => {
+			await Promotion.create({
+				code: "WIGS10",
+				name: "10% off",
+				type: "percentage",
+				value: 10,
+				createdBy: buyerUser._id,
+			});
+
+			const res = await request
+				.post("/api/v1/me/cart/discount")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.send({ code: "wigs10" })
+				.expect(200);
+
+			expect(res.body.discountCode).toBe("WIGS10");
+			expect(res.body.subtotal).toBe(100);
+			expect(res.body.discountAmount).toBe(10);
+			expect(res.body.discountedSubtotal).toBe(90);
+
+			const cleared = await request
+				.delete("/api/v1/me/cart/discount")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			expect(cleared.body.discountCode).toBeNull();
+			expect(cleared.body.discountAmount).toBe(0);
+		});
+
+		it("should reject unknown, expired or out-of-scope codes", async () => {
+			await Promotion.create([
+				{
+					code: "OLD",
+					name: "Expired",
+					type: "fixed_amount",
+					value: 5,
+					endsAt: new Date(Date.now() - 60_000),
+					createdBy: buyerUser._id,
+				},
+				{
+					code: "OTHERCAT",
+					name: "Other category",
+					type: "percentage",
+					value: 20,
+					categoryIds: [uuidv4()],
+					createdBy: buyerUser._id,
+				},
+			]);
+
+			for (const [code, status] of [
+				["NOPE", 404],
+				["OLD", 400],
+				["OTHERCAT", 400],
+			]) {
+				await request
+					.post("/api/v1/me/cart/discount")
+					.set("Authorization", `Bearer ${buyerToken}`)
+					.send({ code })
+					.expect(status);
+			}
+		});
+
+		it("should keep a code that stopped applying but show why", async () => {
+			const promotion = await Promotion.create({
+				code: "SHORTLIVED",
+				name: "Short lived",
+				type: "fixed_amount",
+				value: 5,
+				createdBy: buyerUser._id,
+			});
+			await request
+				.post("/api/v1/me/cart/discount")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.send({ code: "SHORTLIVED" })
+				.expect(200);
+
+			promotion.endsAt = new Date(Date.now() - 1000);
+			await promotion.save();
+
+			const res = await request
+				.get("/api/v1/me/cart")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			expect(res.body.discountCode).toBe("SHORTLIVED");
+			expect(res.body.discountAmount).toBe(0);
+			expect(res.body.discountNotice).toMatch(/expired/);
+		});
+	});
+
+	describe("Cart revalidation", () => {
+		const lineFor = (cart, variant) =>
+			cart.items.find((item) => item.variantId === variant._id.toString());
+
+		beforeEach(async () => {
+			for (const [variant, quantity] of [
+				[variant1_1, 4],
+				[variant1_2, 1],
+			]) {
+				await request
+					.post("/api/v1/me/cart/items")
+					.set("Authorization", `Bearer ${buyerToken}`)
+					.send({ productId: product1._id, variantId: variant._id, quantity })
+					.expect(200);
+			}
+		});
+
+		it("should flag changed prices, reduced quantities and unavailable lines", async () => {
+			await ProductVariant.updateOne(
+				{ _id: variant1_1._id },
+				{ price: 60, stockQuantity: 3 },
+			);
+			await ProductVariant.updateOne(
+				{ _id: variant1_2._id },
+				{ isActive: false },
+			);
+
+			const res = await request
+				.get("/api/v1/me/cart")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+
+			expect(res.body.requiresAcknowledgement).toBe(true);
+			expect(lineFor(res.body, variant1_1)).toMatchObject({
+				quantity: 3,
+				priceAtAddition: 60,
+				purchasable: true,
+				changes: [
+					{ type: "price_changed", previousPrice: 50, currentPrice: 60 },
+					{ type: "quantity_reduced", previousQuantity: 4, currentQuantity: 3 },
+				],
+			});
+			expect(lineFor(res.body, variant1_2)).toMatchObject({
+				purchasable: false,
+				changes: [{ type: "unavailable" }],
+			});
+			expect(res.body.subtotal).toBe(180); // The unavailable line does not count
+		});
+
+		it("should flag a line whose variant sold out", async () => {
+			await ProductVariant.updateOne(
+				{ _id: variant1_2._id },
+				{ stockQuantity: 0 },
+			);
+
+			const res = await request
+				.get("/api/v1/me/cart")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+
+			expect(lineFor(res.body, variant1_2)).toMatchObject({
+				quantity: 1,
+				purchasable: false,
+				changes: [{ type: "out_of_stock" }],
+			});
+			expect(res.body.totalQuantity).toBe(4);
+		});
+
+		it("should clear the notices and drop unbuyable lines once acknowledged", async () => {
+			await Product.updateOne({ _id: product1._id }, { isPublished: false });
+
+			const res = await request
+				.post("/api/v1/me/cart/acknowledge-changes")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+
+			expect(res.body.items).toHaveLength(0);
+			expect(res.body.requiresAcknowledgement).toBe(false);
+			expect(await CartItem.countDocuments({ cartId: res.body.id })).toBe(0);
+		});
+
+		it("should keep the new price once acknowledged", async () => {
+			await ProductVariant.updateOne({ _id: variant1_1._id }, { price: 45 });
+
+			const res = await request
+				.post("/api/v1/me/cart/acknowledge-changes")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+
+			expect(res.body.requiresAcknowledgement).toBe(false);
+			expect(lineFor(res.body, variant1_1)).toMatchObject({
+				priceAtAddition: 45,
+				changes: [],
+			});
+		});
+	});
+
+	describe("Abandoned carts", () => {
+		const DAY_MS = 24 * 60 * 60 * 1000;
+		const pastIdleTime = () => new Date(Date.now() + 2 * DAY_MS);
+
+		beforeEach(async () => {
+			await request
+				.post("/api/v1/me/cart/items")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.send({
+					productId: product1._id,
+					variantId: variant1_1._id,
+					quantity: 2,
+				})
+				.expect(200);
+		});
+
+		it("should abandon idle carts with items and give them back when the buyer returns", async () => {
+			const emptyCart = await Cart.create({ userId: uuidv4() });
+
+			expect(await cartService.abandonIdleCarts(pastIdleTime())).toBe(1);
+			expect(await cartService.abandonIdleCarts(pastIdleTime())).toBe(0);
+
+			const cart = await Cart.findOne({ userId: buyerUser._id });
+			expect(cart.status).toBe("abandoned");
+			expect(cart.recoveryNotifiedAt).toBeInstanceOf(Date);
+			expect(cart.recoveryTokenHash).toMatch(/^[0-9a-f]{64}$/);
+			expect((await Cart.findById(emptyCart._id)).status).toBe("active");
+
+			const res = await request
+				.get("/api/v1/me/cart")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+
+			expect(res.body.id).toBe(cart._id);
+			expect(res.body.items[0].quantity).toBe(2);
+			const recovered = await Cart.findById(cart._id);
+			expect(recovered.status).toBe("active");
+			expect(recovered.recoveredVia).toBe("return");
+			expect(recovered.recoveryTokenHash).toBeUndefined();
+		});
+
+		it("should email a single-use link that restores the abandoned cart", async () => {
+			memoryTransport.clear();
+			await cartService.abandonIdleCarts(pastIdleTime());
+			const mail = await vi.waitFor(() => {
+				const sent = memoryTransport.lastMessageTo(buyerUser.email);
+				expect(sent?.subject).toBe("You left something in your cart");
+				return sent;
+			});
+			const [, token] = mail.text.match(/\/carts\/restore\?token=([a-f0-9]+)/);
+
+			const res = await request
+				.get("/api/v1/carts/restore")
+				.query({ token })
+				.expect(200);
+
+			const cart = await Cart.findById(res.body.cartId);
+			expect(cart.userId).toBe(buyerUser._id);
+			expect(cart.status).toBe("active");
+			expect(cart.recoveredVia).toBe("link");
+			await request.get("/api/v1/carts/restore").query({ token }).expect(400);
+		});
+
+		it("should report the recovery rate to admins", async () => {
+			const abandonedAt = pastIdleTime();
+			await cartService.abandonIdleCarts(abandonedAt);
+			await request
+				.get("/api/v1/me/cart")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			const admin = await User.create({
+				firstName: "Report",
+				lastName: "Admin",
+				email: `cart-admin-${uuidv4()}@example.com`,
+				passwordHash: await bcrypt.hash("adminCartPass", 10),
+				roles: ["admin"],
+				emailVerified: true,
+				accountStatus: "active",
+			});
+			const adminToken = await loginUserAndGetToken(
+				admin.email,
+				"adminCartPass",
+			);
+			await enableTwoFactorAndStepUp(request, adminToken);
+
+			const res = await request
+				.get("/api/v1/admin/reports/abandoned-carts")
+				.query({ to: new Date(abandonedAt.getTime() + 1000).toISOString() })
+				.set("Authorization", `Bearer ${adminToken}`)
+				.expect(200);
+
+			expect(res.body).toMatchObject({
+				abandonedCarts: 1,
+				notifiedCarts: 1,
+				recoveredCarts: 1,
+				recoveredFromLink: 0,
+				convertedCarts: 0,
+				recoveryRate: 1,
+				conversionRate: 0,
+			});
+		});
+
+		it("should purge anonymous carts nobody used within their lifetime", async () => {
+			const anonymousCart = await Cart.findOne({
+				anonymousCartToken: anonymousCartId,
+			});
+
+			expect(await cartService.purgeExpiredAnonymousCarts()).toBe(0);
+			expect(
+				await cartService.purgeExpiredAnonymousCarts(
+					new Date(Date.now() + 31 * DAY_MS),
+				),
+			).toBe(1);
+
+			expect(await Cart.exists({ _id: anonymousCart._id })).toBeNull();
+			expect(await CartItem.countDocuments({ cartId: anonymousCart._id })).toBe(
+				0,
+			);
+			expect(await Cart.exists({ userId: buyerUser._id })).not.toBeNull(); // Buyers' carts are never purged
+		});
+	});
+
 	describe("POST /api/v1/me/cart/merge-anonymous", () => {
 		it("should merge an anonymous cart into the buyer cart", async () => {
 			// Buyer cart is initially empty for this test case within the describe block
@@ -0,0 +1,941 @@
+import {
+	describe,
+	it,
+	expect,
+	beforeAll,
+	afterAll,
+	beforeEach,
+	vi,
+} from "vitest";
+import supertest from "supertest";
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import bcrypt from "bcryptjs";
+import app from "../../src/app.js";
+import User from "../../src/models/User.model.js";
+import Product from "../../src/models/Product.model.js";
+import ProductVariant from "../../src/models/ProductVariant.model.js";
+import Category from "../../src/models/Category.model.js";
+import Address from "../../src/models/Address.model.js";
+import PaymentMethod from "../../src/models/PaymentMethod.model.js";
+import Cart from "../../src/models/Cart.model.js";
+import CartItem from "../../src/models/CartItem.model.js";
+import Order from "../../src/models/Order.model.js";
+import OrderItem from "../../src/models/OrderItem.model.js";
+import InventoryReservation from "../../src/models/InventoryReservation.model.js";
+import Promotion from "../../src/models/Promotion.model.js";
+import PromotionRedemption from "../../src/models/PromotionRedemption.model.js";
+import TaxRate from "../../src/models/TaxRate.model.js";
+import ShippingZone from "../../src/models/ShippingZone.model.js";
+import Shipment from "../../src/models/Shipment.model.js";
+import InventoryMovement from "../../src/models/InventoryMovement.model.js";
+import { reservationService } from "../../src/services/reservation.service.js";
+import { orderService } from "../../src/services/order.service.js";
+import { paymentGatewayService } from "../../src/services/paymentGateway.service.js";
+import { redisService } from "../../src/services/redis.service.js";
+
+const request = supertest(app);
+
+const loginUserAndGetToken = async (email, password) => {
+	const res = await request
+		.post("/api/v1/auth/login")
+		.send({ email, password });
+	return res.body.accessToken;
+};
+
+describe("Buyer Order Endpoints (/me/orders)", () => {
+	const buyerPassword = "buyerCheckoutPass";
+	let sellerUser;
+	let product;
+	let variantA;
+	let variantB;
+
+	/**
+	 * Creates a buyer with an address, a payment method and an active cart holding the given lines.
+	 * @param {Array<{variant: object, quantity: number}>} lines
+	 * @param {{paymentToken?: string}} [options] - Simulator token deciding the payment outcome.
+	 */
+	const createBuyerWithCart = async (lines, options = {}) => {
+		const buyer = await User.create({
+			firstName: "Checkout",
+			lastName: "Buyer",
+			email: `checkout-${uuidv4()}@example.com`,
+			passwordHash: await bcrypt.hash(buyerPassword, 10),
+			roles: ["buyer"],
+			emailVerified: true,
+			accountStatus: "active",
+		});
+		const token = await loginUserAndGetToken(buyer.email, buyerPassword);
+		const address = await Address.create({
+			userId: buyer._id,
+			addressLine1: "1 Checkout St",
+			city: "Ordertown",
+			stateProvinceRegion: "OT",
+			postalCode: "12345",
+			country: "US",
+			addressType: "shipping",
+		});
+		const paymentMethod = await PaymentMethod.create({
+			userId: buyer._id,
+			paymentGateway: "simulator",
+			type: "card",
+			paymentGatewayToken: options.paymentToken ?? `pm_tok_${uuidv4()}`,
+			cardBrand: "visa",
+			lastFourDigits: "4242",
+		});
+		const cart = await Cart.create({ userId: buyer._id });
+		for (const { variant, quantity } of lines) {
+			await CartItem.create({
+				cartId: cart._id,
+				productId: product._id,
+				variantId: variant._id,
+				quantity,
+				priceAtAddition: variant.price,
+				currencyAtAddition: "USD",
+			});
+		}
+		return {
+			buyer,
+			token,
+			cart,
+			orderBody: {
+				shippingAddressId: address._id,
+				billingAddressId: address._id,
+				paymentMethodId: paymentMethod._id,
+				shippingMethod: "standard",
+			},
+		};
+	};
+
+	beforeAll(async () => {
+		if (mongoose.connection.readyState === 0) {
+			await mongoose.connect(global.testConfig.MONGO_URI, {
+				directConnection: true,
+			});
+		}
+	});
+
+	afterAll(async () => {
+		await mongoose.disconnect();
+		if (redisService.client && redisService.client.status === "ready") {
+			await redisService.client.quit();
+		}
+	});
+
+	beforeEach(async () => {
+		await User.deleteMany({});
+		await Product.deleteMany({});
+		await ProductVariant.deleteMany({});
+		await Category.deleteMany({});
+		await Address.deleteMany({});
+		await PaymentMethod.deleteMany({});
+		await Cart.deleteMany({});
+		await CartItem.deleteMany({});
+		await Order.deleteMany({});
+		await OrderItem.deleteMany({});
+		await InventoryReservation.deleteMany({});
+		await Promotion.deleteMany({});
+		await PromotionRedemption.deleteMany({});
+		await TaxRate.deleteMany({});
+		await ShippingZone.deleteMany({});
+		await Shipment.deleteMany({});
+		await InventoryMovement.deleteMany({});
+		await redisService.client.flushdb();
+
+		sellerUser = await User.create({
+			firstName: "Stock",
+			lastName: "Seller",
+			email: `stockseller-${uuidv4()}@example.com`,
+			passwordHash: "p",
+			roles: ["seller"],
+			emailVerified: true,
+			accountStatus: "active",
+		});
+		const category = await Category.create({
+			name: "Checkout Category",
+			slug: `checkout-cat-${uuidv4()}`,
+		});
+		product = await Product.create({
+			name: "Checkout Wig",
+			slug: `checkout-wig-${uuidv4()}`,
+			categoryId: category._id,
+			sellerId: sellerUser._id,
+			basePrice: 50,
+			currency: "USD",
+			isPublished: true,
+			approvalStatus: "approved",
+		});
+		variantA = await ProductVariant.create({
+			productId: product._id,
+			sku: `CHK-A-${uuidv4()}`,
+			attributes: { length: "12in" },
+			price: 50,
+			stockQuantity: 3,
+			isActive: true,
+		});
+		variantB = await ProductVariant.create({
+			productId: product._id,
+			sku: `CHK-B-${uuidv4()}`,
+			attributes: { length: "16in" },
+			price: 70,
+			stockQuantity: 1,
+			isActive: true,
+		});
+	});
+
+	describe("POST /api/v1/me/orders", () => {
+		it("should place the order, deduct stock and complete the cart", async () => {
+			const { token, cart, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 2 },
+				{ variant: variantB, quantity: 1 },
+			]);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(201);
+
+			expect(res.body.status).toBe("processing");
+			expect(await OrderItem.countDocuments({ orderId: res.body._id })).toBe(
+				2,
+			);
+			expect((await ProductVariant.findById(variantA._id)).stockQuantity).toBe(
+				1,
+			);
+			expect((await ProductVariant.findById(variantB._id)).stockQuantity).toBe(
+				0,
+			);
+			expect((await Cart.findById(cart._id)).status).toBe("completed");
+		});
+
+		it("should refuse a cart that changed until the buyer acknowledges it", async () => {
+			const { token, cart, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 2 },
+				{ variant: variantB, quantity: 2 },
+			]);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(409);
+
+			expect(res.body.errors).toHaveLength(1);
+			expect(res.body.errors[0]).toMatchObject({
+				variantId: variantB._id,
+				sku: variantB.sku,
+				changes: [
+					{ type: "quantity_reduced", previousQuantity: 2, currentQuantity: 1 },
+				],
+			});
+			// Nothing from the refused checkout is persisted
+			expect((await ProductVariant.findById(variantA._id)).stockQuantity).toBe(
+				3,
+			);
+			expect(await Order.countDocuments({})).toBe(0);
+			expect((await Cart.findById(cart._id)).status).toBe("active");
+
+			await request
+				.post("/api/v1/me/cart/acknowledge-changes")
+				.set("Authorization", `Bearer ${token}`)
+				.expect(200);
+			const orderRes = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(201);
+
+			expect(
+				await OrderItem.countDocuments({ orderId: orderRes.body._id }),
+			).toBe(2);
+			expect((await ProductVariant.findById(variantB._id)).stockQuantity).toBe(
+				0,
+			);
+		});
+
+		it("should refuse a line whose price changed and charge the new price once acknowledged", async () => {
+			const { token, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 1 },
+			]);
+			await ProductVariant.updateOne({ _id: variantA._id }, { price: 45 });
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(409);
+			expect(res.body.errors[0].changes).toEqual([
+				{ type: "price_changed", previousPrice: 50, currentPrice: 45 },
+			]);
+
+			await request
+				.post("/api/v1/me/cart/acknowledge-changes")
+				.set("Authorization", `Bearer ${token}`)
+				.expect(200);
+			const orderRes = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(201);
+
+			const orderItem = await OrderItem.findOne({ orderId: orderRes.body._id });
+			expect(orderItem.unitPrice).toBe(45);
+		});
+
+		it("should never oversell when two buyers race for the last unit", async () => {
+			const first = await createBuyerWithCart([
+				{ variant: variantB, quantity: 1 },
+			]);
+			const second = await createBuyerWithCart([
+				{ variant: variantB, quantity: 1 },
+			]);
+
+			const responses = await Promise.all(
+				[first, second].map(({ token, orderBody }) =>
+					request
+						.post("/api/v1/me/orders")
+						.set("Authorization", `Bearer ${token}`)
+						.send(orderBody),
+				),
+			);
+
+			const statuses = responses.map((r) => r.status).sort();
+			expect(statuses).toEqual([201, 409]);
+			expect((await ProductVariant.findById(variantB._id)).stockQuantity).toBe(
+				0,
+			);
+			expect(await Order.countDocuments({})).toBe(1);
+		});
+	});
+
+	describe("Discount codes at checkout", () => {
+		const createPromotion = (overrides = {}) =>
+			Promotion.create({
+				code: `SAVE-${uuidv4().slice(0, 8)}`,
+				name: "Checkout promotion",
+				type: "fixed_amount",
+				value: 20,
+				createdBy: sellerUser._id,
+				...overrides,
+			});
+
+		it("should apply the cart's code, allocate it to the lines and redeem it", async () => {
+			await TaxRate.create({ name: "Sales tax", country: "US", rate: 7 });
+			const promotion = await createPromotion();
+			const { token, cart, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 2 },
+			]);
+			await Cart.updateOne(
+				{ _id: cart._id },
+				{ $set: { discountCode: promotion.code } },
+			);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(201);
+
+			expect(res.body.discountCode).toBe(promotion.code);
+			expect(res.body.discountAmount).toBe(20);
+			// 7% tax on the discounted goods (100 - 20), plus 5 shipping
+			expect(res.body.taxAmount).toBe(5.6);
+			expect(res.body.totalAmount).toBe(90.6);
+			expect(res.body.items[0].discountAmount).toBe(20);
+			expect((await Promotion.findById(promotion._id)).usageCount).toBe(1);
+			expect(
+				await PromotionRedemption.countDocuments({
+					orderId: res.body._id,
+					status: "redeemed",
+				}),
+			).toBe(1);
+		});
+
+		it("should waive shipping for a free_shipping code given at checkout", async () => {
+			await TaxRate.create({ name: "Sales tax", country: "US", rate: 7 });
+			const promotion = await createPromotion({ type: "free_shipping" });
+			const { token, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 1 },
+			]);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send({ ...orderBody, discountCode: promotion.code.toLowerCase() })
+				.expect(201);
+
+			expect(res.body.shippingCost).toBe(0);
+			expect(res.body.totalAmount).toBe(53.5);
+		});
+
+		it("should reject the order when the code's limits are used up", async () => {
+			const promotion = await createPromotion({ perUserLimit: 1 });
+			const { token, buyer, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 1 },
+			]);
+			await PromotionRedemption.create({
+				promotionId: promotion._id,
+				userId: buyer._id,
+				orderId: uuidv4(),
+				code: promotion.code,
+				userSlot: 1,
+			});
+
+			await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send({ ...orderBody, discountCode: promotion.code })
+				.expect(400);
+			expect(await Order.countDocuments({})).toBe(0);
+		});
+
+		it("should give the code back when the payment is declined", async () => {
+			const promotion = await createPromotion({ usageLimit: 1 });
+			const { token, orderBody } = await createBuyerWithCart(
+				[{ variant: variantA, quantity: 1 }],
+				{ paymentToken: `tok_sim_decline_${uuidv4()}` },
+			);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send({ ...orderBody, discountCode: promotion.code })
+				.expect(402);
+
+			expect((await Promotion.findById(promotion._id)).usageCount).toBe(0);
+			const redemption = await PromotionRedemption.findOne({
+				orderId: res.body.errors[0].orderId,
+			});
+			expect(redemption.status).toBe("released");
+		});
+	});
+
+	describe("Tax at checkout", () => {
+		it("should stack the country and region rates for the shipping address", async () => {
+			await TaxRate.create([
+				{ name: "State tax", country: "US", region: "ot", rate: 6 },
+				{ name: "District tax", country: "US", region: "OT", rate: 1.5 },
+				{ name: "Other state", country: "US", region: "ZZ", rate: 9 },
+				{ name: "Reduced", country: "US", taxClass: "reduced", rate: 2 },
+			]);
+			const { token, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 2 },
+			]);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(201);
+
+			expect(res.body.taxAmount).toBe(7.5);
+			expect(res.body.totalAmount).toBe(100 + 5 + 7.5);
+			expect(
+				res.body.items[0].taxBreakdown.map((entry) => entry.name).sort(),
+			).toEqual(["District tax", "State tax"]);
+		});
+
+		it("should not add tax that tax-inclusive prices already contain", async () => {
+			await TaxRate.create({
+				name: "VAT",
+				country: "US",
+				rate: 25,
+				pricesIncludeTax: true,
+			});
+			const { token, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 1 },
+			]);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(201);
+
+			expect(res.body.taxAmount).toBe(10);
+			expect(res.body.includedTaxAmount).toBe(10);
+			expect(res.body.totalAmount).toBe(55);
+		});
+	});
+
+	describe("Shipping at checkout", () => {
+		beforeEach(async () => {
+			await Product.updateOne(
+				{ _id: product._id },
+				{ $set: { "shippingDetails.weight": { value: 500, unit: "g" } } },
+			);
+		});
+
+		it("should charge the chosen method and record it on the seller's shipment", async () => {
+			const zone = await ShippingZone.create({
+				sellerId: sellerUser._id,
+				name: "Domestic",
+				countries: ["US"],
+				methods: [
+					{ name: "Ground", type: "weight_based", rate: 3, perKgRate: 2 },
+					{ name: "Express", type: "flat", rate: 20 },
+				],
+			});
+			const express = zone.methods.find((m) => m.name === "Express");
+			const { token, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 2 },
+			]);
+
+			const quote = await request
+				.get("/api/v1/me/cart/shipping-options")
+				.query({ shippingAddressId: orderBody.shippingAddressId })
+				.set("Authorization", `Bearer ${token}`)
+				.expect(200);
+			expect(
+				quote.body.groups[0].options.map((o) => [o.name, o.cost]),
+			).toEqual([
+				["Ground", 5],
+				["Express", 20],
+			]);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send({
+					...orderBody,
+					shippingSelections: [
+						{ sellerId: sellerUser._id, methodId: express._id },
+					],
+				})
+				.expect(201);
+
+			expect(res.body.shippingCost).toBe(20);
+			expect(res.body.shippingMethod).toBe("Express");
+			expect(res.body.totalAmount).toBe(120);
+			const shipment = await Shipment.findOne({ orderId: res.body._id });
+			expect(shipment.shippingMethodId).toBe(express._id);
+			expect(shipment.shippingCost).toBe(20);
+		});
+
+		it("should default to the cheapest method when none is chosen", async () => {
+			await ShippingZone.create({
+				sellerId: sellerUser._id,
+				name: "Domestic",
+				countries: ["US"],
+				methods: [
+					{ name: "Express", type: "flat", rate: 20 },
+					{
+						name: "Free over 80",
+						type: "free_over_threshold",
+						rate: 6,
+						freeOverAmount: 80,
+					},
+				],
+			});
+			const { token, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 2 },
+			]);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(201);
+
+			expect(res.body.shippingCost).toBe(0);
+			expect(res.body.shippingMethod).toBe("Free over 80");
+		});
+
+		it("should reject the order when the seller does not ship to the address", async () => {
+			await ShippingZone.create({
+				sellerId: sellerUser._id,
+				name: "Canada",
+				countries: ["CA"],
+				methods: [{ name: "Standard", type: "flat", rate: 8 }],
+			});
+			const { token, cart, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 1 },
+			]);
+
+			await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(400);
+
+			expect((await Cart.findById(cart._id)).status).toBe("active");
+			expect((await ProductVariant.findById(variantA._id)).stockQuantity).toBe(
+				3,
+			);
+		});
+	});
+
+	describe("Payment outcomes (simulator gateway)", () => {
+		it("should fail the order, restore stock and reactivate the cart on a decline", async () => {
+			const { token, cart, orderBody } = await createBuyerWithCart(
+				[{ variant: variantA, quantity: 2 }],
+				{ paymentToken: `tok_sim_decline_${uuidv4()}` },
+			);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(402);
+
+			expect(res.body.errors[0].declineCode).toBe("card_declined");
+			const order = await Order.findById(res.body.errors[0].orderId);
+			expect(order.status).toBe("payment_failed");
+			expect(order.paymentStatus).toBe("failed");
+			expect(order.paymentFailureReason).toBe("card_declined");
+			const variant = await ProductVariant.findById(variantA._id);
+			expect(variant.stockQuantity).toBe(3);
+			expect(variant.reservedQuantity).toBe(0);
+			expect((await Cart.findById(cart._id)).status).toBe("active");
+		});
+
+		it("should leave the order pending_payment when 3-D Secure is required", async () => {
+			const { token, orderBody } = await createBuyerWithCart(
+				[{ variant: variantA, quantity: 1 }],
+				{ paymentToken: `tok_sim_3ds_${uuidv4()}` },
+			);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(202);
+
+			expect(res.body.status).toBe("pending_payment");
+			expect(res.body.paymentNextAction.type).toBe("three_d_secure");
+			expect(res.body.paymentGatewayTransactionId).toMatch(/^sim_txn_/);
+			// Stock stays held, not deducted, while the buyer completes the challenge
+			const variant = await ProductVariant.findById(variantA._id);
+			expect(variant.stockQuantity).toBe(3);
+			expect(variant.reservedQuantity).toBe(1);
+		});
+
+		it("should deduct the held stock once a pending payment is confirmed", async () => {
+			const { token, orderBody } = await createBuyerWithCart(
+				[{ variant: variantA, quantity: 2 }],
+				{ paymentToken: `tok_sim_3ds_${uuidv4()}` },
+			);
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(202);
+
+			await orderService.confirmOrderPayment(res.body._id, {});
+			await orderService.confirmOrderPayment(res.body._id, {}); // No-op
+
+			const variant = await ProductVariant.findById(variantA._id);
+			expect(variant.stockQuantity).toBe(1);
+			expect(variant.reservedQuantity).toBe(0);
+			const sales = await InventoryMovement.find({ type: "sale" });
+			expect(sales).toHaveLength(1);
+			expect(sales[0]).toMatchObject({
+				orderId: res.body._id,
+				quantityChange: -2,
+				quantityAfter: 1,
+			});
+			expect(
+				(await InventoryReservation.findOne({ orderId: res.body._id })).status,
+			).toBe("converted");
+		});
+
+		it("should leave the order pending_payment when the gateway times out", async () => {
+			const { token, orderBody } = await createBuyerWithCart(
+				[{ variant: variantA, quantity: 1 }],
+				{ paymentToken: `tok_sim_timeout_${uuidv4()}` },
+			);
+
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(202);
+
+			expect(res.body.status).toBe("pending_payment");
+			expect(res.body.paymentStatus).toBe("pending");
+		});
+
+		it("should fail unpaid orders once their payment window expires", async () => {
+			const { token, cart, orderBody } = await createBuyerWithCart(
+				[{ variant: variantA, quantity: 2 }],
+				{ paymentToken: `tok_sim_3ds_${uuidv4()}` },
+			);
+			const res = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(202);
+
+			const afterWindow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+			expect(await orderService.expireStalePendingPayments(afterWindow)).toBe(
+				1,
+			);
+
+			const order = await Order.findById(res.body._id);
+			expect(order.status).toBe("payment_failed");
+			expect(order.paymentFailureReason).toBe("payment_timeout");
+			const variant = await ProductVariant.findById(variantA._id);
+			expect(variant.stockQuantity).toBe(3);
+			expect(variant.reservedQuantity).toBe(0);
+			expect((await Cart.findById(cart._id)).status).toBe("active");
+		});
+
+		it("should refund the capture and fail the order if the payment cannot be confirmed", async () => {
+			const { token, cart, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 2 },
+			]);
+			const convert = vi
+				.spyOn(reservationService, "convertOrderReservation")
+				.mockRejectedValueOnce(new Error("write failed"));
+			const refund = vi.spyOn(paymentGatewayService, "refund");
+
+			try {
+				const res = await request
+					.post("/api/v1/me/orders")
+					.set("Authorization", `Bearer ${token}`)
+					.send(orderBody)
+					.expect(402);
+
+				expect(res.body.errors[0].declineCode).toBe("confirmation_failed");
+				const order = await Order.findById(res.body.errors[0].orderId);
+				expect(refund).toHaveBeenCalledWith(
+					"simulator",
+					expect.objectContaining({
+						transactionId: order.paymentGatewayTransactionId,
+						amount: order.totalAmount,
+					}),
+				);
+				expect(order.status).toBe("payment_failed");
+				expect(order.paymentStatus).toBe("refunded");
+				expect(order.paymentFailureReason).toBe("confirmation_failed");
+				const variant = await ProductVariant.findById(variantA._id);
+				expect(variant.stockQuantity).toBe(3);
+				expect(variant.reservedQuantity).toBe(0);
+				expect((await Cart.findById(cart._id)).status).toBe("active");
+			} finally {
+				convert.mockRestore();
+				refund.mockRestore();
+			}
+		});
+
+		it("should keep a captured order for the expiry job to confirm if its refund is rejected", async () => {
+			const { token, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 2 },
+			]);
+			const convert = vi
+				.spyOn(reservationService, "convertOrderReservation")
+				.mockRejectedValueOnce(new Error("write failed"));
+			const refund = vi
+				.spyOn(paymentGatewayService, "refund")
+				.mockResolvedValueOnce({ status: "failed", message: "unavailable" });
+
+			try {
+				const res = await request
+					.post("/api/v1/me/orders")
+					.set("Authorization", `Bearer ${token}`)
+					.send(orderBody)
+					.expect(202);
+
+				expect(res.body.status).toBe("pending_payment");
+				expect(res.body.paymentStatus).toBe("paid");
+
+				const afterWindow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+				expect(
+					await orderService.expireStalePendingPayments(afterWindow),
+				).toBe(0);
+				const order = await Order.findById(res.body._id);
+				expect(order.status).toBe("processing");
+				const variant = await ProductVariant.findById(variantA._id);
+				expect(variant.stockQuantity).toBe(1);
+				expect(variant.reservedQuantity).toBe(0);
+			} finally {
+				convert.mockRestore();
+				refund.mockRestore();
+			}
+		});
+	});
+
+	describe("Cancellation", () => {
+		it("should restore stock and refund a paid order exactly once", async () => {
+			const { token, orderBody } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 2 },
+			]);
+			const orderRes = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(201);
+			expect((await ProductVariant.findById(variantA._id)).stockQuantity).toBe(
+				1,
+			);
+
+			const cancel = () =>
+				request
+					.post(`/api/v1/me/orders/${orderRes.body._id}/cancel`)
+					.set("Authorization", `Bearer ${token}`)
+					.expect(200);
+			const res = await cancel();
+			await cancel(); // A retried request changes nothing
+
+			expect(res.body.status).toBe("cancelled_by_user");
+			expect((await ProductVariant.findById(variantA._id)).stockQuantity).toBe(
+				3,
+			);
+			const order = await Order.findById(orderRes.body._id);
+			expect(order.paymentStatus).toBe("refunded");
+			expect(order.refunds).toHaveLength(1);
+			expect(order.refunds[0]).toMatchObject({
+				source: "cancellation",
+				amount: order.totalAmount,
+				status: "succeeded",
+			});
+			// The refund is spread over the items, so later refunds see accurate caps
+			const [line] = await OrderItem.find({ orderId: order._id });
+			expect(line.refundedQuantity).toBe(2);
+			expect(order.refunds[0].items).toHaveLength(1);
+			const releases = await InventoryMovement.find({
+				type: "cancellation_release",
+			});
+			expect(releases).toHaveLength(1);
+			expect(releases[0]).toMatchObject({
+				quantityChange: 2,
+				quantityAfter: 3,
+				actorRole: "buyer",
+			});
+		});
+
+		it("should void the payment of an order still awaiting 3-D Secure", async () => {
+			const { token, orderBody } = await createBuyerWithCart(
+				[{ variant: variantA, quantity: 1 }],
+				{ paymentToken: `tok_sim_3ds_${uuidv4()}` },
+			);
+			const orderRes = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${token}`)
+				.send(orderBody)
+				.expect(202);
+
+			await request
+				.post(`/api/v1/me/orders/${orderRes.body._id}/cancel`)
+				.set("Authorization", `Bearer ${token}`)
+				.expect(200);
+
+			const order = await Order.findById(orderRes.body._id);
+			expect(order.status).toBe("cancelled_by_user");
+			expect(order.paymentStatus).toBe("voided");
+			expect(order.refunds).toHaveLength(0);
+			const variant = await ProductVariant.findById(variantA._id);
+			expect(variant.stockQuantity).toBe(3);
+			expect(variant.reservedQuantity).toBe(0);
+			// Only a hold was released: nothing was deducted, so nothing is put back
+			expect(
+				await InventoryMovement.countDocuments({ orderId: order._id }),
+			).toBe(0);
+		});
+	});
+
+	describe("Stock reservations (/api/v1/me/cart/reservation)", () => {
+		it("should hold stock so other buyers cannot order it, then convert on checkout", async () => {
+			const holder = await createBuyerWithCart([
+				{ variant: variantB, quantity: 1 },
+			]);
+			const other = await createBuyerWithCart([
+				{ variant: variantB, quantity: 1 },
+			]);
+
+			const reserveRes = await request
+				.post("/api/v1/me/cart/reservation")
+				.set("Authorization", `Bearer ${holder.token}`)
+				.expect(201);
+			expect(reserveRes.body.status).toBe("active");
+			expect(
+				(await ProductVariant.findById(variantB._id)).reservedQuantity,
+			).toBe(1);
+
+			const blocked = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${other.token}`)
+				.send(other.orderBody)
+				.expect(409);
+			expect(blocked.body.errors[0].changes).toEqual([
+				{ type: "out_of_stock" },
+			]);
+
+			const orderRes = await request
+				.post("/api/v1/me/orders")
+				.set("Authorization", `Bearer ${holder.token}`)
+				.send(holder.orderBody)
+				.expect(201);
+
+			const variant = await ProductVariant.findById(variantB._id);
+			expect(variant.stockQuantity).toBe(0);
+			expect(variant.reservedQuantity).toBe(0);
+			const reservation = await InventoryReservation.findById(
+				reserveRes.body.id,
+			);
+			expect(reservation.status).toBe("converted");
+			expect(reservation.orderId).toBe(orderRes.body._id);
+		});
+
+		it("should release the hold when the buyer cancels it", async () => {
+			const { token } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 2 },
+			]);
+			await request
+				.post("/api/v1/me/cart/reservation")
+				.set("Authorization", `Bearer ${token}`)
+				.expect(201);
+
+			await request
+				.delete("/api/v1/me/cart/reservation")
+				.set("Authorization", `Bearer ${token}`)
+				.expect(204);
+
+			expect(
+				(await ProductVariant.findById(variantA._id)).reservedQuantity,
+			).toBe(0);
+			await request
+				.get("/api/v1/me/cart/reservation")
+				.set("Authorization", `Bearer ${token}`)
+				.expect(404);
+		});
+
+		it("should release expired holds exactly once", async () => {
+			const { token } = await createBuyerWithCart([
+				{ variant: variantA, quantity: 2 },
+			]);
+			const reserveRes = await request
+				.post("/api/v1/me/cart/reservation")
+				.set("Authorization", `Bearer ${token}`)
+				.expect(201);
+
+			const afterExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000);
+			expect(
+				await reservationService.expireStaleReservations(afterExpiry),
+			).toBe(1);
+			expect(
+				await reservationService.expireStaleReservations(afterExpiry),
+			).toBe(0);
+
+			expect(
+				(await ProductVariant.findById(variantA._id)).reservedQuantity,
+			).toBe(0);
+			expect(
+				(await InventoryReservation.findById(reserveRes.body.id)).status,
+			).toBe("expired");
+		});
+
+		it("should refuse to reserve more than is available", async () => {
+			const { token } = await createBuyerWithCart([
+				{ variant: variantB, quantity: 2 },
+			]);
+			const res = await request
+				.post("/api/v1/me/cart/reservation")
+				.set("Authorization", `Bearer ${token}`)
+				.expect(409);
+			expect(res.body.errors[0].variantId).toBe(variantB._id);
+			expect(await InventoryReservation.countDocuments({})).toBe(0);
+		});
+	});
+});
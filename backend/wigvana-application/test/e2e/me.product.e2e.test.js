@@ -18,6 +18,8 @@ import User from "../../src/models/User.model.js";
 import Product from "../../src/models/Product.model.js";
 import Category from "../../src/models/Category.model.js";
 import ProductImage from "../../src/models/ProductImage.model.js";
+import ProductVariant from "../../src/models/ProductVariant.model.js";
+import InventoryMovement from "../../src/models/InventoryMovement.model.js";
 import { redisService } from "../../src/services/redis.service.js";
 
 const request = supertest(app);
@@ -96,6 +98,8 @@ describe("Seller Product Management Endpoints (/me/products)", () => {
 		await Product.deleteMany({});
 		await Category.deleteMany({});
 		await ProductImage.deleteMany({}); // Use actual deleteMany if schema is real
+		await ProductVariant.deleteMany({});
+		await InventoryMovement.deleteMany({});
 		await redisService.client.flushdb();
 
 		const rawPassword = "sellerProdPass";
@@ -299,4 +303,131 @@ describe("Seller Product Management Endpoints (/me/products)", () => {
 			});
 		});
 	});
+
+	describe("Inventory", () => {
+		let inventoryProduct;
+		let mug;
+		let cap;
+
+		beforeEach(async () => {
+			inventoryProduct = await Product.create({
+				...productData,
+				categoryId: category1._id,
+				sellerId: sellerUser._id,
+				approvalStatus: "approved",
+			});
+			mug = await ProductVariant.create({
+				productId: inventoryProduct._id,
+				sku: `MUG-${uuidv4()}`,
+				attributes: { color: "White" },
+				price: 12,
+				stockQuantity: 20,
+				lowStockThreshold: 5,
+			});
+			cap = await ProductVariant.create({
+				productId: inventoryProduct._id,
+				sku: `CAP-${uuidv4()}`,
+				attributes: { color: "Black" },
+				price: 18,
+				stockQuantity: 8,
+			});
+		});
+
+		it("POST /api/v1/me/products/inventory - should set stock from JSON, record the ledger and flag low stock", async () => {
+			const res = await request
+				.post("/api/v1/me/products/inventory")
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({
+					items: [
+						{ sku: mug.sku, quantity: 3 },
+						{ sku: cap.sku, quantity: 8 },
+					],
+					note: "Stock take",
+				})
+				.expect(200);
+
+			expect(res.body.updatedCount).toBe(2);
+			const mugLevel = res.body.results.find((r) => r.sku === mug.sku);
+			expect(mugLevel).toMatchObject({ onHand: 3, lowStock: true });
+			expect(mugLevel.lowStockAlertedAt).not.toBeNull();
+
+			// Unchanged quantities are not written to the ledger
+			const movements = await InventoryMovement.find({}).lean();
+			expect(movements).toHaveLength(1);
+			expect(movements[0]).toMatchObject({
+				variantId: mug._id,
+				type: "manual_adjustment",
+				quantityChange: -17,
+				quantityAfter: 3,
+				actorRole: "seller",
+				note: "Stock take",
+			});
+
+			const lowStock = await request
+				.get("/api/v1/me/products/inventory?lowStock=true")
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.expect(200);
+			expect(lowStock.body.results.map((r) => r.sku)).toEqual([mug.sku]);
+		});
+
+		it("POST /api/v1/me/products/inventory - should adjust stock from a CSV upload", async () => {
+			await request
+				.post("/api/v1/me/products/inventory?mode=adjust")
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.set("Content-Type", "text/csv")
+				.send(`sku,quantity\n${mug.sku},-2\n${cap.sku},+4\n`)
+				.expect(200);
+
+			expect((await ProductVariant.findById(mug._id)).stockQuantity).toBe(18);
+			expect((await ProductVariant.findById(cap._id)).stockQuantity).toBe(12);
+
+			const res = await request
+				.get("/api/v1/me/products/inventory/movements")
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.expect(200);
+			expect(res.body.totalResults).toBe(2);
+		});
+
+		it("POST /api/v1/me/products/inventory - should reject the whole update if any row is invalid", async () => {
+			const res = await request
+				.post("/api/v1/me/products/inventory?mode=adjust")
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({
+					items: [
+						{ sku: mug.sku, quantity: 5 },
+						{ sku: cap.sku, quantity: -9 },
+						{ sku: "NOT-MINE", quantity: 1 },
+					],
+				})
+				.expect(400);
+
+			expect(res.body.errors.map((e) => e.row)).toEqual([2, 3]);
+			expect((await ProductVariant.findById(mug._id)).stockQuantity).toBe(20);
+			expect(await InventoryMovement.countDocuments()).toBe(0);
+		});
+
+		it("POST /api/v1/me/products/inventory - should not lower stock below the units held for pending orders", async () => {
+			await ProductVariant.updateOne({ _id: mug._id }, { reservedQuantity: 6 });
+
+			const set = await request
+				.post("/api/v1/me/products/inventory")
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ items: [{ sku: mug.sku, quantity: 5 }] })
+				.expect(400);
+			expect(set.body.errors.map((e) => e.row)).toEqual([1]);
+
+			await request
+				.post("/api/v1/me/products/inventory?mode=adjust")
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ items: [{ sku: mug.sku, quantity: -15 }] })
+				.expect(400);
+
+			await request
+				.post("/api/v1/me/products/inventory")
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ items: [{ sku: mug.sku, quantity: 6 }] })
+				.expect(200);
+			expect((await ProductVariant.findById(mug._id)).stockQuantity).toBe(6);
+		});
+	});
 });
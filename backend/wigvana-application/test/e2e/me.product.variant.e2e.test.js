@@ -189,6 +189,23 @@ describe("Seller Product Variant Management Endpoints (/me/products/:productId/v
 			expect(res.body.stockQuantity).toBe(newStock);
 		});
 
+		it("PATCH /me/products/:productId/variants/:variantId - should not set stock below the reserved units", async () => {
+			await ProductVariant.updateOne(
+				{ _id: testVariant._id },
+				{ reservedQuantity: 10 },
+			);
+			await request
+				.patch(
+					`/api/v1/me/products/${product1._id}/variants/${testVariant._id}`,
+				)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ stockQuantity: 9, price: 1 })
+				.expect(409);
+			const dbVariant = await ProductVariant.findById(testVariant._id);
+			expect(dbVariant.stockQuantity).toBe(variantData.stockQuantity);
+			expect(dbVariant.price).toBe(variantData.price);
+		});
+
 		it("DELETE /me/products/:productId/variants/:variantId - should delete a variant", async () => {
 			await request
 				.delete(
@@ -0,0 +1,243 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import supertest from "supertest";
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import bcrypt from "bcryptjs";
+import app from "../../src/app.js";
+import User from "../../src/models/User.model.js";
+import { redisService } from "../../src/services/redis.service.js";
+import { generateTotp, totpStepAt } from "../../src/utils/totp.js";
+import { enableTwoFactorAndStepUp } from "./helpers/twoFactor.js";
+
+const request = supertest(app);
+
+const login = (email, password) =>
+	request.post("/api/v1/auth/login").send({ email, password }).expect(200);
+
+describe("Two-Factor Authentication (/me/two-factor)", () => {
+	const password = "twoFactorPass1";
+	let user;
+	let accessToken;
+
+	const createUser = async (roles) =>
+		User.create({
+			firstName: "Two",
+			lastName: "Factor",
+			email: `2fa-${uuidv4()}@example.com`,
+			passwordHash: await bcrypt.hash(password, 10),
+			roles,
+			emailVerified: true,
+			accountStatus: "active",
+		});
+
+	beforeAll(async () => {
+		if (mongoose.connection.readyState === 0) {
+			await mongoose.connect(global.testConfig.MONGO_URI, {
+				directConnection: true,
+			});
+		}
+	});
+
+	afterAll(async () => {
+		await mongoose.disconnect();
+		if (redisService.client && redisService.client.status === "ready") {
+			await redisService.client.quit();
+		}
+	});
+
+	beforeEach(async () => {
+		await User.deleteMany({});
+		await redisService.client.flushdb();
+
+		user = await createUser(["seller", "buyer"]);
+		accessToken = (await login(user.email, password)).body.accessToken;
+	});
+
+	describe("Enrollment", () => {
+		it("should enable two-factor after confirming a code from the provisioned secret", async () => {
+			const setup = await request
+				.post("/api/v1/me/two-factor/setup")
+				.set("Authorization", `Bearer ${accessToken}`)
+				.expect(200);
+			expect(setup.body.otpauthUri).toMatch(
+				new RegExp(`^otpauth://totp/.+\\?secret=${setup.body.secret}&`),
+			);
+
+			await request
+				.post("/api/v1/me/two-factor/enable")
+				.set("Authorization", `Bearer ${accessToken}`)
+				.send({ code: generateTotp(setup.body.secret, totpStepAt() + 5) })
+				.expect(400);
+
+			const enabled = await request
+				.post("/api/v1/me/two-factor/enable")
+				.set("Authorization", `Bearer ${accessToken}`)
+				.send({ code: generateTotp(setup.body.secret, totpStepAt()) })
+				.expect(200);
+			expect(enabled.body.recoveryCodes).toHaveLength(10);
+
+			const status = await request
+				.get("/api/v1/me/two-factor")
+				.set("Authorization", `Bearer ${accessToken}`)
+				.expect(200);
+			expect(status.body).toMatchObject({
+				enabled: true,
+				required: false,
+				recoveryCodesRemaining: 10,
+			});
+
+			const stored = await User.findById(user._id).select(
+				"+twoFactor.secret +twoFactor.recoveryCodes",
+			);
+			expect(stored.twoFactor.secret).not.toContain(setup.body.secret);
+			expect(stored.twoFactor.recoveryCodes).not.toContain(
+				enabled.body.recoveryCodes[0],
+			);
+		});
+	});
+
+	describe("Login", () => {
+		let secret;
+
+		beforeEach(async () => {
+			({ secret } = await enableTwoFactorAndStepUp(request, accessToken));
+		});
+
+		it("should return a challenge instead of tokens, completed by a fresh code", async () => {
+			const first = await login(user.email, password);
+			expect(first.body).toMatchObject({ twoFactorRequired: true });
+			expect(first.body.accessToken).toBeUndefined();
+			expect(first.headers["set-cookie"]).toBeUndefined();
+
+			const res = await request
+				.post("/api/v1/auth/login/two-factor")
+				.send({
+					challengeToken: first.body.challengeToken,
+					code: generateTotp(secret, totpStepAt() + 1),
+				})
+				.expect(200);
+			expect(res.body.accessToken).toBeDefined();
+			expect(res.headers["set-cookie"][0]).toMatch(/^refreshToken=/);
+
+			// The challenge works once
+			await request
+				.post("/api/v1/auth/login/two-factor")
+				.send({
+					challengeToken: first.body.challengeToken,
+					code: generateTotp(secret, totpStepAt() + 1),
+				})
+				.expect(401);
+		});
+
+		it("should accept each recovery code once", async () => {
+			const codes = await request
+				.post("/api/v1/me/two-factor/recovery-codes")
+				.set("Authorization", `Bearer ${accessToken}`)
+				.send({ code: generateTotp(secret, totpStepAt() + 1) })
+				.expect(200);
+			const [recoveryCode] = codes.body.recoveryCodes;
+
+			const first = await login(user.email, password);
+			await request
+				.post("/api/v1/auth/login/two-factor")
+				.send({ challengeToken: first.body.challengeToken, recoveryCode })
+				.expect(200);
+
+			const second = await login(user.email, password);
+			await request
+				.post("/api/v1/auth/login/two-factor")
+				.send({ challengeToken: second.body.challengeToken, recoveryCode })
+				.expect(401);
+		});
+
+		it("should lock out after too many invalid codes", async () => {
+			const { challengeToken } = (await login(user.email, password)).body;
+			const wrong = generateTotp(secret, totpStepAt() + 5);
+
+			for (let attempt = 0; attempt < 5; attempt += 1) {
+				await request
+					.post("/api/v1/auth/login/two-factor")
+					.send({ challengeToken, code: wrong })
+					.expect(401);
+			}
+			await request
+				.post("/api/v1/auth/login/two-factor")
+				.send({ challengeToken, code: generateTotp(secret, totpStepAt() + 1) })
+				.expect(429);
+
+			// Logging in again gives no fresh guesses: the account waits out a short delay...
+			const retry = await login(user.email, password);
+			const secondFactor = {
+				challengeToken: retry.body.challengeToken,
+				code: generateTotp(secret, totpStepAt() + 1),
+			};
+			await request
+				.post("/api/v1/auth/login/two-factor")
+				.send(secondFactor)
+				.expect(429);
+
+			// ...but is not locked, so the owner gets in once it has passed
+			await new Promise((resolve) => setTimeout(resolve, 1100));
+			await request
+				.post("/api/v1/auth/login/two-factor")
+				.send(secondFactor)
+				.expect(200);
+		});
+	});
+
+	describe("Admins", () => {
+		let admin;
+		let adminToken;
+		let target;
+
+		beforeEach(async () => {
+			admin = await createUser(["admin"]);
+			adminToken = (await login(admin.email, password)).body.accessToken;
+			target = await createUser(["buyer"]);
+		});
+
+		it("should keep admins out of the admin area until they enable two-factor", async () => {
+			await request
+				.get("/api/v1/admin/users")
+				.set("Authorization", `Bearer ${adminToken}`)
+				.expect(403);
+
+			await enableTwoFactorAndStepUp(request, adminToken);
+
+			await request
+				.get("/api/v1/admin/users")
+				.set("Authorization", `Bearer ${adminToken}`)
+				.expect(200);
+		});
+
+		it("should require a step-up for sensitive actions", async () => {
+			const { secret } = await enableTwoFactorAndStepUp(request, adminToken);
+			await redisService.client.flushdb(); // Drop the step-up, keep the enrollment
+
+			await request
+				.post(`/api/v1/admin/users/${target._id}/suspend`)
+				.set("Authorization", `Bearer ${adminToken}`)
+				.expect(403);
+
+			await request
+				.post("/api/v1/me/two-factor/step-up")
+				.set("Authorization", `Bearer ${adminToken}`)
+				.send({ code: generateTotp(secret, totpStepAt() + 1) })
+				.expect(200);
+			await request
+				.post(`/api/v1/admin/users/${target._id}/suspend`)
+				.set("Authorization", `Bearer ${adminToken}`)
+				.expect(200);
+		});
+
+		it("should not let admins disable two-factor", async () => {
+			const { secret } = await enableTwoFactorAndStepUp(request, adminToken);
+
+			await request
+				.post("/api/v1/me/two-factor/disable")
+				.set("Authorization", `Bearer ${adminToken}`)
+				.send({ password, code: generateTotp(secret, totpStepAt() + 1) })
+				.expect(403);
+		});
+	});
+});
@@ -0,0 +1,329 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import supertest from "supertest";
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import bcrypt from "bcryptjs";
+import app from "../../src/app.js";
+import User from "../../src/models/User.model.js";
+import Cart from "../../src/models/Cart.model.js";
+import CartItem from "../../src/models/CartItem.model.js";
+import Product from "../../src/models/Product.model.js";
+import ProductVariant from "../../src/models/ProductVariant.model.js";
+import Category from "../../src/models/Category.model.js";
+import Wishlist from "../../src/models/Wishlist.model.js";
+import WishlistItem from "../../src/models/WishlistItem.model.js";
+import { redisService } from "../../src/services/redis.service.js";
+
+const request = supertest(app);
+
+const loginUserAndGetToken = async (email, password) => {
+	const res = await request
+		.post("/api/v1/auth/login")
+		.send({ email, password });
+	return res.body.accessToken;
+};
+
+describe("Buyer Wishlist Endpoints (/me/wishlists)", () => {
+	const buyerPassword = "wishlistBuyerPass";
+	let buyerToken;
+	let product;
+	let variantA;
+	let variantB;
+
+	const createList = async (body) =>
+		request
+			.post("/api/v1/me/wishlists")
+			.set("Authorization", `Bearer ${buyerToken}`)
+			.send(body)
+			.expect(201);
+
+	const addItem = async (wishlistId, body) =>
+		request
+			.post(`/api/v1/me/wishlists/${wishlistId}/items`)
+			.set("Authorization", `Bearer ${buyerToken}`)
+			.send(body)
+			.expect(200);
+
+	beforeAll(async () => {
+		if (mongoose.connection.readyState === 0) {
+			await mongoose.connect(global.testConfig.MONGO_URI, {
+				directConnection: true,
+			});
+		}
+	});
+
+	afterAll(async () => {
+		await mongoose.disconnect();
+		if (redisService.client && redisService.client.status === "ready") {
+			await redisService.client.quit();
+		}
+	});
+
+	beforeEach(async () => {
+		await User.deleteMany({});
+		await Cart.deleteMany({});
+		await CartItem.deleteMany({});
+		await Product.deleteMany({});
+		await ProductVariant.deleteMany({});
+		await Category.deleteMany({});
+		await Wishlist.deleteMany({});
+		await WishlistItem.deleteMany({});
+		await redisService.client.flushdb();
+
+		const buyer = await User.create({
+			firstName: "Wanda",
+			lastName: "Wisher",
+			email: `wishlist-${uuidv4()}@example.com`,
+			passwordHash: await bcrypt.hash(buyerPassword, 10),
+			roles: ["buyer"],
+			emailVerified: true,
+			accountStatus: "active",
+		});
+		buyerToken = await loginUserAndGetToken(buyer.email, buyerPassword);
+
+		const seller = await User.create({
+			firstName: "Seller",
+			lastName: "ForWishlists",
+			email: `seller-wishlist-${uuidv4()}@example.com`,
+			passwordHash: "test",
+			roles: ["seller"],
+			emailVerified: true,
+			accountStatus: "active",
+		});
+		const category = await Category.create({
+			name: "Wishlist Category",
+			slug: `wishlist-cat-${uuidv4()}`,
+		});
+		product = await Product.create({
+			name: "Wishlist Wig",
+			slug: `wishlist-wig-${uuidv4()}`,
+			basePrice: 80,
+			currency: "USD",
+			categoryId: category._id,
+			sellerId: seller._id,
+			isPublished: true,
+			approvalStatus: "approved",
+		});
+		variantA = await ProductVariant.create({
+			productId: product._id,
+			sku: `WL-A-${uuidv4()}`,
+			attributes: { length: "14in" },
+			price: 80,
+			stockQuantity: 5,
+			isActive: true,
+		});
+		variantB = await ProductVariant.create({
+			productId: product._id,
+			sku: `WL-B-${uuidv4()}`,
+			attributes: { length: "18in" },
+			price: 100,
+			stockQuantity: 0,
+			isActive: true,
+		});
+	});
+
+	describe("Lists", () => {
+		it("should create named lists and refuse a name already in use", async () => {
+			const res = await createList({ name: "Birthday ideas" });
+			expect(res.body).toMatchObject({
+				name: "Birthday ideas",
+				type: "wishlist",
+				isPublic: false,
+				shareUrl: null,
+				items: [],
+			});
+			await createList({ name: "Everyday" });
+
+			await request
+				.post("/api/v1/me/wishlists")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.send({ name: "birthday IDEAS" })
+				.expect(409);
+
+			const listRes = await request
+				.get("/api/v1/me/wishlists")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			expect(listRes.body.map((list) => list.name)).toEqual([
+				"Birthday ideas",
+				"Everyday",
+			]);
+		});
+
+		it("should share a public list by link until it is made private", async () => {
+			const { body: list } = await createList({ name: "Gift list" });
+			await addItem(list.id, { productId: product._id });
+
+			const shareRes = await request
+				.patch(`/api/v1/me/wishlists/${list.id}`)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.send({ isPublic: true })
+				.expect(200);
+			const sharePath = new URL(shareRes.body.shareUrl).pathname;
+
+			const sharedRes = await request.get(sharePath).expect(200);
+			expect(sharedRes.body).toMatchObject({
+				name: "Gift list",
+				ownerFirstName: "Wanda",
+			});
+			expect(sharedRes.body.items).toHaveLength(1);
+			expect(sharedRes.body.userId).toBeUndefined();
+
+			await request
+				.patch(`/api/v1/me/wishlists/${list.id}`)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.send({ isPublic: false })
+				.expect(200);
+			await request.get(sharePath).expect(404);
+		});
+	});
+
+	describe("Items", () => {
+		it("should flag price drops and items back in stock", async () => {
+			const { body: list } = await createList({ name: "Watching" });
+			await addItem(list.id, { productId: product._id }); // Cheapest variant: 80
+			await addItem(list.id, {
+				productId: product._id,
+				variantId: variantB._id,
+			}); // Out of stock
+
+			await ProductVariant.updateOne({ _id: variantA._id }, { price: 70 });
+			await ProductVariant.updateOne(
+				{ _id: variantB._id },
+				{ stockQuantity: 3 },
+			);
+
+			const res = await request
+				.get(`/api/v1/me/wishlists/${list.id}`)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			const productItem = res.body.items.find((item) => !item.variantId);
+			const variantItem = res.body.items.find(
+				(item) => item.variantId === variantB._id,
+			);
+
+			expect(productItem).toMatchObject({
+				priceWhenAdded: 80,
+				currentPrice: 70,
+				priceDropped: true,
+				backInStock: false,
+			});
+			expect(variantItem).toMatchObject({
+				priceWhenAdded: 100,
+				inStock: true,
+				priceDropped: false,
+				backInStock: true,
+			});
+		});
+
+		it("should not list the same product or variant twice", async () => {
+			const { body: list } = await createList({ name: "Once" });
+			await addItem(list.id, {
+				productId: product._id,
+				variantId: variantA._id,
+			});
+			const res = await addItem(list.id, {
+				productId: product._id,
+				variantId: variantA._id,
+				quantity: 2,
+			});
+
+			expect(res.body.items).toHaveLength(1);
+			expect(res.body.items[0].quantity).toBe(2);
+		});
+
+		it("should mark items whose product is no longer sold", async () => {
+			const { body: list } = await createList({ name: "Gone" });
+			await addItem(list.id, {
+				productId: product._id,
+				variantId: variantA._id,
+			});
+			await Product.updateOne({ _id: product._id }, { isPublished: false });
+
+			const res = await request
+				.get(`/api/v1/me/wishlists/${list.id}`)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+
+			expect(res.body.items[0]).toMatchObject({
+				available: false,
+				currentPrice: null,
+				priceDropped: false,
+			});
+		});
+	});
+
+	describe("Cart integration", () => {
+		it("should save a cart line for later and move it back to the cart", async () => {
+			const cartRes = await request
+				.post("/api/v1/me/cart/items")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.send({ productId: product._id, variantId: variantA._id, quantity: 2 })
+				.expect(200);
+
+			const savedRes = await request
+				.post(
+					`/api/v1/me/cart/items/${cartRes.body.items[0].id}/save-for-later`,
+				)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			expect(savedRes.body.items).toHaveLength(0);
+
+			const lists = await request
+				.get("/api/v1/me/wishlists")
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			const savedForLater = lists.body.find(
+				(list) => list.type === "saved_for_later",
+			);
+			expect(savedForLater).toMatchObject({
+				name: "Saved for later",
+				itemCount: 1,
+			});
+
+			const listRes = await request
+				.get(`/api/v1/me/wishlists/${savedForLater.id}`)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			expect(listRes.body.items[0]).toMatchObject({
+				variantId: variantA._id,
+				quantity: 2,
+			});
+
+			const movedRes = await request
+				.post(
+					`/api/v1/me/wishlists/${savedForLater.id}/items/${listRes.body.items[0].id}/move-to-cart`,
+				)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			expect(movedRes.body.items).toHaveLength(1);
+			expect(movedRes.body.items[0]).toMatchObject({
+				variantId: variantA._id,
+				quantity: 2,
+			});
+			expect(await WishlistItem.countDocuments({})).toBe(0);
+		});
+
+		it("should ask which variant to buy for a product with several", async () => {
+			const { body: list } = await createList({ name: "Undecided" });
+			const {
+				body: {
+					items: [item],
+				},
+			} = await addItem(list.id, { productId: product._id });
+			const movePath = `/api/v1/me/wishlists/${list.id}/items/${item.id}/move-to-cart`;
+
+			await request
+				.post(movePath)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(400);
+
+			const res = await request
+				.post(movePath)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.send({ variantId: variantA._id })
+				.expect(200);
+			expect(res.body.items[0].variantId).toBe(variantA._id);
+		});
+	});
+});
@@ -0,0 +1,301 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import supertest from "supertest";
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import bcrypt from "bcryptjs";
+import app from "../../src/app.js";
+import User from "../../src/models/User.model.js";
+import Order from "../../src/models/Order.model.js";
+import PaymentWebhookEvent from "../../src/models/PaymentWebhookEvent.model.js";
+import {
+	signSimulatorPayload,
+	SIMULATOR_SIGNATURE_HEADER,
+} from "../../src/services/paymentGateways/simulator.gateway.js";
+import { redisService } from "../../src/services/redis.service.js";
+import { enableTwoFactorAndStepUp } from "./helpers/twoFactor.js";
+
+const request = supertest(app);
+
+/**
+ * Posts a correctly signed simulator webhook.
+ * @param {{id?: string, type: string, data: object}} event
+ */
+const sendWebhook = (event) => {
+	const body = JSON.stringify({ id: `evt_${uuidv4()}`, ...event });
+	return request
+		.post("/api/v1/webhooks/payments/simulator")
+		.set("Content-Type", "application/json")
+		.set(SIMULATOR_SIGNATURE_HEADER, signSimulatorPayload(body))
+		.send(body);
+};
+
+describe("Payment Webhooks (/webhooks/payments/:gateway)", () => {
+	let buyer;
+
+	/** Creates an order awaiting payment on a simulator transaction. */
+	const createPendingOrder = (overrides = {}) =>
+		Order.create({
+			userId: buyer._id,
+			shippingAddressSnapshot: { city: "Webhookville" },
+			billingAddressSnapshot: { city: "Webhookville" },
+			paymentMethodDetailsSnapshot: { type: "card", gateway: "simulator" },
+			paymentGateway: "simulator",
+			paymentGatewayTransactionId: `sim_txn_${uuidv4()}`,
+			paymentStatus: "pending",
+			status: "pending_payment",
+			subtotalAmount: 80,
+			totalAmount: 80,
+			currency: "USD",
+			...overrides,
+		});
+
+	beforeAll(async () => {
+		if (mongoose.connection.readyState === 0) {
+			await mongoose.connect(global.testConfig.MONGO_URI, {
+				directConnection: true,
+			});
+		}
+	});
+
+	afterAll(async () => {
+		await mongoose.disconnect();
+		if (redisService.client && redisService.client.status === "ready") {
+			await redisService.client.quit();
+		}
+	});
+
+	beforeEach(async () => {
+		await User.deleteMany({});
+		await Order.deleteMany({});
+		await PaymentWebhookEvent.deleteMany({});
+		await redisService.client.flushdb();
+
+		buyer = await User.create({
+			firstName: "Webhook",
+			lastName: "Buyer",
+			email: `webhook-${uuidv4()}@example.com`,
+			passwordHash: "p",
+			roles: ["buyer"],
+			emailVerified: true,
+			accountStatus: "active",
+		});
+	});
+
+	it("should confirm a pending order when the capture webhook arrives", async () => {
+		const order = await createPendingOrder();
+
+		const res = await sendWebhook({
+			type: "payment.captured",
+			data: { transactionId: order.paymentGatewayTransactionId },
+		}).expect(200);
+
+		expect(res.body).toMatchObject({
+			received: true,
+			duplicate: false,
+			status: "processed",
+		});
+		const updated = await Order.findById(order._id);
+		expect(updated.status).toBe("processing");
+		expect(updated.paymentStatus).toBe("paid");
+	});
+
+	it("should acknowledge redeliveries without applying them twice", async () => {
+		const order = await createPendingOrder({
+			status: "processing",
+			paymentStatus: "paid",
+		});
+		const event = {
+			id: `evt_${uuidv4()}`,
+			type: "refund.succeeded",
+			data: { transactionId: order.paymentGatewayTransactionId, amount: 30 },
+		};
+
+		await sendWebhook(event).expect(200);
+		const res = await sendWebhook(event).expect(200);
+
+		expect(res.body.duplicate).toBe(true);
+		expect(await PaymentWebhookEvent.countDocuments()).toBe(1);
+		const updated = await Order.findById(order._id);
+		expect(updated.refunds).toHaveLength(1);
+		expect(updated.refunds[0]).toMatchObject({
+			amount: 30,
+			source: "gateway",
+			status: "succeeded",
+		});
+		expect(updated.refundedAmount).toBe(30);
+		expect(updated.paymentStatus).toBe("partially_refunded");
+	});
+
+	it("should reject webhooks with an invalid signature", async () => {
+		const body = JSON.stringify({
+			id: `evt_${uuidv4()}`,
+			type: "payment.captured",
+			data: {},
+		});
+
+		await request
+			.post("/api/v1/webhooks/payments/simulator")
+			.set("Content-Type", "application/json")
+			.set(SIMULATOR_SIGNATURE_HEADER, "0".repeat(64))
+			.send(body)
+			.expect(401);
+
+		expect(await PaymentWebhookEvent.countDocuments()).toBe(0);
+	});
+
+	it("should reject webhooks for unsupported gateways", async () => {
+		await request
+			.post("/api/v1/webhooks/payments/unknown-gateway")
+			.send({ id: "evt_1", type: "payment.captured" })
+			.expect(400);
+	});
+
+	it("should ignore a stale failure for an order that was already paid", async () => {
+		const order = await createPendingOrder({
+			status: "processing",
+			paymentStatus: "paid",
+		});
+
+		const res = await sendWebhook({
+			type: "payment.failed",
+			data: { transactionId: order.paymentGatewayTransactionId },
+		}).expect(200);
+
+		expect(res.body.status).toBe("ignored");
+		expect((await Order.findById(order._id)).status).toBe("processing");
+	});
+
+	it("should park a refund that arrives before the capture and apply it afterwards", async () => {
+		const order = await createPendingOrder();
+
+		const early = await sendWebhook({
+			type: "refund.succeeded",
+			data: { transactionId: order.paymentGatewayTransactionId, amount: 80 },
+		}).expect(200);
+		expect(early.body.status).toBe("pending_replay");
+		expect((await Order.findById(order._id)).paymentStatus).toBe("pending");
+
+		await sendWebhook({
+			type: "payment.captured",
+			data: { transactionId: order.paymentGatewayTransactionId },
+		}).expect(200);
+
+		const updated = await Order.findById(order._id);
+		expect(updated.paymentStatus).toBe("refunded");
+		expect(updated.status).toBe("refunded");
+		const parked = await PaymentWebhookEvent.findOne({
+			eventId: early.body.eventId,
+		});
+		expect(parked.status).toBe("processed");
+		expect(parked.attempts).toBe(2);
+	});
+
+	it("should mark the order disputed when a dispute opens", async () => {
+		const order = await createPendingOrder({
+			status: "delivered",
+			paymentStatus: "paid",
+		});
+
+		await sendWebhook({
+			type: "dispute.opened",
+			data: {
+				transactionId: order.paymentGatewayTransactionId,
+				disputeId: "dp_1",
+				reason: "fraudulent",
+				amount: 80,
+			},
+		}).expect(200);
+
+		const updated = await Order.findById(order._id);
+		expect(updated.paymentStatus).toBe("disputed");
+		expect(updated.dispute).toMatchObject({
+			gatewayDisputeId: "dp_1",
+			reason: "fraudulent",
+			amount: 80,
+		});
+	});
+
+	it("should re-apply an event whose processing claim went stale", async () => {
+		const order = await createPendingOrder();
+		const eventId = `evt_${uuidv4()}`;
+		// A worker claimed the event and died before applying it
+		await PaymentWebhookEvent.create({
+			gateway: "simulator",
+			eventId,
+			type: "payment.captured",
+			transactionId: order.paymentGatewayTransactionId,
+			payload: { transactionId: order.paymentGatewayTransactionId },
+			status: "processing",
+			claimedAt: new Date(Date.now() - 60 * 60 * 1000),
+			attempts: 1,
+		});
+
+		const res = await sendWebhook({
+			id: eventId,
+			type: "payment.captured",
+			data: { transactionId: order.paymentGatewayTransactionId },
+		}).expect(200);
+
+		expect(res.body.duplicate).toBe(true);
+		expect(res.body.status).toBe("processed");
+		expect((await Order.findById(order._id)).paymentStatus).toBe("paid");
+	});
+
+	describe("Admin inspection and replay", () => {
+		const adminPassword = "adminWebhookPass";
+		let adminToken;
+
+		beforeEach(async () => {
+			const admin = await User.create({
+				firstName: "Webhook",
+				lastName: "Admin",
+				email: `webhook-admin-${uuidv4()}@example.com`,
+				passwordHash: await bcrypt.hash(adminPassword, 10),
+				roles: ["admin"],
+				emailVerified: true,
+				accountStatus: "active",
+			});
+			const res = await request
+				.post("/api/v1/auth/login")
+				.send({ email: admin.email, password: adminPassword });
+			adminToken = res.body.accessToken;
+			await enableTwoFactorAndStepUp(request, adminToken);
+		});
+
+		it("should list events and replay one once its order exists", async () => {
+			const transactionId = `sim_txn_${uuidv4()}`;
+			const early = await sendWebhook({
+				type: "payment.captured",
+				data: { transactionId },
+			}).expect(200);
+			expect(early.body.status).toBe("pending_replay");
+
+			const list = await request
+				.get("/api/v1/admin/webhooks/events")
+				.query({ status: "pending_replay" })
+				.set("Authorization", `Bearer ${adminToken}`)
+				.expect(200);
+			expect(list.body.totalResults).toBe(1);
+			const storedEvent = list.body.results[0];
+			expect(storedEvent.lastError).toMatch(/No order/);
+
+			const order = await createPendingOrder({
+				paymentGatewayTransactionId: transactionId,
+			});
+			const replay = await request
+				.post(`/api/v1/admin/webhooks/events/${storedEvent.id}/replay`)
+				.set("Authorization", `Bearer ${adminToken}`)
+				.expect(200);
+
+			expect(replay.body.status).toBe("processed");
+			expect(replay.body.orderId).toBe(order._id);
+			expect((await Order.findById(order._id)).paymentStatus).toBe("paid");
+
+			// Already processed: replaying again is refused
+			await request
+				.post(`/api/v1/admin/webhooks/events/${storedEvent.id}/replay`)
+				.set("Authorization", `Bearer ${adminToken}`)
+				.expect(409);
+		});
+	});
+});
@@ -13,6 +13,7 @@ import { redisService } from "../../src/services/redis.service.js"; // For clear
 const FEATURED_PRODUCTS_CACHE_KEY = "featured_products";
 const PRODUCT_DETAIL_CACHE_KEY_PREFIX = "product_detail:";
 const PRODUCT_VARIANTS_CACHE_KEY_PREFIX = "product_variants:";
+const PRODUCT_SUGGEST_CACHE_KEY_PREFIX = "product_suggest:";
 
 const request = supertest(app);
 
@@ -60,6 +61,7 @@ describe("Product Endpoints (Anonymous)", () => {
 			`${PRODUCT_VARIANTS_CACHE_KEY_PREFIX}*`,
 		);
 		if (variantKeys.length) await redisService.client.del(variantKeys);
+		await redisService.delByPrefix(PRODUCT_SUGGEST_CACHE_KEY_PREFIX);
 		await redisService.del(FEATURED_PRODUCTS_CACHE_KEY);
 
 		const category = await Category.create({
@@ -242,6 +244,31 @@ describe("Product Endpoints (Anonymous)", () => {
 			expect(res.body.results[0].name).toBe("Laptop Pro");
 		});
 
+		it("should tolerate typos and follow product saves", async () => {
+			let res = await request.get("/api/v1/products?search=laptpo").expect(200);
+			expect(res.body.results.map((p) => p.name)).toEqual(["Laptop Pro"]);
+
+			product2.name = "Laptop Air";
+			await product2.save();
+
+			res = await request.get("/api/v1/products?search=laptop").expect(200);
+			expect(res.body.totalResults).toBe(2);
+		});
+
+		it("should filter by variant attributes and return facet counts", async () => {
+			const res = await request
+				.get("/api/v1/products?color=silver&inStock=true")
+				.expect(200);
+
+			expect(res.body.results.map((p) => p.name)).toEqual(["Laptop Pro"]);
+			expect(res.body.results[0].priceRange).toEqual({ min: 1200, max: 1200 });
+			expect(res.body.facets.attributes.color).toEqual([
+				{ value: "Silver", count: 1 },
+				{ value: "Space Gray", count: 1 },
+			]);
+			expect(res.body.facets.inStock).toBe(1);
+		});
+
 		it("should sort products by basePrice in ascending order", async () => {
 			const res = await request
 				.get("/api/v1/products?sort_by=basePrice&order=asc")
@@ -264,6 +291,30 @@ describe("Product Endpoints (Anonymous)", () => {
 		});
 	});
 
+	describe("GET /api/v1/products/suggest", () => {
+		it("should suggest listed products and categories by prefix", async () => {
+			const res = await request
+				.get("/api/v1/products/suggest?q=lap")
+				.expect(200);
+
+			expect(res.body.products).toEqual([
+				{ id: product1._id, name: "Laptop Pro", slug: "laptop-pro" },
+			]);
+
+			const categoryRes = await request
+				.get("/api/v1/products/suggest?q=elec")
+				.expect(200);
+			expect(categoryRes.body.categories[0]).toMatchObject({
+				name: "Electronics",
+				productCount: 3,
+			});
+		});
+
+		it("should require a query", async () => {
+			await request.get("/api/v1/products/suggest").expect(400);
+		});
+	});
+
 	describe("GET /api/v1/products/featured", () => {
 		it("should return featured products", async () => {
 			const res = await request.get("/api/v1/products/featured").expect(200);
@@ -281,6 +332,34 @@ describe("Product Endpoints (Anonymous)", () => {
 			expect(res.body.name).toBe(product1.name);
 		});
 
+		it("should show was/now price ranges while a variant is on sale", async () => {
+			const saleEndDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
+			await ProductVariant.updateOne(
+				{ _id: variant1_2._id },
+				{ salePrice: 999, saleStartDate: new Date(), saleEndDate },
+			);
+
+			const res = await request
+				.get(`/api/v1/products/${product1._id}`)
+				.expect(200);
+			expect(res.body).toMatchObject({
+				priceRange: { min: 999, max: 1200 },
+				regularPriceRange: { min: 1200, max: 1500 },
+				onSale: true,
+				saleEndsAt: saleEndDate.toISOString(),
+			});
+
+			const variantRes = await request
+				.get(`/api/v1/products/${product1._id}/variants/${variant1_2._id}`)
+				.expect(200);
+			expect(variantRes.body.pricing).toEqual({
+				price: 999,
+				regularPrice: 1500,
+				onSale: true,
+				saleEndsAt: saleEndDate.toISOString(),
+			});
+		});
+
 		it("should return 404 for a non-existent product ID", async () => {
 			await request.get(`/api/v1/products/${uuidv4()}`).expect(404);
 		});
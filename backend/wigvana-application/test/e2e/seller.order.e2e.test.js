@@ -12,6 +12,18 @@ import Address from "../../src/models/Address.model.js";
 import PaymentMethod from "../../src/models/PaymentMethod.model.js";
 import Order from "../../src/models/Order.model.js";
 import OrderItem from "../../src/models/OrderItem.model.js";
+import ReturnRequest from "../../src/models/ReturnRequest.model.js";
+import Shipment from "../../src/models/Shipment.model.js";
+import TrackingEvent from "../../src/models/TrackingEvent.model.js";
+import InventoryMovement from "../../src/models/InventoryMovement.model.js";
+import { shipmentService } from "../../src/services/shipment.service.js";
+import { trackingService } from "../../src/services/tracking.service.js";
+import { carrierService } from "../../src/services/carrier.service.js";
+import { paymentGatewayService } from "../../src/services/paymentGateway.service.js";
+import {
+	signMockCarrierPayload,
+	MOCK_CARRIER_SIGNATURE_HEADER,
+} from "../../src/services/carriers/mock.carrier.js";
 import { redisService } from "../../src/services/redis.service.js";
 
 const request = supertest(app);
@@ -56,6 +68,9 @@ describe("Seller Order Management Endpoints (/me/store/orders)", () => {
 		await Category.deleteMany({});
 		await Order.deleteMany({});
 		await OrderItem.deleteMany({});
+		await Shipment.deleteMany({});
+		await TrackingEvent.deleteMany({});
+		await InventoryMovement.deleteMany({});
 		await redisService.client.flushdb();
 
 		const sellerPassword = "sellerOrderPass";
@@ -79,7 +94,7 @@ describe("Seller Order Management Endpoints (/me/store/orders)", () => {
 			accountStatus: "active",
 		});
 		sellerToken = await loginUserAndGetToken(sellerUser.email, sellerPassword);
-		// buyerToken not directly used by seller endpoints but useful for creating orders
+		buyerToken = await loginUserAndGetToken(buyerUser.email, buyerPassword);
 
 		const category = await Category.create({
 			name: "Seller Order Category",
@@ -294,26 +309,498 @@ describe("Seller Order Management Endpoints (/me/store/orders)", () => {
 				.send({ status: "processing" })
 				.expect(403);
 		});
+
+		it("should only ship the seller's own items in a multi-seller order", async () => {
+			const mixedOrder = await Order.create({
+				userId: buyerUser._id,
+				status: "processing",
+				totalAmount: 40,
+				currency: "USD",
+				shippingAddressSnapshot: {},
+				billingAddressSnapshot: {},
+				paymentMethodDetailsSnapshot: {},
+			});
+			const sellerItem = await OrderItem.create({
+				orderId: mixedOrder._id,
+				productId: product1BySeller._id,
+				sellerId: sellerUser._id,
+				quantity: 1,
+				unitPrice: 10,
+				totalPrice: 10,
+				productNameSnapshot: "P1 Seller",
+				variantAttributesSnapshot: {},
+				itemStatus: "processing",
+			});
+			const otherItem = await OrderItem.create({
+				orderId: mixedOrder._id,
+				productId: productByOtherSeller._id,
+				sellerId: productByOtherSeller.sellerId,
+				quantity: 1,
+				unitPrice: 30,
+				totalPrice: 30,
+				productNameSnapshot: "P Other",
+				variantAttributesSnapshot: {},
+				itemStatus: "processing",
+			});
+
+			const res = await request
+				.patch(`/api/v1/me/store/orders/${mixedOrder._id}/status`)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ status: "shipped", trackingNumber: "MINE123", carrier: "UPS" })
+				.expect(200);
+
+			expect(res.body.status).toBe("partially_shipped");
+			expect(res.body.shipments).toHaveLength(1);
+			expect(res.body.shipments[0]).toMatchObject({
+				sellerId: sellerUser._id,
+				status: "shipped",
+				trackingNumber: "MINE123",
+			});
+			expect((await OrderItem.findById(sellerItem._id)).itemStatus).toBe(
+				"shipped",
+			);
+			expect((await OrderItem.findById(otherItem._id)).itemStatus).toBe(
+				"processing",
+			);
+			// Tracking is per shipment once several sellers are involved
+			expect((await Order.findById(mixedOrder._id)).trackingNumber).toBe(
+				undefined,
+			);
+
+			// Marking delivered twice or skipping steps is rejected
+			await request
+				.patch(`/api/v1/me/store/orders/${mixedOrder._id}/status`)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ status: "shipped", trackingNumber: "MINE123" })
+				.expect(400);
+
+			await shipmentService.updateSellerShipmentStatus(
+				productByOtherSeller.sellerId,
+				mixedOrder._id,
+				{ status: "shipped", trackingNumber: "OTHER456" },
+			);
+			expect((await Order.findById(mixedOrder._id)).status).toBe("shipped");
+
+			await request
+				.patch(`/api/v1/me/store/orders/${mixedOrder._id}/status`)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ status: "delivered" })
+				.expect(200);
+			// The other seller's parcel is still in transit
+			expect((await Order.findById(mixedOrder._id)).status).toBe("shipped");
+
+			const history = await request
+				.get(`/api/v1/me/store/orders/${mixedOrder._id}/history`)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.expect(200);
+			expect(history.body.status).toBe("shipped");
+			const orderEvents = history.body.events.filter(
+				(event) => event.entity === "order",
+			);
+			expect(
+				orderEvents.map((event) => [event.fromStatus, event.toStatus]),
+			).toEqual([
+				["processing", "partially_shipped"],
+				["partially_shipped", "shipped"],
+			]);
+			expect(orderEvents[0]).toMatchObject({
+				actorId: sellerUser._id,
+				actorRole: "seller",
+			});
+			// Only this seller's item shows up
+			const itemEvents = history.body.events.filter(
+				(event) => event.entity === "order_item",
+			);
+			expect(itemEvents.map((event) => event.toStatus)).toEqual([
+				"shipped",
+				"delivered",
+			]);
+			expect(
+				itemEvents.every((event) => event.orderItemId === sellerItem._id),
+			).toBe(true);
+		});
 	});
 
-	// Seller Return Management Tests (Placeholders - requires ReturnRequest model)
-	describe("Seller Return Management (Placeholder)", () => {
-		it.skip("GET /me/store/returns - should list return requests (TODO: Implement ReturnRequest model)", async () => {
-			// Setup: Create ReturnRequest documents linked to sellerUser
+	describe("Seller cancellation", () => {
+		it("should restock and refund only the cancelling seller's items, once", async () => {
+			const variant = await ProductVariant.create({
+				productId: product1BySeller._id,
+				sku: `SO-CANCEL-${uuidv4()}`,
+				attributes: { size: "M" },
+				price: 10,
+				stockQuantity: 4,
+			});
+			const authorization = await paymentGatewayService.authorize(
+				"simulator",
+				{
+					amount: 45,
+					currency: "USD",
+					paymentToken: `tok_sim_${uuidv4()}`,
+					orderId: "seller-cancel-test",
+				},
+			);
+			await paymentGatewayService.capture("simulator", {
+				transactionId: authorization.transactionId,
+				amount: 45,
+			});
+			const order = await Order.create({
+				userId: buyerUser._id,
+				status: "processing",
+				paymentStatus: "paid",
+				paymentGateway: "simulator",
+				paymentGatewayTransactionId: authorization.transactionId,
+				subtotalAmount: 35,
+				shippingCost: 10,
+				totalAmount: 45,
+				currency: "USD",
+				shippingAddressSnapshot: {},
+				billingAddressSnapshot: {},
+				paymentMethodDetailsSnapshot: {},
+			});
+			const [sellerShipment, otherShipment] = await Shipment.create([
+				{
+					orderId: order._id,
+					sellerId: sellerUser._id,
+					status: "processing",
+					shippingCost: 5,
+				},
+				{
+					orderId: order._id,
+					sellerId: productByOtherSeller.sellerId,
+					status: "processing",
+					shippingCost: 5,
+				},
+			]);
+			const sellerItem = await OrderItem.create({
+				orderId: order._id,
+				productId: product1BySeller._id,
+				variantId: variant._id,
+				sellerId: sellerUser._id,
+				shipmentId: sellerShipment._id,
+				quantity: 2,
+				unitPrice: 10,
+				totalPrice: 20,
+				productNameSnapshot: "p1s",
+				variantAttributesSnapshot: {},
+				itemStatus: "processing",
+			});
+			await OrderItem.create({
+				orderId: order._id,
+				productId: productByOtherSeller._id,
+				sellerId: productByOtherSeller.sellerId,
+				shipmentId: otherShipment._id,
+				quantity: 1,
+				unitPrice: 15,
+				totalPrice: 15,
+				productNameSnapshot: "pos",
+				variantAttributesSnapshot: {},
+				itemStatus: "processing",
+			});
+
+			const cancel = () =>
+				request
+					.patch(`/api/v1/me/store/orders/${order._id}/status`)
+					.set("Authorization", `Bearer ${sellerToken}`)
+					.send({ status: "cancelled_by_seller", notes: "Out of stock" })
+					.expect(200);
+			await cancel();
+			await cancel(); // A retried request changes nothing
+
+			expect((await ProductVariant.findById(variant._id)).stockQuantity).toBe(
+				6,
+			);
+			expect(
+				await InventoryMovement.countDocuments({
+					type: "cancellation_release",
+				}),
+			).toBe(1);
+			const updated = await Order.findById(order._id);
+			expect(updated.status).toBe("processing"); // The other seller still ships
+			expect(updated.paymentStatus).toBe("partially_refunded");
+			expect(updated.refunds).toHaveLength(1);
+			expect(updated.refunds[0]).toMatchObject({
+				source: "cancellation",
+				shipmentId: sellerShipment._id,
+				amount: 25, // Two units plus the shipment's shipping
+				shippingAmount: 5,
+			});
+			expect((await OrderItem.findById(sellerItem._id)).itemStatus).toBe(
+				"cancelled",
+			);
+		});
+	});
+
+	describe("Carrier tracking", () => {
+		const shipWith = (carrier, trackingNumber) =>
+			request
+				.patch(`/api/v1/me/store/orders/${order1._id}/status`)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ status: "shipped", carrier, trackingNumber })
+				.expect(200);
+
+		const sendCarrierWebhook = (payload, signature) => {
+			const rawBody = JSON.stringify(payload);
+			return request
+				.post("/api/v1/webhooks/carriers/mock")
+				.set("Content-Type", "application/json")
+				.set(
+					MOCK_CARRIER_SIGNATURE_HEADER,
+					signature ?? signMockCarrierPayload(rawBody),
+				)
+				.send(rawBody);
+		};
+
+		it("should deliver the order from polled scans and show the buyer the timeline", async () => {
+			await shipWith("Mock", "MOCK-DELIVERED-1");
+
+			await trackingService.pollShipmentTracking();
+
+			const order = await Order.findById(order1._id);
+			expect(order.status).toBe("delivered");
+			const item = await OrderItem.findOne({ orderId: order1._id });
+			expect(item.itemStatus).toBe("delivered");
+
+			const res = await request
+				.get(`/api/v1/me/orders/${order1._id}/tracking`)
+				.set("Authorization", `Bearer ${buyerToken}`)
+				.expect(200);
+			expect(res.body.shipments).toHaveLength(1);
+			expect(res.body.shipments[0].status).toBe("delivered");
+			expect(res.body.shipments[0].events.map((e) => e.status)).toEqual([
+				"in_transit",
+				"out_for_delivery",
+				"delivered",
+			]);
+
+			// Later reports repeat the same scans; none are stored twice
+			const shipment = await Shipment.findOne({ orderId: order1._id }).lean();
+			const scans = await carrierService
+				.getCarrier("mock")
+				.fetchTrackingEvents({
+					trackingNumber: shipment.trackingNumber,
+					shippedAt: shipment.shippedAt,
+				});
+			const { recorded } = await trackingService.recordTrackingEvents(
+				shipment,
+				scans,
+				"poll",
+			);
+			expect(recorded).toBe(0);
+			expect(await TrackingEvent.countDocuments({ orderId: order1._id })).toBe(
+				3,
+			);
+		});
+
+		it("should not poll carriers without an adapter", async () => {
+			await shipWith("FedEx", "TRACK123XYZ");
+
+			expect(await trackingService.pollShipmentTracking()).toBe(0);
+		});
+
+		it("should apply signed carrier webhooks once", async () => {
+			await shipWith("mock", "MOCK-777");
+			const payload = {
+				trackingNumber: "MOCK-777",
+				events: [
+					{
+						id: "scan-1",
+						status: "out_for_delivery",
+						description: "With the driver.",
+						occurredAt: new Date().toISOString(),
+					},
+				],
+			};
+
+			const first = await sendCarrierWebhook(payload).expect(200);
+			expect(first.body).toMatchObject({
+				matched: true,
+				recorded: 1,
+				status: "out_for_delivery",
+			});
+			expect((await Order.findById(order1._id)).status).toBe(
+				"out_for_delivery",
+			);
+
+			const redelivery = await sendCarrierWebhook(payload).expect(200);
+			expect(redelivery.body.recorded).toBe(0);
+
+			await sendCarrierWebhook(payload, "forged").expect(401);
+			const unknown = await sendCarrierWebhook({
+				...payload,
+				trackingNumber: "MOCK-UNKNOWN",
+			}).expect(200);
+			expect(unknown.body.matched).toBe(false);
+		});
+	});
+
+	describe("Seller Return Management", () => {
+		let variant;
+		let deliveredItem;
+		let returnRequest;
+
+		beforeEach(async () => {
+			await ReturnRequest.deleteMany({});
+			variant = await ProductVariant.create({
+				productId: product1BySeller._id,
+				sku: `RET-${uuidv4()}`,
+				attributes: { color: "Black" },
+				price: 10,
+				stockQuantity: 5,
+				isActive: true,
+			});
+			const deliveredOrder = await Order.create({
+				userId: buyerUser._id,
+				status: "delivered",
+				totalAmount: 20,
+				currency: "USD",
+				shippingAddressSnapshot: {},
+				billingAddressSnapshot: {},
+				paymentMethodDetailsSnapshot: {},
+			});
+			deliveredItem = await OrderItem.create({
+				orderId: deliveredOrder._id,
+				productId: product1BySeller._id,
+				variantId: variant._id,
+				sellerId: sellerUser._id,
+				quantity: 2,
+				unitPrice: 10,
+				totalPrice: 20,
+				productNameSnapshot: "P1 Seller",
+				variantAttributesSnapshot: { color: "Black" },
+				itemStatus: "return_requested",
+			});
+			returnRequest = await ReturnRequest.create({
+				orderId: deliveredOrder._id,
+				orderItemId: deliveredItem._id,
+				buyerId: buyerUser._id,
+				sellerId: sellerUser._id,
+				productId: product1BySeller._id,
+				variantId: variant._id,
+				productNameSnapshot: "P1 Seller",
+				quantity: 2,
+				reason: "Wrong colour",
+			});
+		});
+
+		it("GET /me/store/returns - should list return requests for the seller", async () => {
 			const res = await request
 				.get("/api/v1/me/store/returns")
 				.set("Authorization", `Bearer ${sellerToken}`)
 				.expect(200);
-			// expect(res.body.results).toBeInstanceOf(Array);
+			expect(res.body.results).toBeInstanceOf(Array);
+			expect(res.body.results.length).toBe(1);
+			expect(res.body.results[0].returnRequestId).toBe(returnRequest._id);
+			expect(res.body.results[0].status).toBe("pending_approval");
+		});
+
+		it("PATCH /me/store/returns/:returnId/status - should walk the lifecycle and restock once", async () => {
+			const approved = await request
+				.patch(`/api/v1/me/store/returns/${returnRequest._id}/status`)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ status: "approved" })
+				.expect(200);
+			expect(approved.body.status).toBe("approved");
+
+			await request
+				.patch(`/api/v1/me/store/returns/${returnRequest._id}/status`)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ status: "item_received" })
+				.expect(200);
+			const restocked = await ProductVariant.findById(variant._id);
+			expect(restocked.stockQuantity).toBe(7);
+			const item = await OrderItem.findById(deliveredItem._id);
+			expect(item.itemStatus).toBe("returned");
+
+			// Replaying the same transition is rejected and does not restock again
+			await request
+				.patch(`/api/v1/me/store/returns/${returnRequest._id}/status`)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ status: "item_received" })
+				.expect(400);
+			const unchanged = await ProductVariant.findById(variant._id);
+			expect(unchanged.stockQuantity).toBe(7);
 		});
 
-		it.skip("PATCH /me/store/returns/:returnId/status - should update return request status (TODO: Implement)", async () => {
-			// const mockReturnId = uuidv4(); // ID of a ReturnRequest owned by sellerUser
-			// const res = await request.patch(`/api/v1/me/store/returns/${mockReturnId}/status`)
-			//     .set('Authorization', `Bearer ${sellerToken}`)
-			//     .send({ status: 'approved' })
-			//     .expect(200);
-			// expect(res.body.status).toBe('approved');
+		it("PATCH /me/store/returns/:returnId/status - should keep the item under return while another return is open", async () => {
+			// Two single-unit returns for the same two-unit item
+			await ReturnRequest.updateOne(
+				{ _id: returnRequest._id },
+				{ $set: { quantity: 1 } },
+			);
+			const secondReturn = await ReturnRequest.create({
+				orderId: deliveredItem.orderId,
+				orderItemId: deliveredItem._id,
+				buyerId: buyerUser._id,
+				sellerId: sellerUser._id,
+				productId: product1BySeller._id,
+				variantId: variant._id,
+				productNameSnapshot: "P1 Seller",
+				quantity: 1,
+				reason: "Changed my mind",
+			});
+
+			await request
+				.patch(`/api/v1/me/store/returns/${secondReturn._id}/status`)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ status: "rejected", reason: "Outside the return window" })
+				.expect(200);
+			expect((await OrderItem.findById(deliveredItem._id)).itemStatus).toBe(
+				"return_requested",
+			);
+
+			for (const status of ["approved", "item_received"]) {
+				await request
+					.patch(`/api/v1/me/store/returns/${returnRequest._id}/status`)
+					.set("Authorization", `Bearer ${sellerToken}`)
+					.send({ status })
+					.expect(200);
+			}
+			// Only one of the two units came back
+			expect((await OrderItem.findById(deliveredItem._id)).itemStatus).toBe(
+				"return_approved",
+			);
+		});
+
+		it("POST /me/orders/:orderId/returns - should not let concurrent requests return more than was bought", async () => {
+			await ReturnRequest.deleteMany({});
+			await OrderItem.updateOne(
+				{ _id: deliveredItem._id },
+				{ $set: { itemStatus: "delivered" } },
+			);
+
+			const responses = await Promise.all(
+				[1, 2].map(() =>
+					request
+						.post(`/api/v1/me/orders/${deliveredItem.orderId}/returns`)
+						.set("Authorization", `Bearer ${buyerToken}`)
+						.send({
+							orderItemId: deliveredItem._id,
+							reason: "Wrong colour",
+							quantity: 2,
+						}),
+				),
+			);
+
+			expect(responses.map((res) => res.status).sort()).toEqual([201, 400]);
+			expect(
+				await ReturnRequest.countDocuments({ orderItemId: deliveredItem._id }),
+			).toBe(1);
+		});
+
+		it("PATCH /me/store/returns/:returnId/status - should reject skipping lifecycle steps", async () => {
+			await request
+				.patch(`/api/v1/me/store/returns/${returnRequest._id}/status`)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ status: "refunded" })
+				.expect(400);
+		});
+
+		it("PATCH /me/store/returns/:returnId/status - should require a reason when rejecting", async () => {
+			await request
+				.patch(`/api/v1/me/store/returns/${returnRequest._id}/status`)
+				.set("Authorization", `Bearer ${sellerToken}`)
+				.send({ status: "rejected" })
+				.expect(400);
 		});
 	});
 });
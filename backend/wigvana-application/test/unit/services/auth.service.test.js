@@ -1,4 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import crypto from "node:crypto";
 import { authService } from "../../../src/services/auth.service.js";
 import User from "../../../src/models/User.model.js";
 import { redisService } from "../../../src/services/redis.service.js";
@@ -6,10 +7,12 @@ import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import config from "../../../src/config/index.js";
 import ApiError from "../../../src/errors/ApiError.js";
+import { mailService } from "../../../src/services/mail.service.js";
 
 // Mock dependencies
 vi.mock("../../../src/models/User.model.js");
 vi.mock("../../../src/services/redis.service.js");
+vi.mock("../../../src/services/mail.service.js");
 vi.mock("bcryptjs");
 vi.mock("jsonwebtoken");
 vi.mock("../../../src/utils/logger.js", () => ({
@@ -73,9 +76,22 @@ describe("Auth Service", () => {
       expect(jwt.sign).toHaveBeenCalledTimes(2);
       expect(redisService.set).toHaveBeenCalledWith(
         expect.stringContaining("refreshToken:mockUserId:"),
-        "true",
+        expect.any(String),
         expect.any(Number),
       );
+      expect(JSON.parse(redisService.set.mock.calls[0][1])).toMatchObject({
+        sessionId: expect.any(String),
+        status: "active",
+        lastUsedAt: expect.any(String),
+      });
+      expect(mailService.sendMail).toHaveBeenCalledWith({
+        to: userData.email,
+        template: "emailVerification",
+        data: {
+          firstName: userData.firstName,
+          link: expect.stringContaining("/api/v1/auth/verify-email?token="),
+        },
+      });
       expect(result.user.email).toBe(userData.email);
       expect(result.accessToken).toBe("mockAccessToken");
       expect(result.refreshToken).toBe("mockRefreshToken");
@@ -137,4 +153,289 @@ describe("Auth Service", () => {
       });
     });
   });
+
+  describe("requestPasswordReset", () => {
+    it("should store only a hash of the reset token", async () => {
+      const mockUser = {
+        id: "userIdToReset",
+        email: "reset@example.com",
+        accountStatus: "active",
+        save: vi.fn().mockResolvedValue(true),
+      };
+      User.findOne.mockResolvedValue(mockUser);
+
+      await authService.requestPasswordReset("reset@example.com");
+
+      expect(mockUser.passwordResetToken).toMatch(/^[a-f0-9]{64}$/);
+      expect(mockUser.passwordResetTokenExpiresAt.getTime()).toBeGreaterThan(
+        Date.now(),
+      );
+      expect(mockUser.save).toHaveBeenCalled();
+      // The emailed link carries the raw token, never the stored hash
+      const [{ to, template, data }] = mailService.sendMail.mock.calls[0];
+      expect(to).toBe("reset@example.com");
+      expect(template).toBe("passwordReset");
+      const [, rawToken] = data.link.match(/token=([a-f0-9]+)/);
+      expect(mockUser.passwordResetToken).toBe(
+        crypto.createHash("sha256").update(rawToken).digest("hex"),
+      );
+    });
+
+    it("should resolve quietly when no account has the email", async () => {
+      User.findOne.mockResolvedValue(null);
+
+      await expect(
+        authService.requestPasswordReset("nobody@example.com"),
+      ).resolves.toBeUndefined();
+      expect(mailService.sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("resetPassword", () => {
+    const mockPendingReset = (user) =>
+      User.findOne.mockReturnValue({
+        select: vi.fn().mockResolvedValue(user),
+      });
+
+    it("should set the new password, consume the token and revoke refresh tokens", async () => {
+      mockPendingReset({ id: "userIdToReset" });
+      bcrypt.hash.mockResolvedValue("newHashedPassword");
+      User.findOneAndUpdate.mockResolvedValue({ id: "userIdToReset" });
+
+      await authService.resetPassword("rawResetToken", "newPassword123");
+
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: "userIdToReset",
+          passwordResetToken: expect.not.stringContaining("rawResetToken"),
+          passwordResetTokenExpiresAt: { $gt: expect.any(Date) },
+        },
+        {
+          $set: { passwordHash: "newHashedPassword" },
+          $unset: { passwordResetToken: 1, passwordResetTokenExpiresAt: 1 },
+        },
+        { new: true },
+      );
+      expect(redisService.delByPrefix).toHaveBeenCalledWith(
+        "refreshToken:userIdToReset:",
+      );
+    });
+
+    it("should throw ApiError for an invalid, expired or used token", async () => {
+      mockPendingReset(null);
+
+      await expect(
+        authService.resetPassword("usedToken", "newPassword123"),
+      ).rejects.toMatchObject({
+        message: "Invalid or expired password reset token.",
+        statusCode: 400,
+      });
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(redisService.delByPrefix).not.toHaveBeenCalled();
+    });
+
+    it("should fail without changing the password when sessions cannot be revoked", async () => {
+      mockPendingReset({ id: "userIdToReset" });
+      redisService.delByPrefix.mockRejectedValue(new Error("Redis down"));
+
+      await expect(
+        authService.resetPassword("rawResetToken", "newPassword123"),
+      ).rejects.toThrow("Redis down");
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("loginUser", () => {
+    it("should return a challenge instead of tokens when two-factor is enabled", async () => {
+      const user = {
+        id: "userId",
+        emailVerified: true,
+        accountStatus: "active",
+        twoFactor: { enabled: true },
+        comparePassword: vi.fn().mockResolvedValue(true),
+        save: vi.fn(),
+      };
+      User.findOne.mockResolvedValue(user);
+
+      const result = await authService.loginUser({
+        email: "admin@example.com",
+        password: "password123",
+      });
+
+      expect(result).toEqual({
+        twoFactorRequired: true,
+        challengeToken: expect.stringMatching(/^[a-f0-9]{64}$/),
+        challengeExpiresAt: expect.any(Date),
+      });
+      expect(redisService.set).toHaveBeenCalledTimes(1);
+      expect(redisService.set).toHaveBeenCalledWith(
+        expect.stringMatching(/^twoFactorChallenge:/),
+        "userId",
+        config.TWO_FACTOR_CHALLENGE_TTL_MINUTES * 60,
+      );
+      expect(jwt.sign).not.toHaveBeenCalled();
+      expect(user.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("refreshAccessToken", () => {
+    const activeSession = {
+      sessionId: "session-1",
+      status: "active",
+      createdAt: "2025-01-01T00:00:00.000Z",
+      lastUsedAt: "2025-01-01T00:00:00.000Z",
+      device: "Firefox on Windows",
+      ip: "203.0.113.7",
+    };
+
+    beforeEach(() => {
+      jwt.verify.mockImplementation((token, secret, callback) =>
+        callback(null, { sub: "userId", sid: "session-1", type: "refresh" }),
+      );
+      jwt.sign.mockImplementation((payload) =>
+        payload.type === "refresh" ? "newRefreshToken" : "newAccessToken",
+      );
+    });
+
+    it("should rotate the refresh token and keep the session", async () => {
+      redisService.replace.mockResolvedValue(JSON.stringify(activeSession));
+      User.findById.mockResolvedValue({
+        id: "userId",
+        accountStatus: "active",
+      });
+
+      const result = await authService.refreshAccessToken("oldRefreshToken", {
+        userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Chrome/126.0",
+        ip: "198.51.100.4",
+      });
+
+      expect(result).toEqual({
+        accessToken: "newAccessToken",
+        refreshToken: "newRefreshToken",
+      });
+      const [oldKey, marker] = redisService.replace.mock.calls[0];
+      expect(oldKey).toMatch(/^refreshToken:userId:[0-9a-f]{16}$/);
+      expect(JSON.parse(marker)).toMatchObject({
+        sessionId: "session-1",
+        status: "rotated",
+      });
+      const [newKey, saved] = redisService.set.mock.calls[0];
+      expect(newKey).not.toBe(oldKey);
+      expect(JSON.parse(saved)).toMatchObject({
+        sessionId: "session-1",
+        status: "active",
+        createdAt: activeSession.createdAt,
+        device: "Chrome on macOS",
+        ip: "198.51.100.4",
+      });
+    });
+
+    it("should revoke the whole session when a rotated token is replayed", async () => {
+      redisService.replace.mockResolvedValue(
+        JSON.stringify({ sessionId: "session-1", status: "rotated" }),
+      );
+      redisService.getByPrefix.mockResolvedValue([
+        {
+          key: "refreshToken:userId:aaaa",
+          value: JSON.stringify(activeSession),
+        },
+        {
+          key: "refreshToken:userId:bbbb",
+          value: JSON.stringify({ sessionId: "session-1", status: "rotated" }),
+        },
+        {
+          key: "refreshToken:userId:cccc",
+          value: JSON.stringify({ ...activeSession, sessionId: "session-2" }),
+        },
+      ]);
+      redisService.delMany.mockResolvedValue(2);
+
+      await expect(
+        authService.refreshAccessToken("replayedRefreshToken"),
+      ).rejects.toMatchObject({ statusCode: 401 });
+
+      expect(redisService.delMany).toHaveBeenCalledWith([
+        "refreshToken:userId:aaaa",
+        "refreshToken:userId:bbbb",
+      ]);
+      expect(redisService.set).not.toHaveBeenCalled();
+    });
+
+    it("should reject a token that was revoked or expired", async () => {
+      redisService.replace.mockResolvedValue(null);
+
+      await expect(
+        authService.refreshAccessToken("revokedRefreshToken"),
+      ).rejects.toMatchObject({
+        message: "Refresh token not found or revoked",
+        statusCode: 401,
+      });
+      expect(redisService.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("sessions", () => {
+    it("should list active sessions, most recent first, flagging the current one", async () => {
+      redisService.getByPrefix.mockResolvedValue([
+        {
+          key: "refreshToken:userId:aaaa",
+          value: JSON.stringify({
+            sessionId: "session-1",
+            status: "active",
+            device: "Firefox on Windows",
+            lastUsedAt: "2025-01-01T00:00:00.000Z",
+          }),
+        },
+        {
+          key: "refreshToken:userId:bbbb",
+          value: JSON.stringify({ sessionId: "session-1", status: "rotated" }),
+        },
+        {
+          key: "refreshToken:userId:cccc",
+          value: JSON.stringify({
+            sessionId: "session-2",
+            status: "active",
+            device: "Safari on iOS",
+            lastUsedAt: "2025-02-01T00:00:00.000Z",
+          }),
+        },
+        { key: "refreshToken:userId:dddd", value: "true" },
+      ]);
+
+      const sessions = await authService.listSessions("userId", "session-1");
+
+      expect(
+        sessions.map(({ id, device, current }) => [id, device, current]),
+      ).toEqual([
+        ["session-2", "Safari on iOS", false],
+        ["session-1", "Firefox on Windows", true],
+        ["dddd", "Unknown device", false],
+      ]);
+    });
+
+    it("should throw ApiError when revoking a session that does not exist", async () => {
+      redisService.getByPrefix.mockResolvedValue([]);
+      redisService.delMany.mockResolvedValue(0);
+
+      await expect(
+        authService.revokeSession("userId", "missing-session"),
+      ).rejects.toMatchObject({
+        message: "Session not found.",
+        statusCode: 404,
+      });
+      expect(redisService.delMany).toHaveBeenCalledWith([]);
+    });
+
+    it("should propagate Redis failures instead of reporting sessions as revoked", async () => {
+      redisService.delByPrefix.mockRejectedValue(new Error("Redis down"));
+      redisService.getByPrefix.mockRejectedValue(new Error("Redis down"));
+
+      await expect(authService.revokeAllSessions("userId")).rejects.toThrow(
+        "Redis down",
+      );
+      await expect(
+        authService.revokeSession("userId", "session-1"),
+      ).rejects.toThrow("Redis down");
+    });
+  });
 });
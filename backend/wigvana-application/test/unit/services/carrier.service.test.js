@@ -0,0 +1,111 @@
+import { describe, it, expect, vi } from "vitest";
+import { carrierService } from "../../../src/services/carrier.service.js";
+import {
+  signMockCarrierPayload,
+  MOCK_CARRIER_SIGNATURE_HEADER,
+} from "../../../src/services/carriers/mock.carrier.js";
+import ApiError from "../../../src/errors/ApiError.js";
+
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const mock = carrierService.getCarrier("mock");
+
+describe("Carrier Service", () => {
+  describe("getCarrier", () => {
+    it("should match carrier names case-insensitively", () => {
+      expect(carrierService.getCarrier("Mock")).toBe(mock);
+      expect(carrierService.findCarrier("MOCK")).toBe(mock);
+    });
+
+    it("should reject carriers without a registered adapter", () => {
+      expect(carrierService.findCarrier("UPS")).toBeUndefined();
+      expect(() => carrierService.getCarrier("UPS")).toThrow(ApiError);
+    });
+
+    it("should not register the mock carrier in production", async () => {
+      vi.resetModules();
+      vi.doMock("../../../src/config/index.js", async (importOriginal) => ({
+        default: { ...(await importOriginal()).default, NODE_ENV: "production" },
+      }));
+      const { carrierService: productionCarriers } = await import(
+        "../../../src/services/carrier.service.js"
+      );
+      vi.doUnmock("../../../src/config/index.js");
+
+      expect(productionCarriers.findCarrier("mock")).toBeUndefined();
+      expect(productionCarriers.listCarrierNames()).toEqual([]);
+    });
+  });
+
+  describe("mock carrier", () => {
+    const shippedAt = new Date(Date.now() - 60 * 60 * 1000);
+
+    it("should walk tracking numbers with the delivered keyword through to delivery", async () => {
+      const events = await mock.fetchTrackingEvents({
+        trackingNumber: "MOCK-DELIVERED-1",
+        shippedAt,
+      });
+
+      expect(events.map((e) => e.status)).toEqual([
+        "in_transit",
+        "out_for_delivery",
+        "delivered",
+      ]);
+      expect(events[2].id).toBe("MOCK-DELIVERED-1:delivered");
+      expect(events[0].occurredAt.getTime()).toBeLessThan(
+        events[2].occurredAt.getTime(),
+      );
+    });
+
+    it("should keep other tracking numbers in transit", async () => {
+      const events = await mock.fetchTrackingEvents({
+        trackingNumber: "MOCK-123",
+        shippedAt,
+      });
+
+      expect(events.map((e) => e.status)).toEqual(["in_transit"]);
+    });
+
+    it("should accept only webhooks signed with the mock carrier secret", async () => {
+      const rawBody = Buffer.from(
+        JSON.stringify({
+          trackingNumber: "MOCK-123",
+          events: [
+            {
+              id: "scan-1",
+              status: "out_for_delivery",
+              occurredAt: "2026-01-02T08:00:00Z",
+            },
+          ],
+        }),
+      );
+
+      const parsed = await mock.verifyWebhook({
+        rawBody,
+        headers: {
+          [MOCK_CARRIER_SIGNATURE_HEADER]: signMockCarrierPayload(rawBody),
+        },
+      });
+      expect(parsed.trackingNumber).toBe("MOCK-123");
+      expect(parsed.events[0]).toMatchObject({
+        id: "scan-1",
+        status: "out_for_delivery",
+        occurredAt: new Date("2026-01-02T08:00:00Z"),
+      });
+
+      await expect(
+        mock.verifyWebhook({
+          rawBody,
+          headers: { [MOCK_CARRIER_SIGNATURE_HEADER]: "forged" },
+        }),
+      ).rejects.toThrow(ApiError);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from "vitest";
+import { inventoryService } from "../../../src/services/inventory.service.js";
+import InventoryImportError from "../../../src/errors/InventoryImportError.js";
+
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const { isLowStock, parseInventoryCsv } = inventoryService;
+
+describe("Inventory Service", () => {
+  describe("isLowStock", () => {
+    it("should flag stock at or below the threshold", () => {
+      expect(isLowStock({ stockQuantity: 5, lowStockThreshold: 5 })).toBe(true);
+      expect(isLowStock({ stockQuantity: 0, lowStockThreshold: 0 })).toBe(true);
+      expect(isLowStock({ stockQuantity: 6, lowStockThreshold: 5 })).toBe(
+        false,
+      );
+    });
+
+    it("should never flag a variant without a threshold", () => {
+      expect(isLowStock({ stockQuantity: 0 })).toBe(false);
+      expect(isLowStock({ stockQuantity: 0, lowStockThreshold: null })).toBe(
+        false,
+      );
+    });
+  });
+
+  describe("parseInventoryCsv", () => {
+    it("should read sku and quantity rows with their line numbers", () => {
+      const csv = '\uFEFFSKU,Quantity\r\nTSHIRT-RED-M,25\r\n\r\n"MUG-01", -3\r\n';
+
+      expect(parseInventoryCsv(csv)).toEqual([
+        { sku: "TSHIRT-RED-M", quantity: 25, row: 2 },
+        { sku: "MUG-01", quantity: -3, row: 4 },
+      ]);
+    });
+
+    it("should reject a document without the header", () => {
+      expect(() => parseInventoryCsv("TSHIRT-RED-M,25")).toThrow(
+        /header 'sku,quantity'/,
+      );
+    });
+
+    it("should report every malformed row at once", () => {
+      let error;
+      try {
+        parseInventoryCsv("sku,quantity\nA,1.5\nB\nC,4,extra\nD,7");
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(InventoryImportError);
+      expect(error.statusCode).toBe(400);
+      expect(error.errors.map((e) => e.row)).toEqual([2, 3, 4]);
+    });
+  });
+});
@@ -0,0 +1,340 @@
+import net from "node:net";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { mailService } from "../../../src/services/mail.service.js";
+import { mailTemplates } from "../../../src/services/mailTemplates.js";
+import { memoryTransport } from "../../../src/services/mailTransports/memory.transport.js";
+import { smtpTransport } from "../../../src/services/mailTransports/smtp.transport.js";
+import OutboundEmail from "../../../src/models/OutboundEmail.model.js";
+import config from "../../../src/config/index.js";
+
+vi.mock("../../../src/models/OutboundEmail.model.js");
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const queuedEmail = (overrides = {}) => ({
+  _id: "email-1",
+  to: "buyer@example.com",
+  from: config.MAIL_FROM,
+  template: "cartRecovery",
+  subject: "You left something in your cart",
+  text: "text body",
+  html: "<p>html body</p>",
+  attempts: 1,
+  ...overrides,
+});
+
+const mockClaim = (email) =>
+  OutboundEmail.findOneAndUpdate.mockReturnValue({
+    lean: vi.fn().mockResolvedValue(email),
+  });
+
+/**
+ * Starts an SMTP server on a free local port that accepts everything except, optionally,
+ * recipients, and records what it was sent.
+ */
+const startFakeSmtpServer = ({ rejectRecipients = false, offerAuth = false } = {}) =>
+  new Promise((resolve) => {
+    const received = { commands: [], data: "" };
+    const server = net.createServer((socket) => {
+      let buffer = "";
+      let inData = false;
+      socket.write("220 fake.smtp ESMTP\r\n");
+      socket.on("data", (chunk) => {
+        buffer += chunk.toString("utf8");
+        for (;;) {
+          if (inData) {
+            const end = buffer.indexOf("\r\n.\r\n");
+            if (end === -1) return;
+            received.data = buffer.slice(0, end);
+            buffer = buffer.slice(end + 5);
+            inData = false;
+            socket.write("250 2.0.0 Ok: queued as FAKE123\r\n");
+            continue;
+          }
+          const eol = buffer.indexOf("\r\n");
+          if (eol === -1) return;
+          const line = buffer.slice(0, eol);
+          buffer = buffer.slice(eol + 2);
+          received.commands.push(line);
+          const verb = line.split(" ")[0].toUpperCase();
+          if (verb === "EHLO") {
+            socket.write(
+              offerAuth
+                ? "250-fake.smtp\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n"
+                : "250-fake.smtp\r\n250 8BITMIME\r\n",
+            );
+          } else if (verb === "STARTTLS") {
+            socket.write("502 5.5.1 STARTTLS not supported\r\n");
+          } else if (verb === "RCPT" && rejectRecipients) {
+            socket.write("550 5.1.1 No such user\r\n");
+          } else if (verb === "DATA") {
+            inData = true;
+            socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+          } else if (verb === "QUIT") {
+            socket.end("221 Bye\r\n");
+            return;
+          } else {
+            socket.write("250 Ok\r\n");
+          }
+        }
+      });
+    });
+    server.listen(0, "127.0.0.1", () =>
+      resolve({ server, received, port: server.address().port }),
+    );
+  });
+
+describe("Mail Service", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    memoryTransport.clear();
+  });
+
+  describe("getTransport", () => {
+    it("should use the in-memory sink under test", () => {
+      expect(mailService.getTransport().name).toBe("memory");
+    });
+  });
+
+  describe("sendMail", () => {
+    it("should queue the rendered email and deliver it in the background", async () => {
+      OutboundEmail.create.mockImplementation(async (doc) => ({
+        _id: "email-1",
+        ...doc,
+      }));
+      mockClaim(
+        queuedEmail({
+          template: "emailVerification",
+          subject: "Verify your Wigvana email address",
+          text: "Verify: http://localhost/verify?token=abc",
+        }),
+      );
+
+      await mailService.sendMail({
+        to: "buyer@example.com",
+        template: "emailVerification",
+        data: { firstName: "Ada", link: "http://localhost/verify?token=abc" },
+      });
+
+      expect(OutboundEmail.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: "buyer@example.com",
+          from: config.MAIL_FROM,
+          template: "emailVerification",
+          subject: "Verify your Wigvana email address",
+          text: expect.stringContaining("http://localhost/verify?token=abc"),
+          html: expect.stringContaining("http://localhost/verify?token=abc"),
+        }),
+      );
+      await vi.waitFor(() =>
+        expect(
+          memoryTransport.lastMessageTo("buyer@example.com"),
+        ).toMatchObject({
+          messageId: "email-1",
+          subject: "Verify your Wigvana email address",
+        }),
+      );
+      await vi.waitFor(() =>
+        expect(OutboundEmail.updateOne).toHaveBeenCalledWith(
+          { _id: "email-1" },
+          expect.objectContaining({
+            $set: expect.objectContaining({
+              status: "sent",
+              transport: "memory",
+            }),
+          }),
+        ),
+      );
+    });
+
+    it("should resolve without waiting for the transport", async () => {
+      OutboundEmail.create.mockImplementation(async (doc) => ({
+        _id: "email-1",
+        ...doc,
+      }));
+      mockClaim(queuedEmail());
+      let finishSend;
+      vi.spyOn(memoryTransport, "send").mockReturnValue(
+        new Promise((resolve) => {
+          finishSend = resolve;
+        }),
+      );
+
+      await mailService.sendMail({
+        to: "buyer@example.com",
+        template: "emailVerification",
+        data: { firstName: "Ada", link: "http://localhost/verify?token=abc" },
+      });
+
+      expect(OutboundEmail.updateOne).not.toHaveBeenCalled();
+      finishSend({});
+      vi.restoreAllMocks();
+    });
+
+    it("should refuse a template that does not exist", async () => {
+      await expect(
+        mailService.sendMail({
+          to: "a@example.com",
+          template: "nope",
+          data: {},
+        }),
+      ).rejects.toThrow("Mail template 'nope' does not exist.");
+      expect(OutboundEmail.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deliverEmail", () => {
+    const now = new Date("2025-01-01T00:00:00Z");
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it("should do nothing when another worker holds the email or it was sent", async () => {
+      mockClaim(null);
+
+      await expect(mailService.deliverEmail("email-1", now)).resolves.toBe(
+        false,
+      );
+      expect(OutboundEmail.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("should schedule a retry with exponential backoff when sending fails", async () => {
+      mockClaim(queuedEmail({ attempts: 3 }));
+      vi.spyOn(memoryTransport, "send").mockRejectedValue(
+        new Error("Connection refused"),
+      );
+
+      await expect(mailService.deliverEmail("email-1", now)).resolves.toBe(
+        false,
+      );
+
+      expect(OutboundEmail.updateOne).toHaveBeenCalledWith(
+        { _id: "email-1" },
+        {
+          $set: {
+            status: "pending",
+            lastError: "Connection refused",
+            lockedUntil: null,
+            nextAttemptAt: new Date(
+              now.getTime() + config.MAIL_RETRY_BASE_SECONDS * 1000 * 4,
+            ),
+          },
+        },
+      );
+    });
+
+    it("should give up after the last allowed attempt", async () => {
+      mockClaim(queuedEmail({ attempts: config.MAIL_MAX_ATTEMPTS }));
+      vi.spyOn(memoryTransport, "send").mockRejectedValue(
+        new Error("Mailbox unavailable"),
+      );
+
+      await mailService.deliverEmail("email-1", now);
+
+      expect(OutboundEmail.updateOne).toHaveBeenCalledWith(
+        { _id: "email-1" },
+        {
+          $set: expect.objectContaining({
+            status: "failed",
+            lastError: "Mailbox unavailable",
+          }),
+        },
+      );
+    });
+  });
+
+  describe("templates", () => {
+    it("should escape user data in HTML but not in text", () => {
+      const mail = mailTemplates.sellerApplicationDecision({
+        firstName: "<b>Eve</b>",
+        approved: false,
+        storeName: 'Wigs & "Things"',
+        reason: "Missing <documents>",
+      });
+
+      expect(mail.html).toContain("Hi &lt;b&gt;Eve&lt;/b&gt;,");
+      expect(mail.html).toContain("Wigs &amp; &quot;Things&quot;");
+      expect(mail.html).not.toContain("<documents>");
+      expect(mail.text).toContain('"Wigs & "Things""');
+      expect(mail.text).toContain("Reason: Missing <documents>");
+    });
+  });
+
+  describe("smtp transport", () => {
+    const originalHost = config.MAIL_SMTP_HOST;
+    const originalPort = config.MAIL_SMTP_PORT;
+    let fake;
+
+    const message = {
+      messageId: "email-1",
+      from: "Wigvana <no-reply@wigvana.local>",
+      to: "buyer@example.com",
+      subject: "Your order ✓",
+      text: "Thanks for your order!",
+      html: "<p>Thanks for your order!</p>",
+    };
+
+    const useFakeServer = async (options) => {
+      fake = await startFakeSmtpServer(options);
+      config.MAIL_SMTP_HOST = "127.0.0.1";
+      config.MAIL_SMTP_PORT = fake.port;
+    };
+
+    afterEach(async () => {
+      config.MAIL_SMTP_HOST = originalHost;
+      config.MAIL_SMTP_PORT = originalPort;
+      await new Promise((resolve) => fake.server.close(resolve));
+    });
+
+    it("should deliver the message through the server", async () => {
+      await useFakeServer();
+
+      const result = await smtpTransport.send(message);
+
+      expect(result.providerMessageId).toBe("250 2.0.0 Ok: queued as FAKE123");
+      expect(fake.received.commands).toEqual([
+        expect.stringMatching(/^EHLO /),
+        expect.stringMatching(/^MAIL FROM:<no-reply@wigvana\.local>/),
+        "RCPT TO:<buyer@example.com>",
+        "DATA",
+      ]);
+      expect(fake.received.data).toContain("To: buyer@example.com");
+      expect(fake.received.data).toContain(
+        "Message-ID: <email-1@wigvana.local>",
+      );
+      expect(fake.received.data).toContain("Thanks for your order!");
+    });
+
+    it("should fail when the server rejects the recipient", async () => {
+      await useFakeServer({ rejectRecipients: true });
+
+      await expect(smtpTransport.send(message)).rejects.toThrow(
+        "550 5.1.1 No such user",
+      );
+    });
+
+    it("should not send credentials when the server offers no TLS", async () => {
+      await useFakeServer({ offerAuth: true });
+      config.MAIL_SMTP_USER = "relay-user";
+      config.MAIL_SMTP_PASS = "relay-pass";
+
+      try {
+        await expect(smtpTransport.send(message)).rejects.toThrow();
+      } finally {
+        config.MAIL_SMTP_USER = undefined;
+        config.MAIL_SMTP_PASS = undefined;
+      }
+      expect(
+        fake.received.commands.some((command) => /^AUTH/i.test(command)),
+      ).toBe(false);
+      expect(fake.received.commands).not.toContain("DATA");
+    });
+  });
+});
@@ -0,0 +1,288 @@
+import {
+  describe,
+  it,
+  expect,
+  vi,
+  beforeAll,
+  afterAll,
+  beforeEach,
+} from "vitest";
+import { oidcService } from "../../../src/services/oidc.service.js";
+import User from "../../../src/models/User.model.js";
+import UserIdentity from "../../../src/models/UserIdentity.model.js";
+import { redisService } from "../../../src/services/redis.service.js";
+import config from "../../../src/config/index.js";
+import { startOidcProvider } from "../../e2e/helpers/oidcProvider.js";
+
+vi.mock("../../../src/models/User.model.js");
+vi.mock("../../../src/models/UserIdentity.model.js");
+vi.mock("../../../src/services/redis.service.js");
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const CLIENT = { clientId: "wigvana-test", clientSecret: "test-secret" };
+const LOGIN = { intent: "login" };
+
+const ADA = {
+  sub: "subject-1",
+  email: "Ada@Example.com",
+  email_verified: true,
+  given_name: "Ada",
+  family_name: "Lovelace",
+};
+
+const profileOf = (overrides = {}) => ({
+  subject: "subject-1",
+  email: "ada@example.com",
+  emailVerified: true,
+  firstName: "Ada",
+  lastName: "Lovelace",
+  ...overrides,
+});
+
+describe("OpenID Connect Service", () => {
+  let provider;
+
+  /**
+   * Starts a login with the stand-in provider and follows its redirect, with Redis handing back
+   * the stored authorization request once. Returns the request and the callback parameters.
+   */
+  const signIn = async () => {
+    const request = await oidcService.createAuthorizationRequest("oidc", LOGIN);
+    const [key, value] = redisService.set.mock.calls.at(-1);
+    redisService.get.mockImplementation(async (k) =>
+      k === key ? value : null,
+    );
+    redisService.del.mockResolvedValue(1);
+
+    const response = await fetch(request.authorizationUrl, {
+      redirect: "manual",
+    });
+    const callback = new URL(response.headers.get("location"));
+    return { request, params: Object.fromEntries(callback.searchParams) };
+  };
+
+  beforeAll(async () => {
+    provider = await startOidcProvider(CLIENT);
+    config.OIDC_ISSUER = provider.issuer;
+    config.OIDC_CLIENT_ID = CLIENT.clientId;
+    config.OIDC_CLIENT_SECRET = CLIENT.clientSecret;
+  });
+
+  afterAll(async () => {
+    config.OIDC_ISSUER = undefined;
+    config.OIDC_CLIENT_ID = undefined;
+    config.OIDC_CLIENT_SECRET = undefined;
+    await provider.close();
+  });
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    provider.signInAs(ADA);
+  });
+
+  describe("authorization code flow", () => {
+    it("should send a PKCE challenge and store only a hash of the state", async () => {
+      const { authorizationUrl } = await oidcService.createAuthorizationRequest(
+        "oidc",
+        LOGIN,
+      );
+
+      const url = new URL(authorizationUrl);
+      expect(url.origin).toBe(provider.issuer);
+      expect(url.searchParams.get("code_challenge_method")).toBe("S256");
+      expect(url.searchParams.get("redirect_uri")).toBe(
+        `${config.APP_BASE_URL}/api/v1/auth/oidc/oidc/callback`,
+      );
+      const [key, , ttl] = redisService.set.mock.calls[0];
+      expect(key).toMatch(/^oidcState:[0-9a-f]{64}$/);
+      expect(key).not.toContain(url.searchParams.get("state"));
+      expect(ttl).toBe(config.OIDC_STATE_TTL_MINUTES * 60);
+    });
+
+    it("should redeem the code with the PKCE verifier and return the verified account", async () => {
+      const { request, params } = await signIn();
+
+      const result = await oidcService.completeAuthorization(
+        "oidc",
+        params,
+        request.browserBinding,
+      );
+
+      expect(result).toEqual({
+        intent: "login",
+        userId: undefined,
+        profile: profileOf({ name: undefined }),
+      });
+      expect(redisService.del).toHaveBeenCalledWith(
+        redisService.set.mock.calls[0][0],
+      );
+    });
+
+    it("should refuse a callback that reaches a different browser", async () => {
+      const { params } = await signIn();
+
+      await expect(
+        oidcService.completeAuthorization("oidc", params, "someone-elses"),
+      ).rejects.toMatchObject({ statusCode: 401 });
+      // The state is used up either way
+      expect(redisService.del).toHaveBeenCalled();
+    });
+
+    it("should refuse a state that was already used", async () => {
+      const { request, params } = await signIn();
+      redisService.del.mockResolvedValue(0);
+
+      await expect(
+        oidcService.completeAuthorization(
+          "oidc",
+          params,
+          request.browserBinding,
+        ),
+      ).rejects.toMatchObject({
+        message: "Sign-in request expired or invalid. Please start again.",
+      });
+    });
+
+    it.each([
+      ["issued to another client", { aud: "another-client" }],
+      ["with the wrong nonce", { nonce: "replayed" }],
+      ["from another issuer", { iss: "https://evil.example" }],
+      ["that has expired", { exp: Math.floor(Date.now() / 1000) - 60 }],
+    ])("should refuse an ID token %s", async (_, claims) => {
+      provider.signInAs({ ...ADA, ...claims });
+      const { request, params } = await signIn();
+
+      await expect(
+        oidcService.completeAuthorization(
+          "oidc",
+          params,
+          request.browserBinding,
+        ),
+      ).rejects.toMatchObject({
+        message: "Single sign-on sign-in could not be verified.",
+        statusCode: 401,
+      });
+    });
+
+    it("should report a sign-in the user cancelled at the provider", async () => {
+      provider.signInAs(null);
+      const { request, params } = await signIn();
+
+      await expect(
+        oidcService.completeAuthorization(
+          "oidc",
+          params,
+          request.browserBinding,
+        ),
+      ).rejects.toMatchObject({
+        message: "Single sign-on sign-in was not completed (access_denied).",
+      });
+    });
+  });
+
+  describe("resolveLoginUser", () => {
+    it("should log in as the user the account is linked to", async () => {
+      const identity = { userId: "user-1", save: vi.fn() };
+      UserIdentity.findOne.mockResolvedValue(identity);
+      User.findById.mockResolvedValue({ id: "user-1" });
+
+      const user = await oidcService.resolveLoginUser("oidc", profileOf());
+
+      expect(user.id).toBe("user-1");
+      expect(identity.lastLoginAt).toBeInstanceOf(Date);
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it("should link an unlinked account to the user with the same verified email", async () => {
+      User.findOne.mockResolvedValue({ id: "user-1", emailVerified: true });
+
+      await oidcService.resolveLoginUser("oidc", profileOf());
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: "ada@example.com" });
+      expect(UserIdentity.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: "user-1",
+          provider: "oidc",
+          subject: "subject-1",
+        }),
+      );
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it("should not match accounts by an email the provider did not verify", async () => {
+      await expect(
+        oidcService.resolveLoginUser(
+          "oidc",
+          profileOf({ emailVerified: false }),
+        ),
+      ).rejects.toMatchObject({ statusCode: 401 });
+      expect(User.findOne).not.toHaveBeenCalled();
+      expect(UserIdentity.create).not.toHaveBeenCalled();
+    });
+
+    it("should not link to a registration whose email was never verified", async () => {
+      User.findOne.mockResolvedValue({ id: "user-1", emailVerified: false });
+
+      await expect(
+        oidcService.resolveLoginUser("oidc", profileOf()),
+      ).rejects.toMatchObject({ statusCode: 401 });
+      expect(UserIdentity.create).not.toHaveBeenCalled();
+    });
+
+    it("should sign up a verified user when no account matches", async () => {
+      User.create.mockResolvedValue({ id: "new-user" });
+
+      await oidcService.resolveLoginUser(
+        "oidc",
+        profileOf({ firstName: undefined, lastName: undefined, name: "Ada" }),
+      );
+
+      expect(User.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          firstName: "Ada",
+          lastName: "-",
+          email: "ada@example.com",
+          emailVerified: true,
+          accountStatus: "active",
+          passwordHash: expect.any(String),
+        }),
+      );
+      expect(UserIdentity.create).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: "new-user", subject: "subject-1" }),
+      );
+    });
+  });
+
+  describe("linkIdentity", () => {
+    it("should not link an account that logs in as another user", async () => {
+      UserIdentity.findOne.mockResolvedValue({ userId: "other-user" });
+
+      await expect(
+        oidcService.linkIdentity("user-1", "oidc", profileOf()),
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(UserIdentity.create).not.toHaveBeenCalled();
+    });
+
+    it("should allow one account per provider", async () => {
+      UserIdentity.exists.mockResolvedValue({ _id: "identity-1" });
+
+      await expect(
+        oidcService.linkIdentity("user-1", "oidc", profileOf()),
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(UserIdentity.create).not.toHaveBeenCalled();
+    });
+  });
+
+  it("should only offer providers that are configured", () => {
+    expect(oidcService.listProviders()).toEqual([
+      { name: "oidc", displayName: "Single sign-on" },
+    ]);
+  });
+});
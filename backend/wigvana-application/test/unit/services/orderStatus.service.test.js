@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { orderStatusService } from "../../../src/services/orderStatus.service.js";
+import Order from "../../../src/models/Order.model.js";
+import OrderItem from "../../../src/models/OrderItem.model.js";
+
+const { canTransitionOrder, canTransitionOrderItem } = orderStatusService;
+
+describe("Order Status Service", () => {
+  describe("canTransitionOrder", () => {
+    it("should allow the normal fulfillment path", () => {
+      expect(canTransitionOrder("pending_payment", "processing")).toBe(true);
+      expect(canTransitionOrder("processing", "partially_shipped")).toBe(true);
+      expect(canTransitionOrder("partially_shipped", "shipped")).toBe(true);
+      expect(canTransitionOrder("shipped", "delivered")).toBe(true);
+      expect(canTransitionOrder("delivered", "completed")).toBe(true);
+    });
+
+    it("should not let an order skip from processing to delivered", () => {
+      expect(canTransitionOrder("processing", "delivered")).toBe(false);
+    });
+
+    it("should not reopen cancelled, failed or refunded orders", () => {
+      for (const status of [
+        "cancelled_by_user",
+        "cancelled_by_seller",
+        "cancelled_by_admin",
+        "payment_failed",
+        "refunded",
+      ]) {
+        expect(canTransitionOrder(status, "processing")).toBe(false);
+      }
+    });
+
+    it("should not cancel an order once something has shipped", () => {
+      expect(canTransitionOrder("partially_shipped", "cancelled_by_user")).toBe(
+        false,
+      );
+      expect(canTransitionOrder("shipped", "cancelled_by_admin")).toBe(false);
+    });
+
+    it("should reject unknown statuses", () => {
+      expect(canTransitionOrder("resolved_dispute", "completed")).toBe(false);
+    });
+  });
+
+  describe("canTransitionOrderItem", () => {
+    it("should follow the return flow", () => {
+      expect(canTransitionOrderItem("delivered", "return_requested")).toBe(
+        true,
+      );
+      expect(
+        canTransitionOrderItem("return_requested", "return_approved"),
+      ).toBe(true);
+      expect(canTransitionOrderItem("return_approved", "returned")).toBe(true);
+      expect(canTransitionOrderItem("processing", "return_requested")).toBe(
+        false,
+      );
+    });
+
+    it("should keep cancelled and refunded items final", () => {
+      expect(canTransitionOrderItem("cancelled", "processing")).toBe(false);
+      expect(canTransitionOrderItem("refunded", "return_requested")).toBe(
+        false,
+      );
+    });
+  });
+
+  it("should connect every status declared on the models", () => {
+    const orderStatuses = Order.schema.path("status").enumValues;
+    const itemStatuses = OrderItem.schema.path("itemStatus").enumValues;
+    for (const status of orderStatuses) {
+      expect(
+        orderStatuses.some(
+          (to) =>
+            canTransitionOrder(status, to) || canTransitionOrder(to, status),
+        ),
+      ).toBe(true);
+    }
+    for (const status of itemStatuses) {
+      expect(
+        itemStatuses.some(
+          (to) =>
+            canTransitionOrderItem(status, to) ||
+            canTransitionOrderItem(to, status),
+        ),
+      ).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, vi } from "vitest";
+import { paymentGatewayService } from "../../../src/services/paymentGateway.service.js";
+import {
+  signSimulatorPayload,
+  SIMULATOR_SIGNATURE_HEADER,
+} from "../../../src/services/paymentGateways/simulator.gateway.js";
+import ApiError from "../../../src/errors/ApiError.js";
+import PaymentGatewayTimeoutError from "../../../src/errors/PaymentGatewayTimeoutError.js";
+
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const authorize = (paymentToken, amount = 25) =>
+  paymentGatewayService.authorize("simulator", {
+    amount,
+    currency: "USD",
+    paymentToken,
+    orderId: "order-1",
+  });
+
+describe("Payment Gateway Service", () => {
+  describe("getGateway", () => {
+    it("should reject gateways without a registered adapter", () => {
+      expect(() => paymentGatewayService.getGateway("paypal")).toThrow(
+        ApiError,
+      );
+    });
+
+    it("should only report registered gateways as supported", () => {
+      expect(paymentGatewayService.isSupported("simulator")).toBe(true);
+      expect(paymentGatewayService.isSupported("stripe")).toBe(false);
+    });
+
+    it("should route calls to registered adapters", async () => {
+      const fakeAdapter = {
+        name: "fake",
+        authorize: vi.fn().mockResolvedValue({
+          status: "authorized",
+          transactionId: "fake_1",
+        }),
+      };
+      paymentGatewayService.registerGateway(fakeAdapter);
+
+      const result = await paymentGatewayService.authorize("fake", {
+        amount: 1,
+        currency: "USD",
+        paymentToken: "t",
+        orderId: "o",
+      });
+
+      expect(result.transactionId).toBe("fake_1");
+      expect(fakeAdapter.authorize).toHaveBeenCalledOnce();
+    });
+
+    it("should fail with a timeout error when an adapter never answers", async () => {
+      vi.useFakeTimers();
+      paymentGatewayService.registerGateway({
+        name: "hanging",
+        authorize: () => new Promise(() => {}),
+      });
+
+      const pending = paymentGatewayService.authorize("hanging", {});
+      const assertion = expect(pending).rejects.toBeInstanceOf(
+        PaymentGatewayTimeoutError,
+      );
+      await vi.runAllTimersAsync();
+      await assertion;
+      vi.useRealTimers();
+    });
+  });
+
+  describe("simulator gateway", () => {
+    it("should authorize and capture ordinary tokens", async () => {
+      const authorization = await authorize("tok_sim_visa");
+      expect(authorization.status).toBe("authorized");
+
+      const capture = await paymentGatewayService.capture("simulator", {
+        transactionId: authorization.transactionId,
+        amount: 25,
+      });
+      expect(capture.status).toBe("captured");
+    });
+
+    it("should decline tokens containing 'decline' or 'insufficient_funds'", async () => {
+      expect(await authorize("tok_sim_decline")).toMatchObject({
+        status: "declined",
+        declineCode: "card_declined",
+      });
+      expect(await authorize("tok_sim_insufficient_funds")).toMatchObject({
+        status: "declined",
+        declineCode: "insufficient_funds",
+      });
+    });
+
+    it("should ask for 3-D Secure on tokens containing '3ds'", async () => {
+      const authorization = await authorize("tok_sim_3ds");
+      expect(authorization.status).toBe("requires_action");
+      expect(authorization.nextAction.type).toBe("three_d_secure");
+    });
+
+    it("should time out on tokens containing 'timeout'", async () => {
+      await expect(authorize("tok_sim_timeout")).rejects.toBeInstanceOf(
+        PaymentGatewayTimeoutError,
+      );
+    });
+
+    it("should not refund more than was captured", async () => {
+      const { transactionId } = await authorize("tok_sim_visa", 40);
+      await paymentGatewayService.capture("simulator", {
+        transactionId,
+        amount: 40,
+      });
+
+      const first = await paymentGatewayService.refund("simulator", {
+        transactionId,
+        amount: 30,
+      });
+      const second = await paymentGatewayService.refund("simulator", {
+        transactionId,
+        amount: 20,
+      });
+
+      expect(first.status).toBe("refunded");
+      expect(second.status).toBe("failed");
+    });
+
+    it("should not capture a voided authorization", async () => {
+      const { transactionId } = await authorize("tok_sim_visa");
+      await paymentGatewayService.void("simulator", { transactionId });
+
+      const capture = await paymentGatewayService.capture("simulator", {
+        transactionId,
+      });
+      expect(capture.status).toBe("failed");
+    });
+
+    it("should verify correctly signed webhooks and reject tampered ones", async () => {
+      const rawBody = Buffer.from(
+        JSON.stringify({
+          id: "evt_1",
+          type: "payment.captured",
+          data: { transactionId: "sim_txn_1" },
+        }),
+      );
+
+      const event = await paymentGatewayService.verifyWebhook("simulator", {
+        rawBody,
+        headers: { [SIMULATOR_SIGNATURE_HEADER]: signSimulatorPayload(rawBody) },
+      });
+      expect(event).toMatchObject({
+        id: "evt_1",
+        type: "payment.captured",
+        transactionId: "sim_txn_1",
+      });
+
+      await expect(
+        paymentGatewayService.verifyWebhook("simulator", {
+          rawBody: Buffer.from(`${rawBody.toString()} `),
+          headers: {
+            [SIMULATOR_SIGNATURE_HEADER]: signSimulatorPayload(rawBody),
+          },
+        }),
+      ).rejects.toBeInstanceOf(ApiError);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import { pricingService } from "../../../src/services/pricing.service.js";
+
+const { resolveVariantPrice, summarizePrices } = pricingService;
+
+const at = new Date("2026-06-15T12:00:00Z");
+
+describe("Pricing Service", () => {
+  describe("resolveVariantPrice", () => {
+    it("should apply the sale price only inside the sale window", () => {
+      const variant = {
+        price: 100,
+        salePrice: 80,
+        saleStartDate: "2026-06-15T12:00:00Z",
+        saleEndDate: "2026-06-20T00:00:00Z",
+      };
+
+      expect(resolveVariantPrice(variant, at)).toEqual({
+        price: 80,
+        regularPrice: 100,
+        onSale: true,
+        saleEndsAt: new Date("2026-06-20T00:00:00Z"),
+      });
+      expect(
+        resolveVariantPrice(variant, new Date("2026-06-15T11:59:59Z")).onSale,
+      ).toBe(false);
+      expect(
+        resolveVariantPrice(variant, new Date("2026-06-20T00:00:00Z")).price,
+      ).toBe(100); // The end date is exclusive
+    });
+
+    it("should treat a missing start or end date as open-ended", () => {
+      expect(resolveVariantPrice({ price: 100, salePrice: 70 }, at)).toEqual({
+        price: 70,
+        regularPrice: 100,
+        onSale: true,
+        saleEndsAt: null,
+      });
+    });
+
+    it("should ignore a sale price that is not a discount", () => {
+      expect(resolveVariantPrice({ price: 100, salePrice: 120 }, at)).toEqual({
+        price: 100,
+        regularPrice: 100,
+        onSale: false,
+        saleEndsAt: null,
+      });
+      expect(
+        resolveVariantPrice({ price: 100, salePrice: null }, at).onSale,
+      ).toBe(false);
+    });
+  });
+
+  describe("summarizePrices", () => {
+    it("should give current and regular ranges and the first sale to end", () => {
+      const summary = summarizePrices([
+        resolveVariantPrice(
+          { price: 100, salePrice: 80, saleEndDate: "2026-06-30T00:00:00Z" },
+          at,
+        ),
+        resolveVariantPrice(
+          { price: 120, salePrice: 90, saleEndDate: "2026-06-18T00:00:00Z" },
+          at,
+        ),
+        resolveVariantPrice({ price: 60 }, at),
+      ]);
+
+      expect(summary).toEqual({
+        priceRange: { min: 60, max: 90 },
+        regularPriceRange: { min: 60, max: 120 },
+        onSale: true,
+        saleEndsAt: new Date("2026-06-18T00:00:00Z"),
+      });
+    });
+
+    it("should have no ranges without variants", () => {
+      expect(summarizePrices([])).toEqual({
+        priceRange: null,
+        regularPriceRange: null,
+        onSale: false,
+        saleEndsAt: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, it, expect, vi } from "vitest";
+import { promotionService } from "../../../src/services/promotion.service.js";
+import Promotion from "../../../src/models/Promotion.model.js";
+import PromotionRedemption from "../../../src/models/PromotionRedemption.model.js";
+
+vi.mock("../../../src/models/Promotion.model.js");
+vi.mock("../../../src/models/PromotionRedemption.model.js");
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const { computePromotionDiscount } = promotionService;
+
+// Seller A sells two wigs (2 x 30 and 1 x 40), seller B one accessory (1 x 10): subtotal 110.
+const lines = [
+  {
+    id: "line-a",
+    productId: "wig-a",
+    categoryId: "wigs",
+    sellerId: "seller-a",
+    unitPrice: 30,
+    quantity: 2,
+  },
+  {
+    id: "line-b",
+    productId: "wig-b",
+    categoryId: "wigs",
+    sellerId: "seller-a",
+    unitPrice: 40,
+    quantity: 1,
+  },
+  {
+    id: "line-c",
+    productId: "comb",
+    categoryId: "accessories",
+    sellerId: "seller-b",
+    unitPrice: 10,
+    quantity: 1,
+  },
+];
+
+describe("Promotion Service", () => {
+  describe("computePromotionDiscount", () => {
+    it("should take a percentage off and split it across the lines by value", () => {
+      const result = computePromotionDiscount(
+        { type: "percentage", value: 10 },
+        lines,
+      );
+
+      expect(result.discountAmount).toBe(11);
+      expect(result.eligibleSubtotal).toBe(110);
+      expect(result.lineDiscounts).toEqual({
+        "line-a": 6,
+        "line-b": 4,
+        "line-c": 1,
+      });
+    });
+
+    it("should cap a percentage discount at maxDiscountAmount", () => {
+      const result = computePromotionDiscount(
+        { type: "percentage", value: 50, maxDiscountAmount: 20 },
+        lines,
+      );
+
+      expect(result.discountAmount).toBe(20);
+      const allocated = Object.values(result.lineDiscounts).reduce(
+        (sum, share) => sum + share,
+        0,
+      );
+      expect(allocated).toBeCloseTo(20, 2);
+    });
+
+    it("should never take more than the eligible subtotal off with a fixed amount", () => {
+      const result = computePromotionDiscount(
+        { type: "fixed_amount", value: 25, productIds: ["comb"] },
+        lines,
+      );
+
+      expect(result.discountAmount).toBe(10);
+      expect(result.lineDiscounts).toEqual({ "line-c": 10 });
+    });
+
+    it("should only discount the lines in the seller and category scope", () => {
+      expect(
+        computePromotionDiscount(
+          { type: "percentage", value: 10, sellerId: "seller-b" },
+          lines,
+        ),
+      ).toMatchObject({ discountAmount: 1, eligibleSubtotal: 10 });
+      expect(
+        computePromotionDiscount(
+          { type: "percentage", value: 10, categoryIds: ["wigs"] },
+          lines,
+        ),
+      ).toMatchObject({ discountAmount: 10, eligibleSubtotal: 100 });
+      expect(
+        computePromotionDiscount(
+          { type: "percentage", value: 10, sellerId: "seller-c" },
+          lines,
+        ),
+      ).toMatchObject({ discountAmount: 0, eligibleSubtotal: 0 });
+    });
+
+    it("should waive shipping for free_shipping without touching the goods", () => {
+      const result = computePromotionDiscount(
+        { type: "free_shipping" },
+        lines,
+        {
+          shippingCost: 5,
+        },
+      );
+
+      expect(result.discountAmount).toBe(0);
+      expect(result.shippingDiscountAmount).toBe(5);
+    });
+
+    it("should make the cheapest unit of each complete buy-2-get-1 group free", () => {
+      // Units by price: 40, 30, 30 | 10 -> one complete group, its cheapest unit (30) is free
+      const result = computePromotionDiscount(
+        {
+          type: "buy_x_get_y",
+          buyQuantity: 2,
+          getQuantity: 1,
+          getDiscountPercent: 100,
+        },
+        lines,
+      );
+
+      expect(result.discountAmount).toBe(30);
+      expect(result.lineDiscounts).toEqual({ "line-a": 30 });
+    });
+
+    it("should apply getDiscountPercent to the get units", () => {
+      const result = computePromotionDiscount(
+        {
+          type: "buy_x_get_y",
+          buyQuantity: 1,
+          getQuantity: 1,
+          getDiscountPercent: 50,
+          categoryIds: ["wigs"],
+        },
+        lines,
+      );
+
+      // Units 40, 30 | 30 -> the 30 in the complete pair is half off; the last unit has no pair
+      expect(result.discountAmount).toBe(15);
+    });
+  });
+
+  describe("redeemPromotion", () => {
+    const now = new Date("2025-06-01T00:00:00Z");
+    const redemption = {
+      promotion: { _id: "promo-1", code: "SUMMER" },
+      userId: "user-1",
+      orderId: "order-1",
+      discountAmount: 10,
+      shippingDiscountAmount: 0,
+    };
+
+    it("should only claim a use while the promotion is active and within its window", async () => {
+      Promotion.findOneAndUpdate.mockResolvedValue({ _id: "promo-1" });
+
+      await promotionService.redeemPromotion(redemption, "session", now);
+
+      const [filter] = Promotion.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ _id: "promo-1", isActive: true });
+      expect(filter.$and).toEqual(
+        expect.arrayContaining([
+          { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+          { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+        ]),
+      );
+      expect(PromotionRedemption.create).toHaveBeenCalled();
+    });
+
+    it("should refuse a promotion that ended since the code was evaluated", async () => {
+      Promotion.findOneAndUpdate.mockResolvedValue(null);
+      Promotion.findById.mockReturnValue({
+        session: () => ({
+          lean: vi.fn().mockResolvedValue({
+            endsAt: new Date("2025-05-31T00:00:00Z"),
+            usageCount: 0,
+            usageLimit: 10,
+          }),
+        }),
+      });
+      PromotionRedemption.create.mockClear();
+
+      await expect(
+        promotionService.redeemPromotion(redemption, "session", now),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: "This discount code is no longer valid.",
+      });
+      expect(PromotionRedemption.create).not.toHaveBeenCalled();
+    });
+  });
+});
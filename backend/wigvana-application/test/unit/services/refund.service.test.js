@@ -0,0 +1,217 @@
+import { describe, it, expect, vi } from "vitest";
+import { refundService } from "../../../src/services/refund.service.js";
+import ApiError from "../../../src/errors/ApiError.js";
+
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+// Two lines (2 x 30 and 1 x 40), a 10 discount, 10 tax and 15 shipping: total 115.
+const order = {
+  subtotalAmount: 100,
+  discountAmount: 10,
+  taxAmount: 10,
+  shippingCost: 15,
+  totalAmount: 115,
+  refundedAmount: 0,
+  refunds: [],
+};
+const orderItems = [
+  {
+    _id: "item-a",
+    quantity: 2,
+    unitPrice: 30,
+    refundedQuantity: 0,
+    productNameSnapshot: "Wig A",
+  },
+  {
+    _id: "item-b",
+    quantity: 1,
+    unitPrice: 40,
+    refundedQuantity: 0,
+    productNameSnapshot: "Wig B",
+  },
+];
+
+const breakdown = (refundData, orderOverrides = {}, items = orderItems) =>
+  refundService.computeRefundBreakdown(
+    { ...order, ...orderOverrides },
+    items,
+    refundData,
+  );
+
+describe("Refund Service", () => {
+  describe("computeRefundBreakdown", () => {
+    it("should refund items net of their discount share, plus their tax share", () => {
+      const result = breakdown({
+        items: [{ orderItemId: "item-a", quantity: 1 }],
+        reason: "Damaged",
+      });
+
+      expect(result.items).toEqual([
+        { orderItemId: "item-a", quantity: 1, amount: 27, taxAmount: 3 },
+      ]);
+      expect(result.taxAmount).toBe(3);
+      expect(result.amount).toBe(30);
+    });
+
+    it("should use a line's own discount allocation when the promotion recorded one", () => {
+      // The whole 10 discount went to item-b (e.g. a product-scoped promotion)
+      const items = [
+        { ...orderItems[0], discountAmount: 0 },
+        { ...orderItems[1], discountAmount: 10 },
+      ];
+
+      expect(
+        breakdown(
+          {
+            items: [{ orderItemId: "item-a", quantity: 1 }],
+            reason: "Damaged",
+          },
+          {},
+          items,
+        ).items[0],
+      ).toMatchObject({ amount: 30 });
+      expect(
+        breakdown(
+          {
+            items: [{ orderItemId: "item-b", quantity: 1 }],
+            reason: "Damaged",
+          },
+          {},
+          items,
+        ).items[0],
+      ).toMatchObject({ amount: 30 });
+    });
+
+    it("should refund a line's own added tax and keep tax-inclusive prices whole", () => {
+      // 20% VAT included in item-a's price, 5% sales tax added on item-b
+      const taxedItems = [
+        {
+          ...orderItems[0],
+          taxAmount: 9,
+          includedTaxAmount: 9,
+          taxBreakdown: [{ name: "VAT", rate: 20, included: true, amount: 9 }],
+        },
+        {
+          ...orderItems[1],
+          taxAmount: 1.8,
+          includedTaxAmount: 0,
+          taxBreakdown: [{ name: "Sales tax", rate: 5, amount: 1.8 }],
+        },
+      ];
+      const taxedOrder = { taxAmount: 10.8, includedTaxAmount: 9 };
+
+      expect(
+        breakdown(
+          { items: [{ orderItemId: "item-a", quantity: 1 }], reason: "x" },
+          taxedOrder,
+          taxedItems,
+        ).items[0],
+      ).toMatchObject({ amount: 27, taxAmount: 0 });
+      expect(
+        breakdown(
+          { items: [{ orderItemId: "item-b", quantity: 1 }], reason: "x" },
+          taxedOrder,
+          taxedItems,
+        ).items[0],
+      ).toMatchObject({ amount: 36, taxAmount: 1.8 });
+    });
+
+    it("should leave tax out when includeTax is false and add shipping when asked", () => {
+      const result = breakdown({
+        items: [{ orderItemId: "item-b", quantity: 1 }],
+        shippingAmount: 15,
+        includeTax: false,
+        reason: "Lost parcel",
+      });
+
+      expect(result.amount).toBe(36 + 15);
+      expect(result.taxAmount).toBe(0);
+      expect(result.shippingAmount).toBe(15);
+    });
+
+    it("should add up to the order total when everything is refunded", () => {
+      const result = breakdown({
+        items: [
+          { orderItemId: "item-a", quantity: 2 },
+          { orderItemId: "item-b", quantity: 1 },
+        ],
+        shippingAmount: 15,
+        reason: "Cancelled",
+      });
+
+      expect(result.amount).toBe(order.totalAmount);
+    });
+
+    it("should accept a lump sum not tied to items", () => {
+      expect(breakdown({ amount: 12.345, reason: "Goodwill" })).toEqual({
+        amount: 12.35,
+        items: [],
+        shippingAmount: 0,
+        taxAmount: 0,
+      });
+    });
+
+    it("should spread a cancellation refund over the unrefunded units for the remaining balance", () => {
+      const result = breakdown(
+        { settleRemaining: true, reason: "Cancelled" },
+        { refundedAmount: 35, refunds: [{ amount: 35, status: "succeeded" }] },
+        [{ ...orderItems[0], refundedQuantity: 1 }, orderItems[1]],
+      );
+
+      expect(result.items).toEqual([
+        { orderItemId: "item-a", quantity: 1, amount: 27, taxAmount: 3 },
+        { orderItemId: "item-b", quantity: 1, amount: 36, taxAmount: 4 },
+      ]);
+      expect(result.shippingAmount).toBe(15);
+      // 5 of the earlier 35 was a goodwill credit on top of one unit of item A
+      expect(result.amount).toBe(80);
+    });
+
+    it("should reject mixing a lump sum with items", () => {
+      expect(() =>
+        breakdown({
+          amount: 10,
+          items: [{ orderItemId: "item-a", quantity: 1 }],
+          reason: "x",
+        }),
+      ).toThrow(ApiError);
+    });
+
+    it("should not refund more units than remain unrefunded", () => {
+      const partlyRefunded = [{ ...orderItems[0], refundedQuantity: 2 }];
+      expect(() =>
+        breakdown(
+          { items: [{ orderItemId: "item-a", quantity: 1 }], reason: "x" },
+          {},
+          partlyRefunded,
+        ),
+      ).toThrow(/Only 0 unit/);
+    });
+
+    it("should not refund shipping twice, ignoring failed ledger entries", () => {
+      const refunds = [
+        { shippingAmount: 15, status: "succeeded" },
+        { shippingAmount: 15, status: "failed" },
+      ];
+      expect(() =>
+        breakdown({ shippingAmount: 1, reason: "x" }, { refunds }),
+      ).toThrow(/remaining shipping cost of 0/);
+    });
+
+    it("should reject items from another order", () => {
+      expect(() =>
+        breakdown({
+          items: [{ orderItemId: "item-z", quantity: 1 }],
+          reason: "x",
+        }),
+      ).toThrow(/not part of this order/);
+    });
+  });
+});
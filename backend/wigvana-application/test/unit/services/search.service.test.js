@@ -0,0 +1,285 @@
+import { describe, it, expect, vi, beforeAll } from "vitest";
+import mongoose from "mongoose";
+import { searchService } from "../../../src/services/search.service.js";
+
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const { tokenize, editDistance, searchProducts, suggest } = searchService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SELLER_A = "8f0a3c52-6f0e-4d55-a1d7-0b6a4f9b1a01";
+const SELLER_B = "8f0a3c52-6f0e-4d55-a1d7-0b6a4f9b1a02";
+
+const products = [
+  {
+    _id: "p1",
+    name: "Brazilian Body Wave Wig",
+    description: "<p>Pre-plucked lace front.</p>",
+    brand: "Luxe Hair",
+    tags: ["lace front"],
+    categoryId: "c1",
+    sellerId: SELLER_A,
+    basePrice: 200,
+    averageRating: 4.6,
+    createdAt: new Date("2026-01-03"),
+  },
+  {
+    _id: "p2",
+    name: "Straight Bob Wig",
+    description: "Short and sleek.",
+    brand: "Crown",
+    tags: [],
+    categoryId: "c1",
+    sellerId: SELLER_B,
+    basePrice: 90,
+    averageRating: 3.2,
+    createdAt: new Date("2026-01-02"),
+  },
+  {
+    _id: "p3",
+    name: "Curly Headband Wig",
+    description: "No lace needed.",
+    brand: "luxe hair",
+    tags: [],
+    categoryId: "c2",
+    sellerId: SELLER_A,
+    basePrice: 300,
+    averageRating: 4.1,
+    createdAt: new Date("2026-01-01"),
+  },
+];
+
+const variants = [
+  {
+    productId: "p1",
+    attributes: {
+      color: "Natural Black",
+      length: "20 inch",
+      texture: "Body Wave",
+    },
+    price: 200,
+    salePrice: 150,
+    saleStartDate: new Date(Date.now() - DAY_MS),
+    saleEndDate: new Date(Date.now() + DAY_MS),
+    stockQuantity: 5,
+  },
+  {
+    productId: "p1",
+    attributes: { color: "Blonde", length: "24 inch", texture: "Body Wave" },
+    price: 260,
+    stockQuantity: 0,
+  },
+  {
+    productId: "p2",
+    attributes: {
+      color: "natural black",
+      length: "12 inch",
+      texture: "Straight",
+    },
+    price: 90,
+    salePrice: 60,
+    saleEndDate: new Date(Date.now() - DAY_MS), // Sale is over
+    stockQuantity: 3,
+    reservedQuantity: 3, // All held by checkouts
+  },
+  {
+    productId: "p2",
+    attributes: { color: "Burgundy", length: "12 inch", texture: "Straight" },
+    price: 95,
+    stockQuantity: 2,
+  },
+];
+
+const categories = [
+  { _id: "c1", name: "Human Hair Wigs", slug: "human-hair-wigs" },
+  { _id: "c2", name: "Headband Wigs", slug: "headband-wigs" },
+];
+
+const unitsSold = [{ _id: "p2", units: 5 }];
+
+const fakeModel = (docs) => ({
+  find: () => ({ lean: async () => docs }),
+  aggregate: async () => docs,
+});
+
+const idsOf = (result) => result.hits.map((hit) => hit.productId);
+
+describe("Search Service", () => {
+  beforeAll(() => {
+    const models = {
+      Product: fakeModel(products),
+      ProductVariant: fakeModel(variants),
+      Category: fakeModel(categories),
+      OrderItem: fakeModel(unitsSold),
+    };
+    vi.spyOn(mongoose, "model").mockImplementation((name) => models[name]);
+  });
+
+  describe("tokenize", () => {
+    it("should lower-case, strip accents and drop stop words", () => {
+      expect(tokenize("Crème Lace-Front Wig with Baby Hair")).toEqual([
+        "creme",
+        "lace",
+        "front",
+        "wig",
+        "baby",
+        "hair",
+      ]);
+    });
+  });
+
+  describe("editDistance", () => {
+    it("should count substitutions, insertions and transpositions", () => {
+      expect(editDistance("wig", "wgi", 2)).toBe(1);
+      expect(editDistance("brazilian", "brazillian", 2)).toBe(1);
+      expect(editDistance("curly", "curl", 2)).toBe(1);
+    });
+
+    it("should stop once the distance exceeds the maximum", () => {
+      expect(editDistance("straight", "wave", 1)).toBe(2);
+    });
+  });
+
+  describe("searchProducts", () => {
+    it("should match misspelled and partial words", async () => {
+      expect(idsOf(await searchProducts({ search: "brazillian" }))).toEqual([
+        "p1",
+      ]);
+      expect(idsOf(await searchProducts({ search: "headb" }))).toEqual(["p3"]);
+    });
+
+    it("should rank matches by the field they are found in", async () => {
+      const result = await searchProducts({ search: "lace" });
+
+      expect(idsOf(result)).toEqual(["p1", "p3"]); // Tag beats description
+      expect(result.hits[0].score).toBeGreaterThan(result.hits[1].score);
+    });
+
+    it("should require attribute, price and stock filters to hold for one variant", async () => {
+      const result = await searchProducts({
+        color: "Natural Black",
+        inStock: "true",
+      });
+
+      expect(idsOf(result)).toEqual(["p1"]); // p2's black variant is fully reserved
+    });
+
+    it("should filter and sort on the effective sale-aware price", async () => {
+      const result = await searchProducts({
+        maxPrice: "160",
+        sort_by: "price",
+        order: "asc",
+      });
+
+      expect(idsOf(result)).toEqual(["p2", "p1"]);
+      expect(result.hits[0].priceRange).toEqual({ min: 90, max: 95 }); // Expired sale ignored
+      expect(result.hits[1].priceRange).toEqual({ min: 150, max: 150 });
+    });
+
+    it("should filter sale variants and sort by the largest discount", async () => {
+      const result = await searchProducts({ onSale: "true" });
+
+      expect(idsOf(result)).toEqual(["p1"]); // p2's sale is over
+      expect(result.hits[0]).toMatchObject({
+        priceRange: { min: 150, max: 150 },
+        regularPriceRange: { min: 200, max: 200 },
+        onSale: true,
+      });
+      expect(result.facets.onSale).toBe(1);
+
+      const byDiscount = await searchProducts({ sort_by: "discount" });
+      expect(idsOf(byDiscount)[0]).toBe("p1");
+    });
+
+    it("should count each facet under every filter except its own", async () => {
+      const { facets, totalResults } = await searchProducts({
+        color: "natural black",
+        inStock: "true",
+      });
+
+      expect(totalResults).toBe(1);
+      expect(facets.attributes.color).toEqual([
+        { value: "Burgundy", count: 1 },
+        { value: "Natural Black", count: 1 },
+      ]);
+      expect(facets.attributes.texture).toEqual([
+        { value: "Body Wave", count: 1 },
+      ]);
+      expect(facets.inStock).toBe(1);
+      expect(facets.seller).toEqual([{ value: SELLER_A, count: 1 }]);
+    });
+
+    it("should bucket prices and ratings and merge brand spellings", async () => {
+      const { facets } = await searchProducts({ minRating: "4" });
+
+      expect(facets.brand).toEqual([{ value: "Luxe Hair", count: 2 }]);
+      expect(facets.price.map((bucket) => bucket.count)).toEqual([
+        0, 0, 1, 2, 0,
+      ]);
+      expect(facets.rating).toEqual([
+        { min: 4, count: 2 },
+        { min: 3, count: 3 },
+        { min: 2, count: 3 },
+        { min: 1, count: 3 },
+      ]);
+    });
+
+    it("should paginate the matches", async () => {
+      const result = await searchProducts({ page: "2", limit: "2" });
+
+      expect(idsOf(result)).toEqual(["p3"]); // Newest first by default
+      expect(result.page).toBe(2);
+      expect(result.totalPages).toBe(2);
+      expect(result.totalResults).toBe(3);
+    });
+  });
+
+  describe("suggest", () => {
+    it("should suggest names and categories by word prefix, most popular first", async () => {
+      const suggestions = await suggest("wi");
+
+      expect(suggestions.products.map((p) => p.id)).toEqual(["p2", "p3", "p1"]); // p2 has sales
+      expect(suggestions.categories).toEqual([
+        {
+          id: "c1",
+          name: "Human Hair Wigs",
+          slug: "human-hair-wigs",
+          productCount: 2,
+        },
+        {
+          id: "c2",
+          name: "Headband Wigs",
+          slug: "headband-wigs",
+          productCount: 1,
+        },
+      ]);
+      expect(suggestions.brands).toEqual([]);
+    });
+
+    it("should match every typed word and merge brand spellings", async () => {
+      expect((await suggest("lu")).brands).toEqual([
+        { value: "Luxe Hair", productCount: 2 },
+      ]);
+
+      const suggestions = await suggest("front la");
+      expect(suggestions.tags).toEqual([
+        { value: "lace front", productCount: 1 },
+      ]);
+      expect(suggestions.products).toEqual([]);
+    });
+
+    it("should limit each group", async () => {
+      const suggestions = await suggest("wig", 1);
+
+      expect(suggestions.products.map((p) => p.id)).toEqual(["p2"]);
+      expect(suggestions.categories).toHaveLength(1);
+    });
+  });
+});
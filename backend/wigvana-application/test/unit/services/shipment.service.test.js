@@ -0,0 +1,49 @@
+import { describe, it, expect, vi } from "vitest";
+import { shipmentService } from "../../../src/services/shipment.service.js";
+
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const { deriveOrderStatus } = shipmentService;
+
+describe("Shipment Service", () => {
+  describe("deriveOrderStatus", () => {
+    it("should return null for an order without shipments", () => {
+      expect(deriveOrderStatus([])).toBeNull();
+    });
+
+    it("should stay processing until a shipment leaves", () => {
+      expect(deriveOrderStatus(["processing", "pending"])).toBe("processing");
+    });
+
+    it("should be partially shipped while some sellers have not shipped", () => {
+      expect(deriveOrderStatus(["shipped", "processing"])).toBe(
+        "partially_shipped",
+      );
+      expect(deriveOrderStatus(["delivered", "processing"])).toBe(
+        "partially_shipped",
+      );
+    });
+
+    it("should follow the least advanced shipment once all have shipped", () => {
+      expect(deriveOrderStatus(["shipped", "delivered"])).toBe("shipped");
+      expect(deriveOrderStatus(["out_for_delivery", "delivered"])).toBe(
+        "out_for_delivery",
+      );
+      expect(deriveOrderStatus(["delivered", "delivered"])).toBe("delivered");
+    });
+
+    it("should ignore cancelled shipments unless all are cancelled", () => {
+      expect(deriveOrderStatus(["cancelled", "delivered"])).toBe("delivered");
+      expect(deriveOrderStatus(["cancelled", "cancelled"])).toBe(
+        "cancelled_by_seller",
+      );
+    });
+  });
+});
@@ -0,0 +1,260 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  shippingService,
+  DEFAULT_SHIPPING_METHOD_ID,
+} from "../../../src/services/shipping.service.js";
+import config from "../../../src/config/index.js";
+
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const {
+  toWeightKg,
+  toShippingLines,
+  computeMethodCost,
+  computeShippingOptions,
+  selectShippingMethods,
+} = shippingService;
+
+const method = (overrides) => ({
+  _id: `method-${overrides.name}`,
+  isActive: true,
+  ...overrides,
+});
+
+const zone = (overrides) => ({
+  _id: `zone-${overrides.name}`,
+  regions: [],
+  ...overrides,
+});
+
+const usAddress = { country: "us", stateProvinceRegion: "ca" };
+
+describe("Shipping Service", () => {
+  describe("toWeightKg", () => {
+    it("should convert product weights to kilograms", () => {
+      expect(toWeightKg({ value: 500, unit: "g" })).toBe(0.5);
+      expect(toWeightKg({ value: 2, unit: "KG" })).toBe(2);
+      expect(toWeightKg({ value: 1, unit: "lb" })).toBeCloseTo(0.4536, 4);
+      expect(toWeightKg(undefined)).toBe(0);
+    });
+  });
+
+  describe("toShippingLines", () => {
+    it("should weigh every unit on the line and keep the seller", () => {
+      const lines = toShippingLines([
+        {
+          _id: "item-a",
+          productId: {
+            sellerId: "seller-1",
+            shippingDetails: { weight: { value: 250, unit: "g" } },
+          },
+          priceAtAddition: 20,
+          quantity: 4,
+        },
+      ]);
+
+      expect(lines).toEqual([
+        { id: "item-a", sellerId: "seller-1", amount: 80, weightKg: 1 },
+      ]);
+    });
+  });
+
+  describe("computeMethodCost", () => {
+    it("should price each method type", () => {
+      const parcel = { subtotal: 60, weightKg: 2.5 };
+
+      expect(
+        computeMethodCost(
+          method({ name: "Flat", type: "flat", rate: 4.99 }),
+          parcel,
+        ),
+      ).toBe(4.99);
+      expect(
+        computeMethodCost(
+          method({
+            name: "Heavy",
+            type: "weight_based",
+            rate: 3,
+            perKgRate: 2,
+          }),
+          parcel,
+        ),
+      ).toBe(8);
+      expect(
+        computeMethodCost(
+          method({
+            name: "Free",
+            type: "free_over_threshold",
+            rate: 6,
+            freeOverAmount: 50,
+          }),
+          parcel,
+        ),
+      ).toBe(0);
+      expect(
+        computeMethodCost(
+          method({
+            name: "Free",
+            type: "free_over_threshold",
+            rate: 6,
+            freeOverAmount: 100,
+          }),
+          parcel,
+        ),
+      ).toBe(6);
+    });
+  });
+
+  describe("computeShippingOptions", () => {
+    const lines = [
+      { id: "item-a", sellerId: "seller-1", amount: 30, weightKg: 1 },
+      { id: "item-b", sellerId: "seller-1", amount: 20, weightKg: 0.5 },
+      { id: "item-c", sellerId: "seller-2", amount: 10, weightKg: 0 },
+    ];
+
+    it("should group items by seller and list the zone's active methods cheapest first", () => {
+      const zonesBySeller = {
+        "seller-1": [
+          zone({
+            name: "US",
+            countries: ["US"],
+            methods: [
+              method({ name: "Express", type: "flat", rate: 15 }),
+              method({
+                name: "Ground",
+                type: "weight_based",
+                rate: 2,
+                perKgRate: 2,
+              }),
+              method({
+                name: "Retired",
+                type: "flat",
+                rate: 1,
+                isActive: false,
+              }),
+            ],
+          }),
+        ],
+      };
+
+      const [sellerOne, sellerTwo] = computeShippingOptions(
+        zonesBySeller,
+        lines,
+        usAddress,
+      );
+
+      expect(sellerOne).toMatchObject({
+        sellerId: "seller-1",
+        itemIds: ["item-a", "item-b"],
+        subtotal: 50,
+        weightKg: 1.5,
+      });
+      expect(sellerOne.options.map((o) => [o.name, o.cost])).toEqual([
+        ["Ground", 5],
+        ["Express", 15],
+      ]);
+      // No zones configured: the platform's default flat rate
+      expect(sellerTwo.options).toEqual([
+        expect.objectContaining({
+          methodId: DEFAULT_SHIPPING_METHOD_ID,
+          cost: config.SHIPPING_DEFAULT_RATE,
+        }),
+      ]);
+    });
+
+    it("should prefer a zone listing the address's region over a country-wide one", () => {
+      const zonesBySeller = {
+        "seller-1": [
+          zone({
+            name: "US",
+            countries: ["US"],
+            methods: [method({ name: "Standard", type: "flat", rate: 8 })],
+          }),
+          zone({
+            name: "California",
+            countries: ["US"],
+            regions: ["CA"],
+            methods: [method({ name: "Local", type: "flat", rate: 3 })],
+          }),
+        ],
+      };
+
+      const [group] = computeShippingOptions(
+        zonesBySeller,
+        lines.slice(0, 1),
+        usAddress,
+      );
+
+      expect(group.options.map((o) => o.name)).toEqual(["Local"]);
+    });
+
+    it("should offer nothing when the seller's zones do not cover the address", () => {
+      const zonesBySeller = {
+        "seller-1": [
+          zone({
+            name: "Canada",
+            countries: ["CA"],
+            methods: [method({ name: "Standard", type: "flat", rate: 8 })],
+          }),
+        ],
+      };
+
+      const [group] = computeShippingOptions(
+        zonesBySeller,
+        lines.slice(0, 1),
+        usAddress,
+      );
+
+      expect(group.options).toEqual([]);
+    });
+  });
+
+  describe("selectShippingMethods", () => {
+    const groups = [
+      {
+        sellerId: "seller-1",
+        options: [
+          { methodId: "ground", name: "Ground", cost: 5 },
+          { methodId: "express", name: "Express", cost: 15 },
+        ],
+      },
+      {
+        sellerId: "seller-2",
+        options: [{ methodId: "standard", name: "Standard", cost: 4.5 }],
+      },
+    ];
+
+    it("should charge the chosen methods and default the rest to the cheapest", () => {
+      const result = selectShippingMethods(groups, [
+        { sellerId: "seller-1", methodId: "express" },
+      ]);
+
+      expect(result.shippingCost).toBe(19.5);
+      expect(result.shipments.map((s) => s.methodId)).toEqual([
+        "express",
+        "standard",
+      ]);
+    });
+
+    it("should reject a method the seller does not offer", () => {
+      expect(() =>
+        selectShippingMethods(groups, [
+          { sellerId: "seller-2", methodId: "express" },
+        ]),
+      ).toThrow(/not available/);
+    });
+
+    it("should reject checkout when a seller does not ship to the address", () => {
+      expect(() =>
+        selectShippingMethods([{ sellerId: "seller-1", options: [] }]),
+      ).toThrow(/does not ship/);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from "vitest";
+import { taxService } from "../../../src/services/tax.service.js";
+
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const { computeTaxes, toTaxLines } = taxService;
+
+const rate = (overrides) => ({
+  _id: `rate-${overrides.name}`,
+  taxClass: "standard",
+  pricesIncludeTax: false,
+  ...overrides,
+});
+
+describe("Tax Service", () => {
+  describe("computeTaxes", () => {
+    it("should add an exclusive rate on top of the line amount", () => {
+      const result = computeTaxes(
+        [rate({ name: "Sales tax", rate: 8.25 })],
+        [{ id: "line-a", taxClass: "standard", amount: 80 }],
+      );
+
+      expect(result.taxAmount).toBe(6.6);
+      expect(result.includedTaxAmount).toBe(0);
+      expect(result.lines["line-a"].breakdown).toEqual([
+        {
+          taxRateId: "rate-Sales tax",
+          name: "Sales tax",
+          rate: 8.25,
+          included: false,
+          amount: 6.6,
+        },
+      ]);
+    });
+
+    it("should stack country and region rates and only apply those of the line's tax class", () => {
+      const rates = [
+        rate({ name: "GST", rate: 5 }),
+        rate({ name: "PST", rate: 7 }),
+        rate({ name: "Reduced GST", rate: 2, taxClass: "reduced" }),
+      ];
+      const result = computeTaxes(rates, [
+        { id: "wig", taxClass: "standard", amount: 100 },
+        { id: "book", taxClass: "reduced", amount: 50 },
+        { id: "gift-card", taxClass: "exempt", amount: 20 },
+      ]);
+
+      expect(result.lines.wig.taxAmount).toBe(12);
+      expect(result.lines.book.taxAmount).toBe(1);
+      expect(result.lines["gift-card"]).toEqual({
+        taxAmount: 0,
+        includedTaxAmount: 0,
+        breakdown: [],
+      });
+      expect(result.taxAmount).toBe(13);
+    });
+
+    it("should back tax-inclusive rates out of the price", () => {
+      const result = computeTaxes(
+        [rate({ name: "VAT", rate: 20, pricesIncludeTax: true })],
+        [{ id: "line-a", taxClass: "standard", amount: 120 }],
+      );
+
+      expect(result.taxAmount).toBe(20);
+      expect(result.includedTaxAmount).toBe(20);
+      expect(result.lines["line-a"].breakdown[0].included).toBe(true);
+    });
+
+    it("should charge every rate on the same pre-tax base when inclusive and exclusive rates mix", () => {
+      const result = computeTaxes(
+        [
+          rate({ name: "VAT", rate: 20, pricesIncludeTax: true }),
+          rate({ name: "Levy", rate: 5 }),
+        ],
+        [{ id: "line-a", taxClass: "standard", amount: 120 }],
+      );
+
+      // Base 100: 20 VAT already in the price, 5 levy on top
+      expect(result.taxAmount).toBe(25);
+      expect(result.includedTaxAmount).toBe(20);
+    });
+  });
+
+  describe("toTaxLines", () => {
+    it("should tax each cart line net of its discount, defaulting to the standard class", () => {
+      const lines = toTaxLines(
+        [
+          {
+            _id: "item-a",
+            productId: { taxClass: "reduced" },
+            priceAtAddition: 30,
+            quantity: 2,
+          },
+          { _id: "item-b", productId: {}, priceAtAddition: 40, quantity: 1 },
+        ],
+        { "item-a": 6 },
+      );
+
+      expect(lines).toEqual([
+        { id: "item-a", taxClass: "reduced", amount: 54 },
+        { id: "item-b", taxClass: "standard", amount: 40 },
+      ]);
+    });
+  });
+});
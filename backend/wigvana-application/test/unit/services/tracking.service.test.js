@@ -0,0 +1,42 @@
+import { describe, it, expect, vi } from "vitest";
+import { trackingService } from "../../../src/services/tracking.service.js";
+
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const { shipmentStatusForEvents } = trackingService;
+
+describe("Tracking Service", () => {
+  describe("shipmentStatusForEvents", () => {
+    it("should not move the shipment for scans before the last mile", () => {
+      expect(
+        shipmentStatusForEvents([
+          { status: "label_created" },
+          { status: "in_transit" },
+          { status: "exception" },
+        ]),
+      ).toBeNull();
+    });
+
+    it("should move the shipment to the furthest status any scan reports", () => {
+      expect(
+        shipmentStatusForEvents([
+          { status: "in_transit" },
+          { status: "out_for_delivery" },
+        ]),
+      ).toBe("out_for_delivery");
+      expect(
+        shipmentStatusForEvents([
+          { status: "delivered" },
+          { status: "out_for_delivery" },
+        ]),
+      ).toBe("delivered");
+    });
+  });
+});
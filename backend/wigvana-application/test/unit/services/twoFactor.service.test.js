@@ -0,0 +1,357 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { twoFactorService } from "../../../src/services/twoFactor.service.js";
+import User from "../../../src/models/User.model.js";
+import { redisService } from "../../../src/services/redis.service.js";
+import { mailService } from "../../../src/services/mail.service.js";
+import config from "../../../src/config/index.js";
+import {
+  buildOtpauthUri,
+  generateTotp,
+  totpStepAt,
+  verifyTotp,
+} from "../../../src/utils/totp.js";
+
+vi.mock("../../../src/models/User.model.js");
+vi.mock("../../../src/services/redis.service.js");
+vi.mock("../../../src/services/mail.service.js");
+vi.mock("../../../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+/** The RFC 6238 test secret ("12345678901234567890"), base32-encoded. */
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+const withSelect = (doc) => ({ select: vi.fn().mockResolvedValue(doc) });
+
+/** Runs enrollment and returns the secret and how it was stored. */
+const enroll = async () => {
+  User.findById.mockResolvedValue({
+    id: "userId",
+    email: "seller@example.com",
+    roles: ["seller"],
+    twoFactor: { enabled: false },
+  });
+  const { secret } = await twoFactorService.beginEnrollment("userId");
+  const stored =
+    User.updateOne.mock.calls[0][1].$set["twoFactor.pendingSecret"];
+  User.updateOne.mockClear();
+  return { secret, stored };
+};
+
+describe("TOTP", () => {
+  it("should match the RFC 6238 test vectors", () => {
+    expect(generateTotp(RFC_SECRET, Math.floor(59 / 30))).toBe("287082");
+    expect(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30))).toBe(
+      "081804",
+    );
+  });
+
+  it("should accept one step of clock drift either way and nothing further", () => {
+    const now = new Date("2025-01-01T00:00:00Z");
+    const step = totpStepAt(now);
+
+    expect(
+      verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { now }),
+    ).toBe(step - 1);
+    expect(
+      verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { now }),
+    ).toBe(step + 1);
+    expect(
+      verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { now }),
+    ).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "12345", { now })).toBeNull();
+  });
+
+  it("should build a provisioning URI authenticator apps understand", () => {
+    expect(
+      buildOtpauthUri({
+        secret: RFC_SECRET,
+        issuer: "Wigvana",
+        accountName: "admin@example.com",
+      }),
+    ).toBe(
+      `otpauth://totp/Wigvana%3Aadmin%40example.com?secret=${RFC_SECRET}&issuer=Wigvana&algorithm=SHA1&digits=6&period=30`,
+    );
+  });
+});
+
+describe("Two-Factor Service", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    // No invalid codes so far
+    redisService.getMany.mockResolvedValue([null, null]);
+    redisService.incr.mockResolvedValue(1);
+  });
+
+  describe("enrollment", () => {
+    it("should store the secret encrypted until a valid code confirms it", async () => {
+      const { secret, stored } = await enroll();
+      expect(stored).not.toContain(secret);
+
+      User.findById.mockReturnValue(
+        withSelect({
+          roles: ["seller"],
+          twoFactor: { enabled: false, pendingSecret: stored },
+        }),
+      );
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      const step = totpStepAt();
+
+      const { recoveryCodes } = await twoFactorService.enable(
+        "userId",
+        "session-1",
+        generateTotp(secret, step),
+      );
+
+      expect(recoveryCodes).toHaveLength(10);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: "userId", "twoFactor.enabled": { $ne: true } },
+        {
+          $set: expect.objectContaining({
+            "twoFactor.enabled": true,
+            "twoFactor.secret": stored,
+            "twoFactor.lastUsedStep": step,
+            "twoFactor.recoveryCodes": expect.not.arrayContaining([
+              recoveryCodes[0],
+            ]),
+          }),
+          $unset: { "twoFactor.pendingSecret": 1 },
+        },
+      );
+    });
+
+    it("should reject a wrong code and count the failure", async () => {
+      const { secret, stored } = await enroll();
+      User.findById.mockReturnValue(
+        withSelect({
+          roles: ["seller"],
+          twoFactor: { enabled: false, pendingSecret: stored },
+        }),
+      );
+
+      await expect(
+        twoFactorService.enable(
+          "userId",
+          "session-1",
+          generateTotp(secret, totpStepAt() + 5),
+        ),
+      ).rejects.toMatchObject({
+        message: "Invalid two-factor code.",
+        statusCode: 400,
+      });
+      expect(redisService.incr).toHaveBeenCalledWith(
+        "twoFactorFailures:userId:session:session-1",
+        config.TWO_FACTOR_LOCKOUT_MINUTES * 60,
+      );
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("stepUp", () => {
+    let secret;
+    let stored;
+
+    beforeEach(async () => {
+      ({ secret, stored } = await enroll());
+      User.findById.mockReturnValue(
+        withSelect({ twoFactor: { enabled: true, secret: stored } }),
+      );
+    });
+
+    it("should unlock sensitive actions for the session after a valid code", async () => {
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await twoFactorService.stepUp("userId", "session-1", {
+        code: generateTotp(secret, totpStepAt()),
+      });
+
+      expect(redisService.set).toHaveBeenCalledWith(
+        "twoFactorStepUp:userId:session-1",
+        "true",
+        config.TWO_FACTOR_STEP_UP_TTL_MINUTES * 60,
+      );
+    });
+
+    it("should refuse a code that was already used", async () => {
+      // The conditional update finds lastUsedStep already at or past this step
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(
+        twoFactorService.stepUp("userId", "session-1", {
+          code: generateTotp(secret, totpStepAt()),
+        }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(redisService.set).not.toHaveBeenCalled();
+    });
+
+    it("should use up a recovery code", async () => {
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await twoFactorService.stepUp("userId", "session-1", {
+        recoveryCode: "3F9A1-C07BE",
+      });
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: "userId", "twoFactor.recoveryCodes": expect.any(String) },
+        { $pull: { "twoFactor.recoveryCodes": expect.any(String) } },
+      );
+      const [filter] = User.updateOne.mock.calls[0];
+      expect(filter["twoFactor.recoveryCodes"]).not.toContain("3f9a1");
+    });
+
+    it("should refuse all codes while the session is locked out", async () => {
+      redisService.getMany.mockResolvedValue([
+        String(config.TWO_FACTOR_MAX_FAILED_ATTEMPTS),
+        null,
+      ]);
+
+      await expect(
+        twoFactorService.stepUp("userId", "session-1", {
+          code: generateTotp(secret, totpStepAt()),
+        }),
+      ).rejects.toMatchObject({ statusCode: 429 });
+      expect(redisService.getMany).toHaveBeenCalledWith([
+        "twoFactorFailures:userId:session:session-1",
+        "twoFactorBackoff:userId",
+      ]);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("redeemLoginChallenge", () => {
+    it("should count wrong codes against the challenge and the account", async () => {
+      const { stored } = await enroll();
+      User.findById.mockReturnValue(
+        withSelect({ twoFactor: { enabled: true, secret: stored } }),
+      );
+      redisService.get.mockImplementation(async (key) =>
+        key.startsWith("twoFactorChallenge:") ? "userId" : null,
+      );
+      // No such recovery code
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      const { challengeToken } =
+        await twoFactorService.createLoginChallenge("userId");
+
+      await expect(
+        twoFactorService.redeemLoginChallenge(challengeToken, {
+          recoveryCode: "00000-00000",
+        }),
+      ).rejects.toMatchObject({ statusCode: 401 });
+      const [failuresKey] = redisService.incr.mock.calls[0];
+      expect(failuresKey).toMatch(/^twoFactorFailures:userId:challenge:/);
+      expect(failuresKey).not.toContain(challengeToken);
+      expect(redisService.incr).toHaveBeenCalledWith(
+        "twoFactorAccountFailures:userId",
+        24 * 60 * 60,
+      );
+      expect(redisService.setOrThrow).not.toHaveBeenCalled();
+    });
+
+    it("should delay codes on every challenge once the account limit is reached, and alert the user", async () => {
+      const { stored } = await enroll();
+      User.findById.mockImplementation((id, projection) =>
+        projection
+          ? { lean: vi.fn().mockResolvedValue({ email: "seller@example.com" }) }
+          : withSelect({ twoFactor: { enabled: true, secret: stored } }),
+      );
+      redisService.get.mockResolvedValue("userId");
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      redisService.incr.mockResolvedValue(
+        config.TWO_FACTOR_MAX_FAILED_ATTEMPTS,
+      );
+      const first = await twoFactorService.createLoginChallenge("userId");
+
+      await expect(
+        twoFactorService.redeemLoginChallenge(first.challengeToken, {
+          recoveryCode: "00000-00000",
+        }),
+      ).rejects.toMatchObject({ statusCode: 401 });
+      expect(redisService.setOrThrow).toHaveBeenCalledWith(
+        "twoFactorBackoff:userId",
+        "1",
+        1,
+      );
+      expect(mailService.sendMail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: "seller@example.com",
+          template: "twoFactorFailures",
+        }),
+      );
+
+      // A fresh challenge has no failures of its own but still waits out the delay
+      redisService.getMany.mockResolvedValue([null, "1"]);
+      const second = await twoFactorService.createLoginChallenge("userId");
+      await expect(
+        twoFactorService.redeemLoginChallenge(second.challengeToken, {
+          recoveryCode: "00000-00000",
+        }),
+      ).rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    it("should fail closed when the failure counters cannot be read", async () => {
+      redisService.get.mockResolvedValue("userId");
+      redisService.getMany.mockRejectedValue(new Error("Redis down"));
+      const { challengeToken } =
+        await twoFactorService.createLoginChallenge("userId");
+
+      await expect(
+        twoFactorService.redeemLoginChallenge(challengeToken, {
+          code: "123456",
+        }),
+      ).rejects.toMatchObject({ statusCode: 503 });
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it("should fail closed when a failure cannot be recorded", async () => {
+      const { stored } = await enroll();
+      User.findById.mockReturnValue(
+        withSelect({ twoFactor: { enabled: true, secret: stored } }),
+      );
+      redisService.get.mockResolvedValue("userId");
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      redisService.incr.mockRejectedValue(new Error("Redis down"));
+      const { challengeToken } =
+        await twoFactorService.createLoginChallenge("userId");
+
+      await expect(
+        twoFactorService.redeemLoginChallenge(challengeToken, {
+          recoveryCode: "00000-00000",
+        }),
+      ).rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+
+  describe("disable", () => {
+    it("should refuse tokens that predate sessions before checking anything", async () => {
+      await expect(
+        twoFactorService.disable("userId", undefined, {
+          password: "password",
+          code: "123456",
+        }),
+      ).rejects.toMatchObject({ statusCode: 401 });
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(redisService.getMany).not.toHaveBeenCalled();
+    });
+
+    it("should not let admins turn two-factor authentication off", async () => {
+      User.findById.mockResolvedValue({
+        roles: ["admin"],
+        twoFactor: { enabled: true },
+        comparePassword: vi.fn().mockResolvedValue(true),
+      });
+
+      await expect(
+        twoFactorService.disable("userId", "session-1", {
+          password: "password",
+          code: "123456",
+        }),
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});